@@ -144,9 +144,50 @@ export const PHI_ENDPOINTS = [
   { method: 'GET', path: '/api/appointments', phi: ['appointment_schedule'], description: 'View appointment schedule' },
   { method: 'GET', path: '/api/appointments/:id', phi: ['appointment_details'], description: 'Get appointment details' },
   { method: 'POST', path: '/api/appointments', phi: ['schedule_appointment'], description: 'Schedule appointment' },
+  { method: 'POST', path: '/api/appointments/series', phi: ['schedule_appointment'], description: 'Schedule recurring appointment series' },
+  { method: 'GET', path: '/api/appointments/series/:id', phi: ['appointment_details'], description: 'Recurring appointment series with occurrences' },
   { method: 'PUT', path: '/api/appointments/:id', phi: ['update_appointment'], description: 'Update appointment' },
   { method: 'DELETE', path: '/api/appointments/:id', phi: ['cancel_appointment'], description: 'Cancel appointment' },
   { method: 'GET', path: '/api/appointments/patient/:patientId', phi: ['patient_appointment_history'], description: 'Get patient appointments' },
+  { method: 'GET', path: '/api/waitlist', phi: ['appointment_waitlist'], description: 'Appointment waitlist with patient preferences' },
+  { method: 'POST', path: '/api/waitlist', phi: ['appointment_waitlist'], description: 'Add patient to appointment waitlist' },
+  { method: 'PUT', path: '/api/waitlist/:id', phi: ['appointment_waitlist'], description: 'Update waitlist entry' },
+  { method: 'DELETE', path: '/api/waitlist/:id', phi: ['appointment_waitlist'], description: 'Remove patient from waitlist' },
+  { method: 'GET', path: '/api/waitlist/offers', phi: ['appointment_waitlist', 'demographics'], description: 'Cancelled-slot offers and their notifications' },
+  { method: 'POST', path: '/api/waitlist/offers/:id/accept', phi: ['schedule_appointment'], description: 'Book an offered slot for the waitlisted patient' },
+  { method: 'POST', path: '/api/waitlist/offers/:id/decline', phi: ['appointment_waitlist'], description: 'Decline an offered slot' },
+  { method: 'GET', path: '/api/appointment-reminders', phi: ['appointment_reminders', 'demographics'], description: 'Reminders sent for an appointment and their recipients' },
+  { method: 'POST', path: '/api/appointment-reminders/run', phi: ['appointment_reminders', 'demographics'], description: 'Send due appointment reminders to patients' },
+  { method: 'POST', path: '/api/appointment-reminders/replies', phi: ['update_appointment', 'demographics'], description: 'Record patient reminder reply (confirm/cancel)' },
+  { method: 'POST', path: '/api/appointment-reminders/replies/collect', phi: ['update_appointment', 'demographics'], description: 'Collect patient reminder replies from the notification transport' },
+
+  // ================================
+  // FHIR R4 API
+  // ================================
+  { method: 'GET', path: '/api/fhir/R4/Patient', phi: ['fhir_patient_search'], description: 'FHIR Patient search' },
+  { method: 'GET', path: '/api/fhir/R4/Patient/:id', phi: ['fhir_patient_demographics', 'identifiers'], description: 'FHIR Patient read' },
+  { method: 'GET', path: '/api/fhir/R4/Encounter', phi: ['fhir_encounter_search'], description: 'FHIR Encounter search' },
+  { method: 'GET', path: '/api/fhir/R4/Encounter/:id', phi: ['fhir_encounter_details'], description: 'FHIR Encounter read' },
+  { method: 'GET', path: '/api/fhir/R4/Observation', phi: ['fhir_observation_search'], description: 'FHIR Observation search (vitals and lab values)' },
+  { method: 'GET', path: '/api/fhir/R4/Observation/:id', phi: ['fhir_observation_details'], description: 'FHIR Observation read' },
+  { method: 'GET', path: '/api/fhir/R4/AllergyIntolerance', phi: ['fhir_allergy_search'], description: 'FHIR AllergyIntolerance search' },
+  { method: 'GET', path: '/api/fhir/R4/AllergyIntolerance/:id', phi: ['fhir_allergy_details'], description: 'FHIR AllergyIntolerance read' },
+  { method: 'GET', path: '/api/fhir/R4/MedicationRequest', phi: ['fhir_prescription_search'], description: 'FHIR MedicationRequest search' },
+  { method: 'GET', path: '/api/fhir/R4/MedicationRequest/:id', phi: ['fhir_prescription_details'], description: 'FHIR MedicationRequest read' },
+  { method: 'GET', path: '/api/fhir/R4/MedicationStatement', phi: ['fhir_medication_search'], description: 'FHIR MedicationStatement search' },
+  { method: 'GET', path: '/api/fhir/R4/MedicationStatement/:id', phi: ['fhir_medication_details'], description: 'FHIR MedicationStatement read' },
+  { method: 'GET', path: '/api/fhir/R4/Condition', phi: ['fhir_condition_search'], description: 'FHIR Condition search (problems and chronic conditions)' },
+  { method: 'GET', path: '/api/fhir/R4/Condition/:id', phi: ['fhir_condition_details'], description: 'FHIR Condition read' },
+
+  // ================================
+  // HL7 INBOX (Interface error queue)
+  // ================================
+  { method: 'GET', path: '/api/hl7/messages', phi: ['hl7_message_queue'], description: 'List inbound HL7 messages / error queue' },
+  { method: 'GET', path: '/api/hl7/messages/:id', phi: ['hl7_message_content', 'patient_demographics', 'lab_values'], description: 'View raw HL7 message and action history' },
+  { method: 'PUT', path: '/api/hl7/messages/:id/link', phi: ['hl7_message_patient_link'], description: 'Link HL7 message to patient/lab order' },
+  { method: 'PUT', path: '/api/hl7/messages/:id', phi: ['hl7_message_content'], description: 'Edit HL7 message before reprocessing' },
+  { method: 'POST', path: '/api/hl7/messages/:id/reprocess', phi: ['hl7_message_content', 'lab_results'], description: 'Reprocess failed HL7 message' },
+  { method: 'POST', path: '/api/hl7/messages/:id/dismiss', phi: ['hl7_message_queue'], description: 'Dismiss HL7 message from error queue' },
 
   // ================================
   // BULK/EXPORT OPERATIONS
@@ -154,6 +195,69 @@ export const PHI_ENDPOINTS = [
   { method: 'POST', path: '/api/patients/bulk-export', phi: ['bulk_patient_export'], description: 'Bulk export patients' },
   { method: 'POST', path: '/api/encounters/bulk-export', phi: ['bulk_encounter_export'], description: 'Bulk export encounters' },
   { method: 'POST', path: '/api/lab-results/bulk-export', phi: ['bulk_lab_export'], description: 'Bulk export lab results' },
+  { method: 'POST', path: '/api/fhir/R4', phi: ['fhir_bundle_import'], description: 'Import FHIR transaction/collection Bundle' },
+  { method: 'GET', path: '/api/fhir/R4/$export', phi: ['bulk_fhir_export'], description: 'FHIR Bulk Data system-level export kick-off' },
+  { method: 'GET', path: '/api/fhir/R4/Group/:id/$export', phi: ['bulk_fhir_export'], description: 'FHIR Bulk Data group-level export kick-off' },
+  { method: 'GET', path: '/api/fhir/R4/$export-file/:exportId/:fileName', phi: ['bulk_fhir_export_download'], description: 'Download FHIR Bulk Data NDJSON file' },
+  { method: 'POST', path: '/api/smart/launch', phi: ['smart_launch_context'], description: 'Launch SMART app with patient/encounter context' },
+  { method: 'POST', path: '/api/smart/token', phi: ['smart_launch_context'], description: 'SMART token endpoint (returns launch patient and encounter)' },
+  { method: 'POST', path: '/api/cds-services/:serviceId', phi: ['medications', 'allergies', 'clinical_guidelines'], description: 'CDS Hooks drug-safety and preventive-care cards' },
+  { method: 'POST', path: '/api/insurance/:id/eligibility', phi: ['insurance_info', 'demographics'], description: 'Send X12 270 eligibility inquiry and apply 271 benefits' },
+  { method: 'GET', path: '/api/insurance/:id/eligibility', phi: ['insurance_info'], description: 'Eligibility verification history' },
+  { method: 'GET', path: '/api/eligibility/requests/:requestId', phi: ['insurance_info', 'demographics'], description: 'Eligibility inquiry with raw 270/271' },
+  { method: 'POST', path: '/api/eligibility/responses', phi: ['insurance_info'], description: 'Process inbound X12 271 response' },
+  { method: 'GET', path: '/api/claims', phi: ['demographics', 'insurance_info', 'diagnoses'], description: 'Claims work list' },
+  { method: 'GET', path: '/api/claims/:id', phi: ['demographics', 'insurance_info', 'diagnoses'], description: 'Claim with charge lines' },
+  { method: 'GET', path: '/api/encounters/:eid/claim', phi: ['demographics', 'diagnoses'], description: 'Claim captured for an encounter' },
+  { method: 'POST', path: '/api/encounters/:eid/claim', phi: ['diagnoses'], description: 'Recapture encounter charges' },
+  { method: 'POST', path: '/api/claims/submit', phi: ['demographics', 'insurance_info', 'diagnoses', 'ssn'], description: 'Submit ready claims as X12 837P batches' },
+  { method: 'POST', path: '/api/claims/acknowledgments', phi: ['insurance_info'], description: 'Process inbound X12 999 acknowledgment' },
+  { method: 'POST', path: '/api/claims/:id/validate', phi: ['demographics', 'insurance_info', 'diagnoses'], description: 'Validate claim for 837P submission' },
+  { method: 'POST', path: '/api/claims/:id/status', phi: ['insurance_info'], description: 'Return claim to draft or void it' },
+  { method: 'GET', path: '/api/claims/:id/history', phi: ['insurance_info'], description: 'Claim status history' },
+  { method: 'GET', path: '/api/claim-batches', phi: ['insurance_info'], description: 'Claim submission batches' },
+  { method: 'GET', path: '/api/claim-batches/:id', phi: ['demographics', 'insurance_info', 'diagnoses'], description: 'Claim batch with 837P and 999' },
+  { method: 'POST', path: '/api/remittances', phi: ['insurance_info', 'demographics'], description: 'Post inbound X12 835 remittance' },
+  { method: 'GET', path: '/api/remittances', phi: ['insurance_info'], description: 'Remittance list' },
+  { method: 'GET', path: '/api/remittances/unmatched', phi: ['insurance_info', 'demographics'], description: 'Unmatched remittance work queue' },
+  { method: 'GET', path: '/api/remittances/:id', phi: ['insurance_info', 'demographics'], description: 'Remittance with claim adjudications' },
+  { method: 'POST', path: '/api/remittance-claims/:id/match', phi: ['insurance_info'], description: 'Post unmatched remittance to a claim' },
+  { method: 'POST', path: '/api/remittance-claims/:id/dismiss', phi: ['insurance_info'], description: 'Dismiss unmatched remittance' },
+  { method: 'GET', path: '/api/patients/:id/balance', phi: ['financial_info'], description: 'Patient balance, aging and dunning status' },
+  { method: 'GET', path: '/api/patients/:id/statements', phi: ['financial_info'], description: 'List patient statements' },
+  { method: 'POST', path: '/api/patients/:id/statements', phi: ['financial_info', 'demographics'], description: 'Generate patient statement' },
+  { method: 'POST', path: '/api/statements/run', phi: ['financial_info', 'demographics'], description: 'Run patient statement cycle' },
+  { method: 'GET', path: '/api/statements/:id', phi: ['financial_info', 'demographics'], description: 'Patient statement document' },
+  { method: 'GET', path: '/api/statements/:id/pdf', phi: ['financial_info', 'demographics'], description: 'Patient statement PDF' },
+  { method: 'POST', path: '/api/patients/:id/payments', phi: ['financial_info'], description: 'Record over-the-counter patient payment' },
+  { method: 'GET', path: '/api/patients/:id/payment-plans', phi: ['financial_info'], description: 'List patient payment plans' },
+  { method: 'POST', path: '/api/patients/:id/payment-plans', phi: ['financial_info'], description: 'Create payment plan' },
+  { method: 'POST', path: '/api/payment-plans/:id/cancel', phi: ['financial_info'], description: 'Cancel payment plan' },
+  { method: 'PUT', path: '/api/patients/:id/dunning', phi: ['financial_info'], description: 'Place or release dunning hold' },
+  { method: 'GET', path: '/api/prior-auths', phi: ['insurance_info', 'demographics'], description: 'Prior authorization work list' },
+  { method: 'POST', path: '/api/prior-auths', phi: ['insurance_info', 'medications'], description: 'Open prior authorization case' },
+  { method: 'POST', path: '/api/prior-auths/check', phi: ['insurance_info', 'medications'], description: 'Check order items against plan prior authorization requirements' },
+  { method: 'GET', path: '/api/prior-auths/:id', phi: ['insurance_info', 'medications', 'demographics'], description: 'Prior authorization case with usage and history' },
+  { method: 'PUT', path: '/api/prior-auths/:id', phi: ['insurance_info'], description: 'Record payer decision on prior authorization' },
+  { method: 'GET', path: '/api/patients/:id/prior-auths', phi: ['insurance_info', 'medications'], description: 'Patient prior authorizations' },
+  { method: 'GET', path: '/api/patients/:id/formulary-check', phi: ['insurance_info', 'medications'], description: 'Formulary status of a medication on the patient plan' },
+  { method: 'PUT', path: '/api/patients/:id/preferred-pharmacy', phi: ['demographics'], description: 'Set patient preferred pharmacy' },
+  { method: 'GET', path: '/api/eprescriptions', phi: ['medications', 'demographics'], description: 'Electronic prescriptions' },
+  { method: 'GET', path: '/api/eprescriptions/:id', phi: ['medications', 'demographics'], description: 'Electronic prescription with SCRIPT message history' },
+  { method: 'POST', path: '/api/eprescriptions/:id/send', phi: ['medications', 'demographics'], description: 'Resend NewRx to pharmacy' },
+  { method: 'POST', path: '/api/eprescriptions/:id/cancel', phi: ['medications', 'demographics'], description: 'Send CancelRx to pharmacy' },
+  { method: 'GET', path: '/api/erx/requests', phi: ['medications', 'demographics'], description: 'Pharmacy renewal and change request queue' },
+  { method: 'GET', path: '/api/erx/requests/:id', phi: ['medications', 'demographics'], description: 'Pharmacy renewal or change request' },
+  { method: 'POST', path: '/api/erx/requests/:id/respond', phi: ['medications', 'demographics'], description: 'Approve or deny pharmacy renewal or change request' },
+  { method: 'POST', path: '/api/erx/inbound', phi: ['medications', 'demographics'], description: 'Receive NCPDP SCRIPT message from pharmacy network' },
+  { method: 'POST', path: '/api/clearinghouse/collect', phi: ['insurance_info'], description: 'Process clearinghouse inbox (271, 999, 835)' },
+  { method: 'GET', path: '/api/patients/:id/ccda', phi: ['ccda_ccd_export', 'complete_medical_record'], description: 'Export C-CDA Continuity of Care Document' },
+  { method: 'POST', path: '/api/patients/:id/ccda/imports', phi: ['ccda_document', 'problems', 'medications', 'allergies'], description: 'Upload outside C-CDA for reconciliation' },
+  { method: 'GET', path: '/api/patients/:id/ccda/imports', phi: ['ccda_import_list'], description: 'List C-CDA imports for patient' },
+  { method: 'GET', path: '/api/ccda/imports/:importId', phi: ['ccda_reconciliation_items', 'problems', 'medications', 'allergies'], description: 'Get C-CDA reconciliation diff' },
+  { method: 'PUT', path: '/api/ccda/imports/:importId/items/:itemId', phi: ['ccda_reconciliation_items'], description: 'Accept, reject or merge reconciliation item' },
+  { method: 'POST', path: '/api/ccda/imports/:importId/commit', phi: ['problems', 'medications', 'allergies', 'medication_reconciliation'], description: 'Commit C-CDA reconciliation to chart' },
+  { method: 'POST', path: '/api/ccda/imports/:importId/discard', phi: ['ccda_document'], description: 'Discard pending C-CDA import' },
   { method: 'GET', path: '/api/reports/patient-summary/:patientId', phi: ['patient_summary_report'], description: 'Generate patient summary report' },
   { method: 'GET', path: '/api/reports/encounter-summary/:encounterId', phi: ['encounter_summary_report'], description: 'Generate encounter summary report' },
 
@@ -6,6 +6,9 @@ const loginAttempts = new Map();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Mount path of the FHIR API, the only place SMART app tokens are accepted
+const SMART_FHIR_PATH = '/api/fhir/R4';
+
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -29,6 +32,19 @@ export const authenticateToken = (req, res, next) => {
       });
     }
 
+    // SMART app tokens are only good for the FHIR API; their scopes are enforced by requireSmartScope
+    if (user.token_use === 'smart') {
+      if (!req.originalUrl.startsWith(`${SMART_FHIR_PATH}/`)) {
+        return res.status(403).json({ ok: false, error: 'SMART access tokens are limited to the FHIR API' });
+      }
+      req.smart = {
+        clientId: user.client_id,
+        scopes: String(user.scope || '').split(' ').filter(Boolean),
+        patient: user.patient || null,
+        encounter: user.encounter || null
+      };
+    }
+
     req.user = user;
     next();
   });
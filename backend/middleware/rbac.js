@@ -29,6 +29,7 @@ const permissions = {
     'physical_exam:write',
     'treatment_plans:read',
     'treatment_plans:write',
+    'billing:read', // Can review claims captured from their encounters
     'users:read' // Can view other users but not modify
   ],
   nurse: [
@@ -55,6 +56,8 @@ const permissions = {
     'appointments:delete',
     'visits:read',
     'visits:create', // Can create new visits/check-ins
+    'billing:read',
+    'billing:write', // Can review and recapture claims
     'users:read'
   ]
 };
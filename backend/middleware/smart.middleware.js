@@ -0,0 +1,84 @@
+// backend/middleware/smart.middleware.js
+import fhirService from '../services/fhir.service.js';
+import smartService from '../services/smart.service.js';
+
+/**
+ * SMART on FHIR scope enforcement for the FHIR routes
+ * EHR session tokens pass straight through (RBAC still applies); SMART app tokens
+ * (req.smart, set by authenticateToken) must hold a scope for the resource type and
+ * interaction, and patient/ scopes are confined to the launch patient's compartment.
+ */
+
+function sendForbidden(res, message) {
+  res.status(403).type('application/fhir+json').json(fhirService.operationOutcome(message, 'forbidden'));
+}
+
+/**
+ * Require a SMART scope for reading/searching a resource type
+ * @param {string} resourceType - FHIR resource type served by the route
+ * @param {string} interaction - 'read' or 'search'
+ */
+export const requireSmartScope = (resourceType, interaction) => {
+  return (req, res, next) => {
+    if (!req.smart) return next();
+
+    const access = smartService.scopeAccess(req.smart.scopes, resourceType, interaction);
+    if (!access) {
+      return sendForbidden(res, `Token scope does not allow ${interaction} on ${resourceType}`);
+    }
+    if (!access.patientOnly) return next();
+
+    const patientId = req.smart.patient;
+    if (!patientId) {
+      return sendForbidden(res, 'patient scopes require a launch patient');
+    }
+    req.smartCompartment = patientId;
+
+    if (interaction === 'read') {
+      // Patient reads are checked here; other resources are checked against their subject after loading
+      if (resourceType === 'Patient' && req.params.id !== patientId) {
+        return sendForbidden(res, 'Token is limited to the launch patient');
+      }
+      return next();
+    }
+
+    // Searches are pinned to the launch patient
+    if (resourceType === 'Patient') {
+      if (req.query._id && req.query._id !== patientId) {
+        return sendForbidden(res, 'Token is limited to the launch patient');
+      }
+      req.query._id = patientId;
+    } else {
+      const requested = req.query.patient || req.query.subject;
+      if (requested && !new RegExp(`(?:^|/)${patientId}$`).test(String(requested))) {
+        return sendForbidden(res, 'Token is limited to the launch patient');
+      }
+      delete req.query.subject;
+      req.query.patient = patientId;
+    }
+    next();
+  };
+};
+
+/**
+ * Whether a loaded resource is inside the SMART patient compartment (always true without one)
+ * @param {Object} req - Request (req.smartCompartment set by requireSmartScope)
+ * @param {Object} resource - FHIR resource
+ * @returns {boolean}
+ */
+export const inSmartCompartment = (req, resource) => {
+  if (!req.smartCompartment) return true;
+  const patientRef = `Patient/${req.smartCompartment}`;
+  if (resource.resourceType === 'Patient') return resource.id === req.smartCompartment;
+  return [resource.subject, resource.patient].some(ref => ref?.reference === patientRef);
+};
+
+/**
+ * Reject SMART app tokens on FHIR operations outside the SMART scopes (import, bulk export)
+ */
+export const denySmartTokens = (req, res, next) => {
+  if (req.smart) {
+    return sendForbidden(res, 'This operation is not available to SMART app tokens');
+  }
+  next();
+};
@@ -0,0 +1,178 @@
+// Appointment Reminder API Routes
+// Reminder rules (how long before an appointment, which types, SMS and email templates), the reminders sent for an
+// appointment, and patient replies. Replies are collected from the notification transport every minute; a gateway
+// or staff can also post them here. Confirmed and cancelled appointments are broadcast to the schedule.
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import { broadcastAppointmentUpdate } from '../server.js';
+import appointmentReminderService, { ReminderError } from '../services/appointment-reminder.service.js';
+
+const router = Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ReminderError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Reminders API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+function broadcast(appointments) {
+  for (const appointment of appointments) {
+    try {
+      broadcastAppointmentUpdate({ ...appointment, date: new Date(appointment.start).toISOString().split('T')[0] });
+    } catch (broadcastError) {
+      console.warn('[Reminders API] WebSocket broadcast failed:', broadcastError);
+    }
+  }
+}
+
+/* ---------- Rules ---------- */
+
+/**
+ * Reminder rules, furthest ahead first
+ * GET /api/appointment-reminders/rules
+ */
+router.get('/appointment-reminders/rules',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    try {
+      const data = await appointmentReminderService.listRules();
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list reminder rules');
+    }
+  }
+);
+
+/**
+ * Add a reminder rule
+ * POST /api/appointment-reminders/rules
+ * Body: { name, offset (72h, 2h, 30m, 1d), appointmentTypes (omit for all), smsTemplate, emailSubject, emailTemplate,
+ *   active }. Templates use {{patientFirstName}}, {{patientName}}, {{providerName}}, {{appointmentType}}, {{date}},
+ *   {{time}}, {{room}}, {{clinicName}} and {{clinicPhone}}.
+ */
+router.post('/appointment-reminders/rules',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    try {
+      const data = await appointmentReminderService.saveRule(req.body || {});
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'add reminder rule');
+    }
+  }
+);
+
+/**
+ * Change a reminder rule (active: false turns it off)
+ * PUT /api/appointment-reminders/rules/:id
+ * Body: as for POST
+ */
+router.put('/appointment-reminders/rules/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const ruleId = parseId(req.params.id);
+    if (!ruleId) {
+      return res.status(400).json({ ok: false, error: 'Invalid reminder rule ID' });
+    }
+
+    try {
+      const data = await appointmentReminderService.saveRule(req.body || {}, ruleId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update reminder rule');
+    }
+  }
+);
+
+/* ---------- Reminders ---------- */
+
+/**
+ * Reminders sent, failed or skipped for an appointment
+ * GET /api/appointment-reminders?appointmentId=42
+ */
+router.get('/appointment-reminders',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    const appointmentId = parseId(req.query.appointmentId);
+    if (!appointmentId) {
+      return res.status(400).json({ ok: false, error: 'appointmentId is required' });
+    }
+
+    try {
+      const data = await appointmentReminderService.listReminders(appointmentId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list appointment reminders');
+    }
+  }
+);
+
+/**
+ * Send due reminders now instead of waiting for the scheduler
+ * POST /api/appointment-reminders/run
+ */
+router.post('/appointment-reminders/run',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    try {
+      const data = await appointmentReminderService.sendDueReminders();
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'send reminders');
+    }
+  }
+);
+
+/* ---------- Replies ---------- */
+
+/**
+ * Record a patient's reply (C confirms and X cancels a reminded appointment; YES/NO answers a waitlist offer)
+ * POST /api/appointment-reminders/replies
+ * Body: { channel (sms|email), from (phone number or email address), body }
+ */
+router.post('/appointment-reminders/replies',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    try {
+      const data = await appointmentReminderService.handleReply(req.body || {});
+      if (data.appointment) broadcast([data.appointment]);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'record reply');
+    }
+  }
+);
+
+/**
+ * Collect replies waiting at the notification transport now
+ * POST /api/appointment-reminders/replies/collect
+ */
+router.post('/appointment-reminders/replies/collect',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    try {
+      const data = await appointmentReminderService.processReplies();
+      broadcast(data.appointments);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'collect replies');
+    }
+  }
+);
+
+export default router;
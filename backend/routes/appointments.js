@@ -4,6 +4,13 @@ import pool from '../db/index.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { checkPermission } from '../middleware/rbac.js';
 import { broadcastAppointmentUpdate, broadcastMetricsUpdate } from '../server.js';
+import patientStatementService from '../services/patient-statement.service.js';
+import schedulingService, {
+  SchedulingError,
+  INACTIVE_APPOINTMENT_STATUSES,
+} from '../services/scheduling.service.js';
+import appointmentSeriesService, { SERIES_SCOPES } from '../services/appointment-series.service.js';
+import waitlistService from '../services/waitlist.service.js';
 
 const router = Router();
 
@@ -25,6 +32,33 @@ function normISO(v, fallback) {
     return new Date(fallback ?? Date.now()).toISOString();
   }
 }
+// scheduling errors carry their status; conflicts come back as a structured 409
+function sendSchedulingError(res, e) {
+  return res
+    .status(e.status)
+    .json({ ok: false, error: e.message, ...(e.conflicts ? { conflicts: e.conflicts } : {}) });
+}
+// push an appointment row to WebSocket clients (date lets clients filter by day)
+function broadcastAppointment(row, tag) {
+  try {
+    broadcastAppointmentUpdate({ ...row, date: new Date(row.start).toISOString().split('T')[0] });
+  } catch (broadcastError) {
+    console.warn(`[appointments:${tag}] WebSocket broadcast failed:`, broadcastError);
+  }
+}
+// offer a newly cancelled slot to the waitlist; runs after the response so a failure never undoes the cancellation
+function offerFreedSlot(row) {
+  waitlistService
+    .offerSlot({
+      appointmentId: row.id,
+      providerId: row.provider_id,
+      start: row.start,
+      end: row.end,
+      type: row.type,
+      room: row.room,
+    })
+    .catch((waitlistError) => console.warn('[appointments:waitlist] Offering the freed slot failed:', waitlistError));
+}
 const provName = (p) =>
   p
     ? `${p.first_name ?? ''} ${p.last_name ?? ''}`.replace(/\s+/g, ' ').trim() || `Provider #${p.id}`
@@ -49,6 +83,7 @@ function normalizeApptStatus(input) {
   const s = String(input || '').toLowerCase();
   if (!s) return 'booked';
   if (VALID_APPT_STATUS.has(s)) return s;
+  if (s === 'canceled' || s === 'cancel') return 'cancelled';
   if (s === 'completed' || s === 'done') return 'fulfilled';
   if (s === 'no_show' || s === 'no-show' || s === 'no show') return 'noshow';
   if (s === 'checked_in' || s === 'checked-in' || s === 'checkin') return 'arrived';
@@ -88,6 +123,7 @@ router.get('/appointments', authenticateToken, checkPermission('appointments:rea
         a.id, a.provider_id, a.patient_id,
         a.start_ts AS start, a.end_ts AS "end",
         a.title, a.type, a.status, a.notes, a.room,
+        a.series_id, a.series_index, a.series_exception, a.confirmed_at,
         pv.first_name AS provider_first_name,
         pv.last_name  AS provider_last_name,
         pt.first_name AS patient_first_name,
@@ -114,6 +150,10 @@ router.get('/appointments', authenticateToken, checkPermission('appointments:rea
       status: x.status, // TEXT
       notes: x.notes,
       room: x.room,
+      series_id: x.series_id,
+      series_index: x.series_index,
+      series_exception: x.series_exception,
+      confirmed_at: x.confirmed_at,
       provider_name: provName({
         id: x.provider_id,
         first_name: x.provider_first_name,
@@ -132,9 +172,52 @@ router.get('/appointments', authenticateToken, checkPermission('appointments:rea
   }
 });
 
+/* ==========================================================
+ * GET /api/appointments/slots?provider_id=1&date=YYYY-MM-DD&days=1&type=physical&duration=30&exclude_id=42
+ * Open slots from the provider's schedule templates and exceptions minus booked appointments.
+ * duration defaults to the appointment type's; exclude_id frees an appointment being rescheduled.
+ * ========================================================== */
+router.get('/appointments/slots', authenticateToken, checkPermission('appointments:read'), async (req, res) => {
+  try {
+    const provider_id = toInt32(req.query.provider_id ?? req.query.providerId);
+    if (!Number.isFinite(provider_id)) {
+      return res.status(400).json({ ok: false, error: 'provider_id is required' });
+    }
+    const duration = req.query.duration != null ? toInt32(req.query.duration) : null;
+    if (Number.isNaN(duration) || duration > 480) {
+      return res.status(400).json({ ok: false, error: 'duration must be 1-480 minutes' });
+    }
+    const excludeId = req.query.exclude_id != null ? toInt32(req.query.exclude_id) : null;
+
+    const result = await schedulingService.getSlots({
+      providerId: provider_id,
+      date: req.query.date ?? schedulingService.dateOnly(new Date()),
+      days: req.query.days != null ? toInt(req.query.days) : 1,
+      type: req.query.type || null,
+      duration,
+      excludeAppointmentId: Number.isFinite(excludeId) ? excludeId : null,
+    });
+
+    res.json({
+      ok: true,
+      data: {
+        provider_id,
+        type: result.type,
+        duration: result.duration,
+        slots: result.slots,
+      },
+    });
+  } catch (e) {
+    if (e instanceof SchedulingError) return sendSchedulingError(res, e);
+    console.error('[appointments:slots]', e);
+    res.status(500).json({ ok: false, error: e.message || 'Database error' });
+  }
+});
+
 /* ==========================================================
  * POST /api/appointments
  * body: { provider_id, patient_id, start, end, title?, type?, status?, notes?, room? }
+ * 409 { conflicts } when the provider (beyond the type's overbooking allowance), room or patient is already booked
  * ========================================================== */
 router.post('/appointments', authenticateToken, checkPermission('appointments:create'), async (req, res) => {
   try {
@@ -154,7 +237,7 @@ router.post('/appointments', authenticateToken, checkPermission('appointments:cr
 
     const status = normalizeApptStatus(b.status);
 
-    const r = await pool.query(
+    const insert = (db) => db.query(
       `
       INSERT INTO appointments
         (provider_id, patient_id, start_ts, end_ts, title, type, status, notes, room)
@@ -177,6 +260,12 @@ router.post('/appointments', authenticateToken, checkPermission('appointments:cr
         b.room ?? null,
       ],
     );
+    const r = INACTIVE_APPOINTMENT_STATUSES.includes(status)
+      ? await insert(pool)
+      : await schedulingService.withConflictCheck(
+          { providerId: provider_id, patientId: patient_id, room: b.room, start: b.start, end: b.end, type: b.type },
+          insert,
+        );
 
     // Optional: sync patient's primary provider if you keep that column
     try {
@@ -189,27 +278,89 @@ router.post('/appointments', authenticateToken, checkPermission('appointments:cr
     } catch {}
 
     // Broadcast the new appointment to WebSocket clients
-    const appointmentData = {
-      ...r.rows[0],
-      date: r.rows[0].start?.split('T')[0] // Extract date for client filtering
-    };
-    
-    try {
-      broadcastAppointmentUpdate(appointmentData);
-    } catch (broadcastError) {
-      console.warn('[appointments:create] WebSocket broadcast failed:', broadcastError);
-    }
+    broadcastAppointment(r.rows[0], 'create');
 
     res.json({ ok: true, data: r.rows[0] });
   } catch (e) {
+    if (e instanceof SchedulingError) return sendSchedulingError(res, e);
     console.error('[appointments:create]', e);
     res.status(500).json({ ok: false, error: e.message || 'Database error' });
   }
 });
 
+/* ==========================================================
+ * POST /api/appointments/series
+ * body: { provider_id, patient_id, start, end (first occurrence), rrule, title?, type?, status?, notes?, room?,
+ *         skip_conflicts? }
+ * rrule: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, COUNT or UNTIL, BYDAY (weekly), BYMONTHDAY (monthly)
+ * Every occurrence is an appointments row. 409 { conflicts } (tagged with occurrenceStart) when occurrences clash,
+ * unless skip_conflicts books the free ones and returns the rest in skipped.
+ * ========================================================== */
+router.post('/appointments/series', authenticateToken, checkPermission('appointments:create'), async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const provider_id = toInt32(b.provider_id);
+    const patient_id = toInt32(b.patient_id);
+    if (!Number.isFinite(provider_id) || !Number.isFinite(patient_id)) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'provider_id and patient_id are required numbers' });
+    }
+    if (!b.start || !b.end || !b.rrule) {
+      return res
+        .status(400)
+        .json({ ok: false, error: 'start, end and rrule are required' });
+    }
+
+    const result = await appointmentSeriesService.createSeries({
+      providerId: provider_id,
+      patientId: patient_id,
+      start: b.start,
+      end: b.end,
+      rrule: b.rrule,
+      title: b.title,
+      type: b.type,
+      status: normalizeApptStatus(b.status),
+      notes: b.notes,
+      room: b.room,
+      skipConflicts: b.skip_conflicts === true,
+    }, req.user?.userId ?? req.user?.id ?? null);
+
+    result.appointments.forEach((row) => broadcastAppointment(row, 'create-series'));
+
+    res.json({ ok: true, data: result });
+  } catch (e) {
+    if (e instanceof SchedulingError) return sendSchedulingError(res, e);
+    console.error('[appointments:create-series]', e);
+    res.status(500).json({ ok: false, error: e.message || 'Database error' });
+  }
+});
+
+/* ==========================================================
+ * GET /api/appointments/series/:id
+ * ========================================================== */
+router.get('/appointments/series/:id', authenticateToken, checkPermission('appointments:read'), async (req, res) => {
+  try {
+    const id = toInt32(req.params.id);
+    if (!Number.isFinite(id)) {
+      return res.status(400).json({ ok: false, error: 'Invalid id' });
+    }
+    const data = await appointmentSeriesService.getSeries(id);
+    if (!data) return res.status(404).json({ ok: false, error: 'Not found' });
+    res.json({ ok: true, data });
+  } catch (e) {
+    console.error('[appointments:series]', e);
+    res.status(500).json({ ok: false, error: e.message || 'Database error' });
+  }
+});
+
 /* ==========================================================
  * PUT /api/appointments/:id
  * Accepts partial fields. Maps start/end -> start_ts/end_ts in DB.
+ * Changes to time, provider, patient, room or type are conflict-checked like POST (409 { conflicts }).
+ * For series occurrences, scope: 'following' | 'series' applies the change to this and later / all upcoming
+ * occurrences (a time change moves each by the same amount) and returns the changed rows as an array.
+ * Cancelling offers the freed slot to matching waitlisted patients (see routes/waitlist.routes.js).
  * ========================================================== */
 router.put('/appointments/:id', authenticateToken, checkPermission('appointments:write'), async (req, res) => {
   try {
@@ -223,6 +374,30 @@ router.put('/appointments/:id', authenticateToken, checkPermission('appointments
       body.status = normalizeApptStatus(body.status);
     }
 
+    const scope = body.scope ?? 'occurrence';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ ok: false, error: `scope must be one of ${SERIES_SCOPES.join(', ')}` });
+    }
+    if (scope !== 'occurrence') {
+      const changes = {};
+      const keys = { provider_id: 'providerId', patient_id: 'patientId', start: 'start', end: 'end', title: 'title',
+        type: 'type', status: 'status', notes: 'notes', room: 'room' };
+      for (const [k, key] of Object.entries(keys)) {
+        if (Object.prototype.hasOwnProperty.call(body, k)) {
+          changes[key] = k.endsWith('_id') ? toInt32(body[k]) : body[k];
+        }
+      }
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ ok: false, error: 'No fields to update' });
+      }
+
+      const rows = await appointmentSeriesService.updateOccurrences(id, scope, changes);
+      // One broadcast per changed occurrence
+      rows.forEach((row) => broadcastAppointment(row, 'update'));
+      if (changes.status === 'cancelled') rows.forEach(offerFreedSlot);
+      return res.json({ ok: true, data: rows });
+    }
+
     const sets = [];
     const vals = [];
     let i = 1;
@@ -249,34 +424,76 @@ router.put('/appointments/:id', authenticateToken, checkPermission('appointments
     if (sets.length === 0) {
       return res.status(400).json({ ok: false, error: 'No fields to update' });
     }
+    // a series occurrence moved on its own no longer follows the series' pattern
+    if (['start', 'end', 'provider_id'].some((k) => Object.prototype.hasOwnProperty.call(body, k))) {
+      sets.push('series_exception = (series_id IS NOT NULL)');
+    }
+    // a patient's reminder confirmation was for the old time
+    if (['start', 'end'].some((k) => Object.prototype.hasOwnProperty.call(body, k))) {
+      sets.push('confirmed_at = NULL');
+    }
 
     vals.push(id);
 
-    const r = await pool.query(
+    const update = (db) => db.query(
       `UPDATE appointments
           SET ${sets.join(', ')}
         WHERE id = $${i}
         RETURNING id, provider_id, patient_id,
                   start_ts AS start, end_ts AS "end",
-                  title, type, status, notes, room`,
+                  title, type, status, notes, room,
+                  series_id, series_index, series_exception, confirmed_at`,
       vals,
     );
+
+    let r;
+    let wasCancelled = false;
+    const rebooks = ['provider_id', 'patient_id', 'start', 'end', 'room', 'type', 'status']
+      .some((k) => Object.prototype.hasOwnProperty.call(body, k));
+    if (rebooks) {
+      const cur = await pool.query(
+        'SELECT provider_id, patient_id, start_ts, end_ts, room, type, status FROM appointments WHERE id = $1',
+        [id],
+      );
+      if (cur.rowCount === 0) return res.status(404).json({ ok: false, error: 'Not found' });
+      const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+      const c = cur.rows[0];
+      const next = {
+        appointmentId: id,
+        providerId: has('provider_id') ? toInt32(body.provider_id) : c.provider_id,
+        patientId: has('patient_id') ? toInt32(body.patient_id) : c.patient_id,
+        start: has('start') ? body.start : c.start_ts,
+        end: has('end') ? body.end : c.end_ts,
+        room: has('room') ? body.room : c.room,
+        type: has('type') ? body.type : c.type,
+      };
+      const status = has('status') ? body.status : c.status;
+      wasCancelled = c.status === 'cancelled';
+      r = INACTIVE_APPOINTMENT_STATUSES.includes(status)
+        ? await update(pool)
+        : await schedulingService.withConflictCheck(next, update);
+    } else {
+      r = await update(pool);
+    }
     if (r.rowCount === 0) return res.status(404).json({ ok: false, error: 'Not found' });
-    
-    // Broadcast the updated appointment to WebSocket clients
-    const appointmentData = {
-      ...r.rows[0],
-      date: r.rows[0].start?.split('T')[0] // Extract date for client filtering
-    };
-    
-    try {
-      broadcastAppointmentUpdate(appointmentData);
-    } catch (broadcastError) {
-      console.warn('[appointments:update] WebSocket broadcast failed:', broadcastError);
+
+    // Refresh the patient's balance and dunning status on arrival so the queue card shows any outstanding balance
+    if (r.rows[0].status === 'arrived') {
+      try {
+        await patientStatementService.refreshAccount(r.rows[0].patient_id);
+      } catch (balanceError) {
+        console.warn('[appointments:update] Balance refresh failed:', balanceError);
+      }
     }
-    
+
+    // Broadcast the updated appointment to WebSocket clients
+    broadcastAppointment(r.rows[0], 'update');
+
     res.json({ ok: true, data: r.rows[0] });
+
+    if (r.rows[0].status === 'cancelled' && !wasCancelled) offerFreedSlot(r.rows[0]);
   } catch (e) {
+    if (e instanceof SchedulingError) return sendSchedulingError(res, e);
     console.error('[appointments:update]', e);
     res.status(500).json({ ok: false, error: e.message || 'Database error' });
   }
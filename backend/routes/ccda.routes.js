@@ -0,0 +1,210 @@
+// C-CDA API Routes
+// Provides Continuity of Care Document (CCD) export for referral partners and patient records requests,
+// and import of outside CCDs / Referral Notes with problem, medication and allergy reconciliation
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import { invalidateCache } from '../middleware/cache.middleware.js';
+import ccdaService, { CCDAError } from '../services/ccda.service.js';
+import ccdaImportService from '../services/ccda-import.service.js';
+
+const router = Router();
+
+// Documents are usually posted as raw XML; JSON { document } is accepted too
+const xmlBody = express.text({ type: ['application/xml', 'text/xml', 'application/hl7-cda+xml'], limit: '10mb' });
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof CCDAError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[CCDA API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Export a patient's chart as a C-CDA R2.1 CCD
+ * GET /api/patients/:id/ccda?purpose=referral|patient-request
+ * Responds with the XML document as a download
+ */
+router.get('/patients/:id/ccda',
+  authenticateToken,
+  checkPermission('patients:export'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const { documentId, xml } = await ccdaService.generateCCD(patientId, {
+        userId: req.user.userId ?? req.user.id,
+        purpose: req.query.purpose || null,
+        endpoint: req.originalUrl
+      });
+
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="ccd-${patientId}-${documentId}.xml"`);
+      res.send(xml);
+    } catch (error) {
+      handleError(res, error, 'generate CCD');
+    }
+  }
+);
+
+/**
+ * Upload an outside CCD or Referral Note and stage it for reconciliation
+ * POST /api/patients/:id/ccda/imports
+ * Body: the XML document (Content-Type application/xml) or { document }
+ */
+router.post('/patients/:id/ccda/imports',
+  authenticateToken,
+  checkPermission('medical_history:write'),
+  xmlBody,
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    const document = typeof req.body === 'string' ? req.body : req.body?.document;
+    if (!document || typeof document !== 'string') {
+      return res.status(400).json({ ok: false, error: 'A C-CDA document is required' });
+    }
+
+    try {
+      const data = await ccdaImportService.createImport(patientId, document, {
+        userId: req.user.userId ?? req.user.id,
+        endpoint: req.originalUrl
+      });
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'import C-CDA document');
+    }
+  }
+);
+
+/**
+ * List a patient's C-CDA imports
+ * GET /api/patients/:id/ccda/imports
+ */
+router.get('/patients/:id/ccda/imports',
+  authenticateToken,
+  checkPermission('medical_history:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await ccdaImportService.listImports(patientId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list C-CDA imports');
+    }
+  }
+);
+
+/**
+ * Get an import with its reconciliation items
+ * GET /api/ccda/imports/:importId
+ */
+router.get('/ccda/imports/:importId',
+  authenticateToken,
+  checkPermission('medical_history:read'),
+  async (req, res) => {
+    const importId = parseId(req.params.importId);
+    if (!importId) {
+      return res.status(400).json({ ok: false, error: 'Invalid import ID' });
+    }
+
+    try {
+      const data = await ccdaImportService.getImport(importId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load C-CDA import');
+    }
+  }
+);
+
+/**
+ * Accept, reject or merge one reconciliation item
+ * PUT /api/ccda/imports/:importId/items/:itemId
+ * Body: { decision: 'accept'|'reject'|'merge', values? }
+ */
+router.put('/ccda/imports/:importId/items/:itemId',
+  authenticateToken,
+  checkPermission('medical_history:write'),
+  async (req, res) => {
+    const importId = parseId(req.params.importId);
+    const itemId = parseId(req.params.itemId);
+    if (!importId || !itemId) {
+      return res.status(400).json({ ok: false, error: 'Invalid import or item ID' });
+    }
+
+    try {
+      const data = await ccdaImportService.decideItem(importId, itemId, {
+        decision: req.body?.decision,
+        values: req.body?.values ?? null
+      }, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update reconciliation item');
+    }
+  }
+);
+
+/**
+ * Apply the decided items to the chart
+ * POST /api/ccda/imports/:importId/commit
+ */
+router.post('/ccda/imports/:importId/commit',
+  authenticateToken,
+  checkPermission('medical_history:write'),
+  invalidateCache('patient-medications', ['emr:patient-medications:*', 'emr:patients:*']),
+  async (req, res) => {
+    const importId = parseId(req.params.importId);
+    if (!importId) {
+      return res.status(400).json({ ok: false, error: 'Invalid import ID' });
+    }
+
+    try {
+      const data = await ccdaImportService.commitImport(importId, {
+        userId: req.user.userId ?? req.user.id,
+        endpoint: req.originalUrl
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'commit C-CDA import');
+    }
+  }
+);
+
+/**
+ * Discard a pending import without changing the chart
+ * POST /api/ccda/imports/:importId/discard
+ */
+router.post('/ccda/imports/:importId/discard',
+  authenticateToken,
+  checkPermission('medical_history:write'),
+  async (req, res) => {
+    const importId = parseId(req.params.importId);
+    if (!importId) {
+      return res.status(400).json({ ok: false, error: 'Invalid import ID' });
+    }
+
+    try {
+      const data = await ccdaImportService.discardImport(importId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'discard C-CDA import');
+    }
+  }
+);
+
+export default router;
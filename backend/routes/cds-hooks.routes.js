@@ -0,0 +1,58 @@
+// CDS Hooks API Routes
+// Discovery and service endpoints for the CDS Hooks services (patient-view, order-select, order-sign),
+// called by partner systems and by the prescribing screen
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import cdsHooksService, { CDSHooksError } from '../services/cds-hooks.service.js';
+
+const router = Router();
+
+function handleError(res, error, action) {
+  if (error instanceof CDSHooksError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[CDS Hooks API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+// Each service declares the permission it needs (guidelines vs. medication data)
+const checkServicePermission = (req, res, next) => {
+  const service = cdsHooksService.getService(req.params.serviceId);
+  if (!service) {
+    return res.status(404).json({ ok: false, error: `CDS service ${req.params.serviceId} not found` });
+  }
+  checkPermission(service.permission)(req, res, next);
+};
+
+/**
+ * CDS Hooks discovery
+ * GET /api/cds-services
+ */
+router.get('/cds-services',
+  authenticateToken,
+  (req, res) => {
+    res.json(cdsHooksService.getDiscovery());
+  }
+);
+
+/**
+ * Call a CDS service
+ * POST /api/cds-services/:serviceId
+ * Body: CDS Hooks request { hookInstance, hook, context: { patientId, userId, encounterId?, draftOrders?, selections? } }
+ * Returns { cards }
+ */
+router.post('/cds-services/:serviceId',
+  authenticateToken,
+  checkServicePermission,
+  async (req, res) => {
+    try {
+      const response = await cdsHooksService.invoke(req.params.serviceId, req.body, req.user.userId ?? req.user.id);
+      res.json(response);
+    } catch (error) {
+      handleError(res, error, 'run CDS service');
+    }
+  }
+);
+
+export default router;
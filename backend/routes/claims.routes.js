@@ -0,0 +1,293 @@
+// Claims API Routes
+// Charge capture results for completed encounters (work list, detail, recapture) and X12 837P submission:
+// validation, status changes, per-payer submission batches and 999 acknowledgments
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import claimsService, { ClaimError } from '../services/claims.service.js';
+import claimSubmissionService from '../services/claim-submission.service.js';
+
+const router = Router();
+
+// 999 interchanges are posted as raw X12
+const x12Body = express.text({ type: ['application/edi-x12', 'text/plain', 'application/x12'], limit: '5mb' });
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ClaimError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Claims API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Claims work list
+ * GET /api/claims?status=draft&patient_id=42&limit=100
+ */
+router.get('/claims',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const { status, patient_id: patientId, limit } = req.query;
+    if (patientId && !parseId(patientId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await claimsService.listClaims({
+        status: status || null,
+        patientId: patientId ? Number(patientId) : null,
+        limit: Math.min(parseId(limit) || 100, 500)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load claims');
+    }
+  }
+);
+
+/**
+ * Submit ready claims, one 837P interchange per payer
+ * POST /api/claims/submit
+ * Body: { claimIds?: number[] } (all ready claims when omitted)
+ * Returns { batches, skipped }; claims that fail re-validation are skipped and returned to draft
+ */
+router.post('/claims/submit',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const { claimIds } = req.body || {};
+    if (claimIds !== undefined && (!Array.isArray(claimIds) || claimIds.length === 0 || claimIds.some(id => !parseId(id)))) {
+      return res.status(400).json({ ok: false, error: 'claimIds must be a non-empty array of claim IDs' });
+    }
+
+    try {
+      const data = await claimSubmissionService.submit({
+        claimIds: claimIds ? [...new Set(claimIds.map(Number))] : null,
+        userId: req.user.userId ?? req.user.id
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'submit claims');
+    }
+  }
+);
+
+/**
+ * Process a 999 acknowledgment received outside the transport
+ * POST /api/claims/acknowledgments
+ * Body: raw 999 interchange
+ */
+router.post('/claims/acknowledgments',
+  authenticateToken,
+  checkPermission('billing:write'),
+  x12Body,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: '999 interchange body is required' });
+    }
+
+    try {
+      const data = await claimSubmissionService.processAcknowledgment(req.body);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'process 999');
+    }
+  }
+);
+
+/**
+ * Claim with charge lines
+ * GET /api/claims/:id
+ */
+router.get('/claims/:id',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const claimId = parseId(req.params.id);
+    if (!claimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid claim ID' });
+    }
+
+    try {
+      const data = await claimsService.getClaim(claimId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load claim');
+    }
+  }
+);
+
+/**
+ * Validate a claim for submission; a valid claim becomes ready
+ * POST /api/claims/:id/validate
+ * Returns { valid, errors: [{ field, message }], claim }
+ */
+router.post('/claims/:id/validate',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const claimId = parseId(req.params.id);
+    if (!claimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid claim ID' });
+    }
+
+    try {
+      const data = await claimSubmissionService.validate(claimId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'validate claim');
+    }
+  }
+);
+
+/**
+ * Move a claim back to draft or void it
+ * POST /api/claims/:id/status
+ * Body: { status: 'draft' | 'void', reason?: string }
+ */
+router.post('/claims/:id/status',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const claimId = parseId(req.params.id);
+    if (!claimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid claim ID' });
+    }
+    const { status, reason } = req.body || {};
+    if (typeof status !== 'string' || !status) {
+      return res.status(400).json({ ok: false, error: 'status is required' });
+    }
+
+    try {
+      const data = await claimSubmissionService.updateStatus(
+        claimId,
+        status,
+        req.user.userId ?? req.user.id,
+        typeof reason === 'string' && reason.trim() ? reason.trim() : null
+      );
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update claim status');
+    }
+  }
+);
+
+/**
+ * Claim lifecycle history
+ * GET /api/claims/:id/history
+ */
+router.get('/claims/:id/history',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const claimId = parseId(req.params.id);
+    if (!claimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid claim ID' });
+    }
+
+    try {
+      const data = await claimSubmissionService.getStatusHistory(claimId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load claim history');
+    }
+  }
+);
+
+/**
+ * Submission batches
+ * GET /api/claim-batches?payer_id=87726&status=sent&limit=100
+ */
+router.get('/claim-batches',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const { payer_id: payerId, status, limit } = req.query;
+
+    try {
+      const data = await claimSubmissionService.listBatches({
+        payerId: payerId || null,
+        status: status || null,
+        limit: Math.min(parseId(limit) || 100, 500)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load claim batches');
+    }
+  }
+);
+
+/**
+ * Submission batch with its 837P, 999 and claims
+ * GET /api/claim-batches/:id
+ */
+router.get('/claim-batches/:id',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const batchId = parseId(req.params.id);
+    if (!batchId) {
+      return res.status(400).json({ ok: false, error: 'Invalid batch ID' });
+    }
+
+    try {
+      const data = await claimSubmissionService.getBatch(batchId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load claim batch');
+    }
+  }
+);
+
+/**
+ * Claim captured for an encounter
+ * GET /api/encounters/:eid/claim
+ */
+router.get('/encounters/:eid/claim',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const encounterId = parseId(req.params.eid);
+    if (!encounterId) {
+      return res.status(400).json({ ok: false, error: 'Invalid encounter ID' });
+    }
+
+    try {
+      const data = await claimsService.getEncounterClaim(encounterId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load encounter claim');
+    }
+  }
+);
+
+/**
+ * Recapture charges for a completed encounter (after coding corrections)
+ * POST /api/encounters/:eid/claim
+ * Only draft claims are rebuilt; returns { captured, claim }
+ */
+router.post('/encounters/:eid/claim',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const encounterId = parseId(req.params.eid);
+    if (!encounterId) {
+      return res.status(400).json({ ok: false, error: 'Invalid encounter ID' });
+    }
+
+    try {
+      const data = await claimsService.captureEncounterCharges(encounterId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'capture charges');
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,33 @@
+// Clearinghouse API Routes
+// Inbound X12 processing for the file drop transport: 271, 999 and 835 files are routed to their services
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import clearinghouseService from '../services/clearinghouse.service.js';
+// Inbound processors register their transaction set handlers when loaded
+import '../services/eligibility.service.js';
+import '../services/claim-submission.service.js';
+import '../services/remittance.service.js';
+
+const router = Router();
+
+/**
+ * Process response files waiting in the inbox
+ * POST /api/clearinghouse/collect
+ * Returns { files, processed: [{ fileName, type, result }], errors: [{ fileName, error }] }
+ */
+router.post('/clearinghouse/collect',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    try {
+      const data = await clearinghouseService.processInbound();
+      res.json({ ok: true, data });
+    } catch (error) {
+      console.error('[Clearinghouse API] Error collecting responses:', error);
+      res.status(500).json({ ok: false, error: 'Failed to collect clearinghouse responses' });
+    }
+  }
+);
+
+export default router;
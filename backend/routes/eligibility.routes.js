@@ -0,0 +1,130 @@
+// Eligibility API Routes
+// X12 270/271 insurance eligibility verification: send inquiries for a coverage, review results,
+// and process 271 responses that arrive later (file drop responses are collected via /api/clearinghouse/collect)
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import eligibilityService, { EligibilityError } from '../services/eligibility.service.js';
+
+const router = Router();
+
+// 271 interchanges are posted as raw X12
+const x12Body = express.text({ type: ['application/edi-x12', 'text/plain', 'application/x12'], limit: '5mb' });
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof EligibilityError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Eligibility API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Verify eligibility for a coverage (sends a 270)
+ * POST /api/insurance/:id/eligibility
+ * Body: { serviceDate?: 'YYYY-MM-DD', serviceTypeCode?: '30' }
+ * With a synchronous transport the 271 is applied before responding (status completed/rejected);
+ * otherwise the request stays 'sent' until the 271 is processed
+ */
+router.post('/insurance/:id/eligibility',
+  authenticateToken,
+  checkPermission('patients:write'),
+  async (req, res) => {
+    const patientInsuranceId = parseId(req.params.id);
+    if (!patientInsuranceId) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance ID' });
+    }
+
+    const { serviceDate, serviceTypeCode } = req.body || {};
+    if (serviceDate && !/^\d{4}-\d{2}-\d{2}$/.test(serviceDate)) {
+      return res.status(400).json({ ok: false, error: 'serviceDate must be YYYY-MM-DD' });
+    }
+    if (serviceTypeCode && !/^[A-Z0-9]{1,2}$/.test(serviceTypeCode)) {
+      return res.status(400).json({ ok: false, error: 'serviceTypeCode must be an X12 service type code' });
+    }
+
+    try {
+      const data = await eligibilityService.verify(patientInsuranceId, req.user.userId ?? req.user.id, {
+        serviceDate,
+        serviceTypeCode
+      });
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'verify eligibility');
+    }
+  }
+);
+
+/**
+ * Eligibility history for a coverage
+ * GET /api/insurance/:id/eligibility
+ */
+router.get('/insurance/:id/eligibility',
+  authenticateToken,
+  checkPermission('patients:read'),
+  async (req, res) => {
+    const patientInsuranceId = parseId(req.params.id);
+    if (!patientInsuranceId) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance ID' });
+    }
+
+    try {
+      const data = await eligibilityService.listRequests(patientInsuranceId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load eligibility history');
+    }
+  }
+);
+
+/**
+ * One eligibility inquiry with the raw 270 and 271
+ * GET /api/eligibility/requests/:requestId
+ */
+router.get('/eligibility/requests/:requestId',
+  authenticateToken,
+  checkPermission('patients:read'),
+  async (req, res) => {
+    const requestId = parseId(req.params.requestId);
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Invalid request ID' });
+    }
+
+    try {
+      const data = await eligibilityService.getRequest(requestId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load eligibility request');
+    }
+  }
+);
+
+/**
+ * Process a 271 received outside the transport
+ * POST /api/eligibility/responses
+ * Body: raw 271 interchange
+ */
+router.post('/eligibility/responses',
+  authenticateToken,
+  checkPermission('patients:write'),
+  x12Body,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: '271 interchange body is required' });
+    }
+
+    try {
+      const data = await eligibilityService.processResponse(req.body);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'process 271');
+    }
+  }
+);
+
+export default router;
@@ -3,6 +3,7 @@ import pool from '../db/index.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { checkPermission } from '../middleware/rbac.js';
 import { auditPHIAccess, auditSearchOperation } from '../middleware/phiAuditMiddleware.js';
+import claimsService from '../services/claims.service.js';
 
 const router = Router();
 
@@ -233,13 +234,16 @@ router.get('/patients/:pid/encounters/:eid', authenticateToken, checkPermission(
   }
 });
 
-/* Patch clinical data (reason + HPI + vitals + intake + ros + status) on an encounter */
+/* Patch clinical data (reason + HPI + vitals + intake + ros + status + coding) on an encounter.
+   Completing the encounter captures its charges into a draft claim. */
 router.patch('/patients/:pid/encounters/:eid', authenticateToken, checkPermission('visits:write'),
   auditPHIAccess({ resourceType: 'encounter', action: 'UPDATE', failOnAuditError: true }), async (req, res) => {
   const pid = Number(req.params.pid);
   const eid = Number(req.params.eid);
-  const { hpi = null, vitals = null, status = null, reason = null, intake = null, ros = null } =
-    req.body || {};
+  const {
+    hpi = null, vitals = null, status = null, reason = null, intake = null, ros = null,
+    diagnoses = null, em_code = null
+  } = req.body || {};
 
   // Log payload size for monitoring large requests
   if (process.env.NODE_ENV === 'development') {
@@ -251,6 +255,12 @@ router.patch('/patients/:pid/encounters/:eid', authenticateToken, checkPermissio
   if (!Number.isFinite(pid) || !Number.isFinite(eid)) {
     return res.status(400).json({ ok: false, error: 'Invalid ids' });
   }
+  if (diagnoses !== null && (!Array.isArray(diagnoses) || diagnoses.some(dx => !dx || typeof dx.code !== 'string'))) {
+    return res.status(400).json({ ok: false, error: 'diagnoses must be an array of { code, description, primary }' });
+  }
+  if (em_code !== null && !claimsService.isEMCode(em_code)) {
+    return res.status(400).json({ ok: false, error: 'em_code must be an office visit E/M code (99202-99215)' });
+  }
   try {
     // Handle HPI serialization properly (since it's stored as TEXT, not JSONB)
     const hpiString = hpi ? JSON.stringify(hpi) : null;
@@ -262,11 +272,14 @@ router.patch('/patients/:pid/encounters/:eid', authenticateToken, checkPermissio
               status = COALESCE($5, status),
               reason = COALESCE($6, reason),
               intake = COALESCE($7::jsonb, intake),
-              ros    = COALESCE($8::jsonb, ros)
+              ros    = COALESCE($8::jsonb, ros),
+              diagnoses = COALESCE($9::jsonb, diagnoses),
+              em_code = COALESCE($10, em_code)
         WHERE id = $1 AND patient_id = $2
       RETURNING id as eid, patient_id as pid, reason, status,
-                created_at, hpi, vitals, intake, ros`,
-      [eid, pid, hpiString, vitals, status, reason, intake, ros]
+                created_at, hpi, vitals, intake, ros, diagnoses, em_code`,
+      [eid, pid, hpiString, vitals, status, reason, intake, ros,
+       diagnoses ? JSON.stringify(diagnoses) : null, em_code]
     );
     if (r.rowCount === 0) {
       return res.status(404).json({ ok: false, error: 'Encounter not found' });
@@ -283,6 +296,18 @@ router.patch('/patients/:pid/encounters/:eid', authenticateToken, checkPermissio
       }
     }
 
+    // Charge capture must not fail the clinical save; a failed capture is reported and can be retried
+    // from POST /api/encounters/:eid/claim
+    if (status && claimsService.isCompletedStatus(updatedEncounter.status)) {
+      try {
+        const { claim } = await claimsService.captureEncounterCharges(eid, req.user.userId ?? req.user.id);
+        updatedEncounter.claim = claim;
+      } catch (captureError) {
+        console.error('[encounters:update] Charge capture failed:', captureError);
+        updatedEncounter.charge_capture_error = captureError.message;
+      }
+    }
+
     res.json({ ok: true, data: updatedEncounter });
   } catch (e) {
     console.error('[encounters:update]', e);
@@ -0,0 +1,414 @@
+// E-Prescribing API Routes
+// Pharmacy directory and preferred pharmacy, electronic prescriptions (NewRx/CancelRx), the provider queue of
+// pharmacy renewal and change requests, inbound NCPDP SCRIPT messages and the pharmacy simulator
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import eprescribingService, { ErxError, DENIAL_REASONS } from '../services/eprescribing.service.js';
+
+const router = Router();
+
+const xmlBody = express.text({ type: ['application/xml', 'text/xml'], limit: '2mb' });
+
+const REQUEST_STATUSES = ['pending', 'approved', 'denied', 'replaced'];
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof ErxError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[ERx API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/* ---------- Pharmacy directory ---------- */
+
+/**
+ * Search the pharmacy directory
+ * GET /api/pharmacies?search=walgreens&zip=627&limit=50
+ */
+router.get('/pharmacies',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    try {
+      const data = await eprescribingService.searchPharmacies({
+        search: req.query.search?.trim() || null,
+        zip: req.query.zip?.trim() || null,
+        limit: Math.min(parseId(req.query.limit) || 50, 200)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'search pharmacies');
+    }
+  }
+);
+
+/**
+ * Add a pharmacy to the directory
+ * POST /api/pharmacies
+ * Body: { ncpdpId, npi, name, addressLine1, addressLine2, city, state, zipCode, phone, fax, pharmacyType, acceptsErx }
+ */
+router.post('/pharmacies',
+  authenticateToken,
+  checkPermission('medications:write'),
+  async (req, res) => {
+    try {
+      const data = await eprescribingService.savePharmacy(req.body || {});
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'add pharmacy');
+    }
+  }
+);
+
+/**
+ * Update a pharmacy
+ * PUT /api/pharmacies/:id
+ * Body: as for POST, plus active
+ */
+router.put('/pharmacies/:id',
+  authenticateToken,
+  checkPermission('medications:write'),
+  async (req, res) => {
+    const pharmacyId = parseId(req.params.id);
+    if (!pharmacyId) {
+      return res.status(400).json({ ok: false, error: 'Invalid pharmacy ID' });
+    }
+
+    try {
+      const data = await eprescribingService.savePharmacy(req.body || {}, pharmacyId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update pharmacy');
+    }
+  }
+);
+
+/**
+ * Set or clear a patient's preferred pharmacy
+ * PUT /api/patients/:id/preferred-pharmacy
+ * Body: { pharmacyId } (null clears it)
+ */
+router.put('/patients/:id/preferred-pharmacy',
+  authenticateToken,
+  checkPermission('medications:write'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    const pharmacyId = req.body?.pharmacyId ?? null;
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    if (pharmacyId !== null && !parseId(pharmacyId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid pharmacy ID' });
+    }
+
+    try {
+      const data = await eprescribingService.setPreferredPharmacy(patientId, pharmacyId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'set preferred pharmacy');
+    }
+  }
+);
+
+/* ---------- E-prescriptions ---------- */
+
+/**
+ * E-prescriptions, newest first
+ * GET /api/eprescriptions?patientId=1&status=error&limit=50&offset=0
+ */
+router.get('/eprescriptions',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const { patientId, status, limit, offset } = req.query;
+    if (patientId !== undefined && !parseId(patientId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await eprescribingService.listEPrescriptions({
+        patientId: parseId(patientId),
+        status: status || null,
+        limit: Math.min(parseId(limit) || 50, 200),
+        offset: Math.max(Number(offset) || 0, 0)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load e-prescriptions');
+    }
+  }
+);
+
+/**
+ * E-prescription with its SCRIPT message history
+ * GET /api/eprescriptions/:id
+ */
+router.get('/eprescriptions/:id',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const eprescriptionId = parseId(req.params.id);
+    if (!eprescriptionId) {
+      return res.status(400).json({ ok: false, error: 'Invalid e-prescription ID' });
+    }
+
+    try {
+      const data = await eprescribingService.getEPrescription(eprescriptionId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load e-prescription');
+    }
+  }
+);
+
+/**
+ * Resend a prescription whose NewRx was not delivered
+ * POST /api/eprescriptions/:id/send
+ */
+router.post('/eprescriptions/:id/send',
+  authenticateToken,
+  checkPermission('prescriptions:create'),
+  async (req, res) => {
+    const eprescriptionId = parseId(req.params.id);
+    if (!eprescriptionId) {
+      return res.status(400).json({ ok: false, error: 'Invalid e-prescription ID' });
+    }
+
+    try {
+      const data = await eprescribingService.resend(eprescriptionId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'resend e-prescription');
+    }
+  }
+);
+
+/**
+ * Ask the pharmacy to cancel a prescription (CancelRx)
+ * POST /api/eprescriptions/:id/cancel
+ * Body: { reason }
+ */
+router.post('/eprescriptions/:id/cancel',
+  authenticateToken,
+  checkPermission('prescriptions:create'),
+  async (req, res) => {
+    const eprescriptionId = parseId(req.params.id);
+    if (!eprescriptionId) {
+      return res.status(400).json({ ok: false, error: 'Invalid e-prescription ID' });
+    }
+
+    try {
+      const data = await eprescribingService.cancel(eprescriptionId, {
+        reason: req.body?.reason?.trim() || null,
+        userId: req.user.userId ?? req.user.id
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'cancel e-prescription');
+    }
+  }
+);
+
+/* ---------- Renewal and change queue ---------- */
+
+/**
+ * Pharmacy renewal and change requests, oldest first
+ * GET /api/erx/requests?status=pending&type=renewal&providerId=2&patientId=1
+ */
+router.get('/erx/requests',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const { status = 'pending', type, providerId, patientId } = req.query;
+    if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be all or one of ${REQUEST_STATUSES.join(', ')}` });
+    }
+    if (type !== undefined && !['renewal', 'change'].includes(type)) {
+      return res.status(400).json({ ok: false, error: 'type must be renewal or change' });
+    }
+
+    try {
+      const data = await eprescribingService.listRequests({
+        status: status === 'all' ? null : status,
+        type: type || null,
+        providerId: parseId(providerId),
+        patientId: parseId(patientId)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load pharmacy requests');
+    }
+  }
+);
+
+/**
+ * Pharmacy request with the message the pharmacy sent
+ * GET /api/erx/requests/:id
+ */
+router.get('/erx/requests/:id',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const requestId = parseId(req.params.id);
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Invalid request ID' });
+    }
+
+    try {
+      const data = await eprescribingService.getRequest(requestId, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load pharmacy request');
+    }
+  }
+);
+
+/**
+ * Approve or deny a renewal or change request (sends RxRenewalResponse/RxChangeResponse)
+ * POST /api/erx/requests/:id/respond
+ * Body: { decision: 'approve' | 'deny', refills, note, denialReasonCode }
+ */
+router.post('/erx/requests/:id/respond',
+  authenticateToken,
+  checkPermission('prescriptions:create'),
+  async (req, res) => {
+    const requestId = parseId(req.params.id);
+    const { decision, refills, note, denialReasonCode } = req.body || {};
+    if (!requestId) {
+      return res.status(400).json({ ok: false, error: 'Invalid request ID' });
+    }
+    if (!['approve', 'deny'].includes(decision)) {
+      return res.status(400).json({ ok: false, error: 'decision must be approve or deny' });
+    }
+    if (refills !== undefined && refills !== null && !Number.isInteger(refills)) {
+      return res.status(400).json({ ok: false, error: 'refills must be an integer' });
+    }
+
+    try {
+      const data = await eprescribingService.respondToRequest(requestId, {
+        approve: decision === 'approve',
+        refills: refills ?? null,
+        note: note?.trim() || null,
+        denialReasonCode: denialReasonCode || null,
+        userId: req.user.userId ?? req.user.id
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'respond to pharmacy request');
+    }
+  }
+);
+
+/**
+ * Denial reason codes for renewal and change responses
+ * GET /api/erx/denial-reasons
+ */
+router.get('/erx/denial-reasons',
+  authenticateToken,
+  checkPermission('medications:read'),
+  (req, res) => {
+    res.json({
+      ok: true,
+      data: Object.entries(DENIAL_REASONS).map(([code, description]) => ({ code, description }))
+    });
+  }
+);
+
+/* ---------- Inbound messages and simulator ---------- */
+
+/**
+ * Receive a SCRIPT message from a pharmacy or the network; answers with the Status/Error for the sender
+ * POST /api/erx/inbound
+ * Body: SCRIPT XML (Content-Type application/xml)
+ */
+router.post('/erx/inbound',
+  authenticateToken,
+  checkPermission('medications:write'),
+  xmlBody,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: 'SCRIPT XML body is required' });
+    }
+
+    try {
+      const result = await eprescribingService.processInbound(req.body, { userId: req.user.userId ?? req.user.id });
+      if (result.reply) {
+        return res.type('application/xml').send(result.reply);
+      }
+      res.status(204).end();
+    } catch (error) {
+      handleError(res, error, 'process SCRIPT message');
+    }
+  }
+);
+
+/**
+ * Have the simulated pharmacy send a renewal request for a prescription (simulator transport only)
+ * POST /api/erx/simulator/renewal-requests
+ * Body: { eprescriptionId, refills, note }
+ */
+router.post('/erx/simulator/renewal-requests',
+  authenticateToken,
+  checkPermission('prescriptions:create'),
+  async (req, res) => {
+    const { eprescriptionId, refills, note } = req.body || {};
+    if (!parseId(eprescriptionId)) {
+      return res.status(400).json({ ok: false, error: 'eprescriptionId is required' });
+    }
+
+    try {
+      const data = await eprescribingService.simulateRequest(
+        'renewal',
+        eprescriptionId,
+        { refills: Number.isInteger(refills) ? refills : null, note: note || null },
+        req.user.userId ?? req.user.id
+      );
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'simulate renewal request');
+    }
+  }
+);
+
+/**
+ * Have the simulated pharmacy send a change request for a prescription (simulator transport only)
+ * POST /api/erx/simulator/change-requests
+ * Body: { eprescriptionId, code (G generic, T therapeutic, P prior authorization, OS out of stock), drugDescription,
+ * ndc, quantity, note }
+ */
+router.post('/erx/simulator/change-requests',
+  authenticateToken,
+  checkPermission('prescriptions:create'),
+  async (req, res) => {
+    const { eprescriptionId, code, drugDescription, ndc, quantity, note } = req.body || {};
+    if (!parseId(eprescriptionId)) {
+      return res.status(400).json({ ok: false, error: 'eprescriptionId is required' });
+    }
+
+    try {
+      const data = await eprescribingService.simulateRequest(
+        'change',
+        eprescriptionId,
+        {
+          code: code || 'G',
+          drugDescription: drugDescription || null,
+          ndc: ndc || null,
+          quantity: Number(quantity) > 0 ? Number(quantity) : null,
+          note: note || null
+        },
+        req.user.userId ?? req.user.id
+      );
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'simulate change request');
+    }
+  }
+);
+
+export default router;
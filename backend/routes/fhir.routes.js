@@ -0,0 +1,310 @@
+// FHIR R4 API Routes
+// Read and search interactions for Patient, Encounter, Observation, AllergyIntolerance,
+// MedicationRequest, MedicationStatement and Condition, Bulk Data $export and Bundle import.
+// Accepts EHR session tokens and SMART app tokens (scopes enforced per resource type)
+
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import { auditPHIAccess } from '../middleware/phiAuditMiddleware.js';
+import { invalidateCache } from '../middleware/cache.middleware.js';
+import { requireSmartScope, inSmartCompartment, denySmartTokens } from '../middleware/smart.middleware.js';
+import fhirService, { FHIRError } from '../services/fhir.service.js';
+import bulkExportService from '../services/fhir-bulk-export.service.js';
+import fhirImportService, { ImportEntryError } from '../services/fhir-import.service.js';
+
+const router = Router();
+
+const FHIR_BASE = '/fhir/R4';
+
+// FHIR clients post Bundles/Parameters as application/fhir+json; Bundles can be large
+router.use(FHIR_BASE, express.json({ type: 'application/fhir+json', limit: '10mb' }));
+
+/* ---------- Helpers ---------- */
+
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api${FHIR_BASE}`;
+}
+
+// res.json keeps the explicit FHIR content type and goes through the PHI audit interceptor
+function sendResource(res, resource, status = 200) {
+  res.status(status).type('application/fhir+json').json(resource);
+}
+
+function sendOutcome(res, status, message, code) {
+  sendResource(res, fhirService.operationOutcome(message, code), status);
+}
+
+function handleError(res, error, context) {
+  if (error instanceof FHIRError) {
+    return sendOutcome(res, error.status, error.message, error.code);
+  }
+  console.error(`[fhir API] ${context}:`, error);
+  return sendOutcome(res, 500, 'Internal server error', 'exception');
+}
+
+/**
+ * Build a read + search route pair for a resource type
+ */
+function registerResource(type, { permission, auditResource, read, search }) {
+  router.get(`${FHIR_BASE}/${type}`, authenticateToken, checkPermission(permission), requireSmartScope(type, 'search'),
+    auditPHIAccess({ resourceType: auditResource, action: 'SEARCH', failOnAuditError: true }), async (req, res) => {
+    try {
+      const { resources, total, offset, count } = await search(req.query);
+      const self = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+      sendResource(res, fhirService.toSearchBundle(resources, total, baseUrl(req), self, { offset, count }));
+    } catch (error) {
+      handleError(res, error, `Error searching ${type}`);
+    }
+  });
+
+  router.get(`${FHIR_BASE}/${type}/:id`, authenticateToken, checkPermission(permission), requireSmartScope(type, 'read'),
+    auditPHIAccess({ resourceType: auditResource, action: 'VIEW', failOnAuditError: true }), async (req, res) => {
+    try {
+      const resource = await read(req.params.id);
+      // Outside a SMART token's patient compartment looks the same as not found
+      if (!resource || !inSmartCompartment(req, resource)) {
+        return sendOutcome(res, 404, `${type}/${req.params.id} not found`, 'not-found');
+      }
+      sendResource(res, resource);
+    } catch (error) {
+      handleError(res, error, `Error reading ${type}`);
+    }
+  });
+}
+
+/**
+ * Server CapabilityStatement
+ * GET /api/fhir/R4/metadata
+ */
+router.get(`${FHIR_BASE}/metadata`, (req, res) => {
+  sendResource(res, fhirService.getCapabilityStatement(baseUrl(req), {
+    authorize: `${req.protocol}://${req.get('host')}/api/smart/authorize`,
+    token: `${req.protocol}://${req.get('host')}/api/smart/token`
+  }));
+});
+
+/**
+ * GET /api/fhir/R4/Patient?identifier=&name=&birthdate=&gender=&_count=
+ * GET /api/fhir/R4/Patient/:id
+ */
+registerResource('Patient', {
+  permission: 'patients:read',
+  auditResource: 'patient',
+  read: id => fhirService.readPatient(id),
+  search: query => fhirService.searchPatients(query)
+});
+
+/**
+ * GET /api/fhir/R4/Encounter?patient=&date=&status=&_count=
+ * GET /api/fhir/R4/Encounter/:id
+ */
+registerResource('Encounter', {
+  permission: 'visits:read',
+  auditResource: 'encounter',
+  read: id => fhirService.readEncounter(id),
+  search: query => fhirService.searchEncounters(query)
+});
+
+/**
+ * GET /api/fhir/R4/Observation?patient=&category=&code=&date=&_count=
+ * GET /api/fhir/R4/Observation/:id
+ */
+registerResource('Observation', {
+  permission: 'vitals:read',
+  auditResource: 'vitals',
+  read: id => fhirService.readObservation(id),
+  search: query => fhirService.searchObservations(query)
+});
+
+/**
+ * GET /api/fhir/R4/AllergyIntolerance?patient=&clinical-status=&date=&_count=
+ * GET /api/fhir/R4/AllergyIntolerance/:id
+ */
+registerResource('AllergyIntolerance', {
+  permission: 'allergies:read',
+  auditResource: 'allergy',
+  read: id => fhirService.readAllergyIntolerance(id),
+  search: query => fhirService.searchAllergyIntolerances(query)
+});
+
+/**
+ * GET /api/fhir/R4/MedicationRequest?patient=&status=&code=&authoredon=&_count=
+ * GET /api/fhir/R4/MedicationRequest/:id
+ */
+registerResource('MedicationRequest', {
+  permission: 'medications:read',
+  auditResource: 'prescription',
+  read: id => fhirService.readMedicationRequest(id),
+  search: query => fhirService.searchMedicationRequests(query)
+});
+
+/**
+ * GET /api/fhir/R4/MedicationStatement?patient=&status=&code=&effective=&_count=
+ * GET /api/fhir/R4/MedicationStatement/:id
+ */
+registerResource('MedicationStatement', {
+  permission: 'medications:read',
+  auditResource: 'medication',
+  read: id => fhirService.readMedicationStatement(id),
+  search: query => fhirService.searchMedicationStatements(query)
+});
+
+/**
+ * GET /api/fhir/R4/Condition?patient=&clinical-status=&code=&onset-date=&_count=
+ * GET /api/fhir/R4/Condition/:id
+ */
+registerResource('Condition', {
+  permission: 'medical_history:read',
+  auditResource: 'medical_history',
+  read: id => fhirService.readCondition(id),
+  search: query => fhirService.searchConditions(query)
+});
+
+/**
+ * Import a transaction or collection Bundle (Patient, AllergyIntolerance, Condition,
+ * MedicationStatement, Immunization, Observation). Patients are matched by MRN or identifiers.
+ * POST /api/fhir/R4
+ * Body: Bundle; response is a Bundle with one OperationOutcome per entry
+ */
+router.post(FHIR_BASE, authenticateToken, denySmartTokens, checkPermission('patients:create'),
+  auditPHIAccess({ resourceType: 'patient', action: 'CREATE', failOnAuditError: true }),
+  invalidateCache('patients', ['emr:patients:*', 'emr:patient-demographics:*']), async (req, res) => {
+  try {
+    const { status, bundle } = await fhirImportService.importBundle(req.body, req.user.userId ?? req.user.id);
+    sendResource(res, bundle, status);
+  } catch (error) {
+    if (error instanceof ImportEntryError) {
+      return sendOutcome(res, 400, error.message, error.code);
+    }
+    handleError(res, error, 'Error importing bundle');
+  }
+});
+
+/* ---------- Bulk Data $export ---------- */
+
+/**
+ * Shared kick-off handler for system and group level exports
+ */
+async function kickoffExport(req, res, level) {
+  try {
+    if (!/respond-async/i.test(req.get('Prefer') || '')) {
+      return sendOutcome(res, 400, 'Bulk export requires the header Prefer: respond-async', 'invalid');
+    }
+
+    const job = await bulkExportService.kickoff({
+      level,
+      groupId: level === 'group' ? req.params.id : null,
+      params: bulkExportService.collectParameters(req.query, req.body),
+      requestUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`
+    }, req.user.userId ?? req.user.id);
+
+    res.set('Content-Location', `${baseUrl(req)}/$export-status/${job.export_id}`);
+    res.status(202).end();
+  } catch (error) {
+    handleError(res, error, 'Error starting bulk export');
+  }
+}
+
+/**
+ * System level export
+ * GET|POST /api/fhir/R4/$export?_type=&_since=&_outputFormat=
+ * Header: Prefer: respond-async
+ */
+router.get(`${FHIR_BASE}/\\$export`, authenticateToken, denySmartTokens, checkPermission('patients:export'),
+  (req, res) => kickoffExport(req, res, 'system'));
+router.post(`${FHIR_BASE}/\\$export`, authenticateToken, denySmartTokens, checkPermission('patients:export'),
+  (req, res) => kickoffExport(req, res, 'system'));
+
+/**
+ * Group level export; Group/<id> is the panel of patients assigned to provider <id>
+ * GET|POST /api/fhir/R4/Group/:id/$export
+ */
+router.get(`${FHIR_BASE}/Group/:id/\\$export`, authenticateToken, denySmartTokens, checkPermission('patients:export'),
+  (req, res) => kickoffExport(req, res, 'group'));
+router.post(`${FHIR_BASE}/Group/:id/\\$export`, authenticateToken, denySmartTokens, checkPermission('patients:export'),
+  (req, res) => kickoffExport(req, res, 'group'));
+
+/**
+ * Poll export status: 202 + X-Progress while running, 200 + manifest when complete
+ * GET /api/fhir/R4/$export-status/:exportId
+ */
+router.get(`${FHIR_BASE}/\\$export-status/:exportId`, authenticateToken, denySmartTokens, async (req, res) => {
+  try {
+    const job = await bulkExportService.getJob(req.params.exportId);
+    if (!job || job.status === 'cancelled') {
+      return sendOutcome(res, 404, 'Export job not found', 'not-found');
+    }
+    if (!bulkExportService.canAccess(job, req.user)) {
+      return sendOutcome(res, 403, 'Export job belongs to another user', 'forbidden');
+    }
+
+    if (job.status === 'failed') {
+      return sendOutcome(res, 500, `Export failed: ${job.error_message}`, 'exception');
+    }
+
+    if (job.status !== 'completed') {
+      res.set('X-Progress', job.progress || (job.status === 'accepted' ? 'Queued' : 'In progress'));
+      res.set('Retry-After', '5');
+      return res.status(202).end();
+    }
+
+    res.set('Expires', new Date(Date.now() + 60 * 60 * 1000).toUTCString());
+    res.status(200).json(bulkExportService.buildManifest(job, baseUrl(req)));
+  } catch (error) {
+    handleError(res, error, 'Error reading export status');
+  }
+});
+
+/**
+ * Cancel an export and delete its files
+ * DELETE /api/fhir/R4/$export-status/:exportId
+ */
+router.delete(`${FHIR_BASE}/\\$export-status/:exportId`, authenticateToken, denySmartTokens, async (req, res) => {
+  try {
+    const job = await bulkExportService.getJob(req.params.exportId);
+    if (!job || job.status === 'cancelled') {
+      return sendOutcome(res, 404, 'Export job not found', 'not-found');
+    }
+    if (!bulkExportService.canAccess(job, req.user)) {
+      return sendOutcome(res, 403, 'Export job belongs to another user', 'forbidden');
+    }
+
+    await bulkExportService.cancel(job);
+    res.status(202).end();
+  } catch (error) {
+    handleError(res, error, 'Error cancelling export');
+  }
+});
+
+/**
+ * Download an NDJSON output file
+ * GET /api/fhir/R4/$export-file/:exportId/:fileName
+ */
+router.get(`${FHIR_BASE}/\\$export-file/:exportId/:fileName`, authenticateToken, denySmartTokens, async (req, res) => {
+  try {
+    const job = await bulkExportService.getJob(req.params.exportId);
+    if (!job || job.status !== 'completed') {
+      return sendOutcome(res, 404, 'Export file not found', 'not-found');
+    }
+    if (!bulkExportService.canAccess(job, req.user)) {
+      return sendOutcome(res, 403, 'Export job belongs to another user', 'forbidden');
+    }
+
+    const filePath = bulkExportService.resolveFile(job, req.params.fileName);
+    if (!filePath) {
+      return sendOutcome(res, 404, 'Export file not found', 'not-found');
+    }
+
+    // Downloads are disclosures too; refuse to serve if the audit write fails
+    const file = job.output.find(f => f.fileName === req.params.fileName);
+    await bulkExportService.logDownload(job, file, req);
+
+    res.type('application/fhir+ndjson');
+    res.sendFile(filePath);
+  } catch (error) {
+    handleError(res, error, 'Error downloading export file');
+  }
+});
+
+export default router;
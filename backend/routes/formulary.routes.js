@@ -0,0 +1,116 @@
+// Formulary API Routes
+// Plan formulary CSV import and browsing, and a formulary check of a medication against a patient's primary plan
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import formularyService, { FormularyError } from '../services/formulary.service.js';
+
+const router = Router();
+
+const csvBody = express.text({ type: ['text/csv', 'application/csv', 'text/plain'], limit: '10mb' });
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof FormularyError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Formulary API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Formulary entries for a plan
+ * GET /api/insurance-plans/:id/formulary?search=statin&tier=2&limit=100&offset=0
+ */
+router.get('/insurance-plans/:id/formulary',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const insurancePlanId = parseId(req.params.id);
+    if (!insurancePlanId) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance plan ID' });
+    }
+    const { search, tier, limit, offset } = req.query;
+
+    try {
+      const data = await formularyService.listEntries(insurancePlanId, {
+        search: search || null,
+        tier: parseId(tier),
+        limit: Math.min(parseId(limit) || 100, 500),
+        offset: Math.max(Number(offset) || 0, 0)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load formulary');
+    }
+  }
+);
+
+/**
+ * Import a plan formulary from CSV
+ * POST /api/insurance-plans/:id/formulary?replace=true
+ * Body: CSV with a header row (drug_name, rxcui, ndc, tier, covered, prior_auth, step_therapy, step_therapy_note,
+ * quantity_limit, quantity_limit_days, copay, notes)
+ * Returns { total, imported, matched, skipped, errors: [{ line, message }] }
+ */
+router.post('/insurance-plans/:id/formulary',
+  authenticateToken,
+  checkPermission('billing:write'),
+  csvBody,
+  async (req, res) => {
+    const insurancePlanId = parseId(req.params.id);
+    if (!insurancePlanId) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance plan ID' });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: 'CSV body is required' });
+    }
+
+    try {
+      const data = await formularyService.importFormulary(insurancePlanId, req.body, {
+        userId: req.user.userId ?? req.user.id,
+        fileName: req.get('X-File-Name') || null,
+        replace: req.query.replace === 'true'
+      });
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'import formulary');
+    }
+  }
+);
+
+/**
+ * Formulary status of a medication on the patient's primary plan, with covered alternatives
+ * GET /api/patients/:id/formulary-check?medicationId=12&quantity=30
+ */
+router.get('/patients/:id/formulary-check',
+  authenticateToken,
+  checkPermission('medications:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    const medicationId = parseId(req.query.medicationId);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    if (!medicationId) {
+      return res.status(400).json({ ok: false, error: 'medicationId is required' });
+    }
+
+    try {
+      const data = await formularyService.checkPrescription({
+        patientId,
+        medicationId,
+        quantity: req.query.quantity ? Number(req.query.quantity) : null
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'check formulary');
+    }
+  }
+);
+
+export default router;
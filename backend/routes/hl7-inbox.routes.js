@@ -0,0 +1,172 @@
+// HL7 Inbox API Routes
+// Provides the admin error queue for inbound HL7 messages: list, inspect, link, edit, reprocess and dismiss
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import { auditPHIAccess } from '../middleware/phiAuditMiddleware.js';
+import { invalidateCache } from '../middleware/cache.middleware.js';
+import hl7InboxService, { HL7InboxError } from '../services/hl7-inbox.service.js';
+
+const router = Router();
+
+/* ---------- Helpers ---------- */
+function toInt(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+// authenticateToken puts the JWT's userId on req.user; optionalAuth loads the users row (id)
+function actorId(req) {
+  return req.user.userId ?? req.user.id;
+}
+
+function handleError(res, error, context) {
+  if (error instanceof HL7InboxError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[HL7 Inbox API] Error ${context}:`, error);
+  return res.status(500).json({ ok: false, error: `Failed to ${context}` });
+}
+
+/**
+ * List inbound HL7 messages (defaults to the open error queue)
+ * GET /api/hl7/messages?status=failed|processed|dismissed|all&type=ORU&q=&limit=&offset=
+ */
+router.get('/hl7/messages',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  auditPHIAccess({ resourceType: 'hl7_message', action: 'LIST', failOnAuditError: true }),
+  async (req, res) => {
+    try {
+      const { status, type, q, limit, offset } = req.query;
+      const data = await hl7InboxService.listMessages({
+        status,
+        messageType: type || null,
+        search: q || null,
+        limit,
+        offset
+      });
+
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list HL7 messages');
+    }
+  }
+);
+
+/**
+ * Get a message with acknowledgements and action history
+ * GET /api/hl7/messages/:id
+ */
+router.get('/hl7/messages/:id',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  auditPHIAccess({ resourceType: 'hl7_message', action: 'VIEW', failOnAuditError: true }),
+  async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ ok: false, error: 'invalid message id' });
+
+    try {
+      const data = await hl7InboxService.getMessage(id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load HL7 message');
+    }
+  }
+);
+
+/**
+ * Link a failed message to a patient and lab order
+ * PUT /api/hl7/messages/:id/link
+ * Body: { patientId, labOrderId? }
+ */
+router.put('/hl7/messages/:id/link',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  async (req, res) => {
+    const id = toInt(req.params.id);
+    const patientId = toInt(req.body.patientId);
+    const labOrderId = req.body.labOrderId ? toInt(req.body.labOrderId) : null;
+
+    if (!id) return res.status(400).json({ ok: false, error: 'invalid message id' });
+    if (!patientId) return res.status(400).json({ ok: false, error: 'patientId is required' });
+    if (req.body.labOrderId && !labOrderId) return res.status(400).json({ ok: false, error: 'invalid labOrderId' });
+
+    try {
+      const data = await hl7InboxService.linkMessage(id, { patientId, labOrderId }, actorId(req));
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'link HL7 message');
+    }
+  }
+);
+
+/**
+ * Edit the text of a failed message
+ * PUT /api/hl7/messages/:id
+ * Body: { hl7Message, reason? }
+ */
+router.put('/hl7/messages/:id',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ ok: false, error: 'invalid message id' });
+    if (!req.body.hl7Message) return res.status(400).json({ ok: false, error: 'hl7Message is required' });
+
+    try {
+      const data = await hl7InboxService.editMessage(id, req.body.hl7Message, req.body.reason, actorId(req));
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'edit HL7 message');
+    }
+  }
+);
+
+/**
+ * Reprocess a failed message using its current text and links
+ * POST /api/hl7/messages/:id/reprocess
+ */
+router.post('/hl7/messages/:id/reprocess',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  invalidateCache('lab-results', ['emr:lab-results:*', 'emr:patient-labs:*', 'emr:patients:*']),
+  async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ ok: false, error: 'invalid message id' });
+
+    try {
+      const outcome = await hl7InboxService.reprocessMessage(id, actorId(req));
+
+      if (!outcome.success) {
+        return res.status(422).json({ ok: false, error: outcome.error });
+      }
+      res.json({ ok: true, data: outcome.data });
+    } catch (error) {
+      handleError(res, error, 'reprocess HL7 message');
+    }
+  }
+);
+
+/**
+ * Dismiss a failed message from the error queue
+ * POST /api/hl7/messages/:id/dismiss
+ * Body: { reason }
+ */
+router.post('/hl7/messages/:id/dismiss',
+  authenticateToken,
+  checkPermission('hl7:admin'),
+  async (req, res) => {
+    const id = toInt(req.params.id);
+    if (!id) return res.status(400).json({ ok: false, error: 'invalid message id' });
+
+    try {
+      const data = await hl7InboxService.dismissMessage(id, req.body.reason, actorId(req));
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'dismiss HL7 message');
+    }
+  }
+);
+
+export default router;
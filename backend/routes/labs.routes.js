@@ -5,6 +5,7 @@ import { authenticateToken } from '../middleware/auth.js';
 import { checkPermission } from '../middleware/rbac.js';
 import { cacheGet, invalidateCache, addCacheHeaders } from '../middleware/cache.middleware.js';
 import labService from '../services/lab.service.js';
+import { PriorAuthError } from '../services/prior-auth.service.js';
 import hl7ParserService from '../services/hl7-parser.service.js';
 import criticalValuesService from '../services/critical-values.service.js';
 
@@ -32,7 +33,7 @@ router.post('/labs/orders',
         orderingFacility
       } = req.body;
 
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       // Validate required fields
       if (!patientId || !clinicalIndication || !tests || !Array.isArray(tests) || tests.length === 0) {
@@ -66,10 +67,19 @@ router.post('/labs/orders',
       res.json({
         ok: true,
         data: result.labOrder,
+        priorAuth: result.priorAuthorization,
         message: result.message
       });
 
     } catch (error) {
+      if (error instanceof PriorAuthError) {
+        return res.status(error.status).json({
+          ok: false,
+          error: error.message,
+          priorAuth: error.details
+        });
+      }
+
       console.error('[Labs API] Error creating lab order:', error);
       res.status(500).json({
         ok: false,
@@ -91,7 +101,7 @@ router.get('/labs/orders/:id',
   async (req, res) => {
     try {
       const orderId = parseInt(req.params.id, 10);
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       if (!Number.isInteger(orderId) || orderId <= 0) {
         return res.status(400).json({
@@ -135,46 +145,13 @@ router.post('/labs/results',
   invalidateCache('lab-results', ['emr:lab-results:*', 'emr:patient-labs:*']),
   async (req, res) => {
     try {
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       // Check if this is an HL7 message
       if (req.body.hl7Message) {
-        // Parse HL7 message and process results
-        const parseResult = await hl7ParserService.parseORU(req.body.hl7Message, userId);
-        
-        if (!parseResult.success) {
-          return res.status(400).json({
-            ok: false,
-            error: 'Failed to parse HL7 message',
-            details: parseResult.error
-          });
-        }
-
-        // Process each observation from the HL7 message
-        const results = [];
-        for (const observation of parseResult.data.observations) {
-          // Find the test ID for this LOINC code
-          const testId = await labService.findTestByLoinc(
-            parseResult.data.order.internalOrderId,
-            observation.loincCode
-          );
-
-          if (testId) {
-            const resultData = {
-              testId,
-              resultValue: observation.resultValue,
-              numericValue: observation.numericValue,
-              unit: observation.unit,
-              referenceRange: observation.referenceRange,
-              abnormalFlag: observation.abnormalFlag,
-              resultStatus: observation.resultStatus,
-              resultDate: observation.observationDateTime
-            };
-
-            const result = await labService.receiveResults(resultData, userId);
-            results.push(result);
-          }
-        }
+        // Parse HL7 message and process each observation from it
+        const parseResult = await labService.receiveHL7Message(req.body.hl7Message, userId);
+        const results = parseResult.results;
 
         return res.json({
           ok: true,
@@ -259,7 +236,7 @@ router.get('/labs/results/critical',
   checkPermission('labs:read'),
   async (req, res) => {
     try {
-      const providerId = req.user.id;
+      const providerId = req.user.userId ?? req.user.id;
       const limit = parseInt(req.query.limit) || 50;
 
       const result = await criticalValuesService.getUnacknowledgedCriticalValues(providerId, limit);
@@ -295,7 +272,7 @@ router.put('/labs/results/:id/acknowledge',
   async (req, res) => {
     try {
       const resultId = parseInt(req.params.id, 10);
-      const providerId = req.user.id;
+      const providerId = req.user.userId ?? req.user.id;
       const { notes } = req.body;
 
       if (!Number.isInteger(resultId) || resultId <= 0) {
@@ -341,7 +318,7 @@ router.get('/labs/patients/:id/history',
   async (req, res) => {
     try {
       const patientId = parseInt(req.params.id, 10);
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       if (!Number.isInteger(patientId) || patientId <= 0) {
         return res.status(400).json({
@@ -396,7 +373,7 @@ router.get('/labs/patients/:id/trends/:loincCode',
       const patientId = parseInt(req.params.id, 10);
       const loincCode = req.params.loincCode;
       const months = parseInt(req.query.months) || 12;
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       if (!Number.isInteger(patientId) || patientId <= 0) {
         return res.status(400).json({
@@ -447,7 +424,7 @@ router.get('/labs/patients/:id/critical',
     try {
       const patientId = parseInt(req.params.id, 10);
       const days = parseInt(req.query.days) || 30;
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       if (!Number.isInteger(patientId) || patientId <= 0) {
         return res.status(400).json({
@@ -519,7 +496,7 @@ router.post('/labs/orders/:id/tests',
     try {
       const orderId = parseInt(req.params.id, 10);
       const { loincCodes } = req.body;
-      const userId = req.user.id;
+      const userId = req.user.userId ?? req.user.id;
 
       if (!Number.isInteger(orderId) || orderId <= 0) {
         return res.status(400).json({
@@ -572,7 +549,7 @@ router.get('/labs/orders/:id/hl7',
       }
 
       // Get order details first
-      const orderResult = await labService.getLabOrderById(orderId, req.user.id);
+      const orderResult = await labService.getLabOrderById(orderId, req.user.userId ?? req.user.id);
       
       if (!orderResult.success) {
         return res.status(404).json({
@@ -647,7 +624,7 @@ router.post('/labs/critical-ranges',
         escalationMinutes
       };
 
-      const result = await criticalValuesService.defineCriticalRange(rangeData, req.user.id);
+      const result = await criticalValuesService.defineCriticalRange(rangeData, req.user.userId ?? req.user.id);
 
       res.json({
         ok: true,
@@ -5,6 +5,7 @@ import pool from '../db/index.js';
 import { authenticateToken } from '../middleware/auth.js';
 import { checkPermission } from '../middleware/rbac.js';
 import prescriptionService, { SafetyAlert } from '../services/prescription.service.js';
+import { PriorAuthError } from '../services/prior-auth.service.js';
 import drugInteractionService from '../services/drug-interaction.service.js';
 import { cacheGet, invalidateCache, addCacheHeaders } from '../middleware/cache.middleware.js';
 
@@ -240,10 +241,15 @@ router.post('/medications/prescribe',
         quantity,
         instructions,
         indication,
-        overrideReason
+        overrideReason,
+        pharmacyId,
+        providerId,
+        refills,
+        daysSupply,
+        substitutionsAllowed
       } = req.body;
 
-      const prescriberId = req.user.id;
+      const prescriberId = req.user.userId ?? req.user.id;
 
       // Validate required fields
       if (!patientId || !medicationId || !dosage || !frequency) {
@@ -270,7 +276,12 @@ router.post('/medications/prescribe',
         quantity,
         instructions,
         indication,
-        overrideReason
+        overrideReason,
+        pharmacyId,
+        providerId,
+        refills,
+        daysSupply,
+        substitutionsAllowed
       };
 
       const result = await prescriptionService.prescribeMedication(
@@ -288,10 +299,22 @@ router.post('/medications/prescribe',
           overrideUsed: result.overrideUsed,
           interactionCount: result.safetyReport.interactions.total
         },
+        priorAuth: result.priorAuthorization,
+        formulary: result.formulary,
+        eprescription: result.eprescription,
         message: result.message
       });
 
     } catch (error) {
+      if (error instanceof PriorAuthError) {
+        // Plan requires authorization; a pending case has been opened for staff to work
+        return res.status(error.status).json({
+          ok: false,
+          error: error.message,
+          priorAuth: error.details
+        });
+      }
+
       if (error instanceof SafetyAlert) {
         // Return safety alert with detailed information
         return res.status(422).json({
@@ -327,7 +350,7 @@ router.post('/medications/prescribe-override',
   async (req, res) => {
     try {
       const { prescriptionData, overrideReason } = req.body;
-      const prescriberId = req.user.id;
+      const prescriberId = req.user.userId ?? req.user.id;
 
       if (!prescriptionData || !overrideReason) {
         return res.status(400).json({
@@ -359,10 +382,21 @@ router.post('/medications/prescribe-override',
           overrideReason,
           interactionCount: result.safetyReport.interactions.total
         },
+        priorAuth: result.priorAuthorization,
+        formulary: result.formulary,
+        eprescription: result.eprescription,
         message: 'Prescription created with safety override'
       });
 
     } catch (error) {
+      if (error instanceof PriorAuthError) {
+        return res.status(error.status).json({
+          ok: false,
+          error: error.message,
+          priorAuth: error.details
+        });
+      }
+
       console.error('[medications:prescribe-override] Error:', error);
       res.status(500).json({
         ok: false,
@@ -40,7 +40,7 @@ router.get('/patients', authenticateToken, checkPermission('patients:read'),
     `;
     
     let fromClause = 'FROM patients p';
-    let whereClause = '';
+    let whereClause = 'WHERE p.merged_into_patient_id IS NULL'; // hide records retired by a merge
     let params = [];
     let paramCount = 0;
 
@@ -64,7 +64,7 @@ router.get('/patients', authenticateToken, checkPermission('patients:read'),
     // Add search functionality with full-text search
     if (search) {
       paramCount++;
-      whereClause = `WHERE (
+      whereClause += ` AND (
         to_tsvector('english', COALESCE(p.first_name, '') || ' ' || COALESCE(p.last_name, '')) @@ plainto_tsquery('english', $${paramCount})
         OR p.mrn ILIKE $${paramCount + 1}
         OR CONCAT(p.first_name, ' ', p.last_name) ILIKE $${paramCount + 2}
@@ -0,0 +1,253 @@
+// Prior Authorization API Routes
+// PA work list and cases (payer reference, status, approved units, expiry), per-plan requirements and a dry-run
+// check of order items against the patient's plan
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import priorAuthService, { PriorAuthError, SERVICE_TYPES } from '../services/prior-auth.service.js';
+
+const router = Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof PriorAuthError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Prior Auth API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Prior authorization work list, open cases first
+ * GET /api/prior-auths?status=pending&patientId=1&expiringWithinDays=14
+ */
+router.get('/prior-auths',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const { status, patientId, expiringWithinDays } = req.query;
+    if (patientId !== undefined && !parseId(patientId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    if (expiringWithinDays !== undefined && !(Number.isInteger(Number(expiringWithinDays)) && Number(expiringWithinDays) >= 0)) {
+      return res.status(400).json({ ok: false, error: 'expiringWithinDays must be a non-negative integer' });
+    }
+
+    try {
+      const data = await priorAuthService.listAuthorizations({
+        status: status || null,
+        patientId: patientId ? parseId(patientId) : null,
+        expiringWithinDays: expiringWithinDays !== undefined ? Number(expiringWithinDays) : null
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load prior authorizations');
+    }
+  }
+);
+
+/**
+ * Open a prior authorization case by hand
+ * POST /api/prior-auths
+ * Body: { patientId, serviceType, serviceCode, description, requestedUnits, medicationId, notes }
+ */
+router.post('/prior-auths',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const patientId = parseId(req.body.patientId);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'patientId is required' });
+    }
+
+    try {
+      const data = await priorAuthService.createAuthorization(
+        { ...req.body, patientId },
+        req.user.userId ?? req.user.id
+      );
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'create prior authorization');
+    }
+  }
+);
+
+/**
+ * Check order items against the patient's plan without opening cases
+ * POST /api/prior-auths/check
+ * Body: { patientId, serviceType, items: [{ code, description, units }] }
+ */
+router.post('/prior-auths/check',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const patientId = parseId(req.body.patientId);
+    const { serviceType, items } = req.body;
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'patientId is required' });
+    }
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      return res.status(400).json({ ok: false, error: `serviceType must be one of: ${SERVICE_TYPES.join(', ')}` });
+    }
+    if (!Array.isArray(items) || items.length === 0 || items.some(item => !item?.code)) {
+      return res.status(400).json({ ok: false, error: 'items must be a non-empty array of { code }' });
+    }
+
+    try {
+      const data = await priorAuthService.checkAuthorization({ patientId, serviceType, items });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'check prior authorization');
+    }
+  }
+);
+
+/**
+ * Prior authorization case with usage and status history
+ * GET /api/prior-auths/:id
+ */
+router.get('/prior-auths/:id',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const authorizationId = parseId(req.params.id);
+    if (!authorizationId) {
+      return res.status(400).json({ ok: false, error: 'Invalid prior authorization ID' });
+    }
+
+    try {
+      const data = await priorAuthService.getAuthorization(authorizationId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load prior authorization');
+    }
+  }
+);
+
+/**
+ * Record payer activity on a case
+ * PUT /api/prior-auths/:id
+ * Body: { status, payerReference, approvedUnits, effectiveDate, expiryDate, denialReason, notes, note }
+ */
+router.put('/prior-auths/:id',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const authorizationId = parseId(req.params.id);
+    if (!authorizationId) {
+      return res.status(400).json({ ok: false, error: 'Invalid prior authorization ID' });
+    }
+    const { approvedUnits } = req.body;
+    if (approvedUnits != null && !(Number.isInteger(approvedUnits) && approvedUnits > 0)) {
+      return res.status(400).json({ ok: false, error: 'approvedUnits must be a positive integer' });
+    }
+
+    try {
+      const data = await priorAuthService.updateAuthorization(authorizationId, req.body, req.user.userId ?? req.user.id);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update prior authorization');
+    }
+  }
+);
+
+/**
+ * Prior authorizations for a patient
+ * GET /api/patients/:id/prior-auths
+ */
+router.get('/patients/:id/prior-auths',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await priorAuthService.listAuthorizations({ patientId });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load prior authorizations');
+    }
+  }
+);
+
+/**
+ * Active prior authorization requirements
+ * GET /api/prior-auth-requirements?insurancePlanId=1&serviceType=medication
+ */
+router.get('/prior-auth-requirements',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const { insurancePlanId, serviceType } = req.query;
+    if (insurancePlanId !== undefined && !parseId(insurancePlanId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance plan ID' });
+    }
+
+    try {
+      const data = await priorAuthService.listRequirements({
+        insurancePlanId: insurancePlanId ? parseId(insurancePlanId) : null,
+        serviceType: serviceType || null
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load prior authorization requirements');
+    }
+  }
+);
+
+/**
+ * Add or update a requirement; omit insurancePlanId to apply it to every plan
+ * POST /api/prior-auth-requirements
+ * Body: { insurancePlanId, serviceType, code, description, enforcement: 'block'|'warn' }
+ */
+router.post('/prior-auth-requirements',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const { insurancePlanId } = req.body;
+    if (insurancePlanId != null && !parseId(insurancePlanId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid insurance plan ID' });
+    }
+
+    try {
+      const data = await priorAuthService.saveRequirement(
+        { ...req.body, insurancePlanId: insurancePlanId != null ? parseId(insurancePlanId) : null },
+        req.user.userId ?? req.user.id
+      );
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'save prior authorization requirement');
+    }
+  }
+);
+
+/**
+ * Retire a requirement
+ * DELETE /api/prior-auth-requirements/:id
+ */
+router.delete('/prior-auth-requirements/:id',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const requirementId = parseId(req.params.id);
+    if (!requirementId) {
+      return res.status(400).json({ ok: false, error: 'Invalid requirement ID' });
+    }
+
+    try {
+      const data = await priorAuthService.removeRequirement(requirementId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'remove prior authorization requirement');
+    }
+  }
+);
+
+export default router;
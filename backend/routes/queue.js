@@ -12,18 +12,21 @@ router.get('/queue', authenticateToken, checkPermission('queue:read'),
   try {
     console.log('Fetching queue for date:', new Date().toISOString().split('T')[0]);
 
-    // Main queue query
+    // Today's checked-in patients. Appointments keep no separate check-in time: checking in ('arrived', or the
+    // legacy 'checked_in'/'checked-in') is their latest update, so updated_at stands in for the arrival time.
     const query = `
       SELECT
         a.id as appointment_id,
         a.patient_id,
-        a.encounter_id,
-        a.status,
+        a.provider_id,
+        e.id as encounter_id,
+        CASE WHEN a.status = 'fulfilled' THEN 'completed' ELSE 'waiting' END as status,
+        a.status as appointment_status,
         a.room,
-        a.triage_priority,
-        a.arrival_time,
+        a.start_ts,
+        a.updated_at as arrival_time,
         a.notes as chief_complaint,
-        a.visit_type,
+        a.type as visit_type,
         p.mrn,
         p.first_name,
         p.last_name,
@@ -35,26 +38,32 @@ router.get('/queue', authenticateToken, checkPermission('queue:read'),
           ELSE NULL
         END as age,
         p.gender,
-        e.encounter_number,
-        CASE
-          WHEN a.arrival_time IS NOT NULL
-          THEN ROUND(EXTRACT(EPOCH FROM (NOW() - a.arrival_time))/60)
-          ELSE ROUND(EXTRACT(EPOCH FROM (NOW() - a.created_at))/60)
-        END as wait_time_minutes
+        COALESCE(pb.current_balance, 0) as balance_due,
+        COALESCE(pb.dunning_status, 'current') as dunning_status,
+        pb.payment_plan_active,
+        ROUND(EXTRACT(EPOCH FROM (NOW() - a.updated_at))/60) as wait_time_minutes
       FROM appointments a
       INNER JOIN patients p ON a.patient_id = p.id
-      LEFT JOIN encounters e ON a.encounter_id = e.id
-      WHERE DATE(COALESCE(a.start_ts, a.created_at)) = CURRENT_DATE
-        AND a.status IN ('waiting', 'triaged', 'roomed', 'with-provider', 'completed')
+      LEFT JOIN LATERAL (
+        SELECT id
+        FROM encounters
+        WHERE appointment_id = a.id
+        ORDER BY id DESC
+        LIMIT 1
+      ) e ON true
+      LEFT JOIN LATERAL (
+        SELECT current_balance, dunning_status, payment_plan_active
+        FROM patient_billing
+        WHERE patient_id = a.patient_id
+        ORDER BY id DESC
+        LIMIT 1
+      ) pb ON true
+      WHERE a.start_ts >= CURRENT_DATE
+        AND a.start_ts < CURRENT_DATE + 1
+        AND a.status IN ('arrived', 'checked_in', 'checked-in', 'fulfilled')
       ORDER BY
-        CASE
-          WHEN a.triage_priority = 'emergent' THEN 1
-          WHEN a.triage_priority = 'urgent' THEN 2
-          WHEN a.triage_priority = 'less-urgent' THEN 3
-          WHEN a.triage_priority = 'non-urgent' THEN 4
-          ELSE 5
-        END,
-        COALESCE(a.arrival_time, a.created_at) ASC
+        a.status = 'fulfilled',
+        a.updated_at ASC
     `;
 
     const result = await pool.query(query);
@@ -94,11 +103,11 @@ router.get('/queue/metrics', authenticateToken, checkPermission('queue:read'),
     const metricsQuery = `
       WITH daily_stats AS (
         SELECT
-          COUNT(*) FILTER (WHERE a.status = 'waiting') as waiting,
+          COUNT(*) FILTER (WHERE a.status IN ('arrived', 'checked_in', 'checked-in')) as waiting,
           COUNT(*) FILTER (WHERE a.status = 'triaged') as triaged,
           COUNT(*) FILTER (WHERE a.status IN ('roomed', 'with-provider')) as in_treatment,
-          COUNT(*) FILTER (WHERE a.status = 'completed') as completed,
-          COUNT(*) FILTER (WHERE a.triage_priority IN ('emergent', 'urgent')) as urgent_emergent,
+          COUNT(*) FILTER (WHERE a.status = 'fulfilled') as completed,
+          0 as urgent_emergent, -- appointments carry no triage priority
           COUNT(DISTINCT CASE WHEN a.status != 'cancelled' THEN a.patient_id END) as seen_today,
           COUNT(*) as total_appointments
         FROM appointments a
@@ -0,0 +1,170 @@
+// Remittance API Routes
+// X12 835 ERA posting: upload remittances, review posted payments, and work the queue of remittances
+// that matched no claim (file drop 835s are collected via /api/clearinghouse/collect)
+import express, { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import remittanceService, { RemittanceError } from '../services/remittance.service.js';
+
+const router = Router();
+
+// 835 interchanges are posted as raw X12
+const x12Body = express.text({ type: ['application/edi-x12', 'text/plain', 'application/x12'], limit: '10mb' });
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof RemittanceError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Remittance API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Post an 835 received outside the transport
+ * POST /api/remittances
+ * Body: raw 835 interchange
+ * Returns { remittances: [{ remittanceId, traceNumber, status, posted, unmatched, duplicate }] }
+ */
+router.post('/remittances',
+  authenticateToken,
+  checkPermission('billing:write'),
+  x12Body,
+  async (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ ok: false, error: '835 interchange body is required' });
+    }
+
+    try {
+      const data = await remittanceService.processRemittance(req.body, {
+        userId: req.user.userId ?? req.user.id,
+        fileName: req.get('X-File-Name') || null
+      });
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'process 835');
+    }
+  }
+);
+
+/**
+ * Remittances
+ * GET /api/remittances?status=partial&limit=100
+ */
+router.get('/remittances',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const { status, limit } = req.query;
+
+    try {
+      const data = await remittanceService.listRemittances({
+        status: status || null,
+        limit: Math.min(parseId(limit) || 100, 500)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load remittances');
+    }
+  }
+);
+
+/**
+ * Unmatched remittance work queue
+ * GET /api/remittances/unmatched?limit=100
+ */
+router.get('/remittances/unmatched',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    try {
+      const data = await remittanceService.listUnmatched({ limit: Math.min(parseId(req.query.limit) || 100, 500) });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load unmatched remittances');
+    }
+  }
+);
+
+/**
+ * Remittance with its claim adjudications
+ * GET /api/remittances/:id
+ */
+router.get('/remittances/:id',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const remittanceId = parseId(req.params.id);
+    if (!remittanceId) {
+      return res.status(400).json({ ok: false, error: 'Invalid remittance ID' });
+    }
+
+    try {
+      const data = await remittanceService.getRemittance(remittanceId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load remittance');
+    }
+  }
+);
+
+/**
+ * Post an unmatched remittance claim to a claim
+ * POST /api/remittance-claims/:id/match
+ * Body: { claimId: number, note?: string }
+ */
+router.post('/remittance-claims/:id/match',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const remittanceClaimId = parseId(req.params.id);
+    const claimId = parseId(req.body?.claimId);
+    if (!remittanceClaimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid remittance claim ID' });
+    }
+    if (!claimId) {
+      return res.status(400).json({ ok: false, error: 'claimId is required' });
+    }
+
+    try {
+      const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+      const data = await remittanceService.matchRemittanceClaim(remittanceClaimId, claimId, req.user.userId ?? req.user.id, note);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'post remittance claim');
+    }
+  }
+);
+
+/**
+ * Remove a remittance claim from the work queue without posting it
+ * POST /api/remittance-claims/:id/dismiss
+ * Body: { note: string }
+ */
+router.post('/remittance-claims/:id/dismiss',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const remittanceClaimId = parseId(req.params.id);
+    if (!remittanceClaimId) {
+      return res.status(400).json({ ok: false, error: 'Invalid remittance claim ID' });
+    }
+    const note = typeof req.body?.note === 'string' ? req.body.note.trim() : '';
+    if (!note) {
+      return res.status(400).json({ ok: false, error: 'A note explaining the dismissal is required' });
+    }
+
+    try {
+      const data = await remittanceService.dismissRemittanceClaim(remittanceClaimId, req.user.userId ?? req.user.id, note);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'dismiss remittance claim');
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,240 @@
+// Provider Schedule API Routes
+// Appointment types with durations and overbooking allowances, weekly schedule templates (session, lunch and admin
+// blocks) and date-specific exceptions such as vacation. Open slots computed from them are served by
+// GET /api/appointments/slots.
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import schedulingService, { SchedulingError } from '../services/scheduling.service.js';
+
+const router = Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof SchedulingError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  if (error.code === '23503') {
+    return res.status(404).json({ ok: false, error: 'Provider not found' });
+  }
+  console.error(`[Schedules API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/* ---------- Appointment types ---------- */
+
+/**
+ * Appointment types with their default durations
+ * GET /api/appointment-types?includeInactive=true
+ */
+router.get('/appointment-types',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    try {
+      const data = await schedulingService.listAppointmentTypes({
+        includeInactive: req.query.includeInactive === 'true'
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list appointment types');
+    }
+  }
+);
+
+/**
+ * Change an appointment type's duration or overbooking allowance
+ * PUT /api/appointment-types/:id
+ * Body: { name, durationMinutes, maxOverbook (extra concurrent bookings allowed on a provider), active }
+ */
+router.put('/appointment-types/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const typeId = parseId(req.params.id);
+    if (!typeId) {
+      return res.status(400).json({ ok: false, error: 'Invalid appointment type ID' });
+    }
+
+    try {
+      const data = await schedulingService.updateAppointmentType(typeId, req.body || {});
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update appointment type');
+    }
+  }
+);
+
+/* ---------- Templates ---------- */
+
+/**
+ * A provider's weekly schedule blocks
+ * GET /api/providers/:id/schedule-templates
+ */
+router.get('/providers/:id/schedule-templates',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    const providerId = parseId(req.params.id);
+    if (!providerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid provider ID' });
+    }
+
+    try {
+      const data = await schedulingService.listTemplates(providerId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list schedule templates');
+    }
+  }
+);
+
+/**
+ * Add a weekly schedule block
+ * POST /api/providers/:id/schedule-templates
+ * Body: { dayOfWeek (0 = Sunday), startTime, endTime (HH:MM), blockType (session|lunch|admin), appointmentTypes,
+ *   slotIntervalMinutes, effectiveFrom, effectiveTo, label }
+ */
+router.post('/providers/:id/schedule-templates',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const providerId = parseId(req.params.id);
+    if (!providerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid provider ID' });
+    }
+
+    try {
+      const data = await schedulingService.saveTemplate(providerId, req.body || {}, {
+        userId: req.user.userId ?? req.user.id
+      });
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'add schedule block');
+    }
+  }
+);
+
+/**
+ * Update a weekly schedule block
+ * PUT /api/providers/:id/schedule-templates/:templateId
+ * Body: as for POST, plus active
+ */
+router.put('/providers/:id/schedule-templates/:templateId',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const providerId = parseId(req.params.id);
+    const templateId = parseId(req.params.templateId);
+    if (!providerId || !templateId) {
+      return res.status(400).json({ ok: false, error: 'Invalid provider or schedule block ID' });
+    }
+
+    try {
+      const data = await schedulingService.saveTemplate(providerId, req.body || {}, { templateId });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update schedule block');
+    }
+  }
+);
+
+/**
+ * Remove a weekly schedule block
+ * DELETE /api/schedule-templates/:id
+ */
+router.delete('/schedule-templates/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const templateId = parseId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({ ok: false, error: 'Invalid schedule block ID' });
+    }
+
+    try {
+      await schedulingService.removeTemplate(templateId);
+      res.json({ ok: true, data: true });
+    } catch (error) {
+      handleError(res, error, 'remove schedule block');
+    }
+  }
+);
+
+/* ---------- Exceptions ---------- */
+
+/**
+ * A provider's schedule exceptions
+ * GET /api/providers/:id/schedule-exceptions?from=2025-01-01&to=2025-01-31
+ */
+router.get('/providers/:id/schedule-exceptions',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    const providerId = parseId(req.params.id);
+    if (!providerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid provider ID' });
+    }
+
+    try {
+      const data = await schedulingService.listExceptions(providerId, {
+        from: req.query.from || null,
+        to: req.query.to || null
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list schedule exceptions');
+    }
+  }
+);
+
+/**
+ * Add a schedule exception: unavailable time (whole days without times, e.g. vacation) or an extra session
+ * POST /api/providers/:id/schedule-exceptions
+ * Body: { exceptionType (unavailable|available), startDate, endDate, startTime, endTime, reason }
+ */
+router.post('/providers/:id/schedule-exceptions',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const providerId = parseId(req.params.id);
+    if (!providerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid provider ID' });
+    }
+
+    try {
+      const data = await schedulingService.saveException(providerId, req.body || {}, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'add schedule exception');
+    }
+  }
+);
+
+/**
+ * Remove a schedule exception
+ * DELETE /api/schedule-exceptions/:id
+ */
+router.delete('/schedule-exceptions/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const exceptionId = parseId(req.params.id);
+    if (!exceptionId) {
+      return res.status(400).json({ ok: false, error: 'Invalid schedule exception ID' });
+    }
+
+    try {
+      await schedulingService.removeException(exceptionId);
+      res.json({ ok: true, data: true });
+    } catch (error) {
+      handleError(res, error, 'remove schedule exception');
+    }
+  }
+);
+
+export default router;
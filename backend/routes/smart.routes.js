@@ -0,0 +1,202 @@
+// SMART on FHIR API Routes
+// SMART App Launch discovery, OAuth2 authorize/token endpoints (public, called by the apps) and
+// the EHR side: launching registered apps with patient/encounter context and managing the app registry
+import express, { Router } from 'express';
+import cors from 'cors';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import smartService, { SMARTError } from '../services/smart.service.js';
+
+const FHIR_BASE = '/fhir/R4';
+
+function apiBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api`;
+}
+
+function fhirBaseUrl(req) {
+  return `${apiBaseUrl(req)}${FHIR_BASE}`;
+}
+
+function sendOAuthError(res, error) {
+  if (error instanceof SMARTError) {
+    return res.status(error.status).json({ error: error.error, error_description: error.message });
+  }
+  console.error('[SMART API] Unexpected error:', error);
+  res.status(500).json({ error: 'server_error', error_description: 'Internal server error' });
+}
+
+function handleError(res, error, action) {
+  if (error instanceof SMARTError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[SMART API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/* ---------- Authorization server (public) ---------- */
+
+export const smartAuthorizationRouter = Router();
+
+/**
+ * SMART configuration discovery
+ * GET /api/fhir/R4/.well-known/smart-configuration
+ */
+smartAuthorizationRouter.get(`${FHIR_BASE}/.well-known/smart-configuration`, cors(), (req, res) => {
+  res.json(smartService.getConfiguration(fhirBaseUrl(req), apiBaseUrl(req)));
+});
+
+/**
+ * Authorization endpoint (EHR launch)
+ * GET /api/smart/authorize?response_type=code&client_id=&redirect_uri=&launch=&scope=&state=&aud=&code_challenge=&code_challenge_method=S256
+ * Redirects back to the app with code and state, or with error and error_description
+ */
+smartAuthorizationRouter.get('/smart/authorize', async (req, res) => {
+  let client;
+  try {
+    // Bad client or redirect URI: never redirect, the URI cannot be trusted
+    client = await smartService.validateRedirect(req.query);
+  } catch (error) {
+    return sendOAuthError(res, error);
+  }
+
+  try {
+    res.redirect(302, await smartService.authorize(client, req.query, fhirBaseUrl(req)));
+  } catch (error) {
+    if (!(error instanceof SMARTError)) {
+      console.error('[SMART API] Error authorizing:', error);
+    }
+    res.redirect(302, smartService.redirectUrl(req.query.redirect_uri, {
+      error: error instanceof SMARTError ? error.error : 'server_error',
+      error_description: error instanceof SMARTError ? error.message : 'Internal server error',
+      state: req.query.state
+    }));
+  }
+});
+
+/**
+ * Token endpoint (authorization_code grant)
+ * POST /api/smart/token
+ * Body (application/x-www-form-urlencoded): grant_type, code, redirect_uri, client_id, code_verifier[, client_secret]
+ */
+smartAuthorizationRouter.post('/smart/token', express.urlencoded({ extended: false }), async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  try {
+    const token = await smartService.exchangeCode(
+      req.body || {},
+      smartService.parseBasicAuth(req.get('Authorization')),
+      fhirBaseUrl(req)
+    );
+    res.json(token);
+  } catch (error) {
+    sendOAuthError(res, error);
+  }
+});
+
+/* ---------- EHR launch and app registry (authenticated) ---------- */
+
+const router = Router();
+
+/**
+ * Apps available to launch from the EHR
+ * GET /api/smart/apps
+ */
+router.get('/smart/apps',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const apps = await smartService.listClients({ activeOnly: true });
+      res.json({
+        ok: true,
+        data: apps.map(({ client_id: clientId, name, scopes }) => ({ clientId, name, scopes }))
+      });
+    } catch (error) {
+      handleError(res, error, 'list SMART apps');
+    }
+  }
+);
+
+/**
+ * Launch an app with EHR context
+ * POST /api/smart/launch
+ * Body: { clientId, patientId, encounterId? }
+ * Returns the app launch URL (with iss and launch) for the EHR to open or embed
+ */
+router.post('/smart/launch',
+  authenticateToken,
+  checkPermission('patients:read'),
+  async (req, res) => {
+    const { clientId, patientId = null, encounterId = null } = req.body || {};
+    if (!clientId) {
+      return res.status(400).json({ ok: false, error: 'clientId is required' });
+    }
+
+    try {
+      const data = await smartService.createLaunch(req.user, { clientId, patientId, encounterId }, fhirBaseUrl(req));
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'launch SMART app');
+    }
+  }
+);
+
+/**
+ * Registered apps, including disabled ones
+ * GET /api/smart/clients
+ */
+router.get('/smart/clients',
+  authenticateToken,
+  checkPermission('system:manage'),
+  async (req, res) => {
+    try {
+      const data = await smartService.listClients();
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list SMART apps');
+    }
+  }
+);
+
+/**
+ * Register an app
+ * POST /api/smart/clients
+ * Body: { name, launchUrl, redirectUris: [], scopes: 'launch patient/*.read', confidential? }
+ * The client secret of a confidential app is only returned here
+ */
+router.post('/smart/clients',
+  authenticateToken,
+  checkPermission('system:manage'),
+  async (req, res) => {
+    try {
+      const data = await smartService.registerClient(req.body || {}, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'register SMART app');
+    }
+  }
+);
+
+/**
+ * Enable or disable an app
+ * PUT /api/smart/clients/:clientId
+ * Body: { active }
+ */
+router.put('/smart/clients/:clientId',
+  authenticateToken,
+  checkPermission('system:manage'),
+  async (req, res) => {
+    if (typeof req.body?.active !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'active (boolean) is required' });
+    }
+
+    try {
+      const data = await smartService.setClientActive(req.params.clientId, req.body.active);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update SMART app');
+    }
+  }
+);
+
+export default router;
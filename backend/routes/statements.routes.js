@@ -0,0 +1,315 @@
+// Patient Statement API Routes
+// Patient balances and aging, statements (JSON document and PDF), the statement cycle, over-the-counter payments,
+// payment plans and dunning holds
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import patientStatementService, { StatementError } from '../services/patient-statement.service.js';
+
+const router = Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof StatementError) {
+    return res.status(error.status).json({ ok: false, error: error.message });
+  }
+  console.error(`[Statements API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/**
+ * Patient balance, aging buckets, dunning status and active payment plan
+ * GET /api/patients/:id/balance
+ */
+router.get('/patients/:id/balance',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await patientStatementService.getBalance(patientId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load patient balance');
+    }
+  }
+);
+
+/**
+ * Statements for a patient
+ * GET /api/patients/:id/statements
+ */
+router.get('/patients/:id/statements',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await patientStatementService.listStatements(patientId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load statements');
+    }
+  }
+);
+
+/**
+ * Generate a statement for the patient's current balance
+ * POST /api/patients/:id/statements
+ */
+router.post('/patients/:id/statements',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await patientStatementService.generateStatement(patientId, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'generate statement');
+    }
+  }
+);
+
+/**
+ * Run the statement cycle for all patients due a statement
+ * POST /api/statements/run
+ * Body: { minimumBalance?: number, intervalDays?: number }
+ * Returns { generated, skipped, failed }
+ */
+router.post('/statements/run',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const options = { userId: req.user.userId ?? req.user.id };
+    if (req.body?.minimumBalance !== undefined) {
+      const minimumBalance = Number(req.body.minimumBalance);
+      if (!Number.isFinite(minimumBalance) || minimumBalance < 0) {
+        return res.status(400).json({ ok: false, error: 'minimumBalance must be a non-negative number' });
+      }
+      options.minimumBalance = minimumBalance;
+    }
+    if (req.body?.intervalDays !== undefined) {
+      const intervalDays = Number(req.body.intervalDays);
+      if (!Number.isInteger(intervalDays) || intervalDays < 0) {
+        return res.status(400).json({ ok: false, error: 'intervalDays must be a non-negative integer' });
+      }
+      options.intervalDays = intervalDays;
+    }
+
+    try {
+      const data = await patientStatementService.runStatementCycle(options);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'run statement cycle');
+    }
+  }
+);
+
+/**
+ * Statement with its machine-readable document
+ * GET /api/statements/:id
+ */
+router.get('/statements/:id',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const statementId = parseId(req.params.id);
+    if (!statementId) {
+      return res.status(400).json({ ok: false, error: 'Invalid statement ID' });
+    }
+
+    try {
+      const data = await patientStatementService.getStatement(statementId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load statement');
+    }
+  }
+);
+
+/**
+ * Statement as a PDF
+ * GET /api/statements/:id/pdf
+ */
+router.get('/statements/:id/pdf',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const statementId = parseId(req.params.id);
+    if (!statementId) {
+      return res.status(400).json({ ok: false, error: 'Invalid statement ID' });
+    }
+
+    try {
+      const statement = await patientStatementService.getStatement(statementId);
+      const pdf = patientStatementService.renderStatementPdf(statement.document);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="${statement.statement_number}.pdf"`);
+      res.send(pdf);
+    } catch (error) {
+      handleError(res, error, 'render statement');
+    }
+  }
+);
+
+/**
+ * Record an over-the-counter payment (front desk at check-in, or the billing office)
+ * POST /api/patients/:id/payments
+ * Body: { amount: number, method: 'cash'|'check'|'credit_card'|'debit_card', reference?: string,
+ *         appointmentId?: number, paymentPlanId?: number, note?: string }
+ * Returns { payment, balance }
+ */
+router.post('/patients/:id/payments',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    const { amount, method, reference, appointmentId, paymentPlanId, note } = req.body || {};
+    if (appointmentId != null && !parseId(appointmentId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid appointment ID' });
+    }
+    if (paymentPlanId != null && !parseId(paymentPlanId)) {
+      return res.status(400).json({ ok: false, error: 'Invalid payment plan ID' });
+    }
+
+    try {
+      const data = await patientStatementService.recordPayment(patientId, {
+        amount: Number(amount),
+        method,
+        reference: typeof reference === 'string' && reference.trim() ? reference.trim() : null,
+        appointmentId: parseId(appointmentId),
+        paymentPlanId: parseId(paymentPlanId),
+        note: typeof note === 'string' && note.trim() ? note.trim() : null
+      }, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'record payment');
+    }
+  }
+);
+
+/**
+ * Payment plans for a patient
+ * GET /api/patients/:id/payment-plans
+ */
+router.get('/patients/:id/payment-plans',
+  authenticateToken,
+  checkPermission('billing:read'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+
+    try {
+      const data = await patientStatementService.listPaymentPlans(patientId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'load payment plans');
+    }
+  }
+);
+
+/**
+ * Start a payment plan
+ * POST /api/patients/:id/payment-plans
+ * Body: { installmentAmount: number, frequency: 'weekly'|'biweekly'|'monthly', startDate?: 'YYYY-MM-DD',
+ *         totalAmount?: number (defaults to the balance), notes?: string }
+ */
+router.post('/patients/:id/payment-plans',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    const { installmentAmount, frequency, startDate, totalAmount, notes } = req.body || {};
+
+    try {
+      const data = await patientStatementService.createPaymentPlan(patientId, {
+        installmentAmount: Number(installmentAmount),
+        frequency,
+        startDate: startDate || null,
+        totalAmount: totalAmount == null ? null : Number(totalAmount),
+        notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null
+      }, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'create payment plan');
+    }
+  }
+);
+
+/**
+ * Cancel a payment plan
+ * POST /api/payment-plans/:id/cancel
+ * Body: { reason?: string }
+ */
+router.post('/payment-plans/:id/cancel',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const planId = parseId(req.params.id);
+    if (!planId) {
+      return res.status(400).json({ ok: false, error: 'Invalid payment plan ID' });
+    }
+
+    try {
+      const reason = typeof req.body?.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+      const data = await patientStatementService.cancelPaymentPlan(planId, req.user.userId ?? req.user.id, reason);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'cancel payment plan');
+    }
+  }
+);
+
+/**
+ * Place or release a dunning hold
+ * PUT /api/patients/:id/dunning
+ * Body: { hold: boolean, note?: string }
+ */
+router.put('/patients/:id/dunning',
+  authenticateToken,
+  checkPermission('billing:write'),
+  async (req, res) => {
+    const patientId = parseId(req.params.id);
+    if (!patientId) {
+      return res.status(400).json({ ok: false, error: 'Invalid patient ID' });
+    }
+    if (typeof req.body?.hold !== 'boolean') {
+      return res.status(400).json({ ok: false, error: 'hold must be true or false' });
+    }
+
+    try {
+      const note = typeof req.body.note === 'string' && req.body.note.trim() ? req.body.note.trim() : null;
+      const data = await patientStatementService.setDunningHold(patientId, req.body.hold, req.user.userId ?? req.user.id, note);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update dunning status');
+    }
+  }
+);
+
+export default router;
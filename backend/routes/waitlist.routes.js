@@ -0,0 +1,202 @@
+// Appointment Waitlist API Routes
+// Waitlist entries with provider, appointment type, date range and time-of-day preferences, and the offers of
+// cancelled slots made to them. Offers are made automatically when an appointment is cancelled; staff record the
+// patient's answer here.
+import { Router } from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { checkPermission } from '../middleware/rbac.js';
+import { broadcastAppointmentUpdate } from '../server.js';
+import waitlistService, { WAITLIST_STATUSES, OFFER_STATUSES } from '../services/waitlist.service.js';
+import { SchedulingError } from '../services/scheduling.service.js';
+
+const router = Router();
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function handleError(res, error, action) {
+  if (error instanceof SchedulingError) {
+    return res.status(error.status).json({
+      ok: false,
+      error: error.message,
+      ...(error.conflicts ? { conflicts: error.conflicts } : {})
+    });
+  }
+  if (error.code === '23503') {
+    return res.status(404).json({ ok: false, error: 'Patient or provider not found' });
+  }
+  console.error(`[Waitlist API] Error ${action}:`, error);
+  res.status(500).json({ ok: false, error: `Failed to ${action}` });
+}
+
+/* ---------- Entries ---------- */
+
+/**
+ * Waitlist in offer order (priority, then time waiting)
+ * GET /api/waitlist?status=waiting&providerId=2&patientId=11
+ */
+router.get('/waitlist',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    const { status } = req.query;
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${WAITLIST_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const data = await waitlistService.listEntries({
+        status: status || null,
+        providerId: parseId(req.query.providerId),
+        patientId: parseId(req.query.patientId)
+      });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list waitlist');
+    }
+  }
+);
+
+/**
+ * Put a patient on the waitlist
+ * POST /api/waitlist
+ * Body: { patientId, providerId (omit for any), appointmentType, earliestDate, latestDate, preferredDays (0 = Sunday),
+ *   preferredStartTime, preferredEndTime (HH:MM), priority (1 = most urgent to 5), notes }
+ */
+router.post('/waitlist',
+  authenticateToken,
+  checkPermission('appointments:create'),
+  async (req, res) => {
+    try {
+      const data = await waitlistService.createEntry(req.body || {}, req.user.userId ?? req.user.id);
+      res.status(201).json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'add waitlist entry');
+    }
+  }
+);
+
+/**
+ * Change a waitlist entry's preferences or priority
+ * PUT /api/waitlist/:id
+ * Body: as for POST, without patientId
+ */
+router.put('/waitlist/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const entryId = parseId(req.params.id);
+    if (!entryId) {
+      return res.status(400).json({ ok: false, error: 'Invalid waitlist entry ID' });
+    }
+
+    try {
+      const data = await waitlistService.updateEntry(entryId, req.body || {});
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'update waitlist entry');
+    }
+  }
+);
+
+/**
+ * Take a patient off the waitlist (a slot held for them goes to the next match)
+ * DELETE /api/waitlist/:id
+ */
+router.delete('/waitlist/:id',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const entryId = parseId(req.params.id);
+    if (!entryId) {
+      return res.status(400).json({ ok: false, error: 'Invalid waitlist entry ID' });
+    }
+
+    try {
+      const next = await waitlistService.removeEntry(entryId);
+      res.json({ ok: true, data: { next } });
+    } catch (error) {
+      handleError(res, error, 'remove waitlist entry');
+    }
+  }
+);
+
+/* ---------- Offers ---------- */
+
+/**
+ * Slot offers, soonest expiry first
+ * GET /api/waitlist/offers?status=pending&providerId=2
+ */
+router.get('/waitlist/offers',
+  authenticateToken,
+  checkPermission('appointments:read'),
+  async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!OFFER_STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `status must be one of ${OFFER_STATUSES.join(', ')}` });
+    }
+
+    try {
+      const data = await waitlistService.listOffers({ status, providerId: parseId(req.query.providerId) });
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'list waitlist offers');
+    }
+  }
+);
+
+/**
+ * The patient took the slot: book it (409 with conflicts if it has been taken since)
+ * POST /api/waitlist/offers/:id/accept
+ */
+router.post('/waitlist/offers/:id/accept',
+  authenticateToken,
+  checkPermission('appointments:create'),
+  async (req, res) => {
+    const offerId = parseId(req.params.id);
+    if (!offerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid offer ID' });
+    }
+
+    try {
+      const data = await waitlistService.acceptOffer(offerId);
+      try {
+        broadcastAppointmentUpdate({
+          ...data.appointment,
+          date: new Date(data.appointment.start).toISOString().split('T')[0]
+        });
+      } catch (broadcastError) {
+        console.warn('[Waitlist API] WebSocket broadcast failed:', broadcastError);
+      }
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'accept waitlist offer');
+    }
+  }
+);
+
+/**
+ * The patient passed on the slot: it is offered to the next match
+ * POST /api/waitlist/offers/:id/decline
+ */
+router.post('/waitlist/offers/:id/decline',
+  authenticateToken,
+  checkPermission('appointments:write'),
+  async (req, res) => {
+    const offerId = parseId(req.params.id);
+    if (!offerId) {
+      return res.status(400).json({ ok: false, error: 'Invalid offer ID' });
+    }
+
+    try {
+      const data = await waitlistService.declineOffer(offerId);
+      res.json({ ok: true, data });
+    } catch (error) {
+      handleError(res, error, 'decline waitlist offer');
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+// HL7 MLLP Test Harness
+// Sends an HL7 v2 message to the MLLP listener over a local socket and prints the ACK/NAK
+// Usage: node scripts/send-hl7-mllp.js <message-file> [host] [port]
+import fs from 'fs';
+import net from 'net';
+
+// Framing bytes are duplicated here so the harness does not load the database layer
+const START_BLOCK = 0x0b;
+const END_BLOCK = 0x1c;
+const CARRIAGE_RETURN = 0x0d;
+
+const [file, host = '127.0.0.1', port = process.env.HL7_MLLP_PORT || '2575'] = process.argv.slice(2);
+
+if (!file) {
+  console.error('Usage: node scripts/send-hl7-mllp.js <message-file> [host] [port]');
+  process.exit(1);
+}
+
+// Message files are usually saved with \n line endings; HL7 segments end with \r
+const message = fs.readFileSync(file, 'utf8').trim().split(/\r\n|\r|\n/).join('\r');
+
+const socket = net.connect(parseInt(port, 10), host, () => {
+  console.log(`📤 Sending ${message.length} bytes to ${host}:${port}`);
+  socket.write(Buffer.concat([
+    Buffer.from([START_BLOCK]),
+    Buffer.from(message, 'utf8'),
+    Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+  ]));
+});
+
+let buffer = Buffer.alloc(0);
+
+socket.setTimeout(10000, () => {
+  console.error('❌ Timed out waiting for ACK');
+  socket.destroy();
+  process.exitCode = 1;
+});
+
+socket.on('data', chunk => {
+  buffer = Buffer.concat([buffer, chunk]);
+  const start = buffer.indexOf(START_BLOCK);
+  const end = buffer.indexOf(Buffer.from([END_BLOCK, CARRIAGE_RETURN]));
+
+  if (start !== -1 && end > start) {
+    const ack = buffer.subarray(start + 1, end).toString('utf8');
+    const msa = ack.split('\r').find(segment => segment.startsWith('MSA')) || '';
+    console.log('📥 ACK received:');
+    console.log(ack.split('\r').join('\n'));
+    process.exitCode = msa.startsWith('MSA|AA') ? 0 : 2;
+    socket.end();
+  }
+});
+
+socket.on('error', error => {
+  console.error('❌ Connection error:', error.message);
+  process.exitCode = 1;
+});
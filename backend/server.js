@@ -24,17 +24,46 @@ import dischargeSummariesRouter from './routes/discharge-summaries.js'; // disch
 import familyHistoryRouter from './routes/family-history.js'; // family history API
 import insuranceRouter from './routes/insurance.routes.js'; // patient insurance API
 import auditRouter from './routes/audit.routes.js'; // audit logging API
+import fhirRouter from './routes/fhir.routes.js'; // FHIR R4 API
+import hl7InboxRouter from './routes/hl7-inbox.routes.js'; // HL7 inbox / error queue API
+import ccdaRouter from './routes/ccda.routes.js'; // C-CDA document API
+import smartRouter, { smartAuthorizationRouter } from './routes/smart.routes.js'; // SMART on FHIR app launch
+import cdsHooksRouter from './routes/cds-hooks.routes.js'; // CDS Hooks services
+import eligibilityRouter from './routes/eligibility.routes.js'; // X12 270/271 eligibility API
+import claimsRouter from './routes/claims.routes.js'; // Charge capture / claims API
+import clearinghouseRouter from './routes/clearinghouse.routes.js'; // Inbound X12 file processing
+import remittancesRouter from './routes/remittances.routes.js'; // X12 835 remittance posting API
+import statementsRouter from './routes/statements.routes.js'; // patient statements, payments and payment plans API
+import queueRouter from './routes/queue.js'; // patient queue API
+import priorAuthRouter from './routes/prior-auth.routes.js'; // prior authorization cases and plan requirements API
+import formularyRouter from './routes/formulary.routes.js'; // insurance plan formulary import and lookup API
+import eprescribingRouter from './routes/eprescribing.routes.js'; // NCPDP SCRIPT e-prescribing and pharmacy directory API
+import schedulesRouter from './routes/schedules.routes.js'; // provider schedule templates, exceptions and appointment types API
+import waitlistRouter from './routes/waitlist.routes.js'; // appointment waitlist and cancelled-slot offers API
+import appointmentRemindersRouter from './routes/appointment-reminders.routes.js'; // appointment reminder rules and replies API
+import smartService from './services/smart.service.js';
 import auditMiddleware from './middleware/audit.middleware.js'; // HIPAA audit middleware
 import cacheRouter from './routes/cache.js'; // cache analytics API
+import mllpListenerService from './services/mllp-listener.service.js'; // HL7 v2 MLLP interface
+import waitlistService from './services/waitlist.service.js';
+import appointmentReminderService from './services/appointment-reminder.service.js';
 import { authenticateToken } from './middleware/auth.js';
 
 dotenv.config();
 
 const app = express();
 
-// CORS configuration to allow frontend communication
+const FRONTEND_ORIGIN = 'http://localhost:5173';
+
+// CORS configuration to allow frontend communication, plus registered SMART apps
+// (they call the token endpoint and the FHIR API from the browser)
 app.use(cors({
-  origin: 'http://localhost:5173', // Frontend URL
+  origin: (origin, callback) => {
+    if (!origin || origin === FRONTEND_ORIGIN) return callback(null, FRONTEND_ORIGIN);
+    smartService.isRegisteredOrigin(origin)
+      .then(allowed => callback(null, allowed ? origin : false))
+      .catch(() => callback(null, false));
+  },
   credentials: true, // Allow cookies and credentials
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
@@ -50,6 +79,9 @@ app.get('/health', (_req, res) => {
 // Authentication routes (public)
 app.use('/api', authRouter);
 
+// SMART on FHIR discovery, authorize and token endpoints (public; called by the apps themselves)
+app.use('/api', smartAuthorizationRouter);
+
 // HIPAA Audit Middleware - Applied to all protected routes
 // This must come BEFORE the authenticateToken middleware to capture all requests
 app.use('/api', auditMiddleware.auditLogger());
@@ -59,6 +91,9 @@ app.use('/api', authenticateToken, auditMiddleware.responseAuditor()); // Log re
 app.use('/api', authenticateToken, router);                // existing routes (patients, encounters, etc.)
 app.use('/api', authenticateToken, providersRouter);       // providers endpoints
 app.use('/api', authenticateToken, appointmentsRouter);    // appointments endpoints
+app.use('/api', authenticateToken, schedulesRouter); // provider schedule templates and exceptions
+app.use('/api', authenticateToken, waitlistRouter); // appointment waitlist
+app.use('/api', authenticateToken, appointmentRemindersRouter); // appointment reminders and patient confirm/cancel replies
 app.use('/api', authenticateToken, ordersRouter);          // orders endpoints
 app.use('/api', authenticateToken, medicationsRouter);     // medications endpoints
 app.use('/api', authenticateToken, medicationsRoutesRouter); // enhanced medications API
@@ -75,6 +110,20 @@ app.use('/api', dischargeSummariesRouter); // discharge summaries endpoints
 app.use('/api', familyHistoryRouter); // family history endpoints
 app.use('/api', authenticateToken, insuranceRouter); // patient insurance endpoints
 app.use('/api', authenticateToken, auditRouter); // audit logging endpoints (admin only)
+app.use('/api', authenticateToken, fhirRouter); // FHIR R4 endpoints
+app.use('/api', authenticateToken, hl7InboxRouter); // HL7 inbox / error queue endpoints (admin)
+app.use('/api', authenticateToken, ccdaRouter); // C-CDA export and import/reconciliation endpoints
+app.use('/api', authenticateToken, smartRouter); // SMART app launch and app registry endpoints
+app.use('/api', authenticateToken, cdsHooksRouter); // CDS Hooks discovery and drug-safety/guideline services
+app.use('/api', authenticateToken, eligibilityRouter); // insurance eligibility verification endpoints
+app.use('/api', authenticateToken, claimsRouter); // claims built from completed encounters
+app.use('/api', authenticateToken, remittancesRouter); // 835 payment posting and unmatched remittance work queue
+app.use('/api', authenticateToken, statementsRouter); // patient balances, statements, payments and payment plans
+app.use('/api', authenticateToken, priorAuthRouter); // prior authorization work list, cases and requirements
+app.use('/api', authenticateToken, formularyRouter); // plan formularies (tiers, PA/step therapy, quantity limits)
+app.use('/api', authenticateToken, eprescribingRouter); // pharmacies, e-prescriptions and the renewal/change queue
+app.use('/api', authenticateToken, queueRouter); // patient queue with outstanding balance flags
+app.use('/api', authenticateToken, clearinghouseRouter); // clearinghouse inbox (271, 999, 835 responses)
 
 // (optional) basic 404 for unknown API routes
 app.use('/api', (_req, res) => {
@@ -199,4 +248,22 @@ export function broadcastMetricsUpdate(metrics) {
 server.listen(PORT, () => {
   console.log(`✅ EMR backend listening on port ${PORT}`);
   console.log(`📡 WebSocket server ready at ws://localhost:${PORT}/appointments`);
+
+  // HL7 v2 results/ADT feed over MLLP (disabled unless a port is configured)
+  if (process.env.HL7_MLLP_PORT) {
+    mllpListenerService
+      .start({ port: parseInt(process.env.HL7_MLLP_PORT, 10), host: process.env.HL7_MLLP_HOST })
+      .catch(error => console.error('❌ Failed to start HL7 MLLP listener:', error.message));
+  }
+
+  // Waitlist slot offers not answered within their hold time go to the next patient
+  waitlistService.startExpiryTimer();
+
+  // Appointment reminders go out as they fall due; confirm/cancel replies update the schedule
+  appointmentReminderService.startScheduler({
+    onAppointmentChange: appointment => broadcastAppointmentUpdate({
+      ...appointment,
+      date: new Date(appointment.start).toISOString().split('T')[0]
+    })
+  });
 });
@@ -0,0 +1,464 @@
+// Appointment Reminder Service
+// Reminders for upcoming appointments: each active rule (e.g. 72 hours and 2 hours before) sends its SMS or email
+// template once per appointment time through the notification service. Patients reply C to confirm or X to cancel
+// (YES/NO answer a waitlist offer); confirmations and cancellations are applied to the appointment and the changed
+// rows returned so the caller can broadcast them.
+import pool from '../db/index.js';
+import notificationService from './notification.service.js';
+import waitlistService from './waitlist.service.js';
+import { SchedulingError } from './scheduling.service.js';
+
+// Appointments that are reminded, confirmed or cancelled from a reply
+const REMINDABLE_STATUSES = ['proposed', 'booked'];
+
+// First word of a reply, upper-cased, by what it answers. Reminders only act on their explicit keywords, so a reply
+// like "No problem, see you then" leaves the appointment alone; YES/NO are for waitlist offers.
+const REPLY_WORDS = {
+  appointment_reminder: { confirm: ['C', 'CONFIRM', 'CONFIRMED'], cancel: ['X', 'CANCEL', 'CANCELLED', 'CANCELED'] },
+  waitlist_offer: { confirm: ['Y', 'YES'], cancel: ['N', 'NO'] }
+};
+
+const REPLY_CATEGORIES = ['appointment_reminder', 'waitlist_offer'];
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// A reminder still claimed this long after its run started is taken to have been lost with a crashed process and
+// is claimed again (the patient may rarely get it twice, rather than never)
+const STALE_CLAIM_MINUTES = 15;
+
+const APPOINTMENT_COLUMNS = `
+  id, provider_id, patient_id, start_ts AS start, end_ts AS "end", title, type, status, notes, room,
+  series_id, series_index, series_exception, confirmed_at
+`;
+
+/**
+ * Reminder rule or reply error with an HTTP status for the routes
+ */
+export class ReminderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReminderError';
+    this.status = status;
+  }
+}
+
+class AppointmentReminderService {
+  /* ---------- Rules ---------- */
+
+  /**
+   * @returns {Promise<Array>} Reminder rules, furthest ahead first
+   */
+  async listRules() {
+    const result = await pool.query('SELECT * FROM appointment_reminder_rules ORDER BY offset_minutes DESC, id');
+    return result.rows.map(row => this.formatRule(row));
+  }
+
+  /**
+   * Add or update a reminder rule
+   * @param {Object} data - { name, offset (e.g. 72h, 2h, 30m, 1d) or offsetMinutes, appointmentTypes (NULL: all),
+   *   smsTemplate, emailSubject, emailTemplate, active }
+   * @param {number} ruleId - Rule to update
+   * @returns {Promise<Object>} Rule
+   */
+  async saveRule(data, ruleId = null) {
+    const offsetMinutes = data.offset != null ? this.parseOffset(data.offset) : Number(data.offsetMinutes);
+    if (!Number.isInteger(offsetMinutes) || offsetMinutes <= 0 || offsetMinutes > 30 * 24 * 60) {
+      throw new ReminderError(
+        'offset must be a time before the appointment such as 72h, 2h or 30m, up to 30 days', 422
+      );
+    }
+    for (const field of ['smsTemplate', 'emailSubject', 'emailTemplate']) {
+      if (!data[field]?.trim()) {
+        throw new ReminderError(`${field} is required`, 422);
+      }
+    }
+
+    const values = [
+      data.name?.trim() || this.describeOffset(offsetMinutes), offsetMinutes,
+      data.appointmentTypes?.length ? data.appointmentTypes : null, data.smsTemplate, data.emailSubject,
+      data.emailTemplate, data.active ?? true
+    ];
+
+    let result;
+    try {
+      result = ruleId
+        ? await pool.query(`
+            UPDATE appointment_reminder_rules SET
+              name = $1, offset_minutes = $2, appointment_types = $3, sms_template = $4, email_subject = $5,
+              email_template = $6, active = $7, updated_at = NOW()
+            WHERE id = $8
+            RETURNING *
+          `, [...values, ruleId])
+        : await pool.query(`
+            INSERT INTO appointment_reminder_rules (
+              name, offset_minutes, appointment_types, sms_template, email_subject, email_template, active
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+          `, values);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ReminderError(`A reminder ${this.describeOffset(offsetMinutes)} before already exists`, 409);
+      }
+      throw error;
+    }
+
+    if (result.rows.length === 0) {
+      throw new ReminderError('Reminder rule not found', 404);
+    }
+    return this.formatRule(result.rows[0]);
+  }
+
+  /* ---------- Sending ---------- */
+
+  /**
+   * Send the reminders that are due. An appointment gets the due rule closest to its start; earlier rules it was
+   * booked too late for are skipped rather than sent together. Reminders left claimed by a run that never finished
+   * are due again after STALE_CLAIM_MINUTES.
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  async sendDueReminders(now = new Date()) {
+    const result = await pool.query(`
+      SELECT a.id, a.patient_id, a.provider_id, a.start_ts, a.type, a.room,
+             r.id AS rule_id, r.offset_minutes, r.sms_template, r.email_subject, r.email_template,
+             pt.first_name AS patient_first_name, pt.last_name AS patient_last_name,
+             pv.first_name AS provider_first_name, pv.last_name AS provider_last_name,
+             ty.name AS type_name
+      FROM appointments a
+      JOIN appointment_reminder_rules r
+        ON r.active
+       AND a.start_ts - make_interval(mins => r.offset_minutes) <= $1
+       AND (r.appointment_types IS NULL OR a.type = ANY(r.appointment_types))
+      JOIN patients pt ON pt.id = a.patient_id
+      LEFT JOIN providers pv ON pv.id = a.provider_id
+      LEFT JOIN appointment_types ty ON ty.code = a.type
+      WHERE a.status = ANY($2)
+        AND a.start_ts > $1
+        AND NOT EXISTS (
+          SELECT 1 FROM appointment_reminders ar
+          -- appointment_start is written back from a JavaScript Date, so compare at millisecond precision
+          WHERE ar.appointment_id = a.id AND ar.rule_id = r.id
+            AND ar.appointment_start = date_trunc('milliseconds', a.start_ts)
+            AND NOT (ar.status = 'sending' AND ar.claimed_at < $3)
+        )
+      ORDER BY a.start_ts, a.id, r.offset_minutes
+    `, [now, REMINDABLE_STATUSES, this.staleClaimBefore(now)]);
+
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+    const byAppointment = new Map();
+    for (const row of result.rows) {
+      if (!byAppointment.has(row.id)) byAppointment.set(row.id, []);
+      byAppointment.get(row.id).push(row);
+    }
+
+    for (const [appointmentId, rows] of byAppointment) {
+      // Rows are ordered by offset, so the first is the rule closest to the appointment
+      const [due, ...superseded] = rows;
+      for (const row of superseded) {
+        await this.recordReminder(row, 'skipped', { error: 'Superseded by a later reminder', now });
+        summary.skipped++;
+      }
+
+      // Claimed before sending, so an overlapping run (or another server) never sends the same reminder twice
+      const reminderId = await this.claimReminder(due, now);
+      if (!reminderId) continue;
+      try {
+        const status = await this.sendReminder(due, reminderId);
+        summary[status]++;
+      } catch (error) {
+        console.error(`[Reminders] Error reminding appointment ${appointmentId}:`, error);
+        await this.finishReminder(reminderId, 'failed', { error: error.message });
+        summary.failed++;
+      }
+    }
+
+    if (byAppointment.size > 0) {
+      console.log(`[Reminders] Sent ${summary.sent}, failed ${summary.failed}, skipped ${summary.skipped}`);
+    }
+    return summary;
+  }
+
+  // Render and send one claimed reminder; patients without a phone number or email address are skipped
+  async sendReminder(row, reminderId) {
+    const { channel } = await notificationService.resolveRecipient(row.patient_id);
+    if (channel === 'phone') {
+      await this.finishReminder(reminderId, 'skipped', { error: 'No phone number or email address on file' });
+      return 'skipped';
+    }
+
+    const values = this.templateValues(row);
+    const notification = await notificationService.send({
+      patientId: row.patient_id,
+      appointmentId: row.id,
+      category: 'appointment_reminder',
+      channel,
+      subject: channel === 'email' ? this.renderTemplate(row.email_subject, values) : null,
+      body: this.renderTemplate(channel === 'email' ? row.email_template : row.sms_template, values),
+      data: { ruleId: row.rule_id, offsetMinutes: row.offset_minutes }
+    });
+
+    const status = notification.status === 'sent' ? 'sent' : 'failed';
+    await this.finishReminder(reminderId, status, { notificationId: notification.id, error: notification.error });
+    return status;
+  }
+
+  // Reminder row in status sending, or null when another run already has it; a stale claim is taken over
+  async claimReminder(row, now = new Date()) {
+    const result = await pool.query(`
+      INSERT INTO appointment_reminders (appointment_id, rule_id, appointment_start, status, claimed_at)
+      VALUES ($1, $2, $3, 'sending', $4)
+      ON CONFLICT (appointment_id, rule_id, appointment_start) DO UPDATE
+        SET claimed_at = EXCLUDED.claimed_at, error = NULL
+        WHERE appointment_reminders.status = 'sending' AND appointment_reminders.claimed_at < $5
+      RETURNING id
+    `, [row.id, row.rule_id, row.start_ts, now, this.staleClaimBefore(now)]);
+    return result.rows[0]?.id ?? null;
+  }
+
+  async finishReminder(reminderId, status, { notificationId = null, error = null } = {}) {
+    await pool.query(`
+      UPDATE appointment_reminders SET status = $2, notification_id = $3, error = $4 WHERE id = $1
+    `, [reminderId, status, notificationId, error ?? null]);
+  }
+
+  // Record a reminder that is not sent; replaces a stale claim on the same rule
+  async recordReminder(row, status, { notificationId = null, error = null, now = new Date() } = {}) {
+    await pool.query(`
+      INSERT INTO appointment_reminders (appointment_id, rule_id, appointment_start, status, notification_id, error)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (appointment_id, rule_id, appointment_start) DO UPDATE
+        SET status = EXCLUDED.status, notification_id = EXCLUDED.notification_id, error = EXCLUDED.error
+        WHERE appointment_reminders.status = 'sending' AND appointment_reminders.claimed_at < $7
+    `, [row.id, row.rule_id, row.start_ts, status, notificationId, error ?? null, this.staleClaimBefore(now)]);
+  }
+
+  /**
+   * Reminders sent for an appointment
+   * @param {number} appointmentId - Appointment ID
+   * @returns {Promise<Array>}
+   */
+  async listReminders(appointmentId) {
+    const result = await pool.query(`
+      SELECT ar.*, r.name AS rule_name, n.channel, n.recipient, n.sent_at
+      FROM appointment_reminders ar
+      JOIN appointment_reminder_rules r ON r.id = ar.rule_id
+      LEFT JOIN patient_notifications n ON n.id = ar.notification_id
+      WHERE ar.appointment_id = $1
+      ORDER BY ar.created_at, ar.id
+    `, [appointmentId]);
+    return result.rows.map(row => ({
+      id: row.id,
+      ruleId: row.rule_id,
+      ruleName: row.rule_name,
+      appointmentStart: row.appointment_start,
+      status: row.status,
+      channel: row.channel,
+      recipient: row.recipient,
+      error: row.error,
+      sentAt: row.sent_at,
+      createdAt: row.created_at
+    }));
+  }
+
+  /* ---------- Replies ---------- */
+
+  /**
+   * Apply a patient's reply to the reminder or waitlist offer it answers
+   * @param {Object} reply - { channel (sms|email), from (phone number or email address), body, receivedAt }
+   * @returns {Promise<Object>} { action, appointment (the changed appointment row, or null) }
+   */
+  async handleReply(reply) {
+    const channel = reply.channel || 'sms';
+    if (!['sms', 'email'].includes(channel) || !reply.from || typeof reply.body !== 'string') {
+      throw new ReminderError('A reply needs channel (sms or email), from and body', 422);
+    }
+
+    const notification = await notificationService.findLatestTo(channel, reply.from, { categories: REPLY_CATEGORIES });
+    const intent = notification ? this.parseIntent(reply.body, notification.category) : null;
+    let outcome = { action: 'unmatched', appointment: null };
+    if (notification && !intent) {
+      outcome = { action: 'unrecognized', appointment: null };
+    } else if (notification?.category === 'waitlist_offer') {
+      outcome = await this.answerOffer(notification, intent);
+    } else if (notification) {
+      outcome = await this.answerReminder(notification, intent);
+    }
+
+    const appointmentId = outcome.appointment?.id ?? notification?.appointment_id ?? null;
+    await pool.query(`
+      INSERT INTO patient_notification_replies (
+        channel, sender, body, notification_id, action, appointment_id, received_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, NOW()))
+    `, [
+      channel, reply.from, reply.body, notification?.id ?? null, outcome.action, appointmentId, reply.receivedAt ?? null
+    ]);
+    // The sender's address is PHI: log which message and appointment the reply answered instead
+    console.log(
+      `[Reminders] ${channel.toUpperCase()} reply to notification #${notification?.id ?? '-'} ` +
+      `(appointment #${appointmentId ?? '-'}): ${outcome.action}`
+    );
+    return outcome;
+  }
+
+  /**
+   * Collect replies waiting at the notification transport and apply them
+   * @returns {Promise<Object>} { replies, actions: [{ from, action }], appointments (changed rows) }
+   */
+  async processReplies() {
+    const replies = await notificationService.collectReplies();
+    const summary = { replies: replies.length, actions: [], appointments: [] };
+    for (const reply of replies) {
+      try {
+        const outcome = await this.handleReply(reply);
+        summary.actions.push({ from: reply.from, action: outcome.action });
+        if (outcome.appointment) summary.appointments.push(outcome.appointment);
+      } catch (error) {
+        console.error(`[Reminders] Error applying ${reply.channel || 'sms'} reply:`, error);
+        summary.actions.push({ from: reply.from, action: 'error', error: error.message });
+      }
+    }
+    return summary;
+  }
+
+  // Confirm or cancel the appointment a reminder was sent for; only upcoming booked or proposed visits change
+  async answerReminder(notification, intent) {
+    const result = intent === 'confirm'
+      ? await pool.query(`
+          UPDATE appointments SET
+            confirmed_at = NOW(), status = CASE WHEN status = 'proposed' THEN 'booked' ELSE status END,
+            updated_at = NOW()
+          WHERE id = $1 AND status = ANY($2) AND start_ts > NOW()
+          RETURNING ${APPOINTMENT_COLUMNS}
+        `, [notification.appointment_id, REMINDABLE_STATUSES])
+      : await pool.query(`
+          UPDATE appointments SET status = 'cancelled', updated_at = NOW()
+          WHERE id = $1 AND status = ANY($2) AND start_ts > NOW()
+          RETURNING ${APPOINTMENT_COLUMNS}
+        `, [notification.appointment_id, REMINDABLE_STATUSES]);
+
+    const appointment = result.rows[0];
+    if (!appointment) return { action: 'no_change', appointment: null };
+
+    if (intent === 'cancel') {
+      waitlistService
+        .offerSlot({
+          appointmentId: appointment.id, providerId: appointment.provider_id, start: appointment.start,
+          end: appointment.end, type: appointment.type, room: appointment.room
+        })
+        .catch(error => console.warn('[Reminders] Offering the freed slot failed:', error));
+    }
+    return { action: intent === 'confirm' ? 'confirmed' : 'cancelled', appointment };
+  }
+
+  // YES books the offered slot, NO passes it to the next patient on the waitlist
+  async answerOffer(notification, intent) {
+    const offerId = notification.data?.offerId;
+    try {
+      if (intent === 'confirm') {
+        const { appointment } = await waitlistService.acceptOffer(offerId);
+        return { action: 'offer_accepted', appointment };
+      }
+      await waitlistService.declineOffer(offerId);
+      return { action: 'offer_declined', appointment: null };
+    } catch (error) {
+      // Expired, already answered, or the slot was taken since
+      if (error instanceof SchedulingError) return { action: 'no_change', appointment: null };
+      throw error;
+    }
+  }
+
+  /**
+   * Send due reminders and apply collected replies every minute; a run still in progress skips the next tick
+   * @param {Object} options - { onAppointmentChange (called with each appointment row a reply changed) }
+   * @returns {Object} The interval timer (does not keep the process alive)
+   */
+  startScheduler({ onAppointmentChange = () => {} } = {}) {
+    let running = false;
+    const tick = async () => {
+      await this.sendDueReminders();
+      const { appointments } = await this.processReplies();
+      appointments.forEach(appointment => onAppointmentChange(appointment));
+    };
+    const timer = setInterval(() => {
+      if (running) return;
+      running = true;
+      tick()
+        .catch(error => console.error('[Reminders] Error running reminders:', error))
+        .finally(() => { running = false; });
+    }, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  // Claims made before this time are stale
+  staleClaimBefore(now) {
+    return new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000);
+  }
+
+  // confirm, cancel, or null for anything else; category is the notification the reply answers
+  parseIntent(body, category = 'appointment_reminder') {
+    const words = REPLY_WORDS[category] ?? REPLY_WORDS.appointment_reminder;
+    const word = String(body ?? '').trim().split(/\s+/)[0].replace(/[^A-Za-z]/g, '').toUpperCase();
+    if (words.confirm.includes(word)) return 'confirm';
+    if (words.cancel.includes(word)) return 'cancel';
+    return null;
+  }
+
+  /**
+   * Minutes for an offset such as 72h, 2h, 30m or 1d (a bare number is minutes)
+   */
+  parseOffset(value) {
+    const match = /^\s*(\d+)\s*([mhd]?)\s*$/i.exec(String(value));
+    if (!match) return NaN;
+    const unit = { '': 1, m: 1, h: 60, d: 24 * 60 }[match[2].toLowerCase()];
+    return Number(match[1]) * unit;
+  }
+
+  describeOffset(minutes) {
+    if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+  }
+
+  /**
+   * Replace {{placeholders}}; unknown placeholders are left empty
+   */
+  renderTemplate(template, values) {
+    return String(template ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? '');
+  }
+
+  // Placeholder values for an appointment row, times in clinic local time
+  templateValues(row) {
+    const start = new Date(row.start_ts);
+    const providerName = [row.provider_first_name, row.provider_last_name].filter(Boolean).join(' ');
+    return {
+      patientFirstName: row.patient_first_name ?? '',
+      patientName: [row.patient_first_name, row.patient_last_name].filter(Boolean).join(' '),
+      providerName: providerName ? `Dr. ${providerName}` : 'your provider',
+      appointmentType: (row.type_name ?? row.type ?? '').toLowerCase(),
+      date: start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+      time: start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      room: row.room ?? '',
+      clinicName: process.env.REMINDER_CLINIC_NAME || 'your clinic',
+      clinicPhone: process.env.REMINDER_CLINIC_PHONE || 'the clinic'
+    };
+  }
+
+  formatRule(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      offsetMinutes: row.offset_minutes,
+      offset: this.describeOffset(row.offset_minutes),
+      appointmentTypes: row.appointment_types,
+      smsTemplate: row.sms_template,
+      emailSubject: row.email_subject,
+      emailTemplate: row.email_template,
+      active: row.active
+    };
+  }
+}
+
+export default new AppointmentReminderService();
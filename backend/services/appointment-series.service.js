@@ -0,0 +1,234 @@
+// Appointment Series Service
+// Recurring appointments: a series expands its RRULE into regular appointments rows, and edits or cancellations
+// apply to one occurrence, this and following occurrences, or the whole series. The series row records how the
+// series was created; its occurrences are the appointments themselves. Changed rows are returned so the routes can
+// broadcast each one.
+import pool from '../db/index.js';
+import schedulingService, {
+  SchedulingError,
+  SchedulingConflictError,
+  INACTIVE_APPOINTMENT_STATUSES
+} from './scheduling.service.js';
+import { parseRRule, expandRRule, RRuleError } from '../utils/rrule.js';
+
+export const SERIES_SCOPES = ['occurrence', 'following', 'series'];
+
+// Occurrences a series edit may still change; arrived, fulfilled, cancelled and no-show visits are left alone
+const EDITABLE_STATUSES = ['proposed', 'booked'];
+
+const APPOINTMENT_COLUMNS = `
+  id, provider_id, patient_id, start_ts AS start, end_ts AS "end", title, type, status, notes, room,
+  series_id, series_index, series_exception, confirmed_at
+`;
+
+class AppointmentSeriesService {
+  /**
+   * Create a series and its occurrences
+   * @param {Object} data - { providerId, patientId, start, end (first occurrence), rrule, title, type, room, notes,
+   *   status, skipConflicts (book the occurrences that are free instead of rejecting the series) }
+   * @param {number} userId - User creating it
+   * @returns {Promise<Object>} { series, appointments, skipped: [{ start, end, conflicts }] }
+   * @throws {SchedulingConflictError} When occurrences conflict (or all do, with skipConflicts)
+   */
+  async createSeries(data, userId = null) {
+    const firstStart = new Date(data.start);
+    const firstEnd = new Date(data.end);
+    if (Number.isNaN(firstStart.getTime()) || Number.isNaN(firstEnd.getTime()) || firstEnd <= firstStart) {
+      throw new SchedulingError('start and end must be timestamps with end after start');
+    }
+    const duration = firstEnd.getTime() - firstStart.getTime();
+    const occurrences = this.expand(data.rrule, firstStart);
+    const status = data.status || 'booked';
+
+    return schedulingService.withBookingLock(async (client) => {
+      const seriesResult = await client.query(`
+        INSERT INTO appointment_series (
+          provider_id, patient_id, rrule, dtstart, duration_minutes, title, type, room, notes, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        data.providerId, data.patientId ?? null, String(data.rrule).replace(/^RRULE:/i, ''), firstStart,
+        Math.round(duration / 60000), data.title ?? null, data.type ?? null, data.room ?? null, data.notes ?? null,
+        userId
+      ]);
+      const series = seriesResult.rows[0];
+
+      const appointments = [];
+      const skipped = [];
+      for (const [index, start] of occurrences.entries()) {
+        const end = new Date(start.getTime() + duration);
+        const conflicts = INACTIVE_APPOINTMENT_STATUSES.includes(status) ? [] : await schedulingService.findConflicts({
+          providerId: data.providerId, patientId: data.patientId, room: data.room, start, end, type: data.type
+        }, client);
+        if (conflicts.length > 0) {
+          skipped.push({ start: start.toISOString(), end: end.toISOString(), conflicts });
+          continue;
+        }
+
+        const result = await client.query(`
+          INSERT INTO appointments (
+            provider_id, patient_id, start_ts, end_ts, title, type, status, notes, room, series_id, series_index
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          RETURNING ${APPOINTMENT_COLUMNS}
+        `, [
+          data.providerId, data.patientId ?? null, start, end, data.title ?? null, data.type ?? null, status,
+          data.notes ?? null, data.room ?? null, series.id, index + 1
+        ]);
+        appointments.push(result.rows[0]);
+      }
+
+      if (skipped.length > 0 && (!data.skipConflicts || appointments.length === 0)) {
+        throw new SchedulingConflictError(this.occurrenceConflicts(skipped));
+      }
+      return { series, appointments, skipped };
+    });
+  }
+
+  /**
+   * Edit or cancel occurrences of the series an appointment belongs to
+   * @param {number} appointmentId - The occurrence the edit was made on
+   * @param {string} scope - following (this and later occurrences) or series (every upcoming occurrence)
+   * @param {Object} changes - { start, end (moves every occurrence by the same wall-clock change), providerId,
+   *   patientId, title, type, notes, room, status }
+   * @returns {Promise<Array>} Changed appointment rows
+   * @throws {SchedulingConflictError} When a moved occurrence conflicts; nothing is changed
+   */
+  async updateOccurrences(appointmentId, scope, changes) {
+    if (!['following', 'series'].includes(scope)) {
+      throw new SchedulingError('scope must be following or series');
+    }
+
+    const targetResult = await pool.query(
+      `SELECT ${APPOINTMENT_COLUMNS} FROM appointments WHERE id = $1`,
+      [appointmentId]
+    );
+    const target = targetResult.rows[0];
+    if (!target) {
+      throw new SchedulingError('Appointment not found', 404);
+    }
+    if (!target.series_id) {
+      throw new SchedulingError('Appointment is not part of a series');
+    }
+
+    const has = key => Object.prototype.hasOwnProperty.call(changes, key);
+    const moveTo = has('start') || has('end') ? this.movement(target, changes) : null;
+
+    return schedulingService.withBookingLock(async (client) => {
+      const rowsResult = await client.query(`
+        SELECT ${APPOINTMENT_COLUMNS} FROM appointments
+        WHERE series_id = $1
+          AND status = ANY($2)
+          AND end_ts >= NOW()
+          AND ($3::int IS NULL OR series_index >= $3 OR id = $4)
+        ORDER BY series_index, id
+      `, [target.series_id, EDITABLE_STATUSES, scope === 'following' ? target.series_index : null, target.id]);
+
+      const updates = rowsResult.rows.map(row => {
+        const next = {
+          providerId: has('providerId') ? changes.providerId : row.provider_id,
+          patientId: has('patientId') ? changes.patientId : row.patient_id,
+          start: moveTo ? moveTo(row).start : new Date(row.start),
+          end: moveTo ? moveTo(row).end : new Date(row.end),
+          title: has('title') ? changes.title : row.title,
+          type: has('type') ? changes.type : row.type,
+          notes: has('notes') ? changes.notes : row.notes,
+          room: has('room') ? changes.room : row.room,
+          status: has('status') ? changes.status : row.status
+        };
+        return { row, next };
+      });
+
+      const rebooks = ['start', 'end', 'providerId', 'patientId', 'room', 'type'].some(has);
+      if (rebooks && !INACTIVE_APPOINTMENT_STATUSES.includes(changes.status)) {
+        const skipped = [];
+        for (const { row, next } of updates) {
+          const conflicts = (await schedulingService.findConflicts({ appointmentId: row.id, ...next }, client))
+            // Occurrences of this series are all being moved together
+            .filter(conflict => !updates.some(update => update.row.id === conflict.appointmentId));
+          if (conflicts.length > 0) {
+            skipped.push({ start: next.start.toISOString(), end: next.end.toISOString(), conflicts });
+          }
+        }
+        if (skipped.length > 0) {
+          throw new SchedulingConflictError(this.occurrenceConflicts(skipped));
+        }
+      }
+
+      const changed = [];
+      for (const { row, next } of updates) {
+        const result = await client.query(`
+          UPDATE appointments SET
+            provider_id = $2, patient_id = $3, start_ts = $4, end_ts = $5, title = $6, type = $7, notes = $8,
+            room = $9, status = $10, confirmed_at = CASE WHEN start_ts = $4 THEN confirmed_at END, updated_at = NOW()
+          WHERE id = $1
+          RETURNING ${APPOINTMENT_COLUMNS}
+        `, [
+          row.id, next.providerId, next.patientId, next.start, next.end, next.title, next.type, next.notes, next.room,
+          next.status
+        ]);
+        changed.push(result.rows[0]);
+      }
+      return changed;
+    });
+  }
+
+  /**
+   * @param {number} seriesId - Series ID
+   * @returns {Promise<Object|null>} { series, appointments }
+   */
+  async getSeries(seriesId) {
+    const seriesResult = await pool.query('SELECT * FROM appointment_series WHERE id = $1', [seriesId]);
+    if (seriesResult.rows.length === 0) return null;
+
+    const appointments = await pool.query(`
+      SELECT ${APPOINTMENT_COLUMNS} FROM appointments WHERE series_id = $1 ORDER BY series_index, id
+    `, [seriesId]);
+    return { series: seriesResult.rows[0], appointments: appointments.rows };
+  }
+
+  /* ---------- Helpers ---------- */
+
+  // Occurrence starts of an RRULE, with rule errors as 422s
+  expand(rrule, firstStart) {
+    try {
+      return expandRRule(parseRRule(rrule), firstStart);
+    } catch (error) {
+      if (error instanceof RRuleError) throw new SchedulingError(error.message, 422);
+      throw error;
+    }
+  }
+
+  /**
+   * How an edit to one occurrence's times moves the others: the same shift in days and the same new local time of
+   * day and duration, so a move from 9:00 to 10:30 keeps every occurrence at 10:30 across daylight saving changes
+   */
+  movement(target, changes) {
+    const oldStart = new Date(target.start);
+    const newStart = changes.start ? new Date(changes.start) : oldStart;
+    const newEnd = changes.end ? new Date(changes.end) : new Date(new Date(target.end).getTime() + (newStart - oldStart));
+    if (Number.isNaN(newStart.getTime()) || Number.isNaN(newEnd.getTime()) || newEnd <= newStart) {
+      throw new SchedulingError('start and end must be timestamps with end after start');
+    }
+
+    const midnight = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayShift = Math.round((midnight(newStart) - midnight(oldStart)) / (24 * 60 * 60 * 1000));
+    const duration = newEnd - newStart;
+
+    return (row) => {
+      const from = new Date(row.start);
+      const start = new Date(
+        from.getFullYear(), from.getMonth(), from.getDate() + dayShift,
+        newStart.getHours(), newStart.getMinutes(), newStart.getSeconds()
+      );
+      return { start, end: new Date(start.getTime() + duration) };
+    };
+  }
+
+  // Conflicts of each occurrence, tagged with the occurrence they belong to
+  occurrenceConflicts(skipped) {
+    return skipped.flatMap(occurrence =>
+      occurrence.conflicts.map(conflict => ({ ...conflict, occurrenceStart: occurrence.start })));
+  }
+}
+
+export default new AppointmentSeriesService();
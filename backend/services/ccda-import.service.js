@@ -0,0 +1,929 @@
+// C-CDA Import Service
+// Parses inbound C-CDA documents (CCD, Referral Note) and stages their problems, medications and
+// allergies as a reconciliation diff against the chart; reviewed items are committed in one transaction
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import fhirService from './fhir.service.js';
+import { OIDS, TEMPLATES, SECTION_CODES, CCDAError } from './ccda.service.js';
+import { parseXML, XMLParseError } from '../utils/xml-parser.js';
+
+// ClinicalDocument/code -> ccda_imports.document_type
+const DOCUMENT_TYPES = {
+  '34133-9': 'ccd',
+  '57133-1': 'referral_note'
+};
+
+// Sections match on template root or LOINC code; the "entries optional" template roots are accepted too
+const SECTIONS = {
+  problems: { templates: [TEMPLATES.PROBLEMS_SECTION[0], '2.16.840.1.113883.10.20.22.2.5'], code: SECTION_CODES.problems.code },
+  medications: { templates: [TEMPLATES.MEDICATIONS_SECTION[0], '2.16.840.1.113883.10.20.22.2.1'], code: SECTION_CODES.medications.code },
+  allergies: { templates: [TEMPLATES.ALLERGIES_SECTION[0], '2.16.840.1.113883.10.20.22.2.6'], code: SECTION_CODES.allergies.code }
+};
+
+// Target table, the columns an item carries, and the columns that count as a difference
+const CATEGORIES = {
+  problem: {
+    table: 'problems',
+    label: 'description',
+    columns: ['code', 'description', 'status', 'onset_date', 'resolved_date', 'notes'],
+    compared: ['code', 'status', 'onset_date', 'resolved_date']
+  },
+  medication: {
+    table: 'patient_medications',
+    label: 'name',
+    columns: ['name', 'dose', 'route', 'frequency', 'started_at', 'ended_at', 'active'],
+    compared: ['dose', 'route', 'frequency', 'started_at', 'ended_at', 'active']
+  },
+  allergy: {
+    table: 'allergies',
+    label: 'substance',
+    columns: ['type', 'substance', 'reaction', 'severity', 'noted_at', 'active'],
+    compared: ['type', 'reaction', 'severity', 'active']
+  }
+};
+
+const DATE_COLUMNS = ['onset_date', 'resolved_date', 'started_at', 'ended_at'];
+
+// SNOMED allergy/intolerance type (observation value) -> allergies.type
+const ALLERGY_TYPES = {
+  '416098002': 'medication', // Allergy to drug
+  '419511003': 'medication', // Propensity to adverse reactions to drug
+  '59037007': 'medication', // Drug intolerance
+  '414285001': 'food', // Allergy to food
+  '418471000': 'food', // Propensity to adverse reactions to food
+  '235719002': 'food', // Food intolerance
+  '426232007': 'environment', // Environmental allergy
+  '419199007': 'other', // Allergy to substance
+  '420134006': 'other' // Propensity to adverse reactions
+};
+
+// SNOMED severity -> allergies.severity
+const SEVERITIES = {
+  '255604002': 'mild',
+  '371923003': 'moderate', // Mild to moderate
+  '6736007': 'moderate',
+  '371924009': 'severe', // Moderate to severe
+  '24484000': 'severe',
+  '399166001': 'severe' // Fatal
+};
+
+// Problem status observation values that mean the problem is no longer active
+const INACTIVE_PROBLEM_STATUSES = ['413322009', '73425007', '277022003'];
+
+// Medication timing (PIVL_TS period in hours) -> frequency as entered locally
+const FREQUENCIES = { 24: 'daily', 12: 'BID', 8: 'TID', 6: 'QID' };
+const PERIOD_HOURS = { h: 1, d: 24, wk: 168 };
+
+class CCDAImportService {
+  /**
+   * Parse an inbound document and stage its problems, medications and allergies for reconciliation
+   * @param {number} patientId - Patient the document is being filed to
+   * @param {string} xml - C-CDA document
+   * @param {Object} options - { userId, endpoint }
+   * @returns {Object} Import with items (see getImport)
+   */
+  async createImport(patientId, xml, { userId = null, endpoint = null } = {}) {
+    const patientResult = await pool.query('SELECT * FROM patients WHERE id = $1', [patientId]);
+    const patient = patientResult.rows[0];
+    if (!patient) {
+      throw new CCDAError(`Patient ${patientId} not found`, 404);
+    }
+    if (patient.merged_into_patient_id) {
+      throw new CCDAError(`Patient ${patientId} was merged into ${patient.merged_into_patient_id}; import to the surviving record`, 409);
+    }
+
+    const document = this.parseDocument(xml);
+    const warnings = [...this.demographicWarnings(document.patient, patient), ...document.warnings];
+    const current = await this.loadCurrent(patientId);
+
+    const items = [
+      ...document.problems.map(entry => this.diffItem('problem', entry, current.problem)),
+      ...document.medications.map(entry => this.diffItem('medication', entry, current.medication)),
+      ...document.allergies.map(entry => this.diffItem('allergy', entry, current.allergy))
+    ];
+
+    const client = await pool.connect();
+    let importId;
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(`
+        INSERT INTO ccda_imports (
+          patient_id, document_id, document_type, title, source_organization, document_date,
+          document_patient, warnings, raw_document, uploaded_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING id
+      `, [
+        patientId, document.header.documentId, document.header.documentType, document.header.title,
+        document.header.sourceOrganization, document.header.documentDate,
+        JSON.stringify(document.patient), JSON.stringify(warnings), xml, userId
+      ]);
+      importId = rows[0].id;
+
+      for (const item of items) {
+        await client.query(`
+          INSERT INTO ccda_import_items (
+            import_id, category, source_entry_id, incoming, match_type, matched_record_id,
+            current_values, differences, decision
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `, [
+          importId, item.category, item.sourceEntryId, JSON.stringify(item.incoming), item.matchType,
+          item.matchedRecordId, item.current ? JSON.stringify(item.current) : null,
+          JSON.stringify(item.differences), item.decision
+        ]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('[CCDAImport] Error staging import:', error);
+      throw new Error(`Failed to stage C-CDA import: ${error.message}`);
+    } finally {
+      client.release();
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'ccda_imports',
+      importId,
+      'ccda_import',
+      `C-CDA ${document.header.documentType} received${document.header.sourceOrganization ? ` from ${document.header.sourceOrganization}` : ''} (${items.length} items staged)`,
+      { patientId, endpoint }
+    );
+
+    return this.getImport(importId);
+  }
+
+  /**
+   * List a patient's imports, newest first
+   * @param {number} patientId - Patient ID
+   * @returns {Array} ccda_imports rows with item counts
+   */
+  async listImports(patientId) {
+    try {
+      const result = await pool.query(`
+        SELECT i.id, i.patient_id, i.document_id, i.document_type, i.title, i.source_organization,
+               i.document_date, i.status, i.uploaded_by, i.created_at, i.completed_by, i.completed_at,
+               COUNT(it.id)::int AS item_count,
+               COUNT(it.id) FILTER (WHERE it.decision IS NULL)::int AS undecided_count
+        FROM ccda_imports i
+        LEFT JOIN ccda_import_items it ON it.import_id = i.id
+        WHERE i.patient_id = $1
+        GROUP BY i.id
+        ORDER BY i.created_at DESC, i.id DESC
+      `, [patientId]);
+
+      return result.rows;
+    } catch (error) {
+      console.error('[CCDAImport] Error listing imports:', error);
+      throw new Error(`Failed to list C-CDA imports: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get an import with its reconciliation items
+   * @param {number} importId - Import ID
+   * @returns {Object} Import with items and per-category summary
+   */
+  async getImport(importId) {
+    const record = await this.findImport(importId);
+
+    const items = await pool.query(`
+      SELECT * FROM ccda_import_items
+      WHERE import_id = $1
+      ORDER BY CASE category WHEN 'problem' THEN 1 WHEN 'medication' THEN 2 ELSE 3 END, id
+    `, [importId]);
+
+    const summary = {};
+    for (const item of items.rows) {
+      summary[item.category] = summary[item.category] || { new: 0, duplicate: 0, changed: 0 };
+      summary[item.category][item.match_type]++;
+    }
+
+    const { raw_document: rawDocument, ...rest } = record;
+    return { ...rest, document_size: rawDocument.length, summary, items: items.rows };
+  }
+
+  /**
+   * Record the reconciliation decision for one item
+   * @param {number} importId - Import ID
+   * @param {number} itemId - Item ID
+   * @param {Object} change - { decision: accept|reject|merge, values? } - values override the default merge
+   * @param {number} userId - Reviewing user
+   * @returns {Object} Updated item
+   */
+  async decideItem(importId, itemId, { decision, values = null }, userId) {
+    const record = await this.findImport(importId);
+    this.assertPending(record);
+
+    if (!['accept', 'reject', 'merge'].includes(decision)) {
+      throw new CCDAError('Decision must be accept, reject or merge');
+    }
+
+    const itemResult = await pool.query(
+      'SELECT * FROM ccda_import_items WHERE id = $1 AND import_id = $2',
+      [itemId, importId]
+    );
+    const item = itemResult.rows[0];
+    if (!item) {
+      throw new CCDAError(`Item ${itemId} not found in import ${importId}`, 404);
+    }
+
+    let mergedValues = null;
+    if (decision === 'merge') {
+      if (item.match_type === 'new') {
+        throw new CCDAError('Only items that match a chart record can be merged');
+      }
+      mergedValues = this.mergeValues(item, values);
+    } else if (values) {
+      throw new CCDAError('Values can only be given with a merge decision');
+    }
+
+    const result = await pool.query(`
+      UPDATE ccda_import_items
+      SET decision = $2, merged_values = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [itemId, decision, mergedValues ? JSON.stringify(mergedValues) : null, userId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Apply every decided item to the chart and record the medication reconciliation
+   * @param {number} importId - Import ID
+   * @param {Object} options - { userId, endpoint }
+   * @returns {Object} Committed import (see getImport)
+   */
+  async commitImport(importId, { userId = null, endpoint = null } = {}) {
+    const client = await pool.connect();
+    let record;
+    const applied = { inserted: 0, updated: 0, rejected: 0, reconciled: 0 };
+
+    try {
+      await client.query('BEGIN');
+
+      const importResult = await client.query('SELECT * FROM ccda_imports WHERE id = $1 FOR UPDATE', [importId]);
+      record = importResult.rows[0];
+      if (!record) {
+        throw new CCDAError(`C-CDA import ${importId} not found`, 404);
+      }
+      this.assertPending(record);
+
+      const { rows: items } = await client.query(
+        'SELECT * FROM ccda_import_items WHERE import_id = $1 ORDER BY id',
+        [importId]
+      );
+
+      const undecided = items.filter(item => !item.decision);
+      if (undecided.length > 0) {
+        throw new CCDAError(`${undecided.length} item(s) still need a decision before the import can be committed`);
+      }
+
+      for (const item of items) {
+        const outcome = await this.applyItem(client, record, item);
+        applied[outcome.result]++;
+
+        if (outcome.recordId) {
+          await client.query(
+            'UPDATE ccda_import_items SET applied_record_id = $2 WHERE id = $1',
+            [item.id, outcome.recordId]
+          );
+        }
+
+        const action = item.category === 'medication' ? this.reconciliationAction(item, outcome.values) : null;
+        if (action) {
+          await client.query(`
+            INSERT INTO medication_reconciliation (
+              source, patient_id, ccda_import_id, ccda_import_item_id, medication_name, action_type,
+              previous_dosage, new_dosage, reason_for_change, reconciled_by
+            ) VALUES ('ccda_import', $1, $2, $3, $4, $5, $6, $7, $8, $9)
+          `, [
+            record.patient_id, importId, item.id,
+            outcome.values?.name || item.current_values?.name || item.incoming.name,
+            action,
+            item.current_values?.dose || null,
+            action === 'continue' ? item.current_values?.dose || null : outcome.values?.dose || null,
+            `Reconciled from ${record.source_organization || 'outside'} ${record.document_type === 'referral_note' ? 'referral note' : 'CCD'} (import ${importId})`,
+            userId
+          ]);
+          applied.reconciled++;
+        }
+      }
+
+      await client.query(`
+        UPDATE ccda_imports SET status = 'committed', completed_by = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [importId, userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      if (error instanceof CCDAError) throw error;
+      console.error('[CCDAImport] Error committing import:', error);
+      throw new Error(`Failed to commit C-CDA import: ${error.message}`);
+    } finally {
+      client.release();
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'ccda_imports',
+      importId,
+      'ccda_import_commit',
+      `C-CDA import committed: ${applied.inserted} added, ${applied.updated} updated, ${applied.rejected} rejected`,
+      { patientId: record.patient_id, endpoint }
+    );
+
+    console.log(`[CCDAImport] Committed import ${importId} for patient ${record.patient_id}:`, applied);
+
+    return this.getImport(importId);
+  }
+
+  /**
+   * Discard a pending import without changing the chart
+   * @param {number} importId - Import ID
+   * @param {number} userId - User discarding the import
+   * @returns {Object} Updated import row
+   */
+  async discardImport(importId, userId) {
+    const record = await this.findImport(importId);
+    this.assertPending(record);
+
+    const result = await pool.query(`
+      UPDATE ccda_imports SET status = 'discarded', completed_by = $2, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, patient_id, status, completed_by, completed_at
+    `, [importId, userId]);
+
+    return result.rows[0];
+  }
+
+  /* ---------- Parsing ---------- */
+
+  /**
+   * Parse a CCD or Referral Note into header, patient and column-shaped entries
+   * @param {string} xml - C-CDA document
+   * @returns {Object} { header, patient, problems, medications, allergies, warnings }
+   */
+  parseDocument(xml) {
+    let root;
+    try {
+      root = parseXML(xml);
+    } catch (error) {
+      if (error instanceof XMLParseError) {
+        throw new CCDAError(`Document is not well-formed XML: ${error.message}`);
+      }
+      throw error;
+    }
+
+    if (root.name !== 'ClinicalDocument') {
+      throw new CCDAError(`Expected a ClinicalDocument, got <${root.name}>`, 422);
+    }
+
+    const typeCode = root.find('code')?.attr('code');
+    const documentType = DOCUMENT_TYPES[typeCode];
+    if (!documentType) {
+      throw new CCDAError(`Unsupported document type ${typeCode || '(none)'}; only CCD (34133-9) and Referral Note (57133-1) can be imported`, 422);
+    }
+
+    const id = root.find('id');
+    const organization =
+      root.find('custodian/assignedCustodian/representedCustodianOrganization/name') ||
+      root.find('author/assignedAuthor/representedOrganization/name');
+
+    const header = {
+      documentId: id ? [id.attr('root'), id.attr('extension')].filter(Boolean).join('^') || null : null,
+      documentType,
+      title: root.find('title')?.text() || null,
+      sourceOrganization: organization?.text() || null,
+      documentDate: this.toTimestamp(root.find('effectiveTime')?.attr('value'))
+    };
+
+    const person = root.find('recordTarget/patientRole/patient');
+    const name = person?.find('name');
+    const patient = {
+      given: name ? name.elements('given').map(g => g.text()).filter(Boolean) : [],
+      family: name?.find('family')?.text() || null,
+      birthDate: this.toDate(person?.find('birthTime')?.attr('value')),
+      gender: person?.find('administrativeGenderCode')?.attr('code') || null,
+      identifiers: root.findAll('recordTarget/patientRole/id')
+        .map(el => ({ root: el.attr('root'), extension: el.attr('extension') }))
+        .filter(identifier => identifier.extension)
+    };
+
+    const warnings = [];
+    const sections = root.findAll('component/structuredBody/component/section');
+
+    return {
+      header,
+      patient,
+      problems: this.parseSection(this.findSection(sections, SECTIONS.problems), 'problem', warnings),
+      medications: this.parseSection(this.findSection(sections, SECTIONS.medications), 'medication', warnings),
+      allergies: this.parseSection(this.findSection(sections, SECTIONS.allergies), 'allergy', warnings),
+      warnings
+    };
+  }
+
+  findSection(sections, { templates, code }) {
+    return sections.find(section =>
+      section.elements('templateId').some(t => templates.includes(t.attr('root'))) ||
+      section.find('code')?.attr('code') === code) || null;
+  }
+
+  /**
+   * Parse every entry of a section; entries without a usable name are skipped with a warning
+   * @param {XMLElement|null} section - Section element
+   * @param {string} category - problem, medication or allergy
+   * @param {Array} warnings - Collects skipped-entry warnings
+   * @returns {Array} [{ sourceEntryId, values }]
+   */
+  parseSection(section, category, warnings) {
+    if (!section || section.attr('nullFlavor')) return [];
+
+    const narrative = new Map(
+      this.narrativeElements(section.find('text')).map(element => [element.attr('ID'), element.text()])
+    );
+
+    const parse = {
+      problem: entry => this.parseProblems(entry, narrative),
+      medication: entry => this.parseMedications(entry, narrative),
+      allergy: entry => this.parseAllergies(entry, narrative)
+    }[category];
+
+    const parsed = [];
+    section.elements('entry').forEach((entry, index) => {
+      for (const result of parse(entry)) {
+        if (result.skip) {
+          if (result.reason) warnings.push(`${category} entry ${index + 1} skipped: ${result.reason}`);
+          continue;
+        }
+        parsed.push(result);
+      }
+    });
+    return parsed;
+  }
+
+  narrativeElements(text) {
+    if (!text) return [];
+    const found = [];
+    const walk = node => {
+      for (const child of node.elements()) {
+        if (child.attr('ID')) found.push(child);
+        walk(child);
+      }
+    };
+    walk(text);
+    return found;
+  }
+
+  /**
+   * Problem Concern Act -> problem observations
+   */
+  parseProblems(entry, narrative) {
+    const act = entry.find('act');
+    const observations = act
+      ? act.findAll('entryRelationship/observation').filter(obs => this.hasTemplate(obs, TEMPLATES.PROBLEM_OBSERVATION))
+      : entry.elements('observation');
+
+    return observations.map(obs => {
+      if (obs.attr('negationInd') === 'true') return { skip: true };
+
+      const value = obs.find('value');
+      const icd10 = value?.attr('codeSystem') === OIDS.ICD10
+        ? value
+        : value?.elements('translation').find(t => t.attr('codeSystem') === OIDS.ICD10);
+      const code = icd10?.attr('code') || value?.attr('code') || null;
+      const description = this.conceptText(value, narrative) || this.referencedText(obs, narrative);
+      if (!description) return { skip: true, reason: 'problem has no name' };
+
+      const effective = obs.find('effectiveTime') || act?.find('effectiveTime');
+      const resolvedDate = this.toDate(effective?.find('high')?.attr('value'));
+      const statusValue = obs.findAll('entryRelationship/observation')
+        .map(o => o.find('value')?.attr('code'))
+        .find(c => INACTIVE_PROBLEM_STATUSES.includes(c));
+      const resolved = Boolean(resolvedDate || statusValue || act?.find('statusCode')?.attr('code') === 'completed');
+
+      return {
+        sourceEntryId: this.entryId(obs),
+        values: {
+          code,
+          description,
+          status: resolved ? 'resolved' : 'active',
+          onset_date: this.toDate(effective?.find('low')?.attr('value')),
+          resolved_date: resolved ? resolvedDate : null,
+          notes: null
+        }
+      };
+    });
+  }
+
+  /**
+   * Medication Activity -> medication
+   */
+  parseMedications(entry, narrative) {
+    const activity = entry.find('substanceAdministration');
+    if (!activity) return [];
+    if (activity.attr('negationInd') === 'true') return [{ skip: true }];
+
+    const material = activity.find('consumable/manufacturedProduct/manufacturedMaterial/code');
+    const rxnorm = material?.attr('codeSystem') === OIDS.RXNORM
+      ? material
+      : material?.elements('translation').find(t => t.attr('codeSystem') === OIDS.RXNORM);
+    const name = this.conceptText(material, narrative) || this.referencedText(activity, narrative);
+    if (!name) return [{ skip: true, reason: 'medication has no name' }];
+
+    const times = activity.elements('effectiveTime');
+    const timing = times.find(t => t.find('period'));
+    const period = times.find(t => t !== timing);
+
+    const doseQuantity = activity.find('doseQuantity');
+    const doseValue = doseQuantity?.attr('value');
+    const doseUnit = doseQuantity?.attr('unit');
+    const route = activity.find('routeCode');
+
+    const endedAt = this.toDate(period?.find('high')?.attr('value'));
+    const status = activity.find('statusCode')?.attr('code');
+    const active = !['completed', 'aborted', 'cancelled', 'nullified'].includes(status) &&
+      !(endedAt && endedAt < fhirService.toDate(new Date()));
+
+    return [{
+      sourceEntryId: this.entryId(activity),
+      values: {
+        name,
+        rxcui: rxnorm?.attr('code') || null,
+        dose: doseValue ? [doseValue, doseUnit && doseUnit !== '1' ? doseUnit : null].filter(Boolean).join(' ') : null,
+        route: route ? route.attr('displayName') || this.conceptText(route, narrative) || route.attr('code') : null,
+        frequency: this.frequency(timing?.find('period')),
+        started_at: this.toDate(period?.find('low')?.attr('value') || period?.attr('value')),
+        ended_at: endedAt,
+        active
+      }
+    }];
+  }
+
+  /**
+   * Allergy Concern Act -> allergy observations
+   */
+  parseAllergies(entry, narrative) {
+    const act = entry.find('act');
+    const observations = act
+      ? act.findAll('entryRelationship/observation').filter(obs => this.hasTemplate(obs, TEMPLATES.ALLERGY_OBSERVATION))
+      : entry.elements('observation');
+    const concernStatus = act?.find('statusCode')?.attr('code');
+
+    return observations.map(obs => {
+      // negationInd marks "no known allergies"
+      if (obs.attr('negationInd') === 'true') return { skip: true };
+
+      const substance = this.conceptText(obs.find('participant/participantRole/playingEntity/code'), narrative);
+      if (!substance) return { skip: true, reason: 'allergy has no substance' };
+
+      const related = obs.descendants('observation');
+      const reactions = related
+        .filter(o => this.hasTemplate(o, TEMPLATES.REACTION_OBSERVATION))
+        .map(o => this.conceptText(o.find('value'), narrative))
+        .filter(Boolean);
+      const severityValue = related.find(o => this.hasTemplate(o, TEMPLATES.SEVERITY_OBSERVATION))?.find('value');
+      const severity = severityValue
+        ? SEVERITIES[severityValue.attr('code')] || this.conceptText(severityValue, narrative)?.toLowerCase() || null
+        : null;
+
+      const effective = obs.find('effectiveTime') || act?.find('effectiveTime');
+
+      return {
+        sourceEntryId: this.entryId(obs),
+        values: {
+          type: ALLERGY_TYPES[obs.find('value')?.attr('code')] || 'other',
+          substance,
+          reaction: reactions.length ? [...new Set(reactions)].join(', ') : null,
+          severity,
+          noted_at: this.toTimestamp(effective?.find('low')?.attr('value')),
+          active: !['completed', 'aborted', 'suspended'].includes(concernStatus) && !effective?.find('high')?.attr('value')
+        }
+      };
+    });
+  }
+
+  /**
+   * Display text of a coded element: displayName, originalText, or the narrative it references
+   * @param {XMLElement|null} element - code/value element
+   * @param {Map} narrative - Section narrative by ID
+   * @returns {string|null}
+   */
+  conceptText(element, narrative) {
+    if (!element) return null;
+    const originalText = element.find('originalText');
+    return element.attr('displayName') ||
+      (originalText && (this.referencedText(originalText, narrative) || originalText.text())) ||
+      null;
+  }
+
+  /**
+   * Narrative text referenced by <text><reference value="#id"/></text> or <reference> directly
+   */
+  referencedText(element, narrative) {
+    const reference = element.find('reference') || element.find('text/reference');
+    const value = reference?.attr('value');
+    return value?.startsWith('#') ? narrative.get(value.slice(1)) || null : null;
+  }
+
+  hasTemplate(element, [root]) {
+    return element.elements('templateId').some(t => t.attr('root') === root);
+  }
+
+  entryId(element) {
+    const id = element.find('id');
+    if (!id || id.attr('nullFlavor')) return null;
+    return [id.attr('root'), id.attr('extension')].filter(Boolean).join('^') || null;
+  }
+
+  frequency(period) {
+    if (!period) return null;
+    const value = Number(period.attr('value'));
+    const unit = period.attr('unit');
+    if (!value || !PERIOD_HOURS[unit]) return null;
+    const hours = value * PERIOD_HOURS[unit];
+    return FREQUENCIES[hours] || `q${value}${unit}`;
+  }
+
+  /**
+   * CDA TS (YYYYMMDD[HHMM[SS]][+ZZZZ]) -> YYYY-MM-DD
+   */
+  toDate(value) {
+    const match = /^(\d{4})(\d{2})?(\d{2})?/.exec(value || '');
+    if (!match) return null;
+    return `${match[1]}-${match[2] || '01'}-${match[3] || '01'}`;
+  }
+
+  /**
+   * CDA TS -> ISO timestamp (UTC when the value has no offset)
+   */
+  toTimestamp(value) {
+    const match = /^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?$/.exec(value || '');
+    if (!match) return null;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', offset] = match;
+    const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /* ---------- Reconciliation ---------- */
+
+  /**
+   * Warn when the document's patient does not look like the chart it is being filed to
+   * @param {Object} documentPatient - Parsed recordTarget
+   * @param {Object} patient - patients row
+   * @returns {Array} Warning messages
+   */
+  demographicWarnings(documentPatient, patient) {
+    const warnings = [];
+    const same = (a, b) => this.normalize(a) === this.normalize(b);
+
+    if (documentPatient.family && patient.last_name && !same(documentPatient.family, patient.last_name)) {
+      warnings.push(`Document last name "${documentPatient.family}" does not match chart "${patient.last_name}"`);
+    }
+    if (documentPatient.given.length && patient.first_name && !documentPatient.given.some(g => same(g, patient.first_name))) {
+      warnings.push(`Document first name "${documentPatient.given.join(' ')}" does not match chart "${patient.first_name}"`);
+    }
+    const dob = fhirService.toDate(patient.dob);
+    if (documentPatient.birthDate && dob && documentPatient.birthDate !== dob) {
+      warnings.push(`Document birth date ${documentPatient.birthDate} does not match chart ${dob}`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Load the chart records an import is compared against
+   * @param {number} patientId - Patient ID
+   * @returns {Object} { problem, medication, allergy } rows, active records first
+   */
+  async loadCurrent(patientId) {
+    const medications = fhirService.medicationStatementQuery();
+
+    const [problems, patientMedications, allergies] = await Promise.all([
+      pool.query(`
+        SELECT * FROM problems WHERE patient_id = $1
+        ORDER BY (status = 'active') DESC, id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT ${medications.select} FROM ${medications.from}
+        WHERE pm.patient_id = $1
+        ORDER BY pm.active DESC, pm.id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT * FROM allergies WHERE patient_id = $1
+        ORDER BY active DESC, id DESC
+      `, [patientId])
+    ]);
+
+    return { problem: problems.rows, medication: patientMedications.rows, allergy: allergies.rows };
+  }
+
+  /**
+   * Compare a parsed entry with the chart
+   * Problems match on code then description, medications on RxCUI then name, allergies on substance.
+   * @param {string} category - problem, medication or allergy
+   * @param {Object} entry - { sourceEntryId, values }
+   * @param {Array} rows - Current chart rows for the category
+   * @returns {Object} Item to stage
+   */
+  diffItem(category, entry, rows) {
+    const { label, compared } = CATEGORIES[category];
+    const incoming = entry.values;
+    const key = this.normalize(incoming[label]);
+
+    let match = null;
+    if (category === 'problem' && incoming.code) {
+      match = rows.find(row => row.code && row.code.toUpperCase() === incoming.code.toUpperCase());
+    } else if (category === 'medication' && incoming.rxcui) {
+      match = rows.find(row => row.rxcui && row.rxcui === incoming.rxcui);
+    }
+    match = match || rows.find(row => this.normalize(row[label]) === key) || null;
+
+    if (!match) {
+      return { category, sourceEntryId: entry.sourceEntryId, incoming, matchType: 'new', matchedRecordId: null, current: null, differences: [], decision: null };
+    }
+
+    const current = this.snapshot(category, match);
+    // A value the document leaves out is not a disagreement
+    const differences = compared.filter(column =>
+      incoming[column] !== null && incoming[column] !== undefined &&
+      this.comparable(column, incoming[column]) !== this.comparable(column, current[column]));
+
+    return {
+      category,
+      sourceEntryId: entry.sourceEntryId,
+      incoming,
+      matchType: differences.length ? 'changed' : 'duplicate',
+      matchedRecordId: match.id,
+      current,
+      differences,
+      // Nothing to reconcile for an exact duplicate; keep the chart as is unless the reviewer says otherwise
+      decision: differences.length ? null : 'reject'
+    };
+  }
+
+  /**
+   * Chart row reduced to the item's columns, dates as YYYY-MM-DD
+   */
+  snapshot(category, row) {
+    const values = { id: row.id };
+    for (const column of CATEGORIES[category].columns) {
+      const value = row[column];
+      if (DATE_COLUMNS.includes(column)) values[column] = fhirService.toDate(value) || null;
+      else if (value instanceof Date) values[column] = value.toISOString();
+      else values[column] = value ?? null;
+    }
+    if (category === 'medication') values.rxcui = row.rxcui || null;
+    return values;
+  }
+
+  comparable(column, value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'boolean') return value;
+    if (DATE_COLUMNS.includes(column)) return fhirService.toDate(value) || null;
+    return this.normalize(value);
+  }
+
+  normalize(value) {
+    return value === null || value === undefined ? '' : String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Merged column values: the reviewer's values, otherwise the chart value with gaps filled from the document
+   * @param {Object} item - ccda_import_items row
+   * @param {Object|null} values - Reviewer-chosen column values
+   * @returns {Object} Column values to write
+   */
+  mergeValues(item, values) {
+    const { columns, label } = CATEGORIES[item.category];
+    const merged = {};
+
+    for (const column of columns) {
+      const current = item.current_values?.[column];
+      merged[column] = current === null || current === undefined || current === '' ? item.incoming[column] ?? null : current;
+    }
+
+    if (values !== null && values !== undefined) {
+      if (typeof values !== 'object' || Array.isArray(values)) {
+        throw new CCDAError('Merge values must be an object of column values');
+      }
+      for (const [column, value] of Object.entries(values)) {
+        if (!columns.includes(column)) {
+          throw new CCDAError(`${column} cannot be set on a ${item.category}`);
+        }
+        merged[column] = typeof value === 'string' ? value.trim() || null : value ?? null;
+      }
+    }
+
+    if (!merged[label]) {
+      throw new CCDAError(`A merged ${item.category} needs a ${label}`);
+    }
+    if (item.category === 'problem' && !['active', 'resolved'].includes(merged.status)) {
+      throw new CCDAError('Problem status must be active or resolved');
+    }
+    if (item.category === 'allergy' && !['medication', 'food', 'environment', 'other'].includes(merged.type)) {
+      throw new CCDAError('Allergy type must be medication, food, environment or other');
+    }
+    for (const column of DATE_COLUMNS) {
+      if (merged[column] && !/^\d{4}-\d{2}-\d{2}/.test(String(merged[column]))) {
+        throw new CCDAError(`${column} must be a date (YYYY-MM-DD)`);
+      }
+    }
+    if ('active' in merged && merged.active !== null && typeof merged.active !== 'boolean') {
+      throw new CCDAError('active must be true or false');
+    }
+
+    return merged;
+  }
+
+  /**
+   * Write one decided item to the chart
+   * @param {Object} client - Transaction client
+   * @param {Object} record - ccda_imports row
+   * @param {Object} item - ccda_import_items row
+   * @returns {Object} { result: inserted|updated|rejected, recordId, values }
+   */
+  async applyItem(client, record, item) {
+    const { table, columns } = CATEGORIES[item.category];
+
+    if (item.decision === 'reject') {
+      return { result: 'rejected', recordId: null, values: item.current_values };
+    }
+
+    if (item.match_type === 'new') {
+      // Columns the document left out fall back to the table defaults
+      const values = Object.fromEntries(columns
+        .filter(column => item.incoming[column] !== null && item.incoming[column] !== undefined)
+        .map(column => [column, item.incoming[column]]));
+      const names = ['patient_id', ...Object.keys(values)];
+      const { rows } = await client.query(
+        `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        [record.patient_id, ...Object.values(values)]
+      );
+      return { result: 'inserted', recordId: rows[0].id, values: rows[0] };
+    }
+
+    // accept takes the document's values over the chart's; merge writes the reviewed values
+    const values = item.decision === 'merge'
+      ? item.merged_values
+      : Object.fromEntries(columns
+        .filter(column => item.incoming[column] !== null && item.incoming[column] !== undefined)
+        .map(column => [column, item.incoming[column]]));
+    const names = Object.keys(values).filter(column => columns.includes(column));
+
+    const { rows } = await client.query(
+      `UPDATE ${table} SET ${names.map((column, i) => `${column} = $${i + 3}`).join(', ')}
+       WHERE id = $1 AND patient_id = $2
+       RETURNING *`,
+      [item.matched_record_id, record.patient_id, ...names.map(column => values[column])]
+    );
+    if (!rows[0]) {
+      throw new CCDAError(`${item.category} ${item.matched_record_id} was removed from the chart after the import was staged; discard and import again`, 409);
+    }
+    return { result: 'updated', recordId: rows[0].id, values: rows[0] };
+  }
+
+  /**
+   * medication_reconciliation action for a committed medication item
+   * @param {Object} item - ccda_import_items row
+   * @param {Object|null} result - Row written (or the current values for a rejection)
+   * @returns {string|null} continue, start, stop, modify or null when nothing is reconciled
+   */
+  reconciliationAction(item, result) {
+    if (item.match_type === 'new') {
+      return item.decision !== 'reject' && result?.active !== false ? 'start' : null;
+    }
+
+    const wasActive = item.current_values?.active !== false;
+    if (item.decision === 'reject') {
+      return wasActive ? 'continue' : null;
+    }
+    if (wasActive && result?.active === false) return 'stop';
+    if (!wasActive && result?.active !== false) return 'start';
+
+    const changed = ['dose', 'route', 'frequency'].some(column =>
+      this.comparable(column, result?.[column]) !== this.comparable(column, item.current_values?.[column]));
+    return changed ? 'modify' : wasActive ? 'continue' : null;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  async findImport(importId) {
+    const result = await pool.query('SELECT * FROM ccda_imports WHERE id = $1', [importId]);
+    if (result.rows.length === 0) {
+      throw new CCDAError(`C-CDA import ${importId} not found`, 404);
+    }
+    return result.rows[0];
+  }
+
+  assertPending(record) {
+    if (record.status !== 'pending') {
+      throw new CCDAError(`Import was already ${record.status}`, 409);
+    }
+  }
+}
+
+export default new CCDAImportService();
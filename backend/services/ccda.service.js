@@ -0,0 +1,915 @@
+// C-CDA Service
+// Builds C-CDA R2.1 Continuity of Care Documents (CCD) from the patient chart so records can be
+// sent to referral partners and released to patients as a standard document
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import fhirService, { VITAL_SIGNS, BLOOD_PRESSURE } from './fhir.service.js';
+
+// Code system OIDs
+export const OIDS = {
+  LOINC: '2.16.840.1.113883.6.1',
+  SNOMED: '2.16.840.1.113883.6.96',
+  RXNORM: '2.16.840.1.113883.6.88',
+  ICD10: '2.16.840.1.113883.6.90',
+  CVX: '2.16.840.1.113883.12.292',
+  NPI: '2.16.840.1.113883.4.6',
+  ACT_CODE: '2.16.840.1.113883.5.4',
+  ACT_CLASS: '2.16.840.1.113883.5.6',
+  GENDER: '2.16.840.1.113883.5.1',
+  CONFIDENTIALITY: '2.16.840.1.113883.5.25',
+  INTERPRETATION: '2.16.840.1.113883.5.83',
+  MARITAL_STATUS: '2.16.840.1.113883.5.2',
+  RACE_ETHNICITY: '2.16.840.1.113883.6.238',
+  CDA_TYPE_ID: '2.16.840.1.113883.1.3'
+};
+
+// Root for locally assigned ids (document set, patients, chart entries); the HL7 example OID until configured
+const ROOT_OID = process.env.CCDA_ROOT_OID || '2.16.840.1.113883.19.5';
+
+export const ID_ROOTS = {
+  MRN: `${ROOT_OID}.1`,
+  PROBLEM: `${ROOT_OID}.10`,
+  CHRONIC_CONDITION: `${ROOT_OID}.11`,
+  MEDICAL_HISTORY: `${ROOT_OID}.12`,
+  PATIENT_MEDICATION: `${ROOT_OID}.20`,
+  PRESCRIPTION: `${ROOT_OID}.21`,
+  ALLERGY: `${ROOT_OID}.30`,
+  LAB_ORDER: `${ROOT_OID}.40`,
+  LAB_RESULT: `${ROOT_OID}.41`,
+  VITALS: `${ROOT_OID}.50`,
+  IMMUNIZATION: `${ROOT_OID}.60`,
+  ENCOUNTER: `${ROOT_OID}.70`
+};
+
+// C-CDA R2.1 template ids: [root, extension]
+export const TEMPLATES = {
+  US_REALM_HEADER: ['2.16.840.1.113883.10.20.22.1.1', '2015-08-01'],
+  CCD: ['2.16.840.1.113883.10.20.22.1.2', '2015-08-01'],
+  PROBLEMS_SECTION: ['2.16.840.1.113883.10.20.22.2.5.1', '2015-08-01'],
+  PROBLEM_CONCERN: ['2.16.840.1.113883.10.20.22.4.3', '2015-08-01'],
+  PROBLEM_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.4', '2015-08-01'],
+  MEDICATIONS_SECTION: ['2.16.840.1.113883.10.20.22.2.1.1', '2014-06-09'],
+  MEDICATION_ACTIVITY: ['2.16.840.1.113883.10.20.22.4.16', '2014-06-09'],
+  MEDICATION_INFORMATION: ['2.16.840.1.113883.10.20.22.4.23', '2014-06-09'],
+  ALLERGIES_SECTION: ['2.16.840.1.113883.10.20.22.2.6.1', '2015-08-01'],
+  ALLERGY_CONCERN: ['2.16.840.1.113883.10.20.22.4.30', '2015-08-01'],
+  ALLERGY_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.7', '2014-06-09'],
+  REACTION_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.9', '2014-06-09'],
+  SEVERITY_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.8', '2014-06-09'],
+  RESULTS_SECTION: ['2.16.840.1.113883.10.20.22.2.3.1', '2015-08-01'],
+  RESULT_ORGANIZER: ['2.16.840.1.113883.10.20.22.4.1', '2015-08-01'],
+  RESULT_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.2', '2015-08-01'],
+  VITAL_SIGNS_SECTION: ['2.16.840.1.113883.10.20.22.2.4.1', '2015-08-01'],
+  VITAL_SIGNS_ORGANIZER: ['2.16.840.1.113883.10.20.22.4.26', '2015-08-01'],
+  VITAL_SIGN_OBSERVATION: ['2.16.840.1.113883.10.20.22.4.27', '2014-06-09'],
+  IMMUNIZATIONS_SECTION: ['2.16.840.1.113883.10.20.22.2.2.1', '2015-08-01'],
+  IMMUNIZATION_ACTIVITY: ['2.16.840.1.113883.10.20.22.4.52', '2015-08-01'],
+  IMMUNIZATION_MEDICATION: ['2.16.840.1.113883.10.20.22.4.54', '2014-06-09'],
+  ENCOUNTERS_SECTION: ['2.16.840.1.113883.10.20.22.2.22.1', '2015-08-01'],
+  ENCOUNTER_ACTIVITY: ['2.16.840.1.113883.10.20.22.4.49', '2015-08-01']
+};
+
+// LOINC section codes
+export const SECTION_CODES = {
+  problems: { code: '11450-4', display: 'Problem list - Reported' },
+  medications: { code: '10160-0', display: 'History of Medication use Narrative' },
+  allergies: { code: '48765-2', display: 'Allergies and adverse reactions Document' },
+  results: { code: '30954-2', display: 'Relevant diagnostic tests/laboratory data Narrative' },
+  vitals: { code: '8716-3', display: 'Vital signs' },
+  immunizations: { code: '11369-6', display: 'History of Immunization Narrative' },
+  encounters: { code: '46240-8', display: 'History of Hospitalizations+Outpatient visits Narrative' }
+};
+
+// allergies.type -> SNOMED allergy/intolerance type
+const ALLERGY_TYPE = {
+  medication: { code: '416098002', display: 'Allergy to drug' },
+  food: { code: '414285001', display: 'Allergy to food' },
+  environment: { code: '426232007', display: 'Environmental allergy' },
+  other: { code: '419199007', display: 'Allergy to substance' }
+};
+
+const SEVERITY = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' }
+};
+
+// CDC race/ethnicity codes for the text stored on patients
+const RACE_CODES = {
+  'american indian or alaska native': '1002-5',
+  asian: '2028-9',
+  'black or african american': '2054-5',
+  'native hawaiian or other pacific islander': '2076-8',
+  white: '2106-3',
+  'other race': '2131-1'
+};
+
+const ETHNICITY_CODES = {
+  'hispanic or latino': '2135-2',
+  'not hispanic or latino': '2186-5'
+};
+
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  chinese: 'zh',
+  vietnamese: 'vi'
+};
+
+const MARITAL_STATUS_CODES = {
+  married: 'M',
+  divorced: 'D',
+  separated: 'L',
+  single: 'S',
+  widowed: 'W',
+  domestic_partner: 'T'
+};
+
+/**
+ * Error for export requests that cannot be served (mapped to 4xx by the routes)
+ */
+export class CCDAError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CCDAError';
+    this.status = status;
+  }
+}
+
+class CCDAService {
+  /**
+   * Generate a CCD for a patient and record the disclosure
+   * @param {number} patientId - Patient ID
+   * @param {Object} options - { userId, purpose, endpoint }
+   * @returns {Object} { documentId, xml, sectionCounts }
+   */
+  async generateCCD(patientId, { userId = null, purpose = null, endpoint = null } = {}) {
+    try {
+      const chart = await this.loadChart(patientId);
+      const author = userId ? await this.loadAuthor(userId) : null;
+      const documentId = uuidv4();
+
+      const xml = this.buildDocument(chart, { documentId, author, effectiveTime: new Date() });
+
+      const sectionCounts = {
+        problems: chart.problems.length,
+        medications: chart.medications.length,
+        allergies: chart.allergies.length,
+        results: chart.results.reduce((sum, order) => sum + order.results.length, 0),
+        vitals: chart.vitals.length,
+        immunizations: chart.immunizations.length,
+        encounters: chart.encounters.length
+      };
+
+      // Handing the chart to a referral partner or the patient is a disclosure
+      await auditService.logPHIAccess(
+        userId,
+        'patients',
+        patientId,
+        'ccda_ccd',
+        `C-CDA CCD export${purpose ? ` for ${purpose}` : ''} (document ${documentId})`,
+        { patientId, endpoint }
+      );
+
+      return { documentId, xml, sectionCounts };
+
+    } catch (error) {
+      if (error instanceof CCDAError) throw error;
+      console.error('[CCDA] Error generating CCD:', error);
+      throw new Error(`Failed to generate CCD: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load every chart section the CCD covers
+   * @param {number} patientId - Patient ID
+   * @returns {Object} { patient, problems, medications, allergies, results, vitals, immunizations, encounters }
+   */
+  async loadChart(patientId) {
+    const patientResult = await pool.query(`
+      SELECT p.*, pr.first_name AS provider_first_name, pr.last_name AS provider_last_name, pr.npi AS provider_npi
+      FROM patients p
+      LEFT JOIN providers pr ON pr.id = p.provider_id
+      WHERE p.id = $1
+    `, [patientId]);
+
+    const patient = patientResult.rows[0];
+    if (!patient) {
+      throw new CCDAError(`Patient ${patientId} not found`, 404);
+    }
+    if (patient.merged_into_patient_id) {
+      throw new CCDAError(`Patient ${patientId} was merged into ${patient.merged_into_patient_id}`, 409);
+    }
+
+    const medicationStatements = fhirService.medicationStatementQuery();
+    const medicationRequests = fhirService.medicationRequestQuery();
+
+    const [
+      problems, chronic, history, homeMedications, prescriptions,
+      allergies, results, vitals, immunizations, encounters
+    ] = await Promise.all([
+      pool.query(`
+        SELECT p.*, icd.description AS icd10_description
+        FROM problems p
+        LEFT JOIN icd10_diagnoses icd ON icd.code = p.code
+        WHERE p.patient_id = $1
+        ORDER BY p.onset_date DESC NULLS LAST, p.id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT * FROM chronic_conditions
+        WHERE patient_id = $1
+        ORDER BY diagnosed_date DESC NULLS LAST, id DESC
+      `, [patientId]),
+      // Chronic conditions and past illnesses from the medical history summary (surgeries etc. are not problems)
+      pool.query(`
+        SELECT * FROM patient_medical_history
+        WHERE patient_id = $1 AND category IN ('chronic_condition', 'past_illness', 'injury', 'mental_health', 'other')
+        ORDER BY onset_date DESC NULLS LAST, id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT ${medicationStatements.select} FROM ${medicationStatements.from}
+        WHERE pm.patient_id = $1
+        ORDER BY pm.active DESC, pm.started_at DESC NULLS LAST, pm.id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT ${medicationRequests.select} FROM ${medicationRequests.from}
+        WHERE rx.patient_id = $1 AND rx.status IN ('active', 'on_hold')
+        ORDER BY rx.created_at DESC, rx.id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT * FROM allergies
+        WHERE patient_id = $1
+        ORDER BY active DESC, noted_at DESC
+      `, [patientId]),
+      // Results stored encrypted (HIV, genetics) need specific consent and are never included
+      pool.query(`
+        SELECT lr.*, lt.loinc_code, lt.test_name, lt.lab_order_id, lo.order_date
+        FROM lab_results lr
+        JOIN lab_tests lt ON lt.id = lr.lab_test_id
+        JOIN lab_orders lo ON lo.id = lt.lab_order_id
+        WHERE lo.patient_id = $1
+          AND lr.result_status IN ('final', 'corrected')
+          AND lr.encrypted_value IS NULL
+        ORDER BY lr.result_date DESC, lr.id
+      `, [patientId]),
+      pool.query(`
+        SELECT * FROM vitals
+        WHERE patient_id = $1
+        ORDER BY taken_at DESC, id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT * FROM patient_vaccinations
+        WHERE patient_id = $1
+        ORDER BY administered_date DESC, id DESC
+      `, [patientId]),
+      pool.query(`
+        SELECT e.*, pr.first_name AS provider_first_name, pr.last_name AS provider_last_name, pr.npi AS provider_npi
+        FROM encounters e
+        LEFT JOIN appointments a ON a.id = e.appointment_id
+        LEFT JOIN providers pr ON pr.id = a.provider_id
+        WHERE e.patient_id = $1
+        ORDER BY e.created_at DESC, e.id DESC
+      `, [patientId])
+    ]);
+
+    return {
+      patient,
+      problems: [
+        ...problems.rows.map(row => ({
+          root: ID_ROOTS.PROBLEM,
+          id: row.id,
+          code: row.code,
+          name: row.icd10_description || row.description,
+          active: String(row.status || 'active').toLowerCase() !== 'resolved',
+          onset: row.onset_date,
+          resolved: row.resolved_date
+        })),
+        ...chronic.rows.map(row => ({
+          root: ID_ROOTS.CHRONIC_CONDITION,
+          id: row.id,
+          code: row.icd10_code,
+          name: row.condition_name,
+          active: true,
+          onset: row.diagnosed_date,
+          severity: row.severity
+        })),
+        ...history.rows.map(row => ({
+          root: ID_ROOTS.MEDICAL_HISTORY,
+          id: row.id,
+          code: row.icd10_code,
+          name: row.condition_name,
+          active: row.status !== 'resolved',
+          onset: row.onset_date,
+          resolved: row.resolved_date,
+          severity: row.severity
+        }))
+      ],
+      medications: [
+        ...prescriptions.rows.map(row => ({
+          root: ID_ROOTS.PRESCRIPTION,
+          id: row.id,
+          rxcui: row.rxcui,
+          name: row.prescribed_name || row.generic_name,
+          dose: row.dose,
+          doseValue: row.dose_numeric,
+          doseUnit: row.dose_unit,
+          route: row.route,
+          frequency: row.frequency,
+          instructions: row.instructions,
+          start: row.start_date || row.created_at,
+          end: row.end_date,
+          active: true
+        })),
+        ...homeMedications.rows.map(row => ({
+          root: ID_ROOTS.PATIENT_MEDICATION,
+          id: row.id,
+          rxcui: row.rxcui,
+          name: row.name,
+          dose: row.dose,
+          route: row.route,
+          frequency: row.frequency,
+          start: row.started_at,
+          end: row.ended_at,
+          active: row.active !== false
+        }))
+      ],
+      allergies: allergies.rows,
+      results: this.groupResultsByOrder(results.rows),
+      vitals: vitals.rows,
+      immunizations: immunizations.rows,
+      encounters: encounters.rows
+    };
+  }
+
+  /**
+   * Look up the user generating the document (the CCD author)
+   * @param {number} userId - User ID
+   * @returns {Object|null} users row
+   */
+  async loadAuthor(userId) {
+    const result = await pool.query('SELECT id, first_name, last_name, email FROM users WHERE id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Group lab results into one organizer per lab order
+   * @param {Array} rows - lab_results rows joined with lab_tests/lab_orders
+   * @returns {Array} [{ orderId, orderDate, results }]
+   */
+  groupResultsByOrder(rows) {
+    const orders = new Map();
+    for (const row of rows) {
+      if (!orders.has(row.lab_order_id)) {
+        orders.set(row.lab_order_id, { orderId: row.lab_order_id, orderDate: row.order_date, results: [] });
+      }
+      orders.get(row.lab_order_id).results.push(row);
+    }
+    return [...orders.values()];
+  }
+
+  /* ---------- Document ---------- */
+
+  /**
+   * Assemble the CCD XML
+   * @param {Object} chart - Output of loadChart
+   * @param {Object} options - { documentId, author, effectiveTime }
+   * @returns {string} CCD XML
+   */
+  buildDocument(chart, { documentId, author = null, effectiveTime = new Date() }) {
+    const { patient } = chart;
+    const now = this.toCDATime(effectiveTime, true);
+    const organization = process.env.CCDA_ORGANIZATION_NAME || 'EMR System';
+    const firstEncounter = chart.encounters.length ? chart.encounters[chart.encounters.length - 1].created_at : null;
+
+    const sections = [
+      this.allergiesSection(chart.allergies),
+      this.medicationsSection(chart.medications),
+      this.problemsSection(chart.problems),
+      this.resultsSection(chart.results),
+      this.vitalSignsSection(chart.vitals),
+      this.immunizationsSection(chart.immunizations),
+      this.encountersSection(chart.encounters)
+    ];
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:sdtc="urn:hl7-org:sdtc" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      '<realmCode code="US"/>',
+      `<typeId root="${OIDS.CDA_TYPE_ID}" extension="POCD_HD000040"/>`,
+      this.templateId(TEMPLATES.US_REALM_HEADER),
+      this.templateId(TEMPLATES.CCD),
+      `<id root="${documentId}"/>`,
+      `<code code="34133-9" codeSystem="${OIDS.LOINC}" codeSystemName="LOINC" displayName="Summarization of Episode Note"/>`,
+      '<title>Continuity of Care Document</title>',
+      `<effectiveTime value="${now}"/>`,
+      `<confidentialityCode code="N" codeSystem="${OIDS.CONFIDENTIALITY}"/>`,
+      '<languageCode code="en-US"/>',
+      `<setId root="${ROOT_OID}" extension="${this.escape(`ccd-${patient.id}`)}"/>`,
+      '<versionNumber value="1"/>',
+      this.recordTarget(patient),
+      '<author>',
+      `<time value="${now}"/>`,
+      '<assignedAuthor>',
+      author ? `<id root="${ROOT_OID}" extension="user-${author.id}"/>` : '<id nullFlavor="NI"/>',
+      '<addr nullFlavor="UNK"/>',
+      author && author.email ? `<telecom use="WP" value="mailto:${this.escape(author.email)}"/>` : '<telecom nullFlavor="UNK"/>',
+      author
+        ? `<assignedPerson>${this.personName(author.first_name, author.last_name)}</assignedPerson>`
+        : `<assignedAuthoringDevice><softwareName>${this.escape(organization)}</softwareName></assignedAuthoringDevice>`,
+      '</assignedAuthor>',
+      '</author>',
+      '<custodian><assignedCustodian><representedCustodianOrganization>',
+      `<id root="${ROOT_OID}"/>`,
+      `<name>${this.escape(organization)}</name>`,
+      '<telecom nullFlavor="UNK"/>',
+      '<addr nullFlavor="UNK"/>',
+      '</representedCustodianOrganization></assignedCustodian></custodian>',
+      '<documentationOf><serviceEvent classCode="PCPR">',
+      `<effectiveTime>${this.interval(firstEncounter || patient.created_at, effectiveTime, true)}</effectiveTime>`,
+      patient.provider_id ? this.performer(patient.provider_npi, patient.provider_first_name, patient.provider_last_name, 'PRF') : '',
+      '</serviceEvent></documentationOf>',
+      '<component><structuredBody>',
+      ...sections.map(section => `<component>${section}</component>`),
+      '</structuredBody></component>',
+      '</ClinicalDocument>'
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Patient demographics (recordTarget)
+   * @param {Object} patient - patients row
+   * @returns {string} XML
+   */
+  recordTarget(patient) {
+    const gender = { male: 'M', female: 'F' }[fhirService.mapGender(patient.gender)];
+    const race = RACE_CODES[String(patient.race || '').toLowerCase()];
+    const ethnicity = ETHNICITY_CODES[String(patient.ethnicity || '').toLowerCase()];
+    const language = LANGUAGE_CODES[String(patient.preferred_language || '').toLowerCase()];
+    const marital = MARITAL_STATUS_CODES[String(patient.marital_status || '').toLowerCase()];
+
+    return [
+      '<recordTarget><patientRole>',
+      patient.mrn
+        ? `<id root="${ID_ROOTS.MRN}" extension="${this.escape(patient.mrn)}"/>`
+        : `<id root="${ID_ROOTS.MRN}" extension="${patient.id}"/>`,
+      '<addr nullFlavor="UNK"/>',
+      patient.phone ? `<telecom use="HP" value="tel:${this.escape(patient.phone)}"/>` : '<telecom nullFlavor="UNK"/>',
+      '<patient>',
+      this.personName(patient.first_name, patient.last_name, 'L'),
+      gender
+        ? `<administrativeGenderCode code="${gender}" codeSystem="${OIDS.GENDER}"/>`
+        : '<administrativeGenderCode nullFlavor="UNK"/>',
+      `<birthTime value="${this.toCDATime(patient.dob)}"/>`,
+      marital ? `<maritalStatusCode code="${marital}" codeSystem="${OIDS.MARITAL_STATUS}"/>` : '',
+      race
+        ? `<raceCode code="${race}" codeSystem="${OIDS.RACE_ETHNICITY}" displayName="${this.escape(patient.race)}"/>`
+        : '<raceCode nullFlavor="UNK"/>',
+      ethnicity
+        ? `<ethnicGroupCode code="${ethnicity}" codeSystem="${OIDS.RACE_ETHNICITY}" displayName="${this.escape(patient.ethnicity)}"/>`
+        : '<ethnicGroupCode nullFlavor="UNK"/>',
+      language
+        ? `<languageCommunication><languageCode code="${language}"/><preferenceInd value="true"/></languageCommunication>`
+        : '',
+      '</patient>',
+      '</patientRole></recordTarget>'
+    ].filter(Boolean).join('\n');
+  }
+
+  /* ---------- Sections ---------- */
+
+  /**
+   * Allergies and Intolerances section
+   * @param {Array} allergies - allergies rows
+   * @returns {string} XML
+   */
+  allergiesSection(allergies) {
+    return this.section('allergies', TEMPLATES.ALLERGIES_SECTION, 'Allergies and Intolerances', {
+      headers: ['Substance', 'Reaction', 'Severity', 'Status', 'Noted'],
+      items: allergies,
+      row: a => [a.substance, a.reaction, a.severity, a.active === false ? 'Inactive' : 'Active', this.displayDate(a.noted_at)],
+      entry: (a, ref) => {
+        const type = ALLERGY_TYPE[a.type] || ALLERGY_TYPE.other;
+        const severity = Object.keys(SEVERITY).find(level => String(a.severity || '').toLowerCase().includes(level));
+        const noted = this.toCDATime(a.noted_at, true);
+
+        return [
+          '<entry typeCode="DRIV"><act classCode="ACT" moodCode="EVN">',
+          this.templateId(TEMPLATES.ALLERGY_CONCERN),
+          `<id root="${ID_ROOTS.ALLERGY}" extension="concern-${a.id}"/>`,
+          `<code code="CONC" codeSystem="${OIDS.ACT_CLASS}" displayName="Concern"/>`,
+          `<statusCode code="${a.active === false ? 'completed' : 'active'}"/>`,
+          `<effectiveTime><low value="${noted}"/></effectiveTime>`,
+          '<entryRelationship typeCode="SUBJ"><observation classCode="OBS" moodCode="EVN">',
+          this.templateId(TEMPLATES.ALLERGY_OBSERVATION),
+          `<id root="${ID_ROOTS.ALLERGY}" extension="${a.id}"/>`,
+          `<code code="ASSERTION" codeSystem="${OIDS.ACT_CODE}"/>`,
+          `<text><reference value="#${ref}"/></text>`,
+          '<statusCode code="completed"/>',
+          `<effectiveTime><low value="${noted}"/></effectiveTime>`,
+          `<value xsi:type="CD" code="${type.code}" codeSystem="${OIDS.SNOMED}" displayName="${type.display}"/>`,
+          '<participant typeCode="CSM"><participantRole classCode="MANU"><playingEntity classCode="MMAT">',
+          `<code nullFlavor="OTH"><originalText>${this.escape(a.substance)}</originalText></code>`,
+          '</playingEntity></participantRole></participant>',
+          a.reaction ? [
+            '<entryRelationship typeCode="MFST" inversionInd="true"><observation classCode="OBS" moodCode="EVN">',
+            this.templateId(TEMPLATES.REACTION_OBSERVATION),
+            `<id root="${ID_ROOTS.ALLERGY}" extension="reaction-${a.id}"/>`,
+            `<code code="ASSERTION" codeSystem="${OIDS.ACT_CODE}"/>`,
+            '<statusCode code="completed"/>',
+            `<value xsi:type="CD" nullFlavor="OTH"><originalText>${this.escape(a.reaction)}</originalText></value>`,
+            '</observation></entryRelationship>'
+          ].join('\n') : '',
+          severity ? [
+            '<entryRelationship typeCode="SUBJ" inversionInd="true"><observation classCode="OBS" moodCode="EVN">',
+            this.templateId(TEMPLATES.SEVERITY_OBSERVATION),
+            `<code code="SEV" codeSystem="${OIDS.ACT_CODE}"/>`,
+            '<statusCode code="completed"/>',
+            `<value xsi:type="CD" code="${SEVERITY[severity].code}" codeSystem="${OIDS.SNOMED}" displayName="${SEVERITY[severity].display}"/>`,
+            '</observation></entryRelationship>'
+          ].join('\n') : '',
+          '</observation></entryRelationship>',
+          '</act></entry>'
+        ].filter(Boolean).join('\n');
+      }
+    });
+  }
+
+  /**
+   * Medications section (active prescriptions and the patient's medication list)
+   * @param {Array} medications - Normalized medications from loadChart
+   * @returns {string} XML
+   */
+  medicationsSection(medications) {
+    return this.section('medications', TEMPLATES.MEDICATIONS_SECTION, 'Medications', {
+      headers: ['Medication', 'Instructions', 'Start', 'End', 'Status'],
+      items: medications,
+      row: m => [
+        m.name,
+        [m.dose, m.route, m.frequency].filter(Boolean).join(' ') || m.instructions,
+        this.displayDate(m.start),
+        this.displayDate(m.end),
+        m.active ? 'Active' : 'Completed'
+      ],
+      entry: (m, ref) => [
+        '<entry typeCode="DRIV"><substanceAdministration classCode="SBADM" moodCode="EVN">',
+        this.templateId(TEMPLATES.MEDICATION_ACTIVITY),
+        `<id root="${m.root}" extension="${m.id}"/>`,
+        `<text><reference value="#${ref}"/></text>`,
+        `<statusCode code="${m.active ? 'active' : 'completed'}"/>`,
+        `<effectiveTime xsi:type="IVL_TS">${this.interval(m.start, m.end)}</effectiveTime>`,
+        m.doseValue !== null && m.doseValue !== undefined
+          ? `<doseQuantity value="${Number(m.doseValue)}"${m.doseUnit ? ` unit="${this.escape(m.doseUnit)}"` : ''}/>`
+          : '',
+        '<consumable><manufacturedProduct classCode="MANU">',
+        this.templateId(TEMPLATES.MEDICATION_INFORMATION),
+        '<manufacturedMaterial>',
+        m.rxcui
+          ? `<code code="${this.escape(m.rxcui)}" codeSystem="${OIDS.RXNORM}" codeSystemName="RxNorm" displayName="${this.escape(m.name)}"><originalText>${this.escape(m.name)}</originalText></code>`
+          : `<code nullFlavor="OTH"><originalText>${this.escape(m.name)}</originalText></code>`,
+        '</manufacturedMaterial>',
+        '</manufacturedProduct></consumable>',
+        '</substanceAdministration></entry>'
+      ].filter(Boolean).join('\n')
+    });
+  }
+
+  /**
+   * Problems section (problem list, chronic conditions and medical history)
+   * @param {Array} problems - Normalized problems from loadChart
+   * @returns {string} XML
+   */
+  problemsSection(problems) {
+    return this.section('problems', TEMPLATES.PROBLEMS_SECTION, 'Problems', {
+      headers: ['Problem', 'ICD-10', 'Onset', 'Resolved', 'Status'],
+      items: problems,
+      row: p => [p.name, p.code, this.displayDate(p.onset), this.displayDate(p.resolved), p.active ? 'Active' : 'Resolved'],
+      entry: (p, ref) => [
+        '<entry typeCode="DRIV"><act classCode="ACT" moodCode="EVN">',
+        this.templateId(TEMPLATES.PROBLEM_CONCERN),
+        `<id root="${p.root}" extension="concern-${p.id}"/>`,
+        `<code code="CONC" codeSystem="${OIDS.ACT_CLASS}" displayName="Concern"/>`,
+        `<statusCode code="${p.active ? 'active' : 'completed'}"/>`,
+        `<effectiveTime>${this.interval(p.onset, p.active ? null : p.resolved)}</effectiveTime>`,
+        '<entryRelationship typeCode="SUBJ"><observation classCode="OBS" moodCode="EVN">',
+        this.templateId(TEMPLATES.PROBLEM_OBSERVATION),
+        `<id root="${p.root}" extension="${p.id}"/>`,
+        `<code code="55607006" codeSystem="${OIDS.SNOMED}" displayName="Problem"><translation code="75326-9" codeSystem="${OIDS.LOINC}" displayName="Problem"/></code>`,
+        `<text><reference value="#${ref}"/></text>`,
+        '<statusCode code="completed"/>',
+        `<effectiveTime>${this.interval(p.onset, p.active ? null : p.resolved)}</effectiveTime>`,
+        p.code
+          ? `<value xsi:type="CD" code="${this.escape(p.code)}" codeSystem="${OIDS.ICD10}" codeSystemName="ICD-10-CM" displayName="${this.escape(p.name)}"/>`
+          : `<value xsi:type="CD" nullFlavor="OTH"><originalText>${this.escape(p.name)}</originalText></value>`,
+        '</observation></entryRelationship>',
+        '</act></entry>'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Results section, one organizer per lab order
+   * @param {Array} orders - Output of groupResultsByOrder
+   * @returns {string} XML
+   */
+  resultsSection(orders) {
+    const results = orders.flatMap(order => order.results);
+
+    return this.section('results', TEMPLATES.RESULTS_SECTION, 'Results', {
+      headers: ['Test', 'Result', 'Units', 'Reference Range', 'Flag', 'Date'],
+      items: results,
+      row: r => [r.test_name, r.result_value, r.unit, r.reference_range, r.abnormal_flag, this.displayDate(r.result_date, true)],
+      entries: refs => orders.map(order => [
+        '<entry typeCode="DRIV"><organizer classCode="BATTERY" moodCode="EVN">',
+        this.templateId(TEMPLATES.RESULT_ORGANIZER),
+        `<id root="${ID_ROOTS.LAB_ORDER}" extension="${order.orderId}"/>`,
+        order.results.length === 1
+          ? this.loincCode(order.results[0].loinc_code, order.results[0].test_name)
+          : `<code nullFlavor="OTH"><originalText>Lab order ${order.orderId}</originalText></code>`,
+        '<statusCode code="completed"/>',
+        `<effectiveTime>${this.interval(order.orderDate, order.results[0].result_date, true)}</effectiveTime>`,
+        ...order.results.map(r => [
+          '<component><observation classCode="OBS" moodCode="EVN">',
+          this.templateId(TEMPLATES.RESULT_OBSERVATION),
+          `<id root="${ID_ROOTS.LAB_RESULT}" extension="${r.id}"/>`,
+          this.loincCode(r.loinc_code, r.test_name),
+          `<text><reference value="#${refs.get(r)}"/></text>`,
+          '<statusCode code="completed"/>',
+          `<effectiveTime value="${this.toCDATime(r.result_date, true)}"/>`,
+          this.resultValue(r),
+          r.abnormal_flag
+            ? `<interpretationCode code="${this.escape(r.abnormal_flag)}" codeSystem="${OIDS.INTERPRETATION}"/>`
+            : '',
+          r.reference_range
+            ? `<referenceRange><observationRange><text>${this.escape(r.reference_range)}</text></observationRange></referenceRange>`
+            : '',
+          '</observation></component>'
+        ].filter(Boolean).join('\n')),
+        '</organizer></entry>'
+      ].join('\n'))
+    });
+  }
+
+  /**
+   * Vital Signs section, one organizer per vitals recording
+   * @param {Array} vitals - vitals rows
+   * @returns {string} XML
+   */
+  vitalSignsSection(vitals) {
+    const measurements = row => [
+      ...VITAL_SIGNS
+        .filter(vs => row[vs.column] !== null && row[vs.column] !== undefined)
+        .map(vs => ({ key: vs.key, code: vs.code, display: vs.display, value: row[vs.column], unit: vs.unit })),
+      ...['systolic', 'diastolic']
+        .filter(part => row[part] !== null && row[part] !== undefined)
+        .map(part => ({ key: part, ...BLOOD_PRESSURE[part], value: row[part], unit: 'mm[Hg]' }))
+    ];
+
+    return this.section('vitals', TEMPLATES.VITAL_SIGNS_SECTION, 'Vital Signs', {
+      headers: ['Date', 'Measurements'],
+      items: vitals,
+      row: v => [
+        this.displayDate(v.taken_at, true),
+        measurements(v).map(m => `${m.display}: ${Number(m.value)} ${m.unit}`).join('; ')
+      ],
+      entry: (v, ref) => [
+        '<entry typeCode="DRIV"><organizer classCode="CLUSTER" moodCode="EVN">',
+        this.templateId(TEMPLATES.VITAL_SIGNS_ORGANIZER),
+        `<id root="${ID_ROOTS.VITALS}" extension="${v.id}"/>`,
+        `<code code="46680005" codeSystem="${OIDS.SNOMED}" displayName="Vital signs"><translation code="74728-7" codeSystem="${OIDS.LOINC}" displayName="Vital signs, weight, height, head circumference, oximetry, BMI, and BSA panel - HL7.CCDAr1.1"/></code>`,
+        '<statusCode code="completed"/>',
+        `<effectiveTime value="${this.toCDATime(v.taken_at, true)}"/>`,
+        ...measurements(v).map(m => [
+          '<component><observation classCode="OBS" moodCode="EVN">',
+          this.templateId(TEMPLATES.VITAL_SIGN_OBSERVATION),
+          `<id root="${ID_ROOTS.VITALS}" extension="${v.id}-${m.key}"/>`,
+          this.loincCode(m.code, m.display),
+          `<text><reference value="#${ref}"/></text>`,
+          '<statusCode code="completed"/>',
+          `<effectiveTime value="${this.toCDATime(v.taken_at, true)}"/>`,
+          `<value xsi:type="PQ" value="${Number(m.value)}" unit="${this.escape(m.unit)}"/>`,
+          '</observation></component>'
+        ].join('\n')),
+        '</organizer></entry>'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Immunizations section from patient_vaccinations
+   * @param {Array} immunizations - patient_vaccinations rows
+   * @returns {string} XML
+   */
+  immunizationsSection(immunizations) {
+    return this.section('immunizations', TEMPLATES.IMMUNIZATIONS_SECTION, 'Immunizations', {
+      headers: ['Vaccine', 'Date', 'Dose', 'Lot', 'Manufacturer'],
+      items: immunizations,
+      row: i => [i.vaccine_name, this.displayDate(i.administered_date), i.dose_number ? `Dose ${i.dose_number}` : i.dose, i.lot_number, i.manufacturer],
+      entry: (i, ref) => [
+        '<entry typeCode="DRIV"><substanceAdministration classCode="SBADM" moodCode="EVN" negationInd="false">',
+        this.templateId(TEMPLATES.IMMUNIZATION_ACTIVITY),
+        `<id root="${ID_ROOTS.IMMUNIZATION}" extension="${i.id}"/>`,
+        `<text><reference value="#${ref}"/></text>`,
+        '<statusCode code="completed"/>',
+        `<effectiveTime value="${this.toCDATime(i.administered_date)}"/>`,
+        i.dose_number ? `<repeatNumber value="${Number(i.dose_number)}"/>` : '',
+        '<consumable><manufacturedProduct classCode="MANU">',
+        this.templateId(TEMPLATES.IMMUNIZATION_MEDICATION),
+        '<manufacturedMaterial>',
+        /^\d{1,3}$/.test(String(i.vaccine_code || ''))
+          ? `<code code="${i.vaccine_code}" codeSystem="${OIDS.CVX}" codeSystemName="CVX" displayName="${this.escape(i.vaccine_name)}"><originalText>${this.escape(i.vaccine_name)}</originalText></code>`
+          : `<code nullFlavor="OTH"><originalText>${this.escape(i.vaccine_name)}</originalText></code>`,
+        i.lot_number ? `<lotNumberText>${this.escape(i.lot_number)}</lotNumberText>` : '',
+        '</manufacturedMaterial>',
+        i.manufacturer ? `<manufacturerOrganization><name>${this.escape(i.manufacturer)}</name></manufacturerOrganization>` : '',
+        '</manufacturedProduct></consumable>',
+        '</substanceAdministration></entry>'
+      ].filter(Boolean).join('\n')
+    });
+  }
+
+  /**
+   * Encounters section
+   * @param {Array} encounters - encounters rows joined with the appointment provider
+   * @returns {string} XML
+   */
+  encountersSection(encounters) {
+    return this.section('encounters', TEMPLATES.ENCOUNTERS_SECTION, 'Encounters', {
+      headers: ['Date', 'Reason', 'Provider', 'Status'],
+      items: encounters,
+      row: e => [
+        this.displayDate(e.created_at, true),
+        e.reason,
+        [e.provider_first_name, e.provider_last_name].filter(Boolean).join(' '),
+        e.status
+      ],
+      entry: (e, ref) => [
+        '<entry typeCode="DRIV"><encounter classCode="ENC" moodCode="EVN">',
+        this.templateId(TEMPLATES.ENCOUNTER_ACTIVITY),
+        `<id root="${ID_ROOTS.ENCOUNTER}" extension="${e.id}"/>`,
+        `<code code="AMB" codeSystem="${OIDS.ACT_CODE}" displayName="ambulatory"><originalText><reference value="#${ref}"/></originalText></code>`,
+        `<effectiveTime>${this.interval(e.created_at, e.ended_at, true)}</effectiveTime>`,
+        e.provider_first_name || e.provider_last_name
+          ? this.performer(e.provider_npi, e.provider_first_name, e.provider_last_name)
+          : '',
+        '</encounter></entry>'
+      ].filter(Boolean).join('\n')
+    });
+  }
+
+  /**
+   * Build a section with its narrative table and coded entries
+   * A section without data is sent with nullFlavor="NI", as C-CDA requires for entries-required sections
+   * @param {string} key - SECTION_CODES key (also the narrative id prefix)
+   * @param {Array} template - [root, extension]
+   * @param {string} title - Section title
+   * @param {Object} spec - { headers, items, row, entry } or { headers, items, row, entries } for grouped entries
+   * @returns {string} XML
+   */
+  section(key, template, title, { headers, items, row, entry, entries }) {
+    const code = SECTION_CODES[key];
+    const head = [
+      this.templateId(template),
+      `<code code="${code.code}" codeSystem="${OIDS.LOINC}" codeSystemName="LOINC" displayName="${code.display}"/>`,
+      `<title>${this.escape(title)}</title>`
+    ];
+
+    if (items.length === 0) {
+      return [
+        '<section nullFlavor="NI">',
+        ...head,
+        `<text>No ${this.escape(title.toLowerCase())} recorded</text>`,
+        '</section>'
+      ].join('\n');
+    }
+
+    const refs = new Map(items.map((item, index) => [item, `${key}-${index + 1}`]));
+
+    return [
+      '<section>',
+      ...head,
+      '<text><table border="1" width="100%">',
+      `<thead><tr>${headers.map(h => `<th>${this.escape(h)}</th>`).join('')}</tr></thead>`,
+      '<tbody>',
+      ...items.map(item =>
+        `<tr ID="${refs.get(item)}">${row(item).map(cell => `<td>${this.escape(cell)}</td>`).join('')}</tr>`),
+      '</tbody>',
+      '</table></text>',
+      ...(entries ? entries(refs) : items.map(item => entry(item, refs.get(item)))),
+      '</section>'
+    ].join('\n');
+  }
+
+  /* ---------- Formatting ---------- */
+
+  /**
+   * Format a date as a CDA TS value (YYYYMMDD, or YYYYMMDDHHMMSS+0000 with time)
+   * @param {Date|string} value - Date value
+   * @param {boolean} withTime - Include the time of day (UTC)
+   * @returns {string|null} TS value
+   */
+  toCDATime(value, withTime = false) {
+    if (!value) return null;
+    if (!withTime && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value.replace(/-/g, '');
+    }
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return null;
+
+    if (!withTime) {
+      return fhirService.toDate(d).replace(/-/g, '');
+    }
+    return `${d.toISOString().replace(/[-:T]/g, '').substring(0, 14)}+0000`;
+  }
+
+  /**
+   * Build IVL_TS low/high children; an unknown start is sent as nullFlavor
+   * @param {Date|string} low - Start
+   * @param {Date|string} high - End (omitted when null)
+   * @param {boolean} withTime - Include the time of day
+   * @returns {string} XML
+   */
+  interval(low, high, withTime = false) {
+    const start = this.toCDATime(low, withTime);
+    const end = this.toCDATime(high, withTime);
+    return `${start ? `<low value="${start}"/>` : '<low nullFlavor="UNK"/>'}${end ? `<high value="${end}"/>` : ''}`;
+  }
+
+  /**
+   * Format a date for the narrative block
+   * @param {Date|string} value - Date value
+   * @param {boolean} withTime - Include the time of day
+   * @returns {string} Display date
+   */
+  displayDate(value, withTime = false) {
+    if (!value) return '';
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return String(value);
+    return withTime ? d.toISOString().replace('T', ' ').substring(0, 16) : fhirService.toDate(value);
+  }
+
+  /**
+   * Result observation value: PQ for numeric results, ST otherwise
+   * @param {Object} r - lab_results row
+   * @returns {string} XML
+   */
+  resultValue(r) {
+    if (r.numeric_value !== null && r.numeric_value !== undefined) {
+      return `<value xsi:type="PQ" value="${Number(r.numeric_value)}" unit="${this.escape(r.unit || '1')}"/>`;
+    }
+    return `<value xsi:type="ST">${this.escape(r.result_value)}</value>`;
+  }
+
+  /**
+   * LOINC-coded code element, falling back to the local name
+   */
+  loincCode(code, display) {
+    return code
+      ? `<code code="${this.escape(code)}" codeSystem="${OIDS.LOINC}" codeSystemName="LOINC" displayName="${this.escape(display)}"/>`
+      : `<code nullFlavor="OTH"><originalText>${this.escape(display)}</originalText></code>`;
+  }
+
+  /**
+   * templateId pair: the R1.1 root plus the R2.1 versioned id
+   */
+  templateId([root, extension]) {
+    return `<templateId root="${root}"/><templateId root="${root}" extension="${extension}"/>`;
+  }
+
+  /**
+   * CDA person name
+   */
+  personName(given, family, use = null) {
+    return `<name${use ? ` use="${use}"` : ''}><given>${this.escape(given)}</given><family>${this.escape(family)}</family></name>`;
+  }
+
+  /**
+   * Performer identified by NPI
+   */
+  performer(npi, firstName, lastName, typeCode = null) {
+    return [
+      `<performer${typeCode ? ` typeCode="${typeCode}"` : ''}><assignedEntity>`,
+      npi ? `<id root="${OIDS.NPI}" extension="${this.escape(npi)}"/>` : '<id nullFlavor="NI"/>',
+      `<assignedPerson>${this.personName(firstName, lastName)}</assignedPerson>`,
+      '</assignedEntity></performer>'
+    ].join('');
+  }
+
+  /**
+   * Escape text for XML content and attribute values
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+export default new CCDAService();
@@ -0,0 +1,320 @@
+// CDS Hooks Service
+// Exposes the drug-safety checks and preventive-care guidelines as CDS Hooks services
+// (patient-view, order-select, order-sign) that answer with cards
+import crypto from 'crypto';
+import pool from '../db/index.js';
+import drugInteractionService from './drug-interaction.service.js';
+import prescriptionService from './prescription.service.js';
+import { SYSTEMS } from './fhir.service.js';
+
+const SOURCE = {
+  DRUG_SAFETY: { label: 'EMR Drug Safety' },
+  GUIDELINES: { label: 'EMR Preventive Care Guidelines' }
+};
+
+// Interaction severity -> card indicator
+const INTERACTION_INDICATORS = {
+  severe: 'critical',
+  major: 'warning',
+  moderate: 'warning',
+  minor: 'info'
+};
+
+const MAX_ALTERNATIVES = 3;
+
+// Card summaries are limited to 140 characters by the specification
+const MAX_SUMMARY_LENGTH = 140;
+
+/**
+ * Invalid hook request; the routes answer with error.status
+ */
+export class CDSHooksError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CDSHooksError';
+    this.status = status;
+  }
+}
+
+class CDSHooksService {
+  constructor() {
+    this.services = [
+      {
+        hook: 'patient-view',
+        id: 'preventive-care',
+        title: 'Preventive care reminders',
+        description: 'Screenings, immunizations and other guideline care that is due or overdue for the patient',
+        permission: 'patients:read',
+        handler: (request, userId) => this.preventiveCareCards(request, userId)
+      },
+      {
+        hook: 'order-select',
+        id: 'drug-safety-order-select',
+        title: 'Drug safety check (order select)',
+        description: 'Drug-drug interactions, allergies and high-risk medications for the selected medication orders',
+        permission: 'medications:read',
+        handler: (request, userId) => this.drugSafetyCards(request, userId, request.context.selections)
+      },
+      {
+        hook: 'order-sign',
+        id: 'drug-safety-order-sign',
+        title: 'Drug safety check (order sign)',
+        description: 'Drug-drug interactions, allergies and high-risk medications for the medication orders being signed',
+        permission: 'medications:read',
+        handler: (request, userId) => this.drugSafetyCards(request, userId)
+      }
+    ];
+  }
+
+  /**
+   * CDS Hooks discovery document
+   * @returns {Object} { services }
+   */
+  getDiscovery() {
+    return {
+      services: this.services.map(({ hook, id, title, description }) => ({ hook, id, title, description }))
+    };
+  }
+
+  /**
+   * Look up a service by id
+   * @param {string} serviceId - Service id from the discovery document
+   * @returns {Object|null} Service definition (with handler and required permission)
+   */
+  getService(serviceId) {
+    return this.services.find(service => service.id === serviceId) || null;
+  }
+
+  /**
+   * Invoke a service
+   * @param {string} serviceId - Service id
+   * @param {Object} request - CDS Hooks request ({ hookInstance, hook, context, ... })
+   * @param {number} userId - Calling user, for the audit trail of the safety checks
+   * @returns {Object} { cards }
+   */
+  async invoke(serviceId, request, userId) {
+    const service = this.getService(serviceId);
+    if (!service) {
+      throw new CDSHooksError(`CDS service ${serviceId} not found`, 404);
+    }
+    if (!request || typeof request !== 'object' || !request.hookInstance || !request.context) {
+      throw new CDSHooksError('hookInstance and context are required');
+    }
+    if (request.hook !== service.hook) {
+      throw new CDSHooksError(`Service ${serviceId} answers the ${service.hook} hook, not ${request.hook}`);
+    }
+
+    const patientId = Number(request.context.patientId);
+    if (!Number.isInteger(patientId) || patientId <= 0) {
+      throw new CDSHooksError('context.patientId must be a patient id');
+    }
+
+    const cards = await service.handler({ ...request, patientId }, userId);
+    return { cards };
+  }
+
+  /* ---------- patient-view ---------- */
+
+  /**
+   * Cards for guideline care that is due or overdue (get_applicable_guidelines)
+   */
+  async preventiveCareCards({ patientId }) {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM get_applicable_guidelines($1) WHERE status IN ('due', 'overdue')`,
+        [patientId]
+      );
+
+      return result.rows.map(guideline => {
+        const overdue = guideline.status === 'overdue';
+        const dueDate = this.formatDate(guideline.due_date);
+        return this.card({
+          summary: `${guideline.name} ${overdue ? 'overdue' : 'due'}${dueDate ? ` (${dueDate})` : ''}`,
+          detail: [
+            `**Category:** ${guideline.category}`,
+            `**Risk level:** ${guideline.risk_level}`,
+            dueDate && `**Due:** ${dueDate}`
+          ].filter(Boolean).join('\n\n'),
+          indicator: overdue ? 'warning' : 'info',
+          source: { ...SOURCE.GUIDELINES, topic: { system: 'urn:emr:clinical-guideline', code: guideline.guideline_code, display: guideline.name } }
+        });
+      });
+    } catch (error) {
+      console.error('[CDS Hooks] Error building preventive care cards:', error);
+      throw new Error(`Failed to evaluate clinical guidelines: ${error.message}`);
+    }
+  }
+
+  /* ---------- order-select / order-sign ---------- */
+
+  /**
+   * Cards from the drug safety report for the draft medication orders
+   * Only findings that involve a draft order produce cards; the patient's existing regimen is context.
+   * @param {Object} request - Hook request with patientId and context.draftOrders (Bundle)
+   * @param {number} userId - Calling user
+   * @param {string[]} selections - order-select: references of the orders just selected
+   * @returns {Array} Cards
+   */
+  async drugSafetyCards(request, userId, selections = null) {
+    const drafts = await this.resolveDraftOrders(request.context.draftOrders, selections);
+    if (drafts.length === 0) return [];
+
+    const current = await prescriptionService.getCurrentPatientMedications(request.patientId);
+    const draftIds = new Set(drafts.map(draft => draft.medicationId));
+    const medicationIds = [...new Set([...current.map(m => m.medication_id).filter(Boolean), ...draftIds])];
+
+    const report = await drugInteractionService.generateSafetyReport(medicationIds, request.patientId, userId);
+    const draftFor = (medicationId) => drafts.find(draft => draft.medicationId === medicationId);
+    const cards = [];
+
+    for (const [severity, indicator] of Object.entries(INTERACTION_INDICATORS)) {
+      for (const interaction of report.interactions[severity]) {
+        const draft = draftFor(interaction.drug1.id) || draftFor(interaction.drug2.id);
+        if (!draft) continue;
+
+        cards.push(this.card({
+          summary: `${severity.toUpperCase()} interaction: ${interaction.drug1.name} + ${interaction.drug2.name}`,
+          detail: [
+            interaction.description,
+            interaction.clinicalEffect && `**Clinical effect:** ${interaction.clinicalEffect}`,
+            interaction.management && `**Management:** ${interaction.management}`
+          ].filter(Boolean).join('\n\n'),
+          indicator,
+          source: SOURCE.DRUG_SAFETY,
+          suggestions: [this.removeOrderSuggestion(draft)],
+          ...(indicator === 'critical' && { overrideReasons: this.overrideReasons() })
+        }));
+      }
+    }
+
+    for (const allergy of report.allergies) {
+      const draft = draftFor(allergy.medication.id);
+      if (!draft) continue;
+
+      const alternatives = await drugInteractionService.getAlternativeMedications(allergy.medication.id, 'allergy');
+      cards.push(this.card({
+        summary: `Allergy: ${allergy.warning}`,
+        detail: allergy.recommendation,
+        indicator: 'critical',
+        source: SOURCE.DRUG_SAFETY,
+        selectionBehavior: 'at-most-one',
+        suggestions: [
+          this.removeOrderSuggestion(draft),
+          ...alternatives.slice(0, MAX_ALTERNATIVES).map(alternative => this.replaceOrderSuggestion(draft, alternative, request.patientId))
+        ],
+        overrideReasons: this.overrideReasons()
+      }));
+    }
+
+    for (const highRisk of report.highRiskMedications) {
+      if (!draftFor(highRisk.medication.id)) continue;
+
+      cards.push(this.card({
+        summary: `High-risk medication: ${highRisk.medication.name}`,
+        detail: highRisk.warnings.map(warning => `- ${warning}`).join('\n'),
+        indicator: highRisk.riskLevel === 'high' ? 'warning' : 'info',
+        source: SOURCE.DRUG_SAFETY
+      }));
+    }
+
+    return cards;
+  }
+
+  /**
+   * Resolve the MedicationRequests in context.draftOrders to formulary medications
+   * Matches the RxNorm coding first, then the medication name.
+   * @param {Object} bundle - draftOrders Bundle
+   * @param {string[]} selections - Restrict to these references (order-select)
+   * @returns {Array} [{ reference, resource, medicationId, name }]
+   */
+  async resolveDraftOrders(bundle, selections = null) {
+    if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+      throw new CDSHooksError('context.draftOrders must be a FHIR Bundle');
+    }
+    if (selections !== null && !Array.isArray(selections)) {
+      throw new CDSHooksError('context.selections must be an array of references');
+    }
+
+    const orders = bundle.entry
+      .map(entry => entry?.resource)
+      .filter(resource => resource?.resourceType === 'MedicationRequest')
+      .map(resource => ({ reference: `MedicationRequest/${resource.id}`, resource }))
+      .filter(order => !selections || selections.includes(order.reference));
+
+    const resolved = [];
+    for (const order of orders) {
+      const concept = order.resource.medicationCodeableConcept || {};
+      const rxcui = (concept.coding || []).find(coding => coding.system === SYSTEMS.RXNORM)?.code;
+      const name = concept.text || concept.coding?.[0]?.display;
+      if (!rxcui && !name) continue;
+
+      const result = await pool.query(`
+        SELECT id, generic_name
+        FROM medications
+        WHERE active = true
+          AND (($1::text IS NOT NULL AND rxcui = $1) OR ($2::text IS NOT NULL AND (lower(generic_name) = lower($2) OR lower(brand_name) = lower($2))))
+        ORDER BY (rxcui = $1) DESC NULLS LAST
+        LIMIT 1
+      `, [rxcui || null, name || null]);
+
+      if (result.rows[0]) {
+        resolved.push({ ...order, medicationId: result.rows[0].id, name: result.rows[0].generic_name });
+      }
+    }
+    return resolved;
+  }
+
+  /* ---------- Card helpers ---------- */
+
+  card({ summary, ...fields }) {
+    return {
+      uuid: crypto.randomUUID(),
+      summary: summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 3)}...` : summary,
+      ...fields
+    };
+  }
+
+  removeOrderSuggestion(draft) {
+    return {
+      label: `Remove ${draft.name} order`,
+      uuid: crypto.randomUUID(),
+      actions: [{ type: 'delete', description: `Remove the ${draft.name} order`, resourceId: [draft.reference] }]
+    };
+  }
+
+  replaceOrderSuggestion(draft, alternative, patientId) {
+    return {
+      label: `Order ${alternative.name} instead`,
+      uuid: crypto.randomUUID(),
+      actions: [
+        { type: 'delete', description: `Remove the ${draft.name} order`, resourceId: [draft.reference] },
+        {
+          type: 'create',
+          description: `Order ${alternative.name}${alternative.strength ? ` ${alternative.strength}` : ''}`,
+          resource: {
+            resourceType: 'MedicationRequest',
+            status: 'draft',
+            intent: 'proposal',
+            subject: { reference: `Patient/${patientId}` },
+            medicationCodeableConcept: { text: alternative.name }
+          }
+        }
+      ]
+    };
+  }
+
+  overrideReasons() {
+    return [
+      { code: 'benefit-outweighs-risk', system: 'urn:emr:cds-override-reason', display: 'Benefit outweighs risk' },
+      { code: 'patient-tolerated', system: 'urn:emr:cds-override-reason', display: 'Patient has tolerated this before' },
+      { code: 'will-monitor', system: 'urn:emr:cds-override-reason', display: 'Will monitor closely' }
+    ];
+  }
+
+  formatDate(value) {
+    if (!value) return null;
+    return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+  }
+}
+
+export default new CDSHooksService();
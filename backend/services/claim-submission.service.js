@@ -0,0 +1,752 @@
+// Claim Submission Service
+// X12 837P professional claims: validation, the claim lifecycle (draft, ready, submitted, accepted, rejected),
+// one 837P interchange per payer per submission run, and 999 acknowledgments
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import clearinghouseService, { ClearinghouseError } from './clearinghouse.service.js';
+import { ClaimError } from './claims.service.js';
+import patientInsuranceModel from '../models/patient_insurance.model.js';
+import { buildInterchange, parseX12, transactionSets, x12Date, X12ParseError } from '../utils/x12.js';
+
+const VERSION = '005010X222A1';
+
+// Allowed lifecycle moves; submitted/accepted/rejected are set by submission and 999 acknowledgments,
+// paid/denied by 835 remittance posting (a payer reversal takes a paid claim back to accepted)
+export const CLAIM_TRANSITIONS = {
+  draft: ['ready', 'void'],
+  ready: ['draft', 'submitted', 'void'],
+  submitted: ['accepted', 'rejected', 'paid', 'denied'],
+  rejected: ['draft', 'ready', 'void'],
+  accepted: ['paid', 'denied'],
+  paid: ['accepted', 'denied'],
+  denied: ['paid', 'draft', 'ready', 'void'],
+  void: []
+};
+
+// Statuses a user may set directly (ready goes through validation)
+const MANUAL_STATUSES = ['draft', 'void'];
+
+// SBR09 claim filing indicator by insurance_plans.plan_type
+const FILING_INDICATORS = {
+  HMO: 'HM',
+  PPO: '12',
+  POS: '13',
+  EPO: '14',
+  HDHP: 'CI',
+  Medicare: 'MB',
+  Medicaid: 'MC',
+  Other: 'CI'
+};
+
+// PAT01 patient relationship to the subscriber
+const RELATIONSHIP_CODES = { spouse: '01', child: '19', parent: 'G8', other: 'G8' };
+
+// SBR01 payer responsibility by patient_insurance.priority_order
+const PAYER_RESPONSIBILITY = { 1: 'P', 2: 'S', 3: 'T' };
+
+// Office place of service, original claim (CLM05)
+const PLACE_OF_SERVICE = ['11', 'B', '1'];
+
+// IK5-01 / AK9-01 codes that mean the transaction set was accepted
+const ACCEPTED_CODES = ['A', 'E'];
+
+// IK3-04 segment syntax errors
+const SEGMENT_ERRORS = {
+  1: 'Unrecognized segment ID',
+  2: 'Unexpected segment',
+  3: 'Required segment missing',
+  4: 'Loop occurs over maximum times',
+  5: 'Segment exceeds maximum use',
+  6: 'Segment not in defined transaction set',
+  7: 'Segment not in proper sequence',
+  8: 'Segment has data element errors'
+};
+
+const ICD10_PATTERN = /^[A-TV-Z][0-9][0-9A-Z](\.?[0-9A-Z]{1,4})?$/;
+
+class ClaimSubmissionService {
+  constructor() {
+    clearinghouseService.registerHandler('999', x12 => this.processAcknowledgment(x12));
+  }
+
+  /**
+   * Validate a claim and move it to ready, or record the errors that block submission
+   * A ready claim that no longer validates goes back to draft.
+   * @param {number} claimId - Claim ID
+   * @param {number} userId - Validating user
+   * @returns {Object} { valid, errors: [{ field, message }], claim }
+   */
+  async validate(claimId, userId) {
+    const [claim] = await this.loadClaims([claimId]);
+    if (!claim) {
+      throw new ClaimError(`Claim ${claimId} not found`, 404);
+    }
+    if (!['draft', 'ready', 'rejected', 'denied'].includes(claim.status)) {
+      throw new ClaimError(`A ${claim.status} claim cannot be validated`, 409);
+    }
+
+    const errors = this.validateClaim(claim);
+    const valid = errors.length === 0;
+    const target = valid ? 'ready' : (claim.status === 'ready' ? 'draft' : null);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        UPDATE claims SET validation_errors = $2, validated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [claimId, JSON.stringify(errors)]);
+      if (target && target !== claim.status) {
+        await this.applyTransition(client, claimId, target, { userId, reason: valid ? null : 'Failed validation' });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const [updated] = await this.loadClaims([claimId]);
+    return { valid, errors, claim: updated };
+  }
+
+  /**
+   * Set a claim status by hand (back to draft for corrections, or void)
+   * @param {number} claimId - Claim ID
+   * @param {string} status - draft or void
+   * @param {number} userId - User
+   * @param {string} reason - Optional reason kept in the status history
+   * @returns {Object} Updated claims row
+   */
+  async updateStatus(claimId, status, userId, reason = null) {
+    if (!MANUAL_STATUSES.includes(status)) {
+      throw new ClaimError(
+        status === 'ready'
+          ? 'Claims become ready by passing validation'
+          : `Status must be one of: ${MANUAL_STATUSES.join(', ')}`,
+        400
+      );
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const claim = await this.applyTransition(client, claimId, status, { userId, reason });
+      await client.query('COMMIT');
+      return claim;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Submit ready claims: each is re-validated, and valid claims are sent as one 837P interchange per payer
+   * Claims that fail validation go back to draft; claims in a batch the transport refused stay ready.
+   * @param {Object} options - { claimIds (all ready claims when omitted), userId }
+   * @returns {Object} { batches: claim_batches rows with claim_ids, skipped: [{ claimId, claimNumber, errors }] }
+   */
+  async submit({ claimIds = null, userId }) {
+    const ids = claimIds ?? (await pool.query(`SELECT id FROM claims WHERE status = 'ready' ORDER BY id`)).rows.map(row => row.id);
+    const claims = await this.loadClaims(ids);
+
+    const skipped = [];
+    const byPayer = new Map();
+    for (const claim of claims) {
+      if (claim.status !== 'ready') {
+        skipped.push({ claimId: claim.id, claimNumber: claim.claim_number, errors: [{ field: 'status', message: `Claim is ${claim.status}, not ready` }] });
+        continue;
+      }
+      const errors = this.validateClaim(claim);
+      if (errors.length > 0) {
+        await this.validate(claim.id, userId);
+        skipped.push({ claimId: claim.id, claimNumber: claim.claim_number, errors });
+        continue;
+      }
+      if (!byPayer.has(claim.payer_id)) byPayer.set(claim.payer_id, []);
+      byPayer.get(claim.payer_id).push(claim);
+    }
+    const missing = ids.filter(id => !claims.some(claim => claim.id === id));
+    missing.forEach(id => skipped.push({ claimId: id, claimNumber: null, errors: [{ field: 'id', message: 'Claim not found' }] }));
+
+    const batches = [];
+    for (const payerClaims of byPayer.values()) {
+      batches.push(await this.submitBatch(payerClaims, userId));
+    }
+    return { batches, skipped };
+  }
+
+  /**
+   * Build, record and send one payer's 837P interchange
+   * @param {Array} claims - Validated ready claims for one payer (from loadClaims)
+   * @param {number} userId - Submitting user
+   * @returns {Object} claim_batches row with claim_ids
+   */
+  async submitBatch(claims, userId) {
+    const controlNumber = await clearinghouseService.nextControlNumber();
+    const fileName = `837P-${controlNumber}.x12`;
+    const ssns = await this.subscriberSSNs(claims, userId);
+    const date = new Date();
+    const x12 = this.build837(claims, { controlNumber, ssns, date });
+    // The stored copy keeps SSNs masked; only the transmitted interchange carries them
+    const masked = Object.fromEntries(Object.keys(ssns).map(id => [id, 'XXXXXXXXX']));
+    const storedX12 = Object.keys(ssns).length > 0 ? this.build837(claims, { controlNumber, ssns: masked, date }) : x12;
+    const totalCharge = claims.reduce((sum, claim) => sum + Number(claim.total_charge), 0);
+    const transport = clearinghouseService.getTransport();
+
+    const inserted = await pool.query(`
+      INSERT INTO claim_batches (
+        payer_id, payer_name, control_number, file_name, transport, claim_count, total_charge, x12, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [claims[0].payer_id, claims[0].insurance_company, controlNumber, fileName, transport.name, claims.length, totalCharge, storedX12, userId]);
+    const batch = inserted.rows[0];
+    const claimIds = claims.map(claim => claim.id);
+
+    let response;
+    try {
+      response = await clearinghouseService.send(x12, { fileName });
+    } catch (error) {
+      if (!(error instanceof ClearinghouseError)) throw error;
+      const failed = await pool.query(`
+        UPDATE claim_batches SET status = 'error', error = $2 WHERE id = $1 RETURNING *
+      `, [batch.id, error.message]);
+      return { ...failed.rows[0], claim_ids: claimIds };
+    }
+
+    const client = await pool.connect();
+    let sent;
+    try {
+      await client.query('BEGIN');
+      const updated = await client.query(`
+        UPDATE claim_batches SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *
+      `, [batch.id]);
+      sent = updated.rows[0];
+      for (const [index, claim] of claims.entries()) {
+        await this.applyTransition(client, claim.id, 'submitted', { userId, batchId: batch.id });
+        await client.query(`
+          UPDATE claims SET batch_id = $2, transaction_control = $3, submitted_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, [claim.id, batch.id, this.transactionControl(index)]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const claim of claims) {
+      await auditService.logPHIAccess(
+        userId,
+        'claims',
+        claim.id,
+        'claim_submission',
+        `Submitted claim ${claim.claim_number} to ${claim.insurance_company} in 837P batch ${controlNumber}`,
+        { patientId: claim.patient_id }
+      );
+    }
+
+    if (response) {
+      await this.processAcknowledgment(response);
+      return { ...(await this.getBatch(batch.id)), claim_ids: claimIds };
+    }
+    return { ...sent, claim_ids: claimIds };
+  }
+
+  /**
+   * Apply a 999 acknowledgment to the batch it answers (AK1 group control number = batch control number)
+   * @param {string} x12 - 999 interchange
+   * @returns {Object} { batches: [{ batchId, controlNumber, status, accepted, rejected }], unmatched: group control numbers }
+   */
+  async processAcknowledgment(x12) {
+    let acknowledgments;
+    try {
+      acknowledgments = this.parse999(x12);
+    } catch (error) {
+      if (error instanceof X12ParseError) {
+        throw new ClaimError(`Invalid 999: ${error.message}`, 422);
+      }
+      throw error;
+    }
+
+    const batches = [];
+    const unmatched = [];
+    for (const ack of acknowledgments) {
+      const found = await pool.query('SELECT id FROM claim_batches WHERE control_number = $1', [ack.groupControlNumber.padStart(9, '0')]);
+      if (found.rows.length === 0) {
+        unmatched.push(ack.groupControlNumber);
+        continue;
+      }
+      batches.push(await this.applyAcknowledgment(found.rows[0].id, ack, x12));
+    }
+
+    if (unmatched.length > 0) {
+      console.warn(`[Claim Submission] 999 acknowledgments without a matching batch: ${unmatched.join(', ')}`);
+    }
+    return { batches, unmatched };
+  }
+
+  async applyAcknowledgment(batchId, ack, x12) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const claims = await client.query(`
+        SELECT id, transaction_control FROM claims WHERE batch_id = $1 AND status = 'submitted' ORDER BY id
+      `, [batchId]);
+
+      let accepted = 0;
+      let rejected = 0;
+      for (const claim of claims.rows) {
+        // A group-level reject (AK9 R without AK2 detail) applies to every claim in the batch
+        const result = ack.transactions.find(t => t.controlNumber === claim.transaction_control)
+          ?? { accepted: ack.accepted, reasons: ack.accepted ? [] : ['Functional group rejected'] };
+        await this.applyTransition(client, claim.id, result.accepted ? 'accepted' : 'rejected', {
+          reason: result.accepted ? null : result.reasons.join('; ') || 'Rejected by clearinghouse',
+          batchId
+        });
+        if (result.accepted) accepted += 1; else rejected += 1;
+      }
+
+      const status = rejected === 0 ? 'accepted' : (accepted === 0 ? 'rejected' : 'partial');
+      const updated = await client.query(`
+        UPDATE claim_batches SET status = $2, acknowledgment_x12 = $3, acknowledged_at = CURRENT_TIMESTAMP
+        WHERE id = $1 RETURNING id, control_number
+      `, [batchId, status, x12]);
+      await client.query('COMMIT');
+
+      return { batchId, controlNumber: updated.rows[0].control_number, status, accepted, rejected };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Submission batches, newest first
+   * @param {Object} filters - { payerId, status, limit }
+   * @returns {Array} claim_batches rows without the raw interchanges
+   */
+  async listBatches({ payerId = null, status = null, limit = 100 } = {}) {
+    const result = await pool.query(`
+      SELECT id, payer_id, payer_name, control_number, file_name, transport, status, claim_count, total_charge,
+             error, created_by, created_at, sent_at, acknowledged_at
+      FROM claim_batches
+      WHERE ($1::text IS NULL OR payer_id = $1)
+        AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `, [payerId, status, limit]);
+    return result.rows;
+  }
+
+  /**
+   * One batch with its 837P, 999 and claims
+   * @param {number} batchId - claim_batches id
+   * @returns {Object}
+   */
+  async getBatch(batchId) {
+    const result = await pool.query('SELECT * FROM claim_batches WHERE id = $1', [batchId]);
+    if (result.rows.length === 0) {
+      throw new ClaimError(`Claim batch ${batchId} not found`, 404);
+    }
+    const claims = await pool.query(`
+      SELECT id, claim_number, patient_id, service_date, total_charge, status, status_reason, transaction_control
+      FROM claims WHERE batch_id = $1 ORDER BY transaction_control, id
+    `, [batchId]);
+    return { ...result.rows[0], claims: claims.rows };
+  }
+
+  /**
+   * Status history for a claim, oldest first
+   * @param {number} claimId - Claim ID
+   * @returns {Array}
+   */
+  async getStatusHistory(claimId) {
+    const result = await pool.query(`
+      SELECT * FROM claim_status_history WHERE claim_id = $1 ORDER BY changed_at, id
+    `, [claimId]);
+    return result.rows;
+  }
+
+  /* ---------- Validation ---------- */
+
+  /**
+   * Claims with everything an 837P needs: patient, coverage, payer, rendering provider, billing address and lines
+   * @param {number[]} claimIds - Claim IDs
+   * @returns {Array} Claims in id order, each with lines
+   */
+  async loadClaims(claimIds) {
+    if (claimIds.length === 0) return [];
+
+    const result = await pool.query(`
+      SELECT c.*, p.first_name, p.last_name, p.dob, p.gender,
+             pi.subscriber_id, pi.policy_number, pi.group_number, pi.subscriber_name, pi.subscriber_relationship,
+             pi.subscriber_dob, pi.priority_order, pi.status AS coverage_status,
+             (pi.subscriber_ssn_encrypted IS NOT NULL) AS has_subscriber_ssn,
+             ip.insurance_company, ip.plan_name, ip.plan_type, ip.payer_id, ip.requires_subscriber_ssn,
+             pr.first_name AS provider_first_name, pr.last_name AS provider_last_name, pr.npi AS provider_npi,
+             pb.billing_address, pb.billing_city, pb.billing_state, pb.billing_zip_code
+      FROM claims c
+      JOIN patients p ON p.id = c.patient_id
+      LEFT JOIN patient_insurance pi ON pi.id = c.patient_insurance_id
+      LEFT JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      LEFT JOIN providers pr ON pr.id = c.provider_id
+      LEFT JOIN LATERAL (
+        SELECT billing_address, billing_city, billing_state, billing_zip_code
+        FROM patient_billing WHERE patient_id = c.patient_id ORDER BY id DESC LIMIT 1
+      ) pb ON true
+      WHERE c.id = ANY($1::int[])
+      ORDER BY c.id
+    `, [claimIds]);
+
+    // Procedure lines the plan requires prior authorization for, with the approval covering the date of service
+    const lines = await pool.query(`
+      SELECT cl.*, (par.id IS NOT NULL) AS prior_auth_required, pa.payer_reference AS prior_auth_reference
+      FROM claim_lines cl
+      JOIN claims c ON c.id = cl.claim_id
+      LEFT JOIN patient_insurance pi ON pi.id = c.patient_insurance_id
+      LEFT JOIN LATERAL (
+        SELECT r.id FROM prior_auth_requirements r
+        WHERE r.active = true AND r.service_type = 'procedure' AND lower(r.code) = lower(cl.cpt_code)
+          AND (r.insurance_plan_id IS NULL OR r.insurance_plan_id = pi.insurance_plan_id)
+        LIMIT 1
+      ) par ON c.patient_insurance_id IS NOT NULL
+      LEFT JOIN LATERAL (
+        SELECT a.payer_reference FROM prior_authorizations a
+        WHERE a.patient_id = c.patient_id AND a.service_type = 'procedure' AND lower(a.service_code) = lower(cl.cpt_code)
+          AND a.status IN ('approved', 'expired') AND a.payer_reference IS NOT NULL
+          AND (a.patient_insurance_id IS NULL OR a.patient_insurance_id = c.patient_insurance_id)
+          AND (a.effective_date IS NULL OR a.effective_date <= c.service_date)
+          AND (a.expiry_date IS NULL OR a.expiry_date >= c.service_date)
+        ORDER BY a.decided_at DESC NULLS LAST, a.id DESC
+        LIMIT 1
+      ) pa ON true
+      WHERE cl.claim_id = ANY($1::int[])
+      ORDER BY cl.claim_id, cl.line_number
+    `, [claimIds]);
+    return result.rows.map(claim => ({ ...claim, lines: lines.rows.filter(line => line.claim_id === claim.id) }));
+  }
+
+  /**
+   * Everything that would make an 837P for this claim unacceptable
+   * @param {Object} claim - Claim from loadClaims
+   * @returns {Array} [{ field, message }]
+   */
+  validateClaim(claim) {
+    const errors = [];
+    const error = (field, message) => errors.push({ field, message });
+    const billing = this.getBillingProvider();
+
+    if (claim.lines.length === 0) error('lines', 'Claim has no service lines');
+    if (!(Number(claim.total_charge) > 0)) error('total_charge', 'Claim total must be greater than zero');
+
+    const diagnoses = claim.diagnosis_codes || [];
+    if (diagnoses.length === 0) error('diagnosis_codes', 'Claim has no diagnoses');
+    diagnoses.forEach(code => {
+      if (!ICD10_PATTERN.test(code)) error('diagnosis_codes', `${code} is not a valid ICD-10-CM code`);
+    });
+
+    claim.lines.forEach(line => {
+      const field = `lines[${line.line_number}]`;
+      if (!/^[0-9A-Z]{5}$/.test(line.cpt_code || '')) error(field, `Line ${line.line_number} has an invalid procedure code ${line.cpt_code}`);
+      if (!(Number(line.charge_amount) > 0)) error(field, `Line ${line.line_number} (${line.cpt_code}) has no charge`);
+      if (!(Number(line.units) > 0)) error(field, `Line ${line.line_number} (${line.cpt_code}) has no units`);
+      const pointers = line.diagnosis_pointers || [];
+      if (pointers.length === 0) error(field, `Line ${line.line_number} (${line.cpt_code}) is not linked to a diagnosis`);
+      if (pointers.some(pointer => pointer < 1 || pointer > diagnoses.length)) {
+        error(field, `Line ${line.line_number} (${line.cpt_code}) points to a diagnosis that is not on the claim`);
+      }
+      if (line.prior_auth_required && !line.prior_auth_reference) {
+        error(field, `Line ${line.line_number} (${line.cpt_code}) requires prior authorization and none is approved for the date of service`);
+      }
+    });
+
+    if (!claim.patient_insurance_id) {
+      error('coverage', 'Claim has no insurance coverage (self-pay claims are not submitted)');
+      return errors;
+    }
+    if (claim.coverage_status && claim.coverage_status !== 'active') error('coverage', `Coverage is ${claim.coverage_status}`);
+    if (!claim.payer_id) error('payer_id', `Insurance plan ${claim.plan_name || claim.insurance_company} has no payer ID`);
+    if (!claim.subscriber_id && !claim.policy_number) error('subscriber_id', 'Coverage has no subscriber/member ID');
+    if (claim.requires_subscriber_ssn && !claim.has_subscriber_ssn) error('subscriber_ssn', `${claim.insurance_company} requires the subscriber SSN`);
+
+    if (this.isDependent(claim)) {
+      if (!this.splitName(claim.subscriber_name).last) error('subscriber_name', 'Subscriber name is required when the patient is not the subscriber');
+      if (!claim.subscriber_dob) error('subscriber_dob', 'Subscriber date of birth is required when the patient is not the subscriber');
+    }
+    if (!claim.dob) error('patient_dob', 'Patient date of birth is missing');
+    if (this.genderCode(claim.gender) === 'U') error('patient_gender', 'Patient gender is missing');
+    if (!claim.billing_address || !claim.billing_city || !claim.billing_state || !claim.billing_zip_code) {
+      error('subscriber_address', 'Patient billing address (street, city, state, ZIP) is incomplete');
+    }
+
+    if (!this.isValidNPI(claim.provider_npi)) error('rendering_npi', 'Rendering provider has no valid NPI');
+    if (!this.isValidNPI(billing.npi)) error('billing_npi', 'X12_BILLING_NPI is missing or not a valid NPI');
+    if (!/^\d{9}$/.test(billing.taxId || '')) error('billing_tax_id', 'X12_BILLING_TAX_ID must be a 9-digit EIN');
+    if (!billing.address || !billing.city || !billing.state || !/^\d{9}$/.test(billing.zip || '')) {
+      error('billing_address', 'Billing provider address is incomplete (X12_BILLING_ADDRESS/CITY/STATE and a 9-digit X12_BILLING_ZIP)');
+    }
+    if (!billing.submitterPhone) error('submitter_phone', 'X12_SUBMITTER_PHONE is not configured');
+    return errors;
+  }
+
+  /**
+   * NPI check digit (Luhn over the 80840 prefix and the first nine digits)
+   * @param {string} npi - NPI
+   * @returns {boolean}
+   */
+  isValidNPI(npi) {
+    if (!/^\d{10}$/.test(npi || '')) return false;
+    const digits = `80840${npi.slice(0, 9)}`.split('').map(Number);
+    const sum = digits.reverse().reduce((total, digit, index) => {
+      if (index % 2 === 1) return total + digit;
+      const doubled = digit * 2;
+      return total + (doubled > 9 ? doubled - 9 : doubled);
+    }, 0);
+    return (10 - (sum % 10)) % 10 === Number(npi[9]);
+  }
+
+  /**
+   * Moves a claim along the lifecycle and records the history row
+   * @param {Object} client - Transaction client
+   * @returns {Object} Updated claims row
+   */
+  async applyTransition(client, claimId, toStatus, { userId = null, reason = null, batchId = null } = {}) {
+    const current = await client.query('SELECT id, status FROM claims WHERE id = $1 FOR UPDATE', [claimId]);
+    if (current.rows.length === 0) {
+      throw new ClaimError(`Claim ${claimId} not found`, 404);
+    }
+    const fromStatus = current.rows[0].status;
+    if (!(CLAIM_TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      throw new ClaimError(`Claim cannot move from ${fromStatus} to ${toStatus}`, 409);
+    }
+
+    const updated = await client.query(`
+      UPDATE claims SET status = $2, status_reason = $3 WHERE id = $1 RETURNING *
+    `, [claimId, toStatus, reason]);
+    await client.query(`
+      INSERT INTO claim_status_history (claim_id, from_status, to_status, reason, batch_id, changed_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [claimId, fromStatus, toStatus, reason, batchId, userId]);
+    return updated.rows[0];
+  }
+
+  /* ---------- 837P ---------- */
+
+  /**
+   * Decrypted subscriber SSNs for claims whose payer requires them
+   * @returns {Object} SSN by claim id
+   */
+  async subscriberSSNs(claims, userId) {
+    const ssns = {};
+    for (const claim of claims.filter(c => c.requires_subscriber_ssn)) {
+      const ssn = await patientInsuranceModel.getDecryptedSSN(claim.patient_insurance_id, {
+        userId,
+        purpose: `Subscriber identification on 837P claim ${claim.claim_number}`
+      });
+      if (!ssn) {
+        throw new ClaimError(`Claim ${claim.claim_number}: ${claim.insurance_company} requires the subscriber SSN`, 422);
+      }
+      ssns[claim.id] = ssn.replace(/\D/g, '');
+    }
+    return ssns;
+  }
+
+  /**
+   * Build an 837P interchange for one payer, one transaction set per claim (so 999 results map to claims)
+   * @param {Array} claims - Claims from loadClaims, all for the same payer
+   * @param {Object} options - { controlNumber, ssns: SSN by claim id, date }
+   * @returns {string} X12 interchange
+   */
+  build837(claims, { controlNumber, ssns = {}, date = new Date() }) {
+    const envelope = clearinghouseService.getEnvelope();
+    const billing = this.getBillingProvider();
+    const time = date.toISOString();
+    const ccyymmdd = time.slice(0, 10).replace(/-/g, '');
+    const hhmm = time.slice(11, 16).replace(':', '');
+
+    const transactions = claims.map(claim => {
+      const dependent = this.isDependent(claim);
+      const subscriber = dependent
+        ? { ...this.splitName(claim.subscriber_name), dob: claim.subscriber_dob, gender: 'U' }
+        : { first: claim.first_name, last: claim.last_name, dob: claim.dob, gender: this.genderCode(claim.gender) };
+      const address = [
+        ['N3', claim.billing_address],
+        ['N4', claim.billing_city, claim.billing_state, String(claim.billing_zip_code || '').replace(/\D/g, '')]
+      ];
+
+      const segments = [
+        ['BHT', '0019', '00', claim.claim_number, ccyymmdd, hhmm, 'CH'],
+        ['NM1', '41', '2', billing.submitterName, '', '', '', '', '46', envelope.senderId],
+        ['PER', 'IC', billing.submitterContact, 'TE', billing.submitterPhone.replace(/\D/g, '')],
+        ['NM1', '40', '2', billing.receiverName, '', '', '', '', '46', envelope.receiverId],
+        ['HL', '1', '', '20', '1'],
+        ['NM1', '85', '2', billing.name, '', '', '', '', 'XX', billing.npi],
+        ['N3', billing.address],
+        ['N4', billing.city, billing.state, billing.zip],
+        ['REF', 'EI', billing.taxId],
+        ['HL', '2', '1', '22', dependent ? '1' : '0'],
+        [
+          'SBR', PAYER_RESPONSIBILITY[claim.priority_order] || 'P', dependent ? '' : '18', claim.group_number || '',
+          '', '', '', '', '', FILING_INDICATORS[claim.plan_type] || 'CI'
+        ],
+        ['NM1', 'IL', '1', subscriber.last, subscriber.first, '', '', '', 'MI', claim.subscriber_id || claim.policy_number],
+        ...address,
+        ...(subscriber.dob ? [['DMG', 'D8', x12Date(subscriber.dob), subscriber.gender]] : []),
+        ...(ssns[claim.id] ? [['REF', 'SY', ssns[claim.id]]] : []),
+        ['NM1', 'PR', '2', claim.insurance_company, '', '', '', '', 'PI', claim.payer_id]
+      ];
+
+      if (dependent) {
+        segments.push(
+          ['HL', '3', '2', '23', '0'],
+          ['PAT', RELATIONSHIP_CODES[claim.subscriber_relationship] || 'G8'],
+          ['NM1', 'QC', '1', claim.last_name, claim.first_name],
+          ...address,
+          ['DMG', 'D8', x12Date(claim.dob), this.genderCode(claim.gender)]
+        );
+      }
+
+      const diagnoses = (claim.diagnosis_codes || []).map(code => code.replace(/\./g, ''));
+      // One prior authorization for the whole claim goes in 2300; several are reported per line in 2400
+      const authorizations = [...new Set(claim.lines.map(line => line.prior_auth_reference).filter(Boolean))];
+      const claimAuthorization = authorizations.length === 1 ? authorizations[0] : null;
+      segments.push(
+        ['CLM', claim.claim_number, this.amount(claim.total_charge), '', '', PLACE_OF_SERVICE, 'Y', 'A', 'Y', 'Y'],
+        ...(claimAuthorization ? [['REF', 'G1', claimAuthorization]] : []),
+        ['HI', ...diagnoses.map((code, index) => [index === 0 ? 'ABK' : 'ABF', code])],
+        ['NM1', '82', '1', claim.provider_last_name, claim.provider_first_name, '', '', '', 'XX', claim.provider_npi]
+      );
+
+      claim.lines.forEach((line, index) => {
+        segments.push(
+          ['LX', index + 1],
+          [
+            'SV1', ['HC', line.cpt_code, ...(line.modifiers || []).slice(0, 4)], this.amount(line.charge_amount), 'UN',
+            line.units, '', '', (line.diagnosis_pointers || []).map(String)
+          ],
+          ['DTP', '472', 'D8', x12Date(claim.service_date)],
+          ...(line.prior_auth_reference && !claimAuthorization ? [['REF', 'G1', line.prior_auth_reference]] : []),
+          // Line item control number, echoed back on the 835 SVC for payment posting
+          ...(line.id ? [['REF', '6R', line.id]] : [])
+        );
+      });
+
+      return { type: '837', segments };
+    });
+
+    return buildInterchange({
+      ...envelope,
+      controlNumber,
+      functionalCode: 'HC',
+      version: VERSION,
+      date,
+      transactions
+    });
+  }
+
+  /* ---------- 999 ---------- */
+
+  /**
+   * Parse a 999 into one result per acknowledged functional group
+   * @param {string} x12 - 999 interchange
+   * @returns {Array} [{ groupControlNumber, accepted, transactions: [{ controlNumber, accepted, reasons }] }]
+   */
+  parse999(x12) {
+    const { segments } = parseX12(x12);
+    const sets = transactionSets(segments).filter(set => set.type === '999');
+    if (sets.length === 0) {
+      throw new X12ParseError('Interchange has no 999 transaction set');
+    }
+
+    return sets.map(set => {
+      const ack = { groupControlNumber: '', accepted: false, transactions: [] };
+      let current = null;
+
+      for (const segment of set.segments) {
+        switch (segment.id) {
+          case 'AK1':
+            ack.groupControlNumber = segment.el(2);
+            break;
+          case 'AK2':
+            current = { controlNumber: segment.el(2), accepted: false, reasons: [] };
+            ack.transactions.push(current);
+            break;
+          case 'IK3':
+            if (current) {
+              const problem = SEGMENT_ERRORS[Number(segment.el(4))] || `Segment error ${segment.el(4)}`;
+              current.reasons.push(`${segment.el(1)} segment ${segment.el(2)}${segment.el(3) ? ` (loop ${segment.el(3)})` : ''}: ${problem}`);
+            }
+            break;
+          case 'IK4':
+            if (current) current.reasons.push(`Element ${segment.el(1)} error ${segment.el(3)}${segment.el(4) ? ` (${segment.el(4)})` : ''}`);
+            break;
+          case 'IK5':
+            if (current) current.accepted = ACCEPTED_CODES.includes(segment.el(1));
+            break;
+          case 'AK9':
+            ack.accepted = ACCEPTED_CODES.includes(segment.el(1));
+            break;
+          default:
+            break;
+        }
+      }
+      return ack;
+    });
+  }
+
+  /* ---------- Helpers ---------- */
+
+  /**
+   * Billing provider, submitter and receiver details from the environment
+   * @returns {Object}
+   */
+  getBillingProvider() {
+    const name = process.env.X12_BILLING_NAME || 'EMR SYSTEM';
+    return {
+      name,
+      npi: process.env.X12_BILLING_NPI || '',
+      taxId: (process.env.X12_BILLING_TAX_ID || '').replace(/\D/g, ''),
+      address: process.env.X12_BILLING_ADDRESS || '',
+      city: process.env.X12_BILLING_CITY || '',
+      state: process.env.X12_BILLING_STATE || '',
+      zip: (process.env.X12_BILLING_ZIP || '').replace(/\D/g, ''),
+      submitterName: process.env.X12_SUBMITTER_NAME || name,
+      submitterContact: process.env.X12_SUBMITTER_CONTACT || 'BILLING',
+      submitterPhone: process.env.X12_SUBMITTER_PHONE || '',
+      receiverName: process.env.X12_RECEIVER_NAME || 'CLEARINGHOUSE'
+    };
+  }
+
+  // ST02 of a claim's transaction set; buildInterchange numbers sets from 0001
+  transactionControl(index) {
+    return String(index + 1).padStart(4, '0');
+  }
+
+  isDependent(claim) {
+    return Boolean(claim.subscriber_relationship) && claim.subscriber_relationship !== 'self';
+  }
+
+  amount(value) {
+    return String(Number(Number(value).toFixed(2)));
+  }
+
+  splitName(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return { first: '', last: '' };
+    if (parts.length === 1) return { first: '', last: parts[0] };
+    return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+  }
+
+  genderCode(gender) {
+    const code = String(gender || '').charAt(0).toUpperCase();
+    return ['M', 'F'].includes(code) ? code : 'U';
+  }
+}
+
+export default new ClaimSubmissionService();
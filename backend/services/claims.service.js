@@ -0,0 +1,376 @@
+// Claims Service
+// Charge capture: turns a completed encounter's diagnoses, lab orders and E/M level into a draft claim
+// with priced charge lines, and posts the matching charge transactions to billing_transactions
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+
+// Encounter statuses that mean the visit is done and billable
+export const COMPLETED_ENCOUNTER_STATUSES = ['complete', 'completed', 'closed', 'finished', 'signed'];
+
+// Office/outpatient E/M codes; level 3 is used when the visit was not coded
+const EM_CODE_PATTERN = /^992(0[2-5]|1[1-5])$/;
+const DEFAULT_EM_NEW = '99203';
+const DEFAULT_EM_ESTABLISHED = '99213';
+const ESTABLISHED_PATIENT_YEARS = 3;
+
+// 837P limits: 12 diagnoses per claim, 4 pointers per line
+const MAX_DIAGNOSES = 12;
+const MAX_POINTERS = 4;
+
+/**
+ * Claim error with an HTTP status for the routes
+ */
+export class ClaimError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ClaimError';
+    this.status = status;
+  }
+}
+
+class ClaimsService {
+  /**
+   * Whether an encounter status marks the visit complete
+   * @param {string} status - encounters.status
+   * @returns {boolean}
+   */
+  isCompletedStatus(status) {
+    return COMPLETED_ENCOUNTER_STATUSES.includes(String(status || '').toLowerCase());
+  }
+
+  /**
+   * Whether a code is an office/outpatient E/M code
+   * @param {string} code - CPT code
+   * @returns {boolean}
+   */
+  isEMCode(code) {
+    return EM_CODE_PATTERN.test(String(code || ''));
+  }
+
+  /**
+   * Capture charges for a completed encounter
+   * Creates the encounter's claim, or rebuilds it while it is still a draft; claims past draft are left untouched.
+   * @param {number} encounterId - Encounter ID
+   * @param {number} userId - User completing the encounter
+   * @returns {Object} { captured, claim } with claim lines
+   */
+  async captureEncounterCharges(encounterId, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const encounterResult = await client.query(`
+        SELECT e.id, e.patient_id, e.status, e.diagnoses, e.em_code, e.created_at,
+               DATE(e.created_at) AS service_date, p.provider_id
+        FROM encounters e
+        JOIN patients p ON p.id = e.patient_id
+        WHERE e.id = $1
+        FOR UPDATE OF e
+      `, [encounterId]);
+      const encounter = encounterResult.rows[0];
+      if (!encounter) {
+        throw new ClaimError(`Encounter ${encounterId} not found`, 404);
+      }
+      if (!this.isCompletedStatus(encounter.status)) {
+        throw new ClaimError(`Encounter ${encounterId} is not complete`, 409);
+      }
+
+      const existingResult = await client.query('SELECT * FROM claims WHERE encounter_id = $1 FOR UPDATE', [encounterId]);
+      const existing = existingResult.rows[0];
+      if (existing && existing.status !== 'draft') {
+        await client.query('ROLLBACK');
+        return { captured: false, claim: await this.getClaim(existing.id) };
+      }
+
+      const labTests = await client.query(`
+        SELECT lo.id AS lab_order_id, lo.provider_id, lt.id AS lab_test_id, lt.loinc_code, lt.test_name,
+               COALESCE(lt.cpt_code, lcc.cpt_code) AS cpt_code
+        FROM lab_orders lo
+        JOIN lab_tests lt ON lt.lab_order_id = lo.id
+        LEFT JOIN lab_cpt_codes lcc ON lcc.loinc_code = lt.loinc_code
+        WHERE lo.encounter_id = $1 AND lo.status <> 'cancelled' AND lt.status <> 'cancelled'
+        ORDER BY lo.id, lt.id
+      `, [encounterId]);
+      const panels = await client.query(`
+        SELECT panel_code, panel_name, loinc_codes, cpt_code
+        FROM lab_panels
+        WHERE cpt_code IS NOT NULL
+        ORDER BY array_length(loinc_codes, 1) DESC, panel_code
+      `);
+
+      let emCode = encounter.em_code;
+      const warnings = [];
+      if (!this.isEMCode(emCode)) {
+        const prior = await client.query(`
+          SELECT EXISTS (
+            SELECT 1 FROM encounters
+            WHERE patient_id = $1 AND id <> $2
+              AND created_at < $3 AND created_at >= $3::timestamptz - make_interval(years => $4)
+          ) AS established
+        `, [encounter.patient_id, encounter.id, encounter.created_at, ESTABLISHED_PATIENT_YEARS]);
+        emCode = prior.rows[0].established ? DEFAULT_EM_ESTABLISHED : DEFAULT_EM_NEW;
+        warnings.push({ code: 'em_defaulted', message: `E/M level not coded; defaulted to ${emCode}` });
+      }
+
+      const diagnosisCodes = this.normalizeDiagnoses(encounter.diagnoses, warnings);
+      const charges = this.buildCharges({ emCode, labTests: labTests.rows, panels: panels.rows, diagnosisCodes, warnings });
+
+      const fees = await client.query(`
+        SELECT cpt_code, description, amount FROM fee_schedule WHERE cpt_code = ANY($1) AND active = true
+      `, [[...new Set(charges.map(charge => charge.cptCode))]]);
+      const feeByCode = new Map(fees.rows.map(fee => [fee.cpt_code, fee]));
+      for (const charge of charges) {
+        const fee = feeByCode.get(charge.cptCode);
+        if (fee) {
+          charge.amount = Number(fee.amount) * charge.units;
+          charge.description = charge.description || fee.description;
+        } else {
+          charge.amount = 0;
+          warnings.push({ code: 'no_fee', message: `No fee schedule amount for CPT ${charge.cptCode}` });
+        }
+      }
+      const totalCharge = Math.round(charges.reduce((sum, charge) => sum + charge.amount, 0) * 100) / 100;
+
+      const coverage = await client.query(`
+        SELECT id FROM patient_insurance
+        WHERE patient_id = $1 AND status = 'active'
+          AND (effective_date IS NULL OR effective_date <= $2)
+          AND (termination_date IS NULL OR termination_date >= $2)
+        ORDER BY priority_order, id
+        LIMIT 1
+      `, [encounter.patient_id, encounter.service_date]);
+      const patientInsuranceId = coverage.rows[0]?.id ?? null;
+      if (!patientInsuranceId) {
+        warnings.push({ code: 'self_pay', message: 'No active coverage on the date of service; claim is self-pay' });
+      }
+
+      const providerId = encounter.provider_id ?? labTests.rows[0]?.provider_id ?? null;
+      let claim;
+      if (existing) {
+        // Rebuild the draft: pending charges and lines from the previous capture are replaced
+        await client.query(`
+          DELETE FROM billing_transactions WHERE claim_id = $1 AND transaction_type = 'charge' AND status = 'pending'
+        `, [existing.id]);
+        await client.query('DELETE FROM claim_lines WHERE claim_id = $1', [existing.id]);
+        const updated = await client.query(`
+          UPDATE claims
+          SET provider_id = $2, patient_insurance_id = $3, service_date = $4, diagnosis_codes = $5,
+              total_charge = $6, warnings = $7
+          WHERE id = $1
+          RETURNING *
+        `, [existing.id, providerId, patientInsuranceId, encounter.service_date, diagnosisCodes, totalCharge, JSON.stringify(warnings)]);
+        claim = updated.rows[0];
+      } else {
+        const inserted = await client.query(`
+          INSERT INTO claims (
+            encounter_id, patient_id, provider_id, patient_insurance_id, service_date,
+            diagnosis_codes, total_charge, warnings, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING *
+        `, [
+          encounter.id, encounter.patient_id, providerId, patientInsuranceId, encounter.service_date,
+          diagnosisCodes, totalCharge, JSON.stringify(warnings), userId
+        ]);
+        claim = inserted.rows[0];
+      }
+
+      const lines = [];
+      for (const [index, charge] of charges.entries()) {
+        const line = await client.query(`
+          INSERT INTO claim_lines (
+            claim_id, line_number, cpt_code, modifiers, description, units, charge_amount,
+            diagnosis_pointers, source, lab_order_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *
+        `, [
+          claim.id, index + 1, charge.cptCode, charge.modifiers, charge.description, charge.units,
+          charge.amount, charge.diagnosisPointers, charge.source, charge.labOrderId
+        ]);
+        lines.push(line.rows[0]);
+
+        await client.query(`
+          INSERT INTO billing_transactions (
+            patient_id, transaction_type, amount, service_date, service_description,
+            procedure_code, diagnosis_code, insurance_claim_number, status, created_by, claim_id, claim_line_id
+          ) VALUES ($1, 'charge', $2, $3, $4, $5, $6, $7, 'pending', $8, $9, $10)
+        `, [
+          encounter.patient_id, charge.amount, encounter.service_date, charge.description,
+          charge.cptCode, diagnosisCodes[charge.diagnosisPointers[0] - 1] || null, claim.claim_number,
+          userId ? String(userId) : 'system', claim.id, line.rows[0].id
+        ]);
+      }
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'claims',
+        claim.id,
+        'charge_capture',
+        `${existing ? 'Recaptured' : 'Captured'} ${lines.length} charges for encounter ${encounter.id}`,
+        { patientId: encounter.patient_id }
+      );
+
+      console.log(`[Claims] Encounter ${encounter.id}: claim ${claim.claim_number} with ${lines.length} lines, $${totalCharge.toFixed(2)}`);
+      return { captured: true, claim: { ...claim, lines } };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error instanceof ClaimError) throw error;
+      console.error('[Claims] Error capturing charges:', error);
+      throw new Error(`Failed to capture charges: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build unpriced charge lines: the E/M visit first, then labs
+   * Complete panels are billed as the panel CPT; remaining tests bill their own CPT once per order.
+   * @param {Object} input - { emCode, labTests, panels, diagnosisCodes, warnings }
+   * @returns {Array} [{ cptCode, modifiers, description, units, diagnosisPointers, source, labOrderId }]
+   */
+  buildCharges({ emCode, labTests, panels, diagnosisCodes, warnings }) {
+    const visitPointers = diagnosisCodes.slice(0, MAX_POINTERS).map((code, index) => index + 1);
+    const labPointers = diagnosisCodes.length > 0 ? [1] : [];
+    const charges = [{
+      cptCode: emCode,
+      modifiers: [],
+      description: null,
+      units: 1,
+      diagnosisPointers: visitPointers,
+      source: 'em',
+      labOrderId: null
+    }];
+
+    const byOrder = new Map();
+    for (const test of labTests) {
+      if (!byOrder.has(test.lab_order_id)) byOrder.set(test.lab_order_id, []);
+      byOrder.get(test.lab_order_id).push(test);
+    }
+
+    for (const [labOrderId, tests] of byOrder) {
+      let remaining = tests;
+      for (const panel of panels) {
+        const ordered = new Set(remaining.map(test => test.loinc_code));
+        if (!panel.loinc_codes.every(code => ordered.has(code))) continue;
+        const components = new Set(panel.loinc_codes);
+        remaining = remaining.filter(test => !components.has(test.loinc_code));
+        charges.push({
+          cptCode: panel.cpt_code,
+          modifiers: [],
+          description: panel.panel_name,
+          units: 1,
+          diagnosisPointers: labPointers,
+          source: 'lab',
+          labOrderId
+        });
+      }
+
+      const billed = new Set();
+      for (const test of remaining) {
+        if (!test.cpt_code) {
+          warnings.push({ code: 'no_cpt', message: `No CPT code for lab test ${test.test_name} (LOINC ${test.loinc_code})` });
+          continue;
+        }
+        if (billed.has(test.cpt_code)) continue;
+        billed.add(test.cpt_code);
+        charges.push({
+          cptCode: test.cpt_code,
+          modifiers: [],
+          description: test.test_name,
+          units: 1,
+          diagnosisPointers: labPointers,
+          source: 'lab',
+          labOrderId
+        });
+      }
+    }
+
+    return charges;
+  }
+
+  /**
+   * Encounter diagnoses as an ordered, de-duplicated list of ICD-10 codes (primary first, max 12)
+   * @param {Array} diagnoses - encounters.diagnoses
+   * @param {Array} warnings - Capture warnings (appended to)
+   * @returns {string[]}
+   */
+  normalizeDiagnoses(diagnoses, warnings) {
+    const list = Array.isArray(diagnoses) ? diagnoses : [];
+    const ordered = [...list.filter(dx => dx?.primary), ...list.filter(dx => !dx?.primary)];
+    const codes = [...new Set(ordered
+      .map(dx => String(dx?.code || '').trim().toUpperCase().replace(/\s/g, ''))
+      .filter(Boolean))];
+
+    if (codes.length === 0) {
+      warnings.push({ code: 'no_diagnosis', message: 'Encounter has no diagnoses' });
+    }
+    if (codes.length > MAX_DIAGNOSES) {
+      warnings.push({ code: 'too_many_diagnoses', message: `Only the first ${MAX_DIAGNOSES} diagnoses are on the claim` });
+    }
+    return codes.slice(0, MAX_DIAGNOSES);
+  }
+
+  /**
+   * Claim with lines, patient and coverage
+   * @param {number} claimId - Claim ID
+   * @returns {Object}
+   */
+  async getClaim(claimId) {
+    const result = await pool.query(`
+      SELECT c.*, p.first_name AS patient_first_name, p.last_name AS patient_last_name, p.mrn AS patient_mrn,
+             ip.insurance_company, ip.plan_name, pi.subscriber_id
+      FROM claims c
+      JOIN patients p ON p.id = c.patient_id
+      LEFT JOIN patient_insurance pi ON pi.id = c.patient_insurance_id
+      LEFT JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      WHERE c.id = $1
+    `, [claimId]);
+    if (result.rows.length === 0) {
+      throw new ClaimError(`Claim ${claimId} not found`, 404);
+    }
+
+    const lines = await pool.query('SELECT * FROM claim_lines WHERE claim_id = $1 ORDER BY line_number', [claimId]);
+    return { ...result.rows[0], lines: lines.rows };
+  }
+
+  /**
+   * Claim for an encounter
+   * @param {number} encounterId - Encounter ID
+   * @returns {Object}
+   */
+  async getEncounterClaim(encounterId) {
+    const result = await pool.query('SELECT id FROM claims WHERE encounter_id = $1', [encounterId]);
+    if (result.rows.length === 0) {
+      throw new ClaimError(`No claim for encounter ${encounterId}`, 404);
+    }
+    return this.getClaim(result.rows[0].id);
+  }
+
+  /**
+   * Claims work list, newest service date first
+   * @param {Object} filters - { status, patientId, limit }
+   * @returns {Array}
+   */
+  async listClaims({ status = null, patientId = null, limit = 100 } = {}) {
+    const result = await pool.query(`
+      SELECT c.id, c.claim_number, c.encounter_id, c.patient_id, c.provider_id, c.patient_insurance_id,
+             c.service_date, c.diagnosis_codes, c.total_charge, c.status, c.status_reason, c.warnings, c.validation_errors,
+             c.batch_id, c.submitted_at, c.created_at, c.updated_at,
+             p.first_name AS patient_first_name, p.last_name AS patient_last_name,
+             ip.insurance_company,
+             (SELECT COUNT(*)::int FROM claim_lines cl WHERE cl.claim_id = c.id) AS line_count
+      FROM claims c
+      JOIN patients p ON p.id = c.patient_id
+      LEFT JOIN patient_insurance pi ON pi.id = c.patient_insurance_id
+      LEFT JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      WHERE ($1::text IS NULL OR c.status = $1)
+        AND ($2::int IS NULL OR c.patient_id = $2)
+      ORDER BY c.service_date DESC, c.id DESC
+      LIMIT $3
+    `, [status, patientId, limit]);
+    return result.rows;
+  }
+}
+
+export default new ClaimsService();
@@ -0,0 +1,158 @@
+// Clearinghouse Stub Service
+// Local stand-in for a clearinghouse/payer used by the stub transport: answers 270 eligibility
+// inquiries with 271 responses built from a configurable benefit profile, and acknowledges 837P
+// claim interchanges with a 999
+import { buildInterchange, parseX12, transactionSets } from '../utils/x12.js';
+
+// Benefit profile returned for every member unless overridden (X12_STUB_BENEFITS, JSON)
+const DEFAULT_BENEFITS = {
+  planDescription: 'STUB PPO PLAN',
+  copayPrimaryCare: 25,
+  copaySpecialist: 50,
+  deductible: 1500,
+  deductibleRemaining: 1000,
+  outOfPocketMax: 6000,
+  outOfPocketRemaining: 5200
+};
+
+// Member IDs with these prefixes get a negative answer, for exercising the reject paths
+const NOT_FOUND_PREFIX = 'NOTFOUND';
+const INACTIVE_PREFIX = 'INACTIVE';
+// Claims for payer IDs with this prefix are rejected in the 999
+const REJECT_PAYER_PREFIX = 'REJECT';
+
+class ClearinghouseStubService {
+  getBenefits() {
+    try {
+      return { ...DEFAULT_BENEFITS, ...(process.env.X12_STUB_BENEFITS ? JSON.parse(process.env.X12_STUB_BENEFITS) : {}) };
+    } catch {
+      return DEFAULT_BENEFITS;
+    }
+  }
+
+  /**
+   * Answer an outbound interchange
+   * @param {string} x12 - Interchange sent by the EMR
+   * @returns {string|null} Response interchange, or null when the stub has nothing to say
+   */
+  respond(x12) {
+    const { segments } = parseX12(x12);
+    const isa = segments[0];
+    const sets = transactionSets(segments);
+    const envelope = {
+      senderId: isa.el(8).trim(),
+      receiverId: isa.el(6).trim(),
+      controlNumber: isa.el(13),
+      usage: isa.el(15) || 'T'
+    };
+
+    const inquiries = sets.filter(set => set.type === '270');
+    if (inquiries.length > 0) {
+      return buildInterchange({
+        ...envelope,
+        functionalCode: 'HB',
+        version: '005010X279A1',
+        transactions: inquiries.map(inquiry => ({ type: '271', segments: this.answer270(inquiry.segments) }))
+      });
+    }
+
+    const claims = sets.filter(set => set.type === '837');
+    if (claims.length > 0) {
+      const gs = segments.find(segment => segment.id === 'GS');
+      return buildInterchange({
+        ...envelope,
+        functionalCode: 'FA',
+        version: '005010X231A1',
+        transactions: [{ type: '999', segments: this.acknowledge837(gs, claims) }]
+      });
+    }
+    return null;
+  }
+
+  /**
+   * 999 body for an 837 functional group: every transaction set is accepted unless its payer ID
+   * starts with the reject prefix
+   */
+  acknowledge837(gs, claimSets) {
+    const output = [['AK1', 'HC', gs.el(6), gs.el(8)]];
+    let accepted = 0;
+
+    for (const set of claimSets) {
+      const payer = set.segments.find(segment => segment.id === 'NM1' && segment.el(1) === 'PR');
+      const rejected = String(payer?.el(9) || '').toUpperCase().startsWith(REJECT_PAYER_PREFIX);
+      output.push(['AK2', '837', set.controlNumber, gs.el(8)]);
+      if (rejected) {
+        output.push(['IK3', 'NM1', String(set.segments.indexOf(payer) + 1), '2010BB', '8'], ['IK5', 'R', '5']);
+      } else {
+        accepted += 1;
+        output.push(['IK5', 'A']);
+      }
+    }
+
+    const status = accepted === claimSets.length ? 'A' : (accepted === 0 ? 'R' : 'P');
+    output.push(['AK9', status, claimSets.length, claimSets.length, accepted]);
+    return output;
+  }
+
+  /**
+   * 271 body for one 270: echoes the hierarchy, trace and names and adds benefits or a reject reason
+   */
+  answer270(segments) {
+    const benefits = this.getBenefits();
+    const output = [];
+    let memberId = '';
+    let inInquiry = false;
+
+    for (const segment of segments) {
+      switch (segment.id) {
+        case 'BHT':
+          output.push(['BHT', '0022', '11', segment.el(3), segment.el(4), segment.el(5)]);
+          break;
+        case 'HL':
+          inInquiry = ['22', '23'].includes(segment.el(3));
+          output.push(['HL', ...segment.elements]);
+          break;
+        case 'TRN':
+          output.push(['TRN', '2', segment.el(2), segment.el(3)]);
+          break;
+        case 'NM1':
+          if (segment.el(1) === 'IL') memberId = segment.el(9);
+          output.push(['NM1', ...segment.elements]);
+          break;
+        case 'DMG':
+          output.push(['DMG', ...segment.elements]);
+          break;
+        case 'EQ':
+          if (inInquiry) output.push(...this.benefitSegments(memberId, benefits));
+          break;
+        default:
+          break;
+      }
+    }
+    return output;
+  }
+
+  benefitSegments(memberId, benefits) {
+    const id = String(memberId).toUpperCase();
+    if (id.startsWith(NOT_FOUND_PREFIX)) {
+      return [['AAA', 'N', '', '75', 'C']];
+    }
+    if (id.startsWith(INACTIVE_PREFIX)) {
+      return [['EB', '6', 'IND', '30', '', benefits.planDescription]];
+    }
+
+    return [
+      ['EB', '1', 'IND', '30', '', benefits.planDescription],
+      ['EB', 'B', 'IND', '98', '', '', '27', benefits.copayPrimaryCare, '', '', '', '', 'Y'],
+      ['MSG', 'PRIMARY CARE OFFICE VISIT'],
+      ['EB', 'B', 'IND', '98', '', '', '27', benefits.copaySpecialist, '', '', '', '', 'Y'],
+      ['MSG', 'SPECIALIST OFFICE VISIT'],
+      ['EB', 'C', 'IND', '30', '', '', '23', benefits.deductible, '', '', '', '', 'Y'],
+      ['EB', 'C', 'IND', '30', '', '', '29', benefits.deductibleRemaining, '', '', '', '', 'Y'],
+      ['EB', 'G', 'IND', '30', '', '', '23', benefits.outOfPocketMax, '', '', '', '', 'Y'],
+      ['EB', 'G', 'IND', '30', '', '', '29', benefits.outOfPocketRemaining, '', '', '', '', 'Y']
+    ];
+  }
+}
+
+export default new ClearinghouseStubService();
@@ -0,0 +1,249 @@
+// Clearinghouse Service
+// Pluggable transports for outbound X12 interchanges (270, 837P) and inbound responses (271, 999, 835):
+// a local stub that answers in-process, a file drop (outbox/inbox directories) and HTTP
+import fs from 'fs';
+import path from 'path';
+import pool from '../db/index.js';
+import clearinghouseStub from './clearinghouse-stub.service.js';
+import { parseX12, transactionSets } from '../utils/x12.js';
+
+const HTTP_TIMEOUT_MS = 30 * 1000;
+const INBOX_EXTENSIONS = ['.x12', '.edi', '.txt'];
+
+/**
+ * Error raised by a transport; the interchange was not delivered
+ */
+export class ClearinghouseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ClearinghouseError';
+  }
+}
+
+/**
+ * Answers interchanges in-process with the local clearinghouse stub (development and demos)
+ */
+class StubTransport {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async send(x12) {
+    return clearinghouseStub.respond(x12);
+  }
+
+  async collect() {
+    return [];
+  }
+}
+
+/**
+ * Writes interchanges to an outbox directory for an SFTP/batch job to pick up, and reads
+ * responses dropped into an inbox directory (processed files are moved to inbox/processed)
+ */
+class FileDropTransport {
+  constructor({ outboxDir, inboxDir }) {
+    this.name = 'file';
+    this.outboxDir = outboxDir;
+    this.inboxDir = inboxDir;
+  }
+
+  async send(x12, { fileName }) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.outboxDir, path.basename(fileName)), x12, 'utf8');
+    return null; // responses arrive later in the inbox
+  }
+
+  async collect() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.inboxDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const processedDir = path.join(this.inboxDir, 'processed');
+    await fs.promises.mkdir(processedDir, { recursive: true });
+
+    const files = [];
+    for (const fileName of names.filter(name => INBOX_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort()) {
+      const source = path.join(this.inboxDir, fileName);
+      const content = await fs.promises.readFile(source, 'utf8');
+      await fs.promises.rename(source, path.join(processedDir, fileName));
+      files.push({ fileName, content });
+    }
+    return files;
+  }
+}
+
+/**
+ * POSTs interchanges to a clearinghouse endpoint; a synchronous response body is returned as the reply
+ */
+class HttpTransport {
+  constructor({ url, authorization }) {
+    this.name = 'http';
+    this.url = url;
+    this.authorization = authorization;
+  }
+
+  async send(x12) {
+    if (!this.url) {
+      throw new ClearinghouseError('X12_HTTP_URL is not configured');
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/edi-x12',
+          ...(this.authorization && { Authorization: this.authorization })
+        },
+        body: x12,
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new ClearinghouseError(`Clearinghouse unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new ClearinghouseError(`Clearinghouse returned HTTP ${response.status}`);
+    }
+    const body = (await response.text()).trim();
+    return body || null;
+  }
+
+  async collect() {
+    return [];
+  }
+}
+
+class ClearinghouseService {
+  constructor() {
+    // Inbound interchange processors by transaction set type (271, 999, 835), registered by their services
+    this.handlers = {};
+    this.transports = {
+      stub: new StubTransport(),
+      file: new FileDropTransport({
+        outboxDir: path.resolve(process.env.X12_OUTBOX_DIR || './edi/outbox'),
+        inboxDir: path.resolve(process.env.X12_INBOX_DIR || './edi/inbox')
+      }),
+      http: new HttpTransport({
+        url: process.env.X12_HTTP_URL,
+        authorization: process.env.X12_HTTP_AUTHORIZATION
+      })
+    };
+  }
+
+  /**
+   * Interchange envelope settings (ISA/GS sender and receiver)
+   * @returns {Object} { senderId, receiverId, usage }
+   */
+  getEnvelope() {
+    return {
+      senderId: process.env.X12_SENDER_ID || 'EMRSYSTEM',
+      receiverId: process.env.X12_RECEIVER_ID || 'CLEARINGHOUSE',
+      usage: process.env.X12_USAGE === 'P' ? 'P' : 'T'
+    };
+  }
+
+  /**
+   * Active transport (X12_TRANSPORT: stub, file or http; stub by default)
+   * @returns {Object} Transport with send(x12, meta) and collect()
+   */
+  getTransport() {
+    const name = process.env.X12_TRANSPORT || 'stub';
+    const transport = this.transports[name];
+    if (!transport) {
+      throw new ClearinghouseError(`Unknown X12 transport ${name}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Register or replace a transport
+   * @param {string} name - Transport name used in X12_TRANSPORT
+   * @param {Object} transport - { name, send(x12, meta), collect() }
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Register the processor for an inbound transaction set type
+   * @param {string} type - ST01 transaction set identifier (e.g. '271')
+   * @param {Function} handler - async (x12, { fileName }) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Send an interchange
+   * @param {string} x12 - Interchange
+   * @param {Object} meta - { fileName }
+   * @returns {Promise<string|null>} Synchronous response interchange, if the transport has one
+   */
+  async send(x12, meta) {
+    const transport = this.getTransport();
+    try {
+      return await transport.send(x12, meta);
+    } catch (error) {
+      console.error(`[Clearinghouse] Error sending ${meta.fileName} via ${transport.name}:`, error);
+      throw error instanceof ClearinghouseError ? error : new ClearinghouseError(error.message);
+    }
+  }
+
+  /**
+   * Collect responses waiting at the active transport (file drop inbox)
+   * @returns {Promise<Array>} [{ fileName, content }]
+   */
+  async collect() {
+    return this.getTransport().collect();
+  }
+
+  /**
+   * Collect waiting responses and hand each file to the processor for its transaction set type
+   * @returns {Promise<Object>} { files, processed: [{ fileName, type, result }], errors: [{ fileName, error }] }
+   */
+  async processInbound() {
+    const files = await this.collect();
+    const summary = { files: files.length, processed: [], errors: [] };
+
+    for (const file of files) {
+      try {
+        const type = this.interchangeType(file.content);
+        const handler = this.handlers[type];
+        if (!handler) {
+          throw new ClearinghouseError(`No processor for ${type ? `${type} transactions` : 'interchanges without transaction sets'}`);
+        }
+        summary.processed.push({ fileName: file.fileName, type, result: await handler(file.content, { fileName: file.fileName }) });
+      } catch (error) {
+        console.error(`[Clearinghouse] Error processing ${file.fileName}:`, error);
+        summary.errors.push({ fileName: file.fileName, error: error.message });
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Transaction set type of an interchange (ST01 of its first transaction set)
+   * @param {string} x12 - Interchange
+   * @returns {string|null}
+   */
+  interchangeType(x12) {
+    return transactionSets(parseX12(x12).segments)[0]?.type ?? null;
+  }
+
+  /**
+   * Next ISA/GS control number
+   * @returns {Promise<string>} 9-digit control number
+   */
+  async nextControlNumber() {
+    const result = await pool.query("SELECT nextval('x12_control_number_seq') AS value");
+    return String(result.rows[0].value).padStart(9, '0');
+  }
+}
+
+export default new ClearinghouseService();
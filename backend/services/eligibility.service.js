@@ -0,0 +1,531 @@
+// Eligibility Service
+// Builds X12 270 eligibility inquiries from patient_insurance / insurance_plans, sends them through the
+// clearinghouse transport and applies parsed 271 benefits (copays, deductible, out-of-pocket) to the coverage
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import clearinghouseService, { ClearinghouseError } from './clearinghouse.service.js';
+import { buildInterchange, parseX12, transactionSets, x12Date, X12ParseError } from '../utils/x12.js';
+
+const VERSION = '005010X279A1';
+
+// X12 EB01 eligibility/benefit information codes
+const ACTIVE_CODES = ['1', '2', '3', '4', '5'];
+const INACTIVE_CODES = ['6', '7', '8'];
+const COPAY = 'B';
+const DEDUCTIBLE = 'C';
+const OUT_OF_POCKET = 'G';
+
+// EB06 time period qualifiers
+const PERIOD_TOTAL = ['21', '22', '23', '25']; // years, service year, calendar year, contract
+const PERIOD_REMAINING = '29';
+const PERIOD_YEAR_TO_DATE = '24';
+
+// EB03 service types that carry the primary care office visit copay
+const PRIMARY_CARE_SERVICE_TYPES = ['98', '1', '30'];
+
+// X12 code list 901 (AAA03 reject reasons) most often returned for eligibility
+export const REJECT_REASONS = {
+  '04': 'Authorized quantity exceeded',
+  '15': 'Required application data missing',
+  '41': 'Authorization/access restrictions',
+  '42': 'Unable to respond at current time',
+  '43': 'Invalid/missing provider identification',
+  '45': 'Invalid/missing provider specialty',
+  '47': 'Invalid/missing provider state',
+  '57': 'Invalid/missing date(s) of service',
+  '58': 'Invalid/missing date of birth',
+  '62': 'Date of service not within allowable inquiry period',
+  '63': 'Date of service in future',
+  '71': 'Patient birth date does not match that for the patient on the database',
+  '72': 'Invalid/missing subscriber/insured ID',
+  '73': 'Invalid/missing subscriber/insured name',
+  '75': 'Subscriber/insured not found',
+  '76': 'Duplicate subscriber/insured ID number',
+  '79': 'Invalid participant identification',
+  '80': 'No response received - transaction terminated'
+};
+
+/**
+ * Eligibility request error with an HTTP status for the routes
+ */
+export class EligibilityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EligibilityError';
+    this.status = status;
+  }
+}
+
+class EligibilityService {
+  constructor() {
+    clearinghouseService.registerHandler('271', x12 => this.processResponse(x12));
+  }
+
+  /**
+   * Send a 270 for a coverage and apply the 271 when the transport answers synchronously
+   * @param {number} patientInsuranceId - patient_insurance id
+   * @param {number} userId - Requesting user
+   * @param {Object} options - { serviceDate, serviceTypeCode }
+   * @returns {Object} eligibility_requests row (status completed/rejected, or sent while awaiting a 271)
+   */
+  async verify(patientInsuranceId, userId, { serviceDate = null, serviceTypeCode = '30' } = {}) {
+    const coverage = await this.getCoverage(patientInsuranceId);
+    const controlNumber = await clearinghouseService.nextControlNumber();
+    const traceNumber = `EV${controlNumber}`;
+    const dateOfService = serviceDate || new Date().toISOString().slice(0, 10);
+    const transport = clearinghouseService.getTransport();
+
+    const x12 = this.build270(coverage, { controlNumber, traceNumber, serviceDate: dateOfService, serviceTypeCode });
+
+    const inserted = await pool.query(`
+      INSERT INTO eligibility_requests (
+        patient_insurance_id, patient_id, control_number, trace_number, service_date, service_type_code,
+        transport, request_x12, requested_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [coverage.id, coverage.patient_id, controlNumber, traceNumber, dateOfService, serviceTypeCode, transport.name, x12, userId]);
+    const request = inserted.rows[0];
+
+    await auditService.logPHIAccess(
+      userId,
+      'eligibility_requests',
+      request.id,
+      'eligibility_inquiry',
+      `Sent 270 eligibility inquiry ${traceNumber} to ${coverage.insurance_company}`,
+      { patientId: coverage.patient_id }
+    );
+
+    let response;
+    try {
+      response = await clearinghouseService.send(x12, { fileName: `270-${controlNumber}.x12` });
+    } catch (error) {
+      await pool.query(`
+        UPDATE eligibility_requests SET status = 'error', errors = $2 WHERE id = $1
+      `, [request.id, JSON.stringify([{ message: error.message }])]);
+      if (error instanceof ClearinghouseError) {
+        throw new EligibilityError(`Eligibility inquiry could not be sent: ${error.message}`, 502);
+      }
+      throw error;
+    }
+
+    await pool.query(`UPDATE eligibility_requests SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1`, [request.id]);
+
+    if (!response) {
+      return { ...request, status: 'sent' };
+    }
+
+    const { results } = await this.processResponse(response);
+    return results.find(result => result.id === request.id) || { ...request, status: 'sent' };
+  }
+
+  /**
+   * Apply a 271 interchange to the inquiries it answers (matched on the TRN trace number)
+   * @param {string} x12 - 271 interchange
+   * @returns {Object} { results: updated eligibility_requests rows, unmatched: trace numbers }
+   */
+  async processResponse(x12) {
+    let responses;
+    try {
+      responses = this.parse271(x12);
+    } catch (error) {
+      if (error instanceof X12ParseError) {
+        throw new EligibilityError(`Invalid 271: ${error.message}`, 422);
+      }
+      throw error;
+    }
+
+    const results = [];
+    const unmatched = [];
+    for (const response of responses) {
+      const applied = response.traceNumber ? await this.applyResponse(response, x12) : null;
+      if (applied) {
+        results.push(applied);
+      } else {
+        unmatched.push(response.traceNumber || null);
+      }
+    }
+
+    if (unmatched.length > 0) {
+      console.warn(`[Eligibility] 271 responses without a matching inquiry: ${unmatched.join(', ')}`);
+    }
+    return { results, unmatched };
+  }
+
+  /**
+   * Eligibility inquiries for a coverage, newest first
+   * @param {number} patientInsuranceId - patient_insurance id
+   * @returns {Array} eligibility_requests rows without the raw interchanges
+   */
+  async listRequests(patientInsuranceId) {
+    const result = await pool.query(`
+      SELECT er.id, er.patient_insurance_id, er.patient_id, er.trace_number, er.service_date, er.service_type_code,
+             er.transport, er.status, er.coverage_active, er.benefits, er.errors, er.requested_by,
+             er.created_at, er.sent_at, er.responded_at
+      FROM eligibility_requests er
+      WHERE er.patient_insurance_id = $1
+      ORDER BY er.created_at DESC
+    `, [patientInsuranceId]);
+    return result.rows;
+  }
+
+  /**
+   * One inquiry with its raw 270/271
+   * @param {number} requestId - eligibility_requests id
+   * @returns {Object}
+   */
+  async getRequest(requestId) {
+    const result = await pool.query('SELECT * FROM eligibility_requests WHERE id = $1', [requestId]);
+    if (result.rows.length === 0) {
+      throw new EligibilityError(`Eligibility request ${requestId} not found`, 404);
+    }
+    return result.rows[0];
+  }
+
+  /* ---------- 270 ---------- */
+
+  /**
+   * Coverage, payer, patient and information receiver (the patient's provider) for a 270
+   * @param {number} patientInsuranceId - patient_insurance id
+   * @returns {Object}
+   */
+  async getCoverage(patientInsuranceId) {
+    const result = await pool.query(`
+      SELECT pi.*, ip.plan_name, ip.insurance_company, ip.payer_id,
+             p.first_name, p.last_name, p.dob, p.gender,
+             pr.first_name AS provider_first_name, pr.last_name AS provider_last_name, pr.npi AS provider_npi
+      FROM patient_insurance pi
+      JOIN patients p ON p.id = pi.patient_id
+      LEFT JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      LEFT JOIN providers pr ON pr.id = p.provider_id
+      WHERE pi.id = $1
+    `, [patientInsuranceId]);
+
+    const coverage = result.rows[0];
+    if (!coverage) {
+      throw new EligibilityError(`Insurance record ${patientInsuranceId} not found`, 404);
+    }
+    if (!coverage.payer_id) {
+      throw new EligibilityError(
+        coverage.insurance_plan_id
+          ? `Insurance plan ${coverage.plan_name} has no payer ID for electronic eligibility`
+          : 'Coverage is not linked to an insurance plan',
+        422
+      );
+    }
+    if (!coverage.subscriber_id && !coverage.policy_number) {
+      throw new EligibilityError('Coverage has no subscriber/member ID', 422);
+    }
+    return coverage;
+  }
+
+  /**
+   * Build a 270 eligibility inquiry interchange
+   * @param {Object} coverage - Row from getCoverage
+   * @param {Object} options - { controlNumber, traceNumber, serviceDate, serviceTypeCode, date }
+   * @returns {string} X12 interchange
+   */
+  build270(coverage, { controlNumber, traceNumber, serviceDate, serviceTypeCode = '30', date = new Date() }) {
+    const receiver = this.informationReceiver(coverage);
+    const isDependent = coverage.subscriber_relationship && coverage.subscriber_relationship !== 'self';
+    const subscriber = isDependent
+      ? this.splitName(coverage.subscriber_name)
+      : { first: coverage.first_name, last: coverage.last_name };
+    const trace = ['TRN', '1', traceNumber, process.env.X12_TRN_ORIGINATOR || '9EMRSYSTEM'];
+    const inquiry = [
+      ['DTP', '291', 'D8', x12Date(serviceDate)],
+      ['EQ', serviceTypeCode]
+    ];
+    const time = date.toISOString();
+
+    const segments = [
+      ['BHT', '0022', '13', traceNumber, time.slice(0, 10).replace(/-/g, ''), time.slice(11, 16).replace(':', '')],
+      ['HL', '1', '', '20', '1'],
+      ['NM1', 'PR', '2', coverage.insurance_company, '', '', '', '', 'PI', coverage.payer_id],
+      ['HL', '2', '1', '21', '1'],
+      receiver,
+      ['HL', '3', '2', '22', isDependent ? '1' : '0'],
+      ...(isDependent ? [] : [trace]),
+      ['NM1', 'IL', '1', subscriber.last, subscriber.first, '', '', '', 'MI', coverage.subscriber_id || coverage.policy_number],
+      ...(coverage.group_number ? [['REF', '6P', coverage.group_number]] : []),
+      ...(isDependent
+        ? (coverage.subscriber_dob ? [['DMG', 'D8', x12Date(coverage.subscriber_dob)]] : [])
+        : [['DMG', 'D8', x12Date(coverage.dob), this.genderCode(coverage.gender)], ...inquiry])
+    ];
+
+    if (isDependent) {
+      segments.push(
+        ['HL', '4', '3', '23', '0'],
+        trace,
+        ['NM1', '03', '1', coverage.last_name, coverage.first_name],
+        ['DMG', 'D8', x12Date(coverage.dob), this.genderCode(coverage.gender)],
+        ...inquiry
+      );
+    }
+
+    return buildInterchange({
+      ...clearinghouseService.getEnvelope(),
+      controlNumber,
+      functionalCode: 'HS',
+      version: VERSION,
+      date,
+      transactions: [{ type: '270', segments }]
+    });
+  }
+
+  informationReceiver(coverage) {
+    if (coverage.provider_npi) {
+      return ['NM1', '1P', '1', coverage.provider_last_name, coverage.provider_first_name, '', '', '', 'XX', coverage.provider_npi];
+    }
+    if (process.env.X12_BILLING_NPI) {
+      return ['NM1', '1P', '2', process.env.X12_BILLING_NAME || 'EMR SYSTEM', '', '', '', '', 'XX', process.env.X12_BILLING_NPI];
+    }
+    throw new EligibilityError('No NPI for the information receiver: set the provider NPI or X12_BILLING_NPI', 422);
+  }
+
+  /* ---------- 271 ---------- */
+
+  /**
+   * Parse a 271 interchange into one response per inquiry trace number
+   * @param {string} x12 - 271 interchange
+   * @returns {Array} [{ traceNumber, coverageActive, benefits, errors, subscriber, planDescription }]
+   */
+  parse271(x12) {
+    const { delimiters, segments } = parseX12(x12);
+    const sets = transactionSets(segments).filter(set => set.type === '271');
+    if (sets.length === 0) {
+      throw new X12ParseError('Interchange has no 271 transaction set');
+    }
+
+    const responses = [];
+    for (const set of sets) {
+      const payerErrors = [];
+      let current = null;
+      let subscriber = null;
+      let lastBenefit = null;
+      const holders = [];
+
+      for (const segment of set.segments) {
+        switch (segment.id) {
+          case 'HL': {
+            const level = segment.el(3);
+            if (level === '22' || level === '23') {
+              current = { level, traceNumber: null, member: null, errors: [], benefits: [], subscriber: level === '23' ? subscriber : null };
+              if (level === '22') subscriber = current;
+              holders.push(current);
+            } else {
+              current = null;
+            }
+            lastBenefit = null;
+            break;
+          }
+          case 'TRN':
+            if (current && (segment.el(1) === '2' || segment.el(1) === '1')) current.traceNumber = segment.el(2);
+            break;
+          case 'NM1':
+            if (current && ['IL', '03'].includes(segment.el(1))) {
+              current.member = { last: segment.el(3), first: segment.el(4), id: segment.el(9) || null };
+            }
+            break;
+          case 'AAA': {
+            const error = {
+              code: segment.el(3),
+              message: REJECT_REASONS[segment.el(3)] || `Reject reason ${segment.el(3)}`,
+              followUp: segment.el(4) || null
+            };
+            (current ? current.errors : payerErrors).push(error);
+            break;
+          }
+          case 'EB':
+            if (current) {
+              lastBenefit = {
+                code: segment.el(1),
+                coverageLevel: segment.el(2),
+                serviceTypes: segment.el(3) ? segment.el(3).split(delimiters.repetition) : [],
+                planDescription: segment.el(5),
+                timePeriod: segment.el(6),
+                amount: segment.el(7) === '' ? null : Number(segment.el(7)),
+                inNetwork: segment.el(12),
+                messages: []
+              };
+              current.benefits.push(lastBenefit);
+            }
+            break;
+          case 'MSG':
+            if (lastBenefit) lastBenefit.messages.push(segment.el(1));
+            break;
+          default:
+            break;
+        }
+      }
+
+      // A dependent inquiry carries its own trace (or inherits the subscriber's); a subscriber level without
+      // a trace only groups its dependents, which inherit its errors
+      const byTrace = new Map();
+      for (const holder of holders) {
+        if (holder.level === '22' && !holder.traceNumber && holders.some(h => h.subscriber === holder)) continue;
+        const traceNumber = holder.traceNumber || holder.subscriber?.traceNumber || null;
+        const entry = byTrace.get(traceNumber) || { traceNumber, errors: [...payerErrors], benefits: [], member: null };
+        if (holder.subscriber && !holder.subscriber.traceNumber) entry.errors.push(...holder.subscriber.errors);
+        entry.errors.push(...holder.errors);
+        if (holder.benefits.length > 0) entry.benefits = holder.benefits;
+        entry.member = holder.member || entry.member;
+        byTrace.set(traceNumber, entry);
+      }
+      if (byTrace.size === 0 && payerErrors.length > 0) {
+        byTrace.set(null, { traceNumber: null, errors: payerErrors, benefits: [], member: null });
+      }
+
+      for (const entry of byTrace.values()) {
+        responses.push({
+          traceNumber: entry.traceNumber,
+          member: entry.member,
+          errors: entry.errors,
+          ...this.summarizeBenefits(entry.benefits)
+        });
+      }
+    }
+    return responses;
+  }
+
+  /**
+   * Reduce EB segments to coverage status and the patient_insurance benefit columns
+   * In-network, individual amounts are preferred over out-of-network and family amounts.
+   * @param {Array} benefits - Parsed EB segments
+   * @returns {Object} { coverageActive, planDescription, benefits }
+   */
+  summarizeBenefits(benefits) {
+    const coverageActive = benefits.some(b => ACTIVE_CODES.includes(b.code))
+      ? true
+      : (benefits.some(b => INACTIVE_CODES.includes(b.code)) ? false : null);
+    const planDescription = benefits.find(b => ACTIVE_CODES.includes(b.code) && b.planDescription)?.planDescription || null;
+
+    const usable = benefits
+      .filter(b => b.amount !== null && !Number.isNaN(b.amount) && b.inNetwork !== 'N')
+      .sort((a, b) => this.levelRank(a) - this.levelRank(b));
+    const find = (code, predicate) => usable.find(b => b.code === code && predicate(b))?.amount ?? null;
+
+    const isSpecialist = b => b.messages.some(message => /specialist/i.test(message));
+    const copaySpecialist = find(COPAY, isSpecialist);
+    const copayPrimaryCare = find(COPAY, b => !isSpecialist(b) && b.serviceTypes.some(type => PRIMARY_CARE_SERVICE_TYPES.includes(type)));
+
+    const accumulator = (code) => {
+      const total = find(code, b => PERIOD_TOTAL.includes(b.timePeriod));
+      const remaining = find(code, b => b.timePeriod === PERIOD_REMAINING);
+      const yearToDate = find(code, b => b.timePeriod === PERIOD_YEAR_TO_DATE);
+      const met = yearToDate ?? (total !== null && remaining !== null ? Math.max(total - remaining, 0) : null);
+      return { total, met: met === null ? null : Math.round(met * 100) / 100 };
+    };
+    const deductible = accumulator(DEDUCTIBLE);
+    const outOfPocket = accumulator(OUT_OF_POCKET);
+
+    return {
+      coverageActive,
+      planDescription,
+      benefits: {
+        copay_primary_care: copayPrimaryCare,
+        copay_specialist: copaySpecialist,
+        deductible: deductible.total,
+        deductible_met: deductible.met,
+        out_of_pocket_max: outOfPocket.total,
+        out_of_pocket_met: outOfPocket.met
+      }
+    };
+  }
+
+  /**
+   * Record a parsed 271 response and update the coverage's benefit columns
+   * @param {Object} response - Entry from parse271
+   * @param {string} x12 - Raw 271
+   * @returns {Object|null} Updated eligibility_requests row, or null when no inquiry has the trace number
+   */
+  async applyResponse(response, x12) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const found = await client.query(`
+        SELECT er.*, u.first_name AS requester_first_name, u.last_name AS requester_last_name
+        FROM eligibility_requests er
+        LEFT JOIN users u ON u.id = er.requested_by
+        WHERE er.trace_number = $1
+        FOR UPDATE OF er
+      `, [response.traceNumber]);
+      const request = found.rows[0];
+      if (!request) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const rejected = response.errors.length > 0;
+      const updated = await client.query(`
+        UPDATE eligibility_requests
+        SET status = $2, response_x12 = $3, coverage_active = $4, benefits = $5, errors = $6,
+            responded_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, patient_insurance_id, patient_id, trace_number, service_date, service_type_code, transport,
+                  status, coverage_active, benefits, errors, requested_by, created_at, sent_at, responded_at
+      `, [
+        request.id,
+        rejected ? 'rejected' : 'completed',
+        x12,
+        rejected ? null : response.coverageActive,
+        JSON.stringify({ ...response.benefits, plan_description: response.planDescription }),
+        JSON.stringify(response.errors)
+      ]);
+
+      if (!rejected) {
+        const requester = [request.requester_first_name, request.requester_last_name].filter(Boolean).join(' ');
+        const { benefits } = response;
+        await client.query(`
+          UPDATE patient_insurance
+          SET copay_primary_care = COALESCE($2, copay_primary_care),
+              copay_specialist = COALESCE($3, copay_specialist),
+              deductible = COALESCE($4, deductible),
+              deductible_met = COALESCE($5, deductible_met),
+              out_of_pocket_max = COALESCE($6, out_of_pocket_max),
+              out_of_pocket_met = COALESCE($7, out_of_pocket_met),
+              verification_date = CURRENT_DATE,
+              verified_by = $8
+          WHERE id = $1
+        `, [
+          request.patient_insurance_id,
+          benefits.copay_primary_care, benefits.copay_specialist,
+          benefits.deductible, benefits.deductible_met,
+          benefits.out_of_pocket_max, benefits.out_of_pocket_met,
+          (requester ? `${requester} (X12 271)` : 'X12 271').slice(0, 100)
+        ]);
+      }
+
+      await client.query('COMMIT');
+      console.log(`[Eligibility] 271 for ${response.traceNumber}: ${rejected ? 'rejected' : `coverage ${response.coverageActive === false ? 'inactive' : 'active'}`}`);
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[Eligibility] Error applying 271:', error);
+      throw new Error(`Failed to apply eligibility response: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /* ---------- Helpers ---------- */
+
+  // IND (or unspecified) before family amounts
+  levelRank(benefit) {
+    return !benefit.coverageLevel || benefit.coverageLevel === 'IND' ? 0 : 1;
+  }
+
+  splitName(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return { first: '', last: '' };
+    if (parts.length === 1) return { first: '', last: parts[0] };
+    return { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+  }
+
+  genderCode(gender) {
+    const code = String(gender || '').charAt(0).toUpperCase();
+    return ['M', 'F'].includes(code) ? code : 'U';
+  }
+}
+
+export default new EligibilityService();
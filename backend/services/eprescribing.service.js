@@ -0,0 +1,1293 @@
+// E-Prescribing Service
+// Transmits prescriptions to pharmacies as NCPDP SCRIPT 2017071 messages (NewRx, CancelRx, and the prescriber's
+// RxRenewalResponse/RxChangeResponse), keeps the pharmacy directory, and processes pharmacy messages: Status,
+// Verify and Error update the prescription, RxRenewalRequest and RxChangeRequest land in the provider's queue.
+// The network is reached through a pluggable transport; the default simulator answers in-process.
+import crypto from 'crypto';
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import pharmacySimulator from './pharmacy-simulator.service.js';
+import {
+  buildScriptMessage,
+  parseScriptMessage,
+  copyElement,
+  el,
+  flag,
+  pharmacyElement,
+  prescriberElement,
+  patientElement,
+  medicationElement,
+  readMedication,
+  readPatient,
+  QUALIFIERS,
+  QUANTITY_UNITS
+} from '../utils/ncpdp-script.js';
+
+const HTTP_TIMEOUT_MS = 30 * 1000;
+
+// Messages that carry a prescription to the pharmacy; their acknowledgement means it was delivered
+const PRESCRIBING_MESSAGES = ['NewRx', 'RxRenewalResponse', 'RxChangeResponse'];
+
+// Prescriptions that can still be cancelled at the pharmacy
+const CANCELLABLE_STATUSES = ['sent', 'delivered', 'cancel_requested', 'cancel_denied'];
+
+// Pharmacy request types by SCRIPT transaction
+const REQUEST_TYPES = {
+  RxRenewalRequest: 'renewal',
+  RxChangeRequest: 'change'
+};
+
+// Denial reason codes for renewal and change responses
+export const DENIAL_REASONS = {
+  AA: 'Patient unknown to the prescriber',
+  AB: 'Patient never under prescriber care',
+  AC: 'Patient no longer under prescriber care',
+  AD: 'Patient has requested refill too soon',
+  AE: 'Medication never prescribed for the patient',
+  AF: 'Patient should contact prescriber first',
+  AG: 'Fill/refill not appropriate',
+  AM: 'Patient needs an appointment'
+};
+
+/**
+ * E-prescribing error with an HTTP status for the routes
+ */
+export class ErxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ErxError';
+    this.status = status;
+  }
+}
+
+/**
+ * Answers messages in-process with the local pharmacy simulator (development and demos)
+ */
+class SimulatorTransport {
+  constructor() {
+    this.name = 'simulator';
+  }
+
+  async send(xml) {
+    return pharmacySimulator.respond(xml);
+  }
+}
+
+/**
+ * POSTs messages to an e-prescribing network endpoint; a synchronous response body is returned as the reply
+ */
+class HttpTransport {
+  constructor({ url, authorization }) {
+    this.name = 'http';
+    this.url = url;
+    this.authorization = authorization;
+  }
+
+  async send(xml) {
+    if (!this.url) {
+      throw new ErxError('ERX_HTTP_URL is not configured', 502);
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/xml',
+          ...(this.authorization && { Authorization: this.authorization })
+        },
+        body: xml,
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new ErxError(`E-prescribing network unreachable: ${error.message}`, 502);
+    }
+
+    if (!response.ok) {
+      throw new ErxError(`E-prescribing network returned HTTP ${response.status}`, 502);
+    }
+    const body = (await response.text()).trim();
+    return body || null;
+  }
+}
+
+class EPrescribingService {
+  constructor() {
+    this.transports = {
+      simulator: new SimulatorTransport(),
+      http: new HttpTransport({
+        url: process.env.ERX_HTTP_URL,
+        authorization: process.env.ERX_HTTP_AUTHORIZATION
+      })
+    };
+  }
+
+  /* ---------- Configuration ---------- */
+
+  /**
+   * Active transport (ERX_TRANSPORT: simulator or http; simulator by default)
+   * @returns {Object} Transport with send(xml, meta)
+   */
+  getTransport() {
+    const name = process.env.ERX_TRANSPORT || 'simulator';
+    const transport = this.transports[name];
+    if (!transport) {
+      throw new ErxError(`Unknown e-prescribing transport ${name}`, 500);
+    }
+    return transport;
+  }
+
+  /**
+   * Register or replace a transport
+   * @param {string} name - Transport name used in ERX_TRANSPORT
+   * @param {Object} transport - { name, send(xml, meta) }
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * This practice's header identity and prescriber address
+   * @returns {Object} { sender: { qualifier, id }, address, phone, fax }
+   */
+  getPractice() {
+    return {
+      sender: { qualifier: QUALIFIERS.CLINIC, id: process.env.ERX_SENDER_ID || 'EMRSYSTEM' },
+      address: {
+        line1: process.env.ERX_PRACTICE_ADDRESS,
+        city: process.env.ERX_PRACTICE_CITY,
+        state: process.env.ERX_PRACTICE_STATE,
+        zip: process.env.ERX_PRACTICE_ZIP
+      },
+      phone: process.env.ERX_PRACTICE_PHONE,
+      fax: process.env.ERX_PRACTICE_FAX
+    };
+  }
+
+  newMessageId() {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+
+  /* ---------- Pharmacy directory ---------- */
+
+  /**
+   * Search the pharmacy directory
+   * @param {Object} filters - { search (name or NCPDP ID), zip, limit }
+   * @returns {Promise<Array>} Pharmacies
+   */
+  async searchPharmacies({ search = null, zip = null, limit = 50 } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM pharmacies
+      WHERE active = true
+        AND ($1::text IS NULL OR lower(name) LIKE '%' || lower($1) || '%' OR ncpdp_id = $1)
+        AND ($2::text IS NULL OR zip_code LIKE $2 || '%')
+      ORDER BY name
+      LIMIT $3
+    `, [search, zip, limit]);
+    return result.rows.map(row => this.formatPharmacy(row));
+  }
+
+  /**
+   * Add or update a pharmacy
+   * @param {Object} data - { ncpdpId, npi, name, addressLine1, addressLine2, city, state, zipCode, phone, fax,
+   *   pharmacyType, acceptsErx, active }
+   * @param {number} [pharmacyId] - Pharmacy to update
+   * @returns {Promise<Object>} Pharmacy
+   */
+  async savePharmacy(data, pharmacyId = null) {
+    if (!/^\d{7}$/.test(data.ncpdpId || '')) {
+      throw new ErxError('ncpdpId must be the 7-digit NCPDP provider ID', 422);
+    }
+    if (data.npi && !/^\d{10}$/.test(data.npi)) {
+      throw new ErxError('npi must be 10 digits', 422);
+    }
+    if (!data.name?.trim()) {
+      throw new ErxError('name is required', 422);
+    }
+
+    const values = [
+      data.ncpdpId, data.npi || null, data.name.trim(), data.addressLine1 || null, data.addressLine2 || null,
+      data.city || null, data.state || null, data.zipCode || null, data.phone || null, data.fax || null,
+      data.pharmacyType || 'retail', data.acceptsErx ?? true, data.active ?? true
+    ];
+
+    try {
+      const result = pharmacyId
+        ? await pool.query(`
+            UPDATE pharmacies SET
+              ncpdp_id = $1, npi = $2, name = $3, address_line1 = $4, address_line2 = $5, city = $6, state = $7,
+              zip_code = $8, phone = $9, fax = $10, pharmacy_type = $11, accepts_erx = $12, active = $13
+            WHERE id = $14
+            RETURNING *
+          `, [...values, pharmacyId])
+        : await pool.query(`
+            INSERT INTO pharmacies (
+              ncpdp_id, npi, name, address_line1, address_line2, city, state, zip_code, phone, fax,
+              pharmacy_type, accepts_erx, active
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+            RETURNING *
+          `, values);
+
+      if (result.rows.length === 0) {
+        throw new ErxError('Pharmacy not found', 404);
+      }
+      return this.formatPharmacy(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ErxError(`A pharmacy with NCPDP ID ${data.ncpdpId} already exists`, 409);
+      }
+      if (error.code === '23514') {
+        throw new ErxError('Invalid pharmacy type', 422);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set the pharmacy a patient's prescriptions go to by default
+   * @param {number} patientId - Patient ID
+   * @param {number|null} pharmacyId - Pharmacy ID, or null to clear
+   * @param {number} userId - User making the change
+   * @returns {Promise<Object|null>} Preferred pharmacy
+   */
+  async setPreferredPharmacy(patientId, pharmacyId, userId) {
+    const pharmacy = pharmacyId ? await this.getPharmacy(pharmacyId) : null;
+    const result = await pool.query(
+      'UPDATE patients SET preferred_pharmacy_id = $2 WHERE id = $1 RETURNING id',
+      [patientId, pharmacy?.id ?? null]
+    );
+    if (result.rows.length === 0) {
+      throw new ErxError('Patient not found', 404);
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'patients',
+      patientId,
+      'preferred_pharmacy_id',
+      pharmacy ? `Set preferred pharmacy to ${pharmacy.name} (${pharmacy.ncpdpId})` : 'Cleared preferred pharmacy',
+      { patientId }
+    );
+    return pharmacy;
+  }
+
+  /**
+   * @param {number} pharmacyId - Pharmacy ID
+   * @returns {Promise<Object>} Pharmacy
+   */
+  async getPharmacy(pharmacyId) {
+    const result = await pool.query('SELECT * FROM pharmacies WHERE id = $1', [pharmacyId]);
+    if (result.rows.length === 0) {
+      throw new ErxError('Pharmacy not found', 404);
+    }
+    return this.formatPharmacy(result.rows[0]);
+  }
+
+  /**
+   * Pharmacy a prescription goes to: the one chosen when prescribing, else the patient's preferred pharmacy
+   * @param {number} patientId - Patient ID
+   * @param {number} [pharmacyId] - Pharmacy chosen when prescribing
+   * @returns {Promise<Object|null>} Pharmacy, or null when there is none to send to
+   */
+  async resolvePharmacy(patientId, pharmacyId = null) {
+    if (pharmacyId) {
+      return this.getPharmacy(pharmacyId);
+    }
+    const result = await pool.query(`
+      SELECT ph.* FROM patients p
+      JOIN pharmacies ph ON ph.id = p.preferred_pharmacy_id
+      WHERE p.id = $1 AND ph.active = true
+    `, [patientId]);
+    return result.rows[0] ? this.formatPharmacy(result.rows[0]) : null;
+  }
+
+  /* ---------- Outbound prescriptions ---------- */
+
+  /**
+   * Create an electronic prescription and transmit it as a NewRx
+   * @param {Object} params - { patientId, patientMedicationId, medicationId, pharmacyId, providerId, dosage,
+   *   frequency, instructions, quantity, daysSupply, refills, note, substitutionsAllowed, userId }
+   * @returns {Promise<Object>} E-prescription with the transmission status
+   */
+  async sendNewRx({
+    patientId,
+    patientMedicationId = null,
+    medicationId,
+    pharmacyId = null,
+    providerId = null,
+    dosage,
+    frequency,
+    instructions = null,
+    quantity,
+    daysSupply = null,
+    refills = 0,
+    note = null,
+    substitutionsAllowed = true,
+    userId
+  }) {
+    if (!(Number(quantity) > 0)) {
+      throw new ErxError('A quantity is required to send a prescription electronically', 422);
+    }
+    if (!Number.isInteger(Number(refills)) || Number(refills) < 0 || Number(refills) > 99) {
+      throw new ErxError('refills must be between 0 and 99', 422);
+    }
+
+    const pharmacy = await this.resolvePharmacy(patientId, pharmacyId);
+    if (!pharmacy) {
+      throw new ErxError('No pharmacy selected and the patient has no preferred pharmacy', 422);
+    }
+    if (!pharmacy.active || !pharmacy.acceptsErx) {
+      throw new ErxError(`${pharmacy.name} does not accept electronic prescriptions`, 422);
+    }
+    const provider = await this.resolveProvider({ providerId, userId });
+
+    const medicationResult = await pool.query(
+      'SELECT id, generic_name, brand_name, strength, dosage_form, ndc, rxcui FROM medications WHERE id = $1',
+      [medicationId]
+    );
+    const medication = medicationResult.rows[0];
+    if (!medication) {
+      throw new ErxError('Medication not found', 404);
+    }
+
+    const sig = [`${dosage} ${frequency}`.trim(), instructions].filter(Boolean).join('. ');
+    const result = await pool.query(`
+      INSERT INTO eprescriptions (
+        prescriber_order_number, patient_medication_id, patient_id, provider_id, pharmacy_id, medication_id,
+        drug_description, ndc, rxcui, quantity, quantity_unit, days_supply, refills, sig, note,
+        substitutions_allowed, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `, [
+      this.newMessageId(), patientMedicationId, patientId, provider.id, pharmacy.id, medication.id,
+      this.describeMedication(medication), medication.ndc, medication.rxcui, quantity,
+      this.quantityUnit(medication.dosage_form), daysSupply, refills, sig, note, substitutionsAllowed, userId
+    ]);
+    const eprescription = result.rows[0];
+
+    await auditService.logPHIAccess(
+      userId,
+      'eprescriptions',
+      eprescription.id,
+      'new_rx',
+      `Sending ${eprescription.drug_description} to ${pharmacy.name} (${pharmacy.ncpdpId})`,
+      { patientId }
+    );
+
+    return this.transmitPrescription(eprescription, 'NewRx', userId);
+  }
+
+  /**
+   * Transmit a prescription whose NewRx was not delivered again
+   * @param {number} eprescriptionId - E-prescription ID
+   * @param {number} userId - User resending
+   * @returns {Promise<Object>} E-prescription
+   */
+  async resend(eprescriptionId, userId) {
+    const eprescription = await this.loadEPrescription(eprescriptionId);
+    if (!['queued', 'error'].includes(eprescription.status)) {
+      throw new ErxError(`Cannot resend a prescription that is ${eprescription.status}`, 409);
+    }
+    return this.transmitPrescription(eprescription, 'NewRx', userId);
+  }
+
+  /**
+   * Ask the pharmacy to cancel a prescription (CancelRx); the CancelRxResponse settles the status
+   * @param {number} eprescriptionId - E-prescription ID
+   * @param {Object} options - { reason, userId }
+   * @returns {Promise<Object>} E-prescription
+   */
+  async cancel(eprescriptionId, { reason = null, userId }) {
+    const eprescription = await this.loadEPrescription(eprescriptionId);
+    if (!CANCELLABLE_STATUSES.includes(eprescription.status)) {
+      throw new ErxError(`Cannot cancel a prescription that is ${eprescription.status}`, 409);
+    }
+
+    await pool.query(
+      "UPDATE eprescriptions SET status = 'cancel_requested', status_detail = $2 WHERE id = $1",
+      [eprescription.id, reason]
+    );
+    await auditService.logPHIAccess(
+      userId,
+      'eprescriptions',
+      eprescription.id,
+      'cancel_rx',
+      `Requested cancellation of ${eprescription.drug_description}${reason ? `: ${reason}` : ''}`,
+      { patientId: eprescription.patient_id }
+    );
+
+    return this.transmitPrescription({ ...eprescription, status: 'cancel_requested' }, 'CancelRx', userId);
+  }
+
+  /**
+   * Build, record and send a message about a prescription, then return its current state
+   */
+  async transmitPrescription(eprescription, type, userId) {
+    const parties = await this.loadParties(eprescription);
+    const relatesTo = type === 'CancelRx' ? await this.lastPrescribingMessage(eprescription.id) : null;
+    const messageId = this.newMessageId();
+
+    const xml = buildScriptMessage({
+      to: { qualifier: QUALIFIERS.PHARMACY, id: parties.pharmacy.ncpdpId },
+      from: this.getPractice().sender,
+      messageId,
+      relatesToMessageId: relatesTo?.message_id ?? null,
+      prescriberOrderNumber: eprescription.prescriber_order_number,
+      type,
+      body: [
+        pharmacyElement(parties.pharmacy),
+        prescriberElement(parties.prescriber),
+        patientElement(parties.patient),
+        medicationElement('MedicationPrescribed', this.prescribedMedication(eprescription))
+      ]
+    });
+
+    const message = await this.recordMessage(pool, {
+      messageId,
+      relatesToMessageId: relatesTo?.message_id ?? null,
+      direction: 'outbound',
+      type,
+      eprescriptionId: eprescription.id,
+      pharmacyId: eprescription.pharmacy_id,
+      payload: xml,
+      userId
+    });
+    await this.transmit(message, userId);
+    return this.getEPrescription(eprescription.id, userId, { audit: false });
+  }
+
+  /**
+   * Send a recorded outbound message and process the synchronous reply. A transport failure is recorded on the
+   * message (and on a prescription it carries) rather than thrown, so the prescription can be resent.
+   * @param {Object} message - erx_messages row
+   * @param {number} userId - User sending
+   * @returns {Promise<boolean>} Whether the message was handed to the network
+   */
+  async transmit(message, userId = null) {
+    const transport = this.getTransport();
+    let reply;
+    try {
+      reply = await transport.send(message.payload, { messageId: message.message_id, type: message.message_type });
+    } catch (error) {
+      console.error(`[ERx] Error sending ${message.message_type} ${message.message_id} via ${transport.name}:`, error);
+      await pool.query(
+        "UPDATE erx_messages SET status = 'error', status_description = $2 WHERE id = $1",
+        [message.id, error.message]
+      );
+      if (message.eprescription_id && PRESCRIBING_MESSAGES.includes(message.message_type)) {
+        await pool.query(
+          "UPDATE eprescriptions SET status = 'error', status_detail = $2 WHERE id = $1",
+          [message.eprescription_id, `Not delivered: ${error.message}`]
+        );
+      } else if (message.eprescription_id) {
+        await pool.query(
+          'UPDATE eprescriptions SET status_detail = $2 WHERE id = $1',
+          [message.eprescription_id, `${message.message_type} not delivered: ${error.message}`]
+        );
+      }
+      return false;
+    }
+
+    await pool.query("UPDATE erx_messages SET status = 'sent' WHERE id = $1", [message.id]);
+    if (message.eprescription_id && PRESCRIBING_MESSAGES.includes(message.message_type)) {
+      await pool.query(
+        "UPDATE eprescriptions SET status = 'sent', status_detail = NULL WHERE id = $1 AND status IN ('queued', 'error')",
+        [message.eprescription_id]
+      );
+    }
+    if (reply) {
+      try {
+        await this.processInbound(reply, { userId });
+      } catch (error) {
+        console.error(`[ERx] Error processing the reply to ${message.message_type} ${message.message_id}:`, error);
+      }
+    }
+    return true;
+  }
+
+  /* ---------- Inbound messages ---------- */
+
+  /**
+   * Process a message from a pharmacy or the network
+   * @param {string} xml - SCRIPT message
+   * @param {Object} options - { userId }
+   * @returns {Promise<Object>} { messageId, type, duplicate, eprescriptionId, requestId, reply (SCRIPT XML for the
+   *   sender, or null) }
+   */
+  async processInbound(xml, { userId = null } = {}) {
+    let message;
+    try {
+      message = parseScriptMessage(xml);
+    } catch (error) {
+      throw new ErxError(`Invalid SCRIPT message: ${error.message}`, 422);
+    }
+    const { header, type, transaction } = message;
+
+    const existing = await pool.query(
+      "SELECT * FROM erx_messages WHERE direction = 'inbound' AND message_id = $1",
+      [header.messageId]
+    );
+    if (existing.rows.length > 0) {
+      // Redelivery: acknowledge again without reprocessing
+      return {
+        messageId: header.messageId,
+        type,
+        duplicate: true,
+        eprescriptionId: existing.rows[0].eprescription_id,
+        requestId: null,
+        reply: REQUEST_TYPES[type] ? this.statusReply(message, '010') : null
+      };
+    }
+
+    const related = header.relatesToMessageId
+      ? (await pool.query(
+          "SELECT * FROM erx_messages WHERE direction = 'outbound' AND message_id = $1",
+          [header.relatesToMessageId]
+        )).rows[0] ?? null
+      : null;
+    let eprescriptionId = related?.eprescription_id ?? null;
+    if (!eprescriptionId && header.prescriberOrderNumber) {
+      const match = await pool.query(
+        'SELECT id FROM eprescriptions WHERE prescriber_order_number = $1',
+        [header.prescriberOrderNumber]
+      );
+      eprescriptionId = match.rows[0]?.id ?? null;
+    }
+    const pharmacy = header.from
+      ? (await pool.query('SELECT id FROM pharmacies WHERE ncpdp_id = $1', [header.from])).rows[0] ?? null
+      : null;
+
+    const status = this.readStatus(type, transaction);
+    const inbound = await this.recordMessage(pool, {
+      messageId: header.messageId,
+      relatesToMessageId: header.relatesToMessageId,
+      direction: 'inbound',
+      type,
+      eprescriptionId,
+      pharmacyId: pharmacy?.id ?? related?.pharmacy_id ?? null,
+      status: 'received',
+      statusCode: status?.code ?? null,
+      statusDescription: status?.description ?? null,
+      payload: xml,
+      userId
+    });
+
+    const result = { messageId: header.messageId, type, duplicate: false, eprescriptionId, requestId: null, reply: null };
+
+    if (['Status', 'Verify', 'Error'].includes(type)) {
+      await this.applyStatus(related, eprescriptionId, status);
+    } else if (type === 'CancelRxResponse') {
+      await this.applyCancelResponse(related, eprescriptionId, transaction);
+      result.reply = this.statusReply(message, '010');
+    } else if (REQUEST_TYPES[type]) {
+      result.requestId = await this.queueRequest(REQUEST_TYPES[type], inbound, message, eprescriptionId, userId);
+      result.reply = this.statusReply(message, '010');
+    } else {
+      await pool.query(
+        "UPDATE erx_messages SET status = 'error', status_description = $2 WHERE id = $1",
+        [inbound.id, `${type} is not supported`]
+      );
+      result.reply = this.errorReply(message, `${type} is not supported`);
+      return result;
+    }
+
+    await pool.query("UPDATE erx_messages SET status = 'processed' WHERE id = $1", [inbound.id]);
+    return result;
+  }
+
+  /**
+   * Outcome of a Status, Verify or Error message
+   * @returns {Object|null} { success, code, description }
+   */
+  readStatus(type, transaction) {
+    const text = path => transaction.find(path)?.text() || null;
+    if (type === 'Verify') {
+      return { success: true, code: text('VerifyStatus/Code') || '010', description: null };
+    }
+    if (type === 'Status') {
+      const code = text('Code');
+      return { success: ['000', '010'].includes(code), code, description: text('Description') };
+    }
+    if (type === 'Error') {
+      return { success: false, code: text('Code'), description: text('Description') || `Error ${text('Code')}` };
+    }
+    return null;
+  }
+
+  /**
+   * Settle the outbound message a Status/Verify/Error answers, and the prescription it carried
+   */
+  async applyStatus(related, eprescriptionId, status) {
+    if (!related) return;
+
+    await pool.query(
+      'UPDATE erx_messages SET status = $2, status_code = $3, status_description = $4 WHERE id = $1',
+      [related.id, status.success ? 'acknowledged' : 'error', status.code, status.description]
+    );
+    if (!eprescriptionId) return;
+
+    if (PRESCRIBING_MESSAGES.includes(related.message_type)) {
+      await pool.query(
+        status.success
+          ? "UPDATE eprescriptions SET status = 'delivered', status_detail = NULL WHERE id = $1 AND status IN ('queued', 'sent', 'error')"
+          : "UPDATE eprescriptions SET status = 'error', status_detail = $2 WHERE id = $1",
+        status.success ? [eprescriptionId] : [eprescriptionId, `Rejected by pharmacy: ${status.description}`]
+      );
+    } else if (related.message_type === 'CancelRx' && !status.success) {
+      await pool.query(
+        "UPDATE eprescriptions SET status = 'delivered', status_detail = $2 WHERE id = $1 AND status = 'cancel_requested'",
+        [eprescriptionId, `Cancel rejected: ${status.description}`]
+      );
+    }
+  }
+
+  /**
+   * Settle a cancel request from the pharmacy's CancelRxResponse
+   */
+  async applyCancelResponse(related, eprescriptionId, transaction) {
+    const denied = transaction.find('Response/Denied');
+    const note = denied
+      ? denied.find('DenialReason')?.text() || denied.find('ReasonCode')?.text() || 'Denied by pharmacy'
+      : transaction.find('Response/Approved/Note')?.text() || null;
+
+    if (related) {
+      await pool.query("UPDATE erx_messages SET status = 'acknowledged' WHERE id = $1", [related.id]);
+    }
+    if (eprescriptionId) {
+      await pool.query(
+        'UPDATE eprescriptions SET status = $2, status_detail = $3 WHERE id = $1',
+        [eprescriptionId, denied ? 'cancel_denied' : 'cancelled', note]
+      );
+    }
+  }
+
+  /**
+   * Add a pharmacy renewal or change request to the provider queue. Requests are matched to the original
+   * prescription by prescriber order number, else to the patient by name and date of birth and to the
+   * provider by NPI.
+   * @returns {Promise<number>} erx_pharmacy_requests id
+   */
+  async queueRequest(requestType, inbound, message, eprescriptionId, userId) {
+    const { transaction } = message;
+    const patient = readPatient(transaction);
+    const medication = readMedication(requestType === 'change'
+      ? transaction.find('MedicationRequested')
+      : transaction.find('MedicationDispensed') || transaction.find('MedicationPrescribed'));
+    const npi = transaction.find('Prescriber/NonVeterinarian/Identification/NPI')?.text() || null;
+
+    const original = eprescriptionId
+      ? (await pool.query('SELECT patient_id, provider_id FROM eprescriptions WHERE id = $1', [eprescriptionId])).rows[0]
+      : null;
+    let patientId = original?.patient_id ?? null;
+    if (!patientId && patient.lastName && patient.dob) {
+      const matches = await pool.query(`
+        SELECT id FROM patients
+        WHERE lower(last_name) = lower($1) AND lower(first_name) = lower($2) AND dob = $3::date
+        LIMIT 2
+      `, [patient.lastName, patient.firstName || '', patient.dob]);
+      patientId = matches.rows.length === 1 ? matches.rows[0].id : null;
+    }
+    let providerId = original?.provider_id ?? null;
+    if (!providerId && npi) {
+      providerId = (await pool.query('SELECT id FROM providers WHERE npi = $1 LIMIT 1', [npi])).rows[0]?.id ?? null;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO erx_pharmacy_requests (
+        request_type, erx_message_id, eprescription_id, patient_id, provider_id, pharmacy_id, change_code,
+        patient_name, patient_dob, drug_description, quantity, requested_refills, pharmacy_note
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING id
+    `, [
+      requestType, inbound.id, eprescriptionId, patientId, providerId, inbound.pharmacy_id,
+      requestType === 'change' ? transaction.find('MessageRequestCode')?.text() || null : null,
+      [patient.lastName, patient.firstName].filter(Boolean).join(', ') || null, patient.dob,
+      medication?.drugDescription ?? null, medication?.quantity ?? null, medication?.refills ?? null,
+      medication?.note ?? null
+    ]);
+    const requestId = result.rows[0].id;
+
+    await auditService.logPHIAccess(
+      userId,
+      'erx_pharmacy_requests',
+      requestId,
+      `rx_${requestType}_request`,
+      `Received ${requestType} request for ${medication?.drugDescription || 'a prescription'}`,
+      patientId ? { patientId } : 'Inbound pharmacy request'
+    );
+    return requestId;
+  }
+
+  /**
+   * Status acknowledging a message received from the network
+   */
+  statusReply(message, code) {
+    return buildScriptMessage({
+      ...this.replyHeader(message),
+      type: 'Status',
+      body: [el('Code', code)]
+    });
+  }
+
+  errorReply(message, description) {
+    return buildScriptMessage({
+      ...this.replyHeader(message),
+      type: 'Error',
+      body: [el('Code', '900'), el('DescriptionCode', '4000'), el('Description', description)]
+    });
+  }
+
+  replyHeader({ header }) {
+    return {
+      to: { qualifier: header.fromQualifier || QUALIFIERS.PHARMACY, id: header.from },
+      from: this.getPractice().sender,
+      messageId: this.newMessageId(),
+      relatesToMessageId: header.messageId,
+      prescriberOrderNumber: header.prescriberOrderNumber,
+      rxReferenceNumber: header.rxReferenceNumber
+    };
+  }
+
+  /* ---------- Renewal and change queue ---------- */
+
+  /**
+   * Pharmacy requests waiting for (or answered by) a prescriber
+   * @param {Object} filters - { status (default pending), type (renewal, change), providerId, patientId, limit }
+   * @returns {Promise<Array>} Requests, oldest first
+   */
+  async listRequests({ status = 'pending', type = null, providerId = null, patientId = null, limit = 100 } = {}) {
+    const result = await pool.query(`
+      ${this.requestSelect()}
+      WHERE ($1::text IS NULL OR r.status = $1)
+        AND ($2::text IS NULL OR r.request_type = $2)
+        AND ($3::int IS NULL OR r.provider_id = $3)
+        AND ($4::int IS NULL OR r.patient_id = $4)
+      ORDER BY r.created_at, r.id
+      LIMIT $5
+    `, [status, type, providerId, patientId, limit]);
+    return result.rows.map(row => this.formatRequest(row));
+  }
+
+  /**
+   * @param {number} requestId - erx_pharmacy_requests id
+   * @param {number} userId - User viewing the request
+   * @returns {Promise<Object>} Request with the pharmacy's message
+   */
+  async getRequest(requestId, userId) {
+    const result = await pool.query(`${this.requestSelect()} WHERE r.id = $1`, [requestId]);
+    if (result.rows.length === 0) {
+      throw new ErxError('Pharmacy request not found', 404);
+    }
+    const request = result.rows[0];
+
+    await auditService.logPHIAccess(
+      userId,
+      'erx_pharmacy_requests',
+      requestId,
+      'view',
+      `Viewed ${request.request_type} request`,
+      request.patient_id ? { patientId: request.patient_id } : 'Pharmacy request review'
+    );
+    return { ...this.formatRequest(request), payload: request.payload };
+  }
+
+  /**
+   * Approve or deny a renewal or change request and send the RxRenewalResponse/RxChangeResponse. Approval
+   * creates the new prescription (with the approved refills, or the medication the pharmacy asked for); an
+   * approved change replaces the original.
+   * @param {number} requestId - erx_pharmacy_requests id
+   * @param {Object} decision - { approve, refills, note, denialReasonCode, userId }
+   * @returns {Promise<Object>} Request with the response, and the new e-prescription when approved
+   */
+  async respondToRequest(requestId, { approve, refills = null, note = null, denialReasonCode = null, userId }) {
+    const request = (await pool.query(`${this.requestSelect()} WHERE r.id = $1`, [requestId])).rows[0];
+    if (!request) {
+      throw new ErxError('Pharmacy request not found', 404);
+    }
+    if (request.status !== 'pending') {
+      throw new ErxError(`Request was already ${request.status}`, 409);
+    }
+    if (!approve && !DENIAL_REASONS[denialReasonCode]) {
+      throw new ErxError(`denialReasonCode must be one of ${Object.keys(DENIAL_REASONS).join(', ')}`, 422);
+    }
+    if (approve && !request.eprescription_id) {
+      throw new ErxError('Request does not match a prescription sent from this practice; deny it or prescribe anew', 409);
+    }
+    const approvedRefills = refills ?? request.requested_refills ?? 0;
+    if (approve && (!Number.isInteger(Number(approvedRefills)) || approvedRefills < 0 || approvedRefills > 99)) {
+      throw new ErxError('refills must be between 0 and 99', 422);
+    }
+
+    const incoming = parseScriptMessage(request.payload);
+    const isRenewal = request.request_type === 'renewal';
+    const type = isRenewal ? 'RxRenewalResponse' : 'RxChangeResponse';
+    const messageId = this.newMessageId();
+
+    const client = await pool.connect();
+    let replacement = null;
+    let message;
+    try {
+      await client.query('BEGIN');
+
+      if (approve) {
+        const original = (await client.query('SELECT * FROM eprescriptions WHERE id = $1', [request.eprescription_id])).rows[0];
+        const requested = isRenewal
+          ? readMedication(incoming.transaction.find('MedicationDispensed') || incoming.transaction.find('MedicationPrescribed'))
+          : readMedication(incoming.transaction.find('MedicationRequested'));
+        const inserted = await client.query(`
+          INSERT INTO eprescriptions (
+            prescriber_order_number, patient_medication_id, patient_id, provider_id, pharmacy_id, medication_id,
+            drug_description, ndc, rxcui, quantity, quantity_unit, days_supply, refills, sig, note,
+            substitutions_allowed, replaces_eprescription_id, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+          RETURNING *
+        `, [
+          this.newMessageId(), original.patient_medication_id, original.patient_id, original.provider_id,
+          request.pharmacy_id ?? original.pharmacy_id,
+          isRenewal ? original.medication_id : null,
+          isRenewal ? original.drug_description : requested?.drugDescription || original.drug_description,
+          isRenewal ? original.ndc : requested?.ndc ?? null,
+          isRenewal ? original.rxcui : requested?.rxcui ?? null,
+          isRenewal ? original.quantity : requested?.quantity ?? original.quantity,
+          isRenewal ? original.quantity_unit : requested?.quantityUnit || original.quantity_unit,
+          original.days_supply,
+          isRenewal ? approvedRefills : original.refills,
+          original.sig, note, original.substitutions_allowed, original.id, userId
+        ]);
+        replacement = inserted.rows[0];
+
+        if (!isRenewal) {
+          await client.query(
+            "UPDATE eprescriptions SET status = 'replaced', status_detail = $2 WHERE id = $1",
+            [original.id, `Replaced by change request ${request.id}`]
+          );
+        }
+      }
+
+      const xml = buildScriptMessage({
+        to: { qualifier: incoming.header.fromQualifier || QUALIFIERS.PHARMACY, id: incoming.header.from },
+        from: this.getPractice().sender,
+        messageId,
+        relatesToMessageId: incoming.header.messageId,
+        prescriberOrderNumber: replacement?.prescriber_order_number ?? incoming.header.prescriberOrderNumber,
+        rxReferenceNumber: incoming.header.rxReferenceNumber,
+        type,
+        body: this.responseBody(incoming, { approve, replacement, note, denialReasonCode, isRenewal })
+      });
+
+      message = await this.recordMessage(client, {
+        messageId,
+        relatesToMessageId: incoming.header.messageId,
+        direction: 'outbound',
+        type,
+        // Only a new prescription follows the response's delivery; a denial leaves the original as it was
+        eprescriptionId: replacement?.id ?? null,
+        pharmacyId: request.pharmacy_id,
+        payload: xml,
+        userId
+      });
+
+      await client.query(`
+        UPDATE erx_pharmacy_requests
+        SET status = $2, response_note = $3, denial_reason_code = $4, response_message_id = $5,
+            responded_by = $6, responded_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [request.id, approve ? 'approved' : 'denied', note, approve ? null : denialReasonCode, messageId, userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'erx_pharmacy_requests',
+      request.id,
+      `rx_${request.request_type}_response`,
+      `${approve ? 'Approved' : 'Denied'} ${request.request_type} request for ${request.drug_description || 'a prescription'}`,
+      request.patient_id ? { patientId: request.patient_id } : 'Pharmacy request response'
+    );
+
+    await this.transmit(message, userId);
+    return {
+      request: await this.getRequest(request.id, userId),
+      eprescription: replacement ? await this.getEPrescription(replacement.id, userId, { audit: false }) : null
+    };
+  }
+
+  /**
+   * Body of an RxRenewalResponse/RxChangeResponse: the decision, the parties echoed from the request and the
+   * medication (as approved, or as originally prescribed when denied)
+   */
+  responseBody(incoming, { approve, replacement, note, denialReasonCode, isRenewal }) {
+    const { transaction } = incoming;
+    const response = approve
+      ? el('Response', [note ? el('Approved', [el('Note', note)]) : flag('Approved')])
+      : el('Response', [el('Denied', [el('ReasonCode', denialReasonCode), el('DenialReason', note || DENIAL_REASONS[denialReasonCode])])]);
+
+    const medication = replacement
+      ? medicationElement(isRenewal ? 'MedicationResponse' : 'MedicationPrescribed', this.prescribedMedication(replacement))
+      : copyElement(transaction.find('MedicationPrescribed'));
+
+    return [
+      response,
+      copyElement(transaction.find('Pharmacy')),
+      copyElement(transaction.find('Prescriber')),
+      copyElement(transaction.find('Patient')),
+      medication
+    ];
+  }
+
+  requestSelect() {
+    return `
+      SELECT r.*, m.message_id, m.payload, ph.name AS pharmacy_name, ph.ncpdp_id,
+             p.first_name AS patient_first_name, p.last_name AS patient_last_name,
+             pr.first_name AS provider_first_name, pr.last_name AS provider_last_name
+      FROM erx_pharmacy_requests r
+      JOIN erx_messages m ON m.id = r.erx_message_id
+      LEFT JOIN pharmacies ph ON ph.id = r.pharmacy_id
+      LEFT JOIN patients p ON p.id = r.patient_id
+      LEFT JOIN providers pr ON pr.id = r.provider_id
+    `;
+  }
+
+  /* ---------- Simulator ---------- */
+
+  /**
+   * Have the simulated pharmacy send a renewal or change request for a prescription it received
+   * @param {string} requestType - 'renewal' or 'change'
+   * @param {number} eprescriptionId - E-prescription the request is about
+   * @param {Object} options - Renewal { refills, note } or change { code, drugDescription, ndc, quantity, note }
+   * @param {number} userId - User triggering the simulation
+   * @returns {Promise<Object>} Queued request
+   */
+  async simulateRequest(requestType, eprescriptionId, options, userId) {
+    if (this.getTransport().name !== 'simulator') {
+      throw new ErxError('Simulated pharmacy requests are only available with the simulator transport', 409);
+    }
+    const sent = await this.lastPrescribingMessage(eprescriptionId);
+    if (!sent) {
+      throw new ErxError('Prescription has not been sent to a pharmacy', 409);
+    }
+
+    const xml = requestType === 'renewal'
+      ? pharmacySimulator.renewalRequest(sent.payload, options)
+      : pharmacySimulator.changeRequest(sent.payload, options);
+    const { requestId } = await this.processInbound(xml, { userId });
+    return this.getRequest(requestId, userId);
+  }
+
+  /* ---------- Lookups ---------- */
+
+  /**
+   * E-prescriptions, newest first
+   * @param {Object} filters - { patientId, status, limit, offset }
+   * @returns {Promise<Array>} E-prescriptions
+   */
+  async listEPrescriptions({ patientId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(`
+      ${this.eprescriptionSelect()}
+      WHERE ($1::int IS NULL OR e.patient_id = $1)
+        AND ($2::text IS NULL OR e.status = $2)
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT $3 OFFSET $4
+    `, [patientId, status, limit, offset]);
+    return result.rows.map(row => this.formatEPrescription(row));
+  }
+
+  /**
+   * @param {number} eprescriptionId - E-prescription ID
+   * @param {number} userId - User viewing it
+   * @param {Object} options - { audit }
+   * @returns {Promise<Object>} E-prescription with its message history
+   */
+  async getEPrescription(eprescriptionId, userId, { audit = true } = {}) {
+    const result = await pool.query(`${this.eprescriptionSelect()} WHERE e.id = $1`, [eprescriptionId]);
+    if (result.rows.length === 0) {
+      throw new ErxError('E-prescription not found', 404);
+    }
+    const messages = await pool.query(`
+      SELECT id, message_id, relates_to_message_id, direction, message_type, status, status_code,
+             status_description, created_at
+      FROM erx_messages
+      WHERE eprescription_id = $1
+      ORDER BY created_at, id
+    `, [eprescriptionId]);
+
+    if (audit) {
+      await auditService.logPHIAccess(
+        userId,
+        'eprescriptions',
+        eprescriptionId,
+        'view',
+        'Viewed e-prescription',
+        { patientId: result.rows[0].patient_id }
+      );
+    }
+    return {
+      ...this.formatEPrescription(result.rows[0]),
+      messages: messages.rows.map(row => this.formatMessage(row))
+    };
+  }
+
+  async loadEPrescription(eprescriptionId) {
+    const result = await pool.query('SELECT * FROM eprescriptions WHERE id = $1', [eprescriptionId]);
+    if (result.rows.length === 0) {
+      throw new ErxError('E-prescription not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  eprescriptionSelect() {
+    return `
+      SELECT e.*, ph.name AS pharmacy_name, ph.ncpdp_id,
+             pr.first_name AS provider_first_name, pr.last_name AS provider_last_name
+      FROM eprescriptions e
+      LEFT JOIN pharmacies ph ON ph.id = e.pharmacy_id
+      LEFT JOIN providers pr ON pr.id = e.provider_id
+    `;
+  }
+
+  /**
+   * Latest message that delivered the prescription to the pharmacy (what a CancelRx or pharmacy request refers to)
+   */
+  async lastPrescribingMessage(eprescriptionId) {
+    const result = await pool.query(`
+      SELECT * FROM erx_messages
+      WHERE eprescription_id = $1 AND direction = 'outbound' AND message_type = ANY($2) AND status <> 'error'
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [eprescriptionId, PRESCRIBING_MESSAGES]);
+    return result.rows[0] ?? null;
+  }
+
+  /**
+   * Prescriber for a prescription: the provider given, else the provider record linked to the prescribing user.
+   * Never the patient's provider: the NewRx would go out under another prescriber's name and NPI.
+   * SCRIPT identifies prescribers by NPI, so one is required.
+   */
+  async resolveProvider({ providerId = null, userId = null }) {
+    let provider = null;
+    if (providerId) {
+      provider = (await pool.query('SELECT * FROM providers WHERE id = $1', [providerId])).rows[0];
+      if (!provider) {
+        throw new ErxError('Provider not found', 404);
+      }
+    }
+    if (!provider && userId) {
+      provider = (await pool.query('SELECT * FROM providers WHERE user_id = $1 ORDER BY id LIMIT 1', [userId])).rows[0];
+    }
+    if (!provider) {
+      throw new ErxError('No provider record is linked to the prescribing user; link one or pass providerId', 422);
+    }
+    if (!/^\d{10}$/.test(provider.npi || '')) {
+      throw new ErxError(`Provider ${provider.first_name} ${provider.last_name} has no NPI on file`, 422);
+    }
+    return provider;
+  }
+
+  /**
+   * Pharmacy, prescriber and patient composites for a prescription
+   */
+  async loadParties(eprescription) {
+    const [pharmacy, provider, patient] = await Promise.all([
+      pool.query('SELECT * FROM pharmacies WHERE id = $1', [eprescription.pharmacy_id]),
+      pool.query('SELECT * FROM providers WHERE id = $1', [eprescription.provider_id]),
+      pool.query(`
+        SELECT p.first_name, p.last_name, p.dob, p.gender,
+               pb.billing_address, pb.billing_city, pb.billing_state, pb.billing_zip_code
+        FROM patients p
+        LEFT JOIN LATERAL (
+          SELECT * FROM patient_billing WHERE patient_id = p.id ORDER BY id DESC LIMIT 1
+        ) pb ON true
+        WHERE p.id = $1
+      `, [eprescription.patient_id])
+    ]);
+    if (!pharmacy.rows[0] || !provider.rows[0] || !patient.rows[0]) {
+      throw new ErxError('Prescription is missing its pharmacy, prescriber or patient', 422);
+    }
+
+    const practice = this.getPractice();
+    const patientRow = patient.rows[0];
+    return {
+      pharmacy: this.formatPharmacy(pharmacy.rows[0]),
+      prescriber: {
+        npi: provider.rows[0].npi,
+        firstName: provider.rows[0].first_name,
+        lastName: provider.rows[0].last_name,
+        address: practice.address,
+        phone: practice.phone,
+        fax: practice.fax
+      },
+      patient: {
+        firstName: patientRow.first_name,
+        lastName: patientRow.last_name,
+        gender: patientRow.gender,
+        dob: patientRow.dob,
+        address: {
+          line1: patientRow.billing_address,
+          city: patientRow.billing_city,
+          state: patientRow.billing_state,
+          zip: patientRow.billing_zip_code
+        }
+      }
+    };
+  }
+
+  prescribedMedication(eprescription) {
+    return {
+      drugDescription: eprescription.drug_description,
+      ndc: eprescription.ndc,
+      rxcui: eprescription.rxcui,
+      quantity: Number(eprescription.quantity),
+      quantityUnit: eprescription.quantity_unit,
+      daysSupply: eprescription.days_supply,
+      writtenDate: eprescription.written_date || new Date(),
+      substitutionsAllowed: eprescription.substitutions_allowed,
+      refills: eprescription.refills,
+      note: eprescription.note,
+      sig: eprescription.sig
+    };
+  }
+
+  describeMedication(medication) {
+    return [medication.brand_name || medication.generic_name, medication.strength, medication.dosage_form]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  quantityUnit(dosageForm) {
+    const form = String(dosageForm || '').toLowerCase();
+    if (form.includes('tablet')) return QUANTITY_UNITS.tablet;
+    if (form.includes('capsule')) return QUANTITY_UNITS.capsule;
+    if (/solution|suspension|syrup|liquid|elixir/.test(form)) return QUANTITY_UNITS.milliliter;
+    return QUANTITY_UNITS.unspecified;
+  }
+
+  async recordMessage(db, {
+    messageId,
+    relatesToMessageId = null,
+    direction,
+    type,
+    eprescriptionId = null,
+    pharmacyId = null,
+    status = 'queued',
+    statusCode = null,
+    statusDescription = null,
+    payload,
+    userId = null
+  }) {
+    const result = await db.query(`
+      INSERT INTO erx_messages (
+        message_id, relates_to_message_id, direction, message_type, eprescription_id, pharmacy_id, status,
+        status_code, status_description, payload, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      messageId, relatesToMessageId, direction, type, eprescriptionId, pharmacyId, status,
+      statusCode, statusDescription, payload, userId
+    ]);
+    return result.rows[0];
+  }
+
+  /* ---------- Formatting ---------- */
+
+  formatPharmacy(row) {
+    return {
+      id: row.id,
+      ncpdpId: row.ncpdp_id,
+      npi: row.npi,
+      name: row.name,
+      address: {
+        line1: row.address_line1,
+        line2: row.address_line2,
+        city: row.city,
+        state: row.state,
+        zip: row.zip_code
+      },
+      phone: row.phone,
+      fax: row.fax,
+      pharmacyType: row.pharmacy_type,
+      acceptsErx: row.accepts_erx,
+      active: row.active
+    };
+  }
+
+  formatEPrescription(row) {
+    return {
+      id: row.id,
+      prescriberOrderNumber: row.prescriber_order_number,
+      patientMedicationId: row.patient_medication_id,
+      patientId: row.patient_id,
+      providerId: row.provider_id,
+      providerName: row.provider_last_name ? `${row.provider_first_name} ${row.provider_last_name}` : null,
+      pharmacyId: row.pharmacy_id,
+      pharmacyName: row.pharmacy_name ?? null,
+      pharmacyNcpdpId: row.ncpdp_id ?? null,
+      medicationId: row.medication_id,
+      drugDescription: row.drug_description,
+      ndc: row.ndc,
+      rxcui: row.rxcui,
+      quantity: row.quantity === null ? null : Number(row.quantity),
+      quantityUnit: row.quantity_unit,
+      daysSupply: row.days_supply,
+      refills: row.refills,
+      sig: row.sig,
+      note: row.note,
+      substitutionsAllowed: row.substitutions_allowed,
+      writtenDate: row.written_date,
+      status: row.status,
+      statusDetail: row.status_detail,
+      replacesEPrescriptionId: row.replaces_eprescription_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatRequest(row) {
+    return {
+      id: row.id,
+      requestType: row.request_type,
+      status: row.status,
+      messageId: row.message_id,
+      eprescriptionId: row.eprescription_id,
+      patientId: row.patient_id,
+      patientName: row.patient_last_name ? `${row.patient_first_name} ${row.patient_last_name}` : row.patient_name,
+      patientDob: row.patient_dob,
+      providerId: row.provider_id,
+      providerName: row.provider_last_name ? `${row.provider_first_name} ${row.provider_last_name}` : null,
+      pharmacyId: row.pharmacy_id,
+      pharmacyName: row.pharmacy_name ?? null,
+      pharmacyNcpdpId: row.ncpdp_id ?? null,
+      changeCode: row.change_code,
+      drugDescription: row.drug_description,
+      quantity: row.quantity === null ? null : Number(row.quantity),
+      requestedRefills: row.requested_refills,
+      pharmacyNote: row.pharmacy_note,
+      responseNote: row.response_note,
+      denialReasonCode: row.denial_reason_code,
+      respondedBy: row.responded_by,
+      respondedAt: row.responded_at,
+      createdAt: row.created_at
+    };
+  }
+
+  formatMessage(row) {
+    return {
+      id: row.id,
+      messageId: row.message_id,
+      relatesToMessageId: row.relates_to_message_id,
+      direction: row.direction,
+      type: row.message_type,
+      status: row.status,
+      statusCode: row.status_code,
+      statusDescription: row.status_description,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default new EPrescribingService();
@@ -0,0 +1,449 @@
+// FHIR Bulk Data Export Service
+// Implements the async $export flow (kick-off, status polling, file download) and
+// writes one NDJSON file per resource type to local disk
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import fhirService, { FHIRError } from './fhir.service.js';
+
+const BATCH_SIZE = 1000;
+
+const OUTPUT_FORMATS = ['application/fhir+ndjson', 'application/ndjson', 'ndjson'];
+
+class FHIRBulkExportService {
+  constructor() {
+    this.exportDir = path.resolve(process.env.FHIR_EXPORT_DIR || './exports/fhir');
+
+    // Row sources per resource type; each source is read in id order in batches
+    this.sources = {
+      Patient: [{
+        from: 'patients p LEFT JOIN providers pr ON pr.id = p.provider_id',
+        select: 'p.*, pr.first_name AS provider_first_name, pr.last_name AS provider_last_name',
+        idColumn: 'p.id',
+        patientColumn: 'p.id',
+        sinceColumn: 'COALESCE(p.updated_at, p.created_at)',
+        map: row => fhirService.toPatient(row)
+      }],
+      Encounter: [{
+        from: 'encounters e LEFT JOIN appointments a ON a.id = e.appointment_id',
+        select: 'e.*, a.provider_id',
+        idColumn: 'e.id',
+        patientColumn: 'e.patient_id',
+        sinceColumn: 'e.created_at',
+        map: row => fhirService.toEncounter(row)
+      }],
+      Observation: [
+        {
+          from: 'vitals v',
+          select: 'v.*',
+          idColumn: 'v.id',
+          patientColumn: 'v.patient_id',
+          sinceColumn: 'v.taken_at',
+          map: row => fhirService.vitalsToObservations(row)
+        },
+        {
+          from: 'observations o',
+          select: 'o.*',
+          idColumn: 'o.id',
+          patientColumn: 'o.patient_id',
+          sinceColumn: 'o.created_at',
+          map: row => fhirService.labToObservation(row)
+        }
+      ],
+      AllergyIntolerance: [{
+        from: 'allergies a',
+        select: 'a.*',
+        idColumn: 'a.id',
+        patientColumn: 'a.patient_id',
+        sinceColumn: 'a.noted_at',
+        map: row => fhirService.toAllergyIntolerance(row)
+      }],
+      MedicationRequest: [{
+        ...fhirService.medicationRequestQuery(),
+        idColumn: 'rx.id',
+        patientColumn: 'rx.patient_id',
+        sinceColumn: 'COALESCE(rx.updated_at, rx.created_at)',
+        map: row => fhirService.toMedicationRequest(row)
+      }],
+      MedicationStatement: [{
+        ...fhirService.medicationStatementQuery(),
+        idColumn: 'pm.id',
+        patientColumn: 'pm.patient_id',
+        sinceColumn: null, // patient_medications has no modification timestamp
+        map: row => fhirService.toMedicationStatement(row)
+      }],
+      Condition: [
+        {
+          from: 'problems p LEFT JOIN icd10_diagnoses icd ON icd.code = p.code',
+          select: 'p.*, icd.description AS icd10_description',
+          idColumn: 'p.id',
+          patientColumn: 'p.patient_id',
+          sinceColumn: null, // problems has no modification timestamp
+          map: row => fhirService.problemToCondition(row)
+        },
+        {
+          from: 'chronic_conditions c',
+          select: 'c.*',
+          idColumn: 'c.id',
+          patientColumn: 'c.patient_id',
+          sinceColumn: 'COALESCE(c.updated_at, c.created_at)',
+          map: row => fhirService.chronicToCondition(row)
+        }
+      ]
+    };
+  }
+
+  /**
+   * Resource types that can be exported
+   * @returns {Array} Resource type names
+   */
+  getSupportedTypes() {
+    return Object.keys(this.sources);
+  }
+
+  /**
+   * Validate kick-off parameters
+   * @param {Object} params - { _type, _since, _outputFormat }
+   * @returns {Object} { resourceTypes, since }
+   */
+  parseKickoffParameters(params = {}) {
+    const format = params._outputFormat;
+    if (format && !OUTPUT_FORMATS.includes(format)) {
+      throw new FHIRError(`Unsupported _outputFormat: ${format}`);
+    }
+
+    let resourceTypes = this.getSupportedTypes();
+    if (params._type) {
+      resourceTypes = [...new Set(String(params._type).split(',').map(t => t.trim()).filter(Boolean))];
+      const unsupported = resourceTypes.filter(t => !this.sources[t]);
+      if (unsupported.length) {
+        throw new FHIRError(`Unsupported _type: ${unsupported.join(', ')}`);
+      }
+    }
+
+    let since = null;
+    if (params._since) {
+      since = new Date(params._since);
+      if (Number.isNaN(since.getTime())) {
+        throw new FHIRError(`Invalid _since value: ${params._since}`);
+      }
+    }
+
+    return { resourceTypes, since };
+  }
+
+  /**
+   * Read kick-off parameters from the query string or a Parameters resource body
+   * @param {Object} query - Request query
+   * @param {Object} body - Request body (optional Parameters resource)
+   * @returns {Object} { _type, _since, _outputFormat }
+   */
+  collectParameters(query = {}, body = {}) {
+    const params = { _type: query._type, _since: query._since, _outputFormat: query._outputFormat };
+
+    if (body && body.resourceType === 'Parameters' && Array.isArray(body.parameter)) {
+      for (const p of body.parameter) {
+        if (!['_type', '_since', '_outputFormat'].includes(p.name)) continue;
+        const value = p.valueString ?? p.valueInstant ?? p.valueDateTime ?? p.valueCode;
+        params[p.name] = p.name === '_type' && params._type ? `${params._type},${value}` : value;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Kick off an export job
+   * @param {Object} options - { level: 'system'|'group', groupId, params, requestUrl }
+   * @param {number} userId - Requesting user
+   * @returns {Object} Export job row
+   */
+  async kickoff({ level, groupId = null, params, requestUrl }, userId) {
+    const { resourceTypes, since } = this.parseKickoffParameters(params);
+
+    if (level === 'group') {
+      await this.getGroupPatientIds(groupId);
+    }
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO fhir_bulk_exports (
+          export_id, export_level, group_id, resource_types, since, request_url, status, requested_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, 'accepted', $7)
+        RETURNING *
+      `, [uuidv4(), level, groupId, resourceTypes, since, requestUrl, userId]);
+
+      const job = result.rows[0];
+
+      setImmediate(() => {
+        this.runExport(job.id).catch(error => {
+          console.error('[FHIRBulkExportService] Export job crashed:', error);
+        });
+      });
+
+      return job;
+    } catch (error) {
+      console.error('[FHIRBulkExportService] Error creating export job:', error);
+      throw new Error(`Failed to start export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Patients in a group. Groups are provider panels: Group/<providerId>
+   * @param {string} groupId - Group id
+   * @returns {Array} Patient ids
+   */
+  async getGroupPatientIds(groupId) {
+    if (!/^\d+$/.test(String(groupId))) {
+      throw new FHIRError(`Group/${groupId} not found`, 404, 'not-found');
+    }
+
+    const provider = await pool.query('SELECT id FROM providers WHERE id = $1', [groupId]);
+    if (provider.rows.length === 0) {
+      throw new FHIRError(`Group/${groupId} not found`, 404, 'not-found');
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id FROM patients WHERE provider_id = $1 ORDER BY id',
+      [groupId]
+    );
+    return rows.map(r => r.id);
+  }
+
+  /**
+   * Get an export job by its public id
+   * @param {string} exportId - Export UUID
+   * @returns {Object|null} Job row
+   */
+  async getJob(exportId) {
+    if (!/^[0-9a-f-]{36}$/i.test(String(exportId))) return null;
+    const { rows } = await pool.query('SELECT * FROM fhir_bulk_exports WHERE export_id = $1', [exportId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Whether a user may poll/download a job
+   * @param {Object} job - Job row
+   * @param {Object} user - req.user
+   * @returns {boolean}
+   */
+  canAccess(job, user) {
+    if (!user) return false;
+    const userId = user.userId ?? user.id;
+    return user.role === 'admin' || (job.requested_by != null && String(job.requested_by) === String(userId));
+  }
+
+  /**
+   * Build the completion manifest returned by the status endpoint
+   * @param {Object} job - Completed job row
+   * @param {string} baseUrl - FHIR base URL
+   * @returns {Object} Bulk Data manifest
+   */
+  buildManifest(job, baseUrl) {
+    return {
+      transactionTime: new Date(job.transaction_time).toISOString(),
+      request: job.request_url,
+      requiresAccessToken: true,
+      output: (job.output || []).map(file => ({
+        type: file.type,
+        url: `${baseUrl}/$export-file/${job.export_id}/${file.fileName}`,
+        count: file.count
+      })),
+      error: []
+    };
+  }
+
+  /**
+   * Resolve the on-disk path of an export file, guarding against traversal
+   * @param {Object} job - Job row
+   * @param {string} fileName - Requested file name
+   * @returns {string|null} Absolute path or null if not part of the job
+   */
+  resolveFile(job, fileName) {
+    const file = (job.output || []).find(f => f.fileName === fileName);
+    if (!file) return null;
+    const filePath = path.join(this.exportDir, job.export_id, file.fileName);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Cancel a job and remove its files
+   * @param {Object} job - Job row
+   */
+  async cancel(job) {
+    try {
+      await pool.query(
+        `UPDATE fhir_bulk_exports SET status = 'cancelled', progress = NULL WHERE id = $1`,
+        [job.id]
+      );
+      await fs.promises.rm(path.join(this.exportDir, job.export_id), { recursive: true, force: true });
+    } catch (error) {
+      console.error('[FHIRBulkExportService] Error cancelling export:', error);
+      throw new Error(`Failed to cancel export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Log a file download as a PHI disclosure
+   * @param {Object} job - Job row
+   * @param {Object} file - Output entry
+   * @param {Object} req - Express request
+   */
+  async logDownload(job, file, req) {
+    await auditService.logPHIAccess(
+      req.user?.userId ?? req.user?.id,
+      'fhir_bulk_exports',
+      job.id,
+      `bulk_export_file:${file.type}`,
+      `FHIR bulk data download (${file.count} ${file.type} resources)`,
+      {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        endpoint: req.originalUrl
+      }
+    );
+  }
+
+  /**
+   * Run an export job to completion
+   * @param {number} jobId - fhir_bulk_exports.id
+   */
+  async runExport(jobId) {
+    const { rows } = await pool.query('SELECT * FROM fhir_bulk_exports WHERE id = $1', [jobId]);
+    const job = rows[0];
+    if (!job || job.status !== 'accepted') return;
+
+    const dir = path.join(this.exportDir, job.export_id);
+    const transactionTime = new Date();
+
+    try {
+      await pool.query(
+        `UPDATE fhir_bulk_exports SET status = 'in_progress', transaction_time = $2, progress = 'Starting' WHERE id = $1`,
+        [jobId, transactionTime]
+      );
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const patientIds = job.export_level === 'group' ? await this.getGroupPatientIds(job.group_id) : null;
+      const output = [];
+
+      for (const [index, type] of job.resource_types.entries()) {
+        if (await this.isCancelled(jobId)) return;
+
+        await pool.query(
+          'UPDATE fhir_bulk_exports SET progress = $2 WHERE id = $1',
+          [jobId, `Exporting ${type} (${index + 1}/${job.resource_types.length})`]
+        );
+
+        const fileName = `${type}.ndjson`;
+        const count = await this.exportType(type, path.join(dir, fileName), {
+          patientIds,
+          since: job.since,
+          until: transactionTime
+        });
+
+        if (count > 0) {
+          output.push({ type, fileName, count });
+        } else {
+          await fs.promises.rm(path.join(dir, fileName), { force: true });
+        }
+      }
+
+      if (await this.isCancelled(jobId)) return;
+
+      const patientCount = patientIds
+        ? patientIds.length
+        : (await pool.query('SELECT COUNT(*)::int AS count FROM patients')).rows[0].count;
+
+      await pool.query(`
+        UPDATE fhir_bulk_exports
+           SET status = 'completed', progress = NULL, output = $2, patient_count = $3, completed_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+      `, [jobId, JSON.stringify(output), patientCount]);
+
+      // The export itself is a bulk disclosure of PHI
+      await auditService.logPHIAccess(
+        job.requested_by,
+        'fhir_bulk_exports',
+        job.id,
+        `bulk_export:${job.resource_types.join(',')}`,
+        job.export_level === 'group'
+          ? `FHIR bulk data export (bulk disclosure) of Group/${job.group_id}: ${patientCount} patients`
+          : `FHIR bulk data export (bulk disclosure) of all patients: ${patientCount} patients`,
+        { endpoint: job.request_url }
+      );
+
+      console.log(`[FHIRBulkExportService] Export ${job.export_id} completed: ${output.map(o => `${o.type}=${o.count}`).join(', ') || 'no resources'}`);
+    } catch (error) {
+      console.error('[FHIRBulkExportService] Export failed:', error);
+      await pool.query(
+        `UPDATE fhir_bulk_exports SET status = 'failed', progress = NULL, error_message = $2 WHERE id = $1`,
+        [jobId, error.message]
+      ).catch(err => console.error('[FHIRBulkExportService] Could not record export failure:', err));
+    }
+  }
+
+  /**
+   * Write every resource of a type to an NDJSON file
+   * @param {string} type - Resource type
+   * @param {string} filePath - Destination file
+   * @param {Object} scope - { patientIds, since, until }
+   * @returns {number} Number of resources written
+   */
+  async exportType(type, filePath, { patientIds, since, until }) {
+    await fs.promises.writeFile(filePath, '');
+    let count = 0;
+
+    for (const source of this.sources[type]) {
+      let lastId = 0;
+
+      for (;;) {
+        const where = [`${source.idColumn} > $1`];
+        const params = [lastId];
+
+        if (patientIds) {
+          params.push(patientIds);
+          where.push(`${source.patientColumn} = ANY($${params.length}::int[])`);
+        }
+        if (source.sinceColumn && since) {
+          params.push(since);
+          where.push(`${source.sinceColumn} > $${params.length}`);
+        }
+        if (source.sinceColumn) {
+          params.push(until);
+          where.push(`(${source.sinceColumn} IS NULL OR ${source.sinceColumn} <= $${params.length})`);
+        }
+        params.push(BATCH_SIZE);
+
+        const { rows } = await pool.query(`
+          SELECT ${source.select} FROM ${source.from}
+           WHERE ${where.join(' AND ')}
+           ORDER BY ${source.idColumn}
+           LIMIT $${params.length}
+        `, params);
+
+        if (rows.length === 0) break;
+
+        const resources = rows.flatMap(row => source.map(row));
+        if (resources.length) {
+          await fs.promises.appendFile(filePath, resources.map(r => JSON.stringify(r)).join('\n') + '\n');
+          count += resources.length;
+        }
+
+        lastId = rows[rows.length - 1].id;
+        if (rows.length < BATCH_SIZE) break;
+      }
+    }
+
+    return count;
+  }
+
+  async isCancelled(jobId) {
+    const { rows } = await pool.query('SELECT status FROM fhir_bulk_exports WHERE id = $1', [jobId]);
+    return !rows[0] || rows[0].status === 'cancelled';
+  }
+}
+
+export default new FHIRBulkExportService();
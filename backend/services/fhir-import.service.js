@@ -0,0 +1,732 @@
+// FHIR Bundle Import Service
+// Upserts Patient, AllergyIntolerance, Condition, MedicationStatement, Immunization and
+// Observation resources from transaction/collection Bundles sent by other systems
+
+import pool from '../db/index.js';
+import { SYSTEMS, VITAL_SIGNS, BLOOD_PRESSURE } from './fhir.service.js';
+
+const IMPORT_ORDER = ['Patient', 'AllergyIntolerance', 'Condition', 'MedicationStatement', 'Immunization', 'Observation'];
+
+const CVX_SYSTEM = 'http://hl7.org/fhir/sid/cvx';
+const ICD10_SYSTEMS = [SYSTEMS.ICD10, 'http://hl7.org/fhir/sid/icd-10', 'urn:oid:2.16.840.1.113883.6.90'];
+const ABNORMAL_INTERPRETATIONS = ['A', 'AA', 'H', 'HH', 'HU', 'L', 'LL', 'LU', 'POS', 'R', 'RR'];
+
+/**
+ * Error for a single Bundle entry; becomes that entry's OperationOutcome
+ */
+export class ImportEntryError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'ImportEntryError';
+    this.code = code;
+  }
+}
+
+class FHIRImportService {
+  /**
+   * Import a transaction or collection Bundle
+   * Transactions are all-or-nothing; collections commit every entry that succeeds.
+   * @param {Object} bundle - FHIR Bundle
+   * @param {number} userId - Importing user
+   * @returns {Object} { status, bundle } - HTTP status and response Bundle with per-entry outcomes
+   */
+  async importBundle(bundle, userId) {
+    this.validateBundle(bundle);
+
+    const isTransaction = bundle.type === 'transaction';
+    const entries = (bundle.entry || []).map((entry, index) => ({ index, entry, resource: entry.resource || {} }));
+    const responses = new Array(entries.length);
+
+    // Patients go first so every other entry can resolve its subject reference
+    const ordered = [...entries].sort((a, b) =>
+      this.importRank(a.resource.resourceType) - this.importRank(b.resource.resourceType) || a.index - b.index);
+
+    const client = await pool.connect();
+    const context = { client, userId, patientRefs: new Map() };
+    let failed = false;
+
+    try {
+      await client.query('BEGIN');
+
+      for (const item of ordered) {
+        if (isTransaction && failed) {
+          responses[item.index] = this.entryResponse('400 Bad Request', null,
+            this.outcome('Not processed: transaction failed on another entry', 'information', 'processing'));
+          continue;
+        }
+
+        await client.query('SAVEPOINT bundle_entry');
+        try {
+          const result = await this.importEntry(item.entry, context);
+          await client.query('RELEASE SAVEPOINT bundle_entry');
+          responses[item.index] = this.entryResponse(
+            result.status,
+            result.location,
+            this.outcome(result.message, result.severity || 'information', result.severity === 'warning' ? 'not-supported' : 'informational')
+          );
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT bundle_entry');
+          failed = true;
+          if (!(error instanceof ImportEntryError)) {
+            console.error('[FHIRImportService] Error importing entry:', error);
+          }
+          responses[item.index] = this.entryResponse(
+            error instanceof ImportEntryError ? '400 Bad Request' : '500 Internal Server Error',
+            null,
+            this.outcome(error.message, 'error', error.code || 'exception')
+          );
+        }
+      }
+
+      if (isTransaction && failed) {
+        await client.query('ROLLBACK');
+        // Earlier successes were rolled back with the transaction
+        for (const response of responses) {
+          if (response.response.status.startsWith('2')) {
+            response.response = this.entryResponse('400 Bad Request', null,
+              this.outcome('Rolled back: transaction failed on another entry', 'information', 'processing')).response;
+          }
+        }
+      } else {
+        await client.query('COMMIT');
+      }
+
+      const imported = responses.filter(r => r.response.status.startsWith('2')).length;
+      console.log(`[FHIRImportService] Imported ${imported}/${entries.length} entries from ${bundle.type} bundle (user ${userId})`);
+
+      return {
+        status: isTransaction && failed ? 400 : 200,
+        bundle: {
+          resourceType: 'Bundle',
+          type: isTransaction ? 'transaction-response' : 'batch-response',
+          entry: responses
+        }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('[FHIRImportService] Error importing bundle:', error);
+      throw new Error(`Failed to import bundle: ${error.message}`);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Reject anything that is not an importable Bundle
+   * @param {Object} bundle - Request body
+   */
+  validateBundle(bundle) {
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      throw new ImportEntryError('Request body must be a FHIR Bundle');
+    }
+    if (!['transaction', 'collection'].includes(bundle.type)) {
+      throw new ImportEntryError(`Unsupported Bundle type: ${bundle.type} (expected transaction or collection)`, 'not-supported');
+    }
+    if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+      throw new ImportEntryError('Bundle has no entries', 'required');
+    }
+  }
+
+  importRank(resourceType) {
+    const rank = IMPORT_ORDER.indexOf(resourceType);
+    return rank === -1 ? IMPORT_ORDER.length : rank;
+  }
+
+  /**
+   * Import one entry
+   * @param {Object} entry - Bundle entry
+   * @param {Object} context - { client, userId, patientRefs }
+   * @returns {Object} { status, location, message, severity }
+   */
+  async importEntry(entry, context) {
+    const resource = entry.resource;
+    if (!resource || !resource.resourceType) {
+      throw new ImportEntryError('Entry has no resource', 'required');
+    }
+
+    const method = entry.request?.method;
+    if (method && !['POST', 'PUT'].includes(method)) {
+      throw new ImportEntryError(`Unsupported request method ${method}`, 'not-supported');
+    }
+
+    switch (resource.resourceType) {
+      case 'Patient': return this.importPatient(entry, context);
+      case 'AllergyIntolerance': return this.importAllergy(resource, context);
+      case 'Condition': return this.importCondition(resource, context);
+      case 'MedicationStatement': return this.importMedicationStatement(resource, context);
+      case 'Immunization': return this.importImmunization(resource, context);
+      case 'Observation': return this.importObservation(resource, context);
+      default:
+        return {
+          status: '200 OK',
+          location: null,
+          message: `Skipped: ${resource.resourceType} resources are not imported`,
+          severity: 'warning'
+        };
+    }
+  }
+
+  /* ---------- Patient ---------- */
+
+  /**
+   * Convert a FHIR Patient into patients columns
+   * @param {Object} resource - Patient resource
+   * @returns {Object} Column values plus { mrn, identifiers }
+   */
+  parsePatient(resource) {
+    const name = (resource.name || []).find(n => n.use === 'official') || (resource.name || [])[0] || {};
+    const phone = (resource.telecom || []).find(t => t.system === 'phone' && t.value);
+    const contact = (resource.contact || [])[0];
+    const contactPhone = contact && (contact.telecom || []).find(t => t.system === 'phone');
+    const language = (resource.communication || []).find(c => c.preferred) || (resource.communication || [])[0];
+
+    const { mrn, identifiers } = this.splitIdentifiers(resource.identifier || []);
+
+    return {
+      first_name: (name.given || [])[0] || null,
+      last_name: name.family || null,
+      dob: resource.birthDate || null,
+      gender: resource.gender || null,
+      phone: phone ? phone.value : null,
+      race: this.usCoreCategoryText(resource, SYSTEMS.US_CORE_RACE),
+      ethnicity: this.usCoreCategoryText(resource, SYSTEMS.US_CORE_ETHNICITY),
+      preferred_language: language ? this.conceptText(language.language) : null,
+      marital_status: this.conceptText(resource.maritalStatus),
+      emergency_contact_name: contact?.name ? (contact.name.text || [...(contact.name.given || []), contact.name.family].filter(Boolean).join(' ')) : null,
+      emergency_contact_phone: contactPhone ? contactPhone.value : null,
+      emergency_contact_relationship: contact ? this.conceptText((contact.relationship || [])[0]) : null,
+      mrn,
+      identifiers
+    };
+  }
+
+  /**
+   * Split identifiers into our MRN and a key/value map for the identifiers column
+   * @param {Array} identifiers - FHIR Identifier[]
+   * @returns {Object} { mrn, identifiers }
+   */
+  splitIdentifiers(identifiers) {
+    let mrn = null;
+    const extra = {};
+
+    for (const identifier of identifiers) {
+      if (!identifier || !identifier.value) continue;
+      const value = String(identifier.value);
+
+      if (identifier.system === SYSTEMS.MRN) {
+        mrn = value;
+      } else if (identifier.system) {
+        const key = identifier.system.startsWith(SYSTEMS.IDENTIFIER_PREFIX)
+          ? identifier.system.slice(SYSTEMS.IDENTIFIER_PREFIX.length)
+          : identifier.system;
+        // Never persist SSNs in the clear through this path
+        if (/ssn|2\.16\.840\.1\.113883\.4\.1$/i.test(key)) continue;
+        extra[key] = value;
+      } else {
+        extra.external = value;
+      }
+    }
+
+    return { mrn, identifiers: extra };
+  }
+
+  usCoreCategoryText(resource, url) {
+    const ext = (resource.extension || []).find(e => e.url === url);
+    if (!ext) return null;
+    const text = (ext.extension || []).find(e => e.url === 'text');
+    if (text?.valueString) return text.valueString;
+    const omb = (ext.extension || []).find(e => e.url === 'ombCategory');
+    return omb?.valueCoding?.display || omb?.valueCoding?.code || null;
+  }
+
+  /**
+   * Find an existing patient by MRN or any stored identifier
+   * @param {Object} client - DB client
+   * @param {Object} parsed - { mrn, identifiers }
+   * @returns {number|null} Patient id
+   */
+  async matchPatient(client, { mrn, identifiers }) {
+    if (mrn) {
+      const { rows } = await client.query('SELECT id FROM patients WHERE mrn = $1', [mrn]);
+      if (rows[0]) return rows[0].id;
+    }
+
+    for (const [key, value] of Object.entries(identifiers || {})) {
+      const { rows } = await client.query(
+        `SELECT id FROM patients
+          WHERE jsonb_typeof(identifiers) = 'object' AND identifiers ->> $1 = $2
+          ORDER BY id LIMIT 1`,
+        [key, value]
+      );
+      if (rows[0]) return rows[0].id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Next MRN in the MRN-000001 sequence used by registration
+   * @param {Object} client - DB client
+   * @returns {string} New MRN
+   */
+  async generateMRN(client) {
+    const { rows } = await client.query(`
+      SELECT COALESCE(MAX(SUBSTRING(mrn FROM '^MRN-(\\d+)$')::int), 0) + 1 AS next
+        FROM patients
+       WHERE mrn ~ '^MRN-\\d+$'
+    `);
+    return `MRN-${String(rows[0].next).padStart(6, '0')}`;
+  }
+
+  async importPatient(entry, { client, patientRefs }) {
+    const resource = entry.resource;
+    const data = this.parsePatient(resource);
+
+    if (!data.last_name || !data.first_name) {
+      throw new ImportEntryError('Patient.name must include family and given names', 'required');
+    }
+
+    const existingId = await this.matchPatient(client, data);
+    let patientId;
+    let status;
+
+    if (existingId) {
+      await client.query(`
+        UPDATE patients SET
+          first_name = COALESCE($2, first_name),
+          last_name = COALESCE($3, last_name),
+          dob = COALESCE($4, dob),
+          gender = COALESCE($5, gender),
+          phone = COALESCE($6, phone),
+          race = COALESCE($7, race),
+          ethnicity = COALESCE($8, ethnicity),
+          preferred_language = COALESCE($9, preferred_language),
+          marital_status = COALESCE($10, marital_status),
+          emergency_contact_name = COALESCE($11, emergency_contact_name),
+          emergency_contact_phone = COALESCE($12, emergency_contact_phone),
+          emergency_contact_relationship = COALESCE($13, emergency_contact_relationship),
+          identifiers = CASE WHEN jsonb_typeof(identifiers) = 'object' THEN identifiers ELSE '{}'::jsonb END || $14::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [
+        existingId, data.first_name, data.last_name, data.dob, data.gender, data.phone,
+        data.race, data.ethnicity, data.preferred_language, data.marital_status,
+        data.emergency_contact_name, data.emergency_contact_phone, data.emergency_contact_relationship,
+        JSON.stringify(data.identifiers)
+      ]);
+      patientId = existingId;
+      status = '200 OK';
+    } else {
+      const mrn = data.mrn || await this.generateMRN(client);
+      const { rows } = await client.query(`
+        INSERT INTO patients (
+          mrn, identifiers, first_name, last_name, dob, gender, phone,
+          race, ethnicity, preferred_language, marital_status,
+          emergency_contact_name, emergency_contact_phone, emergency_contact_relationship
+        ) VALUES ($1, $2::jsonb, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING id
+      `, [
+        mrn, JSON.stringify(data.identifiers), data.first_name, data.last_name, data.dob, data.gender, data.phone,
+        data.race, data.ethnicity, data.preferred_language, data.marital_status,
+        data.emergency_contact_name, data.emergency_contact_phone, data.emergency_contact_relationship
+      ]);
+      patientId = rows[0].id;
+      status = '201 Created';
+    }
+
+    // Remember how other entries may refer to this patient
+    if (entry.fullUrl) patientRefs.set(entry.fullUrl, patientId);
+    if (resource.id) patientRefs.set(`Patient/${resource.id}`, patientId);
+
+    return {
+      status,
+      location: `Patient/${patientId}`,
+      message: existingId ? `Matched existing Patient/${patientId}` : `Created Patient/${patientId}`
+    };
+  }
+
+  /**
+   * Resolve a subject/patient reference to a local patient id
+   * @param {Object} reference - FHIR Reference
+   * @param {Object} context - Import context
+   * @returns {number} Patient id
+   */
+  async resolvePatient(reference, { client, patientRefs }) {
+    const ref = reference?.reference;
+    if (!ref) {
+      throw new ImportEntryError('Resource has no patient reference', 'required');
+    }
+
+    if (patientRefs.has(ref)) return patientRefs.get(ref);
+
+    // Full URLs of earlier entries may be referenced by their relative form and vice versa
+    const relative = /(Patient\/[^/]+)$/.exec(ref);
+    if (relative && patientRefs.has(relative[1])) return patientRefs.get(relative[1]);
+
+    // Conditional reference: Patient?identifier=system|value
+    const conditional = /^Patient\?identifier=(.+)$/.exec(ref);
+    if (conditional) {
+      const token = decodeURIComponent(conditional[1]);
+      const idx = token.indexOf('|');
+      const system = idx === -1 ? null : token.slice(0, idx);
+      const value = idx === -1 ? token : token.slice(idx + 1);
+      const parsed = this.splitIdentifiers([{ system: system || SYSTEMS.MRN, value }]);
+      const id = await this.matchPatient(client, parsed);
+      if (id) return id;
+    }
+
+    throw new ImportEntryError(`Unresolvable patient reference: ${ref}`, 'not-found');
+  }
+
+  /* ---------- Clinical resources ---------- */
+
+  async importAllergy(resource, context) {
+    const { client } = context;
+    const patientId = await this.resolvePatient(resource.patient, context);
+
+    const substance = this.conceptText(resource.code);
+    if (!substance) {
+      throw new ImportEntryError('AllergyIntolerance.code is required', 'required');
+    }
+
+    const category = (resource.category || [])[0];
+    const type = ['medication', 'food', 'environment'].includes(category) ? category : 'other';
+    const reaction = (resource.reaction || [])[0];
+    const severity = reaction?.severity || (resource.criticality === 'high' ? 'severe' : null);
+    const clinicalStatus = resource.clinicalStatus?.coding?.[0]?.code;
+    const active = !['inactive', 'resolved'].includes(clinicalStatus);
+    const notedAt = resource.recordedDate || resource.onsetDateTime || null;
+
+    const reactionText = reaction ? this.conceptText((reaction.manifestation || [])[0]) || reaction.description || null : null;
+
+    const existing = await client.query(
+      'SELECT id FROM allergies WHERE patient_id = $1 AND LOWER(substance) = LOWER($2) ORDER BY id LIMIT 1',
+      [patientId, substance]
+    );
+
+    if (existing.rows[0]) {
+      await client.query(`
+        UPDATE allergies SET
+          type = $2, reaction = COALESCE($3, reaction), severity = COALESCE($4, severity), active = $5
+        WHERE id = $1
+      `, [existing.rows[0].id, type, reactionText, severity, active]);
+      return this.updated('AllergyIntolerance', existing.rows[0].id);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO allergies (patient_id, type, substance, reaction, severity, active, noted_at)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamptz, CURRENT_TIMESTAMP))
+      RETURNING id
+    `, [patientId, type, substance, reactionText, severity, active, notedAt]);
+    return this.created('AllergyIntolerance', rows[0].id);
+  }
+
+  async importCondition(resource, context) {
+    const { client } = context;
+    const patientId = await this.resolvePatient(resource.subject, context);
+
+    const coding = this.pickCoding(resource.code, ICD10_SYSTEMS);
+    const code = coding?.code || null;
+    const description = resource.code?.text || coding?.display || code;
+    if (!description) {
+      throw new ImportEntryError('Condition.code is required', 'required');
+    }
+
+    const clinicalStatus = resource.clinicalStatus?.coding?.[0]?.code;
+    const status = ['resolved', 'inactive', 'remission'].includes(clinicalStatus) ? 'resolved' : 'active';
+    const onset = this.toDate(resource.onsetDateTime || resource.onsetPeriod?.start);
+    const resolved = this.toDate(resource.abatementDateTime || resource.abatementPeriod?.end);
+    const notes = (resource.note || []).map(n => n.text).filter(Boolean).join('\n') || null;
+
+    const existing = await client.query(
+      code
+        ? 'SELECT id FROM problems WHERE patient_id = $1 AND code = $2 ORDER BY id LIMIT 1'
+        : 'SELECT id FROM problems WHERE patient_id = $1 AND LOWER(description) = LOWER($2) ORDER BY id LIMIT 1',
+      [patientId, code || description]
+    );
+
+    if (existing.rows[0]) {
+      await client.query(`
+        UPDATE problems SET
+          description = $2, status = $3,
+          onset_date = COALESCE($4, onset_date), resolved_date = COALESCE($5, resolved_date),
+          notes = COALESCE($6, notes)
+        WHERE id = $1
+      `, [existing.rows[0].id, description, status, onset, resolved, notes]);
+      return this.updated('Condition', `problem-${existing.rows[0].id}`);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO problems (patient_id, code, description, status, onset_date, resolved_date, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [patientId, code, description, status, onset, resolved, notes]);
+    return this.created('Condition', `problem-${rows[0].id}`);
+  }
+
+  async importMedicationStatement(resource, context) {
+    const { client } = context;
+    const patientId = await this.resolvePatient(resource.subject, context);
+
+    const name = this.conceptText(resource.medicationCodeableConcept);
+    if (!name) {
+      throw new ImportEntryError('MedicationStatement.medicationCodeableConcept is required', 'required');
+    }
+
+    const dosage = (resource.dosage || [])[0] || {};
+    const doseQuantity = dosage.doseAndRate?.[0]?.doseQuantity;
+    const dose = doseQuantity ? [doseQuantity.value, doseQuantity.unit].filter(v => v !== undefined).join(' ') : null;
+    const route = this.conceptText(dosage.route);
+    const frequency = this.conceptText(dosage.timing?.code) || dosage.text || null;
+    const startedAt = this.toDate(resource.effectivePeriod?.start || resource.effectiveDateTime);
+    const endedAt = this.toDate(resource.effectivePeriod?.end);
+    const active = ['active', 'intended', 'on-hold'].includes(resource.status);
+
+    const existing = await client.query(
+      'SELECT id FROM patient_medications WHERE patient_id = $1 AND LOWER(name) = LOWER($2) ORDER BY active DESC, id DESC LIMIT 1',
+      [patientId, name]
+    );
+
+    if (existing.rows[0]) {
+      await client.query(`
+        UPDATE patient_medications SET
+          dose = COALESCE($2, dose), route = COALESCE($3, route), frequency = COALESCE($4, frequency),
+          started_at = COALESCE($5, started_at), ended_at = COALESCE($6, ended_at), active = $7
+        WHERE id = $1
+      `, [existing.rows[0].id, dose, route, frequency, startedAt, endedAt, active]);
+      return this.updated('MedicationStatement', existing.rows[0].id);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO patient_medications (patient_id, name, dose, route, frequency, started_at, ended_at, active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id
+    `, [patientId, name, dose, route, frequency, startedAt, endedAt, active]);
+    return this.created('MedicationStatement', rows[0].id);
+  }
+
+  async importImmunization(resource, context) {
+    const { client } = context;
+    const patientId = await this.resolvePatient(resource.patient, context);
+
+    if (resource.status === 'not-done') {
+      return { status: '200 OK', location: null, message: 'Skipped: immunization was not administered', severity: 'warning' };
+    }
+
+    const coding = this.pickCoding(resource.vaccineCode, [CVX_SYSTEM]);
+    const vaccineName = resource.vaccineCode?.text || coding?.display || coding?.code;
+    const administeredDate = this.toDate(resource.occurrenceDateTime);
+    if (!vaccineName) {
+      throw new ImportEntryError('Immunization.vaccineCode is required', 'required');
+    }
+    if (!administeredDate) {
+      throw new ImportEntryError('Immunization.occurrenceDateTime is required', 'required');
+    }
+
+    const existing = await client.query(`
+      SELECT id FROM patient_vaccinations
+       WHERE patient_id = $1 AND administered_date = $2
+         AND (vaccine_code = $3 OR LOWER(vaccine_name) = LOWER($4))
+       ORDER BY id LIMIT 1
+    `, [patientId, administeredDate, coding?.code || null, vaccineName]);
+
+    if (existing.rows[0]) {
+      return this.updated('Immunization', existing.rows[0].id, 'Already recorded');
+    }
+
+    const doseQuantity = resource.doseQuantity;
+    const notes = (resource.note || []).map(n => n.text).filter(Boolean).join('\n') || null;
+    const { rows } = await client.query(`
+      INSERT INTO patient_vaccinations (
+        patient_id, vaccine_name, vaccine_code, lot_number, manufacturer, expiration_date,
+        administered_date, route, site, dose, dose_number, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+    `, [
+      patientId,
+      vaccineName,
+      coding?.code || null,
+      resource.lotNumber || null,
+      resource.manufacturer?.display || null,
+      resource.expirationDate || null,
+      administeredDate,
+      this.conceptText(resource.route),
+      this.conceptText(resource.site),
+      doseQuantity ? [doseQuantity.value, doseQuantity.unit].filter(v => v !== undefined).join(' ') : null,
+      resource.protocolApplied?.[0]?.doseNumberPositiveInt || null,
+      notes
+    ]);
+    return this.created('Immunization', rows[0].id);
+  }
+
+  async importObservation(resource, context) {
+    const patientId = await this.resolvePatient(resource.subject, context);
+    const loinc = this.pickCoding(resource.code, [SYSTEMS.LOINC], false);
+
+    const vital = loinc && VITAL_SIGNS.find(vs => vs.code === loinc.code);
+    if (vital || loinc?.code === BLOOD_PRESSURE.code) {
+      return this.importVitalSign(resource, patientId, vital, context);
+    }
+
+    return this.importLabObservation(resource, patientId, loinc, context);
+  }
+
+  /**
+   * Vital sign Observations are merged into the vitals row recorded at the same time
+   */
+  async importVitalSign(resource, patientId, vital, { client }) {
+    const takenAt = resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued;
+    if (!takenAt) {
+      throw new ImportEntryError('Observation.effective[x] is required for vital signs', 'required');
+    }
+
+    const values = {};
+    if (vital) {
+      const value = this.convertVital(vital, resource.valueQuantity);
+      if (value === null) {
+        throw new ImportEntryError(`Observation ${vital.display} has no usable valueQuantity`, 'value');
+      }
+      values[vital.column] = value;
+    } else {
+      for (const component of resource.component || []) {
+        const code = this.pickCoding(component.code, [SYSTEMS.LOINC], false)?.code;
+        if (code === BLOOD_PRESSURE.systolic.code) values.systolic = Math.round(component.valueQuantity?.value);
+        if (code === BLOOD_PRESSURE.diastolic.code) values.diastolic = Math.round(component.valueQuantity?.value);
+      }
+      if (!Number.isFinite(values.systolic) && !Number.isFinite(values.diastolic)) {
+        throw new ImportEntryError('Blood pressure Observation has no systolic/diastolic components', 'value');
+      }
+    }
+
+    const columns = Object.keys(values);
+    const existing = await client.query(
+      'SELECT id FROM vitals WHERE patient_id = $1 AND taken_at = $2 ORDER BY id LIMIT 1',
+      [patientId, takenAt]
+    );
+
+    if (existing.rows[0]) {
+      const sets = columns.map((c, i) => `${c} = $${i + 2}`).join(', ');
+      await client.query(`UPDATE vitals SET ${sets} WHERE id = $1`, [existing.rows[0].id, ...columns.map(c => values[c])]);
+      return this.updated('Observation', `vitals-${existing.rows[0].id}-${vital ? vital.key : BLOOD_PRESSURE.key}`);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO vitals (patient_id, taken_at, ${columns.join(', ')})
+      VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(', ')})
+      RETURNING id
+    `, [patientId, takenAt, ...columns.map(c => values[c])]);
+    return this.created('Observation', `vitals-${rows[0].id}-${vital ? vital.key : BLOOD_PRESSURE.key}`);
+  }
+
+  /**
+   * Convert a vital sign quantity to the unit stored on the vitals table
+   * @param {Object} vital - VITAL_SIGNS entry
+   * @param {Object} quantity - FHIR Quantity
+   * @returns {number|null} Value in the stored unit
+   */
+  convertVital(vital, quantity) {
+    if (!quantity || typeof quantity.value !== 'number') return null;
+    const unit = quantity.code || quantity.unit;
+    let value = quantity.value;
+
+    if (vital.column === 'weight_kg' && ['[lb_av]', 'lb', 'lbs'].includes(unit)) value = value * 0.45359237;
+    if (vital.column === 'height_cm' && ['[in_i]', 'in'].includes(unit)) value = value * 2.54;
+    if (vital.column === 'height_cm' && unit === 'm') value = value * 100;
+    if (vital.column === 'temp_c' && ['[degF]', 'degF', '°F'].includes(unit)) value = (value - 32) * 5 / 9;
+
+    if (['pulse', 'spo2'].includes(vital.column)) return Math.round(value);
+    return Math.round(value * 10) / 10;
+  }
+
+  async importLabObservation(resource, patientId, loinc, { client }) {
+    const label = resource.code?.text || loinc?.display || loinc?.code;
+    if (!label) {
+      throw new ImportEntryError('Observation.code is required', 'required');
+    }
+
+    const observedAt = resource.effectiveDateTime || resource.effectivePeriod?.start || resource.issued || null;
+    const quantity = resource.valueQuantity;
+    const valueNum = quantity && typeof quantity.value === 'number' ? quantity.value : null;
+    const valueText = valueNum === null
+      ? (resource.valueString ?? this.conceptText(resource.valueCodeableConcept) ?? null)
+      : null;
+    const interpretation = resource.interpretation?.[0]?.coding?.[0]?.code || this.conceptText(resource.interpretation?.[0]);
+    const referenceRange = resource.referenceRange?.[0];
+    const rangeText = referenceRange
+      ? referenceRange.text || [referenceRange.low?.value, referenceRange.high?.value].filter(v => v !== undefined).join('-') || null
+      : null;
+
+    const existing = await client.query(`
+      SELECT id FROM observations
+       WHERE patient_id = $1 AND observed_at IS NOT DISTINCT FROM $2
+         AND (loinc_code = $3 OR ($3 IS NULL AND LOWER(label) = LOWER($4)))
+       ORDER BY id LIMIT 1
+    `, [patientId, observedAt, loinc?.code || null, label]);
+
+    if (existing.rows[0]) {
+      await client.query(`
+        UPDATE observations SET
+          value_num = $2, value_text = $3, unit = $4, reference_range = $5, interpretation = $6, abnormal = $7
+        WHERE id = $1
+      `, [existing.rows[0].id, valueNum, valueText, quantity?.unit || quantity?.code || null, rangeText,
+        interpretation, interpretation ? ABNORMAL_INTERPRETATIONS.includes(interpretation) : null]);
+      return this.updated('Observation', `obs-${existing.rows[0].id}`);
+    }
+
+    const { rows } = await client.query(`
+      INSERT INTO observations (
+        patient_id, loinc_code, label, value_num, value_text, unit, reference_range, interpretation, abnormal, observed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id
+    `, [
+      patientId, loinc?.code || null, label, valueNum, valueText, quantity?.unit || quantity?.code || null,
+      rangeText, interpretation, interpretation ? ABNORMAL_INTERPRETATIONS.includes(interpretation) : null, observedAt
+    ]);
+    return this.created('Observation', `obs-${rows[0].id}`);
+  }
+
+  /* ---------- Helpers ---------- */
+
+  conceptText(concept) {
+    if (!concept) return null;
+    return concept.text || concept.coding?.[0]?.display || concept.coding?.[0]?.code || null;
+  }
+
+  // Prefer a coding from one of the given systems; optionally fall back to the first coding
+  pickCoding(concept, systems, fallback = true) {
+    const codings = concept?.coding || [];
+    return codings.find(c => systems.includes(c.system)) || (fallback ? codings[0] : null) || null;
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    return String(value).slice(0, 10);
+  }
+
+  created(type, id) {
+    return { status: '201 Created', location: `${type}/${id}`, message: `Created ${type}/${id}` };
+  }
+
+  updated(type, id, message) {
+    return { status: '200 OK', location: `${type}/${id}`, message: message || `Updated existing ${type}/${id}` };
+  }
+
+  entryResponse(status, location, outcome) {
+    return {
+      response: {
+        status,
+        location: location || undefined,
+        outcome
+      }
+    };
+  }
+
+  outcome(message, severity, code) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity, code, diagnostics: message }]
+    };
+  }
+}
+
+export default new FHIRImportService();
@@ -0,0 +1,1551 @@
+// FHIR R4 Service
+// Maps EMR tables onto FHIR R4 resources and implements the read/search
+// operations exposed under /api/fhir/R4
+
+import pool from '../db/index.js';
+
+export const FHIR_VERSION = '4.0.1';
+
+// Identifier / terminology systems
+export const SYSTEMS = {
+  MRN: process.env.FHIR_MRN_SYSTEM || 'urn:emr:mrn',
+  IDENTIFIER_PREFIX: 'urn:emr:identifier:',
+  LOINC: 'http://loinc.org',
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  ICD10: 'http://hl7.org/fhir/sid/icd-10-cm',
+  SNOMED: 'http://snomed.info/sct',
+  UCUM: 'http://unitsofmeasure.org',
+  ADMIN_GENDER: 'http://hl7.org/fhir/administrative-gender',
+  OBSERVATION_CATEGORY: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  INTERPRETATION: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  ACT_CODE: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  MARITAL_STATUS: 'http://terminology.hl7.org/CodeSystem/v3-MaritalStatus',
+  ALLERGY_CLINICAL: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  ALLERGY_VERIFICATION: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+  CONDITION_CLINICAL: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  CONDITION_VERIFICATION: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  CONDITION_CATEGORY: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  MEDREQUEST_CATEGORY: 'http://terminology.hl7.org/CodeSystem/medicationrequest-category',
+  US_CORE_RACE: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race',
+  US_CORE_ETHNICITY: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity'
+};
+
+export const DEFAULT_COUNT = 50;
+export const MAX_COUNT = 500;
+// Merged searches read offset + count rows from every source, so deep paging is refused
+export const MAX_OFFSET = 10000;
+
+// Vital sign columns on the vitals table and their LOINC codes
+export const VITAL_SIGNS = [
+  { key: 'height', column: 'height_cm', code: '8302-2', display: 'Body height', unit: 'cm' },
+  { key: 'weight', column: 'weight_kg', code: '29463-7', display: 'Body weight', unit: 'kg' },
+  { key: 'heart-rate', column: 'pulse', code: '8867-4', display: 'Heart rate', unit: '/min' },
+  { key: 'temperature', column: 'temp_c', code: '8310-5', display: 'Body temperature', unit: 'Cel' },
+  { key: 'spo2', column: 'spo2', code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%' }
+];
+
+export const BLOOD_PRESSURE = {
+  key: 'bp',
+  code: '85354-9',
+  display: 'Blood pressure panel with all children optional',
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+const ENCOUNTER_STATUS = {
+  open: 'in-progress',
+  in_progress: 'in-progress',
+  'in-progress': 'in-progress',
+  planned: 'planned',
+  arrived: 'arrived',
+  completed: 'finished',
+  closed: 'finished',
+  finished: 'finished',
+  signed: 'finished',
+  cancelled: 'cancelled',
+  canceled: 'cancelled'
+};
+
+// Prescription lifecycle (034_create_prescriptions_table) -> MedicationRequest.status
+const PRESCRIPTION_STATUS = {
+  active: 'active',
+  completed: 'completed',
+  discontinued: 'stopped',
+  on_hold: 'on-hold',
+  expired: 'completed'
+};
+
+// Condition severity -> SNOMED CT severity codes
+const CONDITION_SEVERITY = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' }
+};
+
+const DATE_PREFIXES = { eq: '=', ne: '<>', gt: '>', lt: '<', ge: '>=', le: '<=', sa: '>', eb: '<' };
+
+/**
+ * Error raised for invalid FHIR requests; routes turn it into an OperationOutcome
+ */
+export class FHIRError extends Error {
+  constructor(message, status = 400, code = 'invalid') {
+    super(message);
+    this.name = 'FHIRError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class FHIRService {
+  /* ---------- Search parameter helpers ---------- */
+
+  /**
+   * Parse the _count parameter, clamped to MAX_COUNT
+   * @param {string} value - Raw _count value
+   * @returns {number} Page size
+   */
+  parseCount(value) {
+    if (value === undefined || value === null || value === '') return DEFAULT_COUNT;
+    const n = Number.parseInt(Array.isArray(value) ? value[0] : value, 10);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new FHIRError(`Invalid _count value: ${value}`);
+    }
+    return Math.min(n, MAX_COUNT);
+  }
+
+  /**
+   * Parse the _offset parameter (matches skipped before this page; set on next links), up to MAX_OFFSET
+   * @param {string} value - Raw _offset value
+   * @returns {number} Offset
+   */
+  parseOffset(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = Number.parseInt(Array.isArray(value) ? value[0] : value, 10);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new FHIRError(`Invalid _offset value: ${value}`);
+    }
+    if (n > MAX_OFFSET) {
+      throw new FHIRError(`_offset cannot exceed ${MAX_OFFSET}; narrow the search instead`, 400, 'too-costly');
+    }
+    return n;
+  }
+
+  /**
+   * Parse token parameters of the form [system|]code
+   * @param {string|string[]} value - Raw parameter value(s); commas mean OR
+   * @returns {Array} [{ system, code }]
+   */
+  parseTokens(value) {
+    const raw = Array.isArray(value) ? value : [value];
+    return raw
+      .flatMap(v => String(v).split(','))
+      .map(v => v.trim())
+      .filter(Boolean)
+      .map(v => {
+        const idx = v.indexOf('|');
+        if (idx === -1) return { system: null, code: v };
+        return { system: v.slice(0, idx) || null, code: v.slice(idx + 1) };
+      });
+  }
+
+  /**
+   * Parse date parameters with FHIR comparison prefixes (eq, gt, ge, lt, le...)
+   * @param {string|string[]} value - Raw parameter value(s); repeats mean AND
+   * @returns {Array} [{ operator, value }]
+   */
+  parseDates(value) {
+    const raw = Array.isArray(value) ? value : [value];
+    return raw.filter(Boolean).map(v => {
+      const match = /^(eq|ne|gt|lt|ge|le|sa|eb)?(\d{4}(-\d{2}(-\d{2}([T ][0-9:.]+(Z|[+-]\d{2}:\d{2})?)?)?)?)$/.exec(String(v).trim());
+      if (!match) {
+        throw new FHIRError(`Invalid date parameter: ${v}`);
+      }
+      return this.expandDate(match[1] || 'eq', match[2]);
+    }).flat();
+  }
+
+  /**
+   * Expand a partial date (e.g. 2024 or 2024-03) into SQL comparisons
+   * @param {string} prefix - FHIR comparison prefix
+   * @param {string} value - Date value as supplied
+   * @returns {Array} [{ operator, value }]
+   */
+  expandDate(prefix, value) {
+    let start = value;
+    let end = null;
+
+    if (/^\d{4}$/.test(value)) {
+      start = `${value}-01-01`;
+      end = `${Number(value) + 1}-01-01`;
+    } else if (/^\d{4}-\d{2}$/.test(value)) {
+      const [y, m] = value.split('-').map(Number);
+      start = `${value}-01`;
+      end = m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const next = new Date(`${value}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      end = next.toISOString().slice(0, 10);
+    }
+
+    if (!end) {
+      return [{ operator: DATE_PREFIXES[prefix], value }];
+    }
+
+    switch (prefix) {
+      case 'eq': return [{ operator: '>=', value: start }, { operator: '<', value: end }];
+      case 'ne': return [{ operator: 'NOT BETWEEN', value: [start, end] }];
+      case 'gt':
+      case 'sa': return [{ operator: '>=', value: end }];
+      case 'ge': return [{ operator: '>=', value: start }];
+      case 'lt':
+      case 'eb': return [{ operator: '<', value: start }];
+      case 'le': return [{ operator: '<', value: end }];
+      default: return [{ operator: '=', value: start }];
+    }
+  }
+
+  /**
+   * Append date comparisons for a column to a WHERE clause list
+   * @param {Array} where - WHERE fragments
+   * @param {Array} params - Query parameters
+   * @param {string} column - Column expression
+   * @param {Array} comparisons - Output of parseDates
+   */
+  addDateFilters(where, params, column, comparisons) {
+    for (const { operator, value } of comparisons) {
+      if (operator === 'NOT BETWEEN') {
+        params.push(value[0], value[1]);
+        where.push(`(${column} < $${params.length - 1} OR ${column} >= $${params.length})`);
+      } else {
+        params.push(value);
+        where.push(`${column} ${operator} $${params.length}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve a patient reference (123, Patient/123 or a full URL) to an id
+   * @param {string} reference - Reference value from a search parameter
+   * @returns {number} Patient id
+   */
+  parsePatientReference(reference) {
+    const value = String(Array.isArray(reference) ? reference[0] : reference);
+    const match = /(?:^|\/)(\d+)$/.exec(value);
+    if (!match) {
+      throw new FHIRError(`Invalid patient reference: ${value}`);
+    }
+    return Number(match[1]);
+  }
+
+  /**
+   * Check a date against parsed comparisons (used for in-memory filtering)
+   * @param {Date|string} date - Value to test
+   * @param {Array} comparisons - Output of parseDates
+   * @returns {boolean} Whether the date matches every comparison
+   */
+  matchesDate(date, comparisons) {
+    if (!comparisons.length) return true;
+    if (!date) return false;
+    const t = new Date(date).getTime();
+    return comparisons.every(({ operator, value }) => {
+      if (operator === 'NOT BETWEEN') {
+        return t < new Date(value[0]).getTime() || t >= new Date(value[1]).getTime();
+      }
+      const v = new Date(value).getTime();
+      switch (operator) {
+        case '>': return t > v;
+        case '>=': return t >= v;
+        case '<': return t < v;
+        case '<=': return t <= v;
+        case '<>': return t !== v;
+        default: return t === v;
+      }
+    });
+  }
+
+  /* ---------- Resource builders ---------- */
+
+  /**
+   * Format a date/timestamp as a FHIR date (YYYY-MM-DD)
+   */
+  toDate(value) {
+    if (!value) return undefined;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) return undefined;
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format a timestamp as a FHIR instant/dateTime
+   */
+  toDateTime(value) {
+    if (!value) return undefined;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? undefined : d.toISOString();
+  }
+
+  /**
+   * Drop undefined/null/empty values so resources stay minimal
+   */
+  compact(obj) {
+    if (Array.isArray(obj)) {
+      const arr = obj.map(v => this.compact(v)).filter(v => v !== undefined);
+      return arr.length ? arr : undefined;
+    }
+    if (obj && typeof obj === 'object' && !(obj instanceof Date)) {
+      const out = {};
+      for (const [k, v] of Object.entries(obj)) {
+        const c = this.compact(v);
+        if (c !== undefined) out[k] = c;
+      }
+      return Object.keys(out).length ? out : undefined;
+    }
+    if (obj === null || obj === undefined || obj === '') return undefined;
+    return obj;
+  }
+
+  /**
+   * Build the identifier list for a patient from mrn + identifiers JSONB
+   * @param {Object} row - patients row
+   * @returns {Array} FHIR Identifier[]
+   */
+  buildPatientIdentifiers(row) {
+    const identifiers = [];
+    if (row.mrn) {
+      identifiers.push({
+        use: 'usual',
+        type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR', display: 'Medical record number' }] },
+        system: SYSTEMS.MRN,
+        value: row.mrn
+      });
+    }
+
+    let extra = row.identifiers;
+    if (typeof extra === 'string') {
+      try { extra = JSON.parse(extra); } catch { extra = null; }
+    }
+    if (Array.isArray(extra)) {
+      for (const item of extra) {
+        if (item && item.value) identifiers.push({ system: item.system, value: String(item.value) });
+      }
+    } else if (extra && typeof extra === 'object') {
+      for (const [key, value] of Object.entries(extra)) {
+        // Never expose SSNs through the API, even if an old row still carries one
+        if (value === null || value === undefined || value === '' || /ssn/i.test(key)) continue;
+        if (typeof value === 'object') continue;
+        identifiers.push({ system: `${SYSTEMS.IDENTIFIER_PREFIX}${key}`, value: String(value) });
+      }
+    }
+    return identifiers;
+  }
+
+  mapGender(gender) {
+    const g = String(gender || '').toLowerCase();
+    if (['male', 'm'].includes(g)) return 'male';
+    if (['female', 'f'].includes(g)) return 'female';
+    if (['other', 'o', 'non-binary', 'nonbinary'].includes(g)) return 'other';
+    return g ? 'unknown' : undefined;
+  }
+
+  /**
+   * Map a patients row to a FHIR Patient
+   * @param {Object} row - patients row (optionally joined with provider)
+   * @returns {Object} Patient resource
+   */
+  toPatient(row) {
+    const extension = [];
+    if (row.race) {
+      extension.push({ url: SYSTEMS.US_CORE_RACE, extension: [{ url: 'text', valueString: row.race }] });
+    }
+    if (row.ethnicity) {
+      extension.push({ url: SYSTEMS.US_CORE_ETHNICITY, extension: [{ url: 'text', valueString: row.ethnicity }] });
+    }
+
+    return this.compact({
+      resourceType: 'Patient',
+      id: String(row.id),
+      meta: { lastUpdated: this.toDateTime(row.updated_at || row.created_at) },
+      extension,
+      identifier: this.buildPatientIdentifiers(row),
+      active: !row.merged_into_patient_id,
+      name: [{ use: 'official', family: row.last_name, given: [row.first_name].filter(Boolean) }],
+      telecom: row.phone ? [{ system: 'phone', value: row.phone }] : undefined,
+      gender: this.mapGender(row.gender),
+      birthDate: this.toDate(row.dob),
+      maritalStatus: row.marital_status ? { text: row.marital_status } : undefined,
+      contact: row.emergency_contact_name ? [{
+        relationship: [{ text: row.emergency_contact_relationship || 'Emergency contact' }],
+        name: { text: row.emergency_contact_name },
+        telecom: row.emergency_contact_phone ? [{ system: 'phone', value: row.emergency_contact_phone }] : undefined
+      }] : undefined,
+      communication: row.preferred_language ? [{ language: { text: row.preferred_language }, preferred: true }] : undefined,
+      generalPractitioner: row.provider_id ? [{
+        reference: `Practitioner/${row.provider_id}`,
+        display: [row.provider_first_name, row.provider_last_name].filter(Boolean).join(' ') || undefined
+      }] : undefined,
+      // Records retired by an ADT^A40 merge point at the surviving patient
+      link: row.merged_into_patient_id ? [{
+        other: { reference: `Patient/${row.merged_into_patient_id}` },
+        type: 'replaced-by'
+      }] : undefined
+    });
+  }
+
+  /**
+   * Map an encounters row to a FHIR Encounter
+   * @param {Object} row - encounters row
+   * @returns {Object} Encounter resource
+   */
+  toEncounter(row) {
+    const status = ENCOUNTER_STATUS[String(row.status || 'open').toLowerCase()] || 'unknown';
+    return this.compact({
+      resourceType: 'Encounter',
+      id: String(row.id),
+      meta: { lastUpdated: this.toDateTime(row.updated_at || row.created_at) },
+      identifier: row.encounter_number ? [{ system: `${SYSTEMS.IDENTIFIER_PREFIX}encounter`, value: row.encounter_number }] : undefined,
+      status,
+      class: { system: SYSTEMS.ACT_CODE, code: 'AMB', display: 'ambulatory' },
+      subject: { reference: `Patient/${row.patient_id}` },
+      participant: row.provider_id ? [{ individual: { reference: `Practitioner/${row.provider_id}` } }] : undefined,
+      appointment: row.appointment_id ? [{ reference: `Appointment/${row.appointment_id}` }] : undefined,
+      period: { start: this.toDateTime(row.created_at), end: this.toDateTime(row.ended_at) },
+      reasonCode: row.reason ? [{ text: row.reason }] : undefined
+    });
+  }
+
+  /**
+   * Expand a vitals row into one Observation per recorded measurement
+   * @param {Object} row - vitals row
+   * @returns {Array} Observation resources
+   */
+  vitalsToObservations(row) {
+    const base = (key, code, display) => ({
+      resourceType: 'Observation',
+      id: `vitals-${row.id}-${key}`,
+      status: 'final',
+      category: [{ coding: [{ system: SYSTEMS.OBSERVATION_CATEGORY, code: 'vital-signs', display: 'Vital Signs' }] }],
+      code: { coding: [{ system: SYSTEMS.LOINC, code, display }], text: display },
+      subject: { reference: `Patient/${row.patient_id}` },
+      encounter: row.encounter_id ? { reference: `Encounter/${row.encounter_id}` } : undefined,
+      effectiveDateTime: this.toDateTime(row.taken_at)
+    });
+    const quantity = (value, unit) => ({ value: Number(value), unit, system: SYSTEMS.UCUM, code: unit });
+
+    const observations = [];
+    for (const vs of VITAL_SIGNS) {
+      if (row[vs.column] === null || row[vs.column] === undefined) continue;
+      observations.push(this.compact({ ...base(vs.key, vs.code, vs.display), valueQuantity: quantity(row[vs.column], vs.unit) }));
+    }
+
+    if (row.systolic !== null && row.systolic !== undefined || row.diastolic !== null && row.diastolic !== undefined) {
+      const component = [];
+      if (row.systolic !== null && row.systolic !== undefined) {
+        component.push({
+          code: { coding: [{ system: SYSTEMS.LOINC, ...BLOOD_PRESSURE.systolic }] },
+          valueQuantity: quantity(row.systolic, 'mm[Hg]')
+        });
+      }
+      if (row.diastolic !== null && row.diastolic !== undefined) {
+        component.push({
+          code: { coding: [{ system: SYSTEMS.LOINC, ...BLOOD_PRESSURE.diastolic }] },
+          valueQuantity: quantity(row.diastolic, 'mm[Hg]')
+        });
+      }
+      observations.push(this.compact({ ...base(BLOOD_PRESSURE.key, BLOOD_PRESSURE.code, BLOOD_PRESSURE.display), component }));
+    }
+
+    return observations;
+  }
+
+  /**
+   * Map an observations row (lab result values) to a FHIR Observation
+   * @param {Object} row - observations row
+   * @returns {Object} Observation resource
+   */
+  labToObservation(row) {
+    const interpretation = row.interpretation
+      ? [{ coding: /^[A-Z]{1,2}$/.test(row.interpretation) ? [{ system: SYSTEMS.INTERPRETATION, code: row.interpretation }] : undefined, text: row.interpretation }]
+      : row.abnormal === true ? [{ coding: [{ system: SYSTEMS.INTERPRETATION, code: 'A', display: 'Abnormal' }] }] : undefined;
+
+    return this.compact({
+      resourceType: 'Observation',
+      id: `obs-${row.id}`,
+      meta: { lastUpdated: this.toDateTime(row.created_at) },
+      status: 'final',
+      category: [{ coding: [{ system: SYSTEMS.OBSERVATION_CATEGORY, code: 'laboratory', display: 'Laboratory' }] }],
+      code: {
+        coding: row.loinc_code ? [{ system: SYSTEMS.LOINC, code: row.loinc_code, display: row.label || undefined }] : undefined,
+        text: row.label || row.loinc_code
+      },
+      subject: { reference: `Patient/${row.patient_id}` },
+      basedOn: row.order_id ? [{ reference: `ServiceRequest/${row.order_id}` }] : undefined,
+      effectiveDateTime: this.toDateTime(row.observed_at || row.created_at),
+      valueQuantity: row.value_num !== null && row.value_num !== undefined
+        ? { value: Number(row.value_num), unit: row.unit || undefined, system: row.unit ? SYSTEMS.UCUM : undefined, code: row.unit || undefined }
+        : undefined,
+      valueString: (row.value_num === null || row.value_num === undefined) ? row.value_text : undefined,
+      interpretation,
+      referenceRange: row.reference_range ? [{ text: row.reference_range }] : undefined
+    });
+  }
+
+  /**
+   * Map an allergies row to a FHIR AllergyIntolerance
+   * @param {Object} row - allergies row
+   * @returns {Object} AllergyIntolerance resource
+   */
+  toAllergyIntolerance(row) {
+    const severity = String(row.severity || '').toLowerCase();
+    const reactionSeverity = ['mild', 'moderate', 'severe'].find(s => severity.includes(s));
+    const criticality = /severe|life|anaphyla/.test(severity) ? 'high' : severity ? 'low' : undefined;
+    const category = { medication: 'medication', food: 'food', environment: 'environment' }[row.type];
+
+    return this.compact({
+      resourceType: 'AllergyIntolerance',
+      id: String(row.id),
+      clinicalStatus: {
+        coding: [{ system: SYSTEMS.ALLERGY_CLINICAL, code: row.active === false ? 'inactive' : 'active' }]
+      },
+      verificationStatus: {
+        coding: [{ system: SYSTEMS.ALLERGY_VERIFICATION, code: 'confirmed' }]
+      },
+      type: 'allergy',
+      category: category ? [category] : undefined,
+      criticality,
+      code: { text: row.substance },
+      patient: { reference: `Patient/${row.patient_id}` },
+      recordedDate: this.toDateTime(row.noted_at),
+      reaction: row.reaction ? [{
+        manifestation: [{ text: row.reaction }],
+        severity: reactionSeverity
+      }] : undefined
+    });
+  }
+
+  /**
+   * Build a CodeableConcept for a medication with an RxNorm coding when known
+   * @param {string} rxcui - RxNorm concept id (may be null)
+   * @param {string} display - Medication name
+   * @returns {Object} CodeableConcept
+   */
+  medicationConcept(rxcui, display) {
+    return {
+      coding: rxcui ? [{ system: SYSTEMS.RXNORM, code: String(rxcui), display: display || undefined }] : undefined,
+      text: display
+    };
+  }
+
+  /**
+   * Map a prescriptions row to a FHIR MedicationRequest
+   * @param {Object} row - prescriptions row joined with medications/medications_master
+   * @returns {Object} MedicationRequest resource
+   */
+  toMedicationRequest(row) {
+    const status = PRESCRIPTION_STATUS[row.status] || 'unknown';
+    let statusReason;
+    if (row.status === 'discontinued') {
+      statusReason = { text: row.discontinue_reason || 'Discontinued' };
+    } else if (row.status === 'expired') {
+      statusReason = { text: 'Prescription expired' };
+    }
+
+    const doseQuantity = row.dose_numeric !== null && row.dose_numeric !== undefined
+      ? { value: Number(row.dose_numeric), unit: row.dose_unit || undefined }
+      : undefined;
+
+    return this.compact({
+      resourceType: 'MedicationRequest',
+      id: String(row.id),
+      meta: { lastUpdated: this.toDateTime(row.updated_at || row.created_at) },
+      identifier: row.external_rx_number ? [{ system: `${SYSTEMS.IDENTIFIER_PREFIX}rx-number`, value: row.external_rx_number }] : undefined,
+      status,
+      statusReason,
+      intent: 'order',
+      category: [{ coding: [{ system: SYSTEMS.MEDREQUEST_CATEGORY, code: 'outpatient', display: 'Outpatient' }] }],
+      medicationCodeableConcept: this.medicationConcept(row.rxcui, row.prescribed_name || row.generic_name),
+      subject: { reference: `Patient/${row.patient_id}` },
+      encounter: row.encounter_id ? { reference: `Encounter/${row.encounter_id}` } : undefined,
+      authoredOn: this.toDateTime(row.created_at),
+      requester: row.provider_id ? {
+        reference: `Practitioner/${row.provider_id}`,
+        display: [row.provider_first_name, row.provider_last_name].filter(Boolean).join(' ') || undefined
+      } : undefined,
+      reasonCode: row.indication ? [{ text: row.indication }] : undefined,
+      note: row.notes ? [{ text: row.notes }] : undefined,
+      dosageInstruction: [{
+        text: [row.dose, row.route, row.frequency].filter(Boolean).join(' '),
+        patientInstruction: row.instructions || undefined,
+        timing: row.frequency ? { code: { text: row.frequency } } : undefined,
+        route: row.route ? { text: row.route } : undefined,
+        doseAndRate: doseQuantity ? [{ doseQuantity }] : undefined
+      }],
+      dispenseRequest: {
+        validityPeriod: { start: this.toDate(row.start_date), end: this.toDate(row.end_date) },
+        numberOfRepeatsAllowed: row.refills !== null && row.refills !== undefined ? Number(row.refills) : undefined,
+        quantity: row.quantity ? { value: Number(row.quantity), unit: row.quantity_unit || undefined } : undefined,
+        expectedSupplyDuration: row.duration_days
+          ? { value: Number(row.duration_days), unit: 'days', system: SYSTEMS.UCUM, code: 'd' }
+          : undefined
+      }
+    });
+  }
+
+  /**
+   * Map a patient_medications row to a FHIR MedicationStatement
+   * @param {Object} row - patient_medications row joined with RxNorm lookups
+   * @returns {Object} MedicationStatement resource
+   */
+  toMedicationStatement(row) {
+    const ended = row.ended_at && new Date(row.ended_at).getTime() <= Date.now();
+    const status = row.active === false ? (ended ? 'completed' : 'stopped') : 'active';
+
+    return this.compact({
+      resourceType: 'MedicationStatement',
+      id: String(row.id),
+      status,
+      medicationCodeableConcept: this.medicationConcept(row.rxcui, row.name),
+      subject: { reference: `Patient/${row.patient_id}` },
+      effectivePeriod: { start: this.toDate(row.started_at), end: this.toDate(row.ended_at) },
+      dateAsserted: this.toDateTime(row.created_at),
+      dosage: (row.dose || row.route || row.frequency) ? [{
+        text: [row.dose, row.route, row.frequency].filter(Boolean).join(' '),
+        route: row.route ? { text: row.route } : undefined,
+        timing: row.frequency ? { code: { text: row.frequency } } : undefined
+      }] : undefined
+    });
+  }
+
+  /**
+   * Build a Condition.code concept for an ICD-10 code
+   */
+  conditionConcept(code, description) {
+    return {
+      coding: code ? [{ system: SYSTEMS.ICD10, code, display: description || undefined }] : undefined,
+      text: description || code
+    };
+  }
+
+  /**
+   * Map a problems row to a FHIR Condition (problem list item)
+   * @param {Object} row - problems row, optionally joined with icd10_diagnoses
+   * @returns {Object} Condition resource
+   */
+  problemToCondition(row) {
+    const resolved = String(row.status || '').toLowerCase() === 'resolved';
+    return this.compact({
+      resourceType: 'Condition',
+      id: `problem-${row.id}`,
+      clinicalStatus: { coding: [{ system: SYSTEMS.CONDITION_CLINICAL, code: resolved ? 'resolved' : 'active' }] },
+      verificationStatus: { coding: [{ system: SYSTEMS.CONDITION_VERIFICATION, code: 'confirmed' }] },
+      category: [{ coding: [{ system: SYSTEMS.CONDITION_CATEGORY, code: 'problem-list-item', display: 'Problem List Item' }] }],
+      code: this.conditionConcept(row.code, row.icd10_description || row.description),
+      subject: { reference: `Patient/${row.patient_id}` },
+      onsetDateTime: this.toDate(row.onset_date),
+      abatementDateTime: resolved ? this.toDate(row.resolved_date) : undefined,
+      note: row.notes ? [{ text: row.notes }] : undefined
+    });
+  }
+
+  /**
+   * Map a chronic_conditions row to a FHIR Condition (problem list item)
+   * @param {Object} row - chronic_conditions row, optionally joined with icd10_diagnoses
+   * @returns {Object} Condition resource
+   */
+  chronicToCondition(row) {
+    const severity = CONDITION_SEVERITY[row.severity];
+    return this.compact({
+      resourceType: 'Condition',
+      id: `chronic-${row.id}`,
+      meta: { lastUpdated: this.toDateTime(row.updated_at || row.created_at) },
+      clinicalStatus: { coding: [{ system: SYSTEMS.CONDITION_CLINICAL, code: 'active' }] },
+      verificationStatus: { coding: [{ system: SYSTEMS.CONDITION_VERIFICATION, code: 'confirmed' }] },
+      category: [{ coding: [{ system: SYSTEMS.CONDITION_CATEGORY, code: 'problem-list-item', display: 'Problem List Item' }] }],
+      severity: severity ? { coding: [{ system: SYSTEMS.SNOMED, ...severity }] } : undefined,
+      code: this.conditionConcept(row.icd10_code, row.condition_name),
+      subject: { reference: `Patient/${row.patient_id}` },
+      onsetDateTime: this.toDate(row.diagnosed_date),
+      recordedDate: this.toDateTime(row.created_at),
+      asserter: row.provider_id ? { reference: `Practitioner/${row.provider_id}` } : undefined,
+      note: row.management_plan ? [{ text: row.management_plan }] : undefined
+    });
+  }
+
+  /**
+   * Wrap resources in a searchset Bundle
+   * @param {Array} resources - Matching resources (already paged)
+   * @param {number} total - Total number of matches
+   * @param {string} baseUrl - FHIR base URL used for fullUrl/self links
+   * @param {string} selfUrl - URL of the search request
+   * @param {Object} page - { offset, count } of this page; adds a next link when more matches follow
+   *   within MAX_OFFSET
+   * @returns {Object} Bundle resource
+   */
+  toSearchBundle(resources, total, baseUrl, selfUrl, page = null) {
+    const link = [{ relation: 'self', url: selfUrl }];
+    if (page?.count > 0 && page.offset + page.count < total && page.offset + page.count <= MAX_OFFSET) {
+      const next = new URL(selfUrl);
+      next.searchParams.set('_offset', String(page.offset + page.count));
+      next.searchParams.set('_count', String(page.count));
+      link.push({ relation: 'next', url: next.toString() });
+    }
+
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total,
+      link,
+      entry: resources.map(resource => ({
+        fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode: 'match' }
+      }))
+    };
+  }
+
+  /**
+   * Build an OperationOutcome for an error
+   * @param {string} message - Diagnostic text
+   * @param {string} code - FHIR issue type code
+   * @param {string} severity - error | warning | information
+   * @returns {Object} OperationOutcome resource
+   */
+  operationOutcome(message, code = 'processing', severity = 'error') {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity, code, diagnostics: message }]
+    };
+  }
+
+  /**
+   * Build the server CapabilityStatement
+   * @param {string} baseUrl - FHIR base URL
+   * @param {Object|null} oauth - SMART { authorize, token } endpoint URLs
+   * @returns {Object} CapabilityStatement resource
+   */
+  getCapabilityStatement(baseUrl, oauth = null) {
+    const searchParam = (name, type, documentation) => ({ name, type, documentation });
+    const common = [
+      searchParam('_count', 'number', `Page size (default ${DEFAULT_COUNT}, max ${MAX_COUNT})`),
+      searchParam('_offset', 'number', `Matches to skip (max ${MAX_OFFSET}); next links set it`)
+    ];
+
+    return {
+      resourceType: 'CapabilityStatement',
+      status: 'active',
+      date: new Date().toISOString(),
+      kind: 'instance',
+      software: { name: 'EMR System FHIR API' },
+      implementation: { description: 'EMR System FHIR R4 endpoint', url: baseUrl },
+      fhirVersion: FHIR_VERSION,
+      format: ['application/fhir+json', 'json'],
+      instantiates: ['http://hl7.org/fhir/uv/bulkdata/CapabilityStatement/bulk-data'],
+      rest: [{
+        mode: 'server',
+        interaction: [
+          { code: 'transaction', documentation: 'Imports Patient, AllergyIntolerance, Condition, MedicationStatement, Immunization and Observation' },
+          { code: 'batch', documentation: 'collection Bundles are imported entry by entry' }
+        ],
+        operation: [
+          { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/export' }
+        ],
+        security: {
+          ...(oauth && {
+            extension: [{
+              url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+              extension: [
+                { url: 'authorize', valueUri: oauth.authorize },
+                { url: 'token', valueUri: oauth.token }
+              ]
+            }]
+          }),
+          service: [{
+            coding: [
+              { system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'OAuth' },
+              { system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }
+            ]
+          }],
+          description: 'Bearer token required (Authorization: Bearer <token>): an EHR session token or a SMART app access token'
+        },
+        resource: [
+          {
+            type: 'Patient',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('_id', 'token', 'Logical id'),
+              searchParam('identifier', 'token', 'MRN or other identifier ([system|]value)'),
+              searchParam('name', 'string', 'Family or given name'),
+              searchParam('family', 'string', 'Family name'),
+              searchParam('given', 'string', 'Given name'),
+              searchParam('birthdate', 'date', 'Date of birth'),
+              searchParam('gender', 'token', 'Administrative gender'),
+              ...common
+            ]
+          },
+          {
+            type: 'Encounter',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('_id', 'token', 'Logical id'),
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('date', 'date', 'Encounter start date'),
+              searchParam('status', 'token', 'Encounter status'),
+              ...common
+            ]
+          },
+          {
+            type: 'Observation',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('category', 'token', 'vital-signs | laboratory'),
+              searchParam('code', 'token', 'LOINC code ([system|]code)'),
+              searchParam('date', 'date', 'Effective date'),
+              ...common
+            ]
+          },
+          {
+            type: 'AllergyIntolerance',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('_id', 'token', 'Logical id'),
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('clinical-status', 'token', 'active | inactive'),
+              searchParam('date', 'date', 'Date recorded'),
+              ...common
+            ]
+          },
+          {
+            type: 'Group',
+            documentation: 'Group/<id> is the panel of patients assigned to provider <id>; only $export is supported',
+            operation: [
+              { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/group-export' }
+            ]
+          },
+          {
+            type: 'MedicationRequest',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('_id', 'token', 'Logical id'),
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('status', 'token', 'active | on-hold | completed | stopped'),
+              searchParam('code', 'token', 'RxNorm code ([system|]code)'),
+              searchParam('authoredon', 'date', 'Date the prescription was written'),
+              ...common
+            ]
+          },
+          {
+            type: 'MedicationStatement',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('_id', 'token', 'Logical id'),
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('status', 'token', 'active | completed | stopped'),
+              searchParam('code', 'token', 'RxNorm code ([system|]code)'),
+              searchParam('effective', 'date', 'Date the medication was started'),
+              ...common
+            ]
+          },
+          {
+            type: 'Condition',
+            interaction: [{ code: 'read' }, { code: 'search-type' }],
+            searchParam: [
+              searchParam('patient', 'reference', 'Patient reference'),
+              searchParam('clinical-status', 'token', 'active | resolved'),
+              searchParam('code', 'token', 'ICD-10-CM code ([system|]code)'),
+              searchParam('onset-date', 'date', 'Onset / diagnosis date'),
+              ...common
+            ]
+          }
+        ]
+      }]
+    };
+  }
+
+  /* ---------- Patient ---------- */
+
+  /**
+   * Read a Patient by id
+   * @param {string|number} id - Patient id
+   * @returns {Object|null} Patient resource or null when not found
+   */
+  async readPatient(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { rows } = await pool.query(
+      `SELECT p.*, pr.first_name AS provider_first_name, pr.last_name AS provider_last_name
+         FROM patients p
+         LEFT JOIN providers pr ON pr.id = p.provider_id
+        WHERE p.id = $1`,
+      [id]
+    );
+    return rows[0] ? this.toPatient(rows[0]) : null;
+  }
+
+  /**
+   * Search Patients
+   * @param {Object} query - Search parameters (identifier, name, family, given, birthdate, gender, _id, _count,
+   *   _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchPatients(query) {
+    try {
+      const where = [];
+      const params = [];
+
+      if (query._id) {
+        const ids = this.parseTokens(query._id).map(t => t.code).filter(v => /^\d+$/.test(v));
+        params.push(ids.map(Number));
+        where.push(`p.id = ANY($${params.length}::int[])`);
+      }
+
+      if (query.identifier) {
+        const clauses = this.parseTokens(query.identifier).map(({ system, code }) => {
+          params.push(code);
+          const ref = `$${params.length}`;
+          if (system === SYSTEMS.MRN) return `p.mrn = ${ref}`;
+          if (system && system.startsWith(SYSTEMS.IDENTIFIER_PREFIX)) {
+            params.push(system.slice(SYSTEMS.IDENTIFIER_PREFIX.length));
+            return `(jsonb_typeof(p.identifiers) = 'object' AND p.identifiers ->> $${params.length} = ${ref})`;
+          }
+          return `(p.mrn = ${ref} OR (jsonb_typeof(p.identifiers) = 'object' AND EXISTS (
+                    SELECT 1 FROM jsonb_each_text(p.identifiers) i WHERE i.value = ${ref})))`;
+        });
+        where.push(`(${clauses.join(' OR ')})`);
+      }
+
+      for (const [param, columns] of [['name', ['p.first_name', 'p.last_name']], ['family', ['p.last_name']], ['given', ['p.first_name']]]) {
+        if (!query[param]) continue;
+        params.push(`${String(query[param]).trim()}%`);
+        where.push(`(${columns.map(c => `${c} ILIKE $${params.length}`).join(' OR ')})`);
+      }
+
+      if (query.birthdate) {
+        this.addDateFilters(where, params, 'p.dob', this.parseDates(query.birthdate));
+      }
+
+      if (query.gender) {
+        const genders = this.parseTokens(query.gender).map(t => t.code.toLowerCase());
+        params.push(genders);
+        where.push(`LOWER(p.gender) = ANY($${params.length}::text[])`);
+      }
+
+      return await this.runSearch({
+        from: `patients p LEFT JOIN providers pr ON pr.id = p.provider_id`,
+        select: `p.*, pr.first_name AS provider_first_name, pr.last_name AS provider_last_name`,
+        where,
+        params,
+        orderBy: 'p.last_name, p.first_name, p.id',
+        count: this.parseCount(query._count),
+        offset: this.parseOffset(query._offset),
+        mapper: row => this.toPatient(row)
+      });
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching patients:', error);
+      throw new Error(`Failed to search patients: ${error.message}`);
+    }
+  }
+
+  /* ---------- Encounter ---------- */
+
+  /**
+   * Read an Encounter by id
+   * @param {string|number} id - Encounter id
+   * @returns {Object|null} Encounter resource or null when not found
+   */
+  async readEncounter(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { rows } = await pool.query(
+      `SELECT e.*, a.provider_id
+         FROM encounters e
+         LEFT JOIN appointments a ON a.id = e.appointment_id
+        WHERE e.id = $1`,
+      [id]
+    );
+    return rows[0] ? this.toEncounter(rows[0]) : null;
+  }
+
+  /**
+   * Search Encounters
+   * @param {Object} query - Search parameters (patient, date, status, _id, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchEncounters(query) {
+    try {
+      const where = [];
+      const params = [];
+
+      if (query._id) {
+        const ids = this.parseTokens(query._id).map(t => t.code).filter(v => /^\d+$/.test(v));
+        params.push(ids.map(Number));
+        where.push(`e.id = ANY($${params.length}::int[])`);
+      }
+
+      const patient = query.patient || query.subject;
+      if (patient) {
+        params.push(this.parsePatientReference(patient));
+        where.push(`e.patient_id = $${params.length}`);
+      }
+
+      if (query.date) {
+        this.addDateFilters(where, params, 'e.created_at', this.parseDates(query.date));
+      }
+
+      if (query.status) {
+        const wanted = this.parseTokens(query.status).map(t => t.code);
+        const local = Object.entries(ENCOUNTER_STATUS)
+          .filter(([, fhir]) => wanted.includes(fhir))
+          .map(([status]) => status);
+        params.push(local);
+        where.push(`LOWER(COALESCE(e.status, 'open')) = ANY($${params.length}::text[])`);
+      }
+
+      return await this.runSearch({
+        from: `encounters e LEFT JOIN appointments a ON a.id = e.appointment_id`,
+        select: `e.*, a.provider_id`,
+        where,
+        params,
+        orderBy: 'e.created_at DESC, e.id DESC',
+        count: this.parseCount(query._count),
+        offset: this.parseOffset(query._offset),
+        mapper: row => this.toEncounter(row)
+      });
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching encounters:', error);
+      throw new Error(`Failed to search encounters: ${error.message}`);
+    }
+  }
+
+  /* ---------- Observation ---------- */
+
+  /**
+   * Read an Observation by id (vitals-<id>-<kind> or obs-<id>)
+   * @param {string} id - Observation logical id
+   * @returns {Object|null} Observation resource or null when not found
+   */
+  async readObservation(id) {
+    const vitals = /^vitals-(\d+)-([a-z0-9-]+)$/.exec(id);
+    if (vitals) {
+      const { rows } = await pool.query('SELECT * FROM vitals WHERE id = $1', [vitals[1]]);
+      if (!rows[0]) return null;
+      return this.vitalsToObservations(rows[0]).find(o => o.id === id) || null;
+    }
+
+    const lab = /^obs-(\d+)$/.exec(id);
+    if (lab) {
+      const { rows } = await pool.query('SELECT * FROM observations WHERE id = $1', [lab[1]]);
+      return rows[0] ? this.labToObservation(rows[0]) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Search Observations across vitals and lab observations
+   * @param {Object} query - Search parameters (patient, category, code, date, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchObservations(query) {
+    try {
+      const count = this.parseCount(query._count);
+      const offset = this.parseOffset(query._offset);
+      const dates = query.date ? this.parseDates(query.date) : [];
+      const codes = query.code ? this.parseTokens(query.code) : [];
+      const categories = query.category ? this.parseTokens(query.category).map(t => t.code) : [];
+      const patient = query.patient || query.subject;
+      const patientId = patient ? this.parsePatientReference(patient) : null;
+
+      if (codes.some(c => c.system && c.system !== SYSTEMS.LOINC)) {
+        // Only LOINC-coded observations are stored
+        return { resources: [], total: 0, offset, count };
+      }
+      const loincCodes = codes.map(c => c.code);
+      const wanted = code => !loincCodes.length || loincCodes.includes(code);
+
+      const wantVitals = !categories.length || categories.includes('vital-signs');
+      const wantLabs = !categories.length || categories.includes('laboratory');
+      // Each source returns its first offset + count matches; the page is cut from the merged, re-sorted list
+      const window = offset + count;
+      let resources = [];
+      let total = 0;
+
+      // Observations a vitals row yields: one per recorded vital sign, plus the blood pressure panel
+      const vitalTerms = VITAL_SIGNS.filter(vs => wanted(vs.code)).map(vs => `(${vs.column} IS NOT NULL)::int`);
+      if (wanted(BLOOD_PRESSURE.code)) {
+        vitalTerms.push('(systolic IS NOT NULL OR diastolic IS NOT NULL)::int');
+      }
+
+      if (wantVitals && vitalTerms.length) {
+        const perRow = vitalTerms.join(' + ');
+        const where = [`(${perRow}) > 0`];
+        const params = [];
+        if (patientId) {
+          params.push(patientId);
+          where.push(`patient_id = $${params.length}`);
+        }
+        this.addDateFilters(where, params, 'taken_at', dates);
+        const whereSql = `WHERE ${where.join(' AND ')}`;
+
+        const totalResult = await pool.query(
+          `SELECT COALESCE(SUM(${perRow}), 0)::int AS total FROM vitals ${whereSql}`, params
+        );
+        total += totalResult.rows[0]?.total || 0;
+
+        if (window > 0) {
+          // Every row yields at least one match, so window rows cover the window
+          const { rows } = await pool.query(
+            `SELECT * FROM vitals ${whereSql} ORDER BY taken_at DESC, id DESC LIMIT $${params.length + 1}`,
+            [...params, window]
+          );
+          const vitals = rows.flatMap(row => this.vitalsToObservations(row));
+          resources.push(...vitals.filter(o => o.code.coding.some(c => wanted(c.code))));
+        }
+      }
+
+      if (wantLabs) {
+        const where = [];
+        const params = [];
+        if (patientId) {
+          params.push(patientId);
+          where.push(`patient_id = $${params.length}`);
+        }
+        if (loincCodes.length) {
+          params.push(loincCodes);
+          where.push(`loinc_code = ANY($${params.length}::text[])`);
+        }
+        this.addDateFilters(where, params, 'COALESCE(observed_at, created_at)', dates);
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+        const totalResult = await pool.query(`SELECT COUNT(*)::int AS total FROM observations ${whereSql}`, params);
+        total += totalResult.rows[0]?.total || 0;
+
+        if (window > 0) {
+          const { rows } = await pool.query(
+            `SELECT * FROM observations ${whereSql}
+              ORDER BY COALESCE(observed_at, created_at) DESC, id DESC LIMIT $${params.length + 1}`,
+            [...params, window]
+          );
+          resources.push(...rows.map(row => this.labToObservation(row)));
+        }
+      }
+
+      // Ties keep each source's SQL order (vitals before labs, newer row first) so page boundaries are stable
+      const source = id => /^(vitals|obs)-(\d+)/.exec(id);
+      resources = resources.sort((a, b) => {
+        const byTime = new Date(b.effectiveDateTime || 0).getTime() - new Date(a.effectiveDateTime || 0).getTime();
+        if (byTime !== 0) return byTime;
+        const [, typeA, idA] = source(a.id);
+        const [, typeB, idB] = source(b.id);
+        return typeA !== typeB ? (typeA === 'vitals' ? -1 : 1) : Number(idB) - Number(idA);
+      });
+
+      return { resources: resources.slice(offset, window), total, offset, count };
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching observations:', error);
+      throw new Error(`Failed to search observations: ${error.message}`);
+    }
+  }
+
+  /* ---------- AllergyIntolerance ---------- */
+
+  /**
+   * Read an AllergyIntolerance by id
+   * @param {string|number} id - Allergy id
+   * @returns {Object|null} AllergyIntolerance resource or null when not found
+   */
+  async readAllergyIntolerance(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { rows } = await pool.query('SELECT * FROM allergies WHERE id = $1', [id]);
+    return rows[0] ? this.toAllergyIntolerance(rows[0]) : null;
+  }
+
+  /**
+   * Search AllergyIntolerances
+   * @param {Object} query - Search parameters (patient, clinical-status, date, _id, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchAllergyIntolerances(query) {
+    try {
+      const where = [];
+      const params = [];
+
+      if (query._id) {
+        const ids = this.parseTokens(query._id).map(t => t.code).filter(v => /^\d+$/.test(v));
+        params.push(ids.map(Number));
+        where.push(`a.id = ANY($${params.length}::int[])`);
+      }
+
+      const patient = query.patient || query.subject;
+      if (patient) {
+        params.push(this.parsePatientReference(patient));
+        where.push(`a.patient_id = $${params.length}`);
+      }
+
+      const clinicalStatus = query['clinical-status'];
+      if (clinicalStatus) {
+        const statuses = this.parseTokens(clinicalStatus).map(t => t.code);
+        if (statuses.includes('active') !== statuses.includes('inactive')) {
+          where.push(statuses.includes('active') ? 'a.active = TRUE' : 'a.active = FALSE');
+        } else if (!statuses.includes('active')) {
+          where.push('FALSE');
+        }
+      }
+
+      if (query.date) {
+        this.addDateFilters(where, params, 'a.noted_at', this.parseDates(query.date));
+      }
+
+      return await this.runSearch({
+        from: 'allergies a',
+        select: 'a.*',
+        where,
+        params,
+        orderBy: 'a.noted_at DESC, a.id DESC',
+        count: this.parseCount(query._count),
+        offset: this.parseOffset(query._offset),
+        mapper: row => this.toAllergyIntolerance(row)
+      });
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching allergies:', error);
+      throw new Error(`Failed to search allergy intolerances: ${error.message}`);
+    }
+  }
+
+  /* ---------- MedicationRequest ---------- */
+
+  // prescriptions joined with the catalog; RxNorm comes from medications.rxcui or medications_master
+  medicationRequestQuery() {
+    return {
+      from: `prescriptions rx
+        LEFT JOIN medications m ON m.id = rx.medication_id
+        LEFT JOIN providers pr ON pr.id = rx.provider_id
+        LEFT JOIN LATERAL (
+          SELECT mm.rxnorm_cui FROM medications_master mm
+           WHERE LOWER(mm.generic_name) = LOWER(m.generic_name) OR LOWER(mm.name) = LOWER(rx.prescribed_name)
+           ORDER BY mm.is_active DESC, mm.id
+           LIMIT 1
+        ) mm ON TRUE`,
+      select: `rx.*, m.generic_name, COALESCE(m.rxcui, mm.rxnorm_cui) AS rxcui,
+               pr.first_name AS provider_first_name, pr.last_name AS provider_last_name`
+    };
+  }
+
+  /**
+   * Read a MedicationRequest by id
+   * @param {string|number} id - Prescription id
+   * @returns {Object|null} MedicationRequest resource or null when not found
+   */
+  async readMedicationRequest(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { from, select } = this.medicationRequestQuery();
+    const { rows } = await pool.query(`SELECT ${select} FROM ${from} WHERE rx.id = $1`, [id]);
+    return rows[0] ? this.toMedicationRequest(rows[0]) : null;
+  }
+
+  /**
+   * Search MedicationRequests
+   * @param {Object} query - Search parameters (patient, status, code, authoredon, _id, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchMedicationRequests(query) {
+    try {
+      const where = [];
+      const params = [];
+
+      if (query._id) {
+        const ids = this.parseTokens(query._id).map(t => t.code).filter(v => /^\d+$/.test(v));
+        params.push(ids.map(Number));
+        where.push(`rx.id = ANY($${params.length}::int[])`);
+      }
+
+      const patient = query.patient || query.subject;
+      if (patient) {
+        params.push(this.parsePatientReference(patient));
+        where.push(`rx.patient_id = $${params.length}`);
+      }
+
+      if (query.status) {
+        const wanted = this.parseTokens(query.status).map(t => t.code);
+        const local = Object.entries(PRESCRIPTION_STATUS)
+          .filter(([, fhir]) => wanted.includes(fhir))
+          .map(([status]) => status);
+        params.push(local);
+        where.push(`rx.status = ANY($${params.length}::text[])`);
+      }
+
+      if (query.code) {
+        this.addCodeFilter(where, params, 'COALESCE(m.rxcui, mm.rxnorm_cui)', SYSTEMS.RXNORM, query.code);
+      }
+
+      if (query.authoredon) {
+        this.addDateFilters(where, params, 'rx.created_at', this.parseDates(query.authoredon));
+      }
+
+      const { from, select } = this.medicationRequestQuery();
+      return await this.runSearch({
+        from,
+        select,
+        where,
+        params,
+        orderBy: 'rx.created_at DESC, rx.id DESC',
+        count: this.parseCount(query._count),
+        offset: this.parseOffset(query._offset),
+        mapper: row => this.toMedicationRequest(row)
+      });
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching medication requests:', error);
+      throw new Error(`Failed to search medication requests: ${error.message}`);
+    }
+  }
+
+  /* ---------- MedicationStatement ---------- */
+
+  // patient_medications only carries a name, so RxNorm is resolved by name
+  medicationStatementQuery() {
+    return {
+      from: `patient_medications pm
+        LEFT JOIN LATERAL (
+          SELECT COALESCE(
+            (SELECT m.rxcui FROM medications m
+              WHERE LOWER(m.generic_name) = LOWER(pm.name) AND m.rxcui IS NOT NULL
+              ORDER BY m.id LIMIT 1),
+            (SELECT mm.rxnorm_cui FROM medications_master mm
+              WHERE LOWER(mm.generic_name) = LOWER(pm.name) OR LOWER(mm.name) = LOWER(pm.name)
+              ORDER BY mm.is_active DESC, mm.id LIMIT 1)
+          ) AS rxcui
+        ) rx ON TRUE`,
+      select: 'pm.*, rx.rxcui'
+    };
+  }
+
+  /**
+   * Read a MedicationStatement by id
+   * @param {string|number} id - patient_medications id
+   * @returns {Object|null} MedicationStatement resource or null when not found
+   */
+  async readMedicationStatement(id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    const { from, select } = this.medicationStatementQuery();
+    const { rows } = await pool.query(`SELECT ${select} FROM ${from} WHERE pm.id = $1`, [id]);
+    return rows[0] ? this.toMedicationStatement(rows[0]) : null;
+  }
+
+  /**
+   * Search MedicationStatements
+   * @param {Object} query - Search parameters (patient, status, code, effective, _id, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchMedicationStatements(query) {
+    try {
+      const where = [];
+      const params = [];
+
+      if (query._id) {
+        const ids = this.parseTokens(query._id).map(t => t.code).filter(v => /^\d+$/.test(v));
+        params.push(ids.map(Number));
+        where.push(`pm.id = ANY($${params.length}::int[])`);
+      }
+
+      const patient = query.patient || query.subject;
+      if (patient) {
+        params.push(this.parsePatientReference(patient));
+        where.push(`pm.patient_id = $${params.length}`);
+      }
+
+      if (query.status) {
+        const wanted = this.parseTokens(query.status).map(t => t.code);
+        const clauses = [];
+        if (wanted.includes('active')) clauses.push('pm.active = TRUE');
+        if (wanted.includes('completed')) clauses.push('(pm.active = FALSE AND pm.ended_at <= CURRENT_DATE)');
+        if (wanted.includes('stopped')) clauses.push('(pm.active = FALSE AND (pm.ended_at IS NULL OR pm.ended_at > CURRENT_DATE))');
+        where.push(clauses.length ? `(${clauses.join(' OR ')})` : 'FALSE');
+      }
+
+      if (query.code) {
+        this.addCodeFilter(where, params, 'rx.rxcui', SYSTEMS.RXNORM, query.code);
+      }
+
+      if (query.effective) {
+        this.addDateFilters(where, params, 'pm.started_at', this.parseDates(query.effective));
+      }
+
+      const { from, select } = this.medicationStatementQuery();
+      return await this.runSearch({
+        from,
+        select,
+        where,
+        params,
+        orderBy: 'pm.active DESC, pm.started_at DESC NULLS LAST, pm.id DESC',
+        count: this.parseCount(query._count),
+        offset: this.parseOffset(query._offset),
+        mapper: row => this.toMedicationStatement(row)
+      });
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching medication statements:', error);
+      throw new Error(`Failed to search medication statements: ${error.message}`);
+    }
+  }
+
+  /* ---------- Condition ---------- */
+
+  /**
+   * Read a Condition by id (problem-<id> or chronic-<id>)
+   * @param {string} id - Condition logical id
+   * @returns {Object|null} Condition resource or null when not found
+   */
+  async readCondition(id) {
+    const problem = /^problem-(\d+)$/.exec(id);
+    if (problem) {
+      const { rows } = await pool.query(
+        `SELECT p.*, icd.description AS icd10_description
+           FROM problems p
+           LEFT JOIN icd10_diagnoses icd ON icd.code = p.code
+          WHERE p.id = $1`,
+        [problem[1]]
+      );
+      return rows[0] ? this.problemToCondition(rows[0]) : null;
+    }
+
+    const chronic = /^chronic-(\d+)$/.exec(id);
+    if (chronic) {
+      const { rows } = await pool.query('SELECT * FROM chronic_conditions WHERE id = $1', [chronic[1]]);
+      return rows[0] ? this.chronicToCondition(rows[0]) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Search Conditions across the problem list and chronic conditions
+   * @param {Object} query - Search parameters (patient, clinical-status, code, onset-date, _count, _offset)
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async searchConditions(query) {
+    try {
+      const count = this.parseCount(query._count);
+      const offset = this.parseOffset(query._offset);
+      // Problems are listed before chronic conditions; each source returns its first offset + count matches
+      const window = offset + count;
+      const patient = query.patient || query.subject;
+      const patientId = patient ? this.parsePatientReference(patient) : null;
+      const dates = query['onset-date'] ? this.parseDates(query['onset-date']) : [];
+      const statuses = query['clinical-status'] ? this.parseTokens(query['clinical-status']).map(t => t.code) : [];
+
+      const build = (patientColumn, codeColumn, dateColumn) => {
+        const where = [];
+        const params = [];
+        if (patientId) {
+          params.push(patientId);
+          where.push(`${patientColumn} = $${params.length}`);
+        }
+        if (query.code) {
+          this.addCodeFilter(where, params, codeColumn, SYSTEMS.ICD10, query.code);
+        }
+        this.addDateFilters(where, params, dateColumn, dates);
+        return { where, params };
+      };
+
+      const resources = [];
+      let total = 0;
+
+      const problems = build('p.patient_id', 'p.code', 'p.onset_date');
+      if (statuses.length) {
+        const local = statuses.filter(s => ['active', 'resolved'].includes(s));
+        problems.params.push(local);
+        problems.where.push(`COALESCE(p.status, 'active') = ANY($${problems.params.length}::text[])`);
+      }
+      const problemsWhere = problems.where.length ? `WHERE ${problems.where.join(' AND ')}` : '';
+      const problemTotal = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM problems p ${problemsWhere}`, problems.params
+      );
+      total += problemTotal.rows[0]?.total || 0;
+      if (window > 0) {
+        const problemRows = await pool.query(
+          `SELECT p.*, icd.description AS icd10_description
+             FROM problems p
+             LEFT JOIN icd10_diagnoses icd ON icd.code = p.code
+            ${problemsWhere}
+            ORDER BY p.onset_date DESC NULLS LAST, p.id DESC
+            LIMIT $${problems.params.length + 1}`,
+          [...problems.params, window]
+        );
+        resources.push(...problemRows.rows.map(row => this.problemToCondition(row)));
+      }
+
+      // Chronic conditions are always active
+      if (!statuses.length || statuses.includes('active')) {
+        const chronic = build('c.patient_id', 'c.icd10_code', 'c.diagnosed_date');
+        const chronicWhere = chronic.where.length ? `WHERE ${chronic.where.join(' AND ')}` : '';
+        const chronicTotal = await pool.query(
+          `SELECT COUNT(*)::int AS total FROM chronic_conditions c ${chronicWhere}`, chronic.params
+        );
+        total += chronicTotal.rows[0]?.total || 0;
+        if (window > 0) {
+          const chronicRows = await pool.query(
+            `SELECT c.* FROM chronic_conditions c
+              ${chronicWhere}
+              ORDER BY c.diagnosed_date DESC NULLS LAST, c.id DESC
+              LIMIT $${chronic.params.length + 1}`,
+            [...chronic.params, window]
+          );
+          resources.push(...chronicRows.rows.map(row => this.chronicToCondition(row)));
+        }
+      }
+
+      return { resources: resources.slice(offset, window), total, offset, count };
+    } catch (error) {
+      if (error instanceof FHIRError) throw error;
+      console.error('[FHIRService] Error searching conditions:', error);
+      throw new Error(`Failed to search conditions: ${error.message}`);
+    }
+  }
+
+  /* ---------- Internals ---------- */
+
+  /**
+   * Append a token filter on a code column, ignoring codes from other systems
+   * @param {Array} where - WHERE fragments
+   * @param {Array} params - Query parameters
+   * @param {string} column - Column expression holding the code
+   * @param {string} system - Code system stored in the column
+   * @param {string|string[]} value - Raw token parameter
+   */
+  addCodeFilter(where, params, column, system, value) {
+    const codes = this.parseTokens(value)
+      .filter(t => !t.system || t.system === system)
+      .map(t => t.code);
+    params.push(codes);
+    where.push(`${column} = ANY($${params.length}::text[])`);
+  }
+
+  /**
+   * Run a paged search: one COUNT query plus one page query
+   * @param {Object} options - { from, select, where, params, orderBy, count, offset, mapper }
+   * @returns {Object} { resources, total, offset, count }
+   */
+  async runSearch({ from, select, where, params, orderBy, count, offset = 0, mapper }) {
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const totalResult = await pool.query(`SELECT COUNT(*)::int AS total FROM ${from} ${whereSql}`, params);
+    const total = totalResult.rows[0]?.total || 0;
+
+    if (count === 0) {
+      return { resources: [], total, offset, count };
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ${select} FROM ${from} ${whereSql}
+        ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, count, offset]
+    );
+
+    return { resources: rows.map(mapper), total, offset, count };
+  }
+}
+
+export default new FHIRService();
@@ -0,0 +1,455 @@
+// Formulary Service
+// Insurance plan formularies: CSV import, tier/prior authorization/step therapy/quantity limit lookup for a
+// prescription against the patient's primary plan, and covered alternatives from get_alternative_medications
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import { parseCsvRecords, CsvParseError } from '../utils/csv.js';
+
+export const TIER_LABELS = {
+  1: 'Preferred generic',
+  2: 'Generic',
+  3: 'Preferred brand',
+  4: 'Non-preferred brand',
+  5: 'Specialty',
+  6: 'Select care'
+};
+
+// Accepted header names for each import column (headers are normalized by parseCsvRecords)
+const COLUMNS = {
+  drugName: ['drug_name', 'drug', 'name', 'generic_name', 'medication'],
+  rxcui: ['rxcui', 'rxnorm', 'rxnorm_cui'],
+  ndc: ['ndc', 'ndc_code'],
+  tier: ['tier', 'formulary_tier'],
+  covered: ['covered', 'formulary_status', 'status'],
+  priorAuth: ['prior_auth', 'pa', 'prior_authorization', 'prior_auth_required'],
+  stepTherapy: ['step_therapy', 'st'],
+  stepTherapyNote: ['step_therapy_note', 'st_note', 'step_therapy_criteria'],
+  quantityLimit: ['quantity_limit', 'ql'],
+  quantityLimitDays: ['quantity_limit_days', 'ql_days'],
+  copay: ['copay', 'copay_amount'],
+  notes: ['notes', 'comments']
+};
+
+const ALTERNATIVE_LIMIT = 5;
+
+export class FormularyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FormularyError';
+    this.status = status;
+  }
+}
+
+class FormularyService {
+  /* ---------- Import ---------- */
+
+  /**
+   * Import a plan formulary from CSV. Valid rows are upserted; invalid rows are skipped and reported.
+   * Columns: drug_name, rxcui, ndc, tier, covered, prior_auth, step_therapy, step_therapy_note, quantity_limit,
+   * quantity_limit_days, copay, notes (see COLUMNS for accepted aliases)
+   * @param {number} insurancePlanId - insurance_plans id
+   * @param {string} csv - Raw CSV with a header row
+   * @param {Object} options - { userId, fileName, replace: drop the plan's existing entries first }
+   * @returns {Object} { insurancePlanId, total, imported, matched, skipped, errors: [{ line, message }] }
+   */
+  async importFormulary(insurancePlanId, csv, { userId = null, fileName = null, replace = false } = {}) {
+    const plan = await pool.query('SELECT id, plan_name, insurance_company FROM insurance_plans WHERE id = $1', [insurancePlanId]);
+    if (!plan.rows[0]) {
+      throw new FormularyError('Insurance plan not found', 404);
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsvRecords(csv);
+    } catch (error) {
+      if (error instanceof CsvParseError) throw new FormularyError(error.message);
+      throw error;
+    }
+
+    const column = name => COLUMNS[name].find(alias => parsed.headers.includes(alias));
+    if (!column('drugName') && !column('rxcui') && !column('ndc')) {
+      throw new FormularyError('CSV needs a drug_name, rxcui or ndc column');
+    }
+    if (!column('tier') && !column('covered')) {
+      throw new FormularyError('CSV needs a tier or covered column');
+    }
+
+    const errors = [];
+    const entries = [];
+    for (const record of parsed.records) {
+      try {
+        entries.push({ line: record.line, ...this.parseEntry(record.values, column) });
+      } catch (error) {
+        if (!(error instanceof FormularyError)) throw error;
+        errors.push({ line: record.line, message: error.message });
+      }
+    }
+    if (entries.length === 0) {
+      throw new FormularyError(errors.length ? `No valid rows (${errors[0].message}, line ${errors[0].line})` : 'File has no rows', 422);
+    }
+
+    const medications = await this.resolveMedications(entries);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (replace) {
+        await client.query('DELETE FROM formulary_entries WHERE insurance_plan_id = $1', [insurancePlanId]);
+      }
+
+      let matched = 0;
+      for (const entry of entries) {
+        const medication = medications(entry);
+        if (medication) matched++;
+        await client.query(`
+          INSERT INTO formulary_entries (
+            insurance_plan_id, medication_id, drug_name, rxcui, ndc, tier, covered, prior_auth_required, step_therapy,
+            step_therapy_note, quantity_limit, quantity_limit_days, copay_amount, notes, source_file, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          ON CONFLICT (insurance_plan_id, COALESCE(ndc, ''), COALESCE(rxcui, ''), lower(drug_name)) DO UPDATE SET
+            medication_id = EXCLUDED.medication_id,
+            tier = EXCLUDED.tier,
+            covered = EXCLUDED.covered,
+            prior_auth_required = EXCLUDED.prior_auth_required,
+            step_therapy = EXCLUDED.step_therapy,
+            step_therapy_note = EXCLUDED.step_therapy_note,
+            quantity_limit = EXCLUDED.quantity_limit,
+            quantity_limit_days = EXCLUDED.quantity_limit_days,
+            copay_amount = EXCLUDED.copay_amount,
+            notes = EXCLUDED.notes,
+            source_file = EXCLUDED.source_file
+        `, [
+          insurancePlanId, medication?.id ?? null, entry.drugName || medication?.generic_name || entry.rxcui || entry.ndc,
+          entry.rxcui, entry.ndc, entry.tier, entry.covered, entry.priorAuth, entry.stepTherapy, entry.stepTherapyNote,
+          entry.quantityLimit, entry.quantityLimitDays, entry.copay, entry.notes, fileName, userId
+        ]);
+      }
+
+      await client.query('UPDATE insurance_plans SET formulary_updated_at = CURRENT_TIMESTAMP WHERE id = $1', [insurancePlanId]);
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'formulary_entries',
+        insurancePlanId,
+        'formulary_import',
+        `Imported ${entries.length} formulary rows for ${plan.rows[0].plan_name || plan.rows[0].insurance_company}${fileName ? ` from ${fileName}` : ''}`,
+        'Formulary maintenance'
+      );
+
+      return {
+        insurancePlanId,
+        total: parsed.records.length,
+        imported: entries.length,
+        matched,
+        skipped: errors.length,
+        replaced: replace,
+        errors
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Validate one CSV row
+   * @param {Object} values - Row values keyed by normalized header
+   * @param {Function} column - Resolves a COLUMNS key to the header present in the file
+   * @returns {Object} Entry fields
+   * @throws {FormularyError} When the row is unusable
+   */
+  parseEntry(values, column) {
+    const value = name => (column(name) ? values[column(name)] : '') || null;
+
+    const drugName = value('drugName');
+    const rxcui = value('rxcui');
+    const ndc = value('ndc') ? value('ndc').replace(/[^0-9]/g, '') : null;
+    if (!drugName && !rxcui && !ndc) {
+      throw new FormularyError('Row has no drug name, RxCUI or NDC');
+    }
+    if (ndc && ndc.length !== 10 && ndc.length !== 11) {
+      throw new FormularyError(`NDC ${value('ndc')} must have 10 or 11 digits`);
+    }
+
+    const coveredValue = value('covered');
+    let covered = true;
+    if (coveredValue) {
+      if (/^(y|yes|true|1|covered|formulary|f)$/i.test(coveredValue)) covered = true;
+      else if (/^(n|no|false|0|not covered|excluded|non-formulary|nf)$/i.test(coveredValue)) covered = false;
+      else throw new FormularyError(`Unrecognized covered value "${coveredValue}"`);
+    }
+
+    let tier = null;
+    if (value('tier')) {
+      const digits = value('tier').match(/\d+/);
+      tier = digits ? Number(digits[0]) : null;
+      if (!TIER_LABELS[tier]) {
+        throw new FormularyError(`Tier "${value('tier')}" must be 1-6`);
+      }
+    }
+    if (covered && tier === null) {
+      throw new FormularyError('Covered drugs need a tier');
+    }
+
+    const number = (name, label) => {
+      if (!value(name)) return null;
+      const parsed = Number(value(name).replace(/[$,]/g, ''));
+      if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new FormularyError(`${label} "${value(name)}" is not a number`);
+      }
+      return parsed;
+    };
+
+    return {
+      drugName,
+      rxcui,
+      ndc,
+      tier: covered ? tier : null,
+      covered,
+      priorAuth: this.parseFlag(value('priorAuth'), 'Prior auth'),
+      stepTherapy: this.parseFlag(value('stepTherapy'), 'Step therapy'),
+      stepTherapyNote: value('stepTherapyNote'),
+      quantityLimit: number('quantityLimit', 'Quantity limit'),
+      quantityLimitDays: number('quantityLimitDays', 'Quantity limit days'),
+      copay: number('copay', 'Copay'),
+      notes: value('notes')
+    };
+  }
+
+  parseFlag(value, label) {
+    if (!value || /^(n|no|false|0)$/i.test(value)) return false;
+    if (/^(y|yes|true|1|x|pa|st)$/i.test(value)) return true;
+    throw new FormularyError(`${label} value "${value}" must be Y or N`);
+  }
+
+  /**
+   * Match imported rows to the medications table by NDC, then RxCUI, then generic name
+   * @param {Array} entries - Parsed entries
+   * @returns {Function} entry => medication row or undefined
+   */
+  async resolveMedications(entries) {
+    const ndcs = entries.map(entry => entry.ndc).filter(Boolean);
+    const rxcuis = entries.map(entry => entry.rxcui).filter(Boolean);
+    const names = entries.map(entry => entry.drugName?.toLowerCase()).filter(Boolean);
+
+    const result = await pool.query(`
+      SELECT id, generic_name, brand_name, rxcui, regexp_replace(COALESCE(ndc, ''), '[^0-9]', '', 'g') AS ndc_digits
+      FROM medications
+      WHERE active = true
+        AND (regexp_replace(COALESCE(ndc, ''), '[^0-9]', '', 'g') = ANY($1::text[])
+          OR rxcui = ANY($2::text[])
+          OR lower(generic_name) = ANY($3::text[]))
+      ORDER BY id
+    `, [ndcs, rxcuis, names]);
+
+    return entry => (entry.ndc && result.rows.find(row => row.ndc_digits === entry.ndc))
+      || (entry.rxcui && result.rows.find(row => row.rxcui === entry.rxcui))
+      || (entry.drugName && result.rows.find(row => row.generic_name.toLowerCase() === entry.drugName.toLowerCase()))
+      || undefined;
+  }
+
+  /* ---------- Lookup ---------- */
+
+  /**
+   * Formulary entries for a plan
+   * @param {number} insurancePlanId - insurance_plans id
+   * @param {Object} filters - { search, tier, limit, offset }
+   */
+  async listEntries(insurancePlanId, { search = null, tier = null, limit = 100, offset = 0 } = {}) {
+    const result = await pool.query(`
+      SELECT fe.*, m.generic_name, m.brand_name, m.strength, m.dosage_form
+      FROM formulary_entries fe
+      LEFT JOIN medications m ON m.id = fe.medication_id
+      WHERE fe.insurance_plan_id = $1
+        AND ($2::text IS NULL OR fe.drug_name ILIKE '%' || $2 || '%' OR m.brand_name ILIKE '%' || $2 || '%')
+        AND ($3::int IS NULL OR fe.tier = $3)
+      ORDER BY fe.tier NULLS LAST, lower(fe.drug_name)
+      LIMIT $4 OFFSET $5
+    `, [insurancePlanId, search, tier, limit, offset]);
+    return result.rows.map(row => ({ ...this.formatEntry(row), brandName: row.brand_name ?? null, strength: row.strength ?? null }));
+  }
+
+  /**
+   * Formulary status of a prescription on the patient's primary plan, with covered alternatives when the drug is
+   * uncovered, unlisted, tier 3 or higher, or restricted (prior authorization, step therapy, quantity limit)
+   * @param {Object} params - { patientId, medicationId, quantity }
+   * @returns {Object} { status: covered|not_covered|not_listed|no_formulary|no_coverage, planName, tier, tierLabel,
+   *   priorAuthRequired, stepTherapy, quantityExceeded, copay, flags, alternatives }
+   */
+  async checkPrescription({ patientId, medicationId, quantity = null }) {
+    const coverage = await pool.query(`
+      SELECT pi.id, pi.insurance_plan_id, ip.plan_name, ip.insurance_company, ip.formulary_updated_at
+      FROM patient_insurance pi
+      JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      WHERE pi.patient_id = $1 AND pi.status = 'active'
+        AND (pi.effective_date IS NULL OR pi.effective_date <= CURRENT_DATE)
+        AND (pi.termination_date IS NULL OR pi.termination_date >= CURRENT_DATE)
+      ORDER BY pi.priority_order, pi.id
+      LIMIT 1
+    `, [patientId]);
+    const plan = coverage.rows[0];
+    if (!plan) {
+      return this.unchecked('no_coverage', 'No active insurance coverage on file');
+    }
+
+    const planName = plan.plan_name || plan.insurance_company;
+    const base = { insurancePlanId: plan.insurance_plan_id, planName };
+    if (!plan.formulary_updated_at) {
+      return { ...this.unchecked('no_formulary', `No formulary loaded for ${planName}`), ...base };
+    }
+
+    const medication = await pool.query(`
+      SELECT id, generic_name, brand_name, rxcui, ndc FROM medications WHERE id = $1
+    `, [medicationId]);
+    if (!medication.rows[0]) {
+      throw new FormularyError('Medication not found', 404);
+    }
+
+    const entry = await this.findEntry(plan.insurance_plan_id, medication.rows[0]);
+    const status = this.describe(entry, quantity);
+    const alternatives = this.needsAlternative(status)
+      ? await this.findAlternatives(plan.insurance_plan_id, medicationId, status)
+      : [];
+
+    return { ...status, ...base, alternatives };
+  }
+
+  async findEntry(insurancePlanId, medication) {
+    const result = await pool.query(`
+      SELECT * FROM formulary_entries
+      WHERE insurance_plan_id = $1
+        AND (medication_id = $2 OR ndc = $3 OR rxcui = $4 OR lower(drug_name) = lower($5))
+      ORDER BY (medication_id = $2) DESC NULLS LAST, (ndc = $3) DESC NULLS LAST, (rxcui = $4) DESC NULLS LAST
+      LIMIT 1
+    `, [insurancePlanId, medication.id, medication.ndc?.replace(/[^0-9]/g, '') || null, medication.rxcui, medication.generic_name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Covered alternatives (get_alternative_medications) that are a better deal on this plan than the current status
+   */
+  async findAlternatives(insurancePlanId, medicationId, current) {
+    const candidates = await pool.query('SELECT * FROM get_alternative_medications($1, NULL)', [medicationId]);
+    if (candidates.rows.length === 0) return [];
+
+    const entries = await pool.query(`
+      SELECT fe.*, m.id AS alternative_id
+      FROM medications m
+      JOIN LATERAL (
+        SELECT * FROM formulary_entries fe
+        WHERE fe.insurance_plan_id = $1
+          AND (fe.medication_id = m.id OR fe.rxcui = m.rxcui OR lower(fe.drug_name) = lower(m.generic_name))
+        ORDER BY (fe.medication_id = m.id) DESC NULLS LAST
+        LIMIT 1
+      ) fe ON true
+      WHERE m.id = ANY($2::int[]) AND fe.covered = true
+    `, [insurancePlanId, candidates.rows.map(row => row.medication_id)]);
+
+    const restricted = entry => entry.prior_auth_required || entry.step_therapy;
+    const currentRestricted = current.priorAuthRequired || current.stepTherapy;
+    const better = entry => current.status !== 'covered'
+      || entry.tier < current.tier
+      || (entry.tier === current.tier && currentRestricted && !restricted(entry))
+      || (entry.tier === current.tier && current.quantityExceeded);
+
+    return entries.rows
+      .filter(better)
+      .sort((a, b) => a.tier - b.tier || Number(restricted(a)) - Number(restricted(b)) || (Number(a.copay_amount) || 0) - (Number(b.copay_amount) || 0))
+      .slice(0, ALTERNATIVE_LIMIT)
+      .map(entry => {
+        const medication = candidates.rows.find(row => row.medication_id === entry.alternative_id);
+        return {
+          medicationId: entry.alternative_id,
+          genericName: medication.generic_name,
+          brandName: medication.brand_name,
+          strength: medication.strength,
+          dosageForm: medication.dosage_form,
+          tier: entry.tier,
+          tierLabel: TIER_LABELS[entry.tier],
+          priorAuthRequired: entry.prior_auth_required,
+          stepTherapy: entry.step_therapy,
+          copay: entry.copay_amount != null ? Number(entry.copay_amount) : null
+        };
+      });
+  }
+
+  /**
+   * Formulary status of an entry (or of a drug the plan does not list)
+   * @param {Object|null} entry - formulary_entries row
+   * @param {number|null} quantity - Prescribed quantity per fill
+   */
+  describe(entry, quantity = null) {
+    if (!entry) {
+      return {
+        status: 'not_listed',
+        tier: null,
+        tierLabel: null,
+        priorAuthRequired: false,
+        stepTherapy: false,
+        quantityExceeded: false,
+        copay: null,
+        flags: ['Not on the plan formulary; patient may pay full price']
+      };
+    }
+
+    const formatted = this.formatEntry(entry);
+    const quantityExceeded = formatted.quantityLimit != null && Number(quantity) > formatted.quantityLimit;
+    const flags = [];
+    if (!formatted.covered) flags.push('Excluded from the plan formulary');
+    if (formatted.tier >= 3) flags.push(`Tier ${formatted.tier} (${formatted.tierLabel})${formatted.copay != null ? `, $${formatted.copay.toFixed(2)} copay` : ''}`);
+    if (formatted.priorAuthRequired) flags.push('Prior authorization required');
+    if (formatted.stepTherapy) flags.push(`Step therapy${formatted.stepTherapyNote ? `: ${formatted.stepTherapyNote}` : ' required'}`);
+    if (quantityExceeded) {
+      flags.push(`Quantity ${quantity} exceeds the limit of ${formatted.quantityLimit}${formatted.quantityLimitDays ? ` per ${formatted.quantityLimitDays} days` : ''}`);
+    }
+
+    return {
+      status: formatted.covered ? 'covered' : 'not_covered',
+      tier: formatted.tier,
+      tierLabel: formatted.tierLabel,
+      priorAuthRequired: formatted.priorAuthRequired,
+      stepTherapy: formatted.stepTherapy,
+      stepTherapyNote: formatted.stepTherapyNote,
+      quantityLimit: formatted.quantityLimit,
+      quantityLimitDays: formatted.quantityLimitDays,
+      quantityExceeded,
+      copay: formatted.copay,
+      flags
+    };
+  }
+
+  needsAlternative(status) {
+    return status.status !== 'covered' || status.tier >= 3 || status.priorAuthRequired || status.stepTherapy || status.quantityExceeded;
+  }
+
+  unchecked(status, flag) {
+    return { status, tier: null, tierLabel: null, priorAuthRequired: false, stepTherapy: false, quantityExceeded: false, copay: null, flags: [flag], alternatives: [] };
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      insurancePlanId: row.insurance_plan_id,
+      medicationId: row.medication_id ?? null,
+      drugName: row.drug_name,
+      rxcui: row.rxcui ?? null,
+      ndc: row.ndc ?? null,
+      covered: row.covered,
+      tier: row.tier ?? null,
+      tierLabel: row.tier ? TIER_LABELS[row.tier] : null,
+      priorAuthRequired: row.prior_auth_required,
+      stepTherapy: row.step_therapy,
+      stepTherapyNote: row.step_therapy_note ?? null,
+      quantityLimit: row.quantity_limit != null ? Number(row.quantity_limit) : null,
+      quantityLimitDays: row.quantity_limit_days ?? null,
+      copay: row.copay_amount != null ? Number(row.copay_amount) : null,
+      notes: row.notes ?? null
+    };
+  }
+}
+
+export default new FormularyService();
@@ -0,0 +1,396 @@
+// HL7 ADT Service
+// Handles inbound ADT feeds: A04 registers patients, A08 updates demographics and A40 merges duplicate records
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import hl7ParserService, { HL7Error } from './hl7-parser.service.js';
+import fhirImportService from './fhir-import.service.js';
+
+// ADT demographic fields -> patients columns (046 enhanced demographics included)
+const DEMOGRAPHIC_COLUMNS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  dateOfBirth: 'dob',
+  gender: 'gender',
+  phone: 'phone',
+  race: 'race',
+  ethnicity: 'ethnicity',
+  preferredLanguage: 'preferred_language',
+  maritalStatus: 'marital_status',
+  emergencyContactName: 'emergency_contact_name',
+  emergencyContactPhone: 'emergency_contact_phone',
+  emergencyContactRelationship: 'emergency_contact_relationship'
+};
+
+// Columns that can never be cleared by an HL7 null ("")
+const REQUIRED_COLUMNS = ['first_name', 'last_name', 'dob'];
+
+// Demographics copied from the retired record when the survivor has none
+const MERGE_FILL_COLUMNS = [
+  'gender', 'phone', 'race', 'ethnicity', 'preferred_language', 'marital_status',
+  'occupation', 'employer', 'education_level', 'emergency_contact_name',
+  'emergency_contact_phone', 'emergency_contact_relationship', 'pharmacy_name',
+  'pharmacy_phone', 'pharmacy_address', 'insurance_id', 'provider_id'
+];
+
+/**
+ * Error that should be answered with an AR (reject) acknowledgement
+ */
+export class ADTRejectError extends HL7Error {
+  constructor(message) {
+    super(message, '201', 'AR');
+    this.name = 'ADTRejectError';
+  }
+}
+
+class HL7ADTService {
+  constructor() {
+    this.eventHandlers = {
+      A04: (adt, userId, context) => this.registerPatient(adt, userId, context),
+      A08: (adt, userId, context) => this.updateDemographics(adt, userId, context),
+      A40: (adt, userId, context) => this.mergePatients(adt, userId, context)
+    };
+  }
+
+  /**
+   * Process an inbound ADT message
+   * @param {string} message - Raw HL7 ADT message
+   * @param {number} userId - User (or interface account) processing the message
+   * @param {Object} context - Optional { messageLogId } when the caller already logged the message,
+   *   plus { patientId } when the HL7 inbox linked the message to a patient
+   * @returns {Object} { success, data: { event, action, patientId } }
+   */
+  async processADT(message, userId, context = {}) {
+    let messageLogId = context.messageLogId || null;
+
+    try {
+      if (!messageLogId) {
+        messageLogId = await hl7ParserService.logHL7Message('ADT', 'inbound', message);
+      }
+
+      const adt = hl7ParserService.parseADT(message);
+      adt.patient.linkedPatientId = context.patientId || null;
+
+      const handler = this.eventHandlers[adt.event];
+
+      if (!handler) {
+        throw new ADTRejectError(`Unsupported ADT event: ${adt.event || 'none'}`);
+      }
+
+      const outcome = await handler(adt, userId, { messageLogId });
+
+      await hl7ParserService.updateHL7MessageStatus(messageLogId, true);
+
+      return {
+        success: true,
+        data: { event: adt.event, ...outcome }
+      };
+
+    } catch (error) {
+      console.error('[HL7ADT] Error processing ADT message:', error);
+
+      if (messageLogId) {
+        await hl7ParserService.updateHL7MessageStatus(messageLogId, false, null, null, error.message);
+      }
+
+      if (error instanceof ADTRejectError) {
+        throw error;
+      }
+      throw new HL7Error(`Failed to process HL7 ADT message: ${error.message}`, error.errorCode, error.ackCode);
+    }
+  }
+
+  /**
+   * A04 - register a patient (an already known patient is updated instead)
+   * @param {Object} adt - Parsed ADT message
+   * @param {number} userId - Processing user
+   * @returns {Object} { action, patientId, mrn }
+   */
+  async registerPatient(adt, userId) {
+    const { patient } = adt;
+    const existingId = await this.resolvePatientId(patient);
+
+    if (existingId) {
+      const outcome = await this.updateDemographics(adt, userId);
+      return { ...outcome, action: 'updated' };
+    }
+
+    if (!patient.lastName || !patient.firstName || !patient.dateOfBirth) {
+      throw new HL7Error('Registration requires patient name (PID-5) and date of birth (PID-7)', '101');
+    }
+
+    const client = await pool.connect();
+    let created;
+
+    try {
+      await client.query('BEGIN');
+
+      const mrn = await fhirImportService.generateMRN(client);
+      const providerId = await this.findProviderByNpi(patient.primaryCareProviderNpi);
+      const values = this.demographicValues(patient);
+      const columns = Object.keys(values);
+
+      const { rows } = await client.query(`
+        INSERT INTO patients (mrn, identifiers, provider_id, ${columns.join(', ')})
+        VALUES ($1, $2::jsonb, $3, ${columns.map((_, i) => `$${i + 4}`).join(', ')})
+        RETURNING id, mrn
+      `, [mrn, JSON.stringify(patient.identifiers), providerId, ...Object.values(values)]);
+
+      await client.query('COMMIT');
+      created = rows[0];
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'patients',
+      created.id,
+      'hl7_adt_a04',
+      'Registered patient from HL7 ADT^A04',
+      { patientId: created.id, endpoint: 'hl7:adt' }
+    );
+
+    return { action: 'registered', patientId: created.id, mrn: created.mrn };
+  }
+
+  /**
+   * A08 - update patient demographics
+   * Fields absent from the message are left alone; HL7 nulls ("") clear the column
+   * @param {Object} adt - Parsed ADT message
+   * @param {number} userId - Processing user
+   * @returns {Object} { action, patientId, updatedFields }
+   */
+  async updateDemographics(adt, userId) {
+    const { patient } = adt;
+    const patientId = await this.resolvePatientId(patient);
+
+    if (!patientId) {
+      throw new HL7Error(`Patient not found: ${patient.patientId || Object.values(patient.identifiers)[0] || 'no identifier'}`, '204');
+    }
+
+    const values = this.demographicValues(patient);
+    const assignments = [];
+    const params = [patientId];
+
+    for (const [column, value] of Object.entries(values)) {
+      if (value === null && REQUIRED_COLUMNS.includes(column)) continue;
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    }
+
+    // New identifiers from the sender are added; existing keys are overwritten
+    if (Object.keys(patient.identifiers).length > 0) {
+      params.push(JSON.stringify(patient.identifiers));
+      assignments.push(`identifiers = COALESCE(identifiers, '{}'::jsonb) || $${params.length}::jsonb`);
+    }
+
+    const providerId = await this.findProviderByNpi(patient.primaryCareProviderNpi);
+    if (providerId) {
+      params.push(providerId);
+      assignments.push(`provider_id = $${params.length}`);
+    }
+
+    if (assignments.length > 0) {
+      await pool.query(`
+        UPDATE patients SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, params);
+    }
+
+    const updatedFields = assignments.map(assignment => assignment.split(' = ')[0]);
+
+    await auditService.logPHIAccess(
+      userId,
+      'patients',
+      patientId,
+      'hl7_adt_a08',
+      `Updated demographics from HL7 ADT^${adt.event}: ${updatedFields.join(', ') || 'no changes'}`,
+      { patientId, endpoint: 'hl7:adt' }
+    );
+
+    return { action: 'updated', patientId, updatedFields };
+  }
+
+  /**
+   * A40 - merge the MRG (prior) patient into the PID (surviving) patient
+   * Every table referencing patients is re-pointed at the survivor and the prior record is retired
+   * @param {Object} adt - Parsed ADT message
+   * @param {number} userId - Processing user
+   * @param {Object} context - { messageLogId }
+   * @returns {Object} { action, patientId, mergedPatientId, movedRecords, skippedTables }
+   */
+  async mergePatients(adt, userId, context = {}) {
+    if (!adt.mergedPatient) {
+      throw new HL7Error('Missing required HL7 segment (MRG) for A40 merge', '100');
+    }
+
+    const survivingId = await this.resolvePatientId(adt.patient);
+    if (!survivingId) {
+      throw new HL7Error(`Patient not found: ${adt.patient.patientId || Object.values(adt.patient.identifiers)[0] || 'no identifier'}`, '204');
+    }
+
+    // A prior record that was already merged resolves to its survivor, making a re-sent A40 a no-op
+    const mergedId = await hl7ParserService.findPatientId(adt.mergedPatient);
+    if (!mergedId) {
+      throw new HL7Error(`Merge source patient not found: ${adt.mergedPatient.patientId || Object.values(adt.mergedPatient.identifiers)[0] || 'no identifier'}`, '204');
+    }
+
+    if (mergedId === survivingId) {
+      return { action: 'already_merged', patientId: survivingId, mergedPatientId: mergedId };
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { rows: [merged] } = await client.query(
+        'SELECT * FROM patients WHERE id = $1 FOR UPDATE',
+        [mergedId]
+      );
+      await client.query('SELECT id FROM patients WHERE id = $1 FOR UPDATE', [survivingId]);
+
+      const { movedRecords, skippedTables } = await this.moveReferences(client, mergedId, survivingId);
+
+      // Fill survivor gaps from the retired record and carry over its identifiers
+      await client.query(`
+        UPDATE patients s SET
+          ${MERGE_FILL_COLUMNS.map(column => `${column} = COALESCE(s.${column}, m.${column})`).join(',\n          ')},
+          identifiers = COALESCE(m.identifiers, '{}'::jsonb) || COALESCE(s.identifiers, '{}'::jsonb),
+          updated_at = CURRENT_TIMESTAMP
+        FROM patients m
+        WHERE s.id = $1 AND m.id = $2
+      `, [survivingId, mergedId]);
+
+      await client.query(`
+        UPDATE patients SET merged_into_patient_id = $1, merged_at = CURRENT_TIMESTAMP
+        WHERE id = $2 OR merged_into_patient_id = $2
+      `, [survivingId, mergedId]);
+
+      await client.query(`
+        INSERT INTO patient_merges (
+          surviving_patient_id, merged_patient_id, merged_mrn, source,
+          hl7_message_id, moved_records, skipped_tables, merged_by
+        ) VALUES ($1, $2, $3, 'hl7_adt', $4, $5, $6, $7)
+      `, [
+        survivingId,
+        mergedId,
+        merged.mrn,
+        context.messageLogId || null,
+        JSON.stringify(movedRecords),
+        JSON.stringify(skippedTables),
+        userId
+      ]);
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await auditService.logPHIAccess(
+      userId,
+      'patients',
+      survivingId,
+      'hl7_adt_a40',
+      `Merged patient ${mergedId} into ${survivingId} from HL7 ADT^A40`,
+      { patientId: survivingId, endpoint: 'hl7:adt' }
+    );
+
+    return { action: 'merged', patientId: survivingId, mergedPatientId: mergedId };
+  }
+
+  /**
+   * Resolve the PID patient, preferring a manual link from the HL7 inbox over identifier matching
+   * @param {Object} patient - Demographics from extractDemographics
+   * @returns {number|null} Patient ID
+   */
+  async resolvePatientId(patient) {
+    return patient.linkedPatientId || hl7ParserService.findPatientId(patient);
+  }
+
+  /**
+   * Re-point every foreign key referencing patients(id) from one patient to another
+   * Audit tables keep the original patient; a table that hits a unique conflict is left on the retired record
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} fromPatientId - Retired patient ID
+   * @param {number} toPatientId - Surviving patient ID
+   * @returns {Object} { movedRecords, skippedTables }
+   */
+  async moveReferences(client, fromPatientId, toPatientId) {
+    const { rows: references } = await client.query(`
+      SELECT c.conrelid::regclass::text AS table_name, a.attname AS column_name
+      FROM pg_constraint c
+      JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+      WHERE c.contype = 'f'
+        AND c.confrelid = 'patients'::regclass
+        AND c.conrelid <> 'patients'::regclass
+        AND c.conrelid::regclass::text NOT IN ('patient_merges')
+        AND c.conrelid::regclass::text NOT LIKE '%audit%'
+      ORDER BY 1, 2
+    `);
+
+    const movedRecords = {};
+    const skippedTables = [];
+
+    for (const { table_name: table, column_name: column } of references) {
+      await client.query('SAVEPOINT move_reference');
+
+      try {
+        const result = await client.query(
+          `UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`,
+          [toPatientId, fromPatientId]
+        );
+        await client.query('RELEASE SAVEPOINT move_reference');
+
+        if (result.rowCount > 0) {
+          movedRecords[`${table}.${column}`] = result.rowCount;
+        }
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT move_reference');
+        console.warn(`[HL7ADT] Could not move ${table}.${column} during merge:`, error.message);
+        skippedTables.push({ table, column, reason: error.message });
+      }
+    }
+
+    return { movedRecords, skippedTables };
+  }
+
+  /**
+   * Map parsed demographics to patients columns, dropping fields the sender did not send
+   * @param {Object} patient - Demographics from extractDemographics
+   * @returns {Object} Column -> value
+   */
+  demographicValues(patient) {
+    const values = {};
+
+    for (const [field, column] of Object.entries(DEMOGRAPHIC_COLUMNS)) {
+      if (patient[field] !== undefined) {
+        values[column] = patient[field];
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Find a provider by NPI (PD1-4 primary care provider)
+   * @param {string|undefined} npi - Provider NPI
+   * @returns {number|null} Provider ID
+   */
+  async findProviderByNpi(npi) {
+    if (!npi) return null;
+
+    const result = await pool.query('SELECT id FROM providers WHERE npi = $1', [npi]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+}
+
+export default new HL7ADTService();
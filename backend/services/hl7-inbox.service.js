@@ -0,0 +1,352 @@
+// HL7 Inbox Service
+// Handles the HL7 error queue: listing failed inbound messages, linking them to a patient/order,
+// editing and reprocessing them, with every action recorded in hl7_message_actions
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import hl7ParserService from './hl7-parser.service.js';
+import hl7AdtService from './hl7-adt.service.js';
+import labService from './lab.service.js';
+
+// A reprocess claim older than this is treated as abandoned (the process died mid-run)
+const REPROCESS_CLAIM_MINUTES = 15;
+
+const STATUS_FILTERS = {
+  failed: "m.parsed_successfully = false AND m.resolution IS NULL",
+  processed: "m.parsed_successfully = true",
+  dismissed: "m.resolution = 'dismissed'",
+  all: 'TRUE'
+};
+
+/**
+ * Error for inbox requests that cannot be applied to the message (mapped to 4xx by the routes)
+ */
+export class HL7InboxError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HL7InboxError';
+    this.status = status;
+  }
+}
+
+class HL7InboxService {
+  /**
+   * List inbound HL7 messages for the inbox
+   * @param {Object} filters - { status, messageType, search, limit, offset }
+   * @returns {Object} { messages, total }
+   */
+  async listMessages({ status = 'failed', messageType = null, search = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const where = ["m.direction = 'inbound'", STATUS_FILTERS[status] || STATUS_FILTERS.failed];
+      const params = [];
+
+      if (messageType) {
+        params.push(messageType);
+        where.push(`m.message_type = $${params.length}`);
+      }
+
+      if (search) {
+        params.push(`%${search}%`);
+        where.push(`(m.error_message ILIKE $${params.length} OR m.message_control_id ILIKE $${params.length})`);
+      }
+
+      const whereClause = where.join(' AND ');
+
+      const countResult = await pool.query(
+        `SELECT COUNT(*)::int AS total FROM hl7_messages m WHERE ${whereClause}`,
+        params
+      );
+
+      params.push(Math.min(parseInt(limit, 10) || 50, 200), parseInt(offset, 10) || 0);
+
+      const result = await pool.query(`
+        SELECT m.id, m.message_type, m.message_control_id, m.transport, m.remote_address,
+               m.parsed_successfully, m.error_message, m.patient_id, m.lab_order_id,
+               m.reprocess_count, m.resolution, m.resolved_at, m.created_at,
+               m.original_message IS NOT NULL AS edited,
+               p.first_name AS patient_first_name, p.last_name AS patient_last_name, p.mrn AS patient_mrn
+        FROM hl7_messages m
+        LEFT JOIN patients p ON p.id = m.patient_id
+        WHERE ${whereClause}
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `, params);
+
+      return { messages: result.rows, total: countResult.rows[0].total };
+
+    } catch (error) {
+      console.error('[HL7Inbox] Error listing messages:', error);
+      throw new Error(`Failed to list HL7 messages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a message with its parsed header, acknowledgements and action history
+   * @param {number} messageId - HL7 message log ID
+   * @returns {Object} Message detail
+   */
+  async getMessage(messageId) {
+    const message = await this.findInboundMessage(messageId);
+
+    const [acks, actions] = await Promise.all([
+      pool.query(`
+        SELECT id, ack_code, hl7_message, created_at
+        FROM hl7_messages
+        WHERE acknowledges_message_id = $1
+        ORDER BY created_at
+      `, [messageId]),
+      pool.query(`
+        SELECT a.id, a.action, a.success, a.details, a.created_at, a.performed_by,
+               u.first_name AS performed_by_first_name, u.last_name AS performed_by_last_name
+        FROM hl7_message_actions a
+        LEFT JOIN users u ON u.id = a.performed_by
+        WHERE a.hl7_message_id = $1
+        ORDER BY a.created_at, a.id
+      `, [messageId])
+    ]);
+
+    return {
+      ...message,
+      header: hl7ParserService.parseHeader(message.hl7_message),
+      acknowledgements: acks.rows,
+      actions: actions.rows
+    };
+  }
+
+  /**
+   * Manually link a message to a patient and (for results) a lab order
+   * @param {number} messageId - HL7 message log ID
+   * @param {Object} link - { patientId, labOrderId? }
+   * @param {number} userId - User making the link
+   * @returns {Object} Updated message
+   */
+  async linkMessage(messageId, { patientId, labOrderId = null }, userId) {
+    const message = await this.findInboundMessage(messageId);
+    this.assertOpen(message);
+
+    const patient = await pool.query('SELECT id, merged_into_patient_id FROM patients WHERE id = $1', [patientId]);
+    if (patient.rows.length === 0) {
+      throw new HL7InboxError(`Patient ${patientId} not found`, 404);
+    }
+    if (patient.rows[0].merged_into_patient_id) {
+      throw new HL7InboxError(`Patient ${patientId} was merged into ${patient.rows[0].merged_into_patient_id}; link the surviving record`);
+    }
+
+    if (labOrderId) {
+      const order = await pool.query('SELECT id FROM lab_orders WHERE id = $1 AND patient_id = $2', [labOrderId, patientId]);
+      if (order.rows.length === 0) {
+        throw new HL7InboxError(`Lab order ${labOrderId} does not belong to patient ${patientId}`);
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE hl7_messages SET patient_id = $2, lab_order_id = $3
+      WHERE id = $1
+      RETURNING *
+    `, [messageId, patientId, labOrderId]);
+
+    await this.recordAction(messageId, 'link', userId, {
+      patientId,
+      labOrderId,
+      previous: { patientId: message.patient_id, labOrderId: message.lab_order_id }
+    }, patientId);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the message text (e.g. fix a malformed segment before reprocessing)
+   * The message as received is kept in original_message and each prior version in the action trail
+   * @param {number} messageId - HL7 message log ID
+   * @param {string} hl7Message - Corrected message
+   * @param {string|null} reason - Why the message was edited
+   * @param {number} userId - User editing the message
+   * @returns {Object} Updated message
+   */
+  async editMessage(messageId, hl7Message, reason, userId) {
+    const message = await this.findInboundMessage(messageId);
+    this.assertOpen(message);
+
+    const normalized = String(hl7Message || '').trim().split(/\r\n|\r|\n/).join('\r');
+    const header = hl7ParserService.parseHeader(normalized);
+
+    if (!header || !header.messageType) {
+      throw new HL7InboxError('Edited message must start with a valid MSH segment');
+    }
+    if (header.messageType !== message.message_type) {
+      throw new HL7InboxError(`Message type cannot change (${message.message_type} -> ${header.messageType})`);
+    }
+
+    const result = await pool.query(`
+      UPDATE hl7_messages
+      SET hl7_message = $2, original_message = COALESCE(original_message, hl7_message), message_control_id = $3
+      WHERE id = $1
+      RETURNING *
+    `, [messageId, normalized, header.controlId]);
+
+    await this.recordAction(messageId, 'edit', userId, {
+      reason: reason || null,
+      previousMessage: message.hl7_message
+    }, message.patient_id);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Run a failed message through its handler again, using any manual links
+   * The message is claimed first so concurrent requests cannot apply its results twice;
+   * a failed attempt releases the claim and leaves the message open for another try
+   * @param {number} messageId - HL7 message log ID
+   * @param {number} userId - User reprocessing the message
+   * @returns {Object} { success, error?, data? }
+   */
+  async reprocessMessage(messageId, userId) {
+    const message = await this.findInboundMessage(messageId);
+    this.assertOpen(message);
+
+    if (message.message_type !== 'ORU' && message.message_type !== 'ADT') {
+      throw new HL7InboxError(`Reprocessing ${message.message_type} messages is not supported`);
+    }
+
+    const claim = await pool.query(`
+      UPDATE hl7_messages SET reprocess_started_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND parsed_successfully = false AND resolution IS NULL
+        AND (reprocess_started_at IS NULL OR reprocess_started_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute')
+      RETURNING id
+    `, [messageId, REPROCESS_CLAIM_MINUTES]);
+
+    if (claim.rows.length === 0) {
+      throw new HL7InboxError('Message is already being reprocessed', 409);
+    }
+
+    const context = {
+      messageLogId: message.id,
+      patientId: message.patient_id,
+      labOrderId: message.lab_order_id
+    };
+
+    let outcome;
+
+    try {
+      if (message.message_type === 'ORU') {
+        const { data, results } = await labService.receiveHL7Message(message.hl7_message, userId, context);
+        outcome = {
+          success: true,
+          data: {
+            patientId: data.patient.internalId,
+            labOrderIds: data.orders.map(order => order.internalOrderId),
+            resultCount: results.length
+          }
+        };
+      } else {
+        const { data } = await hl7AdtService.processADT(message.hl7_message, userId, context);
+        outcome = { success: true, data };
+      }
+    } catch (error) {
+      outcome = { success: false, error: error.message };
+    }
+
+    await pool.query(`
+      UPDATE hl7_messages SET
+        reprocess_count = reprocess_count + 1,
+        reprocess_started_at = NULL,
+        parsed_successfully = $3 AND parsed_successfully,
+        patient_id = COALESCE($2, patient_id),
+        resolution = CASE WHEN $3 THEN 'reprocessed' ELSE resolution END,
+        resolved_by = CASE WHEN $3 THEN $4 ELSE resolved_by END,
+        resolved_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE resolved_at END
+      WHERE id = $1
+    `, [messageId, outcome.success ? outcome.data.patientId || null : null, outcome.success, userId]);
+
+    await this.recordAction(messageId, 'reprocess', userId, outcome, outcome.success ? outcome.data.patientId : message.patient_id);
+
+    return outcome;
+  }
+
+  /**
+   * Remove a message from the error queue without processing it (duplicate, test message, ...)
+   * @param {number} messageId - HL7 message log ID
+   * @param {string} reason - Why the message is dismissed
+   * @param {number} userId - User dismissing the message
+   * @returns {Object} Updated message
+   */
+  async dismissMessage(messageId, reason, userId) {
+    const message = await this.findInboundMessage(messageId);
+    this.assertOpen(message);
+
+    if (!reason || !String(reason).trim()) {
+      throw new HL7InboxError('A reason is required to dismiss a message');
+    }
+
+    const result = await pool.query(`
+      UPDATE hl7_messages
+      SET resolution = 'dismissed', resolved_by = $2, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [messageId, userId]);
+
+    await this.recordAction(messageId, 'dismiss', userId, { reason: String(reason).trim() }, message.patient_id);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Load an inbound message or fail with 404
+   * @param {number} messageId - HL7 message log ID
+   * @returns {Object} hl7_messages row
+   */
+  async findInboundMessage(messageId) {
+    const result = await pool.query(`
+      SELECT *, COALESCE(reprocess_started_at >= CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute', false) AS reprocessing
+      FROM hl7_messages WHERE id = $1 AND direction = 'inbound'
+    `, [messageId, REPROCESS_CLAIM_MINUTES]);
+
+    if (result.rows.length === 0) {
+      throw new HL7InboxError(`HL7 message ${messageId} not found`, 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Only failed, unresolved messages that are not being reprocessed can be changed - processed results
+   * must not be applied twice
+   * @param {Object} message - hl7_messages row
+   */
+  assertOpen(message) {
+    if (message.parsed_successfully) {
+      throw new HL7InboxError('Message was already processed successfully', 409);
+    }
+    if (message.resolution) {
+      throw new HL7InboxError(`Message was already ${message.resolution}`, 409);
+    }
+    if (message.reprocessing) {
+      throw new HL7InboxError('Message is already being reprocessed', 409);
+    }
+  }
+
+  /**
+   * Record an inbox action in the message trail and the PHI audit log
+   * @param {number} messageId - HL7 message log ID
+   * @param {string} action - link, edit, reprocess or dismiss
+   * @param {number} userId - Acting user
+   * @param {Object} details - Action details
+   * @param {number|null} patientId - Patient the message concerns, if known
+   */
+  async recordAction(messageId, action, userId, details, patientId = null) {
+    await pool.query(`
+      INSERT INTO hl7_message_actions (hl7_message_id, action, performed_by, success, details)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [messageId, action, userId, details.success !== false, JSON.stringify(details)]);
+
+    await auditService.logPHIAccess(
+      userId,
+      'hl7_messages',
+      messageId,
+      `hl7_inbox_${action}`,
+      `HL7 inbox ${action} on message ${messageId}`,
+      { patientId }
+    );
+  }
+}
+
+export default new HL7InboxService();
@@ -3,6 +3,77 @@
 import pool from '../db/index.js';
 import auditService from './audit.service.js';
 
+// HL7 table 0357 (message error condition codes) used in ERR-3
+export const HL7_ERROR_CODES = {
+  '0': 'Message accepted',
+  '100': 'Segment sequence error',
+  '101': 'Required field missing',
+  '102': 'Data type error',
+  '103': 'Table value not found',
+  '200': 'Unsupported message type',
+  '201': 'Unsupported event code',
+  '203': 'Unsupported version ID',
+  '204': 'Unknown key identifier',
+  '207': 'Application internal error'
+};
+
+/**
+ * Error raised while processing an inbound HL7 message
+ * Carries the acknowledgement code and HL7 table 0357 error code to report back to the sender
+ */
+export class HL7Error extends Error {
+  constructor(message, errorCode = '207', ackCode = 'AE') {
+    super(message);
+    this.name = 'HL7Error';
+    this.errorCode = errorCode || '207';
+    this.ackCode = ackCode || 'AE';
+  }
+}
+
+// HL7 table 0005 (CDC race codes)
+const HL7_RACE = {
+  '1002-5': 'American Indian or Alaska Native',
+  '2028-9': 'Asian',
+  '2054-5': 'Black or African American',
+  '2076-8': 'Native Hawaiian or Other Pacific Islander',
+  '2106-3': 'White',
+  '2131-1': 'Other Race'
+};
+
+// HL7 table 0189 (CDC ethnicity codes and v2 single-letter codes)
+const HL7_ETHNICITY = {
+  '2135-2': 'Hispanic or Latino',
+  '2186-5': 'Not Hispanic or Latino',
+  H: 'Hispanic or Latino',
+  N: 'Not Hispanic or Latino',
+  U: 'Unknown'
+};
+
+// HL7 table 0002
+const HL7_MARITAL_STATUS = {
+  A: 'separated',
+  D: 'divorced',
+  M: 'married',
+  S: 'single',
+  W: 'widowed',
+  P: 'domestic_partner',
+  U: 'unknown'
+};
+
+// ISO 639 codes commonly sent in PID-15
+const HL7_LANGUAGE = {
+  en: 'English',
+  eng: 'English',
+  es: 'Spanish',
+  spa: 'Spanish',
+  fr: 'French',
+  fre: 'French',
+  zh: 'Chinese',
+  chi: 'Chinese',
+  vi: 'Vietnamese',
+  vie: 'Vietnamese'
+};
+
 class HL7ParserService {
   constructor() {
     this.fieldSeparator = '|';
@@ -10,64 +81,70 @@ class HL7ParserService {
     this.repetitionSeparator = '~';
     this.escapeCharacter = '\\';
     this.subComponentSeparator = '&';
+    // Assigning authority we put on PID-3 in outbound messages (see buildPIDSegment)
+    this.localAssigningAuthority = 'MRN';
   }
 
   /**
    * Parse HL7 ORU (Observation Result) message
+   * A parse failure is recorded on the message log; success is recorded by LabService.receiveHL7Message
+   * once the results are stored
    * @param {string} message - Raw HL7 message
    * @param {number} userId - User processing the message
+   * @param {Object} context - Optional { messageLogId } when the caller already logged the message,
+   *   plus { patientId, labOrderId } links set from the HL7 inbox when reprocessing
    * @returns {Object} Parsed result data
    */
-  async parseORU(message, userId) {
+  async parseORU(message, userId, context = {}) {
+    let messageLogId = context.messageLogId || null;
+
     try {
       // Log incoming HL7 message
-      await this.logHL7Message('ORU', 'inbound', message);
-
-      const lines = message.split('\r').filter(line => line.trim().length > 0);
-      const segments = {};
-      
-      // Parse each segment
-      for (const line of lines) {
-        const segmentType = line.substring(0, 3);
-        if (!segments[segmentType]) {
-          segments[segmentType] = [];
-        }
-        segments[segmentType].push(this.parseSegment(line));
+      if (!messageLogId) {
+        messageLogId = await this.logHL7Message('ORU', 'inbound', message);
       }
 
+      const segments = this.parseMessage(message);
+      const pid = segments.find(segment => segment.type === 'PID');
+
       // Validate required segments
-      if (!segments.MSH || !segments.PID || !segments.OBR || !segments.OBX) {
-        throw new Error('Missing required HL7 segments (MSH, PID, OBR, OBX)');
+      if (segments[0].type !== 'MSH' || !pid || !segments.some(segment => segment.type === 'OBR')
+        || !segments.some(segment => segment.type === 'OBX')) {
+        throw new HL7Error('Missing required HL7 segments (MSH, PID, OBR, OBX)', '100');
       }
 
       // Extract patient information
-      const patient = this.extractPatientInfo(segments.PID[0]);
-      
-      // Extract order information
-      const order = this.extractOrderInfo(segments.OBR[0]);
-      
-      // Extract observation results
-      const observations = segments.OBX.map(obx => this.extractObservation(obx));
+      const patient = this.extractPatientInfo(pid.fields);
+
+      // Group OBX/NTE segments under their parent OBR
+      const orders = this.groupOrderObservations(segments);
 
       // Find patient in our system
-      const patientId = await this.findPatientId(patient);
+      const patientId = context.patientId || await this.findPatientId(patient);
       if (!patientId) {
-        throw new Error(`Patient not found: ${patient.patientId}`);
+        throw new HL7Error(`Patient not found: ${patient.patientId}`, '204');
       }
 
-      // Find lab order in our system
-      const labOrderId = await this.findLabOrder(patientId, order.orderNumber);
-      if (!labOrderId) {
-        throw new Error(`Lab order not found: ${order.orderNumber}`);
+      // Find each lab order in our system - panels in one message may belong to different orders
+      // A manually linked order only stands in for order numbers we cannot match
+      for (const group of orders) {
+        group.internalOrderId = await this.findLabOrder(patientId, group.orderNumber) || context.labOrderId || null;
+        if (!group.internalOrderId) {
+          throw new HL7Error(`Lab order not found: ${group.orderNumber}`, '204');
+        }
       }
 
+      const observations = orders.flatMap(group => group.observations);
+
       const parsedResult = {
         messageType: 'ORU',
         patient: { ...patient, internalId: patientId },
-        order: { ...order, internalOrderId: labOrderId },
+        order: orders[0],
+        orders,
         observations,
         timestamp: new Date(),
-        originalMessage: message
+        originalMessage: message,
+        messageLogId
       };
 
       // Log successful parsing
@@ -76,13 +153,10 @@ class HL7ParserService {
         'hl7_messages',
         patientId,
         'hl7_parsed',
-        `Parsed HL7 ORU message with ${observations.length} results`,
-        'Lab result processing'
+        `Parsed HL7 ORU message with ${orders.length} orders and ${observations.length} results`,
+        { patientId, endpoint: 'hl7:oru' }
       );
 
-      // Update HL7 log as successfully parsed
-      await this.updateHL7MessageStatus(message, true, labOrderId, null);
-
       return {
         success: true,
         data: parsedResult
@@ -92,10 +166,233 @@ class HL7ParserService {
       console.error('[HL7Parser] Error parsing ORU message:', error);
       
       // Log parsing error
-      await this.updateHL7MessageStatus(message, false, null, null, error.message);
+      if (messageLogId) {
+        await this.updateHL7MessageStatus(messageLogId, false, null, null, error.message);
+      }
       
-      throw new Error(`Failed to parse HL7 ORU message: ${error.message}`);
+      throw new HL7Error(`Failed to parse HL7 ORU message: ${error.message}`, error.errorCode, error.ackCode);
+    }
+  }
+
+  /**
+   * Parse HL7 ADT (Admit/Discharge/Transfer) message
+   * @param {string} message - Raw HL7 message
+   * @returns {Object} Trigger event, patient demographics and, for A40, the record being merged
+   */
+  parseADT(message) {
+    const segments = this.parseSegments(message);
+
+    if (!segments.MSH || !segments.PID) {
+      throw new HL7Error('Missing required HL7 segments (MSH, PID)', '100');
     }
+
+    const header = this.parseHeader(message);
+    const evn = segments.EVN ? segments.EVN[0] : null;
+
+    return {
+      messageType: 'ADT',
+      event: header.triggerEvent || (evn && evn[1] ? evn[1][0] : null),
+      controlId: header.controlId,
+      eventDateTime: evn && evn[2] ? this.parseHL7DateTime(evn[2][0]) : new Date(),
+      patient: this.extractDemographics(
+        segments.PID[0],
+        segments.NK1 || [],
+        segments.PD1 ? segments.PD1[0] : null
+      ),
+      mergedPatient: segments.MRG ? this.extractMergeInfo(segments.MRG[0]) : null
+    };
+  }
+
+  /**
+   * Split a raw HL7 message into parsed segments grouped by segment type
+   * @param {string} message - Raw HL7 message
+   * @returns {Object} Map of segment type to parsed segments
+   */
+  parseSegments(message) {
+    const segments = {};
+
+    for (const { type, fields } of this.parseMessage(message)) {
+      if (!segments[type]) {
+        segments[type] = [];
+      }
+      segments[type].push(fields);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Split a parsed field into its repetitions
+   * parseSegment only splits components, so repetitions are rebuilt from the raw field
+   * @param {Array} field - Parsed field (components)
+   * @returns {Array} Repetitions, each an array of components
+   */
+  splitRepetitions(field) {
+    if (!field) return [];
+
+    return field
+      .join(this.componentSeparator)
+      .split(this.repetitionSeparator)
+      .filter(repetition => repetition.length > 0)
+      .map(repetition => repetition.split(this.componentSeparator));
+  }
+
+  /**
+   * Read a field value, honouring the HL7 null ("") which means "delete this value"
+   * @param {string} value - Raw component value
+   * @returns {string|null|undefined} Value, null to clear, undefined when not sent
+   */
+  fieldValue(value) {
+    if (value === '""') return null;
+    if (value === undefined || value === null || value === '') return undefined;
+    return this.unescape(value);
+  }
+
+  /**
+   * Extract a patient identifier list (CX repetitions, e.g. PID-3 or MRG-1)
+   * @param {Array} field - Parsed field
+   * @returns {Array} [{ value, authority, typeCode }]
+   */
+  extractIdentifiers(field) {
+    return this.splitRepetitions(field)
+      .filter(cx => cx[0])
+      .map(cx => ({
+        value: this.unescape(cx[0]),
+        authority: cx[3] ? cx[3].split(this.subComponentSeparator)[0] : null,
+        typeCode: cx[4] || null
+      }));
+  }
+
+  /**
+   * Split an identifier list into our own patient ID and external identifiers
+   * External identifiers are keyed by assigning authority (falling back to type code) as in patients.identifiers
+   * @param {Array} identifiers - Identifiers from extractIdentifiers
+   * @returns {Object} { patientId, identifiers }
+   */
+  classifyIdentifiers(identifiers) {
+    const local = identifiers.find(id => id.authority === this.localAssigningAuthority)
+      || identifiers.find(id => !id.authority && !id.typeCode);
+    const external = {};
+
+    for (const id of identifiers) {
+      if (id === local || id.typeCode === 'SS') continue; // never store SSNs in identifiers
+      const key = id.authority || id.typeCode;
+      if (key) external[key] = id.value;
+    }
+
+    return { patientId: local ? local.value : null, identifiers: external };
+  }
+
+  /**
+   * Extract full demographics for ADT processing from PID, NK1 and PD1
+   * @param {Array} pidSegment - Parsed PID segment
+   * @param {Array} nk1Segments - Parsed NK1 segments (next of kin)
+   * @param {Array|null} pd1Segment - Parsed PD1 segment (additional demographics)
+   * @returns {Object} Patient demographics (undefined = not sent, null = clear)
+   */
+  extractDemographics(pidSegment, nk1Segments = [], pd1Segment = null) {
+    const component = (segment, index, position = 0) => {
+      const [repetition] = this.splitRepetitions(segment ? segment[index] : null);
+      return repetition ? this.fieldValue(repetition[position]) : undefined;
+    };
+    const coded = (segment, index) => {
+      const code = component(segment, index, 0);
+      const text = component(segment, index, 1);
+      return code === null ? null : { code, text };
+    };
+
+    const { patientId, identifiers } = this.classifyIdentifiers(this.extractIdentifiers(pidSegment[3]));
+    const dob = component(pidSegment, 7);
+    const race = coded(pidSegment, 10);
+    const language = coded(pidSegment, 15);
+    const marital = coded(pidSegment, 16);
+    const ethnicity = coded(pidSegment, 22);
+
+    // Emergency contact: first NK1 flagged as emergency contact (NK1-7 = EC), else the first NK1
+    const nk1 = nk1Segments.find(segment => segment[7] && segment[7][0] === 'EC') || nk1Segments[0] || null;
+
+    return {
+      patientId,
+      identifiers,
+      lastName: component(pidSegment, 5, 0),
+      firstName: component(pidSegment, 5, 1),
+      middleName: component(pidSegment, 5, 2),
+      dateOfBirth: dob ? this.toISODate(dob) : dob,
+      gender: this.mapHL7Gender(component(pidSegment, 8)),
+      phone: this.extractPhone(pidSegment[13]),
+      race: race && (race.text || HL7_RACE[race.code] || race.code),
+      ethnicity: ethnicity && (ethnicity.text || HL7_ETHNICITY[ethnicity.code] || ethnicity.code),
+      preferredLanguage: language && (language.text || HL7_LANGUAGE[String(language.code).toLowerCase()] || language.code),
+      maritalStatus: marital && (HL7_MARITAL_STATUS[marital.code] || marital.text || marital.code),
+      emergencyContactName: nk1 ? this.formatPersonName(nk1[2]) : undefined,
+      emergencyContactRelationship: nk1 ? component(nk1, 3, 1) || component(nk1, 3, 0) : undefined,
+      emergencyContactPhone: nk1 ? this.extractPhone(nk1[5]) : undefined,
+      primaryCareProviderNpi: pd1Segment ? component(pd1Segment, 4, 0) : undefined
+    };
+  }
+
+  /**
+   * Extract the prior patient from an MRG segment (A40 merge)
+   * @param {Array} mrgSegment - Parsed MRG segment
+   * @returns {Object} { patientId, identifiers, lastName, firstName }
+   */
+  extractMergeInfo(mrgSegment) {
+    const { patientId, identifiers } = this.classifyIdentifiers(this.extractIdentifiers(mrgSegment[1]));
+
+    return {
+      patientId,
+      identifiers,
+      lastName: mrgSegment[7] ? mrgSegment[7][0] || null : null,
+      firstName: mrgSegment[7] ? mrgSegment[7][1] || null : null
+    };
+  }
+
+  /**
+   * Extract the first telephone number from an XTN field
+   * @param {Array} field - Parsed XTN field
+   * @returns {string|null|undefined} Phone number
+   */
+  extractPhone(field) {
+    const [xtn] = this.splitRepetitions(field);
+    if (!xtn) return undefined;
+    if (xtn[0] === '""') return null;
+    if (xtn[0]) return this.unescape(xtn[0]);
+
+    // 2.5+ senders may leave XTN-1 empty and send area code (XTN-6) and local number (XTN-7)
+    const number = [xtn[5], xtn[6]].filter(Boolean).join('');
+    return number || undefined;
+  }
+
+  /**
+   * Format an XPN name as "First Last"
+   * @param {Array} field - Parsed XPN field
+   * @returns {string|undefined} Name
+   */
+  formatPersonName(field) {
+    if (!field) return undefined;
+    const [xpn = []] = this.splitRepetitions(field);
+    const name = [xpn[1], xpn[0]].filter(Boolean).map(part => this.unescape(part)).join(' ');
+    return name || undefined;
+  }
+
+  /**
+   * Map HL7 administrative sex to the values stored in patients.gender
+   * @param {string|null|undefined} sex - PID-8 value
+   * @returns {string|null|undefined} Gender
+   */
+  mapHL7Gender(sex) {
+    if (!sex) return sex;
+    return { M: 'male', F: 'female', O: 'other', A: 'other', N: 'other', U: 'unknown' }[sex.toUpperCase()] || 'unknown';
+  }
+
+  /**
+   * Convert an HL7 date to an ISO date string (YYYY-MM-DD) without timezone shifts
+   * @param {string} hl7Date - HL7 date
+   * @returns {string|null} ISO date
+   */
+  toISODate(hl7Date) {
+    if (!/^\d{8}/.test(hl7Date)) return null;
+    return `${hl7Date.substring(0, 4)}-${hl7Date.substring(4, 6)}-${hl7Date.substring(6, 8)}`;
   }
 
   /**
@@ -185,36 +482,266 @@ class HL7ParserService {
     );
   }
 
+  /**
+   * Parse a raw HL7 message into its segments, keeping message order
+   * Order matters for ORU groups: OBX and NTE segments belong to the OBR before them
+   * @param {string} message - Raw HL7 message
+   * @returns {Array} [{ type, fields }]
+   */
+  parseMessage(message) {
+    const lines = (message || '')
+      .split(/\r\n|\r|\n/)
+      .filter(line => line.trim().length > 0);
+
+    if (lines.length > 0 && lines[0].startsWith('MSH') && !lines[0].startsWith('MSH|^~\\&')) {
+      throw new HL7Error('Unsupported HL7 encoding characters (expected |^~\\&)', '102');
+    }
+
+    return lines.map(line => ({
+      type: line.substring(0, 3),
+      fields: this.parseSegment(line)
+    }));
+  }
+
+  /**
+   * Read one component of a field (first repetition), with escape sequences resolved
+   * @param {Array} segment - Parsed segment
+   * @param {number} field - Field index
+   * @param {number} component - Component index
+   * @returns {string|null} Component value
+   */
+  getComponent(segment, field, component = 0) {
+    const [repetition] = this.splitRepetitions(segment ? segment[field] : null);
+    const value = repetition ? repetition[component] : null;
+    return value ? this.unescape(value) : null;
+  }
+
+  /**
+   * Resolve HL7 escape sequences in a component value
+   * \F\ \S\ \T\ \R\ \E\ map back to the delimiters, \.br\ is a line break and \Xhh\ is hex data
+   * @param {string} value - Escaped value
+   * @returns {string} Plain text
+   */
+  unescape(value) {
+    if (typeof value !== 'string' || !value.includes(this.escapeCharacter)) {
+      return value;
+    }
+
+    return value.replace(/\\([^\\]*)\\/g, (match, sequence) => {
+      switch (sequence) {
+        case 'F': return this.fieldSeparator;
+        case 'S': return this.componentSeparator;
+        case 'T': return this.subComponentSeparator;
+        case 'R': return this.repetitionSeparator;
+        case 'E': return this.escapeCharacter;
+        case '.br': return '\n';
+        case 'H':
+        case 'N':
+          return ''; // highlighting on/off
+        default:
+          break;
+      }
+
+      if (/^X(?:[0-9A-Fa-f]{2})+$/.test(sequence)) {
+        return Buffer.from(sequence.substring(1), 'hex').toString('utf8');
+      }
+      if (/^\.(sp|in|ti|sk|ce|fi|nf)/.test(sequence)) {
+        return sequence.startsWith('.sp') ? '\n' : '';
+      }
+      return match;
+    });
+  }
+
+  /**
+   * Escape delimiters in free text placed in a single component
+   * @param {string} text - Plain text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/\\/g, '\\E\\')
+      .replace(/\|/g, '\\F\\')
+      .replace(/\^/g, '\\S\\')
+      .replace(/&/g, '\\T\\')
+      .replace(/~/g, '\\R\\')
+      .replace(/\r\n|\r|\n/g, '\\.br\\');
+  }
+
+  /**
+   * Group OBR segments with the OBX and NTE segments that follow them
+   * NTE after an OBR is an order comment, NTE after an OBX is a result comment
+   * @param {Array} segments - Ordered segments from parseMessage
+   * @returns {Array} [{ ...order, observations: [{ ...observation, notes }], notes }]
+   */
+  groupOrderObservations(segments) {
+    const orders = [];
+    let commonOrder = null;
+    let currentOrder = null;
+    let currentObservation = null;
+
+    for (const { type, fields } of segments) {
+      if (type === 'ORC') {
+        commonOrder = fields;
+        currentOrder = null;
+        currentObservation = null;
+      } else if (type === 'OBR') {
+        currentOrder = { ...this.extractOrderInfo(fields, commonOrder), observations: [], notes: [] };
+        currentObservation = null;
+        orders.push(currentOrder);
+      } else if (type === 'OBX') {
+        if (!currentOrder) {
+          throw new HL7Error('OBX segment without a parent OBR', '100');
+        }
+        currentObservation = { ...this.extractObservation(fields), notes: [] };
+        currentOrder.observations.push(currentObservation);
+      } else if (type === 'NTE') {
+        const note = this.extractNote(fields);
+        if (!note) continue;
+
+        if (currentObservation) {
+          currentObservation.notes.push(note);
+        } else if (currentOrder) {
+          currentOrder.notes.push(note);
+        }
+      }
+    }
+
+    return orders;
+  }
+
+  /**
+   * Extract comment text from an NTE segment (NTE-3 repetitions are lines)
+   * @param {Array} nteSegment - Parsed NTE segment
+   * @returns {string|null} Comment
+   */
+  extractNote(nteSegment) {
+    const lines = this.splitRepetitions(nteSegment[3]).map(repetition => this.unescape(repetition.join(this.componentSeparator)));
+    const text = lines.join('\n').trim();
+    return text || null;
+  }
+
+  /**
+   * Parse the MSH header of a raw HL7 message
+   * MSH-1 is the field separator itself, so parsed index n holds MSH-(n+1)
+   * @param {string} message - Raw HL7 message
+   * @returns {Object|null} Header fields, or null when there is no MSH segment
+   */
+  parseHeader(message) {
+    const mshLine = (message || '')
+      .split(/\r\n|\r|\n/)
+      .find(line => line.startsWith('MSH'));
+
+    if (!mshLine) {
+      return null;
+    }
+
+    const msh = this.parseSegment(mshLine);
+    const field = (index, component = 0) => (msh[index] && msh[index][component]) || null;
+
+    return {
+      sendingApplication: field(2),
+      sendingFacility: field(3),
+      receivingApplication: field(4),
+      receivingFacility: field(5),
+      messageType: field(8, 0),
+      triggerEvent: field(8, 1),
+      controlId: field(9),
+      processingId: field(10) || 'P',
+      version: field(11) || '2.5'
+    };
+  }
+
+  /**
+   * Generate HL7 ACK for an inbound message
+   * @param {Object|null} header - Inbound header from parseHeader
+   * @param {string} ackCode - AA (accept), AE (error) or AR (reject)
+   * @param {string|null} text - Optional MSA-3 text message (also ERR-8 on errors)
+   * @param {string|null} errorCode - HL7 table 0357 code for ERR-3 (AE/AR only)
+   * @returns {Object} { message, messageControlId }
+   */
+  generateACK(header, ackCode, text = null, errorCode = null) {
+    const inbound = header || {};
+    const timestamp = this.formatHL7DateTime(new Date());
+    const messageControlId = this.generateMessageControlId();
+    const trigger = inbound.triggerEvent ? `^${inbound.triggerEvent}^ACK` : '';
+
+    // Sender and receiver are swapped so the ACK routes back to the originator
+    const msh = [
+      'MSH', '^~\\&',
+      inbound.receivingApplication || 'EMR_SYSTEM',
+      inbound.receivingFacility || 'MAIN_HOSPITAL',
+      inbound.sendingApplication || '',
+      inbound.sendingFacility || '',
+      timestamp, '',
+      `ACK${trigger}`,
+      messageControlId,
+      inbound.processingId || 'P',
+      inbound.version || '2.5'
+    ].join(this.fieldSeparator);
+
+    const msa = ['MSA', ackCode, inbound.controlId || ''];
+    if (text) {
+      msa.push(this.escape(String(text).substring(0, 80)));
+    }
+
+    const segments = [msh, msa.join(this.fieldSeparator)];
+
+    // ERR: HL7 error code (ERR-3), severity (ERR-4) and user message (ERR-8)
+    if (ackCode !== 'AA') {
+      const code = errorCode || (ackCode === 'AR' ? '200' : '207');
+      segments.push([
+        'ERR', '', '',
+        [code, HL7_ERROR_CODES[code] || '', 'HL70357'].join(this.componentSeparator),
+        'E', '', '', '',
+        text ? this.escape(String(text).substring(0, 250)) : ''
+      ].join(this.fieldSeparator));
+    }
+
+    return {
+      message: segments.join('\r') + '\r',
+      messageControlId
+    };
+  }
+
   /**
    * Extract patient information from PID segment
    * @param {Array} pidSegment - Parsed PID segment
    * @returns {Object} Patient information
    */
   extractPatientInfo(pidSegment) {
+    const dateOfBirth = this.getComponent(pidSegment, 7);
+
     return {
-      patientId: pidSegment[3] ? pidSegment[3][0] : null, // External patient ID
-      lastName: pidSegment[5] ? pidSegment[5][0] : null,
-      firstName: pidSegment[5] ? pidSegment[5][1] : null,
-      middleName: pidSegment[5] ? pidSegment[5][2] : null,
-      dateOfBirth: pidSegment[7] ? this.parseHL7Date(pidSegment[7][0]) : null,
-      sex: pidSegment[8] ? pidSegment[8][0] : null,
-      ssn: pidSegment[19] ? pidSegment[19][0] : null
+      patientId: this.getComponent(pidSegment, 3), // External patient ID
+      lastName: this.getComponent(pidSegment, 5, 0),
+      firstName: this.getComponent(pidSegment, 5, 1),
+      middleName: this.getComponent(pidSegment, 5, 2),
+      dateOfBirth: dateOfBirth ? this.parseHL7Date(dateOfBirth) : null,
+      sex: this.getComponent(pidSegment, 8),
+      ssn: this.getComponent(pidSegment, 19)
     };
   }
 
   /**
    * Extract order information from OBR segment
    * @param {Array} obrSegment - Parsed OBR segment
+   * @param {Array|null} orcSegment - Preceding ORC segment, if any
    * @returns {Object} Order information
    */
-  extractOrderInfo(obrSegment) {
+  extractOrderInfo(obrSegment, orcSegment = null) {
+    const observationDateTime = this.getComponent(obrSegment, 7);
+    const providerLast = this.getComponent(obrSegment, 16, 1);
+    const providerFirst = this.getComponent(obrSegment, 16, 2);
+
     return {
-      orderNumber: obrSegment[2] ? obrSegment[2][0] : null,
-      universalServiceId: obrSegment[4] ? obrSegment[4][0] : null,
-      universalServiceName: obrSegment[4] ? obrSegment[4][1] : null,
-      observationDateTime: obrSegment[7] ? this.parseHL7DateTime(obrSegment[7][0]) : null,
-      specimenSource: obrSegment[15] ? obrSegment[15][0] : null,
-      orderingProvider: obrSegment[16] ? obrSegment[16][1] + ', ' + obrSegment[16][2] : null
+      orderNumber: this.getComponent(obrSegment, 2) || this.getComponent(orcSegment, 2),
+      fillerOrderNumber: this.getComponent(obrSegment, 3),
+      universalServiceId: this.getComponent(obrSegment, 4, 0),
+      universalServiceName: this.getComponent(obrSegment, 4, 1),
+      observationDateTime: observationDateTime ? this.parseHL7DateTime(observationDateTime) : null,
+      specimenSource: this.getComponent(obrSegment, 15),
+      orderingProvider: providerLast ? [providerLast, providerFirst].filter(Boolean).join(', ') : null,
+      resultStatus: this.getComponent(obrSegment, 25)
     };
   }
 
@@ -224,14 +751,17 @@ class HL7ParserService {
    * @returns {Object} Observation data
    */
   extractObservation(obxSegment) {
-    const observationId = obxSegment[3] ? obxSegment[3][0] : null;
-    const observationName = obxSegment[3] ? obxSegment[3][1] : null;
-    const valueType = obxSegment[2] ? obxSegment[2][0] : 'ST';
-    const observationValue = obxSegment[5] ? obxSegment[5][0] : null;
-    const units = obxSegment[6] ? obxSegment[6][0] : null;
-    const referenceRange = obxSegment[7] ? obxSegment[7][0] : null;
-    const abnormalFlags = obxSegment[8] ? obxSegment[8][0] : null;
-    const resultStatus = obxSegment[11] ? obxSegment[11][0] : 'F';
+    const observationId = this.getComponent(obxSegment, 3, 0);
+    const observationName = this.getComponent(obxSegment, 3, 1);
+    const valueType = this.getComponent(obxSegment, 2) || 'ST';
+    const observationValue = this.extractObservationValue(obxSegment[5], valueType);
+    const units = this.getComponent(obxSegment, 6);
+    const referenceRange = this.getComponent(obxSegment, 7);
+    const abnormalFlags = this.getComponent(obxSegment, 8);
+    const resultStatus = this.getComponent(obxSegment, 11) || 'F';
+    const observedAt = this.getComponent(obxSegment, 14);
+    const performerLast = this.getComponent(obxSegment, 16, 1);
+    const performerFirst = this.getComponent(obxSegment, 16, 2);
 
     // Parse numeric value if applicable
     let numericValue = null;
@@ -252,10 +782,38 @@ class HL7ParserService {
       referenceRange,
       abnormalFlag: abnormalFlags,
       resultStatus: this.mapHL7ResultStatus(resultStatus),
-      observationDateTime: obxSegment[14] ? this.parseHL7DateTime(obxSegment[14][0]) : new Date()
+      observationDateTime: observedAt ? this.parseHL7DateTime(observedAt) : new Date(),
+      performedBy: performerLast ? [performerFirst, performerLast].filter(Boolean).join(' ') : null,
+      equipmentId: this.getComponent(obxSegment, 18)
     };
   }
 
+  /**
+   * Read OBX-5 according to its value type
+   * Text types keep every repetition as a line, coded values prefer their text, SN joins comparator and number
+   * @param {Array} field - Parsed OBX-5 field
+   * @param {string} valueType - OBX-2 value type
+   * @returns {string|null} Observation value
+   */
+  extractObservationValue(field, valueType) {
+    const repetitions = this.splitRepetitions(field);
+    if (repetitions.length === 0) return null;
+
+    if (['TX', 'FT'].includes(valueType)) {
+      return repetitions.map(repetition => this.unescape(repetition.join(this.componentSeparator))).join('\n');
+    }
+
+    const [components] = repetitions;
+
+    if (['CE', 'CWE'].includes(valueType)) {
+      return this.unescape(components[1] || components[0]) || null;
+    }
+    if (valueType === 'SN') {
+      return components.map(component => this.unescape(component)).join('') || null;
+    }
+    return this.unescape(components[0]) || null;
+  }
+
   /**
    * Build MSH (Message Header) segment
    * @param {string} controlId - Message control ID
@@ -425,14 +983,28 @@ class HL7ParserService {
    */
   async findPatientId(patient) {
     try {
-      // Try to find by external patient ID first
+      // Try to find by our patient ID / MRN first
       if (patient.patientId) {
         const result = await pool.query(`
-          SELECT id FROM patients WHERE id = $1
-        `, [patient.patientId]);
+          SELECT id, merged_into_patient_id FROM patients WHERE id::text = $1 OR mrn = $1
+        `, [String(patient.patientId)]);
         
         if (result.rows.length > 0) {
-          return result.rows[0].id;
+          return result.rows[0].merged_into_patient_id || result.rows[0].id;
+        }
+      }
+
+      // Then by identifiers from other assigning authorities (patients.identifiers)
+      for (const [key, value] of Object.entries(patient.identifiers || {})) {
+        const result = await pool.query(`
+          SELECT id, merged_into_patient_id FROM patients
+          WHERE jsonb_typeof(identifiers) = 'object' AND identifiers ->> $1 = $2
+          ORDER BY merged_into_patient_id NULLS FIRST
+          LIMIT 1
+        `, [key, String(value)]);
+
+        if (result.rows.length > 0) {
+          return result.rows[0].merged_into_patient_id || result.rows[0].id;
         }
       }
 
@@ -443,6 +1015,7 @@ class HL7ParserService {
           WHERE last_name ILIKE $1 
           AND first_name ILIKE $2 
           AND dob = $3
+          AND merged_into_patient_id IS NULL
         `, [patient.lastName, patient.firstName, patient.dateOfBirth]);
         
         if (result.rows.length > 0) {
@@ -486,15 +1059,31 @@ class HL7ParserService {
    * @param {string} direction - Direction (inbound, outbound)
    * @param {string} message - HL7 message content
    * @param {number|null} labOrderId - Related lab order ID
+   * @param {Object} details - Optional { transport, remoteAddress, ackCode, acknowledgesMessageId }
    * @returns {number} HL7 message log ID
    */
-  async logHL7Message(messageType, direction, message, labOrderId = null) {
+  async logHL7Message(messageType, direction, message, labOrderId = null, details = {}) {
     try {
+      const header = this.parseHeader(message);
+
       const result = await pool.query(`
-        INSERT INTO hl7_messages (message_type, direction, hl7_message, lab_order_id)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO hl7_messages (
+          message_type, direction, hl7_message, lab_order_id, message_control_id,
+          transport, remote_address, ack_code, acknowledges_message_id
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING id
-      `, [messageType, direction, message, labOrderId]);
+      `, [
+        messageType,
+        direction,
+        message,
+        labOrderId,
+        header ? header.controlId : null,
+        details.transport || 'api',
+        details.remoteAddress || null,
+        details.ackCode || null,
+        details.acknowledgesMessageId || null
+      ]);
       
       return result.rows[0].id;
     } catch (error) {
@@ -505,19 +1094,19 @@ class HL7ParserService {
 
   /**
    * Update HL7 message status
-   * @param {string} message - Original HL7 message
+   * @param {number} messageLogId - HL7 message log ID
    * @param {boolean} success - Parsing success status
    * @param {number|null} labOrderId - Lab order ID
    * @param {number|null} labResultId - Lab result ID
    * @param {string|null} errorMessage - Error message if failed
    */
-  async updateHL7MessageStatus(message, success, labOrderId = null, labResultId = null, errorMessage = null) {
+  async updateHL7MessageStatus(messageLogId, success, labOrderId = null, labResultId = null, errorMessage = null) {
     try {
       await pool.query(`
         UPDATE hl7_messages 
         SET parsed_successfully = $1, lab_order_id = $2, lab_result_id = $3, error_message = $4
-        WHERE hl7_message = $5
-      `, [success, labOrderId, labResultId, errorMessage, message]);
+        WHERE id = $5
+      `, [success, labOrderId, labResultId, errorMessage, messageLogId]);
     } catch (error) {
       console.error('[HL7Parser] Error updating HL7 message status:', error);
     }
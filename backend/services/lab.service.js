@@ -4,6 +4,8 @@ import pool from '../db/index.js';
 import auditService from './audit.service.js';
 import encryptionService from './encryption.service.js';
 import criticalValuesService from './critical-values.service.js';
+import priorAuthService, { PriorAuthError } from './prior-auth.service.js';
+import hl7ParserService, { HL7Error } from './hl7-parser.service.js';
 
 class LabService {
   constructor() {
@@ -35,6 +37,9 @@ class LabService {
       orderingFacility = 'Main Lab'
     } = orderData;
 
+    // Prior authorization runs outside the order transaction so cases it opens survive a blocked order
+    const priorAuthorization = await priorAuthService.enforceForLabOrder({ patientId, tests, userId });
+
     const client = await pool.connect();
     
     try {
@@ -79,6 +84,12 @@ class LabService {
         }
       }
 
+      await priorAuthService.recordUsage(client, priorAuthorization, {
+        orderType: 'lab_order',
+        orderId,
+        userId
+      });
+
       await client.query('COMMIT');
 
       // Log successful order creation
@@ -97,11 +108,15 @@ class LabService {
           ...labOrder,
           tests: labTests
         },
+        priorAuthorization,
         message: `Lab order created successfully with ${labTests.length} tests`
       };
 
     } catch (error) {
       await client.query('ROLLBACK');
+      if (error instanceof PriorAuthError) {
+        throw error;
+      }
       console.error('[LabService] Error creating lab order:', error);
       throw new Error(`Failed to create lab order: ${error.message}`);
     } finally {
@@ -685,6 +700,78 @@ class LabService {
       return null;
     }
   }
+
+  /**
+   * Store the observations of a parsed HL7 ORU message against their lab tests
+   * Each OBR group is matched to its own lab order; NTE comments are kept as the result interpretation
+   * @param {Object} parsedMessage - Parsed ORU data from HL7ParserService.parseORU
+   * @param {number} userId - User (or interface account) receiving the results
+   * @returns {Array} Stored results, one per observation matched to an ordered test
+   */
+  async receiveHL7Results(parsedMessage, userId) {
+    const results = [];
+
+    for (const order of parsedMessage.orders) {
+      for (const observation of order.observations) {
+        // Find the test ID for this LOINC code
+        const testId = await this.findTestByLoinc(order.internalOrderId, observation.loincCode);
+
+        if (testId) {
+          const comments = [...order.notes, ...observation.notes];
+
+          const result = await this.receiveResults({
+            testId,
+            resultValue: observation.resultValue,
+            numericValue: observation.numericValue,
+            unit: observation.unit,
+            referenceRange: observation.referenceRange,
+            abnormalFlag: observation.abnormalFlag,
+            resultStatus: observation.resultStatus,
+            resultDate: observation.observationDateTime,
+            labTechnician: observation.performedBy,
+            instrumentId: observation.equipmentId,
+            interpretation: comments.length > 0 ? comments.join('\n') : null
+          }, userId);
+
+          results.push(result);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Parse an HL7 ORU message and store its results
+   * The message log is only marked processed once results are stored; a message none of whose
+   * observations match an ordered test stays failed so it shows up in the HL7 inbox
+   * @param {string} message - Raw ORU message
+   * @param {number} userId - User (or interface account) receiving the results
+   * @param {Object} context - Passed through to HL7ParserService.parseORU
+   * @returns {Object} { success, data, results } with the parsed message and stored results
+   */
+  async receiveHL7Message(message, userId, context = {}) {
+    const { data } = await hl7ParserService.parseORU(message, userId, context);
+    const labOrderId = data.orders[0].internalOrderId;
+
+    let results;
+    try {
+      results = await this.receiveHL7Results(data, userId);
+    } catch (error) {
+      await hl7ParserService.updateHL7MessageStatus(data.messageLogId, false, labOrderId, null, `Failed to store results: ${error.message}`);
+      throw error;
+    }
+
+    if (results.length === 0) {
+      const error = new HL7Error(`None of the ${data.observations.length} results match a test on the lab order`, '204');
+      await hl7ParserService.updateHL7MessageStatus(data.messageLogId, false, labOrderId, null, error.message);
+      throw error;
+    }
+
+    await hl7ParserService.updateHL7MessageStatus(data.messageLogId, true, labOrderId, null);
+
+    return { success: true, data, results };
+  }
 }
 
 export default new LabService();
\ No newline at end of file
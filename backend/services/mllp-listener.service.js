@@ -0,0 +1,275 @@
+// MLLP Listener Service
+// Handles inbound HL7 v2 traffic over TCP using Minimal Lower Layer Protocol framing
+// (<VT> message <FS><CR>), dispatches each message by type and answers with an ACK/NAK
+import net from 'net';
+import hl7ParserService from './hl7-parser.service.js';
+import hl7AdtService from './hl7-adt.service.js';
+import labService from './lab.service.js';
+
+export const START_BLOCK = 0x0b;
+export const END_BLOCK = 0x1c;
+export const CARRIAGE_RETURN = 0x0d;
+
+const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+
+/**
+ * Wrap an HL7 message in an MLLP frame
+ * @param {string} message - HL7 message
+ * @returns {Buffer} Framed message
+ */
+export function frameMessage(message) {
+  return Buffer.concat([
+    Buffer.from([START_BLOCK]),
+    Buffer.from(message, 'utf8'),
+    Buffer.from([END_BLOCK, CARRIAGE_RETURN])
+  ]);
+}
+
+/**
+ * Pull complete MLLP frames out of a receive buffer
+ * Bytes before a start block are discarded; a partial frame is left in the remainder
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} { messages, remainder }
+ */
+export function extractFrames(buffer) {
+  const messages = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const start = buffer.indexOf(START_BLOCK, offset);
+    if (start === -1) {
+      return { messages, remainder: Buffer.alloc(0) };
+    }
+
+    let end = buffer.indexOf(END_BLOCK, start + 1);
+    while (end !== -1 && end + 1 < buffer.length && buffer[end + 1] !== CARRIAGE_RETURN) {
+      end = buffer.indexOf(END_BLOCK, end + 1);
+    }
+
+    if (end === -1 || end + 1 >= buffer.length) {
+      return { messages, remainder: buffer.subarray(start) };
+    }
+
+    messages.push(buffer.subarray(start + 1, end).toString('utf8'));
+    offset = end + 2;
+  }
+
+  return { messages, remainder: Buffer.alloc(0) };
+}
+
+class MLLPListenerService {
+  constructor() {
+    this.server = null;
+    this.connections = new Set();
+    this.handlers = new Map();
+    this.maxMessageBytes = parseInt(process.env.HL7_MLLP_MAX_MESSAGE_BYTES, 10) || DEFAULT_MAX_MESSAGE_BYTES;
+
+    // Results from the reference lab, registration/demographics from the hospital
+    this.registerHandler('ORU', (message, context) => this.handleORU(message, context));
+    this.registerHandler('ADT', (message, context) => this.handleADT(message, context));
+  }
+
+  /**
+   * Register a handler for an HL7 message type (MSH-9.1)
+   * Handlers throw to produce an AE acknowledgement; HL7Error supplies its own ACK and ERR codes
+   * @param {string} messageType - Message type (ORU, ADT, ...)
+   * @param {Function} handler - async (message, { header, messageLogId, userId, remoteAddress }) => { text? }
+   */
+  registerHandler(messageType, handler) {
+    this.handlers.set(messageType, handler);
+  }
+
+  /**
+   * User account that inbound interface traffic is attributed to
+   * @returns {number|null} Interface user ID
+   */
+  getInterfaceUserId() {
+    return parseInt(process.env.HL7_INTERFACE_USER_ID, 10) || null;
+  }
+
+  /**
+   * Start listening for MLLP connections
+   * @param {Object} options - { port, host }
+   * @returns {Promise<net.Server>} Listening server
+   */
+  start({ port, host = '0.0.0.0' } = {}) {
+    if (this.server) {
+      return Promise.resolve(this.server);
+    }
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.handleConnection(socket));
+
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        server.on('error', error => console.error('[MLLPListener] Server error:', error));
+        this.server = server;
+        const address = server.address();
+        console.log(`🔌 HL7 MLLP listener ready on ${address.address}:${address.port}`);
+        resolve(server);
+      });
+    });
+  }
+
+  /**
+   * Stop the listener and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+
+    for (const socket of this.connections) {
+      socket.destroy();
+    }
+    this.connections.clear();
+
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Handle a single sender connection
+   * Messages on one connection are processed in order: MLLP senders wait for each ACK
+   * @param {net.Socket} socket - Client socket
+   */
+  handleConnection(socket) {
+    const remoteAddress = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+
+    this.connections.add(socket);
+    socket.on('close', () => this.connections.delete(socket));
+    socket.on('error', error => console.error(`[MLLPListener] Socket error from ${remoteAddress}:`, error.message));
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      const { messages, remainder } = extractFrames(buffer);
+      buffer = remainder;
+
+      if (buffer.length > this.maxMessageBytes) {
+        console.error(`[MLLPListener] Frame from ${remoteAddress} exceeds ${this.maxMessageBytes} bytes, closing connection`);
+        socket.destroy();
+        return;
+      }
+
+      for (const message of messages) {
+        queue = queue
+          .then(() => this.processMessage(message, remoteAddress))
+          .then(ack => {
+            if (!socket.destroyed) {
+              socket.write(frameMessage(ack));
+            }
+          })
+          .catch(error => console.error('[MLLPListener] Error acknowledging message:', error));
+      }
+    });
+  }
+
+  /**
+   * Process one inbound HL7 message and build its acknowledgement
+   * Every inbound message and the ACK/NAK sent back are recorded in hl7_messages
+   * @param {string} message - Raw HL7 message (without MLLP framing)
+   * @param {string|null} remoteAddress - Sender address
+   * @returns {Promise<string>} ACK message
+   */
+  async processMessage(message, remoteAddress = null) {
+    const header = hl7ParserService.parseHeader(message);
+    const messageType = header && header.messageType ? header.messageType.substring(0, 10) : 'UNKNOWN';
+    const details = { transport: 'mllp', remoteAddress };
+
+    let messageLogId = null;
+    let ackCode = 'AA';
+    let errorCode = null;
+    let text = null;
+
+    try {
+      messageLogId = await hl7ParserService.logHL7Message(messageType, 'inbound', message, null, details);
+
+      const handler = this.handlers.get(messageType);
+
+      if (!header || !header.controlId || !handler) {
+        // Rejected before any handler ran, so the log entry is closed here
+        ackCode = 'AR';
+        if (!header || !header.controlId) {
+          errorCode = '101';
+          text = 'Missing or invalid MSH segment';
+        } else {
+          errorCode = '200';
+          text = `Unsupported message type: ${messageType}`;
+        }
+        await hl7ParserService.updateHL7MessageStatus(messageLogId, false, null, null, text);
+      } else {
+        try {
+          const outcome = await handler(message, {
+            header,
+            messageLogId,
+            remoteAddress,
+            userId: this.getInterfaceUserId()
+          });
+          text = outcome && outcome.text ? outcome.text : null;
+        } catch (error) {
+          ackCode = error.ackCode || 'AE';
+          errorCode = error.errorCode || '207';
+          text = error.message;
+        }
+      }
+    } catch (error) {
+      // Logging failed - we cannot vouch for the message, so ask the sender to retry
+      console.error('[MLLPListener] Error processing message:', error);
+      ackCode = 'AE';
+      errorCode = '207';
+      text = 'Message could not be stored';
+    }
+
+    const ack = hl7ParserService.generateACK(header, ackCode, text, errorCode);
+
+    try {
+      await hl7ParserService.logHL7Message('ACK', 'outbound', ack.message, null, {
+        ...details,
+        ackCode,
+        acknowledgesMessageId: messageLogId
+      });
+    } catch (error) {
+      console.error('[MLLPListener] Error logging ACK:', error);
+    }
+
+    return ack.message;
+  }
+
+  /**
+   * Handle ORU results: parse, then store each observation against its lab test
+   * Results that cannot be stored, or match no ordered test, are answered with AE
+   * @param {string} message - Raw ORU message
+   * @param {Object} context - Dispatch context
+   * @returns {Object} ACK text
+   */
+  async handleORU(message, { messageLogId, userId }) {
+    const { data, results } = await labService.receiveHL7Message(message, userId, { messageLogId });
+
+    return {
+      text: `Processed ${results.length} of ${data.observations.length} results`
+    };
+  }
+
+  /**
+   * Handle ADT registration, demographic update and merge events
+   * @param {string} message - Raw ADT message
+   * @param {Object} context - Dispatch context
+   * @returns {Object} ACK text
+   */
+  async handleADT(message, { messageLogId, userId }) {
+    const { data } = await hl7AdtService.processADT(message, userId, { messageLogId });
+
+    return {
+      text: `${data.event} ${data.action} patient ${data.patientId}`
+    };
+  }
+}
+
+export default new MLLPListenerService();
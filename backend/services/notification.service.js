@@ -0,0 +1,272 @@
+// Notification Service
+// Patient messages about appointments (waitlist offers, reminders). Each message is recorded in
+// patient_notifications with the channel and recipient picked from the patient's contact details, and delivered
+// through a pluggable transport: the console or a file drop for local testing, or an SMS/email gateway registered
+// with registerTransport. With no transport configured, messages are recorded as failed rather than sent anywhere.
+// Transports also collect the replies patients send back.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import pool from '../db/index.js';
+
+export const NOTIFICATION_CHANNELS = ['sms', 'email', 'phone'];
+
+const INBOX_EXTENSIONS = ['.json'];
+
+/**
+ * Used when NOTIFICATION_TRANSPORT is not set: refuses every message, so nothing leaves the server and each message
+ * is recorded as failed with the reason
+ */
+class UnconfiguredTransport {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async send() {
+    throw new Error('No notification transport configured (set NOTIFICATION_TRANSPORT)');
+  }
+
+  async collect() {
+    return [];
+  }
+}
+
+/**
+ * Logs that a message was sent, without its recipient or body (both are PHI); replies are recorded through the API
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(notification) {
+    const { id, category, channel } = notification;
+    console.log(`[Notifications] ${channel.toUpperCase()} ${category} #${id} sent`);
+  }
+
+  async collect() {
+    return [];
+  }
+}
+
+/**
+ * Writes each message as a JSON file to an outbox directory, and reads replies dropped into an inbox directory as
+ * JSON files { channel, from, body, receivedAt } (processed files are moved to inbox/processed)
+ */
+class FileTransport {
+  constructor({ outboxDir, inboxDir }) {
+    this.name = 'file';
+    this.outboxDir = outboxDir;
+    this.inboxDir = inboxDir;
+  }
+
+  async send(notification) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${notification.id}-${notification.channel}-${crypto.randomUUID().slice(0, 8)}.json`;
+    await fs.promises.writeFile(path.join(this.outboxDir, fileName), JSON.stringify({
+      id: notification.id,
+      channel: notification.channel,
+      to: notification.recipient,
+      subject: notification.subject,
+      body: notification.body,
+      category: notification.category,
+      createdAt: notification.created_at
+    }, null, 2), 'utf8');
+  }
+
+  async collect() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.inboxDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const processedDir = path.join(this.inboxDir, 'processed');
+    await fs.promises.mkdir(processedDir, { recursive: true });
+
+    const replies = [];
+    for (const fileName of names.filter(name => INBOX_EXTENSIONS.includes(path.extname(name).toLowerCase())).sort()) {
+      const source = path.join(this.inboxDir, fileName);
+      const content = await fs.promises.readFile(source, 'utf8');
+      await fs.promises.rename(source, path.join(processedDir, fileName));
+      try {
+        replies.push({ ...JSON.parse(content), fileName });
+      } catch {
+        console.warn(`[Notifications] Skipping unreadable reply file ${fileName}`);
+      }
+    }
+    return replies;
+  }
+}
+
+class NotificationService {
+  constructor() {
+    this.transports = {
+      none: new UnconfiguredTransport(),
+      console: new ConsoleTransport(),
+      file: new FileTransport({
+        outboxDir: path.resolve(process.env.NOTIFICATION_OUTBOX_DIR || './notifications/outbox'),
+        inboxDir: path.resolve(process.env.NOTIFICATION_INBOX_DIR || './notifications/inbox')
+      })
+    };
+  }
+
+  /**
+   * Active transport (NOTIFICATION_TRANSPORT: console or file, or a registered gateway; none, which sends nothing,
+   * by default)
+   * @returns {Object} Transport with send(notification) and collect()
+   */
+  getTransport() {
+    const name = process.env.NOTIFICATION_TRANSPORT || 'none';
+    const transport = this.transports[name];
+    if (!transport) {
+      throw new Error(`Unknown notification transport ${name}`);
+    }
+    return transport;
+  }
+
+  /**
+   * Register or replace a transport
+   * @param {string} name - Transport name used in NOTIFICATION_TRANSPORT
+   * @param {Object} transport - { name, send(notification) (throws when not delivered), collect() (replies:
+   *   [{ channel, from, body, receivedAt }]) }
+   */
+  registerTransport(name, transport) {
+    this.transports[name] = transport;
+  }
+
+  /**
+   * Send a message to a patient
+   * @param {Object} message - { patientId, appointmentId, category, subject, body, data, channel (default from
+   *   resolveRecipient) }
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Object>} The patient_notifications row (status failed, with the error, when the transport
+   *   could not deliver it)
+   */
+  async send(message, db = pool) {
+    const { channel, recipient } = await this.resolveRecipient(message.patientId, message.channel, db);
+
+    const result = await db.query(`
+      INSERT INTO patient_notifications (
+        patient_id, appointment_id, category, channel, recipient, subject, body, data
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      message.patientId, message.appointmentId ?? null, message.category, channel, recipient ?? null,
+      message.subject ?? null, message.body, JSON.stringify(message.data ?? {})
+    ]);
+    return this.deliver(result.rows[0], db);
+  }
+
+  /**
+   * Channel and address a patient is reached at: their preferred contact method, else SMS when a phone number is
+   * on file, else email; phone means no address is on file and staff should call
+   * @param {number} patientId - Patient ID
+   * @param {string} channel - Channel to use instead of the patient's preference
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Object>} { channel, recipient }
+   */
+  async resolveRecipient(patientId, channel = null, db = pool) {
+    const contact = await this.getContact(patientId, db);
+    const resolved = channel || this.pickChannel(contact);
+    return { channel: resolved, recipient: (resolved === 'email' ? contact.email : contact.phone) ?? null };
+  }
+
+  /**
+   * Replies waiting at the active transport
+   * @returns {Promise<Array>} [{ channel, from, body, receivedAt }]
+   */
+  async collectReplies() {
+    return this.getTransport().collect();
+  }
+
+  /**
+   * The most recent message sent to an address, which a reply from that address answers
+   * @param {string} channel - sms or email
+   * @param {string} sender - Phone number or email address the reply came from
+   * @param {Object} options - { categories, days (how far back to look, default 14) }
+   * @returns {Promise<Object|null>} The patient_notifications row
+   */
+  async findLatestTo(channel, sender, { categories = null, days = 14 } = {}) {
+    const address = this.normalizeAddress(channel, sender);
+    if (!address) return null;
+
+    const result = await pool.query(`
+      SELECT * FROM patient_notifications
+      WHERE channel = $1
+        AND status = 'sent'
+        AND created_at >= NOW() - make_interval(days => $3)
+        AND ($4::text[] IS NULL OR category = ANY($4))
+        AND (CASE WHEN $1 = 'email' THEN lower(trim(recipient))
+                  ELSE right(regexp_replace(recipient, '\\D', '', 'g'), 10) END) = $2
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, [channel, address, days, categories]);
+    return result.rows[0] || null;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  // Phone, email and preferred contact method from the patient and their latest billing record
+  async getContact(patientId, db = pool) {
+    const result = await db.query(`
+      SELECT COALESCE(NULLIF(p.phone, ''), NULLIF(pb.billing_phone, '')) AS phone,
+             NULLIF(pb.billing_email, '') AS email,
+             pb.preferred_contact_method
+      FROM patients p
+      LEFT JOIN LATERAL (
+        SELECT billing_phone, billing_email, preferred_contact_method
+        FROM patient_billing
+        WHERE patient_id = p.id
+        ORDER BY id DESC
+        LIMIT 1
+      ) pb ON true
+      WHERE p.id = $1
+    `, [patientId]);
+    return result.rows[0] || { phone: null, email: null, preferred_contact_method: null };
+  }
+
+  pickChannel(contact) {
+    if (contact.preferred_contact_method === 'email' && contact.email) return 'email';
+    if (contact.phone) return 'sms';
+    if (contact.email) return 'email';
+    return 'phone';
+  }
+
+  // Email addresses compare case-insensitively; phone numbers by their last 10 digits
+  normalizeAddress(channel, address) {
+    if (!address) return null;
+    if (channel === 'email') return String(address).trim().toLowerCase();
+    const digits = String(address).replace(/\D/g, '');
+    return digits ? digits.slice(-10) : null;
+  }
+
+  // Messages without a recipient stay queued for staff to phone the patient
+  async deliver(notification, db = pool) {
+    if (notification.channel === 'phone' || !notification.recipient) {
+      console.log(`[Notifications] ${notification.category} #${notification.id} needs a call to the patient`);
+      return notification;
+    }
+
+    let transport;
+    try {
+      transport = this.getTransport();
+      await transport.send(notification);
+    } catch (error) {
+      console.error(`[Notifications] Error sending #${notification.id} via ${transport?.name ?? 'transport'}:`, error);
+      const failed = await db.query(`
+        UPDATE patient_notifications SET status = 'failed', error = $2, transport = $3 WHERE id = $1 RETURNING *
+      `, [notification.id, error.message, transport?.name ?? null]);
+      return failed.rows[0] || notification;
+    }
+
+    const result = await db.query(`
+      UPDATE patient_notifications SET status = 'sent', sent_at = NOW(), transport = $2 WHERE id = $1 RETURNING *
+    `, [notification.id, transport.name]);
+    return result.rows[0] || notification;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,976 @@
+// Patient Statement Service
+// Patient balances from billing_transactions (self-pay charges and patient responsibility after adjudication),
+// aging buckets and dunning status on patient_billing, periodic statements (machine-readable document and PDF),
+// payment plans, and over-the-counter payments taken at check-in
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import { buildPdf, MARGIN, PAGE_WIDTH } from '../utils/pdf.js';
+
+// Aging buckets by days since the patient amount was billed
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 30 },
+  { key: 'days31To60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61To90', label: '61-90 days', maxDays: 90 },
+  { key: 'days91To120', label: '91-120 days', maxDays: 120 },
+  { key: 'over120', label: 'Over 120 days', maxDays: Infinity }
+];
+
+// Dunning stage by the age of the oldest unpaid amount; payment_plan and hold take precedence
+export const DUNNING_STATUSES = ['current', 'past_due', 'final_notice', 'collections', 'payment_plan', 'hold'];
+const DUNNING_THRESHOLDS = [
+  { days: 90, status: 'collections' },
+  { days: 60, status: 'final_notice' },
+  { days: 30, status: 'past_due' }
+];
+
+const DUNNING_MESSAGES = {
+  current: 'Thank you for choosing our practice. Please pay the amount due by the due date.',
+  past_due: 'Your account is past due. Please pay the amount due or contact our billing office.',
+  final_notice: 'FINAL NOTICE: Your account is seriously past due. Please pay now to avoid referral to collections.',
+  collections: 'Your account is being referred to collections. Contact our billing office immediately.',
+  payment_plan: 'Thank you for your payment plan. Please pay the installment shown by the due date.',
+  hold: 'Your account is on hold. No payment is due until our billing office contacts you.'
+};
+
+// Payments the front desk can take
+export const PAYMENT_METHODS = ['cash', 'check', 'credit_card', 'debit_card'];
+
+export const PLAN_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// An installment this many days overdue defaults the plan
+const PLAN_GRACE_DAYS = 10;
+
+const STATEMENT_INTERVAL_DAYS = 28;
+const MINIMUM_STATEMENT_BALANCE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Statement error with an HTTP status for the routes
+ */
+export class StatementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StatementError';
+    this.status = status;
+  }
+}
+
+class PatientStatementService {
+  /* ---------- Balances ---------- */
+
+  /**
+   * Patient balance with aging, dunning status and the active payment plan
+   * @param {number} patientId - Patient ID
+   * @returns {Object} { patientId, balance, pendingInsurance, aging, oldestBalanceDate, dunningStatus, paymentPlan,
+   *   lastStatementDate, lastPaymentDate, openItems }
+   */
+  async getBalance(patientId) {
+    const account = await this.loadAccount(pool, patientId);
+    return this.summarize(account);
+  }
+
+  /**
+   * Recompute a patient's balance and store it with the dunning status on patient_billing. Payment plans that are
+   * paid off complete and plans with an installment past the grace period default. A hold is kept unless released.
+   * @param {number} patientId - Patient ID
+   * @param {Object} options - { db (client inside a transaction), asOf, releaseHold }
+   * @returns {Object} Balance summary (see getBalance)
+   */
+  async refreshAccount(patientId, { db = pool, asOf = new Date(), releaseHold = false } = {}) {
+    let account = await this.loadAccount(db, patientId, asOf);
+    const plan = account.plan;
+
+    if (plan) {
+      const overdueDays = this.daysBetween(plan.next_due_date, asOf);
+      let planStatus = null;
+      if (account.balance <= 0 || Number(plan.remaining_balance) <= 0) {
+        planStatus = 'completed';
+      } else if (overdueDays > PLAN_GRACE_DAYS) {
+        planStatus = 'defaulted';
+      }
+
+      if (planStatus) {
+        const missed = planStatus === 'defaulted' ? Math.floor(overdueDays / this.frequencyDays(plan.frequency)) + 1 : 0;
+        await db.query(`
+          UPDATE payment_plans SET status = $2, missed_payments = missed_payments + $3 WHERE id = $1
+        `, [plan.id, planStatus, missed]);
+        account = { ...account, plan: null };
+      }
+    }
+
+    const billingId = account.billing.id || await this.ensureBillingAccount(db, patientId);
+    const hold = account.billing.dunning_status === 'hold' && !releaseHold;
+    const dunningStatus = this.dunningStatus({
+      balance: account.balance,
+      oldestDays: account.oldestDays,
+      plan: account.plan,
+      hold
+    });
+
+    await db.query(`
+      UPDATE patient_billing SET
+        current_balance = $2,
+        oldest_balance_date = $3,
+        dunning_updated_at = CASE WHEN dunning_status IS DISTINCT FROM $4 THEN CURRENT_TIMESTAMP ELSE dunning_updated_at END,
+        dunning_status = $4,
+        payment_plan_active = $5,
+        payment_plan_amount = $6,
+        payment_plan_frequency = $7,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [
+      billingId, account.balance, account.oldestDate, dunningStatus, Boolean(account.plan),
+      account.plan?.installment_amount ?? null, account.plan?.frequency ?? null
+    ]);
+
+    return this.summarize({ ...account, billing: { ...account.billing, id: billingId, dunning_status: dunningStatus } });
+  }
+
+  /**
+   * Put the account on a dunning hold (no statements or collection activity), or release the hold
+   * @param {number} patientId - Patient ID
+   * @param {boolean} hold - true to hold, false to release
+   * @param {number} userId - User changing the hold
+   * @param {string} note - Reason, appended to the collection notes
+   * @returns {Object} Balance summary
+   */
+  async setDunningHold(patientId, hold, userId, note = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const billingId = await this.ensureBillingAccount(client, patientId);
+      if (hold) {
+        await client.query(`
+          UPDATE patient_billing SET dunning_status = 'hold', dunning_updated_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, [billingId]);
+      }
+      if (note) {
+        await client.query(`
+          UPDATE patient_billing SET
+            collection_notes = CONCAT_WS(E'\\n', collection_notes, $2::text),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [billingId, `${this.dateOnly(new Date())} ${hold ? 'Hold' : 'Hold released'}: ${note}`]);
+      }
+      const account = await this.refreshAccount(patientId, { db: client, releaseHold: !hold });
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'patient_billing',
+        billingId,
+        'dunning_status',
+        hold ? `Placed account on dunning hold${note ? `: ${note}` : ''}` : `Released dunning hold${note ? `: ${note}` : ''}`,
+        { patientId }
+      );
+
+      return account;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Patient, billing account, ledger and active payment plan with the computed balance
+   */
+  async loadAccount(db, patientId, asOf = new Date()) {
+    const patientResult = await db.query(`
+      SELECT p.id, p.mrn, p.first_name, p.last_name, p.dob,
+             pb.id AS billing_id, pb.billing_address, pb.billing_city, pb.billing_state, pb.billing_zip_code,
+             pb.billing_email, pb.statement_delivery, pb.dunning_status, pb.last_statement_date, pb.last_payment_date
+      FROM patients p
+      LEFT JOIN LATERAL (
+        SELECT * FROM patient_billing WHERE patient_id = p.id ORDER BY id DESC LIMIT 1
+      ) pb ON true
+      WHERE p.id = $1
+    `, [patientId]);
+    const patient = patientResult.rows[0];
+    if (!patient) {
+      throw new StatementError('Patient not found', 404);
+    }
+
+    // Insured charges are the patient's once adjudicated; until then they are pending insurance
+    const charges = await db.query(`
+      SELECT bt.id, bt.transaction_date, bt.service_date, bt.service_description, bt.procedure_code, bt.amount,
+             bt.status, bt.insurance_payment, bt.claim_id, c.claim_number,
+             CASE
+               WHEN c.id IS NULL OR c.patient_insurance_id IS NULL THEN bt.amount
+               WHEN bt.status IN ('processed', 'paid', 'denied') THEN COALESCE(bt.patient_responsibility, 0)
+               ELSE 0
+             END AS patient_amount,
+             CASE
+               WHEN c.patient_insurance_id IS NOT NULL AND bt.status NOT IN ('processed', 'paid', 'denied') THEN bt.amount
+               ELSE 0
+             END AS pending_insurance,
+             CASE
+               WHEN c.patient_insurance_id IS NOT NULL THEN COALESCE(c.adjudicated_at::date, bt.transaction_date)
+               ELSE COALESCE(bt.service_date, bt.transaction_date)
+             END AS billed_date
+      FROM billing_transactions bt
+      LEFT JOIN claims c ON c.id = bt.claim_id
+      WHERE bt.patient_id = $1
+        AND bt.transaction_type = 'charge'
+        AND (c.id IS NULL OR c.status <> 'void')
+      ORDER BY billed_date, bt.id
+    `, [patientId]);
+
+    // Patient payments, write-offs and refunds; insurance payments and payer adjustments posted from remittances
+    // are already reflected in the charges' patient responsibility
+    const credits = await db.query(`
+      SELECT id, transaction_type, transaction_date, amount, payment_method, check_number, notes,
+             payment_plan_id, appointment_id
+      FROM billing_transactions
+      WHERE patient_id = $1
+        AND remittance_claim_id IS NULL
+        AND COALESCE(payment_method, '') NOT LIKE 'insurance%'
+        AND (transaction_type IN ('payment', 'write_off', 'refund') OR (transaction_type = 'adjustment' AND claim_id IS NULL))
+      ORDER BY transaction_date, id
+    `, [patientId]);
+
+    const planResult = await db.query(`
+      SELECT * FROM payment_plans WHERE patient_id = $1 AND status = 'active' ORDER BY id DESC LIMIT 1
+    `, [patientId]);
+
+    const aging = this.computeAging(charges.rows, credits.rows, asOf);
+
+    return {
+      patient,
+      billing: {
+        id: patient.billing_id,
+        dunning_status: patient.dunning_status,
+        last_statement_date: patient.last_statement_date,
+        last_payment_date: patient.last_payment_date,
+        statement_delivery: patient.statement_delivery
+      },
+      charges: charges.rows,
+      credits: credits.rows,
+      plan: planResult.rows[0] || null,
+      pendingInsurance: this.money(charges.rows.reduce((sum, charge) => sum + Number(charge.pending_insurance), 0)),
+      ...aging
+    };
+  }
+
+  summarize(account) {
+    const plan = account.plan;
+    return {
+      patientId: account.patient.id,
+      patientBillingId: account.billing.id || null,
+      balance: account.balance,
+      pendingInsurance: account.pendingInsurance,
+      aging: account.aging,
+      oldestBalanceDate: account.oldestDate,
+      dunningStatus: account.billing.dunning_status || 'current',
+      paymentPlan: plan ? this.formatPlan(plan) : null,
+      lastStatementDate: this.dateOnly(account.billing.last_statement_date),
+      lastPaymentDate: this.dateOnly(account.billing.last_payment_date),
+      openItems: account.items.filter(item => item.open > 0).map(item => ({
+        transactionId: item.id,
+        billedDate: this.dateOnly(item.billed_date),
+        serviceDate: this.dateOnly(item.service_date),
+        description: item.service_description,
+        procedureCode: item.procedure_code,
+        claimNumber: item.claim_number,
+        patientAmount: this.money(item.patient_amount),
+        open: item.open,
+        ageDays: item.ageDays
+      }))
+    };
+  }
+
+  /**
+   * Allocate patient credits to the oldest patient amounts first and bucket what remains open by age
+   * @param {Array} charges - Charge rows with patient_amount and billed_date
+   * @param {Array} credits - Payment, write-off, adjustment and refund rows
+   * @param {Date} asOf - Aging date
+   * @returns {Object} { balance, aging, oldestDate, oldestDays, items }
+   */
+  computeAging(charges, credits, asOf = new Date()) {
+    const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const charged = charges.reduce((sum, charge) => sum + Math.max(Number(charge.patient_amount) || 0, 0), 0);
+    const credited = credits.reduce(
+      (sum, credit) => sum + (credit.transaction_type === 'refund' ? -1 : 1) * (Number(credit.amount) || 0),
+      0
+    );
+
+    let available = Math.max(credited, 0);
+    const items = charges
+      .filter(charge => Number(charge.patient_amount) > 0)
+      .map(charge => {
+        const amount = this.money(charge.patient_amount);
+        const applied = Math.min(available, amount);
+        available = this.money(available - applied);
+        return { ...charge, open: this.money(amount - applied), ageDays: this.daysBetween(charge.billed_date, asOf) };
+      });
+
+    let oldest = null;
+    for (const item of items) {
+      if (item.open <= 0) continue;
+      const bucket = AGING_BUCKETS.find(entry => item.ageDays <= entry.maxDays);
+      aging[bucket.key] += item.open;
+      oldest ??= item;
+    }
+
+    // Refunds beyond what was paid are owed back now
+    if (credited < 0) {
+      aging.current += -credited;
+    }
+
+    return {
+      balance: this.money(charged - credited),
+      aging: Object.fromEntries(Object.entries(aging).map(([key, value]) => [key, this.money(value)])),
+      oldestDate: oldest ? this.dateOnly(oldest.billed_date) : null,
+      oldestDays: oldest ? oldest.ageDays : 0,
+      items
+    };
+  }
+
+  /**
+   * Dunning status for a balance
+   * @param {Object} params - { balance, oldestDays, plan, hold }
+   * @returns {string} One of DUNNING_STATUSES
+   */
+  dunningStatus({ balance, oldestDays, plan = null, hold = false }) {
+    if (hold) return 'hold';
+    if (!(balance > 0)) return 'current';
+    if (plan) return 'payment_plan';
+    return DUNNING_THRESHOLDS.find(threshold => oldestDays > threshold.days)?.status || 'current';
+  }
+
+  async ensureBillingAccount(db, patientId) {
+    const existing = await db.query(`
+      SELECT id FROM patient_billing WHERE patient_id = $1 ORDER BY id DESC LIMIT 1
+    `, [patientId]);
+    if (existing.rows[0]) {
+      return existing.rows[0].id;
+    }
+    const created = await db.query(`
+      INSERT INTO patient_billing (patient_id) VALUES ($1) RETURNING id
+    `, [patientId]);
+    return created.rows[0].id;
+  }
+
+  /* ---------- Statements ---------- */
+
+  /**
+   * Generate a statement for a patient's current balance
+   * @param {number} patientId - Patient ID
+   * @param {number} userId - Generating user (null for the statement cycle)
+   * @param {Object} options - { asOf }
+   * @returns {Object} Statement row with its document
+   */
+  async generateStatement(patientId, userId, { asOf = new Date() } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await this.refreshAccount(patientId, { db: client, asOf });
+      const account = await this.loadAccount(client, patientId, asOf);
+      if (!(account.balance > 0)) {
+        throw new StatementError('Patient has no balance due', 422);
+      }
+
+      const numberResult = await client.query(`SELECT 'STM' || nextval('patient_statement_number_seq') AS statement_number`);
+      const document = this.buildStatementDocument(account, {
+        statementNumber: numberResult.rows[0].statement_number,
+        asOf
+      });
+
+      const inserted = await client.query(`
+        INSERT INTO patient_statements (
+          statement_number, patient_id, patient_billing_id, statement_date, due_date, period_start,
+          balance_due, amount_due, pending_insurance, aging, dunning_status, delivery, document, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING *
+      `, [
+        document.statementNumber, patientId, account.billing.id, document.statementDate, document.dueDate,
+        document.periodStart, document.summary.balanceDue, document.summary.amountDue,
+        document.summary.pendingInsurance, JSON.stringify(document.aging), document.dunning.status,
+        document.delivery, JSON.stringify(document), userId
+      ]);
+
+      await client.query(`
+        UPDATE patient_billing SET last_statement_date = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [account.billing.id, document.statementDate]);
+
+      await client.query('COMMIT');
+
+      const statement = inserted.rows[0];
+      await auditService.logPHIAccess(
+        userId,
+        'patient_statements',
+        statement.id,
+        'statement',
+        `Generated statement ${statement.statement_number}: balance $${document.summary.balanceDue.toFixed(2)}`,
+        { patientId }
+      );
+
+      return statement;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Statement cycle: refresh every patient with charges and generate statements for balances at or above the
+   * minimum that have not had a statement within the interval. Held accounts are skipped.
+   * @param {Object} options - { userId, asOf, minimumBalance, intervalDays }
+   * @returns {Object} { generated: [...], skipped: [...], failed: [...] }
+   */
+  async runStatementCycle({
+    userId = null,
+    asOf = new Date(),
+    minimumBalance = MINIMUM_STATEMENT_BALANCE,
+    intervalDays = STATEMENT_INTERVAL_DAYS
+  } = {}) {
+    const cutoff = this.dateOnly(new Date(asOf.getTime() - intervalDays * DAY_MS));
+    const candidates = await pool.query(`
+      SELECT DISTINCT bt.patient_id
+      FROM billing_transactions bt
+      LEFT JOIN LATERAL (
+        SELECT last_statement_date FROM patient_billing WHERE patient_id = bt.patient_id ORDER BY id DESC LIMIT 1
+      ) pb ON true
+      WHERE bt.transaction_type = 'charge'
+        AND (pb.last_statement_date IS NULL OR pb.last_statement_date <= $1::date)
+      ORDER BY bt.patient_id
+    `, [cutoff]);
+
+    const generated = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const { patient_id: patientId } of candidates.rows) {
+      try {
+        const account = await this.refreshAccount(patientId, { asOf });
+        if (account.dunningStatus === 'hold') {
+          skipped.push({ patientId, reason: 'Account on hold' });
+          continue;
+        }
+        if (account.balance < minimumBalance) {
+          skipped.push({ patientId, reason: `Balance $${account.balance.toFixed(2)} below statement minimum` });
+          continue;
+        }
+
+        const statement = await this.generateStatement(patientId, userId, { asOf });
+        generated.push({
+          statementId: statement.id,
+          statementNumber: statement.statement_number,
+          patientId,
+          balanceDue: Number(statement.balance_due),
+          dunningStatus: statement.dunning_status
+        });
+      } catch (error) {
+        console.error(`[statements] Statement cycle failed for patient ${patientId}:`, error.message);
+        failed.push({ patientId, error: error.message });
+      }
+    }
+
+    return { generated, skipped, failed };
+  }
+
+  /**
+   * Machine-readable statement the PDF is rendered from
+   * @param {Object} account - From loadAccount
+   * @param {Object} options - { statementNumber, asOf }
+   * @returns {Object} Statement document
+   */
+  buildStatementDocument(account, { statementNumber, asOf = new Date() }) {
+    const { patient, billing, plan } = account;
+    const statementDate = this.dateOnly(asOf);
+    const dueDays = Number(process.env.STATEMENT_DUE_DAYS) || 21;
+    const dueDate = this.dateOnly(new Date(asOf.getTime() + dueDays * DAY_MS));
+    const periodStart = billing.last_statement_date
+      ? this.dateOnly(new Date(new Date(billing.last_statement_date).getTime() + DAY_MS))
+      : null;
+    const inPeriod = date => !periodStart || this.dateOnly(date) >= periodStart;
+
+    const newCharges = account.charges
+      .filter(charge => Number(charge.patient_amount) > 0 && inPeriod(charge.billed_date))
+      .reduce((sum, charge) => sum + Number(charge.patient_amount), 0);
+    const periodCredits = account.credits.filter(credit => inPeriod(credit.transaction_date));
+    const payments = periodCredits
+      .filter(credit => credit.transaction_type === 'payment')
+      .reduce((sum, credit) => sum + Number(credit.amount), 0);
+    const adjustments = periodCredits
+      .filter(credit => credit.transaction_type !== 'payment')
+      .reduce((sum, credit) => sum + (credit.transaction_type === 'refund' ? -1 : 1) * Number(credit.amount), 0);
+
+    const dunningStatus = this.dunningStatus({
+      balance: account.balance,
+      oldestDays: account.oldestDays,
+      plan,
+      hold: billing.dunning_status === 'hold'
+    });
+    const amountDue = plan ? Math.min(Number(plan.installment_amount), account.balance) : account.balance;
+
+    return {
+      format: 'patient-statement',
+      version: 1,
+      statementNumber,
+      statementDate,
+      dueDate: plan ? this.dateOnly(plan.next_due_date) : dueDate,
+      periodStart,
+      practice: {
+        name: process.env.X12_BILLING_NAME || 'EMR SYSTEM',
+        address: process.env.X12_BILLING_ADDRESS || '',
+        city: process.env.X12_BILLING_CITY || '',
+        state: process.env.X12_BILLING_STATE || '',
+        zip: process.env.X12_BILLING_ZIP || '',
+        phone: process.env.STATEMENT_BILLING_PHONE || process.env.X12_SUBMITTER_PHONE || ''
+      },
+      patient: {
+        id: patient.id,
+        mrn: patient.mrn,
+        name: `${patient.first_name} ${patient.last_name}`,
+        dateOfBirth: this.dateOnly(patient.dob),
+        address: {
+          line1: patient.billing_address || '',
+          city: patient.billing_city || '',
+          state: patient.billing_state || '',
+          zip: patient.billing_zip_code || ''
+        },
+        email: patient.billing_email || null
+      },
+      delivery: billing.statement_delivery || 'mail',
+      summary: {
+        previousBalance: this.money(account.balance - newCharges + payments + adjustments),
+        newCharges: this.money(newCharges),
+        payments: this.money(payments),
+        adjustments: this.money(adjustments),
+        balanceDue: account.balance,
+        pendingInsurance: account.pendingInsurance,
+        amountDue: this.money(amountDue)
+      },
+      aging: account.aging,
+      openItems: account.items.filter(item => item.open > 0).map(item => ({
+        billedDate: this.dateOnly(item.billed_date),
+        serviceDate: this.dateOnly(item.service_date),
+        description: item.service_description,
+        procedureCode: item.procedure_code,
+        claimNumber: item.claim_number,
+        charge: this.money(item.amount),
+        insurancePaid: this.money(item.insurance_payment),
+        patientAmount: this.money(item.patient_amount),
+        balance: item.open
+      })),
+      activity: periodCredits.map(credit => ({
+        date: this.dateOnly(credit.transaction_date),
+        type: credit.transaction_type,
+        method: credit.payment_method,
+        amount: this.money(credit.amount)
+      })),
+      paymentPlan: plan ? this.formatPlan(plan) : null,
+      dunning: { status: dunningStatus, message: DUNNING_MESSAGES[dunningStatus] }
+    };
+  }
+
+  /**
+   * Render a statement document as a PDF
+   * @param {Object} document - Statement document (patient_statements.document)
+   * @returns {Buffer} PDF bytes
+   */
+  renderStatementPdf(document) {
+    const right = PAGE_WIDTH - MARGIN;
+    const dollars = value => `$${Number(value || 0).toFixed(2)}`;
+    const { practice, patient, summary } = document;
+    const practiceCity = [practice.city, [practice.state, practice.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    const patientCity = [patient.address.city, [patient.address.state, patient.address.zip].filter(Boolean).join(' ')]
+      .filter(Boolean).join(', ');
+
+    const rows = [
+      { cells: [{ text: practice.name, size: 14, bold: true }, { text: 'PATIENT STATEMENT', x: right, align: 'right', size: 14, bold: true }] },
+      { cells: [{ text: practice.address }, { text: `Statement ${document.statementNumber}`, x: right, align: 'right' }] },
+      { cells: [{ text: practiceCity }, { text: `Date ${document.statementDate}`, x: right, align: 'right' }] },
+      { cells: [{ text: practice.phone ? `Billing questions: ${practice.phone}` : '' }, { text: `Due ${document.dueDate}`, x: right, align: 'right', bold: true }] },
+      { gap: 18 },
+      { cells: [{ text: patient.name, bold: true }, { text: `Account ${patient.mrn || patient.id}`, x: right, align: 'right' }] },
+      { cells: [{ text: patient.address.line1 }] },
+      { cells: [{ text: patientCity }] },
+      { gap: 18 },
+      { cells: [{ text: 'Account summary', bold: true, size: 12 }], rule: true },
+      ...[
+        ['Previous balance', summary.previousBalance],
+        ['New patient charges', summary.newCharges],
+        ['Payments', -summary.payments],
+        ['Adjustments', -summary.adjustments],
+        ['Balance', summary.balanceDue]
+      ].map(([label, value]) => ({ cells: [{ text: label }, { text: dollars(value), x: right, align: 'right' }] })),
+      { cells: [{ text: 'Amount due', bold: true }, { text: dollars(summary.amountDue), x: right, align: 'right', bold: true }] }
+    ];
+
+    if (summary.pendingInsurance > 0) {
+      rows.push({ cells: [{ text: `Charges pending with insurance (not yet billed to you): ${dollars(summary.pendingInsurance)}`, size: 9 }] });
+    }
+
+    rows.push(
+      { gap: 18 },
+      { cells: [{ text: 'Aging', bold: true, size: 12 }], rule: true },
+      { cells: AGING_BUCKETS.map((bucket, index) => ({ text: bucket.label, x: MARGIN + 40 + index * 95, align: 'right', bold: true, size: 9 })) },
+      { cells: AGING_BUCKETS.map((bucket, index) => ({ text: dollars(document.aging[bucket.key]), x: MARGIN + 40 + index * 95, align: 'right', size: 9 })) },
+      { gap: 18 },
+      { cells: [{ text: 'Open charges', bold: true, size: 12 }], rule: true },
+      {
+        cells: [
+          { text: 'Date', bold: true, size: 9 },
+          { text: 'Description', x: MARGIN + 70, bold: true, size: 9 },
+          { text: 'Charge', x: right - 190, align: 'right', bold: true, size: 9 },
+          { text: 'Insurance paid', x: right - 110, align: 'right', bold: true, size: 9 },
+          { text: 'You owe', x: right, align: 'right', bold: true, size: 9 }
+        ]
+      },
+      ...document.openItems.map(item => ({
+        cells: [
+          { text: item.serviceDate || item.billedDate, size: 9 },
+          { text: [item.procedureCode, item.description].filter(Boolean).join(' ').slice(0, 48), x: MARGIN + 70, size: 9 },
+          { text: dollars(item.charge), x: right - 190, align: 'right', size: 9 },
+          { text: dollars(item.insurancePaid), x: right - 110, align: 'right', size: 9 },
+          { text: dollars(item.balance), x: right, align: 'right', size: 9 }
+        ]
+      }))
+    );
+
+    if (document.activity.length > 0) {
+      rows.push(
+        { gap: 18 },
+        { cells: [{ text: 'Payments and adjustments this period', bold: true, size: 12 }], rule: true },
+        ...document.activity.map(entry => ({
+          cells: [
+            { text: entry.date, size: 9 },
+            { text: [entry.type.replace('_', ' '), entry.method].filter(Boolean).join(' - '), x: MARGIN + 70, size: 9 },
+            { text: dollars(entry.type === 'refund' ? entry.amount : -entry.amount), x: right, align: 'right', size: 9 }
+          ]
+        }))
+      );
+    }
+
+    if (document.paymentPlan) {
+      const plan = document.paymentPlan;
+      rows.push(
+        { gap: 18 },
+        { cells: [{ text: 'Payment plan', bold: true, size: 12 }], rule: true },
+        { cells: [{ text: `${dollars(plan.installmentAmount)} ${plan.frequency}, next installment due ${plan.nextDueDate}; ${dollars(plan.remainingBalance)} remaining` }] }
+      );
+    }
+
+    rows.push(
+      { gap: 24 },
+      { cells: [{ text: document.dunning.message, bold: document.dunning.status !== 'current' }] },
+      { gap: 24, rule: true },
+      { cells: [{ text: `Please return this portion with your payment to ${practice.name}`, size: 9 }] },
+      { cells: [{ text: `${patient.name} - Account ${patient.mrn || patient.id} - Statement ${document.statementNumber}`, size: 9 }, { text: `Amount due ${dollars(summary.amountDue)} by ${document.dueDate}`, x: right, align: 'right', size: 9, bold: true }] }
+    );
+
+    return buildPdf(rows, { title: `Statement ${document.statementNumber}` });
+  }
+
+  async getStatement(statementId) {
+    const result = await pool.query('SELECT * FROM patient_statements WHERE id = $1', [statementId]);
+    if (!result.rows[0]) {
+      throw new StatementError('Statement not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  async listStatements(patientId, { limit = 50 } = {}) {
+    const result = await pool.query(`
+      SELECT id, statement_number, statement_date, due_date, balance_due, amount_due, pending_insurance, aging,
+             dunning_status, delivery, status, created_at
+      FROM patient_statements
+      WHERE patient_id = $1
+      ORDER BY statement_date DESC, id DESC
+      LIMIT $2
+    `, [patientId, limit]);
+    return result.rows;
+  }
+
+  /* ---------- Payments ---------- */
+
+  /**
+   * Record an over-the-counter patient payment (at check-in or the billing desk). The payment is applied to the
+   * active payment plan unless another plan is given.
+   * @param {number} patientId - Patient ID
+   * @param {Object} payment - { amount, method, reference, appointmentId, paymentPlanId, note }
+   * @param {number} userId - Receiving user
+   * @returns {Object} { payment, balance }
+   */
+  async recordPayment(patientId, { amount, method, reference = null, appointmentId = null, paymentPlanId = null, note = null }, userId) {
+    const paid = this.money(amount);
+    if (!(paid > 0)) {
+      throw new StatementError('Payment amount must be greater than zero');
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw new StatementError(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (appointmentId) {
+        const appointment = await client.query('SELECT patient_id FROM appointments WHERE id = $1', [appointmentId]);
+        if (!appointment.rows[0]) {
+          throw new StatementError('Appointment not found', 404);
+        }
+        if (appointment.rows[0].patient_id !== patientId) {
+          throw new StatementError('Appointment belongs to a different patient');
+        }
+      }
+
+      const planResult = await client.query(`
+        SELECT * FROM payment_plans
+        WHERE patient_id = $1 AND status = 'active' AND ($2::int IS NULL OR id = $2)
+        ORDER BY id DESC LIMIT 1
+        FOR UPDATE
+      `, [patientId, paymentPlanId]);
+      const plan = planResult.rows[0] || null;
+      if (paymentPlanId && !plan) {
+        throw new StatementError('Payment plan is not active for this patient', 409);
+      }
+
+      const billingId = await this.ensureBillingAccount(client, patientId);
+      const inserted = await client.query(`
+        INSERT INTO billing_transactions (
+          patient_id, patient_billing_id, transaction_type, amount, payment_method, check_number, authorization_code,
+          status, notes, created_by, payment_plan_id, appointment_id
+        ) VALUES ($1, $2, 'payment', $3, $4, $5, $6, 'processed', $7, $8, $9, $10)
+        RETURNING *
+      `, [
+        patientId, billingId, paid, method, method === 'check' ? reference : null,
+        method === 'check' ? null : reference, note, userId ? String(userId) : 'system', plan?.id ?? null, appointmentId
+      ]);
+
+      if (plan) {
+        // Each full installment paid moves the next due date on
+        const installments = Math.floor(paid / Number(plan.installment_amount));
+        await client.query(`
+          UPDATE payment_plans SET
+            remaining_balance = GREATEST(remaining_balance - $2, 0),
+            next_due_date = $3,
+            status = CASE WHEN remaining_balance - $2 <= 0 THEN 'completed' ELSE status END
+          WHERE id = $1
+        `, [plan.id, paid, this.dateOnly(this.addInstallments(plan.next_due_date, plan.frequency, installments))]);
+      }
+
+      await client.query(`
+        UPDATE patient_billing SET last_payment_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [billingId]);
+      const balance = await this.refreshAccount(patientId, { db: client });
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'billing_transactions',
+        inserted.rows[0].id,
+        'patient_payment',
+        `Recorded ${method.replace('_', ' ')} payment of $${paid.toFixed(2)}` +
+          (appointmentId ? ` at check-in for appointment ${appointmentId}` : ''),
+        { patientId }
+      );
+
+      return { payment: inserted.rows[0], balance };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /* ---------- Payment plans ---------- */
+
+  /**
+   * Start a payment plan for the patient's balance (or part of it)
+   * @param {number} patientId - Patient ID
+   * @param {Object} plan - { installmentAmount, frequency, startDate, totalAmount, notes }
+   * @param {number} userId - Creating user
+   * @returns {Object} Payment plan
+   */
+  async createPaymentPlan(patientId, { installmentAmount, frequency, startDate = null, totalAmount = null, notes = null }, userId) {
+    const installment = this.money(installmentAmount);
+    if (!(installment > 0)) {
+      throw new StatementError('Installment amount must be greater than zero');
+    }
+    if (!PLAN_FREQUENCIES.includes(frequency)) {
+      throw new StatementError(`Frequency must be one of: ${PLAN_FREQUENCIES.join(', ')}`);
+    }
+    // Date-only strings are local dates, not UTC midnight
+    const start = startDate ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(startDate) ? `${startDate}T00:00:00` : startDate) : new Date();
+    if (Number.isNaN(start.getTime())) {
+      throw new StatementError('Invalid start date');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const account = await this.loadAccount(client, patientId);
+      if (account.plan) {
+        throw new StatementError('Patient already has an active payment plan', 409);
+      }
+      if (!(account.balance > 0)) {
+        throw new StatementError('Patient has no balance for a payment plan', 422);
+      }
+      const total = totalAmount == null ? account.balance : this.money(totalAmount);
+      if (!(total > 0) || total > account.balance) {
+        throw new StatementError(`Plan total must be between $0.01 and the balance of $${account.balance.toFixed(2)}`);
+      }
+      if (installment > total) {
+        throw new StatementError('Installment amount cannot exceed the plan total');
+      }
+
+      const billingId = await this.ensureBillingAccount(client, patientId);
+      const inserted = await client.query(`
+        INSERT INTO payment_plans (
+          patient_id, patient_billing_id, total_amount, installment_amount, frequency, start_date, next_due_date,
+          remaining_balance, notes, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $6, $3, $7, $8)
+        RETURNING *
+      `, [patientId, billingId, total, installment, frequency, this.dateOnly(start), notes, userId]);
+      await this.refreshAccount(patientId, { db: client });
+
+      await client.query('COMMIT');
+
+      const plan = inserted.rows[0];
+      await auditService.logPHIAccess(
+        userId,
+        'payment_plans',
+        plan.id,
+        'payment_plan',
+        `Created ${frequency} payment plan of $${installment.toFixed(2)} for $${total.toFixed(2)}`,
+        { patientId }
+      );
+
+      return this.formatPlan(plan);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === '23505') {
+        throw new StatementError('Patient already has an active payment plan', 409);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancel an active payment plan; the balance returns to normal dunning
+   * @param {number} planId - Payment plan ID
+   * @param {number} userId - Cancelling user
+   * @param {string} reason - Cancellation reason
+   * @returns {Object} Payment plan
+   */
+  async cancelPaymentPlan(planId, userId, reason = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM payment_plans WHERE id = $1 FOR UPDATE', [planId]);
+      const plan = result.rows[0];
+      if (!plan) {
+        throw new StatementError('Payment plan not found', 404);
+      }
+      if (plan.status !== 'active') {
+        throw new StatementError(`Payment plan is ${plan.status}`, 409);
+      }
+
+      const updated = await client.query(`
+        UPDATE payment_plans SET
+          status = 'cancelled',
+          notes = CONCAT_WS(E'\\n', notes, $2::text)
+        WHERE id = $1
+        RETURNING *
+      `, [planId, reason ? `Cancelled: ${reason}` : null]);
+      await this.refreshAccount(plan.patient_id, { db: client });
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'payment_plans',
+        planId,
+        'payment_plan',
+        `Cancelled payment plan${reason ? `: ${reason}` : ''}`,
+        { patientId: plan.patient_id }
+      );
+
+      return this.formatPlan(updated.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listPaymentPlans(patientId) {
+    const result = await pool.query(`
+      SELECT * FROM payment_plans WHERE patient_id = $1 ORDER BY created_at DESC, id DESC
+    `, [patientId]);
+    return result.rows.map(plan => this.formatPlan(plan));
+  }
+
+  formatPlan(plan) {
+    return {
+      id: plan.id,
+      patientId: plan.patient_id,
+      totalAmount: this.money(plan.total_amount),
+      installmentAmount: this.money(plan.installment_amount),
+      frequency: plan.frequency,
+      startDate: this.dateOnly(plan.start_date),
+      nextDueDate: this.dateOnly(plan.next_due_date),
+      remainingBalance: this.money(plan.remaining_balance),
+      status: plan.status,
+      missedPayments: plan.missed_payments ?? 0,
+      notes: plan.notes ?? null
+    };
+  }
+
+  frequencyDays(frequency) {
+    return { weekly: 7, biweekly: 14, monthly: 30 }[frequency] || 30;
+  }
+
+  addInstallments(date, frequency, count) {
+    const next = new Date(`${this.dateOnly(date)}T00:00:00`);
+    if (frequency === 'monthly') {
+      next.setMonth(next.getMonth() + count);
+    } else {
+      next.setDate(next.getDate() + count * this.frequencyDays(frequency));
+    }
+    return next;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  daysBetween(from, to) {
+    if (!from) return 0;
+    const start = Date.parse(this.dateOnly(from));
+    const end = Date.parse(this.dateOnly(to));
+    return Math.max(Math.floor((end - start) / DAY_MS), 0);
+  }
+
+  dateOnly(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+    // pg returns DATE columns as local midnight
+    const date = new Date(value);
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  money(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+  }
+}
+
+export default new PatientStatementService();
@@ -0,0 +1,136 @@
+// Pharmacy Simulator Service
+// Local stand-in for the e-prescribing network used by the simulator transport: acknowledges NewRx and
+// prescriber responses with a Status, approves CancelRx, and originates RxRenewalRequest and RxChangeRequest
+// messages from a prescription it has received
+import crypto from 'crypto';
+import {
+  buildScriptMessage,
+  parseScriptMessage,
+  copyElement,
+  el,
+  medicationElement,
+  readMedication,
+  QUALIFIERS
+} from '../utils/ncpdp-script.js';
+
+// Pharmacies whose NCPDP ID starts with this prefix reject every NewRx, for exercising the error path
+const REJECT_NCPDP_PREFIX = '9999';
+
+// Transactions the simulated pharmacy acknowledges with a Status
+const ACKNOWLEDGED = ['NewRx', 'RxRenewalResponse', 'RxChangeResponse'];
+
+class PharmacySimulatorService {
+  newMessageId() {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+
+  /**
+   * Answer a message sent by the EMR
+   * @param {string} xml - Outbound SCRIPT message
+   * @returns {string|null} Reply from the pharmacy, or null when it has nothing to say
+   */
+  respond(xml) {
+    const message = parseScriptMessage(xml);
+    const reply = {
+      to: { qualifier: message.header.fromQualifier, id: message.header.from },
+      from: { qualifier: message.header.toQualifier, id: message.header.to },
+      messageId: this.newMessageId(),
+      relatesToMessageId: message.header.messageId,
+      prescriberOrderNumber: message.header.prescriberOrderNumber
+    };
+
+    if (message.type === 'NewRx' && message.header.to?.startsWith(REJECT_NCPDP_PREFIX)) {
+      return buildScriptMessage({
+        ...reply,
+        type: 'Error',
+        body: [el('Code', '900'), el('DescriptionCode', '1000'), el('Description', 'Pharmacy is not accepting electronic prescriptions')]
+      });
+    }
+    if (ACKNOWLEDGED.includes(message.type)) {
+      return buildScriptMessage({ ...reply, type: 'Status', body: [el('Code', '010')] });
+    }
+    if (message.type === 'CancelRx') {
+      return buildScriptMessage({
+        ...reply,
+        type: 'CancelRxResponse',
+        body: [el('Response', [el('Approved', [el('Note', 'Prescription cancelled before dispensing')])])]
+      });
+    }
+    return buildScriptMessage({
+      ...reply,
+      type: 'Error',
+      body: [el('Code', '900'), el('DescriptionCode', '4000'), el('Description', `${message.type} is not supported`)]
+    });
+  }
+
+  /**
+   * RxRenewalRequest for a prescription the pharmacy received
+   * @param {string} newRxXml - The NewRx (or approved response) the pharmacy received
+   * @param {Object} options - { refills, note }
+   * @returns {string} Inbound message
+   */
+  renewalRequest(newRxXml, { refills = null, note = null } = {}) {
+    const original = parseScriptMessage(newRxXml);
+    const medication = readMedication(this.prescribedMedication(original.transaction));
+
+    return this.request(original, 'RxRenewalRequest', [
+      medicationElement('MedicationDispensed', {
+        ...medication,
+        refills: refills ?? medication.refills,
+        note: note || 'Patient requests a renewal'
+      })
+    ]);
+  }
+
+  /**
+   * RxChangeRequest for a prescription the pharmacy received
+   * @param {string} newRxXml - The NewRx the pharmacy received
+   * @param {Object} options - { code (MessageRequestCode: G generic, T therapeutic, P prior authorization,
+   *   OS out of stock, S script clarification), drugDescription, ndc, quantity, note }
+   * @returns {string} Inbound message
+   */
+  changeRequest(newRxXml, { code = 'G', drugDescription = null, ndc = null, quantity = null, note = null } = {}) {
+    const original = parseScriptMessage(newRxXml);
+    const prescribed = readMedication(this.prescribedMedication(original.transaction));
+
+    return this.request(original, 'RxChangeRequest', [
+      el('MessageRequestCode', code),
+      medicationElement('MedicationRequested', {
+        ...prescribed,
+        drugDescription: drugDescription || prescribed.drugDescription,
+        ndc: ndc || (drugDescription ? null : prescribed.ndc),
+        rxcui: drugDescription ? null : prescribed.rxcui,
+        quantity: quantity ?? prescribed.quantity,
+        note
+      })
+    ]);
+  }
+
+  prescribedMedication(transaction) {
+    return transaction.find('MedicationPrescribed') || transaction.find('MedicationResponse');
+  }
+
+  /**
+   * Pharmacy-initiated request carrying the parties of the original prescription
+   */
+  request(original, type, medications) {
+    const [pharmacy, prescriber, patient] = ['Pharmacy', 'Prescriber', 'Patient']
+      .map(name => copyElement(original.transaction.find(name)));
+    const prescribed = copyElement(this.prescribedMedication(original.transaction), 'MedicationPrescribed');
+    const body = type === 'RxChangeRequest'
+      ? [medications[0], pharmacy, prescriber, patient, prescribed, ...medications.slice(1)]
+      : [pharmacy, prescriber, patient, prescribed, ...medications];
+
+    return buildScriptMessage({
+      to: { qualifier: original.header.fromQualifier, id: original.header.from },
+      from: { qualifier: QUALIFIERS.PHARMACY, id: original.header.to },
+      messageId: this.newMessageId(),
+      prescriberOrderNumber: original.header.prescriberOrderNumber,
+      rxReferenceNumber: `SIM${original.header.messageId.slice(0, 12).toUpperCase()}`,
+      type,
+      body
+    });
+  }
+}
+
+export default new PharmacySimulatorService();
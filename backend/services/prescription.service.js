@@ -3,6 +3,9 @@
 import pool from '../db/index.js';
 import drugInteractionService from './drug-interaction.service.js';
 import auditService from './audit.service.js';
+import priorAuthService, { PriorAuthError } from './prior-auth.service.js';
+import formularyService from './formulary.service.js';
+import eprescribingService from './eprescribing.service.js';
 
 class SafetyAlert extends Error {
   constructor(message, type, severity, data = null) {
@@ -48,7 +51,12 @@ class PrescriptionService {
       quantity,
       instructions,
       indication,
-      overrideReason = null
+      overrideReason = null,
+      pharmacyId = null,
+      providerId = null,
+      refills = 0,
+      daysSupply = null,
+      substitutionsAllowed = true
     } = prescriptionData;
 
     try {
@@ -100,27 +108,72 @@ class PrescriptionService {
       // 6. Validate dosing
       const dosingAlerts = await this.validateDosing(medicationId, dosage, patientId);
 
-      // 7. Create prescription record
-      const prescription = await this.createPrescription({
+      // 7. Check prior authorization for the patient's plan (throws when the plan blocks without one)
+      const priorAuthorization = await priorAuthService.enforceForPrescription({
         patientId,
         medicationId,
-        prescriberId,
+        quantity,
+        userId: prescriberId
+      });
+
+      // 8. Formulary status on the patient's primary plan, with covered alternatives
+      const formulary = await this.getFormularyStatus(patientId, medicationId, quantity);
+
+      // 9. Create prescription record and draw down its prior authorization together
+      const client = await pool.connect();
+      let prescription;
+      try {
+        await client.query('BEGIN');
+        prescription = await this.createPrescription({
+          patientId,
+          medicationId,
+          prescriberId,
+          dosage,
+          frequency,
+          duration,
+          quantity,
+          instructions,
+          indication,
+          overrideReason,
+          safetyChecksPassed: true
+        }, client);
+        await priorAuthService.recordUsage(client, priorAuthorization, {
+          orderType: 'prescription',
+          orderId: prescription.id,
+          userId: prescriberId
+        });
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      // 10. Send to the pharmacy as an NCPDP SCRIPT NewRx
+      const eprescription = await this.sendToPharmacy(prescription, {
+        patientId,
+        medicationId,
+        pharmacyId,
+        providerId,
         dosage,
         frequency,
-        duration,
-        quantity,
         instructions,
-        indication,
-        overrideReason,
-        safetyChecksPassed: true
-      });
+        quantity,
+        daysSupply,
+        refills,
+        substitutionsAllowed
+      }, prescriberId);
 
-      // 8. Return result with safety information
+      // 11. Return result with safety information
       return {
         success: true,
         prescription,
         safetyReport,
         alerts: [...criticalAlerts, ...dosingAlerts],
+        priorAuthorization,
+        formulary,
+        eprescription,
         overrideUsed: !!overrideReason,
         message: overrideReason ? 
           'Prescription created with safety override' : 
@@ -140,12 +193,58 @@ class PrescriptionService {
         );
         throw error;
       }
+      if (error instanceof PriorAuthError) {
+        throw error;
+      }
 
       console.error('[PrescriptionService] Error prescribing medication:', error);
       throw new Error('Failed to prescribe medication');
     }
   }
 
+  /**
+   * Formulary status for a prescription; informational, so a failed lookup never blocks prescribing
+   * @param {number} patientId - Patient ID
+   * @param {number} medicationId - Medication ID
+   * @param {number} quantity - Quantity per fill
+   * @returns {Object|null} Formulary status with alternatives, or null when the lookup failed
+   */
+  async getFormularyStatus(patientId, medicationId, quantity) {
+    try {
+      return await formularyService.checkPrescription({ patientId, medicationId, quantity });
+    } catch (error) {
+      console.warn('[PrescriptionService] Formulary check failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send a new prescription to the pharmacy chosen when prescribing, else the patient's preferred pharmacy.
+   * Prescriptions with no pharmacy stay local, and a transmission problem never undoes the prescription.
+   * @param {Object} prescription - Created prescription
+   * @param {Object} details - Prescription details plus pharmacyId, providerId, refills, daysSupply, substitutionsAllowed
+   * @param {number} prescriberId - Prescribing user
+   * @returns {Object|null} E-prescription with its delivery status, { status: 'not_sent', error } when it could not
+   *   be sent, or null when there is no pharmacy to send to
+   */
+  async sendToPharmacy(prescription, details, prescriberId) {
+    try {
+      const pharmacy = await eprescribingService.resolvePharmacy(details.patientId, details.pharmacyId);
+      if (!pharmacy) {
+        return null;
+      }
+      return await eprescribingService.sendNewRx({
+        ...details,
+        pharmacyId: pharmacy.id,
+        patientMedicationId: prescription.id,
+        userId: prescriberId
+      });
+    } catch (error) {
+      console.warn('[PrescriptionService] E-prescription not sent:', error.message);
+      return { status: 'not_sent', error: error.message };
+    }
+  }
+
   /**
    * Get current active medications for a patient
    * @param {number} patientId - Patient ID
@@ -355,9 +454,10 @@ class PrescriptionService {
   /**
    * Create prescription record in database
    * @param {Object} prescriptionData - Complete prescription data
+   * @param {Object} db - Pool or transaction client
    * @returns {Object} Created prescription
    */
-  async createPrescription(prescriptionData) {
+  async createPrescription(prescriptionData, db = pool) {
     const {
       patientId,
       medicationId,
@@ -373,7 +473,7 @@ class PrescriptionService {
     } = prescriptionData;
 
     try {
-      const result = await pool.query(`
+      const result = await db.query(`
         INSERT INTO patient_medications (
           patient_id, name, dose, route, frequency, started_at, active
         )
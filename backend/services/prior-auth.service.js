@@ -0,0 +1,643 @@
+// Prior Authorization Service
+// Per-plan prior authorization requirements for medications, labs and procedures, PA cases (payer reference,
+// status, approved units, expiry) and the check prescribing and lab ordering run before an order is placed:
+// orders without a valid authorization open a pending case and are blocked or warned depending on the requirement
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+
+export const SERVICE_TYPES = ['medication', 'lab', 'procedure'];
+
+// Case status transitions; denied cases can be resubmitted on appeal
+export const PRIOR_AUTH_TRANSITIONS = {
+  pending: ['submitted', 'approved', 'denied', 'cancelled'],
+  submitted: ['approved', 'denied', 'cancelled'],
+  approved: ['expired', 'cancelled'],
+  denied: ['submitted', 'cancelled'],
+  expired: [],
+  cancelled: []
+};
+
+// Cases still being worked with the payer
+const OPEN_STATUSES = ['pending', 'submitted'];
+
+/**
+ * Prior authorization error with an HTTP status for the routes; details carry the authorization check
+ * when an order is blocked
+ */
+export class PriorAuthError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'PriorAuthError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class PriorAuthService {
+  /* ---------- Order checks ---------- */
+
+  /**
+   * Check a prescription against the patient's plan before it is created
+   * @param {Object} params - { patientId, medicationId, quantity, userId }
+   * @returns {Object} Authorization check (see enforce)
+   */
+  async enforceForPrescription({ patientId, medicationId, quantity = null, userId = null }) {
+    const result = await pool.query(`
+      SELECT id, generic_name, brand_name, rxcui, ndc FROM medications WHERE id = $1
+    `, [medicationId]);
+    const medication = result.rows[0];
+    if (!medication) {
+      return this.notRequired();
+    }
+
+    return this.enforce({
+      patientId,
+      serviceType: 'medication',
+      items: [{
+        code: medication.rxcui || medication.generic_name,
+        aliases: [medication.rxcui, medication.ndc, medication.generic_name, medication.brand_name].filter(Boolean),
+        description: medication.brand_name ? `${medication.generic_name} (${medication.brand_name})` : medication.generic_name,
+        units: Number(quantity) > 0 ? Number(quantity) : 1,
+        medicationId: medication.id
+      }],
+      source: 'prescription',
+      userId
+    });
+  }
+
+  /**
+   * Check a lab order's tests against the patient's plan before the order is created
+   * @param {Object} params - { patientId, tests: [{ loincCode, testName } | { panelName }], userId }
+   * @returns {Object} Authorization check (see enforce)
+   */
+  async enforceForLabOrder({ patientId, tests = [], userId = null }) {
+    const items = tests
+      .map(test => test.panelName
+        ? { code: test.panelName, description: test.panelName, units: 1 }
+        : { code: test.loincCode, description: test.testName || test.loincCode, units: 1 })
+      .filter(item => item.code);
+
+    return this.enforce({ patientId, serviceType: 'lab', items, source: 'lab_order', userId });
+  }
+
+  /**
+   * Check order items against the patient's primary coverage. Items the plan requires authorization for and that
+   * have no valid authorization get a pending case (unless one is already being worked). Block-level requirements
+   * throw; warn-level ones come back as warnings.
+   * @param {Object} params - { patientId, serviceType, items: [{ code, aliases, description, units, medicationId }],
+   *   source, userId, asOf }
+   * @returns {Object} { required, blocked, coverage, items: [{ code, description, enforcement, status, authorization,
+   *   caseId }], warnings }
+   * @throws {PriorAuthError} 409 when a block-level requirement has no valid authorization
+   */
+  async enforce({ patientId, serviceType, items, source = 'manual', userId = null, asOf = new Date() }) {
+    const check = await this.checkAuthorization({ patientId, serviceType, items, asOf });
+
+    const unauthorized = check.items.filter(item => item.status !== 'authorized');
+    for (const item of unauthorized) {
+      if (item.authorization && OPEN_STATUSES.includes(item.authorization.status)) {
+        item.caseId = item.authorization.id;
+        continue;
+      }
+      const opened = await this.openCase({
+        patientId,
+        coverage: check.coverage,
+        serviceType,
+        item,
+        source,
+        userId
+      });
+      item.caseId = opened.id;
+    }
+
+    if (check.blocked) {
+      const codes = check.items
+        .filter(item => item.status !== 'authorized' && item.enforcement === 'block')
+        .map(item => item.description || item.code);
+      await auditService.logPHIAccess(
+        userId,
+        'prior_authorizations',
+        patientId,
+        'prior_auth_block',
+        `${check.coverage.planName} requires prior authorization for ${codes.join(', ')}`,
+        { patientId }
+      );
+      throw new PriorAuthError(
+        `Prior authorization required by ${check.coverage.planName} for ${codes.join(', ')}`,
+        409,
+        check
+      );
+    }
+
+    return check;
+  }
+
+  /**
+   * Evaluate order items against requirements and existing authorizations without changing anything
+   * @param {Object} params - { patientId, serviceType, items, asOf }
+   * @returns {Object} See enforce
+   */
+  async checkAuthorization({ patientId, serviceType, items, asOf = new Date() }) {
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      throw new PriorAuthError(`Service type must be one of: ${SERVICE_TYPES.join(', ')}`);
+    }
+
+    const coverage = await this.getCoverage(patientId, asOf);
+    if (!coverage || items.length === 0) {
+      return this.notRequired(coverage);
+    }
+
+    const codesFor = item => [...new Set([item.code, ...(item.aliases || [])].filter(Boolean).map(code => String(code).toLowerCase()))];
+    const allCodes = [...new Set(items.flatMap(codesFor))];
+
+    // Plan-specific requirements win over ones that apply to every plan
+    const requirements = await pool.query(`
+      SELECT * FROM prior_auth_requirements
+      WHERE active = true
+        AND service_type = $1
+        AND lower(code) = ANY($2::text[])
+        AND (insurance_plan_id IS NULL OR insurance_plan_id = $3)
+      ORDER BY insurance_plan_id NULLS LAST, id
+    `, [serviceType, allCodes, coverage.insurancePlanId]);
+    if (requirements.rows.length === 0) {
+      return this.notRequired(coverage);
+    }
+
+    const cases = await pool.query(`
+      SELECT * FROM prior_authorizations
+      WHERE patient_id = $1
+        AND service_type = $2
+        AND lower(service_code) = ANY($3::text[])
+        AND (patient_insurance_id IS NULL OR patient_insurance_id = $4)
+        AND status <> 'cancelled'
+      ORDER BY id DESC
+    `, [patientId, serviceType, allCodes, coverage.patientInsuranceId]);
+
+    const checked = [];
+    for (const item of items) {
+      const codes = codesFor(item);
+      const requirement = requirements.rows.find(row => codes.includes(row.code.toLowerCase()));
+      if (!requirement) continue;
+
+      const { status, authorization } = this.selectAuthorization(
+        cases.rows.filter(row => codes.includes(row.service_code.toLowerCase())),
+        item.units || 1,
+        asOf
+      );
+      checked.push({
+        code: item.code,
+        description: item.description || requirement.description || item.code,
+        units: item.units || 1,
+        medicationId: item.medicationId ?? null,
+        requirementId: requirement.id,
+        enforcement: requirement.enforcement,
+        status,
+        authorization: authorization ? this.formatAuthorization(authorization) : null,
+        caseId: null
+      });
+    }
+
+    const unauthorized = checked.filter(item => item.status !== 'authorized');
+    return {
+      required: checked.length > 0,
+      blocked: unauthorized.some(item => item.enforcement === 'block'),
+      coverage,
+      items: checked,
+      warnings: unauthorized
+        .filter(item => item.enforcement === 'warn')
+        .map(item => `${item.description}: prior authorization ${item.status.replace('_', ' ')} (${coverage.planName})`)
+    };
+  }
+
+  /**
+   * Pick the authorization that decides an order: a valid approval, otherwise the most relevant case
+   * @param {Array} cases - Cases for the service, newest first
+   * @param {number} units - Units the order needs
+   * @param {Date} asOf - Order date
+   * @returns {Object} { status: authorized|expired|not_yet_effective|exhausted|pending|denied|missing, authorization }
+   */
+  selectAuthorization(cases, units, asOf = new Date()) {
+    const today = this.dateOnly(asOf);
+    const evaluate = row => {
+      if (OPEN_STATUSES.includes(row.status)) return 'pending';
+      if (row.status === 'denied') return 'denied';
+      if (row.status === 'expired') return 'expired';
+      if (row.expiry_date && this.dateOnly(row.expiry_date) < today) return 'expired';
+      if (row.effective_date && this.dateOnly(row.effective_date) > today) return 'not_yet_effective';
+      if (row.approved_units != null && Number(row.used_units) + units > Number(row.approved_units)) return 'exhausted';
+      return 'authorized';
+    };
+
+    const evaluated = cases.map(row => ({ status: evaluate(row), authorization: row }));
+    const precedence = ['authorized', 'pending', 'not_yet_effective', 'exhausted', 'expired', 'denied'];
+    for (const status of precedence) {
+      const match = evaluated.find(entry => entry.status === status);
+      if (match) return match;
+    }
+    return { status: 'missing', authorization: null };
+  }
+
+  /**
+   * Record the units an order drew from its authorizations. The units are taken only while the approval still has
+   * them, so concurrent orders cannot overdraw it; an approval another order used up in the meantime is exhausted:
+   * a block-level requirement throws (the caller rolls the order back), a warn-level one adds a warning.
+   * @param {Object} db - pool or transaction client
+   * @param {Object} check - Result of enforce
+   * @param {Object} order - { orderType: 'prescription'|'lab_order', orderId, userId }
+   * @throws {PriorAuthError} 409 when a block-level authorization no longer has the units
+   */
+  async recordUsage(db, check, { orderType, orderId, userId = null }) {
+    for (const item of check.items) {
+      if (item.status !== 'authorized') continue;
+      const drawn = await db.query(`
+        UPDATE prior_authorizations SET used_units = used_units + $2
+        WHERE id = $1 AND (approved_units IS NULL OR used_units + $2 <= approved_units)
+        RETURNING *
+      `, [item.authorization.id, item.units]);
+      if (drawn.rows.length === 0) {
+        item.status = 'exhausted';
+        const message = `${item.description}: prior authorization exhausted (${check.coverage.planName})`;
+        if (item.enforcement === 'block') {
+          throw new PriorAuthError(`Prior authorization for ${item.description} has no units left`, 409, check);
+        }
+        check.warnings.push(message);
+        continue;
+      }
+      item.authorization = this.formatAuthorization(drawn.rows[0]);
+      await db.query(`
+        INSERT INTO prior_authorization_usage (prior_authorization_id, order_type, order_id, units, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [item.authorization.id, orderType, orderId, item.units, userId]);
+    }
+  }
+
+  async openCase({ patientId, coverage, serviceType, item, source, userId }) {
+    const result = await pool.query(`
+      INSERT INTO prior_authorizations (
+        patient_id, patient_insurance_id, insurance_plan_id, requirement_id, service_type, service_code,
+        service_description, medication_id, requested_units, source, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      patientId, coverage.patientInsuranceId, coverage.insurancePlanId, item.requirementId, serviceType, item.code,
+      item.description, item.medicationId ?? null, item.units, source, userId
+    ]);
+    const opened = result.rows[0];
+    await this.recordHistory(pool, opened.id, null, 'pending', `Opened from ${source.replace('_', ' ')}`, userId);
+    return opened;
+  }
+
+  async getCoverage(patientId, asOf = new Date()) {
+    const result = await pool.query(`
+      SELECT pi.id, pi.insurance_plan_id, ip.plan_name, ip.insurance_company
+      FROM patient_insurance pi
+      LEFT JOIN insurance_plans ip ON ip.id = pi.insurance_plan_id
+      WHERE pi.patient_id = $1 AND pi.status = 'active'
+        AND (pi.effective_date IS NULL OR pi.effective_date <= $2)
+        AND (pi.termination_date IS NULL OR pi.termination_date >= $2)
+      ORDER BY pi.priority_order, pi.id
+      LIMIT 1
+    `, [patientId, this.dateOnly(asOf)]);
+    const row = result.rows[0];
+    return row
+      ? {
+        patientInsuranceId: row.id,
+        insurancePlanId: row.insurance_plan_id,
+        planName: row.plan_name || row.insurance_company || 'the patient\'s plan'
+      }
+      : null;
+  }
+
+  notRequired(coverage = null) {
+    return { required: false, blocked: false, coverage, items: [], warnings: [] };
+  }
+
+  /* ---------- Cases ---------- */
+
+  /**
+   * Prior authorization work list. Approvals past their expiry are marked expired first.
+   * @param {Object} filters - { status, patientId, expiringWithinDays, limit }
+   * @returns {Array} Cases with patient and plan names
+   */
+  async listAuthorizations({ status = null, patientId = null, expiringWithinDays = null, limit = 100 } = {}) {
+    await this.expireAuthorizations();
+
+    const result = await pool.query(`
+      SELECT pa.*, p.first_name, p.last_name, p.mrn, ip.plan_name, ip.insurance_company
+      FROM prior_authorizations pa
+      JOIN patients p ON p.id = pa.patient_id
+      LEFT JOIN insurance_plans ip ON ip.id = pa.insurance_plan_id
+      WHERE ($1::text IS NULL OR pa.status = $1)
+        AND ($2::int IS NULL OR pa.patient_id = $2)
+        AND ($3::int IS NULL OR (pa.status = 'approved' AND pa.expiry_date <= CURRENT_DATE + $3::int))
+      ORDER BY
+        CASE pa.status WHEN 'pending' THEN 1 WHEN 'submitted' THEN 2 WHEN 'approved' THEN 3 ELSE 4 END,
+        COALESCE(pa.expiry_date, pa.created_at::date),
+        pa.id
+      LIMIT $4
+    `, [status, patientId, expiringWithinDays, limit]);
+
+    return result.rows.map(row => ({
+      ...this.formatAuthorization(row),
+      patientName: `${row.first_name} ${row.last_name}`,
+      mrn: row.mrn,
+      planName: row.plan_name || row.insurance_company || null
+    }));
+  }
+
+  /**
+   * Mark approvals whose expiry date has passed as expired
+   * @returns {number} Cases expired
+   */
+  async expireAuthorizations() {
+    const result = await pool.query(`
+      UPDATE prior_authorizations SET status = 'expired'
+      WHERE status = 'approved' AND expiry_date < CURRENT_DATE
+      RETURNING id
+    `);
+    for (const row of result.rows) {
+      await this.recordHistory(pool, row.id, 'approved', 'expired', 'Authorization expired', null);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Case with its usage and status history
+   * @param {number} authorizationId - prior_authorizations id
+   */
+  async getAuthorization(authorizationId) {
+    const result = await pool.query(`
+      SELECT pa.*, p.first_name, p.last_name, p.mrn, ip.plan_name, ip.insurance_company
+      FROM prior_authorizations pa
+      JOIN patients p ON p.id = pa.patient_id
+      LEFT JOIN insurance_plans ip ON ip.id = pa.insurance_plan_id
+      WHERE pa.id = $1
+    `, [authorizationId]);
+    const row = result.rows[0];
+    if (!row) {
+      throw new PriorAuthError('Prior authorization not found', 404);
+    }
+
+    const usage = await pool.query(`
+      SELECT order_type, order_id, units, created_by, created_at
+      FROM prior_authorization_usage WHERE prior_authorization_id = $1 ORDER BY created_at, id
+    `, [authorizationId]);
+    const history = await pool.query(`
+      SELECT from_status, to_status, note, changed_by, changed_at
+      FROM prior_authorization_history WHERE prior_authorization_id = $1 ORDER BY changed_at, id
+    `, [authorizationId]);
+
+    return {
+      ...this.formatAuthorization(row),
+      patientName: `${row.first_name} ${row.last_name}`,
+      mrn: row.mrn,
+      planName: row.plan_name || row.insurance_company || null,
+      usage: usage.rows,
+      history: history.rows
+    };
+  }
+
+  /**
+   * Open a case by hand (procedures, or ahead of an order)
+   * @param {Object} data - { patientId, serviceType, serviceCode, description, requestedUnits, medicationId, notes }
+   * @param {number} userId - Creating user
+   * @returns {Object} Case
+   */
+  async createAuthorization({ patientId, serviceType, serviceCode, description = null, requestedUnits = null, medicationId = null, notes = null }, userId) {
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      throw new PriorAuthError(`serviceType must be one of: ${SERVICE_TYPES.join(', ')}`);
+    }
+    if (!serviceCode) {
+      throw new PriorAuthError('serviceCode is required');
+    }
+
+    const coverage = await this.getCoverage(patientId);
+    if (!coverage) {
+      throw new PriorAuthError('Patient has no active coverage', 422);
+    }
+
+    const requirement = await pool.query(`
+      SELECT id FROM prior_auth_requirements
+      WHERE active = true AND service_type = $1 AND lower(code) = lower($2)
+        AND (insurance_plan_id IS NULL OR insurance_plan_id = $3)
+      ORDER BY insurance_plan_id NULLS LAST
+      LIMIT 1
+    `, [serviceType, serviceCode, coverage.insurancePlanId]);
+
+    const result = await pool.query(`
+      INSERT INTO prior_authorizations (
+        patient_id, patient_insurance_id, insurance_plan_id, requirement_id, service_type, service_code,
+        service_description, medication_id, requested_units, notes, source, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'manual', $11)
+      RETURNING *
+    `, [
+      patientId, coverage.patientInsuranceId, coverage.insurancePlanId, requirement.rows[0]?.id ?? null, serviceType,
+      serviceCode, description, medicationId, requestedUnits, notes, userId
+    ]);
+    const created = result.rows[0];
+    await this.recordHistory(pool, created.id, null, 'pending', 'Opened manually', userId);
+
+    await auditService.logPHIAccess(
+      userId,
+      'prior_authorizations',
+      created.id,
+      'prior_auth',
+      `Opened prior authorization for ${serviceType} ${serviceCode}`,
+      { patientId }
+    );
+
+    return this.formatAuthorization(created);
+  }
+
+  /**
+   * Record payer activity on a case: status changes, reference number, approved units and dates
+   * @param {number} authorizationId - prior_authorizations id
+   * @param {Object} changes - { status, payerReference, approvedUnits, effectiveDate, expiryDate, denialReason, notes }
+   * @param {number} userId - Updating user
+   * @returns {Object} Case
+   */
+  async updateAuthorization(authorizationId, changes, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query('SELECT * FROM prior_authorizations WHERE id = $1 FOR UPDATE', [authorizationId]);
+      const current = result.rows[0];
+      if (!current) {
+        throw new PriorAuthError('Prior authorization not found', 404);
+      }
+
+      const status = changes.status ?? current.status;
+      if (status !== current.status && !(PRIOR_AUTH_TRANSITIONS[current.status] || []).includes(status)) {
+        throw new PriorAuthError(`Cannot change prior authorization from ${current.status} to ${status}`, 409);
+      }
+      if (['expired', 'cancelled'].includes(current.status) && Object.keys(changes).some(key => key !== 'notes')) {
+        throw new PriorAuthError(`Prior authorization is ${current.status}`, 409);
+      }
+
+      const next = {
+        payer_reference: changes.payerReference !== undefined ? changes.payerReference : current.payer_reference,
+        approved_units: changes.approvedUnits !== undefined ? changes.approvedUnits : current.approved_units,
+        effective_date: changes.effectiveDate !== undefined ? changes.effectiveDate : current.effective_date,
+        expiry_date: changes.expiryDate !== undefined ? changes.expiryDate : current.expiry_date,
+        denial_reason: changes.denialReason !== undefined ? changes.denialReason : current.denial_reason
+      };
+      if (status === 'approved') {
+        if (!next.payer_reference) throw new PriorAuthError('An approved authorization needs the payer reference number');
+        if (!next.expiry_date) throw new PriorAuthError('An approved authorization needs an expiry date');
+        if (next.effective_date && this.dateOnly(next.effective_date) > this.dateOnly(next.expiry_date)) {
+          throw new PriorAuthError('Expiry date is before the effective date');
+        }
+      }
+      if (status === 'denied' && !next.denial_reason) {
+        throw new PriorAuthError('A denied authorization needs the denial reason');
+      }
+
+      const updated = await client.query(`
+        UPDATE prior_authorizations SET
+          status = $2::varchar,
+          payer_reference = $3,
+          approved_units = $4,
+          effective_date = $5,
+          expiry_date = $6,
+          denial_reason = $7,
+          notes = COALESCE($8, notes),
+          submitted_at = CASE WHEN $2::varchar = 'submitted' AND status <> 'submitted' THEN CURRENT_TIMESTAMP ELSE submitted_at END,
+          decided_at = CASE WHEN $2::varchar IN ('approved', 'denied') AND status <> $2::varchar THEN CURRENT_TIMESTAMP ELSE decided_at END,
+          updated_by = $9
+        WHERE id = $1
+        RETURNING *
+      `, [
+        authorizationId, status, next.payer_reference, next.approved_units, next.effective_date, next.expiry_date,
+        next.denial_reason, changes.notes ?? null, userId
+      ]);
+
+      if (status !== current.status) {
+        await this.recordHistory(client, authorizationId, current.status, status, changes.note ?? changes.denialReason ?? null, userId);
+      }
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'prior_authorizations',
+        authorizationId,
+        'prior_auth',
+        status !== current.status
+          ? `Prior authorization ${current.status} -> ${status}${next.payer_reference ? ` (${next.payer_reference})` : ''}`
+          : 'Updated prior authorization',
+        { patientId: current.patient_id }
+      );
+
+      return this.formatAuthorization(updated.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async recordHistory(db, authorizationId, fromStatus, toStatus, note, userId) {
+    await db.query(`
+      INSERT INTO prior_authorization_history (prior_authorization_id, from_status, to_status, note, changed_by)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [authorizationId, fromStatus, toStatus, note, userId]);
+  }
+
+  /* ---------- Requirements ---------- */
+
+  async listRequirements({ insurancePlanId = null, serviceType = null } = {}) {
+    const result = await pool.query(`
+      SELECT r.*, ip.plan_name, ip.insurance_company
+      FROM prior_auth_requirements r
+      LEFT JOIN insurance_plans ip ON ip.id = r.insurance_plan_id
+      WHERE r.active = true
+        AND ($1::int IS NULL OR r.insurance_plan_id = $1 OR r.insurance_plan_id IS NULL)
+        AND ($2::text IS NULL OR r.service_type = $2)
+      ORDER BY r.service_type, r.code, r.insurance_plan_id NULLS FIRST
+    `, [insurancePlanId, serviceType]);
+    return result.rows;
+  }
+
+  /**
+   * Add or update a plan requirement
+   * @param {Object} data - { insurancePlanId (null for every plan), serviceType, code, description, enforcement }
+   * @param {number} userId - User
+   * @returns {Object} Requirement
+   */
+  async saveRequirement({ insurancePlanId = null, serviceType, code, description = null, enforcement = 'block' }, userId) {
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      throw new PriorAuthError(`serviceType must be one of: ${SERVICE_TYPES.join(', ')}`);
+    }
+    if (!code) {
+      throw new PriorAuthError('code is required');
+    }
+    if (!['block', 'warn'].includes(enforcement)) {
+      throw new PriorAuthError('enforcement must be block or warn');
+    }
+
+    const result = await pool.query(`
+      INSERT INTO prior_auth_requirements (insurance_plan_id, service_type, code, description, enforcement, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (COALESCE(insurance_plan_id, 0), service_type, lower(code)) DO UPDATE SET
+        description = COALESCE(EXCLUDED.description, prior_auth_requirements.description),
+        enforcement = EXCLUDED.enforcement,
+        active = true
+      RETURNING *
+    `, [insurancePlanId, serviceType, code.trim(), description, enforcement, userId]);
+    return result.rows[0];
+  }
+
+  async removeRequirement(requirementId) {
+    const result = await pool.query(`
+      UPDATE prior_auth_requirements SET active = false WHERE id = $1 RETURNING *
+    `, [requirementId]);
+    if (!result.rows[0]) {
+      throw new PriorAuthError('Requirement not found', 404);
+    }
+    return result.rows[0];
+  }
+
+  /* ---------- Helpers ---------- */
+
+  formatAuthorization(row) {
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      patientInsuranceId: row.patient_insurance_id,
+      insurancePlanId: row.insurance_plan_id,
+      serviceType: row.service_type,
+      serviceCode: row.service_code,
+      serviceDescription: row.service_description,
+      medicationId: row.medication_id ?? null,
+      status: row.status,
+      payerReference: row.payer_reference ?? null,
+      requestedUnits: row.requested_units ?? null,
+      approvedUnits: row.approved_units ?? null,
+      usedUnits: Number(row.used_units) || 0,
+      effectiveDate: this.dateOnly(row.effective_date),
+      expiryDate: this.dateOnly(row.expiry_date),
+      denialReason: row.denial_reason ?? null,
+      notes: row.notes ?? null,
+      source: row.source,
+      submittedAt: row.submitted_at ?? null,
+      decidedAt: row.decided_at ?? null,
+      createdAt: row.created_at ?? null
+    };
+  }
+
+  dateOnly(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+    // pg returns DATE columns as local midnight
+    const date = new Date(value);
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+}
+
+export default new PriorAuthService();
@@ -0,0 +1,616 @@
+// Remittance Service
+// X12 835 electronic remittance advice: parses payments and claim/line adjudication (CARC/RARC adjustments,
+// patient responsibility), posts them to claims, billing_transactions and the coverage's deductible and
+// out-of-pocket accumulators, and keeps remittances that match no claim in a work queue
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+import clearinghouseService from './clearinghouse.service.js';
+import claimSubmissionService, { CLAIM_TRANSITIONS } from './claim-submission.service.js';
+import { fromX12Date, parseX12, transactionSets, X12ParseError } from '../utils/x12.js';
+
+// CLP02 claim status: 1-3 processed as primary/secondary/tertiary, 4 denied, 22 reversal of a previous payment
+const DENIED = '4';
+const REVERSAL = '22';
+
+// CAS group for patient responsibility; CARC 1 deductible, 2 coinsurance, 3 copay
+const PATIENT_RESPONSIBILITY = 'PR';
+const DEDUCTIBLE_REASON = '1';
+const OUT_OF_POCKET_REASONS = ['1', '2', '3'];
+
+// Claims an 835 can be posted to
+const POSTABLE_STATUSES = ['submitted', 'accepted', 'paid', 'denied'];
+
+// BPR04 payment method
+const PAYMENT_METHODS = { CHK: 'insurance_check', ACH: 'insurance_eft', FWT: 'insurance_wire', NON: 'insurance_non_payment' };
+
+// Common claim adjustment reason codes (CARC) used in posting notes
+export const ADJUSTMENT_REASONS = {
+  1: 'Deductible amount',
+  2: 'Coinsurance amount',
+  3: 'Co-payment amount',
+  4: 'Procedure code is inconsistent with the modifier used',
+  16: 'Claim/service lacks information needed for adjudication',
+  18: 'Exact duplicate claim/service',
+  22: 'Care may be covered by another payer per coordination of benefits',
+  27: 'Expenses incurred after coverage terminated',
+  29: 'The time limit for filing has expired',
+  45: 'Charge exceeds fee schedule/maximum allowable',
+  50: 'Not deemed a medical necessity by the payer',
+  96: 'Non-covered charge(s)',
+  97: 'Included in the payment for another service',
+  109: 'Claim/service not covered by this payer',
+  197: 'Precertification/authorization absent',
+  204: 'Service not covered under the current benefit plan',
+  253: 'Sequestration - reduction in federal payment'
+};
+
+/**
+ * Remittance error with an HTTP status for the routes
+ */
+export class RemittanceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RemittanceError';
+    this.status = status;
+  }
+}
+
+class RemittanceService {
+  constructor() {
+    clearinghouseService.registerHandler('835', (x12, { fileName } = {}) => this.processRemittance(x12, { fileName }));
+  }
+
+  /**
+   * Record an 835 and post every claim payment that matches a submitted claim (CLP01 = claim number)
+   * A payment already on file (same payer and TRN trace number) is skipped, so re-delivered files post once.
+   * @param {string} x12 - 835 interchange
+   * @param {Object} options - { userId, fileName }
+   * @returns {Object} { remittances: [{ remittanceId, traceNumber, payerName, paymentAmount, status, posted, unmatched, duplicate }] }
+   */
+  async processRemittance(x12, { userId = null, fileName = null } = {}) {
+    let payments;
+    try {
+      payments = this.parse835(x12);
+    } catch (error) {
+      if (error instanceof X12ParseError) {
+        throw new RemittanceError(`Invalid 835: ${error.message}`, 422);
+      }
+      throw error;
+    }
+
+    const remittances = [];
+    for (const payment of payments) {
+      remittances.push(await this.recordPayment(payment, x12, { userId, fileName }));
+    }
+    return { remittances };
+  }
+
+  async recordPayment(payment, x12, { userId, fileName }) {
+    if (!payment.traceNumber) {
+      throw new RemittanceError('835 payment has no TRN trace number', 422);
+    }
+
+    const existing = await pool.query(`
+      SELECT id, status FROM remittances WHERE payer_id IS NOT DISTINCT FROM $1 AND trace_number = $2
+    `, [payment.payerId, payment.traceNumber]);
+    if (existing.rows.length > 0) {
+      console.warn(`[Remittance] 835 ${payment.traceNumber} from ${payment.payerName} was already posted`);
+      return {
+        remittanceId: existing.rows[0].id,
+        traceNumber: payment.traceNumber,
+        payerName: payment.payerName,
+        paymentAmount: payment.amount,
+        status: existing.rows[0].status,
+        posted: 0,
+        unmatched: 0,
+        duplicate: true
+      };
+    }
+
+    const inserted = await pool.query(`
+      INSERT INTO remittances (
+        payer_id, payer_name, trace_number, payment_method, payment_amount, payment_date, payee_npi,
+        file_name, claim_count, x12, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id
+    `, [
+      payment.payerId, payment.payerName, payment.traceNumber, payment.method, payment.amount, payment.date,
+      payment.payeeNpi, fileName, payment.claims.length, x12, userId
+    ]);
+    const remittanceId = inserted.rows[0].id;
+
+    let posted = 0;
+    let unmatched = 0;
+    for (const claim of payment.claims) {
+      const row = await pool.query(`
+        INSERT INTO remittance_claims (
+          remittance_id, patient_control_number, payer_claim_number, status_code, charge_amount, paid_amount,
+          patient_responsibility, patient_name, member_id, adjustments, remark_codes, lines
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING id
+      `, [
+        remittanceId, claim.patientControlNumber, claim.payerClaimNumber, claim.statusCode, claim.chargeAmount,
+        claim.paidAmount, claim.patientResponsibility, claim.patientName, claim.memberId,
+        JSON.stringify(claim.adjustments), claim.remarks, JSON.stringify(claim.lines)
+      ]);
+
+      const match = await pool.query(`
+        SELECT id FROM claims WHERE claim_number = $1 AND status = ANY($2)
+      `, [claim.patientControlNumber, POSTABLE_STATUSES]);
+      if (match.rows.length > 0) {
+        await this.postRemittanceClaim(row.rows[0].id, match.rows[0].id, userId);
+        posted += 1;
+      } else {
+        unmatched += 1;
+      }
+    }
+
+    const status = await this.refreshRemittanceStatus(pool, remittanceId);
+    console.log(`[Remittance] 835 ${payment.traceNumber} from ${payment.payerName}: ${posted} claims posted, ${unmatched} unmatched`);
+    return {
+      remittanceId,
+      traceNumber: payment.traceNumber,
+      payerName: payment.payerName,
+      paymentAmount: payment.amount,
+      status,
+      posted,
+      unmatched,
+      duplicate: false
+    };
+  }
+
+  /**
+   * Post one claim adjudication: payment and adjustment transactions per line, the charge lines' insurance
+   * payment and patient responsibility, claim totals and status, and the deductible/out-of-pocket accumulators
+   * @param {number} remittanceClaimId - remittance_claims id
+   * @param {number} claimId - Claim to post to
+   * @param {number} userId - Posting user (null for automatic posting)
+   * @param {Object} options - { manual, note } for work queue matches
+   * @returns {Object} { remittanceClaimId, claimId, claimNumber, status, paid, patientResponsibility, adjustments }
+   */
+  async postRemittanceClaim(remittanceClaimId, claimId, userId, { manual = false, note = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const remitted = await client.query(`
+        SELECT rc.*, r.payer_name, r.trace_number, r.payment_method, r.payment_date
+        FROM remittance_claims rc
+        JOIN remittances r ON r.id = rc.remittance_id
+        WHERE rc.id = $1
+        FOR UPDATE OF rc
+      `, [remittanceClaimId]);
+      const remittance = remitted.rows[0];
+      if (!remittance) {
+        throw new RemittanceError(`Remittance claim ${remittanceClaimId} not found`, 404);
+      }
+      if (remittance.posting_status !== 'unmatched') {
+        throw new RemittanceError(`Remittance claim ${remittanceClaimId} is already ${remittance.posting_status}`, 409);
+      }
+
+      const claimResult = await client.query('SELECT * FROM claims WHERE id = $1 FOR UPDATE', [claimId]);
+      const claim = claimResult.rows[0];
+      if (!claim) {
+        throw new RemittanceError(`Claim ${claimId} not found`, 404);
+      }
+      if (!POSTABLE_STATUSES.includes(claim.status)) {
+        throw new RemittanceError(`Payments cannot be posted to a ${claim.status} claim`, 409);
+      }
+      const claimLines = (await client.query(`
+        SELECT id, line_number, cpt_code FROM claim_lines WHERE claim_id = $1 ORDER BY line_number
+      `, [claimId])).rows;
+
+      const denied = remittance.status_code === DENIED;
+      const posting = {
+        client,
+        claim,
+        remittance,
+        userId,
+        paymentMethod: PAYMENT_METHODS[remittance.payment_method] || 'insurance',
+        denied
+      };
+
+      // Claim-level adjustments (no SVC detail, or CAS before the first SVC) post without a line
+      const claimAdjustments = remittance.adjustments || [];
+      if (remittance.lines.length === 0) {
+        await this.postLine(posting, null, { paidAmount: Number(remittance.paid_amount), adjustments: claimAdjustments, remarks: remittance.remark_codes });
+      } else {
+        await this.postLine(posting, null, { paidAmount: 0, adjustments: claimAdjustments, remarks: remittance.remark_codes });
+        const used = new Set();
+        for (const line of remittance.lines) {
+          const claimLine = this.matchLine(claimLines, line, used);
+          await this.postLine(posting, claimLine, line);
+        }
+      }
+
+      const allAdjustments = [...claimAdjustments, ...remittance.lines.flatMap(line => line.adjustments)];
+      const sum = (list) => Math.round(list.reduce((total, adjustment) => total + adjustment.amount, 0) * 100) / 100;
+      const patientAdjustments = allAdjustments.filter(adjustment => adjustment.group === PATIENT_RESPONSIBILITY);
+      const otherAdjustments = sum(allAdjustments.filter(adjustment => adjustment.group !== PATIENT_RESPONSIBILITY));
+      const deductible = sum(patientAdjustments.filter(adjustment => adjustment.reason === DEDUCTIBLE_REASON));
+      const outOfPocket = sum(patientAdjustments.filter(adjustment => OUT_OF_POCKET_REASONS.includes(adjustment.reason)));
+      const paid = Number(remittance.paid_amount);
+      const patientResponsibility = Number(remittance.patient_responsibility);
+
+      await client.query(`
+        UPDATE claims SET
+          paid_amount = paid_amount + $2,
+          adjustment_amount = adjustment_amount + $3,
+          patient_responsibility = patient_responsibility + $4,
+          payer_claim_number = COALESCE($5, payer_claim_number),
+          adjudicated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [claimId, paid, otherAdjustments, patientResponsibility, remittance.payer_claim_number]);
+
+      const target = remittance.status_code === REVERSAL ? 'accepted' : (denied ? 'denied' : 'paid');
+      if (target !== claim.status && CLAIM_TRANSITIONS[claim.status].includes(target)) {
+        await claimSubmissionService.applyTransition(client, claimId, target, {
+          userId,
+          reason: denied ? this.describeAdjustments(allAdjustments) || 'Denied by payer' : null
+        });
+      }
+
+      if (claim.patient_insurance_id && (deductible !== 0 || outOfPocket !== 0)) {
+        // LEAST ignores NULL, so accumulators without a plan maximum are only floored at zero
+        await client.query(`
+          UPDATE patient_insurance SET
+            deductible_met = LEAST(GREATEST(COALESCE(deductible_met, 0) + $2, 0), deductible),
+            out_of_pocket_met = LEAST(GREATEST(COALESCE(out_of_pocket_met, 0) + $3, 0), out_of_pocket_max),
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [claim.patient_insurance_id, deductible, outOfPocket]);
+      }
+
+      await client.query(`
+        UPDATE remittance_claims SET
+          claim_id = $2, posting_status = 'posted', posted_at = CURRENT_TIMESTAMP,
+          resolved_by = $3, resolution_note = $4
+        WHERE id = $1
+      `, [remittanceClaimId, claimId, manual ? userId : null, note]);
+      await this.refreshRemittanceStatus(client, remittance.remittance_id);
+
+      await client.query('COMMIT');
+
+      await auditService.logPHIAccess(
+        userId,
+        'claims',
+        claimId,
+        'payment_posting',
+        `Posted ${remittance.payer_name || 'payer'} 835 ${remittance.trace_number} to claim ${claim.claim_number}: ` +
+          `paid $${paid.toFixed(2)}, patient responsibility $${patientResponsibility.toFixed(2)}`,
+        { patientId: claim.patient_id }
+      );
+
+      return {
+        remittanceClaimId,
+        claimId,
+        claimNumber: claim.claim_number,
+        status: target,
+        paid,
+        patientResponsibility,
+        adjustments: otherAdjustments
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Payment and non-patient adjustment transactions for one SVC line; PR amounts go on the line's charge
+  async postLine({ client, claim, remittance, userId, paymentMethod, denied }, claimLine, line) {
+    const transaction = (type, amount, extra = {}) => client.query(`
+      INSERT INTO billing_transactions (
+        patient_id, transaction_type, amount, transaction_date, service_date, service_description, procedure_code,
+        payment_method, check_number, insurance_claim_number, insurance_payment, status, notes, created_by,
+        claim_id, claim_line_id, remittance_claim_id, adjustment_group, reason_code, remark_codes
+      ) VALUES ($1, $2, $3, COALESCE($4, CURRENT_DATE), $5, $6, $7, $8, $9, $10, $11, 'processed', $12, $13, $14, $15, $16, $17, $18, $19)
+    `, [
+      claim.patient_id, type, amount, remittance.payment_date, claim.service_date, extra.description,
+      claimLine?.cpt_code || line.cptCode || null, paymentMethod, remittance.trace_number, claim.claim_number,
+      type === 'payment' ? amount : null, extra.notes || null, userId ? String(userId) : 'system',
+      claim.id, claimLine?.id || null, remittance.id, extra.group || null, extra.reason || null, line.remarks || []
+    ]);
+
+    if (line.paidAmount !== 0) {
+      await transaction('payment', line.paidAmount, { description: `${remittance.payer_name || 'Insurance'} payment` });
+    }
+    for (const adjustment of line.adjustments.filter(a => a.group !== PATIENT_RESPONSIBILITY)) {
+      await transaction('adjustment', adjustment.amount, {
+        description: `${adjustment.group}-${adjustment.reason} adjustment`,
+        notes: ADJUSTMENT_REASONS[adjustment.reason] || null,
+        group: adjustment.group,
+        reason: adjustment.reason
+      });
+    }
+
+    if (claimLine) {
+      const patientResponsibility = line.adjustments
+        .filter(adjustment => adjustment.group === PATIENT_RESPONSIBILITY)
+        .reduce((total, adjustment) => total + adjustment.amount, 0);
+      const status = denied ? 'denied' : (patientResponsibility > 0 ? 'processed' : 'paid');
+      await client.query(`
+        UPDATE billing_transactions SET
+          insurance_payment = COALESCE(insurance_payment, 0) + $2,
+          patient_responsibility = COALESCE(patient_responsibility, 0) + $3,
+          status = $4,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE claim_line_id = $1 AND transaction_type = 'charge'
+      `, [claimLine.id, line.paidAmount, patientResponsibility, status]);
+    }
+  }
+
+  /**
+   * Claim line an SVC pays: by the REF*6R line control number sent on the 837P, otherwise the first
+   * unpaid line with the same procedure code
+   */
+  matchLine(claimLines, line, used) {
+    const match = claimLines.find(claimLine => !used.has(claimLine.id) && line.lineControl && String(claimLine.id) === line.lineControl)
+      ?? claimLines.find(claimLine => !used.has(claimLine.id) && claimLine.cpt_code === line.cptCode);
+    if (match) used.add(match.id);
+    return match || null;
+  }
+
+  /**
+   * Recompute a remittance's status from its claims (posted, partial, unmatched)
+   * @param {Object} db - pool or transaction client
+   * @returns {Promise<string>} New status
+   */
+  async refreshRemittanceStatus(db, remittanceId) {
+    const result = await db.query(`
+      UPDATE remittances r SET status = CASE
+          WHEN s.open = 0 THEN 'posted'
+          WHEN s.open = s.total THEN 'unmatched'
+          ELSE 'partial'
+        END
+      FROM (
+        SELECT COUNT(*) FILTER (WHERE posting_status = 'unmatched') AS open, COUNT(*) AS total
+        FROM remittance_claims WHERE remittance_id = $1
+      ) s
+      WHERE r.id = $1
+      RETURNING r.status
+    `, [remittanceId]);
+    return result.rows[0]?.status ?? null;
+  }
+
+  /* ---------- Work queue ---------- */
+
+  /**
+   * Remittance claims that matched no claim, oldest first
+   * @param {Object} options - { limit }
+   * @returns {Array}
+   */
+  async listUnmatched({ limit = 100 } = {}) {
+    const result = await pool.query(`
+      SELECT rc.id, rc.remittance_id, rc.patient_control_number, rc.payer_claim_number, rc.status_code,
+             rc.charge_amount, rc.paid_amount, rc.patient_responsibility, rc.patient_name, rc.member_id,
+             rc.adjustments, rc.remark_codes, rc.created_at,
+             r.payer_id, r.payer_name, r.trace_number, r.payment_date
+      FROM remittance_claims rc
+      JOIN remittances r ON r.id = rc.remittance_id
+      WHERE rc.posting_status = 'unmatched'
+      ORDER BY rc.created_at, rc.id
+      LIMIT $1
+    `, [limit]);
+    return result.rows;
+  }
+
+  /**
+   * Post an unmatched remittance claim to the claim a biller identified
+   * @param {number} remittanceClaimId - remittance_claims id
+   * @param {number} claimId - Claim to post to
+   * @param {number} userId - Biller
+   * @param {string} note - Optional resolution note
+   * @returns {Object} Posting result
+   */
+  async matchRemittanceClaim(remittanceClaimId, claimId, userId, note = null) {
+    return this.postRemittanceClaim(remittanceClaimId, claimId, userId, { manual: true, note });
+  }
+
+  /**
+   * Take a remittance claim off the work queue without posting it (e.g. a payment for another practice)
+   * @param {number} remittanceClaimId - remittance_claims id
+   * @param {number} userId - Biller
+   * @param {string} note - Reason
+   * @returns {Object} Updated remittance_claims row
+   */
+  async dismissRemittanceClaim(remittanceClaimId, userId, note) {
+    const result = await pool.query(`
+      UPDATE remittance_claims SET
+        posting_status = 'dismissed', resolved_by = $2, resolution_note = $3, posted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND posting_status = 'unmatched'
+      RETURNING *
+    `, [remittanceClaimId, userId, note]);
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT posting_status FROM remittance_claims WHERE id = $1', [remittanceClaimId]);
+      throw exists.rows.length === 0
+        ? new RemittanceError(`Remittance claim ${remittanceClaimId} not found`, 404)
+        : new RemittanceError(`Remittance claim ${remittanceClaimId} is already ${exists.rows[0].posting_status}`, 409);
+    }
+    await this.refreshRemittanceStatus(pool, result.rows[0].remittance_id);
+    return result.rows[0];
+  }
+
+  /**
+   * Remittances, newest first
+   * @param {Object} filters - { status, limit }
+   * @returns {Array} remittances rows without the raw 835
+   */
+  async listRemittances({ status = null, limit = 100 } = {}) {
+    const result = await pool.query(`
+      SELECT id, payer_id, payer_name, trace_number, payment_method, payment_amount, payment_date, payee_npi,
+             file_name, status, claim_count, created_by, created_at
+      FROM remittances
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [status, limit]);
+    return result.rows;
+  }
+
+  /**
+   * One remittance with its claim adjudications
+   * @param {number} remittanceId - remittances id
+   * @returns {Object}
+   */
+  async getRemittance(remittanceId) {
+    const result = await pool.query('SELECT * FROM remittances WHERE id = $1', [remittanceId]);
+    if (result.rows.length === 0) {
+      throw new RemittanceError(`Remittance ${remittanceId} not found`, 404);
+    }
+    const claims = await pool.query(`
+      SELECT rc.*, c.claim_number, c.status AS claim_status
+      FROM remittance_claims rc
+      LEFT JOIN claims c ON c.id = rc.claim_id
+      WHERE rc.remittance_id = $1
+      ORDER BY rc.id
+    `, [remittanceId]);
+    return { ...result.rows[0], claims: claims.rows };
+  }
+
+  /* ---------- 835 ---------- */
+
+  /**
+   * Parse an 835 into one payment per transaction set
+   * @param {string} x12 - 835 interchange
+   * @returns {Array} [{ method, amount, date, traceNumber, payerName, payerId, payeeNpi, claims: [{ patientControlNumber,
+   *   statusCode, chargeAmount, paidAmount, patientResponsibility, payerClaimNumber, patientName, memberId,
+   *   adjustments, remarks, lines: [{ cptCode, modifiers, chargeAmount, paidAmount, units, lineControl, serviceDate,
+   *   adjustments, remarks }] }] }]
+   */
+  parse835(x12) {
+    const { segments } = parseX12(x12);
+    const sets = transactionSets(segments).filter(set => set.type === '835');
+    if (sets.length === 0) {
+      throw new X12ParseError('Interchange has no 835 transaction set');
+    }
+
+    return sets.map(set => {
+      const payment = {
+        method: null, amount: 0, date: null, traceNumber: null, payerName: null, payerId: null, payeeNpi: null, claims: []
+      };
+      let entity = null;
+      let claim = null;
+      let line = null;
+
+      for (const segment of set.segments) {
+        switch (segment.id) {
+          case 'BPR':
+            payment.amount = this.number(segment.el(2));
+            payment.method = segment.el(4) || null;
+            payment.date = fromX12Date(segment.el(16));
+            break;
+          case 'TRN':
+            payment.traceNumber = segment.el(2) || null;
+            break;
+          case 'N1':
+            entity = segment.el(1);
+            if (entity === 'PR') {
+              payment.payerName = segment.el(2) || null;
+              payment.payerId = payment.payerId || segment.el(4) || null;
+            }
+            if (entity === 'PE' && segment.el(3) === 'XX') payment.payeeNpi = segment.el(4);
+            break;
+          case 'REF':
+            if (line && segment.el(1) === '6R') line.lineControl = segment.el(2);
+            // REF*2U payer identification overrides the N1 identifier
+            if (!claim && entity === 'PR' && segment.el(1) === '2U') payment.payerId = segment.el(2);
+            break;
+          case 'CLP':
+            claim = {
+              patientControlNumber: segment.el(1),
+              statusCode: segment.el(2),
+              chargeAmount: this.number(segment.el(3)),
+              paidAmount: this.number(segment.el(4)),
+              patientResponsibility: this.number(segment.el(5)),
+              payerClaimNumber: segment.el(7) || null,
+              patientName: null,
+              memberId: null,
+              adjustments: [],
+              remarks: [],
+              lines: []
+            };
+            line = null;
+            payment.claims.push(claim);
+            break;
+          case 'CAS':
+            if (line || claim) (line || claim).adjustments.push(...this.parseCAS(segment));
+            break;
+          case 'NM1':
+            if (claim && segment.el(1) === 'QC') {
+              claim.patientName = [segment.el(4), segment.el(3)].filter(Boolean).join(' ') || null;
+              claim.memberId = segment.el(9) || null;
+            }
+            if (claim && segment.el(1) === 'IL' && !claim.memberId) claim.memberId = segment.el(9) || null;
+            break;
+          case 'MOA':
+            if (claim) claim.remarks.push(...[3, 4, 5, 6, 7].map(position => segment.el(position)).filter(Boolean));
+            break;
+          case 'MIA':
+            if (claim) claim.remarks.push(...[5, 20, 21, 22, 23].map(position => segment.el(position)).filter(Boolean));
+            break;
+          case 'SVC': {
+            if (!claim) break;
+            const procedure = segment.components(1);
+            line = {
+              cptCode: procedure[1] || null,
+              modifiers: procedure.slice(2, 6).filter(Boolean),
+              chargeAmount: this.number(segment.el(2)),
+              paidAmount: this.number(segment.el(3)),
+              units: segment.el(5) ? Number(segment.el(5)) : 1,
+              lineControl: null,
+              serviceDate: null,
+              adjustments: [],
+              remarks: []
+            };
+            claim.lines.push(line);
+            break;
+          }
+          case 'DTM':
+            if (line && ['472', '150'].includes(segment.el(1))) line.serviceDate = fromX12Date(segment.el(2));
+            break;
+          case 'LQ':
+            if (line && segment.el(1) === 'HE') line.remarks.push(segment.el(2));
+            break;
+          default:
+            break;
+        }
+      }
+      return payment;
+    });
+  }
+
+  /**
+   * CAS adjustments: a group code followed by up to six reason/amount/quantity triplets
+   * @returns {Array} [{ group, reason, amount, quantity }]
+   */
+  parseCAS(segment) {
+    const adjustments = [];
+    for (let index = 0; index < 6; index += 1) {
+      const reason = segment.el(2 + index * 3);
+      if (!reason) continue;
+      adjustments.push({
+        group: segment.el(1),
+        reason,
+        amount: this.number(segment.el(3 + index * 3)),
+        quantity: segment.el(4 + index * 3) ? Number(segment.el(4 + index * 3)) : null
+      });
+    }
+    return adjustments;
+  }
+
+  describeAdjustments(adjustments) {
+    return [...new Set(adjustments
+      .filter(adjustment => adjustment.group !== PATIENT_RESPONSIBILITY)
+      .map(adjustment => `${adjustment.group}-${adjustment.reason}${ADJUSTMENT_REASONS[adjustment.reason] ? ` ${ADJUSTMENT_REASONS[adjustment.reason]}` : ''}`))]
+      .join('; ');
+  }
+
+  number(value) {
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : 0;
+  }
+}
+
+export default new RemittanceService();
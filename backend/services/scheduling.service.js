@@ -0,0 +1,589 @@
+// Scheduling Service
+// Provider availability: appointment types and their durations, weekly schedule templates (session, lunch and
+// admin blocks), date-specific exceptions such as vacation, and the open slots computed from them minus booked
+// appointments, and conflict detection for bookings (provider time within the appointment type's overbooking
+// allowance, rooms and patients). Template times are clinic local time (the server's time zone).
+import pool from '../db/index.js';
+
+export const BLOCK_TYPES = ['session', 'lunch', 'admin'];
+export const EXCEPTION_TYPES = ['unavailable', 'available'];
+
+// Appointments in these statuses no longer hold their time
+export const INACTIVE_APPOINTMENT_STATUSES = ['cancelled', 'noshow'];
+
+const DEFAULT_DURATION_MINUTES = 15;
+const DEFAULT_INTERVAL_MINUTES = 15;
+const MAX_SLOT_DAYS = 31;
+
+/**
+ * Scheduling error with an HTTP status for the routes
+ */
+export class SchedulingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SchedulingError';
+    this.status = status;
+  }
+}
+
+/**
+ * Booking rejected because it overlaps other appointments; conflicts are returned with the 409
+ */
+export class SchedulingConflictError extends SchedulingError {
+  constructor(conflicts) {
+    super('Appointment conflicts with existing bookings', 409);
+    this.name = 'SchedulingConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+class SchedulingService {
+  /* ---------- Appointment types ---------- */
+
+  /**
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Appointment types with durations
+   */
+  async listAppointmentTypes({ includeInactive = false } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM appointment_types
+      WHERE $1::boolean OR active = true
+      ORDER BY name
+    `, [includeInactive]);
+    return result.rows.map(row => this.formatAppointmentType(row));
+  }
+
+  /**
+   * @param {string} code - Appointment type code (appointments.type)
+   * @returns {Promise<Object|null>} Appointment type
+   */
+  async getAppointmentType(code) {
+    if (!code) return null;
+    const result = await pool.query('SELECT * FROM appointment_types WHERE code = $1', [code]);
+    return result.rows[0] ? this.formatAppointmentType(result.rows[0]) : null;
+  }
+
+  /**
+   * Change an appointment type's default duration, overbooking allowance or availability
+   * @param {number} typeId - Appointment type ID
+   * @param {Object} data - { name, durationMinutes, maxOverbook (extra concurrent provider bookings), active }
+   * @returns {Promise<Object>} Appointment type
+   */
+  async updateAppointmentType(typeId, data) {
+    if (data.durationMinutes != null
+      && (!Number.isInteger(data.durationMinutes) || data.durationMinutes < 1 || data.durationMinutes > 480)) {
+      throw new SchedulingError('durationMinutes must be between 1 and 480', 422);
+    }
+    if (data.maxOverbook != null && (!Number.isInteger(data.maxOverbook) || data.maxOverbook < 0 || data.maxOverbook > 10)) {
+      throw new SchedulingError('maxOverbook must be between 0 and 10', 422);
+    }
+
+    const result = await pool.query(`
+      UPDATE appointment_types SET
+        name = COALESCE($2, name),
+        duration_minutes = COALESCE($3, duration_minutes),
+        max_overbook = COALESCE($4, max_overbook),
+        active = COALESCE($5, active),
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [typeId, data.name || null, data.durationMinutes ?? null, data.maxOverbook ?? null, data.active ?? null]);
+
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Appointment type not found', 404);
+    }
+    return this.formatAppointmentType(result.rows[0]);
+  }
+
+  /* ---------- Templates ---------- */
+
+  /**
+   * Weekly schedule blocks for a provider
+   * @param {number} providerId - Provider ID
+   * @returns {Promise<Array>} Blocks ordered by day and time
+   */
+  async listTemplates(providerId) {
+    const result = await pool.query(`
+      SELECT * FROM provider_schedule_templates
+      WHERE provider_id = $1
+      ORDER BY day_of_week, start_time, id
+    `, [providerId]);
+    return result.rows.map(row => this.formatTemplate(row));
+  }
+
+  /**
+   * Add or update a weekly block
+   * @param {number} providerId - Provider ID
+   * @param {Object} data - { dayOfWeek (0 = Sunday), startTime, endTime (HH:MM), blockType, appointmentTypes,
+   *   slotIntervalMinutes, effectiveFrom, effectiveTo, label, active }
+   * @param {Object} options - { templateId (update), userId }
+   * @returns {Promise<Object>} Block
+   */
+  async saveTemplate(providerId, data, { templateId = null, userId = null } = {}) {
+    const dayOfWeek = Number(data.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new SchedulingError('dayOfWeek must be 0 (Sunday) to 6 (Saturday)', 422);
+    }
+    const startTime = this.parseTime(data.startTime, 'startTime');
+    const endTime = this.parseTime(data.endTime, 'endTime');
+    if (endTime <= startTime) {
+      throw new SchedulingError('endTime must be after startTime', 422);
+    }
+    const blockType = data.blockType || 'session';
+    if (!BLOCK_TYPES.includes(blockType)) {
+      throw new SchedulingError(`blockType must be one of ${BLOCK_TYPES.join(', ')}`, 422);
+    }
+    const interval = Number(data.slotIntervalMinutes ?? DEFAULT_INTERVAL_MINUTES);
+    if (!Number.isInteger(interval) || interval < 5 || interval > 240) {
+      throw new SchedulingError('slotIntervalMinutes must be between 5 and 240', 422);
+    }
+    if (data.effectiveFrom && data.effectiveTo && data.effectiveTo < data.effectiveFrom) {
+      throw new SchedulingError('effectiveTo must not be before effectiveFrom', 422);
+    }
+    const appointmentTypes = data.appointmentTypes?.length ? await this.checkTypeCodes(data.appointmentTypes) : null;
+
+    const values = [
+      providerId, dayOfWeek, this.formatTime(startTime), this.formatTime(endTime), blockType,
+      blockType === 'session' ? appointmentTypes : null, interval, data.effectiveFrom || null,
+      data.effectiveTo || null, data.label || null, data.active ?? true
+    ];
+
+    const result = templateId
+      ? await pool.query(`
+          UPDATE provider_schedule_templates SET
+            day_of_week = $2, start_time = $3, end_time = $4, block_type = $5, appointment_types = $6,
+            slot_interval_minutes = $7, effective_from = $8, effective_to = $9, label = $10, active = $11,
+            updated_at = NOW()
+          WHERE id = $12 AND provider_id = $1
+          RETURNING *
+        `, [...values, templateId])
+      : await pool.query(`
+          INSERT INTO provider_schedule_templates (
+            provider_id, day_of_week, start_time, end_time, block_type, appointment_types, slot_interval_minutes,
+            effective_from, effective_to, label, active, created_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `, [...values, userId]);
+
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Schedule block not found', 404);
+    }
+    return this.formatTemplate(result.rows[0]);
+  }
+
+  /**
+   * @param {number} templateId - Block ID
+   */
+  async removeTemplate(templateId) {
+    const result = await pool.query('DELETE FROM provider_schedule_templates WHERE id = $1 RETURNING id', [templateId]);
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Schedule block not found', 404);
+    }
+  }
+
+  /* ---------- Exceptions ---------- */
+
+  /**
+   * Date-specific exceptions for a provider
+   * @param {number} providerId - Provider ID
+   * @param {Object} range - { from, to } (YYYY-MM-DD)
+   * @returns {Promise<Array>} Exceptions
+   */
+  async listExceptions(providerId, { from = null, to = null } = {}) {
+    const result = await pool.query(`
+      SELECT * FROM provider_schedule_exceptions
+      WHERE provider_id = $1
+        AND ($2::date IS NULL OR end_date >= $2::date)
+        AND ($3::date IS NULL OR start_date <= $3::date)
+      ORDER BY start_date, start_time NULLS FIRST, id
+    `, [providerId, from, to]);
+    return result.rows.map(row => this.formatException(row));
+  }
+
+  /**
+   * Add an exception: vacation or other unavailable time (whole days when no times are given), or an extra session
+   * @param {number} providerId - Provider ID
+   * @param {Object} data - { exceptionType, startDate, endDate, startTime, endTime, reason }
+   * @param {number} userId - User adding it
+   * @returns {Promise<Object>} Exception
+   */
+  async saveException(providerId, data, userId = null) {
+    const exceptionType = data.exceptionType || 'unavailable';
+    if (!EXCEPTION_TYPES.includes(exceptionType)) {
+      throw new SchedulingError(`exceptionType must be one of ${EXCEPTION_TYPES.join(', ')}`, 422);
+    }
+    const startDate = this.parseDate(data.startDate, 'startDate');
+    const endDate = data.endDate ? this.parseDate(data.endDate, 'endDate') : startDate;
+    if (endDate < startDate) {
+      throw new SchedulingError('endDate must not be before startDate', 422);
+    }
+
+    let startTime = null;
+    let endTime = null;
+    if (data.startTime || data.endTime) {
+      startTime = this.parseTime(data.startTime, 'startTime');
+      endTime = this.parseTime(data.endTime, 'endTime');
+      if (endTime <= startTime) {
+        throw new SchedulingError('endTime must be after startTime', 422);
+      }
+    } else if (exceptionType === 'available') {
+      throw new SchedulingError('An available exception needs startTime and endTime', 422);
+    }
+
+    const result = await pool.query(`
+      INSERT INTO provider_schedule_exceptions (
+        provider_id, exception_type, start_date, end_date, start_time, end_time, reason, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      providerId, exceptionType, startDate, endDate, startTime === null ? null : this.formatTime(startTime),
+      endTime === null ? null : this.formatTime(endTime), data.reason || null, userId
+    ]);
+    return this.formatException(result.rows[0]);
+  }
+
+  /**
+   * @param {number} exceptionId - Exception ID
+   */
+  async removeException(exceptionId) {
+    const result = await pool.query('DELETE FROM provider_schedule_exceptions WHERE id = $1 RETURNING id', [exceptionId]);
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Schedule exception not found', 404);
+    }
+  }
+
+  /* ---------- Slots ---------- */
+
+  /**
+   * Open slots for a provider: template sessions and available exceptions, minus lunch/admin blocks, unavailable
+   * exceptions and booked appointments
+   * @param {Object} params - { providerId, date (YYYY-MM-DD), days, type (appointment type code), duration (minutes,
+   *   overrides the type's), excludeAppointmentId (an appointment being rescheduled), now }
+   * @returns {Promise<Object>} { providerId, type, duration, slots: [{ start, end }] }
+   */
+  async getSlots({ providerId, date, days = 1, type = null, duration = null, excludeAppointmentId = null, now = new Date() }) {
+    const firstDate = this.parseDate(date, 'date');
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SLOT_DAYS) {
+      throw new SchedulingError(`days must be between 1 and ${MAX_SLOT_DAYS}`, 422);
+    }
+
+    const appointmentType = type ? await this.getAppointmentType(type) : null;
+    if (type && !appointmentType) {
+      throw new SchedulingError(`Unknown appointment type ${type}`, 422);
+    }
+    const minutes = duration || (appointmentType?.durationMinutes ?? DEFAULT_DURATION_MINUTES);
+
+    const dates = Array.from({ length: days }, (_, index) => this.addDays(firstDate, index));
+    const lastDate = dates[dates.length - 1];
+    const [templates, exceptions, appointments] = await Promise.all([
+      pool.query(`
+        SELECT * FROM provider_schedule_templates
+        WHERE provider_id = $1 AND active = true
+          AND (effective_from IS NULL OR effective_from <= $3::date)
+          AND (effective_to IS NULL OR effective_to >= $2::date)
+      `, [providerId, firstDate, lastDate]),
+      pool.query(`
+        SELECT * FROM provider_schedule_exceptions
+        WHERE provider_id = $1 AND end_date >= $2::date AND start_date <= $3::date
+      `, [providerId, firstDate, lastDate]),
+      pool.query(`
+        SELECT id, start_ts, end_ts FROM appointments
+        WHERE provider_id = $1
+          AND start_ts < $3 AND end_ts > $2
+          AND status <> ALL($4)
+          AND ($5::int IS NULL OR id <> $5)
+      `, [
+        providerId, this.localTime(firstDate, 0), this.localTime(this.addDays(lastDate, 1), 0),
+        INACTIVE_APPOINTMENT_STATUSES, excludeAppointmentId
+      ])
+    ]);
+
+    return {
+      providerId,
+      type,
+      duration: minutes,
+      slots: this.computeSlots({
+        dates,
+        templates: templates.rows.map(row => this.formatTemplate(row)),
+        exceptions: exceptions.rows.map(row => this.formatException(row)),
+        appointments: appointments.rows,
+        duration: minutes,
+        type,
+        maxOverbook: appointmentType?.maxOverbook ?? 0,
+        now
+      })
+    };
+  }
+
+  /**
+   * Slot arithmetic behind getSlots
+   * @param {Object} params - { dates (YYYY-MM-DD), templates, exceptions (formatted), appointments (start_ts/end_ts),
+   *   duration, type, maxOverbook (appointments a slot may overlap), now }
+   * @returns {Array} [{ start, end }] ISO timestamps, in order
+   */
+  computeSlots({ dates, templates, exceptions, appointments, duration, type = null, maxOverbook = 0, now = new Date() }) {
+    const busy = appointments.map(appt => [new Date(appt.start_ts).getTime(), new Date(appt.end_ts).getTime()]);
+    const slots = new Map();
+
+    for (const date of dates) {
+      const dayOfWeek = new Date(`${date}T00:00:00`).getDay();
+      const onDate = block =>
+        (!block.effectiveFrom || block.effectiveFrom <= date) && (!block.effectiveTo || block.effectiveTo >= date);
+      const todays = templates.filter(block => block.dayOfWeek === dayOfWeek && onDate(block));
+      const exceptionsToday = exceptions.filter(exception => exception.startDate <= date && exception.endDate >= date);
+
+      const sessions = [
+        ...todays.filter(block => block.blockType === 'session'
+          && (!type || !block.appointmentTypes || block.appointmentTypes.includes(type))),
+        ...exceptionsToday
+          .filter(exception => exception.exceptionType === 'available')
+          .map(exception => ({ ...exception, slotIntervalMinutes: DEFAULT_INTERVAL_MINUTES }))
+      ];
+      const blocked = [
+        ...todays.filter(block => block.blockType !== 'session'),
+        ...exceptionsToday.filter(exception => exception.exceptionType === 'unavailable')
+      ].map(block => (block.startTime
+        ? [this.localTime(date, this.parseTime(block.startTime)), this.localTime(date, this.parseTime(block.endTime))]
+        : [this.localTime(date, 0), this.localTime(this.addDays(date, 1), 0)]
+      ).map(time => time.getTime()));
+
+      for (const session of sessions) {
+        const sessionEnd = this.parseTime(session.endTime);
+        const interval = session.slotIntervalMinutes || DEFAULT_INTERVAL_MINUTES;
+
+        for (let minute = this.parseTime(session.startTime); minute + duration <= sessionEnd; minute += interval) {
+          const start = this.localTime(date, minute).getTime();
+          const end = start + duration * 60 * 1000;
+          if (start < now.getTime()) continue;
+          if (blocked.some(([from, to]) => start < to && end > from)) continue;
+          if (busy.filter(([from, to]) => start < to && end > from).length > maxOverbook) continue;
+          slots.set(start, { start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+        }
+      }
+    }
+
+    return [...slots.keys()].sort((a, b) => a - b).map(key => slots.get(key));
+  }
+
+  /* ---------- Conflicts ---------- */
+
+  /**
+   * Appointments a booking would clash with: provider time beyond the appointment type's overbooking allowance,
+   * the same room, or the same patient
+   * @param {Object} booking - { appointmentId (when rescheduling), providerId, patientId, room, start, end, type }
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Array>} [{ kind (provider|room|patient), message, appointmentId, start, end, providerId,
+   *   providerName, patientId, patientName, room, type, title }]
+   */
+  async findConflicts(booking, db = pool) {
+    const start = new Date(booking.start);
+    const end = new Date(booking.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new SchedulingError('start and end must be ISO timestamps');
+    }
+    if (end <= start) {
+      throw new SchedulingError('end must be after start');
+    }
+    const room = booking.room?.trim() || null;
+
+    const result = await db.query(`
+      SELECT a.id, a.provider_id, a.patient_id, a.start_ts, a.end_ts, a.room, a.type, a.title,
+             pv.first_name AS provider_first_name, pv.last_name AS provider_last_name,
+             pt.first_name AS patient_first_name, pt.last_name AS patient_last_name,
+             ty.max_overbook
+      FROM appointments a
+      LEFT JOIN providers pv ON pv.id = a.provider_id
+      LEFT JOIN patients pt ON pt.id = a.patient_id
+      LEFT JOIN appointment_types ty ON ty.code = $7
+      WHERE a.start_ts < $2 AND a.end_ts > $1
+        AND a.status <> ALL($6)
+        AND ($8::int IS NULL OR a.id <> $8)
+        AND (a.provider_id = $3 OR a.patient_id = $4 OR ($5::text IS NOT NULL AND lower(trim(a.room)) = lower($5)))
+      ORDER BY a.start_ts, a.id
+    `, [
+      start, end, booking.providerId, booking.patientId ?? null, room, INACTIVE_APPOINTMENT_STATUSES,
+      booking.type ?? null, booking.appointmentId ?? null
+    ]);
+
+    const name = (first, last) => `${first ?? ''} ${last ?? ''}`.replace(/\s+/g, ' ').trim() || null;
+    const conflict = (kind, row, message) => ({
+      kind,
+      message,
+      appointmentId: row.id,
+      start: new Date(row.start_ts).toISOString(),
+      end: new Date(row.end_ts).toISOString(),
+      providerId: row.provider_id,
+      providerName: name(row.provider_first_name, row.provider_last_name),
+      patientId: row.patient_id,
+      patientName: name(row.patient_first_name, row.patient_last_name),
+      room: row.room,
+      type: row.type,
+      title: row.title
+    });
+
+    const providerRows = result.rows.filter(row => row.provider_id === booking.providerId);
+    const maxOverbook = result.rows[0]?.max_overbook ?? 0;
+    const conflicts = [];
+    if (providerRows.length > maxOverbook) {
+      const allowance = maxOverbook > 0 ? ` (${booking.type} allows ${maxOverbook} overbooked)` : '';
+      conflicts.push(...providerRows.map(row => conflict('provider', row, `Provider is already booked${allowance}`)));
+    }
+    for (const row of result.rows) {
+      if (room && row.room?.trim().toLowerCase() === room.toLowerCase()) {
+        conflicts.push(conflict('room', row, `${row.room} is already in use`));
+      }
+      if (booking.patientId != null && row.patient_id === booking.patientId) {
+        conflicts.push(conflict('patient', row, 'Patient already has an appointment at this time'));
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Write a booking only if it has no conflicts
+   * @param {Object} booking - As for findConflicts
+   * @param {Function} write - async (client) => result, run in the same transaction
+   * @returns {Promise<*>} What write returns
+   * @throws {SchedulingConflictError} With the conflicts
+   */
+  async withConflictCheck(booking, write) {
+    return this.withBookingLock(async (client) => {
+      const conflicts = await this.findConflicts(booking, client);
+      if (conflicts.length > 0) {
+        throw new SchedulingConflictError(conflicts);
+      }
+      return write(client);
+    });
+  }
+
+  /**
+   * Run booking changes in a transaction holding the bookings advisory lock, so two desks cannot take the same
+   * time at once
+   * @param {Function} work - async (client) => result
+   * @returns {Promise<*>} What work returns; the transaction is rolled back if it throws
+   */
+  async withBookingLock(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('appointment_bookings'))");
+
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /* ---------- Helpers ---------- */
+
+  async checkTypeCodes(codes) {
+    const result = await pool.query('SELECT code FROM appointment_types WHERE code = ANY($1)', [codes]);
+    const known = new Set(result.rows.map(row => row.code));
+    const unknown = codes.filter(code => !known.has(code));
+    if (unknown.length > 0) {
+      throw new SchedulingError(`Unknown appointment type ${unknown.join(', ')}`, 422);
+    }
+    return codes;
+  }
+
+  /**
+   * Minutes after midnight for HH:MM[:SS]
+   */
+  parseTime(value, field = 'time') {
+    const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value ?? ''));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) > 0)) {
+      throw new SchedulingError(`${field} must be a time (HH:MM)`, 422);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  parseDate(value, field = 'date') {
+    const date = this.dateOnly(value);
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) {
+      throw new SchedulingError(`${field} must be a date (YYYY-MM-DD)`, 422);
+    }
+    return date;
+  }
+
+  addDays(date, days) {
+    const next = new Date(`${date}T00:00:00`);
+    next.setDate(next.getDate() + days);
+    return this.dateOnly(next);
+  }
+
+  /**
+   * Local date and time as a Date
+   * @param {string} date - YYYY-MM-DD
+   * @param {number} minutes - Minutes after midnight
+   */
+  localTime(date, minutes) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  }
+
+  dateOnly(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return value.slice(0, 10);
+    // pg returns DATE columns as local midnight
+    const date = new Date(value);
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /* ---------- Formatting ---------- */
+
+  formatAppointmentType(row) {
+    return {
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      durationMinutes: row.duration_minutes,
+      maxOverbook: row.max_overbook ?? 0,
+      active: row.active
+    };
+  }
+
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      providerId: row.provider_id,
+      dayOfWeek: row.day_of_week,
+      startTime: row.start_time?.slice(0, 5),
+      endTime: row.end_time?.slice(0, 5),
+      blockType: row.block_type,
+      appointmentTypes: row.appointment_types,
+      slotIntervalMinutes: row.slot_interval_minutes,
+      effectiveFrom: this.dateOnly(row.effective_from),
+      effectiveTo: this.dateOnly(row.effective_to),
+      label: row.label,
+      active: row.active
+    };
+  }
+
+  formatException(row) {
+    return {
+      id: row.id,
+      providerId: row.provider_id,
+      exceptionType: row.exception_type,
+      startDate: this.dateOnly(row.start_date),
+      endDate: this.dateOnly(row.end_date),
+      startTime: row.start_time?.slice(0, 5) ?? null,
+      endTime: row.end_time?.slice(0, 5) ?? null,
+      reason: row.reason
+    };
+  }
+}
+
+export default new SchedulingService();
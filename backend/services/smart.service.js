@@ -0,0 +1,518 @@
+// SMART on FHIR Service
+// OAuth2 authorization server for the SMART App Launch framework: app registry, EHR launch
+// contexts, authorization codes (PKCE) and the scoped access tokens the FHIR API accepts
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import pool from '../db/index.js';
+import auditService from './audit.service.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const ACCESS_TOKEN_SECONDS = 60 * 60;
+const LAUNCH_TTL_MINUTES = 5;
+const CODE_TTL_SECONDS = 120;
+const ORIGIN_CACHE_MS = 60 * 1000;
+
+// Resource types served by the FHIR API; SMART tokens can reach nothing else
+export const SMART_RESOURCES = [
+  'Patient', 'Encounter', 'Observation', 'AllergyIntolerance', 'MedicationRequest', 'MedicationStatement', 'Condition'
+];
+
+// Context scopes (no resource access of their own)
+const CONTEXT_SCOPES = ['launch', 'launch/patient', 'launch/encounter'];
+
+// patient/Observation.read (v1) or patient/Observation.rs (v2)
+const RESOURCE_SCOPE = /^(patient|user)\/(\*|[A-Za-z]+)\.(read|write|\*|c?r?u?d?s?)$/;
+
+/**
+ * OAuth2 error; the routes send { error, error_description } or redirect it to the app
+ */
+export class SMARTError extends Error {
+  constructor(error, description, status = 400) {
+    super(description);
+    this.name = 'SMARTError';
+    this.error = error;
+    this.status = status;
+  }
+}
+
+class SMARTService {
+  constructor() {
+    this.originCache = { origins: null, loadedAt: 0 };
+  }
+
+  /**
+   * SMART configuration document (.well-known/smart-configuration)
+   * @param {string} fhirBaseUrl - FHIR base URL (the token audience and issuer)
+   * @param {string} apiBaseUrl - API base URL the OAuth endpoints live under
+   * @returns {Object} Discovery document
+   */
+  getConfiguration(fhirBaseUrl, apiBaseUrl) {
+    return {
+      issuer: fhirBaseUrl,
+      authorization_endpoint: `${apiBaseUrl}/smart/authorize`,
+      token_endpoint: `${apiBaseUrl}/smart/token`,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      grant_types_supported: ['authorization_code'],
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: [
+        ...CONTEXT_SCOPES,
+        'patient/*.read', 'patient/*.rs', 'user/*.read', 'user/*.rs',
+        ...SMART_RESOURCES.flatMap(type => [`patient/${type}.read`, `user/${type}.read`])
+      ],
+      capabilities: [
+        'launch-ehr',
+        'client-public',
+        'client-confidential-symmetric',
+        'context-ehr-patient',
+        'context-ehr-encounter',
+        'context-banner',
+        'permission-patient',
+        'permission-user',
+        'permission-v1',
+        'permission-v2'
+      ]
+    };
+  }
+
+  /* ---------- App registry ---------- */
+
+  /**
+   * Register a SMART app
+   * @param {Object} client - { name, launchUrl, redirectUris, scopes, confidential }
+   * @param {number} userId - Registering admin
+   * @returns {Object} Client row plus client_secret (confidential clients; shown once)
+   */
+  async registerClient({ name, launchUrl, redirectUris, scopes, confidential = false }, userId) {
+    if (!name || !launchUrl) {
+      throw new SMARTError('invalid_client_metadata', 'name and launchUrl are required');
+    }
+    const uris = Array.isArray(redirectUris) ? redirectUris.filter(Boolean) : [];
+    if (uris.length === 0) {
+      throw new SMARTError('invalid_redirect_uri', 'At least one redirect URI is required');
+    }
+    for (const uri of [launchUrl, ...uris]) {
+      if (!this.isAbsoluteUrl(uri)) {
+        throw new SMARTError('invalid_redirect_uri', `${uri} is not an absolute http(s) URL`);
+      }
+    }
+
+    const requested = this.parseScopes(scopes);
+    const invalid = requested.filter(scope => !CONTEXT_SCOPES.includes(scope) && !this.parseResourceScope(scope));
+    if (requested.length === 0 || invalid.length > 0) {
+      throw new SMARTError('invalid_scope', invalid.length ? `Unsupported scopes: ${invalid.join(' ')}` : 'At least one scope is required');
+    }
+
+    const clientId = crypto.randomUUID();
+    const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null;
+
+    try {
+      const result = await pool.query(`
+        INSERT INTO smart_clients (client_id, name, launch_url, redirect_uris, scopes, client_secret_hash, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, client_id, name, launch_url, redirect_uris, scopes, active, created_at
+      `, [clientId, name, launchUrl, uris, requested.join(' '), clientSecret ? await bcrypt.hash(clientSecret, 10) : null, userId]);
+
+      this.originCache.loadedAt = 0;
+      return { ...result.rows[0], confidential, ...(clientSecret && { client_secret: clientSecret }) };
+    } catch (error) {
+      console.error('[SMART] Error registering client:', error);
+      throw new Error(`Failed to register SMART app: ${error.message}`);
+    }
+  }
+
+  /**
+   * List registered apps
+   * @param {Object} options - { activeOnly }
+   * @returns {Array} Clients (secret hashes are never returned)
+   */
+  async listClients({ activeOnly = false } = {}) {
+    try {
+      const result = await pool.query(`
+        SELECT id, client_id, name, launch_url, redirect_uris, scopes, active,
+               client_secret_hash IS NOT NULL AS confidential, created_at, updated_at
+        FROM smart_clients
+        ${activeOnly ? 'WHERE active = true' : ''}
+        ORDER BY name
+      `);
+      return result.rows;
+    } catch (error) {
+      console.error('[SMART] Error listing clients:', error);
+      throw new Error(`Failed to list SMART apps: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enable or disable an app
+   * @param {string} clientId - Client ID
+   * @param {boolean} active - New state
+   * @returns {Object} Updated client
+   */
+  async setClientActive(clientId, active) {
+    const result = await pool.query(`
+      UPDATE smart_clients SET active = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE client_id = $1
+      RETURNING id, client_id, name, launch_url, redirect_uris, scopes, active
+    `, [clientId, Boolean(active)]);
+
+    if (result.rows.length === 0) {
+      throw new SMARTError('invalid_client', `SMART app ${clientId} not found`, 404);
+    }
+    this.originCache.loadedAt = 0;
+    return result.rows[0];
+  }
+
+  /**
+   * Whether a browser origin belongs to a registered app (CORS for apps calling the FHIR API)
+   * @param {string} origin - Origin header
+   * @returns {Promise<boolean>}
+   */
+  async isRegisteredOrigin(origin) {
+    if (!this.originCache.origins || Date.now() - this.originCache.loadedAt > ORIGIN_CACHE_MS) {
+      const result = await pool.query('SELECT launch_url, redirect_uris FROM smart_clients WHERE active = true');
+      const origins = new Set();
+      for (const row of result.rows) {
+        for (const url of [row.launch_url, ...row.redirect_uris]) {
+          try {
+            origins.add(new URL(url).origin);
+          } catch {
+            // Validated on registration; skip anything unparsable
+          }
+        }
+      }
+      this.originCache = { origins, loadedAt: Date.now() };
+    }
+    return this.originCache.origins.has(origin);
+  }
+
+  /* ---------- EHR launch ---------- */
+
+  /**
+   * Create an EHR launch context for an app opened from the chart or encounter screen
+   * @param {Object} user - Authenticated EHR user (req.user)
+   * @param {Object} context - { clientId, patientId, encounterId }
+   * @param {string} fhirBaseUrl - iss parameter for the app
+   * @returns {Object} { launch, launchUrl, iss }
+   */
+  async createLaunch(user, { clientId, patientId = null, encounterId = null }, fhirBaseUrl) {
+    const client = await this.findClient(clientId);
+    if (!client) {
+      throw new SMARTError('invalid_client', 'Unknown or disabled SMART app', 404);
+    }
+
+    if (patientId) {
+      const patient = await pool.query('SELECT id, merged_into_patient_id FROM patients WHERE id = $1', [patientId]);
+      if (patient.rows.length === 0) {
+        throw new SMARTError('invalid_request', `Patient ${patientId} not found`, 404);
+      }
+      if (patient.rows[0].merged_into_patient_id) {
+        throw new SMARTError('invalid_request', `Patient ${patientId} was merged into ${patient.rows[0].merged_into_patient_id}`, 409);
+      }
+    }
+
+    if (encounterId) {
+      const encounter = await pool.query('SELECT id, patient_id FROM encounters WHERE id = $1', [encounterId]);
+      if (encounter.rows.length === 0 || (patientId && encounter.rows[0].patient_id !== Number(patientId))) {
+        throw new SMARTError('invalid_request', `Encounter ${encounterId} does not belong to patient ${patientId}`);
+      }
+      patientId = patientId || encounter.rows[0].patient_id;
+    }
+
+    // Login tokens carry userId; older tokens carry id
+    const userId = user.userId ?? user.id;
+    const launchId = crypto.randomBytes(24).toString('base64url');
+    await pool.query(`
+      INSERT INTO smart_launches (launch_id, client_id, user_id, patient_id, encounter_id, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + INTERVAL '${LAUNCH_TTL_MINUTES} minutes')
+    `, [launchId, client.client_id, userId, patientId, encounterId]);
+
+    if (patientId) {
+      await auditService.logPHIAccess(
+        userId,
+        'smart_launches',
+        null,
+        'smart_launch',
+        `Launched SMART app ${client.name} (${client.client_id})${encounterId ? ` in encounter ${encounterId}` : ''}`,
+        { patientId }
+      );
+    }
+
+    const launchUrl = new URL(client.launch_url);
+    launchUrl.searchParams.set('iss', fhirBaseUrl);
+    launchUrl.searchParams.set('launch', launchId);
+
+    return { launch: launchId, launchUrl: launchUrl.toString(), iss: fhirBaseUrl };
+  }
+
+  /* ---------- Authorization code grant ---------- */
+
+  /**
+   * Validate the client and redirect URI before anything is redirected back to the app
+   * @param {Object} params - Authorization request query
+   * @returns {Object} smart_clients row
+   */
+  async validateRedirect({ client_id: clientId, redirect_uri: redirectUri }) {
+    const client = clientId ? await this.findClient(clientId) : null;
+    if (!client) {
+      throw new SMARTError('invalid_client', 'Unknown or disabled client_id');
+    }
+    if (!redirectUri || !client.redirect_uris.includes(redirectUri)) {
+      throw new SMARTError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+    return client;
+  }
+
+  /**
+   * Handle an authorization request from an EHR-launched app
+   * The clinician approved the app by launching it, so a valid launch context authorizes the request.
+   * @param {Object} client - Validated client (validateRedirect)
+   * @param {Object} params - Authorization request query
+   * @param {string} fhirBaseUrl - Expected aud
+   * @returns {string} Redirect URL carrying code and state
+   */
+  async authorize(client, params, fhirBaseUrl) {
+    if (params.response_type !== 'code') {
+      throw new SMARTError('unsupported_response_type', 'response_type must be code');
+    }
+    if (!params.aud || params.aud.replace(/\/$/, '') !== fhirBaseUrl) {
+      throw new SMARTError('invalid_request', `aud must be ${fhirBaseUrl}`);
+    }
+    if (!params.launch) {
+      throw new SMARTError('invalid_request', 'launch is required; apps must be launched from the EHR');
+    }
+    if (params.code_challenge_method && params.code_challenge_method !== 'S256') {
+      throw new SMARTError('invalid_request', 'Only the S256 code_challenge_method is supported');
+    }
+    if (!client.client_secret_hash && !params.code_challenge) {
+      throw new SMARTError('invalid_request', 'Public clients must use PKCE (code_challenge)');
+    }
+
+    // Redeem the launch once, for the app it was created for
+    const launchResult = await pool.query(`
+      UPDATE smart_launches SET used_at = CURRENT_TIMESTAMP
+      WHERE launch_id = $1 AND client_id = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `, [params.launch, client.client_id]);
+    const launch = launchResult.rows[0];
+    if (!launch) {
+      throw new SMARTError('invalid_request', 'Launch context is unknown, expired or already used');
+    }
+
+    const granted = this.grantScopes(this.parseScopes(params.scope), this.parseScopes(client.scopes));
+    if (granted.filter(scope => !CONTEXT_SCOPES.includes(scope)).length === 0) {
+      throw new SMARTError('invalid_scope', 'None of the requested scopes can be granted to this app');
+    }
+    if (granted.some(scope => scope.startsWith('patient/')) && !launch.patient_id) {
+      throw new SMARTError('invalid_scope', 'patient scopes need a launch with patient context');
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    await pool.query(`
+      INSERT INTO smart_authorization_codes (
+        code_hash, client_id, launch_id, user_id, redirect_uri, scope, patient_id, encounter_id,
+        code_challenge, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + INTERVAL '${CODE_TTL_SECONDS} seconds')
+    `, [
+      this.hash(code), client.client_id, launch.id, launch.user_id, params.redirect_uri, granted.join(' '),
+      launch.patient_id, launch.encounter_id, params.code_challenge || null
+    ]);
+
+    return this.redirectUrl(params.redirect_uri, { code, state: params.state });
+  }
+
+  /**
+   * Exchange an authorization code for an access token
+   * @param {Object} params - Token request body
+   * @param {Object} credentials - { clientId, clientSecret } from HTTP Basic, if sent
+   * @param {string} fhirBaseUrl - Token audience
+   * @returns {Object} OAuth2 token response with SMART launch context
+   */
+  async exchangeCode(params, credentials, fhirBaseUrl) {
+    if (params.grant_type !== 'authorization_code') {
+      throw new SMARTError('unsupported_grant_type', 'Only the authorization_code grant is supported');
+    }
+    if (!params.code) {
+      throw new SMARTError('invalid_request', 'code is required');
+    }
+
+    const clientId = credentials?.clientId || params.client_id;
+    const clientSecret = credentials?.clientSecret || params.client_secret || null;
+    const client = clientId ? await this.findClient(clientId) : null;
+    if (!client) {
+      throw new SMARTError('invalid_client', 'Unknown or disabled client', 401);
+    }
+    if (client.client_secret_hash && !(clientSecret && await bcrypt.compare(clientSecret, client.client_secret_hash))) {
+      throw new SMARTError('invalid_client', 'Client authentication failed', 401);
+    }
+
+    // Mark the code used in the same statement that reads it, so it can only be exchanged once
+    const codeResult = await pool.query(`
+      UPDATE smart_authorization_codes SET used_at = CURRENT_TIMESTAMP
+      WHERE code_hash = $1 AND used_at IS NULL
+      RETURNING *, expires_at > CURRENT_TIMESTAMP AS unexpired
+    `, [this.hash(params.code)]);
+    const grant = codeResult.rows[0];
+
+    if (!grant || !grant.unexpired || grant.client_id !== client.client_id) {
+      throw new SMARTError('invalid_grant', 'Authorization code is invalid, expired or already used');
+    }
+    if (grant.redirect_uri !== params.redirect_uri) {
+      throw new SMARTError('invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (grant.code_challenge) {
+      const verifier = params.code_verifier || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (!verifier || challenge !== grant.code_challenge) {
+        throw new SMARTError('invalid_grant', 'code_verifier does not match the code_challenge');
+      }
+    }
+
+    const userResult = await pool.query('SELECT id, email, role, active FROM users WHERE id = $1', [grant.user_id]);
+    const user = userResult.rows[0];
+    if (!user || user.active === false) {
+      throw new SMARTError('invalid_grant', 'The launching user is no longer active');
+    }
+
+    const scopes = this.parseScopes(grant.scope);
+    const withContext = scopes.includes('launch');
+    const context = {
+      ...(grant.patient_id && (withContext || scopes.includes('launch/patient')) && { patient: String(grant.patient_id) }),
+      ...(grant.encounter_id && (withContext || scopes.includes('launch/encounter')) && { encounter: String(grant.encounter_id) })
+    };
+
+    const accessToken = jwt.sign({
+      id: user.id,
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      token_use: 'smart',
+      client_id: client.client_id,
+      scope: grant.scope,
+      ...context
+    }, JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_SECONDS,
+      audience: fhirBaseUrl,
+      subject: String(user.id)
+    });
+
+    console.log(`[SMART] Issued access token to ${client.name} (${client.client_id}) for user ${user.id}`);
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_SECONDS,
+      scope: grant.scope,
+      ...context,
+      // The app is embedded in the encounter screen, which already shows the patient banner
+      need_patient_banner: false
+    };
+  }
+
+  /* ---------- Scopes ---------- */
+
+  parseScopes(scope) {
+    return [...new Set(String(scope || '').split(/\s+/).filter(Boolean))];
+  }
+
+  /**
+   * Split a resource scope into { level, type, read, search }
+   * @param {string} scope - e.g. patient/Observation.read or user/*.rs
+   * @returns {Object|null}
+   */
+  parseResourceScope(scope) {
+    const match = RESOURCE_SCOPE.exec(scope);
+    if (!match || match[3] === '') return null;
+    const [, level, type, permission] = match;
+    if (type !== '*' && !SMART_RESOURCES.includes(type)) return null;
+
+    const v1Read = permission === 'read' || permission === '*';
+    return {
+      level,
+      type,
+      read: v1Read || (permission !== 'write' && permission.includes('r')),
+      search: v1Read || permission.includes('s')
+    };
+  }
+
+  /**
+   * Requested scopes the app is registered for; a wildcard registration covers specific resource scopes
+   * @param {string[]} requested - Scopes in the authorization request
+   * @param {string[]} allowed - Scopes on the client registration
+   * @returns {string[]} Granted scopes
+   */
+  grantScopes(requested, allowed) {
+    return requested.filter(scope => {
+      if (allowed.includes(scope)) return true;
+      const wanted = this.parseResourceScope(scope);
+      if (!wanted) return false;
+      return allowed.some(candidate => {
+        const registered = this.parseResourceScope(candidate);
+        return registered && registered.level === wanted.level && registered.type === '*' &&
+          (!wanted.read || registered.read) && (!wanted.search || registered.search);
+      });
+    });
+  }
+
+  /**
+   * What a SMART token may do with a resource type
+   * @param {string[]} scopes - Granted scopes
+   * @param {string} resourceType - FHIR resource type
+   * @param {string} interaction - read or search
+   * @returns {Object|null} { patientOnly } or null when no scope allows it
+   */
+  scopeAccess(scopes, resourceType, interaction) {
+    const matching = scopes
+      .map(scope => this.parseResourceScope(scope))
+      .filter(scope => scope && (scope.type === '*' || scope.type === resourceType) && scope[interaction]);
+
+    if (matching.length === 0) return null;
+    return { patientOnly: !matching.some(scope => scope.level === 'user') };
+  }
+
+  /* ---------- Helpers ---------- */
+
+  async findClient(clientId) {
+    const result = await pool.query('SELECT * FROM smart_clients WHERE client_id = $1 AND active = true', [clientId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Parse HTTP Basic client credentials
+   * @param {string} header - Authorization header
+   * @returns {Object|null} { clientId, clientSecret }
+   */
+  parseBasicAuth(header) {
+    if (!header || !/^Basic /i.test(header)) return null;
+    const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  }
+
+  redirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+
+  isAbsoluteUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+export default new SMARTService();
@@ -0,0 +1,510 @@
+// Waitlist Service
+// Patients waiting for an appointment with a provider, of a type, within a date range and time-of-day preference.
+// When an appointment is cancelled its slot is offered to the matching patient with the highest priority (then the
+// longest wait) through a patient notification, and held for them for WAITLIST_HOLD_MINUTES. A declined or expired
+// offer moves on to the next match; an accepted one books the slot.
+import pool from '../db/index.js';
+import schedulingService, { SchedulingError } from './scheduling.service.js';
+import notificationService from './notification.service.js';
+
+export const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'removed'];
+export const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'expired', 'withdrawn'];
+
+const DEFAULT_HOLD_MINUTES = 30;
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+const ENTRY_SELECT = `
+  SELECT w.*,
+         pt.first_name AS patient_first_name, pt.last_name AS patient_last_name,
+         pv.first_name AS provider_first_name, pv.last_name AS provider_last_name,
+         o.id AS offer_id, o.start_ts AS offer_start, o.end_ts AS offer_end, o.expires_at AS offer_expires_at
+  FROM appointment_waitlist w
+  JOIN patients pt ON pt.id = w.patient_id
+  LEFT JOIN providers pv ON pv.id = w.provider_id
+  LEFT JOIN waitlist_offers o ON o.waitlist_id = w.id AND o.status = 'pending'
+`;
+
+const OFFER_SELECT = `
+  SELECT o.*, w.patient_id, w.priority,
+         pt.first_name AS patient_first_name, pt.last_name AS patient_last_name,
+         pv.first_name AS provider_first_name, pv.last_name AS provider_last_name,
+         n.channel AS notification_channel, n.recipient AS notification_recipient, n.status AS notification_status
+  FROM waitlist_offers o
+  JOIN appointment_waitlist w ON w.id = o.waitlist_id
+  JOIN patients pt ON pt.id = w.patient_id
+  LEFT JOIN providers pv ON pv.id = o.provider_id
+  LEFT JOIN patient_notifications n ON n.id = o.notification_id
+`;
+
+class WaitlistService {
+  /* ---------- Entries ---------- */
+
+  /**
+   * Waitlist entries in offer order (priority, then time on the list)
+   * @param {Object} filters - { status (default: waiting and offered), providerId, patientId }
+   * @returns {Promise<Array>} Entries with the pending offer, if any
+   */
+  async listEntries({ status = null, providerId = null, patientId = null } = {}) {
+    const statuses = status ? [status] : ['waiting', 'offered'];
+    const result = await pool.query(`
+      ${ENTRY_SELECT}
+      WHERE w.status = ANY($1)
+        AND ($2::int IS NULL OR w.provider_id = $2 OR w.provider_id IS NULL)
+        AND ($3::int IS NULL OR w.patient_id = $3)
+      ORDER BY w.priority, w.created_at, w.id
+    `, [statuses, providerId, patientId]);
+    return result.rows.map(row => this.formatEntry(row));
+  }
+
+  /**
+   * Put a patient on the waitlist
+   * @param {Object} data - { patientId, providerId, appointmentType, earliestDate, latestDate, preferredDays
+   *   (0 = Sunday), preferredStartTime, preferredEndTime (HH:MM), priority (1 = most urgent, 5 = least), notes }
+   * @param {number} userId - User adding the entry
+   * @returns {Promise<Object>} Entry
+   */
+  async createEntry(data, userId = null) {
+    if (!Number.isInteger(Number(data.patientId)) || Number(data.patientId) <= 0) {
+      throw new SchedulingError('patientId is required', 422);
+    }
+    const values = await this.entryValues(data);
+
+    const result = await pool.query(`
+      INSERT INTO appointment_waitlist (
+        provider_id, appointment_type, earliest_date, latest_date, preferred_days, preferred_start_time,
+        preferred_end_time, priority, notes, patient_id, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING id
+    `, [...values, Number(data.patientId), userId]);
+    return this.getEntry(result.rows[0].id);
+  }
+
+  /**
+   * Change an entry's preferences or priority; fields left out keep their values
+   * @param {number} entryId - Entry ID
+   * @param {Object} data - As for createEntry, without patientId
+   * @returns {Promise<Object>} Entry
+   */
+  async updateEntry(entryId, data) {
+    const current = await this.getEntry(entryId);
+    if (!current) {
+      throw new SchedulingError('Waitlist entry not found', 404);
+    }
+    if (!['waiting', 'offered'].includes(current.status)) {
+      throw new SchedulingError(`Waitlist entry is ${current.status}`, 409);
+    }
+    const values = await this.entryValues({ ...current, ...data });
+
+    await pool.query(`
+      UPDATE appointment_waitlist SET
+        provider_id = $1, appointment_type = $2, earliest_date = $3, latest_date = $4, preferred_days = $5,
+        preferred_start_time = $6, preferred_end_time = $7, priority = $8, notes = $9, updated_at = NOW()
+      WHERE id = $10
+    `, [...values, entryId]);
+    return this.getEntry(entryId);
+  }
+
+  /**
+   * Take a patient off the waitlist; a slot they were holding is offered to the next match
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>} The offer made to the next patient, if any
+   */
+  async removeEntry(entryId) {
+    const result = await pool.query(`
+      UPDATE appointment_waitlist SET status = 'removed', updated_at = NOW()
+      WHERE id = $1 AND status IN ('waiting', 'offered')
+      RETURNING id
+    `, [entryId]);
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Waitlist entry not found or already closed', 404);
+    }
+
+    const withdrawn = await pool.query(`
+      UPDATE waitlist_offers SET status = 'withdrawn', responded_at = NOW()
+      WHERE waitlist_id = $1 AND status = 'pending'
+      RETURNING *
+    `, [entryId]);
+    return withdrawn.rows.length > 0 ? this.offerSlot(this.slotOf(withdrawn.rows[0])) : null;
+  }
+
+  /**
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(entryId) {
+    const result = await pool.query(`${ENTRY_SELECT} WHERE w.id = $1`, [entryId]);
+    return result.rows[0] ? this.formatEntry(result.rows[0]) : null;
+  }
+
+  /* ---------- Offers ---------- */
+
+  /**
+   * Slot offers, soonest expiry first
+   * @param {Object} filters - { status (default pending), providerId }
+   * @returns {Promise<Array>}
+   */
+  async listOffers({ status = 'pending', providerId = null } = {}) {
+    const result = await pool.query(`
+      ${OFFER_SELECT}
+      WHERE o.status = $1 AND ($2::int IS NULL OR o.provider_id = $2)
+      ORDER BY o.expires_at, o.id
+      LIMIT 200
+    `, [status, providerId]);
+    return result.rows.map(row => this.formatOffer(row));
+  }
+
+  /**
+   * Offer a freed slot to the first matching waitlisted patient who can take it. Patients already offered this
+   * slot, or with another appointment at that time, are passed over; nothing is offered when the slot is in the
+   * past, already has a pending offer, or has been rebooked.
+   * @param {Object} slot - { appointmentId (the cancelled appointment), providerId, start, end, type, room }
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} The offer, or null when nobody was offered the slot
+   */
+  async offerSlot(slot, now = new Date()) {
+    const start = new Date(slot.start);
+    const end = new Date(slot.end);
+    if (!slot.providerId || !(start > now) || !(end > start)) return null;
+
+    const candidatesResult = await pool.query(`
+      SELECT w.*
+      FROM appointment_waitlist w
+      WHERE w.status = 'waiting'
+        AND (w.provider_id IS NULL OR w.provider_id = $1)
+        AND ($2::text IS NULL OR w.appointment_type IS NULL OR w.appointment_type = $2)
+        AND (w.earliest_date IS NULL OR w.earliest_date <= $3::date)
+        AND (w.latest_date IS NULL OR w.latest_date >= $3::date)
+        AND NOT EXISTS (
+          SELECT 1 FROM waitlist_offers o WHERE o.waitlist_id = w.id AND o.provider_id = $1 AND o.start_ts = $4
+        )
+        AND NOT EXISTS (SELECT 1 FROM appointments ca WHERE ca.id = $5 AND ca.patient_id = w.patient_id)
+      ORDER BY w.priority, w.created_at, w.id
+    `, [slot.providerId, slot.type ?? null, schedulingService.dateOnly(start), start, slot.appointmentId ?? null]);
+    const candidates = candidatesResult.rows.filter(entry => this.matchesTime(entry, start));
+    if (candidates.length === 0) return null;
+
+    const created = await schedulingService.withBookingLock(async (client) => {
+      const pending = await client.query(`
+        SELECT id FROM waitlist_offers WHERE provider_id = $1 AND start_ts = $2 AND status = 'pending'
+      `, [slot.providerId, start]);
+      if (pending.rows.length > 0) return null;
+
+      for (const entry of candidates) {
+        const conflicts = await schedulingService.findConflicts({
+          providerId: slot.providerId, patientId: entry.patient_id, room: slot.room, start, end, type: slot.type
+        }, client);
+        if (conflicts.some(conflict => conflict.kind !== 'patient')) return null;
+        if (conflicts.length > 0) continue;
+
+        return this.createOffer(client, entry, slot, { start, end, now });
+      }
+      return null;
+    });
+
+    if (!created) return null;
+
+    // Notify only once the offer is committed, so a rollback never leaves the patient holding a phantom offer
+    const { offer, message } = created;
+    console.log(
+      `[Waitlist] Offered ${start.toISOString()} with provider ${slot.providerId} to entry ${offer.waitlist_id}`
+    );
+    try {
+      const notification = await notificationService.send(message);
+      await pool.query('UPDATE waitlist_offers SET notification_id = $2 WHERE id = $1', [offer.id, notification.id]);
+    } catch (error) {
+      console.error(`[Waitlist] Error notifying entry ${offer.waitlist_id} of offer ${offer.id}:`, error);
+    }
+    return this.getOffer(offer.id);
+  }
+
+  /**
+   * Book an offered slot for the waitlisted patient
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<Object>} { offer, appointment }
+   * @throws {SchedulingConflictError} When the slot has been taken since it was offered
+   */
+  async acceptOffer(offerId) {
+    const offer = await this.getOffer(offerId);
+    if (!offer) {
+      throw new SchedulingError('Offer not found', 404);
+    }
+    if (offer.status !== 'pending') {
+      throw new SchedulingError(`Offer is ${offer.status}`, 409);
+    }
+    if (new Date(offer.expiresAt) <= new Date()) {
+      throw new SchedulingError('Offer has expired', 409);
+    }
+
+    const booking = {
+      providerId: offer.providerId, patientId: offer.patientId, room: offer.room, start: offer.start,
+      end: offer.end, type: offer.appointmentType
+    };
+    const appointment = await schedulingService.withConflictCheck(booking, async (client) => {
+      const claimed = await client.query(`
+        UPDATE waitlist_offers SET status = 'accepted', responded_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING id
+      `, [offerId]);
+      if (claimed.rows.length === 0) {
+        throw new SchedulingError('Offer is no longer pending', 409);
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO appointments (provider_id, patient_id, start_ts, end_ts, title, type, status, notes, room)
+        VALUES ($1, $2, $3, $4, COALESCE((SELECT name FROM appointment_types WHERE code = $5), 'Appointment'), $5,
+                'booked', 'Booked from the waitlist', $6)
+        RETURNING id, provider_id, patient_id, start_ts AS start, end_ts AS "end", title, type, status, notes, room,
+                  series_id, series_index, series_exception
+      `, [offer.providerId, offer.patientId, offer.start, offer.end, offer.appointmentType, offer.room]);
+      const row = inserted.rows[0];
+
+      await client.query('UPDATE waitlist_offers SET booked_appointment_id = $2 WHERE id = $1', [offerId, row.id]);
+      await client.query(`
+        UPDATE appointment_waitlist SET status = 'booked', booked_appointment_id = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [offer.waitlistId, row.id]);
+      return row;
+    });
+
+    return { offer: await this.getOffer(offerId), appointment };
+  }
+
+  /**
+   * The patient passed on the slot: they go back on the waitlist and the slot is offered to the next match
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<Object>} { offer, next (offer made to the next patient, or null) }
+   */
+  async declineOffer(offerId) {
+    const result = await pool.query(`
+      UPDATE waitlist_offers SET status = 'declined', responded_at = NOW()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [offerId]);
+    if (result.rows.length === 0) {
+      const offer = await this.getOffer(offerId);
+      throw offer
+        ? new SchedulingError(`Offer is ${offer.status}`, 409)
+        : new SchedulingError('Offer not found', 404);
+    }
+
+    await this.returnToWaitlist(result.rows[0].waitlist_id);
+    const next = await this.offerSlot(this.slotOf(result.rows[0]));
+    return { offer: await this.getOffer(offerId), next };
+  }
+
+  /**
+   * Expire offers past their hold time and offer those slots to the next match
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of offers expired
+   */
+  async expireOffers(now = new Date()) {
+    const result = await pool.query(`
+      UPDATE waitlist_offers SET status = 'expired'
+      WHERE status = 'pending' AND expires_at <= $1
+      RETURNING *
+    `, [now]);
+
+    for (const offer of result.rows) {
+      await this.returnToWaitlist(offer.waitlist_id);
+      await this.offerSlot(this.slotOf(offer), now);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Check for expired offers every minute
+   * @returns {Object} The interval timer (does not keep the process alive)
+   */
+  startExpiryTimer() {
+    const timer = setInterval(() => {
+      this.expireOffers().catch(error => console.error('[Waitlist] Error expiring offers:', error));
+    }, EXPIRY_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<Object|null>}
+   */
+  async getOffer(offerId) {
+    const result = await pool.query(`${OFFER_SELECT} WHERE o.id = $1`, [offerId]);
+    return result.rows[0] ? this.formatOffer(result.rows[0]) : null;
+  }
+
+  /* ---------- Helpers ---------- */
+
+  // Minutes a slot is held for the patient it was offered to (WAITLIST_HOLD_MINUTES)
+  holdMinutes() {
+    const minutes = Number(process.env.WAITLIST_HOLD_MINUTES);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+  }
+
+  // Record the offer, mark the entry offered and notify the patient, in the booking transaction
+  async createOffer(client, entry, slot, { start, end, now }) {
+    // The hold never runs past the start of the appointment
+    const expiresAt = new Date(Math.min(now.getTime() + this.holdMinutes() * 60 * 1000, start.getTime()));
+
+    const result = await client.query(`
+      INSERT INTO waitlist_offers (
+        waitlist_id, cancelled_appointment_id, provider_id, start_ts, end_ts, appointment_type, room, expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      entry.id, slot.appointmentId ?? null, slot.providerId, start, end, slot.type ?? null, slot.room ?? null, expiresAt
+    ]);
+    const offer = result.rows[0];
+
+    await client.query(`
+      UPDATE appointment_waitlist SET status = 'offered', updated_at = NOW() WHERE id = $1
+    `, [entry.id]);
+
+    // Sent by the caller after commit
+    const message = {
+      patientId: entry.patient_id,
+      appointmentId: slot.appointmentId ?? null,
+      category: 'waitlist_offer',
+      subject: 'An earlier appointment is available',
+      body: await this.offerMessage(client, slot, { start, expiresAt }),
+      data: { offerId: offer.id, waitlistId: entry.id }
+    };
+    return { offer, message };
+  }
+
+  async offerMessage(client, slot, { start, expiresAt }) {
+    const result = await client.query(`
+      SELECT (SELECT concat_ws(' ', first_name, last_name) FROM providers WHERE id = $1) AS provider_name,
+             (SELECT name FROM appointment_types WHERE code = $2) AS type_name
+    `, [slot.providerId, slot.type ?? null]);
+    const { provider_name: providerName, type_name: typeName } = result.rows[0] || {};
+
+    const day = start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const time = date => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const what = typeName ? `A ${typeName.toLowerCase()} appointment` : 'An appointment';
+    const who = providerName ? ` with ${providerName}` : '';
+    return `${what}${who} has opened up on ${day} at ${time(start)}. Reply YES to book it or NO to pass. ` +
+      `We will hold it for you until ${time(expiresAt)}.`;
+  }
+
+  async returnToWaitlist(entryId) {
+    await pool.query(`
+      UPDATE appointment_waitlist SET status = 'waiting', updated_at = NOW() WHERE id = $1 AND status = 'offered'
+    `, [entryId]);
+  }
+
+  // The slot an offer was for, to offer it again
+  slotOf(offer) {
+    return {
+      appointmentId: offer.cancelled_appointment_id, providerId: offer.provider_id, start: offer.start_ts,
+      end: offer.end_ts, type: offer.appointment_type, room: offer.room
+    };
+  }
+
+  // Day of week and time-of-day preference, in clinic local time
+  matchesTime(entry, start) {
+    if (entry.preferred_days?.length && !entry.preferred_days.map(Number).includes(start.getDay())) {
+      return false;
+    }
+    const minutes = start.getHours() * 60 + start.getMinutes();
+    if (entry.preferred_start_time && minutes < schedulingService.parseTime(entry.preferred_start_time)) return false;
+    if (entry.preferred_end_time && minutes >= schedulingService.parseTime(entry.preferred_end_time)) return false;
+    return true;
+  }
+
+  // Validated column values for an entry, in INSERT/UPDATE order
+  async entryValues(data) {
+    const providerId = data.providerId == null || data.providerId === '' ? null : Number(data.providerId);
+    if (providerId !== null && (!Number.isInteger(providerId) || providerId <= 0)) {
+      throw new SchedulingError('providerId must be a provider ID', 422);
+    }
+    const appointmentType = data.appointmentType || null;
+    if (appointmentType) {
+      await schedulingService.checkTypeCodes([appointmentType]);
+    }
+
+    const earliestDate = data.earliestDate ? schedulingService.parseDate(data.earliestDate, 'earliestDate') : null;
+    const latestDate = data.latestDate ? schedulingService.parseDate(data.latestDate, 'latestDate') : null;
+    if (earliestDate && latestDate && latestDate < earliestDate) {
+      throw new SchedulingError('latestDate must not be before earliestDate', 422);
+    }
+
+    const preferredDays = data.preferredDays?.length ? data.preferredDays.map(Number) : null;
+    if (preferredDays?.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new SchedulingError('preferredDays must be days 0 (Sunday) to 6 (Saturday)', 422);
+    }
+
+    const time = field => (data[field] ? schedulingService.parseTime(data[field], field) : null);
+    const startTime = time('preferredStartTime');
+    const endTime = time('preferredEndTime');
+    if (startTime !== null && endTime !== null && endTime <= startTime) {
+      throw new SchedulingError('preferredEndTime must be after preferredStartTime', 422);
+    }
+
+    const priority = Number(data.priority ?? 3);
+    if (!Number.isInteger(priority) || priority < 1 || priority > 5) {
+      throw new SchedulingError('priority must be between 1 (most urgent) and 5', 422);
+    }
+
+    return [
+      providerId, appointmentType, earliestDate, latestDate, preferredDays,
+      startTime === null ? null : schedulingService.formatTime(startTime),
+      endTime === null ? null : schedulingService.formatTime(endTime), priority, data.notes || null
+    ];
+  }
+
+  /* ---------- Formatting ---------- */
+
+  formatEntry(row) {
+    const name = (first, last) => `${first ?? ''} ${last ?? ''}`.replace(/\s+/g, ' ').trim() || null;
+    return {
+      id: row.id,
+      patientId: row.patient_id,
+      patientName: name(row.patient_first_name, row.patient_last_name),
+      providerId: row.provider_id,
+      providerName: name(row.provider_first_name, row.provider_last_name),
+      appointmentType: row.appointment_type,
+      earliestDate: schedulingService.dateOnly(row.earliest_date),
+      latestDate: schedulingService.dateOnly(row.latest_date),
+      preferredDays: row.preferred_days?.map(Number) ?? null,
+      preferredStartTime: row.preferred_start_time?.slice(0, 5) ?? null,
+      preferredEndTime: row.preferred_end_time?.slice(0, 5) ?? null,
+      priority: row.priority,
+      notes: row.notes,
+      status: row.status,
+      bookedAppointmentId: row.booked_appointment_id,
+      pendingOffer: row.offer_id
+        ? { id: row.offer_id, start: row.offer_start, end: row.offer_end, expiresAt: row.offer_expires_at }
+        : null,
+      createdAt: row.created_at
+    };
+  }
+
+  formatOffer(row) {
+    const name = (first, last) => `${first ?? ''} ${last ?? ''}`.replace(/\s+/g, ' ').trim() || null;
+    return {
+      id: row.id,
+      waitlistId: row.waitlist_id,
+      patientId: row.patient_id,
+      patientName: name(row.patient_first_name, row.patient_last_name),
+      priority: row.priority,
+      cancelledAppointmentId: row.cancelled_appointment_id,
+      providerId: row.provider_id,
+      providerName: name(row.provider_first_name, row.provider_last_name),
+      start: row.start_ts,
+      end: row.end_ts,
+      appointmentType: row.appointment_type,
+      room: row.room,
+      status: row.status,
+      expiresAt: row.expires_at,
+      notification: row.notification_id
+        ? { id: row.notification_id, channel: row.notification_channel, recipient: row.notification_recipient,
+          status: row.notification_status }
+        : null,
+      bookedAppointmentId: row.booked_appointment_id,
+      respondedAt: row.responded_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default new WaitlistService();
@@ -0,0 +1,33 @@
+-- FHIR Bulk Data Export Jobs
+-- Tracks asynchronous $export requests (system and group level) and the NDJSON files they produce
+
+CREATE TABLE IF NOT EXISTS fhir_bulk_exports (
+    id SERIAL PRIMARY KEY,
+    export_id UUID NOT NULL UNIQUE, -- public job id used in status/download URLs
+    export_level VARCHAR(20) NOT NULL CHECK (export_level IN ('system', 'group')),
+    group_id VARCHAR(64), -- Group/<id> for group-level exports (provider panel)
+    resource_types TEXT[] NOT NULL,
+    since TIMESTAMP WITH TIME ZONE, -- _since parameter
+    request_url TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'accepted' CHECK (status IN ('accepted', 'in_progress', 'completed', 'failed', 'cancelled')),
+    progress VARCHAR(255),
+    output JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ type, fileName, count }]
+    patient_count INTEGER,
+    error_message TEXT,
+    transaction_time TIMESTAMP WITH TIME ZONE,
+    requested_by INTEGER,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fhir_bulk_exports_status ON fhir_bulk_exports(status);
+CREATE INDEX IF NOT EXISTS idx_fhir_bulk_exports_requested_by ON fhir_bulk_exports(requested_by, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_fhir_bulk_exports_updated_at ON fhir_bulk_exports;
+CREATE TRIGGER update_fhir_bulk_exports_updated_at
+    BEFORE UPDATE ON fhir_bulk_exports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE fhir_bulk_exports IS 'FHIR Bulk Data $export jobs; every completed export is a bulk PHI disclosure';
@@ -0,0 +1,13 @@
+-- HL7 MLLP Interface
+-- Adds transport and acknowledgement tracking to hl7_messages so every MLLP exchange (inbound message + ACK/NAK) is recorded
+
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS message_control_id VARCHAR(50); -- MSH-10
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS transport VARCHAR(10) DEFAULT 'api' CHECK (transport IN ('api', 'mllp'));
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS remote_address VARCHAR(100); -- peer host:port for MLLP connections
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS ack_code VARCHAR(2) CHECK (ack_code IN ('AA', 'AE', 'AR')); -- MSA-1 on outbound ACKs
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS acknowledges_message_id INTEGER REFERENCES hl7_messages(id); -- inbound message an ACK answers
+
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_control_id ON hl7_messages(message_control_id);
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_acknowledges ON hl7_messages(acknowledges_message_id);
+
+COMMENT ON COLUMN hl7_messages.acknowledges_message_id IS 'Links an outbound ACK/NAK to the inbound message it acknowledges';
@@ -0,0 +1,26 @@
+-- Patient Merges
+-- Supports HL7 ADT^A40 merges: retired duplicate records point at the surviving patient and every merge is logged
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS merged_into_patient_id INTEGER REFERENCES patients(id);
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_patients_merged_into ON patients(merged_into_patient_id) WHERE merged_into_patient_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS patient_merges (
+    id SERIAL PRIMARY KEY,
+    surviving_patient_id INTEGER NOT NULL REFERENCES patients(id),
+    merged_patient_id INTEGER NOT NULL REFERENCES patients(id),
+    merged_mrn TEXT, -- MRN of the retired record at merge time
+    source VARCHAR(20) NOT NULL DEFAULT 'hl7_adt' CHECK (source IN ('hl7_adt', 'manual')),
+    hl7_message_id INTEGER REFERENCES hl7_messages(id),
+    moved_records JSONB NOT NULL DEFAULT '{}'::jsonb, -- { "table.column": rowCount }
+    skipped_tables JSONB NOT NULL DEFAULT '[]'::jsonb, -- tables left on the retired record (e.g. unique conflicts)
+    merged_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_merges_surviving ON patient_merges(surviving_patient_id);
+CREATE INDEX IF NOT EXISTS idx_patient_merges_merged ON patient_merges(merged_patient_id);
+
+COMMENT ON COLUMN patients.merged_into_patient_id IS 'Set when this record was merged into another patient; the record is retired';
+COMMENT ON TABLE patient_merges IS 'History of duplicate patient merges (HL7 ADT^A40 or manual)';
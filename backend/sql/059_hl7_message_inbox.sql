@@ -0,0 +1,28 @@
+-- HL7 Message Inbox
+-- Error queue support for hl7_messages: manual patient/order links, edits, reprocessing and a per-message action trail
+
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS patient_id INTEGER REFERENCES patients(id); -- manual link used on reprocess
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS original_message TEXT; -- message as received, kept on first edit
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS reprocess_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS resolution VARCHAR(20) CHECK (resolution IN ('reprocessed', 'dismissed'));
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS resolved_by INTEGER;
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS reprocess_started_at TIMESTAMP; -- claim held while a reprocess runs
+
+-- Open error queue: failed inbound messages nobody has resolved yet
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_error_queue ON hl7_messages(created_at DESC)
+    WHERE direction = 'inbound' AND parsed_successfully = false AND resolution IS NULL;
+
+CREATE TABLE IF NOT EXISTS hl7_message_actions (
+    id SERIAL PRIMARY KEY,
+    hl7_message_id INTEGER NOT NULL REFERENCES hl7_messages(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('link', 'edit', 'reprocess', 'dismiss')),
+    performed_by INTEGER,
+    success BOOLEAN NOT NULL DEFAULT true,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb, -- link targets, previous message text, reprocess outcome, reason
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_hl7_message_actions_message ON hl7_message_actions(hl7_message_id, created_at);
+
+COMMENT ON TABLE hl7_message_actions IS 'Audit trail of error queue actions (link, edit, reprocess, dismiss) on HL7 messages';
@@ -0,0 +1,59 @@
+-- C-CDA Imports
+-- Inbound CCD / Referral Note documents staged for reconciliation against the patient's problems,
+-- medications and allergies; each parsed item is accepted, rejected or merged before commit
+
+CREATE TABLE IF NOT EXISTS ccda_imports (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id),
+    document_id VARCHAR(200), -- ClinicalDocument/id as root^extension
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('ccd', 'referral_note')),
+    title TEXT,
+    source_organization TEXT,
+    document_date TIMESTAMP WITH TIME ZONE,
+    document_patient JSONB NOT NULL DEFAULT '{}'::jsonb, -- name, birth date and gender as stated in the document
+    warnings JSONB NOT NULL DEFAULT '[]'::jsonb, -- demographic mismatches and skipped entries
+    raw_document TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'committed', 'discarded')),
+    uploaded_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_by INTEGER,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ccda_imports_patient ON ccda_imports(patient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ccda_imports_pending ON ccda_imports(created_at DESC) WHERE status = 'pending';
+
+CREATE TABLE IF NOT EXISTS ccda_import_items (
+    id SERIAL PRIMARY KEY,
+    import_id INTEGER NOT NULL REFERENCES ccda_imports(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('problem', 'medication', 'allergy')),
+    source_entry_id VARCHAR(200), -- entry id in the document, for tracing
+    incoming JSONB NOT NULL, -- values parsed from the document, shaped like the target table's columns (plus rxcui for medications)
+    match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('new', 'duplicate', 'changed')),
+    matched_record_id INTEGER, -- problems/patient_medications/allergies row the item matched
+    current_values JSONB, -- matched row at the time of import
+    differences JSONB NOT NULL DEFAULT '[]'::jsonb, -- columns where incoming and current disagree
+    decision VARCHAR(20) CHECK (decision IN ('accept', 'reject', 'merge')),
+    merged_values JSONB, -- column values chosen for a merge
+    decided_by INTEGER,
+    decided_at TIMESTAMP,
+    applied_record_id INTEGER -- row written on commit
+);
+
+CREATE INDEX IF NOT EXISTS idx_ccda_import_items_import ON ccda_import_items(import_id, category, id);
+
+-- Reconciliation rows can now come from an outside record instead of a discharge summary
+ALTER TABLE medication_reconciliation ALTER COLUMN discharge_summary_id DROP NOT NULL;
+ALTER TABLE medication_reconciliation ADD COLUMN IF NOT EXISTS source VARCHAR(30) NOT NULL DEFAULT 'discharge_summary'
+    CHECK (source IN ('discharge_summary', 'ccda_import'));
+ALTER TABLE medication_reconciliation ADD COLUMN IF NOT EXISTS patient_id INTEGER REFERENCES patients(id);
+ALTER TABLE medication_reconciliation ADD COLUMN IF NOT EXISTS ccda_import_id INTEGER REFERENCES ccda_imports(id);
+ALTER TABLE medication_reconciliation ADD COLUMN IF NOT EXISTS ccda_import_item_id INTEGER REFERENCES ccda_import_items(id);
+ALTER TABLE medication_reconciliation ADD COLUMN IF NOT EXISTS reconciled_by INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_medication_reconciliation_ccda_import ON medication_reconciliation(ccda_import_id);
+CREATE INDEX IF NOT EXISTS idx_medication_reconciliation_patient ON medication_reconciliation(patient_id, created_at DESC);
+
+COMMENT ON TABLE ccda_imports IS 'Inbound C-CDA documents (CCD, Referral Note) staged for problem/medication/allergy reconciliation';
+COMMENT ON TABLE ccda_import_items IS 'Parsed document entries with their diff against the chart and the reconciliation decision';
+COMMENT ON COLUMN medication_reconciliation.source IS 'discharge_summary (discharge_summary_id set) or ccda_import (ccda_import_id set)';
@@ -0,0 +1,52 @@
+-- SMART on FHIR
+-- Registered SMART apps, EHR launch contexts and one-time authorization codes for the SMART App Launch
+-- authorization server (access tokens are JWTs and are not stored)
+
+CREATE TABLE IF NOT EXISTS smart_clients (
+    id SERIAL PRIMARY KEY,
+    client_id VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(200) NOT NULL,
+    launch_url TEXT NOT NULL, -- app URL the EHR opens with ?iss=&launch=
+    redirect_uris TEXT[] NOT NULL,
+    scopes TEXT NOT NULL, -- space-separated scopes the app may be granted
+    client_secret_hash TEXT, -- NULL for public clients (PKCE required)
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS smart_launches (
+    id SERIAL PRIMARY KEY,
+    launch_id VARCHAR(100) NOT NULL UNIQUE, -- opaque launch parameter handed to the app
+    client_id VARCHAR(100) NOT NULL REFERENCES smart_clients(client_id),
+    user_id INTEGER NOT NULL, -- clinician who launched the app from the EHR
+    patient_id INTEGER REFERENCES patients(id),
+    encounter_id INTEGER REFERENCES encounters(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS smart_authorization_codes (
+    id SERIAL PRIMARY KEY,
+    code_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the code; the code itself is never stored
+    client_id VARCHAR(100) NOT NULL REFERENCES smart_clients(client_id),
+    launch_id INTEGER REFERENCES smart_launches(id),
+    user_id INTEGER NOT NULL,
+    redirect_uri TEXT NOT NULL,
+    scope TEXT NOT NULL, -- granted scopes
+    patient_id INTEGER,
+    encounter_id INTEGER,
+    code_challenge VARCHAR(128), -- PKCE S256 challenge
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_smart_launches_user ON smart_launches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_smart_authorization_codes_expires ON smart_authorization_codes(expires_at) WHERE used_at IS NULL;
+
+COMMENT ON TABLE smart_clients IS 'SMART on FHIR apps that can be launched from the EHR';
+COMMENT ON TABLE smart_launches IS 'EHR launch contexts (patient, encounter) waiting to be redeemed at the authorize endpoint';
+COMMENT ON TABLE smart_authorization_codes IS 'One-time OAuth2 authorization codes exchanged at the SMART token endpoint';
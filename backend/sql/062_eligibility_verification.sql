@@ -0,0 +1,35 @@
+-- X12 270/271 eligibility verification
+-- Payer identifiers for electronic transactions, interchange control numbers and the 270/271 request log
+
+ALTER TABLE insurance_plans
+  ADD COLUMN IF NOT EXISTS payer_id VARCHAR(50); -- clearinghouse payer id (NM109 with qualifier PI)
+
+-- ISA13/GS06 control numbers for outbound X12 interchanges (9 digits, wraps)
+CREATE SEQUENCE IF NOT EXISTS x12_control_number_seq MINVALUE 1 MAXVALUE 999999999 CYCLE;
+
+CREATE TABLE IF NOT EXISTS eligibility_requests (
+    id SERIAL PRIMARY KEY,
+    patient_insurance_id INTEGER NOT NULL REFERENCES patient_insurance(id) ON DELETE CASCADE,
+    patient_id INTEGER NOT NULL REFERENCES patients(id),
+    control_number VARCHAR(9) NOT NULL,
+    trace_number VARCHAR(50) NOT NULL UNIQUE, -- TRN02 echoed back in the 271
+    service_date DATE NOT NULL,
+    service_type_code VARCHAR(2) NOT NULL DEFAULT '30',
+    transport VARCHAR(20) NOT NULL, -- stub | file | http
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'completed', 'rejected', 'error')),
+    request_x12 TEXT NOT NULL,
+    response_x12 TEXT,
+    coverage_active BOOLEAN,
+    benefits JSONB, -- parsed 271 benefits (copays, deductible, out-of-pocket)
+    errors JSONB DEFAULT '[]', -- AAA reject reasons or transport errors
+    requested_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    responded_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_eligibility_requests_insurance ON eligibility_requests(patient_insurance_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_eligibility_requests_pending ON eligibility_requests(status) WHERE status = 'sent';
+
+COMMENT ON COLUMN insurance_plans.payer_id IS 'Payer identifier used in X12 transactions (270, 837P)';
+COMMENT ON TABLE eligibility_requests IS 'X12 270 eligibility inquiries and their parsed 271 responses';
@@ -0,0 +1,154 @@
+-- Charge capture and claims
+-- Encounter diagnoses/E&M level, CPT codes for labs, a fee schedule, and claims with charge lines that billing_transactions reference
+
+-- Coding captured on the encounter at completion
+ALTER TABLE encounters
+  ADD COLUMN IF NOT EXISTS diagnoses JSONB, -- [{ code, description, primary }] ICD-10-CM, primary first
+  ADD COLUMN IF NOT EXISTS em_code VARCHAR(10); -- visit-level E/M CPT (99202-99215); defaulted when not coded
+
+-- CPT for labs: panels bill as one code when every component was ordered, other tests bill per LOINC
+ALTER TABLE lab_panels
+  ADD COLUMN IF NOT EXISTS cpt_code VARCHAR(10);
+
+ALTER TABLE lab_tests
+  ADD COLUMN IF NOT EXISTS cpt_code VARCHAR(10); -- overrides the LOINC crosswalk for this test
+
+CREATE TABLE IF NOT EXISTS lab_cpt_codes (
+    loinc_code VARCHAR(20) PRIMARY KEY,
+    cpt_code VARCHAR(10) NOT NULL,
+    description VARCHAR(255)
+);
+
+UPDATE lab_panels SET cpt_code = '85025' WHERE panel_code = 'CBC' AND cpt_code IS NULL;
+UPDATE lab_panels SET cpt_code = '80053' WHERE panel_code = 'CMP' AND cpt_code IS NULL;
+UPDATE lab_panels SET cpt_code = '80048' WHERE panel_code = 'BMP' AND cpt_code IS NULL;
+UPDATE lab_panels SET cpt_code = '80061' WHERE panel_code = 'LIPID' AND cpt_code IS NULL;
+UPDATE lab_panels SET cpt_code = '80076' WHERE panel_code = 'LFT' AND cpt_code IS NULL;
+
+INSERT INTO lab_cpt_codes (loinc_code, cpt_code, description) VALUES
+('2345-7', '82947', 'Glucose; quantitative, blood'),
+('4548-4', '83036', 'Hemoglobin; glycosylated (A1C)'),
+('2160-0', '82565', 'Creatinine; blood'),
+('3094-0', '84520', 'Urea nitrogen; quantitative'),
+('2823-3', '84132', 'Potassium; serum, plasma or whole blood'),
+('2951-2', '84295', 'Sodium; serum, plasma or whole blood'),
+('2093-3', '82465', 'Cholesterol, serum or whole blood, total'),
+('2571-8', '84478', 'Triglycerides'),
+('1742-6', '84460', 'Transferase; alanine amino (ALT)'),
+('1920-8', '84450', 'Transferase; aspartate amino (AST)'),
+('3016-3', '84443', 'Thyroid stimulating hormone (TSH)'),
+('3024-7', '84439', 'Thyroxine; free'),
+('34054-7', '84481', 'Triiodothyronine T3; free'),
+('5902-2', '85610', 'Prothrombin time'),
+('6301-6', '85610', 'Prothrombin time'),
+('3173-2', '85730', 'Thromboplastin time, partial (PTT)'),
+('4537-7', '85652', 'Sedimentation rate, erythrocyte; automated'),
+('24356-8', '81003', 'Urinalysis, automated, without microscopy'),
+('630-4', '87086', 'Culture, bacterial; quantitative colony count, urine'),
+('5017-9', '86701', 'Antibody; HIV-1'),
+('94500-6', '87635', 'Infectious agent detection by nucleic acid; SARS-CoV-2')
+ON CONFLICT (loinc_code) DO NOTHING;
+
+-- Charge amounts per CPT
+CREATE TABLE IF NOT EXISTS fee_schedule (
+    cpt_code VARCHAR(10) PRIMARY KEY,
+    description VARCHAR(255) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+    active BOOLEAN DEFAULT true,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO fee_schedule (cpt_code, description, amount) VALUES
+('99202', 'Office visit, new patient, straightforward MDM', 110.00),
+('99203', 'Office visit, new patient, low MDM', 170.00),
+('99204', 'Office visit, new patient, moderate MDM', 255.00),
+('99205', 'Office visit, new patient, high MDM', 335.00),
+('99211', 'Office visit, established patient, minimal', 40.00),
+('99212', 'Office visit, established patient, straightforward MDM', 90.00),
+('99213', 'Office visit, established patient, low MDM', 140.00),
+('99214', 'Office visit, established patient, moderate MDM', 200.00),
+('99215', 'Office visit, established patient, high MDM', 280.00),
+('85025', 'Complete blood count (CBC) with automated differential', 25.00),
+('80053', 'Comprehensive metabolic panel', 35.00),
+('80048', 'Basic metabolic panel', 28.00),
+('80061', 'Lipid panel', 40.00),
+('80076', 'Hepatic function panel', 30.00),
+('82947', 'Glucose; quantitative, blood', 12.00),
+('83036', 'Hemoglobin A1C', 30.00),
+('82565', 'Creatinine; blood', 14.00),
+('84520', 'Urea nitrogen; quantitative', 11.00),
+('84132', 'Potassium; serum', 12.00),
+('84295', 'Sodium; serum', 12.00),
+('82465', 'Cholesterol, total', 12.00),
+('84478', 'Triglycerides', 15.00),
+('84460', 'ALT', 14.00),
+('84450', 'AST', 14.00),
+('84443', 'Thyroid stimulating hormone (TSH)', 45.00),
+('84439', 'Thyroxine; free', 25.00),
+('84481', 'Triiodothyronine T3; free', 45.00),
+('85610', 'Prothrombin time', 10.00),
+('85730', 'Partial thromboplastin time', 15.00),
+('85652', 'Sedimentation rate, automated', 8.00),
+('81003', 'Urinalysis, automated, without microscopy', 8.00),
+('87086', 'Urine culture, colony count', 22.00),
+('86701', 'HIV-1 antibody', 25.00),
+('87635', 'SARS-CoV-2 amplified probe', 95.00)
+ON CONFLICT (cpt_code) DO NOTHING;
+
+-- Claims: one per encounter, built from captured charges; later stages (validation, 837P) move it past draft
+CREATE SEQUENCE IF NOT EXISTS claim_number_seq;
+
+CREATE TABLE IF NOT EXISTS claims (
+    id SERIAL PRIMARY KEY,
+    claim_number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('CLM' || LPAD(nextval('claim_number_seq')::text, 9, '0')), -- CLM01 patient control number
+    encounter_id INTEGER NOT NULL UNIQUE REFERENCES encounters(id),
+    patient_id INTEGER NOT NULL REFERENCES patients(id),
+    provider_id INTEGER REFERENCES providers(id), -- rendering provider
+    patient_insurance_id INTEGER REFERENCES patient_insurance(id), -- primary coverage at capture; NULL for self-pay
+    service_date DATE NOT NULL,
+    diagnosis_codes TEXT[] NOT NULL DEFAULT '{}', -- ICD-10-CM in pointer order (max 12)
+    total_charge DECIMAL(10,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    warnings JSONB DEFAULT '[]', -- coding gaps found at capture (missing CPT, fee, diagnosis)
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT claims_status_check CHECK (status IN ('draft', 'void'))
+);
+
+CREATE TABLE IF NOT EXISTS claim_lines (
+    id SERIAL PRIMARY KEY,
+    claim_id INTEGER NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    cpt_code VARCHAR(10) NOT NULL,
+    modifiers TEXT[] NOT NULL DEFAULT '{}',
+    description VARCHAR(255),
+    units INTEGER NOT NULL DEFAULT 1 CHECK (units > 0),
+    charge_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    diagnosis_pointers INTEGER[] NOT NULL DEFAULT '{}', -- 1-based positions in claims.diagnosis_codes (max 4)
+    source VARCHAR(20) NOT NULL CHECK (source IN ('em', 'lab', 'manual')),
+    lab_order_id INTEGER REFERENCES lab_orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (claim_id, line_number)
+);
+
+ALTER TABLE billing_transactions
+  ADD COLUMN IF NOT EXISTS claim_id INTEGER REFERENCES claims(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS claim_line_id INTEGER REFERENCES claim_lines(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_claims_patient ON claims(patient_id, service_date DESC);
+CREATE INDEX IF NOT EXISTS idx_claims_status ON claims(status);
+CREATE INDEX IF NOT EXISTS idx_claim_lines_claim ON claim_lines(claim_id);
+CREATE INDEX IF NOT EXISTS idx_billing_transactions_claim ON billing_transactions(claim_id);
+
+DROP TRIGGER IF EXISTS trigger_claims_updated_at ON claims;
+CREATE TRIGGER trigger_claims_updated_at
+    BEFORE UPDATE ON claims
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+COMMENT ON TABLE claims IS 'Professional claims built from completed encounters (charge capture)';
+COMMENT ON TABLE claim_lines IS 'Service lines (CPT, units, charge, diagnosis pointers) on a claim';
+COMMENT ON TABLE fee_schedule IS 'Practice charge amount per CPT code';
+COMMENT ON TABLE lab_cpt_codes IS 'LOINC to CPT crosswalk used when billing individual lab tests';
+COMMENT ON COLUMN billing_transactions.claim_id IS 'Claim the transaction belongs to (charges from charge capture, later payments)';
@@ -0,0 +1,60 @@
+-- X12 837P claim submission
+-- Claim status lifecycle (draft, ready, submitted, accepted, rejected), per-payer submission batches and status history
+
+ALTER TABLE claims DROP CONSTRAINT IF EXISTS claims_status_check;
+ALTER TABLE claims
+  ADD CONSTRAINT claims_status_check CHECK (status IN ('draft', 'ready', 'submitted', 'accepted', 'rejected', 'void'));
+
+ALTER TABLE claims
+  ADD COLUMN IF NOT EXISTS validation_errors JSONB DEFAULT '[]', -- errors from the last validation; empty when ready
+  ADD COLUMN IF NOT EXISTS validated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS batch_id INTEGER,
+  ADD COLUMN IF NOT EXISTS transaction_control VARCHAR(9), -- ST02 of the claim's transaction set in its batch (999 AK2)
+  ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS status_reason TEXT; -- clearinghouse/payer reason for a rejection
+
+-- Payers that require the subscriber SSN (REF*SY) on claims
+ALTER TABLE insurance_plans
+  ADD COLUMN IF NOT EXISTS requires_subscriber_ssn BOOLEAN DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS claim_batches (
+    id SERIAL PRIMARY KEY,
+    payer_id VARCHAR(50) NOT NULL,
+    payer_name VARCHAR(200),
+    control_number VARCHAR(9) NOT NULL UNIQUE, -- ISA13; GS06 is the same number
+    file_name VARCHAR(100) NOT NULL,
+    transport VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'sent', 'error', 'accepted', 'rejected', 'partial')),
+    claim_count INTEGER NOT NULL DEFAULT 0,
+    total_charge DECIMAL(12,2) NOT NULL DEFAULT 0,
+    x12 TEXT NOT NULL, -- 837P as sent, with REF*SY subscriber SSNs masked
+    acknowledgment_x12 TEXT, -- 999 implementation acknowledgment
+    error TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    acknowledged_at TIMESTAMP
+);
+
+ALTER TABLE claims DROP CONSTRAINT IF EXISTS claims_batch_id_fkey;
+ALTER TABLE claims
+  ADD CONSTRAINT claims_batch_id_fkey FOREIGN KEY (batch_id) REFERENCES claim_batches(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS claim_status_history (
+    id SERIAL PRIMARY KEY,
+    claim_id INTEGER NOT NULL REFERENCES claims(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    batch_id INTEGER REFERENCES claim_batches(id) ON DELETE SET NULL,
+    changed_by INTEGER,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_claims_batch ON claims(batch_id);
+CREATE INDEX IF NOT EXISTS idx_claim_batches_payer ON claim_batches(payer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_claim_status_history_claim ON claim_status_history(claim_id, changed_at);
+
+COMMENT ON TABLE claim_batches IS 'X12 837P interchanges, one per payer per submission run';
+COMMENT ON TABLE claim_status_history IS 'Claim lifecycle transitions (draft, ready, submitted, accepted, rejected, void)';
+COMMENT ON COLUMN insurance_plans.requires_subscriber_ssn IS 'Send the decrypted subscriber SSN as REF*SY on 837P claims';
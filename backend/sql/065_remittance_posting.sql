@@ -0,0 +1,69 @@
+-- X12 835 remittance posting
+-- ERA payments, claim/line adjudication with CARC/RARC codes, payment posting to claims and billing_transactions, unmatched remittance work queue
+
+ALTER TABLE claims DROP CONSTRAINT IF EXISTS claims_status_check;
+ALTER TABLE claims
+  ADD CONSTRAINT claims_status_check CHECK (status IN ('draft', 'ready', 'submitted', 'accepted', 'rejected', 'paid', 'denied', 'void'));
+
+ALTER TABLE claims
+  ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS adjustment_amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- contractual and other non-patient adjustments
+  ADD COLUMN IF NOT EXISTS patient_responsibility DECIMAL(10,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS payer_claim_number VARCHAR(50), -- CLP07 payer claim control number
+  ADD COLUMN IF NOT EXISTS adjudicated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS remittances (
+    id SERIAL PRIMARY KEY,
+    payer_id VARCHAR(50),
+    payer_name VARCHAR(200),
+    trace_number VARCHAR(50) NOT NULL, -- TRN02 check or EFT trace number
+    payment_method VARCHAR(10), -- BPR04: CHK, ACH, FWT, NON
+    payment_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    payment_date DATE,
+    payee_npi VARCHAR(10),
+    file_name VARCHAR(200),
+    status VARCHAR(20) NOT NULL DEFAULT 'posted' CHECK (status IN ('posted', 'partial', 'unmatched')),
+    claim_count INTEGER NOT NULL DEFAULT 0,
+    x12 TEXT NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (payer_id, trace_number)
+);
+
+CREATE TABLE IF NOT EXISTS remittance_claims (
+    id SERIAL PRIMARY KEY,
+    remittance_id INTEGER NOT NULL REFERENCES remittances(id) ON DELETE CASCADE,
+    claim_id INTEGER REFERENCES claims(id) ON DELETE SET NULL,
+    patient_control_number VARCHAR(50) NOT NULL, -- CLP01, our claim number
+    payer_claim_number VARCHAR(50),
+    status_code VARCHAR(5) NOT NULL, -- CLP02: 1-3 processed, 4 denied, 22 reversal
+    charge_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    paid_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    patient_responsibility DECIMAL(10,2) NOT NULL DEFAULT 0,
+    patient_name VARCHAR(200),
+    member_id VARCHAR(100),
+    adjustments JSONB NOT NULL DEFAULT '[]', -- claim-level CAS: [{ group, reason, amount, quantity }]
+    remark_codes TEXT[] NOT NULL DEFAULT '{}', -- RARC from MOA/MIA
+    lines JSONB NOT NULL DEFAULT '[]', -- SVC lines with their CAS adjustments and LQ remarks
+    posting_status VARCHAR(20) NOT NULL DEFAULT 'unmatched' CHECK (posting_status IN ('posted', 'unmatched', 'dismissed')),
+    posted_at TIMESTAMP,
+    resolved_by INTEGER, -- user who matched or dismissed it from the work queue
+    resolution_note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE billing_transactions
+  ADD COLUMN IF NOT EXISTS remittance_claim_id INTEGER REFERENCES remittance_claims(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS adjustment_group VARCHAR(2), -- CAS01: CO, OA, PI, CR
+  ADD COLUMN IF NOT EXISTS reason_code VARCHAR(5), -- CARC
+  ADD COLUMN IF NOT EXISTS remark_codes TEXT[]; -- RARC
+
+CREATE INDEX IF NOT EXISTS idx_remittances_created ON remittances(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_remittance_claims_remittance ON remittance_claims(remittance_id);
+CREATE INDEX IF NOT EXISTS idx_remittance_claims_claim ON remittance_claims(claim_id);
+CREATE INDEX IF NOT EXISTS idx_remittance_claims_unmatched ON remittance_claims(created_at) WHERE posting_status = 'unmatched';
+CREATE INDEX IF NOT EXISTS idx_billing_transactions_remittance ON billing_transactions(remittance_claim_id);
+
+COMMENT ON TABLE remittances IS 'X12 835 payments (one per BPR/TRN) received from payers';
+COMMENT ON TABLE remittance_claims IS 'Claim adjudications (CLP) from 835s; unmatched rows are the manual posting work queue';
+COMMENT ON COLUMN billing_transactions.remittance_claim_id IS 'Remittance claim a payment or adjustment was posted from';
@@ -0,0 +1,71 @@
+-- Patient statements and balance management
+-- Periodic statements with aging buckets, payment plans, over-the-counter payments and dunning status on patient_billing
+
+ALTER TABLE patient_billing
+  ADD COLUMN IF NOT EXISTS dunning_status VARCHAR(20) NOT NULL DEFAULT 'current'
+    CHECK (dunning_status IN ('current', 'past_due', 'final_notice', 'collections', 'payment_plan', 'hold')),
+  ADD COLUMN IF NOT EXISTS dunning_updated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS oldest_balance_date DATE, -- billed date of the oldest unpaid patient amount
+  ADD COLUMN IF NOT EXISTS last_statement_date DATE,
+  ADD COLUMN IF NOT EXISTS last_payment_date DATE;
+
+CREATE SEQUENCE IF NOT EXISTS patient_statement_number_seq START 1000;
+
+CREATE TABLE IF NOT EXISTS patient_statements (
+    id SERIAL PRIMARY KEY,
+    statement_number VARCHAR(20) NOT NULL UNIQUE DEFAULT ('STM' || nextval('patient_statement_number_seq')),
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    patient_billing_id INTEGER REFERENCES patient_billing(id) ON DELETE SET NULL,
+    statement_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE NOT NULL,
+    period_start DATE, -- day after the previous statement
+    balance_due DECIMAL(10,2) NOT NULL DEFAULT 0,
+    amount_due DECIMAL(10,2) NOT NULL DEFAULT 0, -- installment when a payment plan is active
+    pending_insurance DECIMAL(10,2) NOT NULL DEFAULT 0,
+    aging JSONB NOT NULL DEFAULT '{}', -- { current, days31To60, days61To90, days91To120, over120 }
+    dunning_status VARCHAR(20) NOT NULL,
+    delivery VARCHAR(20), -- patient_billing.statement_delivery at generation
+    status VARCHAR(20) NOT NULL DEFAULT 'generated' CHECK (status IN ('generated', 'sent', 'void')),
+    document JSONB NOT NULL, -- machine-readable statement the PDF is rendered from
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payment_plans (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    patient_billing_id INTEGER REFERENCES patient_billing(id) ON DELETE SET NULL,
+    total_amount DECIMAL(10,2) NOT NULL CHECK (total_amount > 0),
+    installment_amount DECIMAL(10,2) NOT NULL CHECK (installment_amount > 0),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    start_date DATE NOT NULL,
+    next_due_date DATE NOT NULL,
+    remaining_balance DECIMAL(10,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'defaulted', 'cancelled')),
+    missed_payments INTEGER NOT NULL DEFAULT 0,
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One active plan per patient
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_plans_active ON payment_plans(patient_id) WHERE status = 'active';
+
+ALTER TABLE billing_transactions
+  ADD COLUMN IF NOT EXISTS payment_plan_id INTEGER REFERENCES payment_plans(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL; -- visit an over-the-counter payment was taken at
+
+CREATE INDEX IF NOT EXISTS idx_patient_statements_patient ON patient_statements(patient_id, statement_date DESC);
+CREATE INDEX IF NOT EXISTS idx_patient_billing_dunning ON patient_billing(dunning_status) WHERE dunning_status <> 'current';
+CREATE INDEX IF NOT EXISTS idx_billing_transactions_payment_plan ON billing_transactions(payment_plan_id);
+
+DROP TRIGGER IF EXISTS trigger_payment_plans_updated_at ON payment_plans;
+CREATE TRIGGER trigger_payment_plans_updated_at
+    BEFORE UPDATE ON payment_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+COMMENT ON TABLE patient_statements IS 'Patient statements with aging buckets; document holds the machine-readable form';
+COMMENT ON TABLE payment_plans IS 'Installment plans for patient balances';
+COMMENT ON COLUMN patient_billing.dunning_status IS 'Collection stage from the age of the oldest unpaid patient amount; hold is a manual override';
@@ -0,0 +1,89 @@
+-- Prior authorization tracking
+-- Per-plan authorization requirements for medications, labs and procedures, PA cases with payer reference, units and expiry
+
+CREATE TABLE IF NOT EXISTS prior_auth_requirements (
+    id SERIAL PRIMARY KEY,
+    insurance_plan_id INTEGER REFERENCES insurance_plans(id) ON DELETE CASCADE, -- NULL applies to every plan
+    service_type VARCHAR(20) NOT NULL CHECK (service_type IN ('medication', 'lab', 'procedure')),
+    code VARCHAR(50) NOT NULL, -- medication RxCUI, NDC or generic name; lab LOINC code or panel name; procedure CPT/HCPCS
+    description VARCHAR(255),
+    enforcement VARCHAR(10) NOT NULL DEFAULT 'block' CHECK (enforcement IN ('block', 'warn')),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prior_auth_requirements_unique
+  ON prior_auth_requirements(COALESCE(insurance_plan_id, 0), service_type, lower(code));
+
+CREATE TABLE IF NOT EXISTS prior_authorizations (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    patient_insurance_id INTEGER REFERENCES patient_insurance(id) ON DELETE SET NULL,
+    insurance_plan_id INTEGER REFERENCES insurance_plans(id) ON DELETE SET NULL,
+    requirement_id INTEGER REFERENCES prior_auth_requirements(id) ON DELETE SET NULL,
+    service_type VARCHAR(20) NOT NULL CHECK (service_type IN ('medication', 'lab', 'procedure')),
+    service_code VARCHAR(50) NOT NULL,
+    service_description VARCHAR(255),
+    medication_id INTEGER REFERENCES medications(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'submitted', 'approved', 'denied', 'expired', 'cancelled')),
+    payer_reference VARCHAR(50), -- authorization number issued by the payer (837P REF*G1)
+    requested_units INTEGER,
+    approved_units INTEGER, -- NULL when the approval is not limited by units
+    used_units INTEGER NOT NULL DEFAULT 0,
+    effective_date DATE,
+    expiry_date DATE,
+    submitted_at TIMESTAMP,
+    decided_at TIMESTAMP,
+    denial_reason TEXT,
+    notes TEXT,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'prescription', 'lab_order')),
+    created_by INTEGER,
+    updated_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Orders and prescriptions that drew units from an authorization
+CREATE TABLE IF NOT EXISTS prior_authorization_usage (
+    id SERIAL PRIMARY KEY,
+    prior_authorization_id INTEGER NOT NULL REFERENCES prior_authorizations(id) ON DELETE CASCADE,
+    order_type VARCHAR(20) NOT NULL CHECK (order_type IN ('prescription', 'lab_order')),
+    order_id INTEGER NOT NULL,
+    units INTEGER NOT NULL DEFAULT 1,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS prior_authorization_history (
+    id SERIAL PRIMARY KEY,
+    prior_authorization_id INTEGER NOT NULL REFERENCES prior_authorizations(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    note TEXT,
+    changed_by INTEGER,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_prior_authorizations_patient ON prior_authorizations(patient_id, service_type, service_code);
+CREATE INDEX IF NOT EXISTS idx_prior_authorizations_open ON prior_authorizations(status, expiry_date)
+  WHERE status IN ('pending', 'submitted', 'approved');
+CREATE INDEX IF NOT EXISTS idx_prior_authorization_usage_auth ON prior_authorization_usage(prior_authorization_id);
+CREATE INDEX IF NOT EXISTS idx_prior_authorization_history_auth ON prior_authorization_history(prior_authorization_id);
+
+DROP TRIGGER IF EXISTS trigger_prior_auth_requirements_updated_at ON prior_auth_requirements;
+CREATE TRIGGER trigger_prior_auth_requirements_updated_at
+    BEFORE UPDATE ON prior_auth_requirements
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_prior_authorizations_updated_at ON prior_authorizations;
+CREATE TRIGGER trigger_prior_authorizations_updated_at
+    BEFORE UPDATE ON prior_authorizations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+COMMENT ON TABLE prior_auth_requirements IS 'Services a plan (or every plan) requires prior authorization for; block stops the order, warn lets it through';
+COMMENT ON TABLE prior_authorizations IS 'Prior authorization cases; pending cases are opened automatically when an order needs one';
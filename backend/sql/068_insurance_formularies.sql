@@ -0,0 +1,39 @@
+-- Insurance plan formularies
+-- Per-plan drug coverage with tiers, prior authorization and step therapy flags, quantity limits and copays (CSV import)
+
+CREATE TABLE IF NOT EXISTS formulary_entries (
+    id SERIAL PRIMARY KEY,
+    insurance_plan_id INTEGER NOT NULL REFERENCES insurance_plans(id) ON DELETE CASCADE,
+    medication_id INTEGER REFERENCES medications(id) ON DELETE SET NULL, -- resolved from NDC, RxCUI or name at import
+    drug_name VARCHAR(255) NOT NULL,
+    rxcui VARCHAR(20),
+    ndc VARCHAR(20),
+    tier SMALLINT CHECK (tier BETWEEN 1 AND 6), -- 1 preferred generic ... 5 specialty; NULL when not covered
+    covered BOOLEAN NOT NULL DEFAULT true,
+    prior_auth_required BOOLEAN NOT NULL DEFAULT false,
+    step_therapy BOOLEAN NOT NULL DEFAULT false,
+    step_therapy_note TEXT,
+    quantity_limit NUMERIC(10,2), -- units per fill
+    quantity_limit_days INTEGER, -- days supply the quantity limit applies to
+    copay_amount NUMERIC(10,2),
+    notes TEXT,
+    source_file VARCHAR(255),
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_formulary_entries_unique
+  ON formulary_entries(insurance_plan_id, COALESCE(ndc, ''), COALESCE(rxcui, ''), lower(drug_name));
+CREATE INDEX IF NOT EXISTS idx_formulary_entries_medication ON formulary_entries(insurance_plan_id, medication_id);
+CREATE INDEX IF NOT EXISTS idx_formulary_entries_rxcui ON formulary_entries(insurance_plan_id, rxcui);
+
+ALTER TABLE insurance_plans ADD COLUMN IF NOT EXISTS formulary_updated_at TIMESTAMP;
+
+DROP TRIGGER IF EXISTS trigger_formulary_entries_updated_at ON formulary_entries;
+CREATE TRIGGER trigger_formulary_entries_updated_at
+    BEFORE UPDATE ON formulary_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+COMMENT ON TABLE formulary_entries IS 'Plan formulary; drugs a plan does not list are reported as not listed, not as uncovered';
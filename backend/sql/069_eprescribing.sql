@@ -0,0 +1,132 @@
+-- E-prescribing (NCPDP SCRIPT 2017071)
+-- Pharmacy directory, electronic prescriptions, the SCRIPT message log and the queue of pharmacy-initiated renewal and change requests
+
+CREATE TABLE IF NOT EXISTS pharmacies (
+    id SERIAL PRIMARY KEY,
+    ncpdp_id VARCHAR(7) NOT NULL UNIQUE,
+    npi VARCHAR(10),
+    name VARCHAR(255) NOT NULL,
+    address_line1 VARCHAR(255),
+    address_line2 VARCHAR(255),
+    city VARCHAR(100),
+    state VARCHAR(2),
+    zip_code VARCHAR(10),
+    phone VARCHAR(20),
+    fax VARCHAR(20),
+    pharmacy_type VARCHAR(20) NOT NULL DEFAULT 'retail'
+      CHECK (pharmacy_type IN ('retail', 'mail_order', 'specialty', 'long_term_care')),
+    accepts_erx BOOLEAN NOT NULL DEFAULT true,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pharmacies_zip ON pharmacies(zip_code) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_pharmacies_name ON pharmacies(lower(name));
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS preferred_pharmacy_id INTEGER REFERENCES pharmacies(id) ON DELETE SET NULL;
+
+-- Prescriber identity for SCRIPT messages (the provider record a user prescribes as)
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS eprescriptions (
+    id SERIAL PRIMARY KEY,
+    prescriber_order_number VARCHAR(35) NOT NULL UNIQUE,
+    patient_medication_id INTEGER REFERENCES patient_medications(id) ON DELETE SET NULL, -- row created by prescribing
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    provider_id INTEGER REFERENCES providers(id) ON DELETE SET NULL,
+    pharmacy_id INTEGER REFERENCES pharmacies(id) ON DELETE SET NULL,
+    medication_id INTEGER REFERENCES medications(id) ON DELETE SET NULL,
+    drug_description VARCHAR(255) NOT NULL,
+    ndc VARCHAR(20),
+    rxcui VARCHAR(20),
+    quantity NUMERIC(10,2) NOT NULL,
+    quantity_unit VARCHAR(10) NOT NULL, -- NCPDP QuantityUnitOfMeasure (NCI code)
+    days_supply INTEGER,
+    refills INTEGER NOT NULL DEFAULT 0 CHECK (refills >= 0 AND refills <= 99),
+    sig TEXT NOT NULL,
+    note TEXT,
+    substitutions_allowed BOOLEAN NOT NULL DEFAULT true,
+    written_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+      CHECK (status IN ('queued', 'sent', 'delivered', 'error', 'cancel_requested', 'cancelled', 'cancel_denied', 'replaced')),
+    status_detail TEXT,
+    pharmacy_rx_number VARCHAR(35),
+    replaces_eprescription_id INTEGER REFERENCES eprescriptions(id) ON DELETE SET NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_eprescriptions_patient ON eprescriptions(patient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_eprescriptions_status ON eprescriptions(status);
+
+CREATE TABLE IF NOT EXISTS erx_messages (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(64) NOT NULL,
+    relates_to_message_id VARCHAR(64),
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+    message_type VARCHAR(30) NOT NULL, -- NewRx, CancelRx, RxRenewalResponse, RxChangeResponse, Status, Verify, Error, ...
+    eprescription_id INTEGER REFERENCES eprescriptions(id) ON DELETE SET NULL,
+    pharmacy_id INTEGER REFERENCES pharmacies(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+      CHECK (status IN ('queued', 'sent', 'acknowledged', 'error', 'received', 'processed')),
+    status_code VARCHAR(10),
+    status_description TEXT,
+    payload TEXT NOT NULL,
+    created_by INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_erx_messages_id ON erx_messages(direction, message_id);
+CREATE INDEX IF NOT EXISTS idx_erx_messages_relates ON erx_messages(relates_to_message_id);
+CREATE INDEX IF NOT EXISTS idx_erx_messages_eprescription ON erx_messages(eprescription_id);
+
+-- Renewal and change requests initiated by pharmacies, worked by the prescriber
+CREATE TABLE IF NOT EXISTS erx_pharmacy_requests (
+    id SERIAL PRIMARY KEY,
+    request_type VARCHAR(10) NOT NULL CHECK (request_type IN ('renewal', 'change')),
+    erx_message_id INTEGER NOT NULL REFERENCES erx_messages(id) ON DELETE CASCADE,
+    eprescription_id INTEGER REFERENCES eprescriptions(id) ON DELETE SET NULL, -- matched original prescription
+    patient_id INTEGER REFERENCES patients(id) ON DELETE SET NULL,
+    provider_id INTEGER REFERENCES providers(id) ON DELETE SET NULL,
+    pharmacy_id INTEGER REFERENCES pharmacies(id) ON DELETE SET NULL,
+    change_code VARCHAR(5), -- RxChangeRequest MessageRequestCode (G generic, T therapeutic, P prior auth, ...)
+    patient_name VARCHAR(255), -- as sent by the pharmacy, for unmatched requests
+    patient_dob DATE,
+    drug_description VARCHAR(255),
+    quantity NUMERIC(10,2),
+    requested_refills INTEGER,
+    pharmacy_note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied', 'replaced')),
+    response_note TEXT,
+    denial_reason_code VARCHAR(5),
+    response_message_id VARCHAR(64),
+    responded_by INTEGER,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_erx_pharmacy_requests_queue ON erx_pharmacy_requests(status, request_type, provider_id);
+
+DROP TRIGGER IF EXISTS trigger_pharmacies_updated_at ON pharmacies;
+CREATE TRIGGER trigger_pharmacies_updated_at
+    BEFORE UPDATE ON pharmacies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_eprescriptions_updated_at ON eprescriptions;
+CREATE TRIGGER trigger_eprescriptions_updated_at
+    BEFORE UPDATE ON eprescriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_insurance_billing_updated_at();
+
+-- Pharmacies answered by the local pharmacy simulator (ERX_TRANSPORT=simulator); 9999999 rejects every NewRx
+INSERT INTO pharmacies (ncpdp_id, npi, name, address_line1, city, state, zip_code, phone, fax, pharmacy_type) VALUES
+  ('0000001', '1111111112', 'Simulator Retail Pharmacy', '1 Test Way', 'Springfield', 'IL', '62701', '2175550101', '2175550102', 'retail'),
+  ('0000002', '1111111120', 'Simulator Mail Order Pharmacy', '2 Test Way', 'Springfield', 'IL', '62701', '2175550103', '2175550104', 'mail_order'),
+  ('9999999', '1111111138', 'Simulator Rejecting Pharmacy', '9 Test Way', 'Springfield', 'IL', '62701', '2175550109', NULL, 'retail')
+ON CONFLICT (ncpdp_id) DO NOTHING;
+
+COMMENT ON TABLE eprescriptions IS 'Prescriptions transmitted to pharmacies as NCPDP SCRIPT NewRx; status follows the pharmacy responses';
+COMMENT ON TABLE erx_pharmacy_requests IS 'Provider renewal/change queue fed by inbound RxRenewalRequest and RxChangeRequest messages';
@@ -0,0 +1,66 @@
+-- Provider schedule templates
+-- Appointment types with default durations, weekly session/lunch/admin blocks per provider and date-specific
+-- exceptions (vacation, extra sessions) from which bookable slots are computed
+
+CREATE TABLE IF NOT EXISTS appointment_types (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE, -- stored in appointments.type
+    name VARCHAR(100) NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0 AND duration_minutes <= 480),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO appointment_types (code, name, duration_minutes) VALUES
+  ('walk-in', 'Walk-in', 15),
+  ('follow-up', 'Follow-up', 15),
+  ('physical', 'Physical Exam', 30),
+  ('urgent', 'Urgent Care', 15),
+  ('consultation', 'Consultation', 30)
+ON CONFLICT (code) DO NOTHING;
+
+-- Weekly blocks; times are clinic local time. Sessions are bookable, lunch and admin blocks are taken out of them.
+CREATE TABLE IF NOT EXISTS provider_schedule_templates (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL REFERENCES providers(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    block_type VARCHAR(10) NOT NULL DEFAULT 'session' CHECK (block_type IN ('session', 'lunch', 'admin')),
+    appointment_types TEXT[], -- appointment type codes a session is limited to; NULL allows all
+    slot_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_interval_minutes BETWEEN 5 AND 240),
+    effective_from DATE,
+    effective_to DATE,
+    label VARCHAR(100),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_time > start_time),
+    CHECK (effective_to IS NULL OR effective_from IS NULL OR effective_to >= effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_templates_provider ON provider_schedule_templates(provider_id, day_of_week) WHERE active = true;
+
+-- Date-specific changes: 'unavailable' removes time (whole days when no times are given, e.g. vacation),
+-- 'available' adds a session outside the weekly template
+CREATE TABLE IF NOT EXISTS provider_schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL REFERENCES providers(id) ON DELETE CASCADE,
+    exception_type VARCHAR(15) NOT NULL DEFAULT 'unavailable' CHECK (exception_type IN ('unavailable', 'available')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason VARCHAR(255),
+    created_by INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    CHECK ((start_time IS NULL AND end_time IS NULL) OR (start_time IS NOT NULL AND end_time IS NOT NULL AND end_time > start_time)),
+    CHECK (exception_type = 'unavailable' OR start_time IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_provider ON provider_schedule_exceptions(provider_id, start_date, end_date);
+
+CREATE INDEX IF NOT EXISTS idx_appts_provider_end ON appointments (provider_id, end_ts);
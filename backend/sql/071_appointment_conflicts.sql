@@ -0,0 +1,9 @@
+-- Appointment conflict rules
+-- Per appointment type overbooking allowance for provider time; room and patient overlaps are always conflicts
+
+ALTER TABLE appointment_types
+  ADD COLUMN IF NOT EXISTS max_overbook INTEGER NOT NULL DEFAULT 0 CHECK (max_overbook BETWEEN 0 AND 10); -- extra concurrent bookings allowed on the provider
+
+UPDATE appointment_types SET max_overbook = 1 WHERE code IN ('walk-in', 'urgent') AND max_overbook = 0;
+
+CREATE INDEX IF NOT EXISTS idx_appts_room_start ON appointments (lower(room), start_ts) WHERE room IS NOT NULL;
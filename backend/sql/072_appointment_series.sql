@@ -0,0 +1,25 @@
+-- Recurring appointment series
+-- A series holds the recurrence rule; every occurrence stays a regular appointments row linked back to it
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL REFERENCES providers(id),
+    patient_id INTEGER REFERENCES patients(id),
+    rrule TEXT NOT NULL, -- RFC 5545 RRULE, e.g. FREQ=WEEKLY;COUNT=8
+    dtstart TIMESTAMPTZ NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    title TEXT,
+    type TEXT,
+    room TEXT,
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS series_index INTEGER, -- 1-based position in the series
+  ADD COLUMN IF NOT EXISTS series_exception BOOLEAN NOT NULL DEFAULT false; -- moved or edited apart from the series
+
+CREATE INDEX IF NOT EXISTS idx_appts_series ON appointments (series_id, series_index) WHERE series_id IS NOT NULL;
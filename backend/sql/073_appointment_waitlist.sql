@@ -0,0 +1,69 @@
+-- Appointment waitlist
+-- Patients waiting for an earlier or specific slot, offers of cancelled slots with hold timeouts, and the patient
+-- notifications the offers (and other appointment messages) are sent through
+
+-- Patient mobile number notifications go to; patient registration already writes it but no migration created it
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS phone VARCHAR(20);
+
+CREATE TABLE IF NOT EXISTS patient_notifications (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    category VARCHAR(30) NOT NULL, -- e.g. waitlist_offer
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email', 'phone')), -- phone: staff call, no contact on file
+    recipient VARCHAR(200),
+    subject VARCHAR(200),
+    body TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sent', 'failed')),
+    error TEXT,
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_notifications_patient ON patient_notifications(patient_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS appointment_waitlist (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    provider_id INTEGER REFERENCES providers(id) ON DELETE CASCADE, -- NULL: any provider
+    appointment_type TEXT, -- appointment_types.code; NULL: any type
+    earliest_date DATE,
+    latest_date DATE,
+    preferred_days SMALLINT[], -- 0 = Sunday; NULL: any day
+    preferred_start_time TIME, -- window the slot must start in; NULL: any time
+    preferred_end_time TIME,
+    priority SMALLINT NOT NULL DEFAULT 3 CHECK (priority BETWEEN 1 AND 5), -- 1 = most urgent
+    notes TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'booked', 'removed')),
+    booked_appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    created_by INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (latest_date IS NULL OR earliest_date IS NULL OR latest_date >= earliest_date),
+    CHECK (preferred_end_time IS NULL OR preferred_start_time IS NULL OR preferred_end_time > preferred_start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_waiting ON appointment_waitlist(priority, created_at) WHERE status = 'waiting';
+
+-- A freed slot offered to one waitlisted patient at a time; expired or declined offers move to the next match
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id SERIAL PRIMARY KEY,
+    waitlist_id INTEGER NOT NULL REFERENCES appointment_waitlist(id) ON DELETE CASCADE,
+    cancelled_appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    provider_id INTEGER NOT NULL REFERENCES providers(id),
+    start_ts TIMESTAMPTZ NOT NULL,
+    end_ts TIMESTAMPTZ NOT NULL,
+    appointment_type TEXT,
+    room TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'withdrawn')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    notification_id INTEGER REFERENCES patient_notifications(id) ON DELETE SET NULL,
+    booked_appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending ON waitlist_offers(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_slot ON waitlist_offers(cancelled_appointment_id);
@@ -0,0 +1,67 @@
+-- Appointment reminders
+-- Reminder rules (how long before the appointment, message templates), the reminders sent for each appointment,
+-- inbound patient replies, and appointment confirmation from those replies
+
+CREATE TABLE IF NOT EXISTS appointment_reminder_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    offset_minutes INTEGER NOT NULL UNIQUE CHECK (offset_minutes > 0), -- sent this long before the start
+    appointment_types TEXT[], -- appointment type codes the rule applies to; NULL: all
+    -- Templates with {{placeholders}}: patientFirstName, patientName, providerName, appointmentType, date, time,
+    -- room, clinicName, clinicPhone
+    sms_template TEXT NOT NULL,
+    email_subject VARCHAR(200) NOT NULL,
+    email_template TEXT NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO appointment_reminder_rules (name, offset_minutes, sms_template, email_subject, email_template) VALUES
+  ('3 days before', 4320,
+   'Hi {{patientFirstName}}, this is {{clinicName}} reminding you of your {{appointmentType}} appointment with {{providerName}} on {{date}} at {{time}}. Reply C to confirm or X to cancel.',
+   'Appointment reminder: {{date}} at {{time}}',
+   E'Hi {{patientFirstName}},\n\nThis is a reminder of your {{appointmentType}} appointment with {{providerName}} on {{date}} at {{time}}.\n\nReply C to confirm or X to cancel, or call us at {{clinicPhone}}.\n\n{{clinicName}}'),
+  ('2 hours before', 120,
+   '{{clinicName}}: your appointment with {{providerName}} is today at {{time}}. Reply C to confirm or X to cancel.',
+   'Your appointment today at {{time}}',
+   E'Hi {{patientFirstName}},\n\nYour appointment with {{providerName}} is today at {{time}}.\n\nReply C to confirm or X to cancel, or call us at {{clinicPhone}}.\n\n{{clinicName}}')
+ON CONFLICT (offset_minutes) DO NOTHING;
+
+-- One row per rule per appointment time, so a rescheduled appointment is reminded again
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    rule_id INTEGER NOT NULL REFERENCES appointment_reminder_rules(id) ON DELETE CASCADE,
+    appointment_start TIMESTAMPTZ NOT NULL,
+    -- sending: claimed by a run before the transport send; skipped: superseded or no contact
+    status VARCHAR(10) NOT NULL CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    notification_id INTEGER REFERENCES patient_notifications(id) ON DELETE SET NULL,
+    error TEXT,
+    claimed_at TIMESTAMPTZ, -- when a run claimed it for sending; a claim left behind by a crash is retaken later
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (appointment_id, rule_id, appointment_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_appointment ON appointment_reminders(appointment_id);
+
+-- Replies received from patients (SMS or email), matched to the notification they answer
+CREATE TABLE IF NOT EXISTS patient_notification_replies (
+    id SERIAL PRIMARY KEY,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('sms', 'email')),
+    sender VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    notification_id INTEGER REFERENCES patient_notifications(id) ON DELETE SET NULL,
+    -- confirmed, cancelled, offer_accepted, offer_declined, no_change (appointment or offer already closed),
+    -- unrecognized (not a confirm or cancel keyword), unmatched (no recent message to this sender)
+    action VARCHAR(20) NOT NULL,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Transport that delivered each notification (console, file, or a registered SMS/email gateway)
+ALTER TABLE patient_notifications ADD COLUMN IF NOT EXISTS transport VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_patient_notifications_recipient ON patient_notifications(recipient, created_at DESC);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ;
@@ -0,0 +1,55 @@
+// Route-level app for integration tests
+// Mounts routers under /api the way server.js does, without starting the HTTP/WebSocket server or its schedulers,
+// so suites can drive the real routes and SQL against the test database with supertest.
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import pool from '../../db/index.js';
+
+export function createTestApp(...routers) {
+  const app = express();
+  app.use(express.json());
+  for (const router of routers) {
+    app.use('/api', router);
+  }
+  return app;
+}
+
+// Same payload shape as /api/auth/login issues
+export function authHeader({ userId = null, role = 'admin', email = 'integration@test.local' } = {}) {
+  const token = jwt.sign(
+    { userId, email, role },
+    process.env.JWT_SECRET || 'your-secret-key-change-in-production',
+    { expiresIn: '15m' }
+  );
+  return `Bearer ${token}`;
+}
+
+export async function insertProvider(overrides = {}) {
+  const { first_name = 'Integration', last_name = 'Provider', specialty = 'Family Medicine' } = overrides;
+  const result = await pool.query(
+    'INSERT INTO providers (first_name, last_name, specialty) VALUES ($1, $2, $3) RETURNING *',
+    [first_name, last_name, specialty]
+  );
+  return result.rows[0];
+}
+
+export async function insertPatient(overrides = {}) {
+  const { first_name = 'Integration', last_name = 'Patient', dob = '1980-04-12', gender = 'female', mrn = null } = overrides;
+  const result = await pool.query(
+    'INSERT INTO patients (first_name, last_name, dob, gender, mrn) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [first_name, last_name, dob, gender, mrn]
+  );
+  return result.rows[0];
+}
+
+export async function insertAppointment({ providerId, patientId, start = new Date(), minutes = 30, status = 'booked',
+  type = null, room = null }) {
+  const end = new Date(new Date(start).getTime() + minutes * 60000);
+  const result = await pool.query(
+    `INSERT INTO appointments (provider_id, patient_id, start_ts, end_ts, status, type, room)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [providerId, patientId, start, end, status, type, room]
+  );
+  return result.rows[0];
+}
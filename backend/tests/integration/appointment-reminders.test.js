@@ -0,0 +1,156 @@
+// Appointment Reminder Integration Tests
+// Runs the reminder routes against the test database: a run sends the due reminder once, retakes a claim left by a
+// crashed run, and a patient's reply confirms the reminded appointment
+
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import pool from '../../db/index.js';
+import { createTestApp, authHeader, insertProvider, insertPatient, insertAppointment } from '../fixtures/apiTestApp.js';
+
+// server.js starts the HTTP/WebSocket server on import; the routes only need its broadcast helpers
+jest.unstable_mockModule('../../server.js', () => ({
+  broadcastAppointmentUpdate: jest.fn(),
+  broadcastMetricsUpdate: jest.fn()
+}));
+
+const { default: remindersRouter } = await import('../../routes/appointment-reminders.routes.js');
+
+describe('Appointment Reminder Integration', () => {
+  const app = createTestApp(remindersRouter);
+  const auth = authHeader();
+  const transport = process.env.NOTIFICATION_TRANSPORT;
+  let provider;
+  let reminded;
+  let crashed;
+  let upcoming;
+  let claimed;
+  let rules;
+  let createdRule;
+
+  const startIn = minutes => {
+    const start = new Date(Date.now() + minutes * 60000);
+    start.setSeconds(0, 0);
+    return start;
+  };
+
+  const remindersFor = async appointmentId => {
+    const response = await request(app)
+      .get('/api/appointment-reminders')
+      .query({ appointmentId })
+      .set('Authorization', auth)
+      .expect(200);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    // The console transport accepts every message, so replies can be matched to a sent reminder
+    process.env.NOTIFICATION_TRANSPORT = 'console';
+    provider = await insertProvider({ last_name: 'Reminder' });
+    reminded = await insertPatient({ first_name: 'Reminded', last_name: 'Reminder' });
+    crashed = await insertPatient({ first_name: 'Crashed', last_name: 'Reminder' });
+    await pool.query('UPDATE patients SET phone = $2 WHERE id = $1', [reminded.id, '6175550142']);
+    await pool.query('UPDATE patients SET phone = $2 WHERE id = $1', [crashed.id, '6175550143']);
+    upcoming = await insertAppointment({ providerId: provider.id, patientId: reminded.id, start: startIn(60) });
+    claimed = await insertAppointment({ providerId: provider.id, patientId: crashed.id, start: startIn(90) });
+
+    const result = await pool.query('SELECT id, offset_minutes FROM appointment_reminder_rules');
+    rules = Object.fromEntries(result.rows.map(row => [row.offset_minutes, row.id]));
+    // A run that crashed after claiming the 2 hour reminder 20 minutes ago
+    await pool.query(`
+      INSERT INTO appointment_reminders (appointment_id, rule_id, appointment_start, status, claimed_at)
+      SELECT id, $2, start_ts, 'sending', NOW() - INTERVAL '20 minutes' FROM appointments WHERE id = $1
+    `, [claimed.id, rules[120]]);
+  });
+
+  afterAll(async () => {
+    if (transport === undefined) delete process.env.NOTIFICATION_TRANSPORT;
+    else process.env.NOTIFICATION_TRANSPORT = transport;
+    const patientIds = [reminded.id, crashed.id];
+    if (createdRule) await pool.query('DELETE FROM appointment_reminder_rules WHERE id = $1', [createdRule.id]);
+    await pool.query('DELETE FROM patient_notification_replies WHERE appointment_id = $1', [upcoming.id]);
+    await pool.query('DELETE FROM appointments WHERE provider_id = $1', [provider.id]);
+    await pool.query('DELETE FROM patients WHERE id = ANY($1::int[])', [patientIds]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('adds a reminder rule and rejects a second rule at the same offset', async () => {
+    const rule = {
+      name: 'Half an hour before',
+      offset: '30m',
+      smsTemplate: 'Your appointment is at {{time}}.',
+      emailSubject: 'Your appointment at {{time}}',
+      emailTemplate: 'Your appointment with {{providerName}} is at {{time}}.',
+      active: false
+    };
+
+    const response = await request(app)
+      .post('/api/appointment-reminders/rules')
+      .set('Authorization', auth)
+      .send(rule)
+      .expect(201);
+    createdRule = response.body.data;
+    expect(createdRule).toMatchObject({ offsetMinutes: 30, active: false });
+
+    await request(app)
+      .post('/api/appointment-reminders/rules')
+      .set('Authorization', auth)
+      .send({ ...rule, name: 'Duplicate' })
+      .expect(409);
+  });
+
+  test('sends the reminder closest to the appointment once and skips the earlier one', async () => {
+    await request(app)
+      .post('/api/appointment-reminders/run')
+      .set('Authorization', auth)
+      .expect(200);
+
+    const reminders = await remindersFor(upcoming.id);
+    expect(reminders).toHaveLength(2);
+    expect(reminders.find(row => row.ruleId === rules[120])).toMatchObject({
+      status: 'sent', channel: 'sms', recipient: '6175550142'
+    });
+    expect(reminders.find(row => row.ruleId === rules[4320])).toMatchObject({ status: 'skipped' });
+
+    await request(app)
+      .post('/api/appointment-reminders/run')
+      .set('Authorization', auth)
+      .expect(200);
+    const notifications = await pool.query(
+      "SELECT id FROM patient_notifications WHERE appointment_id = $1 AND category = 'appointment_reminder'",
+      [upcoming.id]
+    );
+    expect(notifications.rows).toHaveLength(1);
+  });
+
+  test('retakes a reminder left claimed by a run that never finished', async () => {
+    // The claim is 20 minutes old, so the run above sent it again
+    const reminders = await remindersFor(claimed.id);
+    expect(reminders.find(row => row.ruleId === rules[120])).toMatchObject({ status: 'sent' });
+  });
+
+  test('confirms the reminded appointment from the patient\'s reply', async () => {
+    const unrecognized = await request(app)
+      .post('/api/appointment-reminders/replies')
+      .set('Authorization', auth)
+      .send({ channel: 'sms', from: '+1 (617) 555-0142', body: 'No thanks' })
+      .expect(200);
+    expect(unrecognized.body.data).toMatchObject({ action: 'unrecognized', appointment: null });
+
+    const confirmed = await request(app)
+      .post('/api/appointment-reminders/replies')
+      .set('Authorization', auth)
+      .send({ channel: 'sms', from: '+1 (617) 555-0142', body: 'C' })
+      .expect(200);
+    expect(confirmed.body.data).toMatchObject({ action: 'confirmed', appointment: { id: upcoming.id, status: 'booked' } });
+
+    const appointment = await pool.query('SELECT status, confirmed_at FROM appointments WHERE id = $1', [upcoming.id]);
+    expect(appointment.rows[0].status).toBe('booked');
+    expect(appointment.rows[0].confirmed_at).not.toBeNull();
+    const replies = await pool.query(
+      'SELECT action FROM patient_notification_replies WHERE appointment_id = $1 ORDER BY id',
+      [upcoming.id]
+    );
+    expect(replies.rows.map(row => row.action)).toEqual(['unrecognized', 'confirmed']);
+  });
+});
@@ -0,0 +1,145 @@
+// HL7 Inbox Integration Tests
+// Runs the HL7 inbox routes against the test database: a failed ORU message is listed, corrected and reprocessed
+// once, and a failed reprocess leaves the message open for another try
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import pool from '../../db/index.js';
+import hl7InboxRouter from '../../routes/hl7-inbox.routes.js';
+import mllpListenerService from '../../services/mllp-listener.service.js';
+import { createTestApp, authHeader, insertProvider, insertPatient } from '../fixtures/apiTestApp.js';
+
+const stamp = Date.now();
+
+const oru = (controlId, mrn, orderNumber, loincCode) => [
+  'MSH|^~\\&|REF_LAB|QUEST|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ORU^R01|' + controlId + '|P|2.5.1',
+  `PID|1||${mrn}^^^MRN^MR||Inbox^Pat||19800412|F`,
+  `OBR|1|${orderNumber}|F-${orderNumber}|24323-8^Comprehensive metabolic panel^LN|||20240105090000`,
+  `OBX|1|NM|${loincCode}^Result^LN||98|mg/dL|70-99|N|||F`
+].join('\r');
+
+describe('HL7 Inbox Integration', () => {
+  const app = createTestApp(hl7InboxRouter);
+  let provider;
+  let patient;
+  let order;
+  let glucose;
+
+  // Send a message through the listener and return its hl7_messages row
+  const receive = async (controlId, message) => {
+    await mllpListenerService.processMessage(message, '127.0.0.1:5000');
+    const { rows } = await pool.query(
+      "SELECT * FROM hl7_messages WHERE message_control_id = $1 AND direction = 'inbound'",
+      [controlId]
+    );
+    return rows[0];
+  };
+
+  const storedResults = async () => {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM lab_results WHERE lab_test_id = $1', [glucose.id]);
+    return rows[0].count;
+  };
+
+  beforeAll(async () => {
+    provider = await insertProvider({ last_name: 'Inbox' });
+    patient = await insertPatient({ last_name: 'Inbox', mrn: `INBOX-${stamp}` });
+    order = (await pool.query(
+      `INSERT INTO lab_orders (patient_id, provider_id, clinical_indication)
+       VALUES ($1, $2, 'Routine metabolic screening') RETURNING *`,
+      [patient.id, provider.id]
+    )).rows[0];
+    glucose = (await pool.query(
+      `INSERT INTO lab_tests (lab_order_id, loinc_code, test_name)
+       VALUES ($1, '2345-7', 'Glucose') RETURNING *`,
+      [order.id]
+    )).rows[0];
+  });
+
+  afterAll(async () => {
+    await pool.query(
+      `DELETE FROM hl7_messages WHERE acknowledges_message_id IN (
+         SELECT id FROM hl7_messages WHERE message_control_id LIKE $1)`,
+      [`%${stamp}%`]
+    );
+    await pool.query('DELETE FROM hl7_messages WHERE message_control_id LIKE $1', [`%${stamp}%`]);
+    await pool.query('DELETE FROM patients WHERE id = $1', [patient.id]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('lists a result message that matched no ordered test in the error queue', async () => {
+    const message = await receive(`UNMATCHED-${stamp}`, oru(`UNMATCHED-${stamp}`, patient.mrn, order.id, '2160-0'));
+
+    const response = await request(app)
+      .get('/api/hl7/messages')
+      .query({ q: `UNMATCHED-${stamp}` })
+      .set('Authorization', authHeader())
+      .expect(200);
+
+    expect(response.body.data.total).toBe(1);
+    expect(response.body.data.messages[0]).toMatchObject({
+      id: message.id,
+      parsed_successfully: false,
+      lab_order_id: order.id,
+      error_message: 'None of the 1 results match a test on the lab order'
+    });
+  });
+
+  test('applies a corrected message once when two reprocess requests race', async () => {
+    const controlId = `RACE-${stamp}`;
+    const message = await receive(controlId, oru(controlId, patient.mrn, order.id, '2160-0'));
+    const before = await storedResults();
+
+    await request(app)
+      .put(`/api/hl7/messages/${message.id}`)
+      .set('Authorization', authHeader())
+      .send({ hl7Message: oru(controlId, patient.mrn, order.id, '2345-7'), reason: 'lab sent the wrong LOINC' })
+      .expect(200);
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post(`/api/hl7/messages/${message.id}/reprocess`)
+      .set('Authorization', authHeader())));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(await storedResults()).toBe(before + 1);
+
+    const detail = await request(app)
+      .get(`/api/hl7/messages/${message.id}`)
+      .set('Authorization', authHeader())
+      .expect(200);
+    expect(detail.body.data).toMatchObject({
+      parsed_successfully: true,
+      resolution: 'reprocessed',
+      reprocess_count: 1,
+      reprocess_started_at: null
+    });
+    expect(detail.body.data.actions.map(action => action.action)).toEqual(['edit', 'reprocess']);
+  });
+
+  test('leaves a message open after a failed reprocess so it can be linked and retried', async () => {
+    const controlId = `UNLINKED-${stamp}`;
+    const message = await receive(controlId, oru(controlId, patient.mrn, 'EXT-7731', '2345-7'));
+    expect(message).toMatchObject({ parsed_successfully: false, error_message: expect.stringContaining('Lab order not found: EXT-7731') });
+
+    await request(app)
+      .post(`/api/hl7/messages/${message.id}/reprocess`)
+      .set('Authorization', authHeader())
+      .expect(422);
+
+    const { rows } = await pool.query('SELECT * FROM hl7_messages WHERE id = $1', [message.id]);
+    expect(rows[0]).toMatchObject({ parsed_successfully: false, resolution: null, reprocess_started_at: null, reprocess_count: 1 });
+
+    await request(app)
+      .put(`/api/hl7/messages/${message.id}/link`)
+      .set('Authorization', authHeader())
+      .send({ patientId: patient.id, labOrderId: order.id })
+      .expect(200);
+
+    const retry = await request(app)
+      .post(`/api/hl7/messages/${message.id}/reprocess`)
+      .set('Authorization', authHeader())
+      .expect(200);
+
+    expect(retry.body.data).toMatchObject({ patientId: patient.id, labOrderIds: [order.id], resultCount: 1 });
+  });
+});
@@ -0,0 +1,149 @@
+// HL7 Interface Integration Tests
+// Feeds inbound HL7 messages through the MLLP listener's processing against the test database and checks
+// what is stored, how the message log is marked and what is acknowledged
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import pool from '../../db/index.js';
+import mllpListenerService from '../../services/mllp-listener.service.js';
+import { insertProvider, insertPatient } from '../fixtures/apiTestApp.js';
+
+const stamp = Date.now();
+
+const oru = (controlId, mrn, orderId, loincCode) => [
+  'MSH|^~\\&|REF_LAB|QUEST|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ORU^R01|' + controlId + '|P|2.5.1',
+  `PID|1||${mrn}^^^MRN^MR||Interface^Pat||19800412|F`,
+  `OBR|1|${orderId}|F-${orderId}|24323-8^Comprehensive metabolic panel^LN|||20240105090000`,
+  `OBX|1|NM|${loincCode}^Result^LN||98|mg/dL|70-99|N|||F`
+].join('\r');
+
+const adt = (event, controlId, pid, extra = []) => [
+  `MSH|^~\\&|HOSP_ADT|GENERAL|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ADT^${event}^ADT_A01|${controlId}|P|2.5.1`,
+  `EVN|${event}|20240105103000`,
+  pid,
+  ...extra
+].join('\r');
+
+const loggedMessage = async controlId => {
+  const { rows } = await pool.query(
+    "SELECT * FROM hl7_messages WHERE message_control_id = $1 AND direction = 'inbound'",
+    [controlId]
+  );
+  return rows[0];
+};
+
+describe('HL7 Interface Integration', () => {
+  let provider;
+  let patient;
+  let order;
+  let glucose;
+  const createdPatients = [];
+
+  beforeAll(async () => {
+    provider = await insertProvider({ last_name: 'Interface' });
+    patient = await insertPatient({ last_name: 'Interface', mrn: `HL7-${stamp}` });
+    order = (await pool.query(
+      `INSERT INTO lab_orders (patient_id, provider_id, clinical_indication)
+       VALUES ($1, $2, 'Routine metabolic screening') RETURNING *`,
+      [patient.id, provider.id]
+    )).rows[0];
+    glucose = (await pool.query(
+      `INSERT INTO lab_tests (lab_order_id, loinc_code, test_name)
+       VALUES ($1, '2345-7', 'Glucose') RETURNING *`,
+      [order.id]
+    )).rows[0];
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM patient_merges WHERE surviving_patient_id = $1', [patient.id]);
+    await pool.query('UPDATE patients SET merged_into_patient_id = NULL WHERE merged_into_patient_id = ANY($1::int[])', [createdPatients]);
+    await pool.query(
+      `DELETE FROM hl7_messages WHERE acknowledges_message_id IN (
+         SELECT id FROM hl7_messages WHERE message_control_id LIKE $1)`,
+      [`%${stamp}`]
+    );
+    await pool.query('DELETE FROM hl7_messages WHERE message_control_id LIKE $1', [`%${stamp}`]);
+    await pool.query('DELETE FROM patients WHERE id = ANY($1::int[])', [[patient.id, ...createdPatients]]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('stores ORU results against the ordered test and marks the message processed', async () => {
+    const controlId = `ORU1-${stamp}`;
+
+    const ack = await mllpListenerService.processMessage(oru(controlId, patient.mrn, order.id, '2345-7'), '127.0.0.1:5000');
+
+    expect(ack).toContain(`MSA|AA|${controlId}|Processed 1 of 1 results`);
+    const { rows: results } = await pool.query('SELECT * FROM lab_results WHERE lab_test_id = $1', [glucose.id]);
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ result_value: '98', unit: 'mg/dL', abnormal_flag: 'N' });
+    expect(await loggedMessage(controlId)).toMatchObject({ parsed_successfully: true, lab_order_id: order.id, error_message: null });
+  });
+
+  test('answers AE and leaves the message failed when no observation matches an ordered test', async () => {
+    const controlId = `ORU2-${stamp}`;
+
+    const ack = await mllpListenerService.processMessage(oru(controlId, patient.mrn, order.id, '2160-0'), '127.0.0.1:5000');
+
+    expect(ack).toContain(`MSA|AE|${controlId}|None of the 1 results match a test on the lab order`);
+    expect(await loggedMessage(controlId)).toMatchObject({
+      parsed_successfully: false,
+      lab_order_id: order.id,
+      error_message: 'None of the 1 results match a test on the lab order'
+    });
+    const { rows: acks } = await pool.query(
+      'SELECT ack_code FROM hl7_messages WHERE acknowledges_message_id = $1',
+      [(await loggedMessage(controlId)).id]
+    );
+    expect(acks).toEqual([{ ack_code: 'AE' }]);
+  });
+
+  test('registers a patient from ADT^A04 with a new MRN and the sender identifier', async () => {
+    const controlId = `A04-${stamp}`;
+    const pid = `PID|1||H${stamp}^^^GENERAL^MR||Registered^Robin^Q||19750310|M|||9 Elm St^^Springfield^IL^62701||^PRN^PH^^^555^0142`;
+
+    const ack = await mllpListenerService.processMessage(adt('A04', controlId, pid), '127.0.0.1:5000');
+
+    expect(ack).toContain(`MSA|AA|${controlId}|A04 registered patient`);
+    const { rows } = await pool.query("SELECT * FROM patients WHERE identifiers ->> 'GENERAL' = $1", [`H${stamp}`]);
+    expect(rows).toHaveLength(1);
+    createdPatients.push(rows[0].id);
+    expect(rows[0]).toMatchObject({ first_name: 'Robin', last_name: 'Registered', gender: 'male', phone: '5550142' });
+    expect(rows[0].mrn).toBeTruthy();
+    expect(await loggedMessage(controlId)).toMatchObject({ parsed_successfully: true });
+  });
+
+  test('updates demographics from ADT^A08 and leaves absent fields alone', async () => {
+    const controlId = `A08-${stamp}`;
+    const pid = `PID|1||${patient.mrn}^^^MRN^MR||Interface^Pat||19800412|F|||||^PRN^PH^^^555^0100|||M^Married`;
+
+    const ack = await mllpListenerService.processMessage(
+      adt('A08', controlId, pid, ['NK1|1|Interface^Sam|SPO^Spouse||555-0199||EC']),
+      '127.0.0.1:5000'
+    );
+
+    expect(ack).toContain(`MSA|AA|${controlId}|A08 updated patient ${patient.id}`);
+    const { rows } = await pool.query('SELECT * FROM patients WHERE id = $1', [patient.id]);
+    expect(rows[0]).toMatchObject({
+      phone: '5550100',
+      marital_status: 'married',
+      emergency_contact_name: 'Sam Interface',
+      emergency_contact_phone: '555-0199',
+      dob: patient.dob
+    });
+  });
+
+  test('merges a duplicate record into the surviving patient on ADT^A40', async () => {
+    const duplicate = await insertPatient({ first_name: 'Pat', last_name: 'Interface', mrn: `DUP-${stamp}` });
+    createdPatients.push(duplicate.id);
+    const controlId = `A40-${stamp}`;
+
+    const ack = await mllpListenerService.processMessage(
+      adt('A40', controlId, `PID|1||${patient.mrn}^^^MRN^MR||Interface^Pat||19800412|F`, [`MRG|${duplicate.mrn}^^^MRN^MR`]),
+      '127.0.0.1:5000'
+    );
+
+    expect(ack).toContain(`MSA|AA|${controlId}`);
+    const { rows } = await pool.query('SELECT merged_into_patient_id FROM patients WHERE id = $1', [duplicate.id]);
+    expect(rows[0].merged_into_patient_id).toBe(patient.id);
+  });
+});
@@ -0,0 +1,106 @@
+// Prior Authorization Integration Tests
+// Runs the prior authorization and lab order routes against the test database: a plan requirement blocks the order
+// and opens a case, the approval lets orders through until its units are used, and racing orders cannot overdraw it
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import pool from '../../db/index.js';
+import priorAuthRouter from '../../routes/prior-auth.routes.js';
+import labsRouter from '../../routes/labs.routes.js';
+import { createTestApp, authHeader, insertProvider, insertPatient } from '../fixtures/apiTestApp.js';
+
+const stamp = Date.now();
+
+describe('Prior Authorization Integration', () => {
+  const app = createTestApp(priorAuthRouter, labsRouter);
+  let provider;
+  let patient;
+  let plan;
+  let auth;
+
+  // Lab orders record the ordering user as the order's provider
+  const orderLab = () => request(app)
+    .post('/api/labs/orders')
+    .set('Authorization', auth)
+    .send({
+      patientId: patient.id,
+      clinicalIndication: 'Suspected vitamin D deficiency',
+      tests: [{ loincCode: '1989-3', testName: 'Vitamin D, 25-hydroxy' }]
+    });
+
+  const patientCases = async () => {
+    const response = await request(app)
+      .get(`/api/patients/${patient.id}/prior-auths`)
+      .set('Authorization', auth)
+      .expect(200);
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    provider = await insertProvider({ last_name: 'Authorization' });
+    patient = await insertPatient({ last_name: 'Authorization' });
+    auth = authHeader({ userId: provider.id });
+    plan = (await pool.query(
+      `INSERT INTO insurance_plans (plan_name, insurance_company, plan_type)
+       VALUES ($1, 'Integration Health', 'PPO') RETURNING *`,
+      [`Integration PPO ${stamp}`]
+    )).rows[0];
+    await pool.query(
+      `INSERT INTO patient_insurance (patient_id, insurance_plan_id, policy_number, priority_order, status)
+       VALUES ($1, $2, $3, 1, 'active')`,
+      [patient.id, plan.id, `POL-${stamp}`]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM prior_authorizations WHERE patient_id = $1', [patient.id]);
+    await pool.query('DELETE FROM patients WHERE id = $1', [patient.id]);
+    await pool.query('DELETE FROM insurance_plans WHERE id = $1', [plan.id]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('blocks a lab order the plan requires authorization for and opens a pending case', async () => {
+    await request(app)
+      .post('/api/prior-auth-requirements')
+      .set('Authorization', auth)
+      .send({ insurancePlanId: plan.id, serviceType: 'lab', code: '1989-3', description: 'Vitamin D', enforcement: 'block' })
+      .expect(201);
+
+    const response = await orderLab().expect(409);
+
+    expect(response.body.priorAuth.blocked).toBe(true);
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM lab_orders WHERE patient_id = $1', [patient.id]);
+    expect(rows[0].count).toBe(0);
+    expect(await patientCases()).toEqual([
+      expect.objectContaining({ serviceType: 'lab', serviceCode: '1989-3', status: 'pending', source: 'lab_order' })
+    ]);
+  });
+
+  test('lets one of two racing orders draw the last approved unit and records who ordered it', async () => {
+    const [pending] = await patientCases();
+    await request(app)
+      .put(`/api/prior-auths/${pending.id}`)
+      .set('Authorization', auth)
+      .send({ status: 'approved', payerReference: `PA-${stamp}`, approvedUnits: 1, expiryDate: '2099-12-31' })
+      .expect(200);
+
+    const responses = await Promise.all([orderLab(), orderLab()]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    const blocked = responses.find(response => response.status === 409);
+    expect(blocked.body.error).toBe('Prior authorization for Vitamin D, 25-hydroxy has no units left');
+
+    const detail = await request(app)
+      .get(`/api/prior-auths/${pending.id}`)
+      .set('Authorization', auth)
+      .expect(200);
+    expect(detail.body.data).toMatchObject({ status: 'approved', approvedUnits: 1, usedUnits: 1 });
+    expect(detail.body.data.usage).toEqual([
+      expect.objectContaining({ order_type: 'lab_order', units: 1, created_by: provider.id })
+    ]);
+
+    const { rows } = await pool.query('SELECT provider_id FROM lab_orders WHERE patient_id = $1', [patient.id]);
+    expect(rows).toEqual([{ provider_id: provider.id }]);
+  });
+});
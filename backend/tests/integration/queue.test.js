@@ -0,0 +1,65 @@
+// Patient Queue Integration Tests
+// Runs the queue routes against the test database: today's checked-in appointments with the patient's balance flag
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import pool from '../../db/index.js';
+import queueRouter from '../../routes/queue.js';
+import { createTestApp, authHeader, insertProvider, insertPatient, insertAppointment } from '../fixtures/apiTestApp.js';
+
+describe('Patient Queue Integration', () => {
+  const app = createTestApp(queueRouter);
+  let provider;
+  let patient;
+  let arrived;
+  let booked;
+
+  beforeAll(async () => {
+    provider = await insertProvider({ last_name: 'Queue' });
+    patient = await insertPatient({ last_name: 'Queue' });
+    arrived = await insertAppointment({ providerId: provider.id, patientId: patient.id, status: 'arrived', room: 'Exam 2' });
+    booked = await insertAppointment({ providerId: provider.id, patientId: patient.id, start: new Date(Date.now() + 3600000) });
+    await pool.query(
+      `INSERT INTO patient_billing (patient_id, current_balance, dunning_status, payment_plan_active)
+       VALUES ($1, 125.50, 'past_due', false)`,
+      [patient.id]
+    );
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM patient_billing WHERE patient_id = $1', [patient.id]);
+    await pool.query('DELETE FROM appointments WHERE patient_id = $1', [patient.id]);
+    await pool.query('DELETE FROM patients WHERE id = $1', [patient.id]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('lists checked-in patients with their outstanding balance', async () => {
+    const response = await request(app)
+      .get('/api/queue')
+      .set('Authorization', authHeader())
+      .expect(200);
+
+    const entry = response.body.data.find(row => row.appointment_id === arrived.id);
+    expect(entry).toMatchObject({
+      patient_id: patient.id,
+      status: 'waiting',
+      appointment_status: 'arrived',
+      room: 'Exam 2',
+      dunning_status: 'past_due',
+      payment_plan_active: false
+    });
+    expect(Number(entry.balance_due)).toBe(125.5);
+    expect(response.body.data.some(row => row.appointment_id === booked.id)).toBe(false);
+  });
+
+  test('counts checked-in patients in the day metrics', async () => {
+    const response = await request(app)
+      .get('/api/queue/metrics')
+      .set('Authorization', authHeader())
+      .expect(200);
+
+    expect(Number(response.body.data.waiting)).toBeGreaterThanOrEqual(1);
+    expect(Number(response.body.data.total_appointments)).toBeGreaterThanOrEqual(2);
+  });
+});
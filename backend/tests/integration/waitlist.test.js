@@ -0,0 +1,124 @@
+// Appointment Waitlist Integration Tests
+// Runs the waitlist and appointment routes against the test database: cancelling an appointment offers the slot to
+// the waitlisted patient, and accepting the offer books it once
+
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import pool from '../../db/index.js';
+import { createTestApp, authHeader, insertProvider, insertPatient, insertAppointment } from '../fixtures/apiTestApp.js';
+
+// server.js starts the HTTP/WebSocket server on import; the routes only need its broadcast helpers
+jest.unstable_mockModule('../../server.js', () => ({
+  broadcastAppointmentUpdate: jest.fn(),
+  broadcastMetricsUpdate: jest.fn()
+}));
+
+const { default: waitlistRouter } = await import('../../routes/waitlist.routes.js');
+const { default: appointmentsRouter } = await import('../../routes/appointments.js');
+
+const dateOnly = date => date.toISOString().split('T')[0];
+
+describe('Appointment Waitlist Integration', () => {
+  const app = createTestApp(waitlistRouter, appointmentsRouter);
+  const auth = authHeader();
+  let provider;
+  let booked;
+  let waiting;
+  let cancelled;
+  let entry;
+
+  // The slot is offered after the cancellation response is sent, and the patient notified after the offer is saved
+  const pendingOffer = async () => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await request(app)
+        .get('/api/waitlist/offers')
+        .query({ providerId: provider.id })
+        .set('Authorization', auth)
+        .expect(200);
+      const offer = response.body.data.find(row => row.waitlistId === entry.id);
+      if (offer?.notification) return offer;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+  };
+
+  beforeAll(async () => {
+    provider = await insertProvider({ last_name: 'Waitlist' });
+    booked = await insertPatient({ first_name: 'Booked', last_name: 'Waitlist' });
+    waiting = await insertPatient({ first_name: 'Waiting', last_name: 'Waitlist' });
+    const start = new Date(Date.now() + 2 * 86400000);
+    start.setMinutes(0, 0, 0);
+    cancelled = await insertAppointment({ providerId: provider.id, patientId: booked.id, start, room: 'Exam 4' });
+  });
+
+  afterAll(async () => {
+    await pool.query('DELETE FROM waitlist_offers WHERE provider_id = $1', [provider.id]);
+    await pool.query('DELETE FROM appointment_waitlist WHERE patient_id = ANY($1::int[])', [[booked.id, waiting.id]]);
+    await pool.query('DELETE FROM appointments WHERE provider_id = $1', [provider.id]);
+    await pool.query('DELETE FROM patients WHERE id = ANY($1::int[])', [[booked.id, waiting.id]]);
+    await pool.query('DELETE FROM providers WHERE id = $1', [provider.id]);
+    await pool.end();
+  });
+
+  test('puts a patient on the waitlist for a provider and date range', async () => {
+    const response = await request(app)
+      .post('/api/waitlist')
+      .set('Authorization', auth)
+      .send({
+        patientId: waiting.id,
+        providerId: provider.id,
+        earliestDate: dateOnly(new Date()),
+        latestDate: dateOnly(new Date(Date.now() + 7 * 86400000)),
+        priority: 2
+      })
+      .expect(201);
+    entry = response.body.data;
+
+    const list = await request(app)
+      .get('/api/waitlist')
+      .query({ patientId: waiting.id })
+      .set('Authorization', auth)
+      .expect(200);
+    expect(list.body.data).toEqual([expect.objectContaining({ id: entry.id, status: 'waiting', priority: 2 })]);
+  });
+
+  test('offers a cancelled slot to the waitlisted patient', async () => {
+    await request(app)
+      .put(`/api/appointments/${cancelled.id}`)
+      .set('Authorization', auth)
+      .send({ status: 'cancelled' })
+      .expect(200);
+
+    const offer = await pendingOffer();
+
+    expect(offer).toMatchObject({ status: 'pending', patientId: waiting.id, providerId: provider.id, room: 'Exam 4' });
+    expect(new Date(offer.start).getTime()).toBe(new Date(cancelled.start_ts).getTime());
+    const notifications = await pool.query('SELECT category FROM patient_notifications WHERE patient_id = $1', [waiting.id]);
+    expect(notifications.rows).toEqual([{ category: 'waitlist_offer' }]);
+  });
+
+  test('books the slot when the offer is accepted, and only once', async () => {
+    const offer = await pendingOffer();
+
+    const response = await request(app)
+      .post(`/api/waitlist/offers/${offer.id}/accept`)
+      .set('Authorization', auth)
+      .expect(200);
+
+    const { rows } = await pool.query(
+      "SELECT * FROM appointments WHERE patient_id = $1 AND status = 'booked'",
+      [waiting.id]
+    );
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ provider_id: provider.id, room: 'Exam 4' });
+    expect(response.body.data.appointment.id).toBe(rows[0].id);
+
+    const entries = await pool.query('SELECT status, booked_appointment_id FROM appointment_waitlist WHERE id = $1', [entry.id]);
+    expect(entries.rows[0]).toEqual({ status: 'booked', booked_appointment_id: rows[0].id });
+
+    await request(app)
+      .post(`/api/waitlist/offers/${offer.id}/accept`)
+      .set('Authorization', auth)
+      .expect(409);
+  });
+});
@@ -0,0 +1,288 @@
+// Appointment Reminder Tests
+// Tests sending the due reminder closest to each appointment from its template, applying confirm and cancel
+// replies to the appointment or waitlist offer they answer, and the file notification transport
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pool from '../../db/index.js';
+import appointmentReminderService from '../../services/appointment-reminder.service.js';
+import notificationService from '../../services/notification.service.js';
+import waitlistService from '../../services/waitlist.service.js';
+import { SchedulingError } from '../../services/scheduling.service.js';
+
+const start = new Date('2030-03-11T10:00:00');
+const due = (id, ruleId, offsetMinutes, overrides = {}) => ({
+  id, patient_id: 100 + id, provider_id: 2, start_ts: start, type: 'follow-up', room: 'Exam 3',
+  rule_id: ruleId, offset_minutes: offsetMinutes,
+  sms_template: 'Hi {{patientFirstName}}, see {{providerName}} {{date}} at {{time}} for your {{appointmentType}}.',
+  email_subject: 'Your {{appointmentType}} on {{date}}', email_template: 'Dear {{patientName}}, {{room}}',
+  patient_first_name: 'Ana', patient_last_name: 'Ruiz', provider_first_name: 'Lee', provider_last_name: 'Park',
+  type_name: 'Follow-up', ...overrides
+});
+
+const reminder = { id: 90, category: 'appointment_reminder', appointment_id: 5, data: {} };
+const appointment = { id: 5, provider_id: 2, patient_id: 105, start, end: new Date('2030-03-11T10:30:00'),
+  type: 'follow-up', room: null, status: 'booked' };
+
+// Reply handling against a matched notification; the appointment update returns `updated`
+const mockReply = (notification, updated = [appointment]) => {
+  jest.spyOn(notificationService, 'findLatestTo').mockResolvedValue(notification);
+  return jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+    if (/UPDATE appointments/.test(sql)) return { rows: updated };
+    return { rows: [] };
+  });
+};
+const reply = (body, from = '5550100') => appointmentReminderService.handleReply({ channel: 'sms', from, body });
+const recordedReply = (query) =>
+  query.mock.calls.find(([sql]) => /INSERT INTO patient_notification_replies/.test(sql))[1];
+
+describe('Appointment Reminders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.NOTIFICATION_TRANSPORT;
+  });
+
+  describe('Rules and templates', () => {
+    test('renders placeholders and parses offsets', () => {
+      expect(appointmentReminderService.renderTemplate('Hi {{ name }}, {{missing}}call {{phone}}', {
+        name: 'Ana', phone: '555-0100'
+      })).toBe('Hi Ana, call 555-0100');
+      expect(appointmentReminderService.parseOffset('72h')).toBe(4320);
+      expect(appointmentReminderService.parseOffset('2h')).toBe(120);
+      expect(appointmentReminderService.parseOffset('1d')).toBe(1440);
+      expect(appointmentReminderService.parseOffset('soon')).toBeNaN();
+    });
+
+    test('validates the offset and templates', async () => {
+      await expect(appointmentReminderService.saveRule({ offset: '0h' })).rejects.toMatchObject({ status: 422 });
+      await expect(appointmentReminderService.saveRule({ offset: '2h', smsTemplate: 'Hi' }))
+        .rejects.toThrow('emailSubject is required');
+    });
+  });
+
+  describe('Sending due reminders', () => {
+    test('sends only the due rule closest to the appointment and skips patients with no contact', async () => {
+      const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params = []) => {
+        if (/JOIN appointment_reminder_rules r/.test(sql)) {
+          return { rows: [due(5, 2, 120), due(5, 1, 4320), due(6, 2, 120)] };
+        }
+        if (/'sending', \$4/.test(sql)) return { rows: [{ id: 30 + params[0] }] };
+        return { rows: [] };
+      });
+      jest.spyOn(notificationService, 'resolveRecipient').mockImplementation(async (patientId) =>
+        (patientId === 105 ? { channel: 'sms', recipient: '555-0100' } : { channel: 'phone', recipient: null }));
+      const send = jest.spyOn(notificationService, 'send').mockResolvedValue({ id: 90, status: 'sent' });
+
+      const summary = await appointmentReminderService.sendDueReminders(new Date('2030-03-11T08:30:00'));
+
+      expect(summary).toEqual({ sent: 1, failed: 0, skipped: 2 });
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        patientId: 105, appointmentId: 5, category: 'appointment_reminder', channel: 'sms',
+        data: { ruleId: 2, offsetMinutes: 120 }
+      }));
+      expect(send.mock.calls[0][0].body).toMatch(/^Hi Ana, see Dr\. Lee Park .+ for your follow-up\.$/);
+
+      const recorded = query.mock.calls
+        .filter(([sql]) => /INSERT INTO appointment_reminders/.test(sql))
+        .map(([sql, params]) => [params[0], params[1], /'sending', \$4/.test(sql) ? 'sending' : params[3]]);
+      expect(recorded).toEqual([[5, 1, 'skipped'], [5, 2, 'sending'], [6, 2, 'sending']]);
+      const finished = query.mock.calls
+        .filter(([sql]) => /UPDATE appointment_reminders/.test(sql))
+        .map(([, params]) => params.slice(0, 3));
+      expect(finished).toEqual([[35, 'sent', 90], [36, 'skipped', null]]);
+    });
+
+    test('does not send a reminder another run has already claimed', async () => {
+      jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+        if (/JOIN appointment_reminder_rules r/.test(sql)) return { rows: [due(5, 2, 120)] };
+        return { rows: [] };
+      });
+      const resolveRecipient = jest.spyOn(notificationService, 'resolveRecipient');
+      const send = jest.spyOn(notificationService, 'send');
+
+      expect(await appointmentReminderService.sendDueReminders(new Date('2030-03-11T08:30:00')))
+        .toEqual({ sent: 0, failed: 0, skipped: 0 });
+      expect(resolveRecipient).not.toHaveBeenCalled();
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    test('takes over claims left behind by a run that never finished', async () => {
+      const now = new Date('2030-03-11T08:30:00');
+      const query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+        if (/JOIN appointment_reminder_rules r/.test(sql)) return { rows: [due(5, 2, 120)] };
+        if (/'sending', \$4/.test(sql)) return { rows: [{ id: 35 }] };
+        return { rows: [] };
+      });
+      jest.spyOn(notificationService, 'resolveRecipient').mockResolvedValue({ channel: 'sms', recipient: '555-0100' });
+      jest.spyOn(notificationService, 'send').mockResolvedValue({ id: 90, status: 'sent' });
+
+      expect(await appointmentReminderService.sendDueReminders(now)).toEqual({ sent: 1, failed: 0, skipped: 0 });
+
+      const staleBefore = new Date('2030-03-11T08:15:00');
+      const [dueSql, dueParams] = query.mock.calls[0];
+      expect(dueSql).toMatch(/NOT \(ar.status = 'sending' AND ar.claimed_at < \$3\)/);
+      expect(dueParams[2]).toEqual(staleBefore);
+      const [claimSql, claimParams] = query.mock.calls.find(([sql]) => /'sending', \$4/.test(sql));
+      expect(claimSql).toMatch(/DO UPDATE[\s\S]+WHERE appointment_reminders.status = 'sending'/);
+      expect(claimParams.slice(3)).toEqual([now, staleBefore]);
+    });
+
+    test('the scheduler skips a tick while the previous run is still going', async () => {
+      jest.useFakeTimers();
+      let finish;
+      const sendDue = jest.spyOn(appointmentReminderService, 'sendDueReminders')
+        .mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+      jest.spyOn(appointmentReminderService, 'processReplies').mockResolvedValue({ appointments: [] });
+
+      const timer = appointmentReminderService.startScheduler();
+      try {
+        jest.advanceTimersByTime(60 * 1000);
+        jest.advanceTimersByTime(60 * 1000);
+        expect(sendDue).toHaveBeenCalledTimes(1);
+
+        finish({ sent: 0, failed: 0, skipped: 0 });
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        expect(sendDue).toHaveBeenCalledTimes(2);
+      } finally {
+        clearInterval(timer);
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Replies', () => {
+    test('a confirm reply marks the appointment confirmed', async () => {
+      const query = mockReply(reminder);
+
+      const result = await reply(' c ', '+1 555-0100');
+
+      expect(result).toEqual({ action: 'confirmed', appointment });
+      const update = query.mock.calls.find(([sql]) => /UPDATE appointments/.test(sql));
+      expect(update[0]).toMatch(/confirmed_at = NOW\(\)/);
+      expect(update[1][0]).toBe(5);
+      expect(recordedReply(query).slice(3, 6)).toEqual([90, 'confirmed', 5]);
+    });
+
+    test('logs the notification and appointment a reply answered, not the sender', async () => {
+      mockReply(reminder);
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await reply('C', '+1 555-0100');
+
+      const logged = log.mock.calls.flat().join(' ');
+      expect(logged).toContain('notification #90 (appointment #5): confirmed');
+      expect(logged).not.toMatch(/555/);
+    });
+
+    test('a cancel reply cancels the appointment and offers the slot to the waitlist', async () => {
+      const query = mockReply(reminder, [{ ...appointment, status: 'cancelled' }]);
+      const offerSlot = jest.spyOn(waitlistService, 'offerSlot').mockResolvedValue(null);
+
+      const result = await reply('X please');
+
+      expect(result.action).toBe('cancelled');
+      expect(query.mock.calls.find(([sql]) => /UPDATE appointments/.test(sql))[0]).toMatch(/status = 'cancelled'/);
+      expect(offerSlot).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: 5, providerId: 2, start }));
+    });
+
+    test('leaves past or already cancelled appointments alone', async () => {
+      mockReply(reminder, []);
+      const offerSlot = jest.spyOn(waitlistService, 'offerSlot');
+
+      const result = await reply('CANCEL');
+
+      expect(result).toEqual({ action: 'no_change', appointment: null });
+      expect(offerSlot).not.toHaveBeenCalled();
+    });
+
+    test.each(['No problem, see you then', 'No worries', 'NO thanks, all good', 'N', 'Yes', 'OK thanks'])(
+      'does not act on a reminder reply of %p', async (body) => {
+        const query = mockReply(reminder);
+        const offerSlot = jest.spyOn(waitlistService, 'offerSlot');
+
+        expect(await reply(body)).toEqual({ action: 'unrecognized', appointment: null });
+        expect(query.mock.calls.some(([sql]) => /UPDATE appointments/.test(sql))).toBe(false);
+        expect(offerSlot).not.toHaveBeenCalled();
+      }
+    );
+
+    test('YES and NO answer a waitlist offer', async () => {
+      const offer = { id: 91, category: 'waitlist_offer', appointment_id: 77, data: { offerId: 60, waitlistId: 3 } };
+      mockReply(offer);
+      const acceptOffer = jest.spyOn(waitlistService, 'acceptOffer').mockResolvedValue({ offer: {}, appointment });
+      const declineOffer = jest.spyOn(waitlistService, 'declineOffer').mockResolvedValue({ offer: {}, next: null });
+
+      expect(await reply('Yes!')).toEqual({ action: 'offer_accepted', appointment });
+      expect(acceptOffer).toHaveBeenCalledWith(60);
+
+      expect((await reply('no')).action).toBe('offer_declined');
+      expect(declineOffer).toHaveBeenCalledWith(60);
+
+      acceptOffer.mockRejectedValue(new SchedulingError('Offer is expired', 409));
+      expect((await reply('yes')).action).toBe('no_change');
+    });
+
+    test('records replies it cannot match or understand', async () => {
+      let query = mockReply(null);
+      expect((await reply('C', '5550199')).action).toBe('unmatched');
+      expect(recordedReply(query).slice(3, 6)).toEqual([null, 'unmatched', null]);
+
+      jest.restoreAllMocks();
+      query = mockReply(reminder);
+      expect((await reply('What time?')).action).toBe('unrecognized');
+      expect(query.mock.calls.some(([sql]) => /UPDATE appointments/.test(sql))).toBe(false);
+
+      await expect(appointmentReminderService.handleReply({ channel: 'fax', from: '5550100', body: 'C' }))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('File transport', () => {
+    test('writes messages to the outbox and collects replies from the inbox', async () => {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'notifications-'));
+      const transport = notificationService.transports.file;
+      const { outboxDir, inboxDir } = transport;
+      Object.assign(transport, { outboxDir: path.join(dir, 'outbox'), inboxDir: path.join(dir, 'inbox') });
+      process.env.NOTIFICATION_TRANSPORT = 'file';
+
+      try {
+        jest.spyOn(notificationService, 'resolveRecipient')
+          .mockResolvedValue({ channel: 'sms', recipient: '555-0100' });
+        jest.spyOn(pool, 'query').mockImplementation(async (sql, params = []) => {
+          if (/INSERT INTO patient_notifications/.test(sql)) {
+            return { rows: [{
+              id: 90, patient_id: params[0], category: params[2], channel: params[3], recipient: params[4],
+              body: params[6], status: 'queued'
+            }] };
+          }
+          if (/SET status = 'sent'/.test(sql)) {
+            return { rows: [{ id: params[0], status: 'sent', transport: params[1] }] };
+          }
+          return { rows: [] };
+        });
+
+        const sent = await notificationService.send({
+          patientId: 105, category: 'appointment_reminder', body: 'See you'
+        });
+        expect(sent).toMatchObject({ status: 'sent', transport: 'file' });
+        const [outboxFile] = await fs.promises.readdir(transport.outboxDir);
+        expect(JSON.parse(await fs.promises.readFile(path.join(transport.outboxDir, outboxFile), 'utf8')))
+          .toMatchObject({ id: 90, channel: 'sms', to: '555-0100', body: 'See you' });
+
+        await fs.promises.mkdir(transport.inboxDir);
+        await fs.promises.writeFile(path.join(transport.inboxDir, 'reply-1.json'),
+          JSON.stringify({ channel: 'sms', from: '555-0100', body: 'C' }));
+        expect(await notificationService.collectReplies())
+          .toEqual([{ channel: 'sms', from: '555-0100', body: 'C', fileName: 'reply-1.json' }]);
+        expect(await fs.promises.readdir(path.join(transport.inboxDir, 'processed'))).toEqual(['reply-1.json']);
+        expect(await notificationService.collectReplies()).toEqual([]);
+      } finally {
+        Object.assign(transport, { outboxDir, inboxDir });
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// Appointment Series Tests
+// Tests RRULE parsing and expansion, creating a series as appointment rows with conflict handling, and editing or
+// cancelling this-and-following or whole-series occurrences
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import appointmentSeriesService from '../../services/appointment-series.service.js';
+import { SchedulingConflictError } from '../../services/scheduling.service.js';
+import { parseRRule, expandRRule, RRuleError } from '../../utils/rrule.js';
+
+const local = (date, time = '09:00') => new Date(`${date}T${time}:00`);
+const dates = occurrences => occurrences.map(date => [
+  date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')
+].join('-'));
+
+// Transaction client answering conflict checks from a list of booked appointments and recording writes
+const mockClient = ({ booked = [], series = [] } = {}) => {
+  const client = { query: jest.fn(), release: jest.fn(), inserted: [], updated: [] };
+  client.query.mockImplementation(async (sql, params = []) => {
+    if (/INSERT INTO appointment_series/.test(sql)) return { rows: [{ id: 40, rrule: params[2] }] };
+    if (/FROM appointments a/.test(sql)) {
+      const [start, end] = params;
+      return { rows: booked.filter(row => row.start_ts < end && row.end_ts > start && row.id !== params[7]) };
+    }
+    if (/INSERT INTO appointments/.test(sql)) {
+      const row = { id: 500 + client.inserted.length, start: params[2], end: params[3], series_id: params[9], series_index: params[10] };
+      client.inserted.push(row);
+      return { rows: [row] };
+    }
+    if (/FROM appointments\s+WHERE series_id/.test(sql)) {
+      return { rows: series.filter(row => params[2] === null || row.series_index >= params[2] || row.id === params[3]) };
+    }
+    if (/UPDATE appointments SET/.test(sql)) {
+      const row = { id: params[0], start: params[3], end: params[4], room: params[8], status: params[9] };
+      client.updated.push(row);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  return client;
+};
+
+describe('Appointment Series', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('RRULE', () => {
+    test('expands weekly, multi-day and monthly rules from the first occurrence', () => {
+      expect(dates(expandRRule('FREQ=WEEKLY;COUNT=8', local('2030-03-04')))).toEqual([
+        '2030-03-04', '2030-03-11', '2030-03-18', '2030-03-25', '2030-04-01', '2030-04-08', '2030-04-15', '2030-04-22'
+      ]);
+      expect(dates(expandRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=4', local('2030-03-05')))).toEqual([
+        '2030-03-07', '2030-03-18', '2030-03-21', '2030-04-01'
+      ]);
+      expect(dates(expandRRule('FREQ=MONTHLY;UNTIL=20300630', local('2030-01-31')))).toEqual([
+        '2030-01-31', '2030-03-31', '2030-05-31'
+      ]);
+    });
+
+    test('keeps the local time of day across daylight saving changes', () => {
+      const occurrences = expandRRule('FREQ=WEEKLY;COUNT=3', local('2030-03-04', '09:30'));
+      expect(occurrences.map(date => [date.getHours(), date.getMinutes()])).toEqual([[9, 30], [9, 30], [9, 30]]);
+    });
+
+    test('rejects open-ended, oversized and unsupported rules', () => {
+      expect(() => parseRRule('FREQ=WEEKLY')).toThrow('A series needs COUNT or UNTIL');
+      expect(() => parseRRule('FREQ=YEARLY;COUNT=2')).toThrow(RRuleError);
+      expect(() => parseRRule('FREQ=MONTHLY;BYDAY=MO;COUNT=2')).toThrow('BYDAY is only supported with FREQ=WEEKLY');
+      expect(() => parseRRule('FREQ=DAILY;COUNT=500')).toThrow('COUNT must be between 1 and 104');
+      expect(() => expandRRule('FREQ=DAILY;UNTIL=20400101', local('2030-01-01'))).toThrow('at most 104 occurrences');
+    });
+  });
+
+  describe('Creating', () => {
+    const data = {
+      providerId: 2, patientId: 11, start: local('2030-03-04').toISOString(), end: local('2030-03-04', '09:45').toISOString(),
+      rrule: 'FREQ=WEEKLY;COUNT=3', type: 'physical', title: 'Physical therapy'
+    };
+    const booked = {
+      id: 9, provider_id: 2, patient_id: 30, start_ts: local('2030-03-11', '09:30'), end_ts: local('2030-03-11', '10:00'),
+      room: null, max_overbook: 0
+    };
+
+    test('creates one appointment row per occurrence linked to the series', async () => {
+      const client = mockClient();
+
+      const result = await appointmentSeriesService.createSeries(data, 5);
+
+      expect(result.series.id).toBe(40);
+      expect(result.appointments).toHaveLength(3);
+      expect(client.inserted.map(row => [row.series_id, row.series_index])).toEqual([[40, 1], [40, 2], [40, 3]]);
+      expect(client.inserted[1].end.getTime() - client.inserted[1].start.getTime()).toBe(45 * 60 * 1000);
+      expect(client.query.mock.calls.at(-1)[0]).toBe('COMMIT');
+    });
+
+    test('rejects the series when an occurrence conflicts, or books the rest with skipConflicts', async () => {
+      let client = mockClient({ booked: [booked] });
+      const error = await appointmentSeriesService.createSeries(data).catch(e => e);
+      expect(error).toBeInstanceOf(SchedulingConflictError);
+      expect(error.conflicts).toEqual([
+        expect.objectContaining({ kind: 'provider', appointmentId: 9, occurrenceStart: local('2030-03-11').toISOString() })
+      ]);
+      expect(client.query.mock.calls.at(-1)[0]).toBe('ROLLBACK');
+
+      jest.restoreAllMocks();
+      client = mockClient({ booked: [booked] });
+      const result = await appointmentSeriesService.createSeries({ ...data, skipConflicts: true });
+      expect(result.appointments.map(row => row.series_index)).toEqual([1, 3]);
+      expect(result.skipped).toHaveLength(1);
+    });
+  });
+
+  describe('Editing', () => {
+    const occurrence = (index, overrides = {}) => ({
+      id: 100 + index, provider_id: 2, patient_id: 11, start: local(`2030-03-${String(4 + (index - 1) * 7).padStart(2, '0')}`),
+      end: local(`2030-03-${String(4 + (index - 1) * 7).padStart(2, '0')}`, '09:45'), title: 'PT', type: 'physical',
+      status: 'booked', notes: null, room: 'Gym', series_id: 40, series_index: index, series_exception: false, ...overrides
+    });
+    const series = [occurrence(1), occurrence(2), occurrence(3), occurrence(4)];
+
+    test('moves this and following occurrences to the new time of day', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [series[1]] });
+      const client = mockClient({ series });
+
+      const rows = await appointmentSeriesService.updateOccurrences(102, 'following', {
+        start: local('2030-03-11', '10:30').toISOString(), end: local('2030-03-11', '11:00').toISOString()
+      });
+
+      expect(rows.map(row => row.id)).toEqual([102, 103, 104]);
+      expect(client.updated.map(row => [row.start.getDate(), row.start.getHours(), row.start.getMinutes()]))
+        .toEqual([[11, 10, 30], [18, 10, 30], [25, 10, 30]]);
+      expect(client.updated[2].end - client.updated[2].start).toBe(30 * 60 * 1000);
+    });
+
+    test('cancels the whole series without conflict checks', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [series[2]] });
+      const client = mockClient({ series });
+
+      const rows = await appointmentSeriesService.updateOccurrences(103, 'series', { status: 'cancelled' });
+
+      expect(rows).toHaveLength(4);
+      expect(rows.every(row => row.status === 'cancelled')).toBe(true);
+      expect(client.query.mock.calls.some(([sql]) => /FROM appointments a/.test(sql))).toBe(false);
+    });
+
+    test('refuses appointments that are not in a series', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [occurrence(1, { series_id: null })] });
+
+      await expect(appointmentSeriesService.updateOccurrences(101, 'series', { room: 'Gym 2' }))
+        .rejects.toMatchObject({ status: 400, message: 'Appointment is not part of a series' });
+    });
+  });
+});
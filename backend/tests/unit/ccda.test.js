@@ -0,0 +1,283 @@
+// C-CDA Document Tests
+// Tests CCD generation from chart data (header, coded section entries, empty sections) and
+// import of outside documents into a problem/medication/allergy reconciliation diff
+
+import { describe, test, expect, afterEach, jest } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import ccdaService, { CCDAError, OIDS, TEMPLATES } from '../../services/ccda.service.js';
+import ccdaImportService from '../../services/ccda-import.service.js';
+
+const chart = {
+  patient: {
+    id: 7,
+    mrn: 'MRN-0007',
+    first_name: 'Jane',
+    last_name: "O'Brien & Co",
+    dob: '1980-04-02',
+    gender: 'F',
+    race: 'White',
+    ethnicity: 'Not Hispanic or Latino',
+    preferred_language: 'English',
+    phone: '555-0100',
+    provider_id: 3,
+    provider_first_name: 'John',
+    provider_last_name: 'Smith',
+    provider_npi: '1234567890',
+    created_at: '2023-01-01T00:00:00Z'
+  },
+  problems: [
+    { root: '2.16.840.1.113883.19.5.10', id: 1, code: 'E11.9', name: 'Type 2 diabetes mellitus', active: true, onset: '2020-03-01' },
+    { root: '2.16.840.1.113883.19.5.12', id: 2, code: null, name: 'Sprained ankle', active: false, onset: '2021-06-01', resolved: '2021-07-01' }
+  ],
+  medications: [
+    { root: '2.16.840.1.113883.19.5.21', id: 5, rxcui: '860975', name: 'Metformin 500 MG', dose: '500 mg', doseValue: '500', doseUnit: 'mg', route: 'PO', frequency: 'BID', start: '2024-01-01', active: true }
+  ],
+  allergies: [
+    { id: 9, type: 'medication', substance: 'Penicillin', reaction: 'Hives', severity: 'severe', active: true, noted_at: '2019-05-05T12:00:00Z' }
+  ],
+  results: [
+    {
+      orderId: 345,
+      orderDate: '2024-01-05T09:00:00Z',
+      results: [
+        { id: 1, loinc_code: '2345-7', test_name: 'Glucose', result_value: '98', numeric_value: '98', unit: 'mg/dL', reference_range: '70-99', abnormal_flag: 'N', result_date: '2024-01-05T10:30:00Z' },
+        { id: 2, loinc_code: '18314-6', test_name: 'Morphology', result_value: 'Normocytic', numeric_value: null, unit: null, reference_range: null, abnormal_flag: null, result_date: '2024-01-05T10:30:00Z' }
+      ]
+    }
+  ],
+  vitals: [
+    { id: 11, taken_at: '2024-05-01T10:00:00Z', weight_kg: '70.5', systolic: 120, diastolic: 80, pulse: null }
+  ],
+  immunizations: [],
+  encounters: [
+    { id: 4, created_at: '2024-05-01T09:45:00Z', ended_at: '2024-05-01T10:30:00Z', reason: 'Follow-up', status: 'completed', provider_first_name: 'John', provider_last_name: 'Smith', provider_npi: '1234567890' }
+  ]
+};
+
+const build = () => ccdaService.buildDocument(chart, {
+  documentId: 'doc-1',
+  author: { id: 3, first_name: 'Ann', last_name: 'Lee', email: 'ann@example.org' },
+  effectiveTime: new Date('2024-06-01T12:00:00Z')
+});
+
+// Extract the XML of the section with the given LOINC code
+const sectionFor = (xml, loinc) => {
+  const sections = xml.split('<section').slice(1);
+  return sections.find(section => section.includes(`code="${loinc}"`));
+};
+
+describe('C-CDA CCD Generation', () => {
+  test('builds a US Realm header with patient demographics', () => {
+    const xml = build();
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(xml).toContain(`<templateId root="${TEMPLATES.CCD[0]}" extension="2015-08-01"/>`);
+    expect(xml).toContain('<id root="doc-1"/>');
+    expect(xml).toContain(`code="34133-9" codeSystem="${OIDS.LOINC}"`);
+    expect(xml).toContain('<effectiveTime value="20240601120000+0000"/>');
+    expect(xml).toContain('extension="MRN-0007"');
+    expect(xml).toContain('<family>O&apos;Brien &amp; Co</family>');
+    expect(xml).toContain('<birthTime value="19800402"/>');
+    expect(xml).toContain(`<administrativeGenderCode code="F" codeSystem="${OIDS.GENDER}"/>`);
+    expect(xml).toContain('<raceCode code="2106-3"');
+    expect(xml).toContain('<languageCode code="en"/>');
+    expect(xml).toContain(`<id root="${OIDS.NPI}" extension="1234567890"/>`);
+    expect(xml).toContain('<given>Ann</given><family>Lee</family>');
+  });
+
+  test('codes problems, medications and allergies with narrative references', () => {
+    const xml = build();
+
+    const problems = sectionFor(xml, '11450-4');
+    expect(problems).toContain(`<value xsi:type="CD" code="E11.9" codeSystem="${OIDS.ICD10}"`);
+    expect(problems).toContain('<originalText>Sprained ankle</originalText>');
+    expect(problems).toContain('<low value="20210601"/><high value="20210701"/>');
+    expect(problems).toContain('<tr ID="problems-1">');
+    expect(problems).toContain('<reference value="#problems-1"/>');
+
+    const medications = sectionFor(xml, '10160-0');
+    expect(medications).toContain(`code="860975" codeSystem="${OIDS.RXNORM}"`);
+    expect(medications).toContain('<doseQuantity value="500" unit="mg"/>');
+
+    const allergies = sectionFor(xml, '48765-2');
+    expect(allergies).toContain('<originalText>Penicillin</originalText>');
+    expect(allergies).toContain('<originalText>Hives</originalText>');
+    expect(allergies).toContain('code="24484000"');
+  });
+
+  test('groups results by order and emits vital signs and encounters', () => {
+    const xml = build();
+
+    const results = sectionFor(xml, '30954-2');
+    expect(results.match(/<organizer classCode="BATTERY"/g)).toHaveLength(1);
+    expect(results).toContain('<value xsi:type="PQ" value="98" unit="mg/dL"/>');
+    expect(results).toContain('<value xsi:type="ST">Normocytic</value>');
+    expect(results).toContain(`<interpretationCode code="N" codeSystem="${OIDS.INTERPRETATION}"/>`);
+
+    const vitals = sectionFor(xml, '8716-3');
+    expect(vitals).toContain('code="29463-7"');
+    expect(vitals).toContain('<value xsi:type="PQ" value="70.5" unit="kg"/>');
+    expect(vitals).toContain('code="8480-6"');
+    expect(vitals).not.toContain('code="8867-4"');
+
+    const encounters = sectionFor(xml, '46240-8');
+    expect(encounters).toContain('<low value="20240501094500+0000"/><high value="20240501103000+0000"/>');
+  });
+
+  test('marks sections without data with nullFlavor', () => {
+    const xml = build();
+
+    expect(sectionFor(xml, '11369-6').startsWith(' nullFlavor="NI">')).toBe(true);
+    expect(sectionFor(xml, '11369-6')).toContain('No immunizations recorded');
+  });
+
+  test('rejects unknown and merged patients', async () => {
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 8, merged_into_patient_id: 7 }] });
+
+    await expect(ccdaService.generateCCD(99, { userId: 1 })).rejects.toMatchObject({ status: 404 });
+    await expect(ccdaService.generateCCD(8, { userId: 1 })).rejects.toBeInstanceOf(CCDAError);
+  });
+
+  test('records the export as a disclosure', async () => {
+    jest.spyOn(ccdaService, 'loadChart').mockResolvedValue(chart);
+    jest.spyOn(ccdaService, 'loadAuthor').mockResolvedValue(null);
+    const audit = jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+
+    const { xml, sectionCounts } = await ccdaService.generateCCD(7, { userId: 1, purpose: 'referral', endpoint: '/api/patients/7/ccda' });
+
+    expect(xml).toContain('<assignedAuthoringDevice>');
+    expect(sectionCounts).toMatchObject({ problems: 2, results: 2, immunizations: 0 });
+    expect(audit).toHaveBeenCalledWith(1, 'patients', 7, 'ccda_ccd', expect.stringContaining('for referral'), {
+      patientId: 7,
+      endpoint: '/api/patients/7/ccda'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+});
+
+describe('C-CDA Import Reconciliation', () => {
+  const parsed = () => ccdaImportService.parseDocument(build());
+
+  test('parses problems, medications and allergies from a CCD', () => {
+    const document = parsed();
+
+    expect(document.header).toMatchObject({ documentId: 'doc-1', documentType: 'ccd' });
+    expect(document.patient).toMatchObject({ given: ['Jane'], family: "O'Brien & Co", birthDate: '1980-04-02', gender: 'F' });
+
+    expect(document.problems.map(p => p.values)).toEqual([
+      { code: 'E11.9', description: 'Type 2 diabetes mellitus', status: 'active', onset_date: '2020-03-01', resolved_date: null, notes: null },
+      { code: null, description: 'Sprained ankle', status: 'resolved', onset_date: '2021-06-01', resolved_date: '2021-07-01', notes: null }
+    ]);
+    expect(document.medications[0].values).toMatchObject({ name: 'Metformin 500 MG', rxcui: '860975', dose: '500 mg', started_at: '2024-01-01', active: true });
+    expect(document.allergies[0].values).toMatchObject({ type: 'medication', substance: 'Penicillin', reaction: 'Hives', severity: 'severe', active: true });
+  });
+
+  test('rejects DOCTYPE declarations and unsupported document types', () => {
+    const withDoctype = build().replace('<ClinicalDocument', '<!DOCTYPE x [<!ENTITY e SYSTEM "file:///etc/passwd">]><ClinicalDocument');
+    expect(() => ccdaImportService.parseDocument(withDoctype)).toThrow(/not well-formed/);
+
+    const dischargeSummary = build().replace('code="34133-9"', 'code="18842-5"');
+    expect(() => ccdaImportService.parseDocument(dischargeSummary)).toThrow(expect.objectContaining({ status: 422 }));
+  });
+
+  test('diffs entries against the chart as new, duplicate or changed', () => {
+    const { problems, medications, allergies } = parsed();
+
+    const changed = ccdaImportService.diffItem('problem', problems[0], [
+      { id: 40, code: 'e11.9', description: 'Diabetes', status: 'active', onset_date: '2019-01-01', resolved_date: null, notes: null }
+    ]);
+    expect(changed).toMatchObject({ matchType: 'changed', matchedRecordId: 40, differences: ['onset_date'], decision: null });
+
+    const duplicate = ccdaImportService.diffItem('medication', medications[0], [
+      { id: 41, name: 'metformin', rxcui: '860975', dose: '500 MG', route: null, frequency: 'BID', started_at: '2024-01-01', ended_at: null, active: true }
+    ]);
+    expect(duplicate).toMatchObject({ matchType: 'duplicate', differences: [], decision: 'reject' });
+
+    const added = ccdaImportService.diffItem('allergy', allergies[0], [
+      { id: 42, type: 'food', substance: 'Peanuts', reaction: null, severity: null, active: true }
+    ]);
+    expect(added).toMatchObject({ matchType: 'new', matchedRecordId: null, current: null });
+  });
+
+  test('merges fill chart gaps from the document and only apply to matched items', async () => {
+    const item = {
+      category: 'allergy',
+      match_type: 'changed',
+      incoming: { type: 'medication', substance: 'Penicillin', reaction: 'Hives', severity: 'severe', noted_at: null, active: true },
+      current_values: { id: 42, type: 'medication', substance: 'PCN', reaction: null, severity: 'moderate', noted_at: '2020-01-01T00:00:00.000Z', active: true }
+    };
+
+    expect(ccdaImportService.mergeValues(item, null)).toMatchObject({ substance: 'PCN', reaction: 'Hives', severity: 'moderate' });
+    expect(ccdaImportService.mergeValues(item, { severity: 'severe' })).toMatchObject({ severity: 'severe' });
+    expect(() => ccdaImportService.mergeValues(item, { patient_id: 9 })).toThrow(CCDAError);
+
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 1, status: 'pending' }] })
+      .mockResolvedValueOnce({ rows: [{ ...item, id: 5, match_type: 'new' }] });
+
+    await expect(ccdaImportService.decideItem(1, 5, { decision: 'merge' }, 1)).rejects.toThrow(/Only items that match/);
+  });
+
+  test('blocks commit until every item is decided', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ id: 1, patient_id: 7, status: 'pending' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 5, decision: 'accept' }, { id: 6, decision: null }] })
+      .mockResolvedValueOnce({}); // ROLLBACK
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    await expect(ccdaImportService.commitImport(1, { userId: 1 })).rejects.toThrow(/1 item\(s\) still need a decision/);
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('commits accepted medications and records the reconciliation', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    client.query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM ccda_imports')) {
+        return { rows: [{ id: 1, patient_id: 7, status: 'pending', document_type: 'referral_note', source_organization: 'Valley Cardiology' }] };
+      }
+      if (sql.includes('FROM ccda_import_items')) {
+        return {
+          rows: [
+            { id: 5, category: 'medication', match_type: 'new', decision: 'accept', incoming: { name: 'Lisinopril', rxcui: '314076', dose: '10 mg', route: null, frequency: 'daily', started_at: '2024-02-01', ended_at: null, active: true } },
+            { id: 6, category: 'medication', match_type: 'changed', decision: 'accept', matched_record_id: 41, incoming: { name: 'Metformin', dose: '1000 mg', active: true }, current_values: { id: 41, name: 'Metformin', dose: '500 mg', active: true } },
+            { id: 7, category: 'problem', match_type: 'duplicate', decision: 'reject', incoming: { description: 'Hypertension' }, current_values: { id: 3 } }
+          ]
+        };
+      }
+      if (sql.includes('INSERT INTO patient_medications')) return { rows: [{ id: 90, name: 'Lisinopril', dose: '10 mg', active: true }] };
+      if (sql.includes('UPDATE patient_medications')) return { rows: [{ id: 41, name: 'Metformin', dose: '1000 mg', active: true }] };
+      return { rows: [] };
+    });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(ccdaImportService, 'getImport').mockResolvedValue({ id: 1, status: 'committed' });
+
+    await ccdaImportService.commitImport(1, { userId: 3 });
+
+    const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO patient_medications'));
+    expect(insert[0]).toContain('(patient_id, name, dose, frequency, started_at, active)');
+    expect(insert[1]).toEqual([7, 'Lisinopril', '10 mg', 'daily', '2024-02-01', true]);
+
+    const reconciliation = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO medication_reconciliation'));
+    expect(reconciliation.map(([, params]) => [params[3], params[4], params[5], params[6]])).toEqual([
+      ['Lisinopril', 'start', null, '10 mg'],
+      ['Metformin', 'modify', '500 mg', '1000 mg']
+    ]);
+    expect(reconciliation[0][1][7]).toContain('Valley Cardiology referral note');
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining("status = 'committed'"), [1, 3]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,165 @@
+// CDS Hooks Tests
+// Tests request validation and the cards built from the drug safety report and clinical guidelines
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import cdsHooksService, { CDSHooksError } from '../../services/cds-hooks.service.js';
+import drugInteractionService from '../../services/drug-interaction.service.js';
+import prescriptionService from '../../services/prescription.service.js';
+import { SYSTEMS } from '../../services/fhir.service.js';
+
+const draftOrders = (...orders) => ({
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: orders.map(([id, rxcui, name]) => ({
+    resource: {
+      resourceType: 'MedicationRequest',
+      id,
+      status: 'draft',
+      intent: 'order',
+      medicationCodeableConcept: { coding: [{ system: SYSTEMS.RXNORM, code: rxcui }], text: name }
+    }
+  }))
+});
+
+const hookRequest = (hook, context) => ({
+  hookInstance: 'b1f6c1e2-0000-4000-8000-000000000001',
+  hook,
+  context: { userId: 'Practitioner/3', patientId: '42', ...context }
+});
+
+const emptyReport = () => ({
+  interactions: { severe: [], major: [], moderate: [], minor: [], total: 0 },
+  allergies: [],
+  highRiskMedications: []
+});
+
+const interaction = (drug1, drug2, extra = {}) => ({
+  drug1: { id: drug1[0], name: drug1[1] },
+  drug2: { id: drug2[0], name: drug2[1] },
+  description: `${drug1[1]} and ${drug2[1]} interact`,
+  management: 'Avoid combination',
+  ...extra
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CDS Hooks Requests', () => {
+  test('lists the patient-view, order-select and order-sign services', () => {
+    const { services } = cdsHooksService.getDiscovery();
+    expect(services.map(service => service.hook)).toEqual(['patient-view', 'order-select', 'order-sign']);
+    expect(services.every(service => service.id && service.title && service.description)).toBe(true);
+    expect(services[0].handler).toBeUndefined();
+  });
+
+  test('rejects unknown services, mismatched hooks and missing context', async () => {
+    await expect(cdsHooksService.invoke('nope', hookRequest('patient-view'), 5))
+      .rejects.toMatchObject({ status: 404 });
+    await expect(cdsHooksService.invoke('preventive-care', hookRequest('order-sign'), 5))
+      .rejects.toThrow(/answers the patient-view hook/);
+    await expect(cdsHooksService.invoke('preventive-care', { hook: 'patient-view', context: { patientId: '42' } }, 5))
+      .rejects.toBeInstanceOf(CDSHooksError);
+    await expect(cdsHooksService.invoke('drug-safety-order-sign', hookRequest('order-sign', { draftOrders: { resourceType: 'MedicationRequest' } }), 5))
+      .rejects.toThrow(/draftOrders must be a FHIR Bundle/);
+  });
+});
+
+describe('CDS Hooks Cards', () => {
+  test('patient-view returns a card per due or overdue guideline', async () => {
+    const query = jest.spyOn(pool, 'query').mockResolvedValueOnce({
+      rows: [
+        { guideline_code: 'CRC_SCREEN', name: 'Colorectal cancer screening', category: 'screening', risk_level: 'average', due_date: new Date('2024-01-15T00:00:00Z'), status: 'overdue' },
+        { guideline_code: 'FLU_VACCINE', name: 'Influenza vaccine', category: 'immunization', risk_level: 'average', due_date: '2024-10-01', status: 'due' }
+      ]
+    });
+
+    const { cards } = await cdsHooksService.invoke('preventive-care', hookRequest('patient-view'), 5);
+
+    expect(query.mock.calls[0][0]).toContain('get_applicable_guidelines($1)');
+    expect(query.mock.calls[0][1]).toEqual([42]);
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toEqual(expect.objectContaining({
+      summary: 'Colorectal cancer screening overdue (2024-01-15)',
+      indicator: 'warning',
+      source: expect.objectContaining({ label: 'EMR Preventive Care Guidelines', topic: expect.objectContaining({ code: 'CRC_SCREEN' }) })
+    }));
+    expect(cards[1].indicator).toBe('info');
+    expect(cards[0].uuid).not.toBe(cards[1].uuid);
+  });
+
+  test('order-sign cards only cover findings that involve a draft order', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [{ id: 2, generic_name: 'aspirin' }] });
+    jest.spyOn(prescriptionService, 'getCurrentPatientMedications').mockResolvedValue([
+      { medication_id: 1 }, { medication_id: 3 }, { medication_id: null }
+    ]);
+    const report = emptyReport();
+    report.interactions.severe.push(interaction([1, 'warfarin'], [2, 'aspirin']));
+    report.interactions.moderate.push(interaction([1, 'warfarin'], [3, 'simvastatin']));
+    const generateSafetyReport = jest.spyOn(drugInteractionService, 'generateSafetyReport').mockResolvedValue(report);
+
+    const { cards } = await cdsHooksService.invoke(
+      'drug-safety-order-sign',
+      hookRequest('order-sign', { draftOrders: draftOrders(['rx-1', '1191', 'aspirin']) }),
+      5
+    );
+
+    expect(generateSafetyReport).toHaveBeenCalledWith([1, 3, 2], 42, 5);
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toEqual(expect.objectContaining({
+      summary: 'SEVERE interaction: warfarin + aspirin',
+      indicator: 'critical',
+      overrideReasons: expect.any(Array)
+    }));
+    expect(cards[0].suggestions[0].actions).toEqual([
+      expect.objectContaining({ type: 'delete', resourceId: ['MedicationRequest/rx-1'] })
+    ]);
+  });
+
+  test('order-select only checks the selected orders and suggests alternatives for allergies', async () => {
+    const query = jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [{ id: 7, generic_name: 'amoxicillin' }] });
+    jest.spyOn(prescriptionService, 'getCurrentPatientMedications').mockResolvedValue([]);
+    const report = emptyReport();
+    report.allergies.push({
+      medication: { id: 7, name: 'amoxicillin' },
+      warning: 'Patient has documented allergy to penicillin allergy',
+      recommendation: 'Do not prescribe - use alternative medication'
+    });
+    jest.spyOn(drugInteractionService, 'generateSafetyReport').mockResolvedValue(report);
+    jest.spyOn(drugInteractionService, 'getAlternativeMedications').mockResolvedValue([
+      { id: 8, name: 'azithromycin', strength: '250mg' }
+    ]);
+
+    const { cards } = await cdsHooksService.invoke('drug-safety-order-select', hookRequest('order-select', {
+      selections: ['MedicationRequest/rx-2'],
+      draftOrders: draftOrders(['rx-1', '1191', 'aspirin'], ['rx-2', '723', 'amoxicillin'])
+    }), 5);
+
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(query.mock.calls[0][1]).toEqual(['723', 'amoxicillin']);
+    expect(cards).toHaveLength(1);
+    expect(cards[0].indicator).toBe('critical');
+    expect(cards[0].selectionBehavior).toBe('at-most-one');
+    expect(cards[0].suggestions.map(suggestion => suggestion.label)).toEqual([
+      'Remove amoxicillin order',
+      'Order azithromycin instead'
+    ]);
+    expect(cards[0].suggestions[1].actions[1].resource).toEqual(expect.objectContaining({
+      resourceType: 'MedicationRequest',
+      subject: { reference: 'Patient/42' }
+    }));
+  });
+
+  test('returns no cards when no draft order matches the formulary', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [] });
+    const generateSafetyReport = jest.spyOn(drugInteractionService, 'generateSafetyReport');
+
+    const { cards } = await cdsHooksService.invoke('drug-safety-order-sign', hookRequest('order-sign', {
+      draftOrders: draftOrders(['rx-1', '999999', 'unknownium'])
+    }), 5);
+
+    expect(cards).toEqual([]);
+    expect(generateSafetyReport).not.toHaveBeenCalled();
+  });
+});
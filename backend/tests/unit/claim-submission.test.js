@@ -0,0 +1,351 @@
+// Claim Submission Tests
+// Tests claim validation, 837P generation, per-payer submission batches, 999 acknowledgments
+// and the claim status lifecycle
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import clearinghouseService, { ClearinghouseError } from '../../services/clearinghouse.service.js';
+import clearinghouseStub from '../../services/clearinghouse-stub.service.js';
+import claimSubmissionService from '../../services/claim-submission.service.js';
+import { ClaimError } from '../../services/claims.service.js';
+import patientInsuranceModel from '../../models/patient_insurance.model.js';
+import { parseX12, transactionSets } from '../../utils/x12.js';
+
+const BILLING_ENV = {
+  X12_BILLING_NPI: '1245319599',
+  X12_BILLING_NAME: 'Main Street Clinic',
+  X12_BILLING_TAX_ID: '12-3456789',
+  X12_BILLING_ADDRESS: '100 Main St',
+  X12_BILLING_CITY: 'Springfield',
+  X12_BILLING_STATE: 'IL',
+  X12_BILLING_ZIP: '62701-1234',
+  X12_SUBMITTER_PHONE: '(217) 555-0100'
+};
+
+const claim = (overrides = {}) => ({
+  id: 90,
+  claim_number: 'CLM000000090',
+  patient_id: 42,
+  patient_insurance_id: 11,
+  status: 'ready',
+  service_date: '2025-03-14',
+  diagnosis_codes: ['I10', 'E11.9'],
+  total_charge: '230.00',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  dob: '1980-04-02',
+  gender: 'female',
+  subscriber_id: 'W123456789',
+  policy_number: 'POL-1',
+  group_number: 'GRP100',
+  subscriber_name: null,
+  subscriber_relationship: 'self',
+  subscriber_dob: null,
+  priority_order: 1,
+  coverage_status: 'active',
+  has_subscriber_ssn: false,
+  insurance_company: 'Acme Health',
+  plan_name: 'Choice PPO',
+  plan_type: 'PPO',
+  payer_id: 'ACME01',
+  requires_subscriber_ssn: false,
+  provider_first_name: 'Alan',
+  provider_last_name: 'Smith',
+  provider_npi: '1234567893',
+  billing_address: '12 Oak Ave',
+  billing_city: 'Springfield',
+  billing_state: 'IL',
+  billing_zip_code: '62704',
+  lines: [
+    { line_number: 1, cpt_code: '99214', modifiers: ['25'], units: 1, charge_amount: '200.00', diagnosis_pointers: [1, 2] },
+    { line_number: 2, cpt_code: '83036', modifiers: [], units: 1, charge_amount: '30.00', diagnosis_pointers: [2] }
+  ],
+  ...overrides
+});
+
+// Transaction client that answers by statement and records the calls
+const mockClient = (claimStatuses = {}) => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  client.query.mockImplementation(async (sql, params) => {
+    if (/FOR UPDATE/.test(sql)) return { rows: [{ id: params[0], status: claimStatuses[params[0]] }] };
+    if (/UPDATE claims SET status/.test(sql)) return { rows: [{ id: params[0], status: params[1] }] };
+    if (/SELECT id, transaction_control/.test(sql)) {
+      return { rows: Object.keys(claimStatuses).map((id, index) => ({ id: Number(id), transaction_control: String(index + 1).padStart(4, '0') })) };
+    }
+    if (/UPDATE claim_batches/.test(sql)) return { rows: [{ id: params[0], control_number: '000000101', status: params[1] }] };
+    return { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  return client;
+};
+
+const segmentsOf = (x12) => parseX12(x12).segments.map(segment => [segment.id, ...segment.elements].join('*'));
+
+beforeEach(() => {
+  Object.assign(process.env, BILLING_ENV);
+});
+
+afterEach(() => {
+  Object.keys(BILLING_ENV).forEach(key => delete process.env[key]);
+  jest.restoreAllMocks();
+});
+
+describe('Claim Validation', () => {
+  test('accepts a complete claim', () => {
+    expect(claimSubmissionService.validateClaim(claim())).toEqual([]);
+  });
+
+  test('collects every problem that blocks submission', () => {
+    const errors = claimSubmissionService.validateClaim(claim({
+      diagnosis_codes: ['I10', '250.00'],
+      provider_npi: '1234567890',
+      requires_subscriber_ssn: true,
+      subscriber_relationship: 'child',
+      subscriber_name: 'John Doe',
+      billing_zip_code: null,
+      gender: null,
+      lines: [{ line_number: 1, cpt_code: '99214', modifiers: [], units: 1, charge_amount: '0', diagnosis_pointers: [3] }]
+    }));
+
+    expect(errors.map(error => error.field)).toEqual([
+      'diagnosis_codes', 'lines[1]', 'lines[1]', 'subscriber_ssn', 'subscriber_dob',
+      'patient_gender', 'subscriber_address', 'rendering_npi'
+    ]);
+    expect(errors[0].message).toContain('250.00');
+  });
+
+  test('stops at coverage for self-pay claims and checks the billing configuration', () => {
+    delete process.env.X12_BILLING_TAX_ID;
+    expect(claimSubmissionService.validateClaim(claim({ patient_insurance_id: null })))
+      .toEqual([expect.objectContaining({ field: 'coverage' })]);
+    expect(claimSubmissionService.validateClaim(claim()).map(error => error.field)).toEqual(['billing_tax_id']);
+  });
+
+  test('flags procedure lines that need a prior authorization the plan has not approved', () => {
+    const errors = claimSubmissionService.validateClaim(claim({
+      lines: [
+        { line_number: 1, cpt_code: '99214', modifiers: [], units: 1, charge_amount: '200.00', diagnosis_pointers: [1] },
+        { line_number: 2, cpt_code: '72148', modifiers: [], units: 1, charge_amount: '900.00', diagnosis_pointers: [2], prior_auth_required: true, prior_auth_reference: null }
+      ]
+    }));
+
+    expect(errors).toEqual([expect.objectContaining({ field: 'lines[2]', message: expect.stringContaining('prior authorization') })]);
+  });
+
+  test('checks the NPI check digit', () => {
+    expect(claimSubmissionService.isValidNPI('1234567893')).toBe(true);
+    expect(claimSubmissionService.isValidNPI('1234567890')).toBe(false);
+    expect(claimSubmissionService.isValidNPI('12345')).toBe(false);
+  });
+});
+
+describe('837P Generation', () => {
+  const build = (claims, ssns) => claimSubmissionService.build837(claims, {
+    controlNumber: '000000101',
+    ssns,
+    date: new Date('2025-03-15T09:00:00Z')
+  });
+
+  test('builds one transaction set per claim with billing provider, subscriber, claim and service lines', () => {
+    const x12 = build([claim(), claim({ id: 91, claim_number: 'CLM000000091' })]);
+    const sets = transactionSets(parseX12(x12).segments);
+    expect(sets.map(set => [set.type, set.controlNumber])).toEqual([['837', '0001'], ['837', '0002']]);
+
+    const segments = segmentsOf(x12);
+    expect(segments).toEqual(expect.arrayContaining([
+      'GS*HC*EMRSYSTEM*CLEARINGHOUSE*20250315*0900*101*X*005010X222A1',
+      'BHT*0019*00*CLM000000090*20250315*0900*CH',
+      'PER*IC*BILLING*TE*2175550100',
+      'NM1*85*2*Main Street Clinic*****XX*1245319599',
+      'N4*Springfield*IL*627011234',
+      'REF*EI*123456789',
+      'HL*2*1*22*0',
+      'SBR*P*18*GRP100******12',
+      'NM1*IL*1*Doe*Jane****MI*W123456789',
+      'DMG*D8*19800402*F',
+      'NM1*PR*2*Acme Health*****PI*ACME01',
+      'CLM*CLM000000090*230***11:B:1*Y*A*Y*Y',
+      'HI*ABK:I10*ABF:E119',
+      'NM1*82*1*Smith*Alan****XX*1234567893',
+      'SV1*HC:99214:25*200*UN*1***1:2',
+      'SV1*HC:83036*30*UN*1***2',
+      'DTP*472*D8*20250314'
+    ]));
+    expect(segments.some(segment => segment.startsWith('REF*SY'))).toBe(false);
+  });
+
+  test('reports a single prior authorization on the claim and several on their lines', () => {
+    const authorized = (reference) => ({ prior_auth_required: true, prior_auth_reference: reference });
+    const single = segmentsOf(build([claim({
+      lines: [{ ...claim().lines[0], ...authorized('PA12345') }, claim().lines[1]]
+    })]));
+    expect(single.filter(segment => segment.startsWith('REF*G1'))).toEqual(['REF*G1*PA12345']);
+    expect(single.indexOf('REF*G1*PA12345')).toBeLessThan(single.findIndex(segment => segment.startsWith('HI*')));
+
+    const perLine = segmentsOf(build([claim({
+      lines: [{ ...claim().lines[0], ...authorized('PA1') }, { ...claim().lines[1], ...authorized('PA2') }]
+    })]));
+    expect(perLine.filter(segment => segment.startsWith('REF*G1'))).toEqual(['REF*G1*PA1', 'REF*G1*PA2']);
+    expect(perLine.indexOf('REF*G1*PA2')).toBeGreaterThan(perLine.indexOf('SV1*HC:83036*30*UN*1***2'));
+  });
+
+  test('adds the patient loop for dependents and the subscriber SSN when given', () => {
+    const segments = segmentsOf(build([claim({
+      subscriber_relationship: 'child',
+      subscriber_name: 'John Q Doe',
+      subscriber_dob: '1975-01-20',
+      plan_type: 'HMO'
+    })], { 90: '123456789' }));
+
+    expect(segments).toEqual(expect.arrayContaining([
+      'HL*2*1*22*1',
+      'SBR*P**GRP100******HM',
+      'NM1*IL*1*Doe*John Q****MI*W123456789',
+      'DMG*D8*19750120*U',
+      'REF*SY*123456789',
+      'HL*3*2*23*0',
+      'PAT*19',
+      'NM1*QC*1*Doe*Jane',
+      'DMG*D8*19800402*F'
+    ]));
+  });
+});
+
+describe('Submission', () => {
+  const claims = [
+    claim(),
+    claim({ id: 91, claim_number: 'CLM000000091', payer_id: 'BETA02', insurance_company: 'Beta Health', requires_subscriber_ssn: true, has_subscriber_ssn: true }),
+    claim({ id: 92, claim_number: 'CLM000000092' })
+  ];
+
+  const prepare = () => {
+    jest.spyOn(claimSubmissionService, 'loadClaims').mockResolvedValue(claims);
+    jest.spyOn(clearinghouseService, 'nextControlNumber')
+      .mockResolvedValueOnce('000000101')
+      .mockResolvedValueOnce('000000102');
+    jest.spyOn(clearinghouseService, 'getTransport').mockReturnValue({ name: 'file' });
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+      if (/INSERT INTO claim_batches/.test(sql)) return { rows: [{ id: params[2] === '000000101' ? 1 : 2, control_number: params[2] }] };
+      return { rows: [{ id: params?.[0], status: 'error' }] };
+    });
+    return query;
+  };
+
+  test('sends one 837P per payer and marks the claims submitted', async () => {
+    const query = prepare();
+    const send = jest.spyOn(clearinghouseService, 'send').mockResolvedValue(null);
+    const decrypt = jest.spyOn(patientInsuranceModel, 'getDecryptedSSN').mockResolvedValue('123-45-6789');
+    const client = mockClient({ 90: 'ready', 91: 'ready', 92: 'ready' });
+
+    const { batches, skipped } = await claimSubmissionService.submit({ claimIds: [90, 91, 92], userId: 5 });
+
+    expect(skipped).toEqual([]);
+    expect(batches.map(batch => batch.claim_ids)).toEqual([[90, 92], [91]]);
+    expect(send.mock.calls.map(([, meta]) => meta.fileName)).toEqual(['837P-000000101.x12', '837P-000000102.x12']);
+    expect(transactionSets(parseX12(send.mock.calls[0][0]).segments)).toHaveLength(2);
+
+    // The SSN is decrypted for the payer that requires it, sent, and masked in the stored copy
+    expect(decrypt).toHaveBeenCalledTimes(1);
+    expect(decrypt).toHaveBeenCalledWith(11, expect.objectContaining({ userId: 5 }));
+    expect(send.mock.calls[1][0]).toContain('REF*SY*123456789~');
+    const stored = query.mock.calls.filter(([sql]) => /INSERT INTO claim_batches/.test(sql)).map(([, params]) => params[7]);
+    expect(stored[1]).toContain('REF*SY*XXXXXXXXX~');
+    expect(stored[1]).not.toContain('REF*SY*123456789');
+
+    const history = client.query.mock.calls.filter(([sql]) => /INSERT INTO claim_status_history/.test(sql));
+    expect(history.map(([, params]) => [params[0], params[1], params[2], params[4]]))
+      .toEqual([[90, 'ready', 'submitted', 1], [92, 'ready', 'submitted', 1], [91, 'ready', 'submitted', 2]]);
+    const controls = client.query.mock.calls.filter(([sql]) => /transaction_control = \$3/.test(sql));
+    expect(controls.map(([, params]) => params[2])).toEqual(['0001', '0002', '0001']);
+  });
+
+  test('keeps claims ready when the transport refuses the batch', async () => {
+    const query = prepare();
+    jest.spyOn(claimSubmissionService, 'loadClaims').mockResolvedValue([claims[0]]);
+    jest.spyOn(clearinghouseService, 'send').mockRejectedValue(new ClearinghouseError('Clearinghouse returned HTTP 503'));
+    const connect = jest.spyOn(pool, 'connect');
+
+    const { batches } = await claimSubmissionService.submit({ userId: 5 });
+
+    expect(batches[0]).toMatchObject({ status: 'error', claim_ids: [90] });
+    expect(query).toHaveBeenCalledWith(expect.stringContaining("status = 'error'"), [1, 'Clearinghouse returned HTTP 503']);
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  test('skips claims that fail re-validation', async () => {
+    jest.spyOn(claimSubmissionService, 'loadClaims').mockResolvedValue([claim({ provider_npi: null })]);
+    const validate = jest.spyOn(claimSubmissionService, 'validate').mockResolvedValue({});
+    const send = jest.spyOn(clearinghouseService, 'send');
+
+    const { batches, skipped } = await claimSubmissionService.submit({ claimIds: [90], userId: 5 });
+
+    expect(batches).toEqual([]);
+    expect(skipped).toEqual([{ claimId: 90, claimNumber: 'CLM000000090', errors: [expect.objectContaining({ field: 'rendering_npi' })] }]);
+    expect(validate).toHaveBeenCalledWith(90, 5);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('999 Acknowledgments', () => {
+  test('accepts and rejects claims per transaction set', async () => {
+    const x12 = claimSubmissionService.build837([claim(), claim({ id: 91, payer_id: 'REJECT01' })], { controlNumber: '000000101' });
+    const ack = clearinghouseStub.respond(x12);
+    expect(clearinghouseService.interchangeType(ack)).toBe('999');
+
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ id: 1 }] });
+    const client = mockClient({ 90: 'submitted', 91: 'submitted' });
+
+    const result = await claimSubmissionService.processAcknowledgment(ack);
+
+    expect(pool.query).toHaveBeenCalledWith(expect.any(String), ['000000101']);
+    expect(result).toEqual({
+      batches: [{ batchId: 1, controlNumber: '000000101', status: 'partial', accepted: 1, rejected: 1 }],
+      unmatched: []
+    });
+    const history = client.query.mock.calls.filter(([sql]) => /INSERT INTO claim_status_history/.test(sql));
+    expect(history.map(([, params]) => [params[0], params[2]])).toEqual([[90, 'accepted'], [91, 'rejected']]);
+    expect(history[1][1][3]).toMatch(/^NM1 segment \d+ \(loop 2010BB\): Segment has data element errors$/);
+  });
+
+  test('reports acknowledgments for unknown batches', async () => {
+    const ack = clearinghouseStub.respond(claimSubmissionService.build837([claim()], { controlNumber: '000000555' }));
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(claimSubmissionService.processAcknowledgment(ack)).resolves.toEqual({ batches: [], unmatched: ['555'] });
+  });
+});
+
+describe('Claim Lifecycle', () => {
+  test('allows only lifecycle transitions and records history', async () => {
+    const client = mockClient({ 90: 'draft' });
+
+    await expect(claimSubmissionService.applyTransition(client, 90, 'submitted')).rejects.toMatchObject({ status: 409 });
+    await claimSubmissionService.applyTransition(client, 90, 'void', { userId: 5, reason: 'Duplicate' });
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO claim_status_history'), [90, 'draft', 'void', 'Duplicate', null, 5]);
+  });
+
+  test('only draft and void can be set by hand', async () => {
+    await expect(claimSubmissionService.updateStatus(90, 'ready', 5)).rejects.toBeInstanceOf(ClaimError);
+    await expect(claimSubmissionService.updateStatus(90, 'accepted', 5)).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('validation moves a draft to ready, or a failing ready claim back to draft', async () => {
+    const load = jest.spyOn(claimSubmissionService, 'loadClaims');
+    load.mockResolvedValue([claim({ status: 'draft' })]);
+    let client = mockClient({ 90: 'draft' });
+
+    const valid = await claimSubmissionService.validate(90, 5);
+    expect(valid.valid).toBe(true);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('validation_errors'), [90, '[]']);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO claim_status_history'), [90, 'draft', 'ready', null, null, 5]);
+
+    load.mockResolvedValue([claim({ status: 'ready', diagnosis_codes: [] })]);
+    client = mockClient({ 90: 'ready' });
+    const invalid = await claimSubmissionService.validate(90, 5);
+    expect(invalid.valid).toBe(false);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO claim_status_history'), [90, 'ready', 'draft', 'Failed validation', null, 5]);
+  });
+});
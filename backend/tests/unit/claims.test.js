@@ -0,0 +1,211 @@
+// Claims Tests
+// Tests charge capture: E/M and lab charge lines, panel bundling, diagnosis pointers and the claim transaction
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import claimsService, { ClaimError } from '../../services/claims.service.js';
+
+const CMP = ['2951-2', '2823-3', '6299-2', '38483-4', '2160-0', '2075-0', '3094-0', '2947-0'];
+const BMP = ['2951-2', '2823-3', '6299-2', '38483-4', '2160-0', '2075-0', '2947-0'];
+
+const panels = [
+  { panel_code: 'CMP', panel_name: 'Comprehensive Metabolic Panel (CMP)', loinc_codes: CMP, cpt_code: '80053' },
+  { panel_code: 'BMP', panel_name: 'Basic Metabolic Panel (BMP)', loinc_codes: BMP, cpt_code: '80048' }
+];
+
+const labTest = (labOrderId, loinc, cpt = null, name = `Test ${loinc}`) => ({
+  lab_order_id: labOrderId, provider_id: 3, lab_test_id: Number(loinc.replace(/\D/g, '')), loinc_code: loinc, test_name: name, cpt_code: cpt
+});
+
+// Mock client that answers queries in order and records them
+const mockClient = (...responses) => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  client.query.mockImplementation(async (sql) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(String(sql).trim())) return {};
+    return responses.length > 0 ? responses.shift() : { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  return client;
+};
+
+const encounterRow = (overrides = {}) => ({
+  id: 7,
+  patient_id: 42,
+  status: 'completed',
+  diagnoses: [
+    { code: 'e11.9', description: 'Type 2 diabetes', primary: false },
+    { code: 'I10', description: 'Hypertension', primary: true }
+  ],
+  em_code: '99214',
+  created_at: new Date('2025-03-14T15:00:00Z'),
+  service_date: '2025-03-14',
+  provider_id: 3,
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Charge Lines', () => {
+  test('bills the E/M visit with up to four diagnosis pointers', () => {
+    const warnings = [];
+    const [visit] = claimsService.buildCharges({
+      emCode: '99213', labTests: [], panels, diagnosisCodes: ['I10', 'E11.9', 'E78.5', 'Z00.00', 'R51.9'], warnings
+    });
+    expect(visit).toMatchObject({ cptCode: '99213', source: 'em', units: 1, diagnosisPointers: [1, 2, 3, 4] });
+    expect(warnings).toEqual([]);
+  });
+
+  test('bundles complete panels and bills remaining tests once per CPT', () => {
+    const warnings = [];
+    const charges = claimsService.buildCharges({
+      emCode: '99213',
+      labTests: [
+        ...CMP.map(loinc => labTest(1, loinc, '84295')),
+        labTest(1, '4548-4', '83036', 'Hemoglobin A1c'),
+        labTest(2, '5902-2', '85610', 'Prothrombin Time'),
+        labTest(2, '6301-6', '85610', 'INR'),
+        labTest(2, '99999-9', null, 'Send-out test')
+      ],
+      panels,
+      diagnosisCodes: ['I10'],
+      warnings
+    });
+
+    expect(charges.map(c => [c.cptCode, c.labOrderId])).toEqual([
+      ['99213', null],
+      ['80053', 1],
+      ['83036', 1],
+      ['85610', 2]
+    ]);
+    expect(charges[1]).toMatchObject({ source: 'lab', description: 'Comprehensive Metabolic Panel (CMP)', diagnosisPointers: [1] });
+    expect(warnings).toEqual([expect.objectContaining({ code: 'no_cpt', message: expect.stringContaining('99999-9') })]);
+  });
+
+  test('does not bundle a panel when a component is missing', () => {
+    const charges = claimsService.buildCharges({
+      emCode: '99213',
+      labTests: BMP.slice(1).map(loinc => labTest(1, loinc, `8${loinc.replace(/\D/g, '').slice(0, 4)}`)),
+      panels,
+      diagnosisCodes: [],
+      warnings: []
+    });
+    expect(charges.some(c => c.cptCode === '80048')).toBe(false);
+    expect(charges).toHaveLength(1 + BMP.length - 1);
+    expect(charges[1].diagnosisPointers).toEqual([]);
+  });
+
+  test('orders diagnoses primary first and de-duplicates codes', () => {
+    const warnings = [];
+    const codes = claimsService.normalizeDiagnoses([
+      { code: 'e11.9' }, { code: 'I10', primary: true }, { code: 'E11.9' }, { code: ' ' }
+    ], warnings);
+    expect(codes).toEqual(['I10', 'E11.9']);
+    expect(warnings).toEqual([]);
+
+    claimsService.normalizeDiagnoses(null, warnings);
+    expect(warnings).toEqual([expect.objectContaining({ code: 'no_diagnosis' })]);
+  });
+});
+
+describe('Charge Capture', () => {
+  test('creates a priced claim and posts charge transactions for a completed encounter', async () => {
+    const client = mockClient(
+      { rows: [encounterRow()] },
+      { rows: [] }, // existing claim
+      { rows: [labTest(11, '4548-4', '83036', 'Hemoglobin A1c')] },
+      { rows: panels },
+      { rows: [{ cpt_code: '99214', description: 'Office visit', amount: '200.00' }, { cpt_code: '83036', description: 'A1C', amount: '30.00' }] },
+      { rows: [{ id: 5 }] }, // coverage
+      { rows: [{ id: 90, claim_number: 'CLM000000090', status: 'draft' }] },
+      { rows: [{ id: 1, line_number: 1, cpt_code: '99214' }] },
+      { rowCount: 1 },
+      { rows: [{ id: 2, line_number: 2, cpt_code: '83036' }] },
+      { rowCount: 1 }
+    );
+    const audit = jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { captured, claim } = await claimsService.captureEncounterCharges(7, 5);
+
+    expect(captured).toBe(true);
+    expect(claim.lines.map(line => line.cpt_code)).toEqual(['99214', '83036']);
+
+    const insertClaim = client.query.mock.calls.find(([sql]) => /INSERT INTO claims/.test(sql));
+    expect(insertClaim[1]).toEqual([7, 42, 3, 5, '2025-03-14', ['I10', 'E11.9'], 230, '[]', 5]);
+
+    const charges = client.query.mock.calls.filter(([sql]) => /INSERT INTO billing_transactions/.test(sql));
+    expect(charges.map(([, params]) => [params[1], params[4], params[5], params[6], params[9]]))
+      .toEqual([[200, '99214', 'I10', 'CLM000000090', 1], [30, '83036', 'I10', 'CLM000000090', 2]]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(audit).toHaveBeenCalledWith(5, 'claims', 90, 'charge_capture', expect.any(String), { patientId: 42 });
+  });
+
+  test('defaults the E/M level by new or established patient and flags self-pay', async () => {
+    const client = mockClient(
+      { rows: [encounterRow({ em_code: null, diagnoses: null })] },
+      { rows: [] },
+      { rows: [] },
+      { rows: panels },
+      { rows: [{ established: true }] },
+      { rows: [{ cpt_code: '99213', description: 'Office visit', amount: '140.00' }] },
+      { rows: [] }, // no coverage
+      { rows: [{ id: 91, claim_number: 'CLM000000091' }] },
+      { rows: [{ id: 3, line_number: 1, cpt_code: '99213' }] },
+      { rowCount: 1 }
+    );
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await claimsService.captureEncounterCharges(7, 5);
+
+    const [, params] = client.query.mock.calls.find(([sql]) => /INSERT INTO claims/.test(sql));
+    expect(params[3]).toBeNull();
+    expect(JSON.parse(params[7]).map(w => w.code)).toEqual(['em_defaulted', 'no_diagnosis', 'self_pay']);
+    const [, lineParams] = client.query.mock.calls.find(([sql]) => /INSERT INTO claim_lines/.test(sql));
+    expect(lineParams[2]).toBe('99213');
+  });
+
+  test('rebuilds a draft claim but leaves claims past draft untouched', async () => {
+    const draft = mockClient(
+      { rows: [encounterRow()] },
+      { rows: [{ id: 90, status: 'draft', claim_number: 'CLM000000090' }] },
+      { rows: [] },
+      { rows: panels },
+      { rows: [{ cpt_code: '99214', description: 'Office visit', amount: '200.00' }] },
+      { rows: [{ id: 5 }] },
+      { rowCount: 1 }, // delete pending charges
+      { rowCount: 1 }, // delete lines
+      { rows: [{ id: 90, status: 'draft', claim_number: 'CLM000000090' }] },
+      { rows: [{ id: 4, line_number: 1, cpt_code: '99214' }] },
+      { rowCount: 1 }
+    );
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await claimsService.captureEncounterCharges(7, 5);
+    const statements = draft.query.mock.calls.map(([sql]) => String(sql).trim().split(/\s+/).slice(0, 3).join(' '));
+    expect(statements).toContain('DELETE FROM billing_transactions');
+    expect(statements).toContain('UPDATE claims SET');
+    expect(statements).not.toContain('INSERT INTO claims');
+
+    jest.restoreAllMocks();
+    const submitted = mockClient({ rows: [encounterRow()] }, { rows: [{ id: 90, status: 'submitted' }] });
+    jest.spyOn(claimsService, 'getClaim').mockResolvedValue({ id: 90, status: 'submitted', lines: [] });
+
+    const result = await claimsService.captureEncounterCharges(7, 5);
+    expect(result).toEqual({ captured: false, claim: { id: 90, status: 'submitted', lines: [] } });
+    expect(submitted.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(submitted.query.mock.calls.some(([sql]) => /INSERT/.test(sql))).toBe(false);
+  });
+
+  test('refuses encounters that are not complete', async () => {
+    const client = mockClient({ rows: [encounterRow({ status: 'open' })] });
+
+    await expect(claimsService.captureEncounterCharges(7, 5)).rejects.toBeInstanceOf(ClaimError);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
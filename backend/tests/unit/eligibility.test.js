@@ -0,0 +1,231 @@
+// Eligibility Tests
+// Tests the X12 envelope utilities, 270 generation, 271 parsing against the clearinghouse stub
+// and the verify flow that applies benefits to the coverage
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import clearinghouseService from '../../services/clearinghouse.service.js';
+import clearinghouseStub from '../../services/clearinghouse-stub.service.js';
+import eligibilityService from '../../services/eligibility.service.js';
+import { buildInterchange, parseX12, transactionSets, X12ParseError } from '../../utils/x12.js';
+
+const coverage = (overrides = {}) => ({
+  id: 11,
+  patient_id: 42,
+  insurance_plan_id: 3,
+  plan_name: 'Choice PPO',
+  insurance_company: 'Acme Health',
+  payer_id: 'ACME01',
+  subscriber_id: 'W123456789',
+  policy_number: 'POL-1',
+  group_number: 'GRP100',
+  subscriber_relationship: 'self',
+  subscriber_name: null,
+  subscriber_dob: null,
+  first_name: 'Jane',
+  last_name: 'Doe',
+  dob: '1980-04-02',
+  gender: 'female',
+  provider_first_name: 'Alan',
+  provider_last_name: 'Smith',
+  provider_npi: '1234567893',
+  ...overrides
+});
+
+const build = (overrides) => eligibilityService.build270(coverage(overrides), {
+  controlNumber: '000000077',
+  traceNumber: 'EV000000077',
+  serviceDate: '2025-03-14',
+  date: new Date('2025-03-14T15:30:00Z')
+});
+
+const segmentsOf = (x12) => transactionSets(parseX12(x12).segments)[0].segments;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('X12 Utilities', () => {
+  test('builds an interchange that parses back with envelopes and counts', () => {
+    const x12 = buildInterchange({
+      senderId: 'SENDER',
+      receiverId: 'RECEIVER',
+      controlNumber: 5,
+      functionalCode: 'HS',
+      version: '005010X279A1',
+      transactions: [{ type: '270', segments: [['BHT', '0022', '13', 'A*B~C'], ['SV1', ['HC', '99213', '25']]] }]
+    });
+
+    const { segments } = parseX12(x12);
+    expect(segments[0].id).toBe('ISA');
+    expect(segments[0].el(13)).toBe('000000005');
+    expect(segments.map(s => s.id)).toEqual(['ISA', 'GS', 'ST', 'BHT', 'SV1', 'SE', 'GE', 'IEA']);
+    expect(segments[3].el(3)).toBe('A B C');
+    expect(segments[4].components(1)).toEqual(['HC', '99213', '25']);
+    expect(segments[5].el(1)).toBe('4');
+
+    const [set] = transactionSets(segments);
+    expect(set).toMatchObject({ type: '270', controlNumber: '0001' });
+  });
+
+  test('reads delimiters from the ISA segment and rejects truncated interchanges', () => {
+    const x12 = buildInterchange({
+      senderId: 'S', receiverId: 'R', controlNumber: 1, functionalCode: 'HB', version: '005010X279A1',
+      transactions: [{ type: '271', segments: [['BHT', '0022', '11']] }]
+    }).replace(/\*/g, '|').replace(/~\n/g, '\n');
+
+    const { delimiters, segments } = parseX12(x12);
+    expect(delimiters).toMatchObject({ element: '|', segment: '\n' });
+    expect(segments.find(s => s.id === 'BHT').el(2)).toBe('11');
+
+    expect(() => parseX12('GS*HS')).toThrow(X12ParseError);
+    expect(() => parseX12(x12.split('\n').slice(0, -2).join('\n'))).toThrow(/IEA/);
+  });
+});
+
+describe('270 Eligibility Inquiry', () => {
+  test('addresses the payer and provider and puts the inquiry on the subscriber', () => {
+    const segments = segmentsOf(build());
+    const ids = segments.map(s => s.id);
+    expect(ids).toEqual(['ST', 'BHT', 'HL', 'NM1', 'HL', 'NM1', 'HL', 'TRN', 'NM1', 'REF', 'DMG', 'DTP', 'EQ', 'SE']);
+
+    const [payer, receiver, subscriber] = segments.filter(s => s.id === 'NM1');
+    expect(payer.elements).toEqual(['PR', '2', 'Acme Health', '', '', '', '', 'PI', 'ACME01']);
+    expect([receiver.el(8), receiver.el(9)]).toEqual(['XX', '1234567893']);
+    expect([subscriber.el(8), subscriber.el(9)]).toEqual(['MI', 'W123456789']);
+    expect(segments.find(s => s.id === 'TRN').el(2)).toBe('EV000000077');
+    expect(segments.find(s => s.id === 'DMG').elements).toEqual(['D8', '19800402', 'F']);
+    expect(segments.find(s => s.id === 'DTP').elements).toEqual(['291', 'D8', '20250314']);
+  });
+
+  test('puts the inquiry on a dependent level when the patient is not the subscriber', () => {
+    const segments = segmentsOf(build({ subscriber_relationship: 'child', subscriber_name: 'John Q Doe', subscriber_dob: '1975-01-20' }));
+    const levels = segments.filter(s => s.id === 'HL').map(s => s.el(3));
+    expect(levels).toEqual(['20', '21', '22', '23']);
+
+    const subscriber = segments.find(s => s.id === 'NM1' && s.el(1) === 'IL');
+    expect([subscriber.el(3), subscriber.el(4)]).toEqual(['Doe', 'John Q']);
+
+    const dependentIndex = segments.findIndex(s => s.id === 'HL' && s.el(3) === '23');
+    expect(segments.slice(dependentIndex).map(s => s.id)).toEqual(['HL', 'TRN', 'NM1', 'DMG', 'DTP', 'EQ', 'SE']);
+  });
+
+  test('requires an information receiver NPI', () => {
+    expect(() => build({ provider_npi: null })).toThrow(expect.objectContaining({ status: 422 }));
+  });
+});
+
+describe('271 Eligibility Response', () => {
+  test('parses the stub response into the coverage benefit columns', () => {
+    const [response] = eligibilityService.parse271(clearinghouseStub.respond(build()));
+    expect(response).toMatchObject({
+      traceNumber: 'EV000000077',
+      errors: [],
+      coverageActive: true,
+      planDescription: 'STUB PPO PLAN',
+      benefits: {
+        copay_primary_care: 25,
+        copay_specialist: 50,
+        deductible: 1500,
+        deductible_met: 500,
+        out_of_pocket_max: 6000,
+        out_of_pocket_met: 800
+      }
+    });
+  });
+
+  test('answers dependent inquiries with the subscriber trace', () => {
+    const x12 = build({ subscriber_relationship: 'spouse', subscriber_name: 'John Doe' });
+    const responses = eligibilityService.parse271(clearinghouseStub.respond(x12));
+    expect(responses).toHaveLength(1);
+    const [response] = responses;
+    expect(response.traceNumber).toBe('EV000000077');
+    expect(response.member).toMatchObject({ first: 'Jane', last: 'Doe' });
+    expect(response.coverageActive).toBe(true);
+  });
+
+  test('reports AAA rejections and inactive coverage', () => {
+    const [notFound] = eligibilityService.parse271(clearinghouseStub.respond(build({ subscriber_id: 'NOTFOUND1' })));
+    expect(notFound.errors).toEqual([{ code: '75', message: 'Subscriber/insured not found', followUp: 'C' }]);
+    expect(notFound.coverageActive).toBeNull();
+
+    const [inactive] = eligibilityService.parse271(clearinghouseStub.respond(build({ subscriber_id: 'INACTIVE1' })));
+    expect(inactive.errors).toEqual([]);
+    expect(inactive.coverageActive).toBe(false);
+  });
+
+  test('prefers in-network individual amounts and year-to-date accumulators', () => {
+    const benefit = (code, level, period, amount, inNetwork = 'Y') => ({
+      code, coverageLevel: level, serviceTypes: ['30'], planDescription: '', timePeriod: period, amount, inNetwork, messages: []
+    });
+    const { benefits } = eligibilityService.summarizeBenefits([
+      benefit('C', 'FAM', '23', 3000),
+      benefit('C', 'IND', '23', 2500, 'N'),
+      benefit('C', 'IND', '23', 1000),
+      benefit('C', 'IND', '24', 250)
+    ]);
+    expect(benefits).toMatchObject({ deductible: 1000, deductible_met: 250, out_of_pocket_max: null });
+  });
+});
+
+describe('Eligibility Verification', () => {
+  test('sends the 270 through the stub and applies the 271 to the coverage', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    client.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ id: 9, patient_insurance_id: 11, requester_first_name: 'Rita', requester_last_name: 'Front' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9, status: 'completed', coverage_active: true }] })
+      .mockResolvedValueOnce({ rowCount: 1 }) // patient_insurance
+      .mockResolvedValueOnce({}); // COMMIT
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [coverage()] })
+      .mockResolvedValueOnce({ rows: [{ value: 77 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 9, status: 'pending' }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(clearinghouseService, 'getTransport').mockReturnValue({ name: 'stub' });
+    const send = jest.spyOn(clearinghouseService, 'send').mockImplementation(async x12 => clearinghouseStub.respond(x12));
+
+    const result = await eligibilityService.verify(11, 5, { serviceDate: '2025-03-14' });
+
+    expect(result).toMatchObject({ id: 9, status: 'completed', coverage_active: true });
+    expect(send).toHaveBeenCalledWith(expect.stringContaining('ST*270*0001'), { fileName: '270-000000077.x12' });
+    expect(query.mock.calls[2][1].slice(0, 7)).toEqual([11, 42, '000000077', 'EV000000077', '2025-03-14', '30', 'stub']);
+
+    const [, [traceNumber]] = client.query.mock.calls[1];
+    expect(traceNumber).toBe('EV000000077');
+    const [, coverageParams] = client.query.mock.calls[3];
+    expect(coverageParams).toEqual([11, 25, 50, 1500, 500, 6000, 800, 'Rita Front (X12 271)']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('records the request as errored when the transport fails', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [coverage()] })
+      .mockResolvedValueOnce({ rows: [{ value: 78 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 10, status: 'pending' }] })
+      .mockResolvedValueOnce({ rowCount: 1 });
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.X12_TRANSPORT = 'http';
+    delete process.env.X12_HTTP_URL;
+
+    try {
+      await expect(eligibilityService.verify(11, 5)).rejects.toMatchObject({ status: 502 });
+    } finally {
+      delete process.env.X12_TRANSPORT;
+    }
+    expect(query.mock.calls[3][0]).toMatch(/status = 'error'/);
+  });
+
+  test('rejects coverage without a payer ID before sending', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [coverage({ payer_id: null })] });
+    const send = jest.spyOn(clearinghouseService, 'send');
+
+    await expect(eligibilityService.verify(11, 5)).rejects.toMatchObject({ status: 422 });
+    expect(send).not.toHaveBeenCalled();
+  });
+});
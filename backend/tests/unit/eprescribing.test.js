@@ -0,0 +1,384 @@
+// E-Prescribing Tests
+// Tests NCPDP SCRIPT message building and parsing, the pharmacy simulator, NewRx/CancelRx transmission and status
+// updates, the renewal/change request queue and sending prescriptions from prescribing
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import prescriptionService from '../../services/prescription.service.js';
+import pharmacySimulator from '../../services/pharmacy-simulator.service.js';
+import eprescribingService, { ErxError } from '../../services/eprescribing.service.js';
+import {
+  buildScriptMessage,
+  parseScriptMessage,
+  el,
+  medicationElement,
+  patientElement,
+  readMedication,
+  readPatient
+} from '../../utils/ncpdp-script.js';
+
+const pharmacyRow = {
+  id: 3, ncpdp_id: '0000001', npi: '1111111112', name: 'Simulator Retail Pharmacy', address_line1: '1 Test Way',
+  address_line2: null, city: 'Springfield', state: 'IL', zip_code: '62701', phone: '2175550101', fax: '2175550102',
+  pharmacy_type: 'retail', accepts_erx: true, active: true
+};
+const rejectingPharmacyRow = { ...pharmacyRow, id: 4, ncpdp_id: '9999999', name: 'Simulator Rejecting Pharmacy' };
+const providerRow = { id: 2, first_name: 'Ana', last_name: 'Lopez', npi: '1234567893', user_id: 5 };
+const patientRow = {
+  first_name: 'Sam', last_name: "O'Neil", dob: '1980-04-02', gender: 'male',
+  billing_address: '12 Elm St', billing_city: 'Springfield', billing_state: 'IL', billing_zip_code: '62704'
+};
+const lisinopril = {
+  id: 9, generic_name: 'lisinopril', brand_name: null, strength: '10 mg', dosage_form: 'tablet',
+  ndc: '68180-0513-01', rxcui: '314076'
+};
+
+// pool.query backed by in-memory e-prescriptions, messages and requests, answering other lookups by statement
+const mockDb = ({ pharmacy = pharmacyRow, provider = providerRow } = {}) => {
+  const db = { eprescriptions: [], messages: [], requests: [] };
+  const byId = (rows, id) => rows.find(row => row.id === id);
+
+  jest.spyOn(pool, 'query').mockImplementation(async (sql, params = []) => {
+    if (/FROM pharmacies WHERE id/.test(sql)) return { rows: pharmacy ? [pharmacy] : [] };
+    if (/FROM pharmacies WHERE ncpdp_id/.test(sql)) return { rows: pharmacy?.ncpdp_id === params[0] ? [{ id: pharmacy.id }] : [] };
+    if (/FROM providers WHERE (user_id|id|npi)/.test(sql)) return { rows: provider ? [provider] : [] };
+    if (/FROM medications WHERE id/.test(sql)) return { rows: [lisinopril] };
+    if (/LEFT JOIN LATERAL/.test(sql)) return { rows: [patientRow] };
+
+    if (/INSERT INTO eprescriptions/.test(sql)) {
+      const hasReplaces = /replaces_eprescription_id/.test(sql);
+      const [number, patientMedicationId, patientId, providerId, pharmacyId, medicationId, description, ndc, rxcui,
+        quantity, quantityUnit, daysSupply, refills, sig, note, substitutionsAllowed] = params;
+      const row = {
+        id: 100 + db.eprescriptions.length, prescriber_order_number: number, patient_medication_id: patientMedicationId,
+        patient_id: patientId, provider_id: providerId, pharmacy_id: pharmacyId, medication_id: medicationId,
+        drug_description: description, ndc, rxcui, quantity: String(quantity), quantity_unit: quantityUnit,
+        days_supply: daysSupply, refills, sig, note, substitutions_allowed: substitutionsAllowed,
+        written_date: '2025-06-30', status: 'queued', status_detail: null,
+        replaces_eprescription_id: hasReplaces ? params[16] : null
+      };
+      db.eprescriptions.push(row);
+      return { rows: [row] };
+    }
+    if (/INSERT INTO erx_messages/.test(sql)) {
+      const [messageId, relatesTo, direction, type, eprescriptionId, pharmacyId, status, code, description, payload] = params;
+      const row = {
+        id: 500 + db.messages.length, message_id: messageId, relates_to_message_id: relatesTo, direction,
+        message_type: type, eprescription_id: eprescriptionId, pharmacy_id: pharmacyId, status,
+        status_code: code, status_description: description, payload
+      };
+      db.messages.push(row);
+      return { rows: [row] };
+    }
+    if (/INSERT INTO erx_pharmacy_requests/.test(sql)) {
+      const [type, messageId, eprescriptionId, patientId, providerId, pharmacyId, changeCode, patientName, dob,
+        description, quantity, refills, note] = params;
+      const row = {
+        id: 700 + db.requests.length, request_type: type, erx_message_id: messageId, eprescription_id: eprescriptionId,
+        patient_id: patientId, provider_id: providerId, pharmacy_id: pharmacyId, change_code: changeCode,
+        patient_name: patientName, patient_dob: dob, drug_description: description, quantity,
+        requested_refills: refills, pharmacy_note: note, status: 'pending'
+      };
+      db.requests.push(row);
+      return { rows: [row] };
+    }
+
+    const setEPrescription = sql.match(/UPDATE eprescriptions SET status = '(\w+)'/);
+    if (setEPrescription) {
+      const row = byId(db.eprescriptions, params[0]);
+      const only = sql.match(/AND status (?:IN \(([^)]*)\)|= '(\w+)')/);
+      if (row && (!only || (only[1] || `'${only[2]}'`).includes(`'${row.status}'`))) {
+        row.status = setEPrescription[1];
+        row.status_detail = params[1] ?? null;
+      }
+      return { rows: [] };
+    }
+    if (/UPDATE eprescriptions SET status = \$2/.test(sql)) {
+      Object.assign(byId(db.eprescriptions, params[0]), { status: params[1], status_detail: params[2] });
+      return { rows: [] };
+    }
+    const setMessage = sql.match(/UPDATE erx_messages SET status = '(\w+)'/);
+    if (setMessage) {
+      Object.assign(byId(db.messages, params[0]), { status: setMessage[1], ...(params[1] && { status_description: params[1] }) });
+      return { rows: [] };
+    }
+    if (/UPDATE erx_messages SET status = \$2/.test(sql)) {
+      Object.assign(byId(db.messages, params[0]), { status: params[1], status_code: params[2], status_description: params[3] });
+      return { rows: [] };
+    }
+    if (/UPDATE erx_pharmacy_requests/.test(sql)) {
+      Object.assign(byId(db.requests, params[0]), { status: params[1], response_note: params[2], denial_reason_code: params[3] });
+      return { rows: [] };
+    }
+
+    const messageLookup = sql.match(/FROM erx_messages WHERE direction = '(\w+)' AND message_id = \$1/);
+    if (messageLookup) {
+      return { rows: db.messages.filter(m => m.direction === messageLookup[1] && m.message_id === params[0]) };
+    }
+    if (/FROM erx_messages\s+WHERE eprescription_id = \$1 AND direction = 'outbound'/.test(sql)) {
+      return {
+        rows: db.messages
+          .filter(m => m.eprescription_id === params[0] && m.direction === 'outbound' && params[1].includes(m.message_type) && m.status !== 'error')
+          .reverse()
+      };
+    }
+    if (/FROM erx_messages\s+WHERE eprescription_id/.test(sql)) {
+      return { rows: db.messages.filter(m => m.eprescription_id === params[0]) };
+    }
+    if (/FROM eprescriptions WHERE prescriber_order_number/.test(sql)) {
+      return { rows: db.eprescriptions.filter(row => row.prescriber_order_number === params[0]) };
+    }
+    if (/FROM eprescriptions e\b/.test(sql) || /FROM eprescriptions WHERE id/.test(sql)) {
+      const row = byId(db.eprescriptions, params[0]);
+      return { rows: row ? [{ ...row, pharmacy_name: pharmacy?.name, ncpdp_id: pharmacy?.ncpdp_id }] : [] };
+    }
+    if (/FROM erx_pharmacy_requests r/.test(sql)) {
+      const row = byId(db.requests, params[0]);
+      const message = row && byId(db.messages, row.erx_message_id);
+      return { rows: row ? [{ ...row, message_id: message.message_id, payload: message.payload }] : [] };
+    }
+    return { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue({ query: (...args) => pool.query(...args), release: jest.fn() });
+  return db;
+};
+
+const newRx = (overrides = {}) => ({
+  patientId: 42,
+  patientMedicationId: 801,
+  medicationId: 9,
+  pharmacyId: 3,
+  dosage: '10 mg',
+  frequency: 'once daily',
+  instructions: 'Take in the morning',
+  quantity: 30,
+  daysSupply: 30,
+  refills: 2,
+  userId: 5,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+  delete process.env.ERX_TRANSPORT;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ERX_TRANSPORT;
+});
+
+describe('SCRIPT Messages', () => {
+  test('builds a 2017071 envelope, escapes text and drops empty optional elements', () => {
+    const xml = buildScriptMessage({
+      to: { qualifier: 'P', id: '0000001' },
+      from: { qualifier: 'C', id: 'EMRSYSTEM' },
+      messageId: 'abc123',
+      prescriberOrderNumber: 'PON1',
+      sentTime: '2025-06-30T15:00:00Z',
+      type: 'NewRx',
+      body: [
+        patientElement({ firstName: 'Sam', lastName: "O'Neil", gender: 'male', dob: '1980-04-02', address: {} }),
+        medicationElement('MedicationPrescribed', {
+          drugDescription: 'lisinopril 10 mg <tablet>', ndc: '68180-0513-01', quantity: 30, refills: 0,
+          substitutionsAllowed: false, sig: 'Take 1 daily'
+        })
+      ]
+    });
+
+    expect(xml).toContain('TransactionVersion="2017071"');
+    expect(xml).toContain('<LastName>O&apos;Neil</LastName>');
+    expect(xml).toContain('<DrugDescription>lisinopril 10 mg &lt;tablet&gt;</DrugDescription>');
+    expect(xml).toContain('<Substitutions>1</Substitutions>');
+    expect(xml).not.toContain('<Address');
+    expect(xml).not.toContain('DrugDBCode');
+
+    const message = parseScriptMessage(xml);
+    expect(message.type).toBe('NewRx');
+    expect(message.header).toMatchObject({ to: '0000001', toQualifier: 'P', messageId: 'abc123', prescriberOrderNumber: 'PON1' });
+    expect(readPatient(message.transaction)).toEqual({ firstName: 'Sam', lastName: "O'Neil", dob: '1980-04-02', gender: 'M' });
+    expect(readMedication(message.transaction.find('MedicationPrescribed'))).toMatchObject({
+      drugDescription: 'lisinopril 10 mg <tablet>', ndc: '68180051301', quantity: 30, quantityUnit: 'C38046', refills: 0
+    });
+  });
+
+  test('the simulator acknowledges NewRx, rejects for its reject pharmacy and approves CancelRx', () => {
+    const outbound = (type, ncpdpId = '0000001') => buildScriptMessage({
+      to: { qualifier: 'P', id: ncpdpId }, from: { qualifier: 'C', id: 'EMRSYSTEM' },
+      messageId: 'out1', prescriberOrderNumber: 'PON1', type, body: [el('Note', 'x')]
+    });
+
+    const status = parseScriptMessage(pharmacySimulator.respond(outbound('NewRx')));
+    expect(status).toMatchObject({ type: 'Status', header: { to: 'EMRSYSTEM', from: '0000001', relatesToMessageId: 'out1' } });
+    expect(status.transaction.find('Code').text()).toBe('010');
+
+    const error = parseScriptMessage(pharmacySimulator.respond(outbound('NewRx', '9999999')));
+    expect(error.type).toBe('Error');
+    expect(error.transaction.find('Code').text()).toBe('900');
+
+    const cancel = parseScriptMessage(pharmacySimulator.respond(outbound('CancelRx')));
+    expect(cancel.type).toBe('CancelRxResponse');
+    expect(cancel.transaction.find('Response/Approved')).not.toBeNull();
+  });
+});
+
+describe('Transmission', () => {
+  test('sends a NewRx to the pharmacy and marks it delivered on the simulator Status', async () => {
+    const db = mockDb();
+
+    const eprescription = await eprescribingService.sendNewRx(newRx());
+
+    expect(eprescription).toMatchObject({
+      status: 'delivered', drugDescription: 'lisinopril 10 mg tablet', quantity: 30, quantityUnit: 'C48542',
+      refills: 2, sig: '10 mg once daily. Take in the morning', pharmacyName: 'Simulator Retail Pharmacy'
+    });
+    expect(eprescription.messages.map(m => [m.direction, m.type, m.status])).toEqual([
+      ['outbound', 'NewRx', 'acknowledged'],
+      ['inbound', 'Status', 'processed']
+    ]);
+
+    const sent = parseScriptMessage(db.messages[0].payload);
+    expect(sent.header).toMatchObject({ to: '0000001', toQualifier: 'P', prescriberOrderNumber: db.eprescriptions[0].prescriber_order_number });
+    expect(sent.transaction.find('Prescriber/NonVeterinarian/Identification/NPI').text()).toBe('1234567893');
+    expect(sent.transaction.find('Patient/HumanPatient/Address/PostalCode').text()).toBe('62704');
+    expect(sent.transaction.find('MedicationPrescribed/DrugCoded/DrugDBCode/Code').text()).toBe('314076');
+  });
+
+  test('a pharmacy rejection or unreachable network leaves the prescription in error for resending', async () => {
+    const db = mockDb({ pharmacy: rejectingPharmacyRow });
+    const rejected = await eprescribingService.sendNewRx(newRx({ pharmacyId: 4 }));
+    expect(rejected).toMatchObject({ status: 'error', statusDetail: 'Rejected by pharmacy: Pharmacy is not accepting electronic prescriptions' });
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    eprescribingService.registerTransport('offline', { name: 'offline', send: async () => { throw new Error('ECONNREFUSED'); } });
+    process.env.ERX_TRANSPORT = 'offline';
+    const resent = await eprescribingService.resend(rejected.id, 5);
+    expect(resent).toMatchObject({ status: 'error', statusDetail: 'Not delivered: ECONNREFUSED' });
+    expect(db.messages.at(-1)).toMatchObject({ message_type: 'NewRx', status: 'error' });
+  });
+
+  test('refuses to send without a prescriber NPI, a pharmacy or a quantity', async () => {
+    mockDb({ provider: { ...providerRow, npi: null } });
+    await expect(eprescribingService.sendNewRx(newRx())).rejects.toMatchObject({ status: 422, message: expect.stringContaining('no NPI') });
+    await expect(eprescribingService.sendNewRx(newRx({ quantity: null }))).rejects.toThrow(ErxError);
+
+    jest.restoreAllMocks();
+    mockDb({ pharmacy: null });
+    await expect(eprescribingService.sendNewRx(newRx({ pharmacyId: null }))).rejects.toMatchObject({ status: 422 });
+  });
+
+  test('refuses to send when the prescribing user has no provider record', async () => {
+    const db = mockDb({ provider: null });
+    await expect(eprescribingService.sendNewRx(newRx({ userId: 9 })))
+      .rejects.toMatchObject({ status: 422, message: expect.stringContaining('No provider record') });
+    await expect(eprescribingService.sendNewRx(newRx({ userId: undefined }))).rejects.toMatchObject({ status: 422 });
+    expect(db.messages).toEqual([]);
+  });
+
+  test('CancelRx refers to the delivered NewRx and the CancelRxResponse settles the status', async () => {
+    const db = mockDb();
+    const sent = await eprescribingService.sendNewRx(newRx());
+
+    const cancelled = await eprescribingService.cancel(sent.id, { reason: 'Wrong strength', userId: 5 });
+
+    const cancelRx = db.messages.find(m => m.message_type === 'CancelRx');
+    expect(cancelRx.relates_to_message_id).toBe(db.messages[0].message_id);
+    expect(cancelled).toMatchObject({ status: 'cancelled', statusDetail: 'Prescription cancelled before dispensing' });
+    await expect(eprescribingService.cancel(sent.id, { userId: 5 })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('Renewal and Change Queue', () => {
+  test('an inbound RxRenewalRequest is matched to its prescription and queued for the prescriber', async () => {
+    const db = mockDb();
+    const sent = await eprescribingService.sendNewRx(newRx());
+    const xml = pharmacySimulator.renewalRequest(db.messages[0].payload, { refills: 3, note: 'Last fill used' });
+
+    const result = await eprescribingService.processInbound(xml, { userId: 5 });
+
+    expect(result).toMatchObject({ type: 'RxRenewalRequest', duplicate: false, eprescriptionId: sent.id });
+    expect(parseScriptMessage(result.reply)).toMatchObject({ type: 'Status', header: { to: '0000001' } });
+    expect(db.requests).toEqual([expect.objectContaining({
+      request_type: 'renewal', eprescription_id: sent.id, patient_id: 42, provider_id: 2, pharmacy_id: 3,
+      drug_description: 'lisinopril 10 mg tablet', requested_refills: 3, pharmacy_note: 'Last fill used'
+    })]);
+
+    const again = await eprescribingService.processInbound(xml, { userId: 5 });
+    expect(again.duplicate).toBe(true);
+    expect(db.requests).toHaveLength(1);
+  });
+
+  test('approving a renewal sends an RxRenewalResponse and creates the renewed prescription', async () => {
+    const db = mockDb();
+    const sent = await eprescribingService.sendNewRx(newRx());
+    const request = await eprescribingService.simulateRequest('renewal', sent.id, { refills: 3 }, 5);
+
+    const { request: answered, eprescription } = await eprescribingService.respondToRequest(request.id, {
+      approve: true, refills: 5, userId: 5
+    });
+
+    expect(answered.status).toBe('approved');
+    expect(eprescription).toMatchObject({ refills: 5, replacesEPrescriptionId: sent.id, status: 'delivered' });
+    const response = parseScriptMessage(db.messages.find(m => m.message_type === 'RxRenewalResponse').payload);
+    expect(response.header.relatesToMessageId).toBe(request.messageId);
+    expect(response.transaction.find('Response/Approved')).not.toBeNull();
+    expect(response.transaction.find('MedicationResponse/NumberOfRefills').text()).toBe('5');
+    expect(db.eprescriptions[0].status).toBe('delivered');
+  });
+
+  test('approving a change replaces the original with the requested medication', async () => {
+    const db = mockDb();
+    const sent = await eprescribingService.sendNewRx(newRx());
+    const request = await eprescribingService.simulateRequest('change', sent.id, {
+      code: 'T', drugDescription: 'enalapril 10 mg tablet', quantity: 60
+    }, 5);
+    expect(request).toMatchObject({ requestType: 'change', changeCode: 'T', drugDescription: 'enalapril 10 mg tablet', quantity: 60 });
+
+    const { eprescription } = await eprescribingService.respondToRequest(request.id, { approve: true, userId: 5 });
+
+    expect(eprescription).toMatchObject({ drugDescription: 'enalapril 10 mg tablet', quantity: 60, ndc: null });
+    expect(db.eprescriptions[0]).toMatchObject({ status: 'replaced' });
+  });
+
+  test('denials need a reason code; unmatched requests can only be denied', async () => {
+    const db = mockDb();
+    const sent = await eprescribingService.sendNewRx(newRx());
+    const xml = pharmacySimulator.renewalRequest(db.messages[0].payload)
+      .replace(/<PrescriberOrderNumber>[^<]+<\/PrescriberOrderNumber>/, '<PrescriberOrderNumber>UNKNOWN</PrescriberOrderNumber>');
+    const { requestId } = await eprescribingService.processInbound(xml, { userId: 5 });
+    expect(db.requests[0]).toMatchObject({ eprescription_id: null, provider_id: 2 });
+
+    await expect(eprescribingService.respondToRequest(requestId, { approve: true, userId: 5 })).rejects.toMatchObject({ status: 409 });
+    await expect(eprescribingService.respondToRequest(requestId, { approve: false, userId: 5 })).rejects.toMatchObject({ status: 422 });
+
+    const { request, eprescription } = await eprescribingService.respondToRequest(requestId, {
+      approve: false, denialReasonCode: 'AM', userId: 5
+    });
+    expect(request).toMatchObject({ status: 'denied', denialReasonCode: 'AM' });
+    expect(eprescription).toBeNull();
+    const response = parseScriptMessage(db.messages.find(m => m.message_type === 'RxRenewalResponse').payload);
+    expect(response.transaction.find('Response/Denied/ReasonCode').text()).toBe('AM');
+    expect(db.eprescriptions.find(row => row.id === sent.id).status).toBe('delivered');
+  });
+});
+
+describe('Prescribing', () => {
+  test('sends the prescription to the pharmacy, stays local without one and never fails on transmission', async () => {
+    const sendNewRx = jest.spyOn(eprescribingService, 'sendNewRx').mockResolvedValue({ id: 100, status: 'delivered' });
+    const resolvePharmacy = jest.spyOn(eprescribingService, 'resolvePharmacy').mockResolvedValue({ id: 3 });
+    const details = { patientId: 42, medicationId: 9, dosage: '10 mg', frequency: 'once daily', quantity: 30, refills: 1 };
+
+    await expect(prescriptionService.sendToPharmacy({ id: 801 }, details, 5)).resolves.toEqual({ id: 100, status: 'delivered' });
+    expect(sendNewRx).toHaveBeenCalledWith(expect.objectContaining({ pharmacyId: 3, patientMedicationId: 801, userId: 5, refills: 1 }));
+
+    resolvePharmacy.mockResolvedValue(null);
+    await expect(prescriptionService.sendToPharmacy({ id: 802 }, details, 5)).resolves.toBeNull();
+
+    resolvePharmacy.mockResolvedValue({ id: 3 });
+    sendNewRx.mockRejectedValue(new ErxError('Provider Ana Lopez has no NPI on file', 422));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(prescriptionService.sendToPharmacy({ id: 803 }, details, 5))
+      .resolves.toEqual({ status: 'not_sent', error: 'Provider Ana Lopez has no NPI on file' });
+  });
+});
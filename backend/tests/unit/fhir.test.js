@@ -0,0 +1,336 @@
+// FHIR R4 API Tests
+// Tests mapping of EMR rows to FHIR resources and search parameter handling
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import fhirService, { FHIRError, SYSTEMS, VITAL_SIGNS, MAX_OFFSET } from '../../services/fhir.service.js';
+import bulkExportService from '../../services/fhir-bulk-export.service.js';
+import fhirImportService, { ImportEntryError } from '../../services/fhir-import.service.js';
+
+describe('FHIR R4 Resource Mapping', () => {
+  test('maps a patient row with MRN and identifiers', () => {
+    const patient = fhirService.toPatient({
+      id: 7,
+      first_name: 'Jane',
+      last_name: 'Doe',
+      dob: '1980-04-02',
+      gender: 'F',
+      phone: '555-0100',
+      mrn: 'MRN-0007',
+      identifiers: { insurance_member: 'XYZ123', legacy_ssn: '123-45-6789' },
+      provider_id: 3
+    });
+
+    expect(patient.resourceType).toBe('Patient');
+    expect(patient.id).toBe('7');
+    expect(patient.gender).toBe('female');
+    expect(patient.birthDate).toBe('1980-04-02');
+    expect(patient.name[0]).toEqual({ use: 'official', family: 'Doe', given: ['Jane'] });
+    expect(patient.identifier).toEqual(expect.arrayContaining([
+      expect.objectContaining({ system: SYSTEMS.MRN, value: 'MRN-0007' }),
+      { system: `${SYSTEMS.IDENTIFIER_PREFIX}insurance_member`, value: 'XYZ123' }
+    ]));
+    expect(JSON.stringify(patient)).not.toContain('123-45-6789');
+    expect(patient.generalPractitioner[0].reference).toBe('Practitioner/3');
+  });
+
+  test('expands a vitals row into LOINC-coded observations', () => {
+    const observations = fhirService.vitalsToObservations({
+      id: 11,
+      patient_id: 7,
+      encounter_id: 4,
+      taken_at: '2024-05-01T10:00:00Z',
+      weight_kg: '70.5',
+      systolic: 120,
+      diastolic: 80,
+      pulse: null
+    });
+
+    const weight = observations.find(o => o.id === 'vitals-11-weight');
+    expect(weight.code.coding[0].code).toBe('29463-7');
+    expect(weight.valueQuantity).toEqual({ value: 70.5, unit: 'kg', system: SYSTEMS.UCUM, code: 'kg' });
+    expect(weight.encounter.reference).toBe('Encounter/4');
+
+    const bp = observations.find(o => o.id === 'vitals-11-bp');
+    expect(bp.code.coding[0].code).toBe('85354-9');
+    expect(bp.component.map(c => c.code.coding[0].code)).toEqual(['8480-6', '8462-4']);
+
+    expect(observations.find(o => o.id === 'vitals-11-heart-rate')).toBeUndefined();
+  });
+
+  test('maps encounter and allergy status values', () => {
+    expect(fhirService.toEncounter({ id: 1, patient_id: 2, status: 'open' }).status).toBe('in-progress');
+    expect(fhirService.toEncounter({ id: 1, patient_id: 2, status: 'completed' }).status).toBe('finished');
+
+    const allergy = fhirService.toAllergyIntolerance({
+      id: 5, patient_id: 2, type: 'medication', substance: 'Penicillin', reaction: 'Hives', severity: 'severe', active: false
+    });
+    expect(allergy.clinicalStatus.coding[0].code).toBe('inactive');
+    expect(allergy.category).toEqual(['medication']);
+    expect(allergy.criticality).toBe('high');
+    expect(allergy.reaction[0]).toEqual({ manifestation: [{ text: 'Hives' }], severity: 'severe' });
+  });
+});
+
+describe('FHIR Medication and Condition Mapping', () => {
+  test('maps prescription lifecycle to MedicationRequest status with RxNorm coding', () => {
+    const base = {
+      id: 9, patient_id: 7, provider_id: 3, prescribed_name: 'Lisinopril 10mg', rxcui: '314076',
+      dose: '10mg', route: 'PO', frequency: 'daily', refills: 2, quantity: 30, quantity_unit: 'tablets'
+    };
+
+    const active = fhirService.toMedicationRequest({ ...base, status: 'active' });
+    expect(active.status).toBe('active');
+    expect(active.intent).toBe('order');
+    expect(active.medicationCodeableConcept.coding[0]).toEqual({ system: SYSTEMS.RXNORM, code: '314076', display: 'Lisinopril 10mg' });
+    expect(active.dispenseRequest.numberOfRepeatsAllowed).toBe(2);
+    expect(active.dosageInstruction[0].text).toBe('10mg PO daily');
+
+    expect(fhirService.toMedicationRequest({ ...base, status: 'on_hold' }).status).toBe('on-hold');
+    expect(fhirService.toMedicationRequest({ ...base, status: 'completed' }).status).toBe('completed');
+    const stopped = fhirService.toMedicationRequest({ ...base, status: 'discontinued', discontinue_reason: 'Cough' });
+    expect(stopped.status).toBe('stopped');
+    expect(stopped.statusReason.text).toBe('Cough');
+    const expired = fhirService.toMedicationRequest({ ...base, status: 'expired' });
+    expect(expired.status).toBe('completed');
+    expect(expired.statusReason.text).toBe('Prescription expired');
+  });
+
+  test('maps patient medications to MedicationStatement', () => {
+    const statement = fhirService.toMedicationStatement({
+      id: 4, patient_id: 7, name: 'metformin', rxcui: '6809', dose: '500mg', frequency: 'BID', started_at: '2023-01-10', active: true
+    });
+    expect(statement.status).toBe('active');
+    expect(statement.medicationCodeableConcept.coding[0].code).toBe('6809');
+    expect(statement.effectivePeriod).toEqual({ start: '2023-01-10' });
+
+    const noCode = fhirService.toMedicationStatement({ id: 5, patient_id: 7, name: 'herbal tea', active: false, ended_at: '2020-01-01' });
+    expect(noCode.status).toBe('completed');
+    expect(noCode.medicationCodeableConcept).toEqual({ text: 'herbal tea' });
+  });
+
+  test('maps problems and chronic conditions to ICD-10 coded Conditions', () => {
+    const problem = fhirService.problemToCondition({
+      id: 2, patient_id: 7, code: 'J02.9', description: 'Sore throat', icd10_description: 'Acute pharyngitis, unspecified',
+      status: 'resolved', onset_date: '2024-02-01', resolved_date: '2024-02-10'
+    });
+    expect(problem.id).toBe('problem-2');
+    expect(problem.clinicalStatus.coding[0].code).toBe('resolved');
+    expect(problem.code.coding[0]).toEqual({ system: SYSTEMS.ICD10, code: 'J02.9', display: 'Acute pharyngitis, unspecified' });
+    expect(problem.abatementDateTime).toBe('2024-02-10');
+
+    const chronic = fhirService.chronicToCondition({
+      id: 3, patient_id: 7, condition_name: 'Type 2 diabetes', icd10_code: 'E11.9', severity: 'moderate', diagnosed_date: '2019-05-05'
+    });
+    expect(chronic.id).toBe('chronic-3');
+    expect(chronic.clinicalStatus.coding[0].code).toBe('active');
+    expect(chronic.severity.coding[0].code).toBe('6736007');
+  });
+});
+
+describe('FHIR Search Parameters', () => {
+  test('parses token parameters with and without system', () => {
+    expect(fhirService.parseTokens('http://loinc.org|8867-4,29463-7')).toEqual([
+      { system: 'http://loinc.org', code: '8867-4' },
+      { system: null, code: '29463-7' }
+    ]);
+  });
+
+  test('expands partial dates with prefixes', () => {
+    expect(fhirService.parseDates('2024-03')).toEqual([
+      { operator: '>=', value: '2024-03-01' },
+      { operator: '<', value: '2024-04-01' }
+    ]);
+    expect(fhirService.parseDates(['ge2024-01-01', 'le2024-12-31'])).toEqual([
+      { operator: '>=', value: '2024-01-01' },
+      { operator: '<', value: '2025-01-01' }
+    ]);
+    expect(() => fhirService.parseDates('yesterday')).toThrow(FHIRError);
+  });
+
+  test('clamps _count and resolves patient references', () => {
+    expect(fhirService.parseCount(undefined)).toBe(50);
+    expect(fhirService.parseCount('10000')).toBe(500);
+    expect(() => fhirService.parseCount('-1')).toThrow(FHIRError);
+    expect(fhirService.parsePatientReference('Patient/42')).toBe(42);
+    expect(fhirService.parsePatientReference('42')).toBe(42);
+  });
+
+  test('adds a next link while matches remain', () => {
+    const self = 'https://emr.test/api/fhir/R4/Observation?patient=42&_count=2';
+    const first = fhirService.toSearchBundle([], 5, 'https://emr.test/api/fhir/R4', self, { offset: 2, count: 2 });
+    expect(first.link).toEqual([
+      { relation: 'self', url: self },
+      { relation: 'next', url: 'https://emr.test/api/fhir/R4/Observation?patient=42&_count=2&_offset=4' }
+    ]);
+
+    const last = fhirService.toSearchBundle([], 5, 'https://emr.test/api/fhir/R4', self, { offset: 4, count: 2 });
+    expect(last.link.map(link => link.relation)).toEqual(['self']);
+    expect(() => fhirService.parseOffset('-3')).toThrow(FHIRError);
+  });
+
+  test('refuses offsets past MAX_OFFSET and stops next links there', () => {
+    expect(fhirService.parseOffset(String(MAX_OFFSET))).toBe(MAX_OFFSET);
+    expect(() => fhirService.parseOffset('100000000')).toThrow(expect.objectContaining({ status: 400, code: 'too-costly' }));
+
+    const self = 'https://emr.test/api/fhir/R4/Observation?_count=500';
+    const bundle = fhirService.toSearchBundle([], 50000, 'https://emr.test/api/fhir/R4', self, { offset: MAX_OFFSET - 100, count: 500 });
+    expect(bundle.link.map(link => link.relation)).toEqual(['self']);
+  });
+});
+
+describe('FHIR Observation Search Paging', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Vitals rows with weight and blood pressure (two observations each), and lab observations, newest first
+  const vitals = [
+    { id: 2, patient_id: 42, taken_at: '2024-03-04T09:00:00Z', weight_kg: 70, systolic: 120, diastolic: 80 },
+    { id: 1, patient_id: 42, taken_at: '2024-03-02T09:00:00Z', weight_kg: 71, systolic: 118, diastolic: 79 }
+  ];
+  const labs = [
+    { id: 8, patient_id: 42, loinc_code: '2345-7', value_num: 99, observed_at: '2024-03-03T09:00:00Z' },
+    { id: 7, patient_id: 42, loinc_code: '2345-7', value_num: 97, observed_at: '2024-03-01T09:00:00Z' }
+  ];
+  const mockSources = () => jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+    if (/SUM\(/.test(sql)) return { rows: [{ total: 7 }] };
+    if (/COUNT\(\*\)::int AS total FROM observations/.test(sql)) return { rows: [{ total: 3 }] };
+    const limit = params.at(-1);
+    if (/FROM vitals/.test(sql)) return { rows: vitals.slice(0, limit) };
+    if (/FROM observations/.test(sql)) return { rows: labs.slice(0, limit) };
+    return { rows: [] };
+  });
+
+  test('reports the real total and pages through the merged results', async () => {
+    const query = mockSources();
+
+    const page = await fhirService.searchObservations({ patient: '42', _count: '2', _offset: '2' });
+
+    expect(page).toMatchObject({ total: 10, offset: 2, count: 2 });
+    expect(page.resources.map(o => o.id)).toEqual(['obs-8', 'vitals-1-weight']);
+    // Each source is read only as far as the end of the page
+    expect(query.mock.calls.filter(([sql]) => /LIMIT/.test(sql)).map(([, params]) => params.at(-1))).toEqual([4, 4]);
+  });
+
+  test('breaks timestamp ties by source and row so pages do not overlap', async () => {
+    const taken = '2024-03-04T09:00:00Z';
+    jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+      if (/SUM\(/.test(sql)) return { rows: [{ total: 4 }] };
+      if (/COUNT\(\*\)::int AS total FROM observations/.test(sql)) return { rows: [{ total: 2 }] };
+      const limit = params.at(-1);
+      if (/FROM vitals/.test(sql)) return { rows: [{ id: 5, taken_at: taken, weight_kg: 70, pulse: 60 }, { id: 3, taken_at: taken, weight_kg: 71 }].slice(0, limit) };
+      if (/FROM observations/.test(sql)) return { rows: [{ id: 12, loinc_code: '2345-7', observed_at: taken }, { id: 9, loinc_code: '2345-7', observed_at: taken }].slice(0, limit) };
+      return { rows: [] };
+    });
+
+    const ids = [];
+    for (const offset of [0, 2, 4]) {
+      const page = await fhirService.searchObservations({ _count: '2', _offset: String(offset) });
+      ids.push(...page.resources.map(o => o.id));
+    }
+
+    expect(ids).toEqual(['vitals-5-weight', 'vitals-5-heart-rate', 'vitals-3-weight', 'obs-12', 'obs-9']);
+  });
+
+  test('counts only the vital signs asked for', async () => {
+    const query = mockSources();
+
+    await fhirService.searchObservations({ code: 'http://loinc.org|29463-7', category: 'vital-signs' });
+
+    const [sql] = query.mock.calls.find(([text]) => /SUM\(/.test(text));
+    expect(sql).toContain('weight_kg IS NOT NULL');
+    expect(sql).not.toContain('systolic');
+  });
+});
+
+describe('FHIR Bulk Data Export', () => {
+  test('validates kick-off parameters', () => {
+    expect(bulkExportService.parseKickoffParameters({}).resourceTypes).toEqual(bulkExportService.getSupportedTypes());
+
+    const { resourceTypes, since } = bulkExportService.parseKickoffParameters({
+      _type: 'Patient,Observation,Patient',
+      _since: '2024-01-01T00:00:00Z',
+      _outputFormat: 'application/fhir+ndjson'
+    });
+    expect(resourceTypes).toEqual(['Patient', 'Observation']);
+    expect(since.toISOString()).toBe('2024-01-01T00:00:00.000Z');
+
+    expect(() => bulkExportService.parseKickoffParameters({ _type: 'Claim' })).toThrow(FHIRError);
+    expect(() => bulkExportService.parseKickoffParameters({ _outputFormat: 'text/csv' })).toThrow(FHIRError);
+  });
+
+  test('reads parameters from a Parameters resource body', () => {
+    const params = bulkExportService.collectParameters({}, {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: '_type', valueString: 'Condition' },
+        { name: '_since', valueInstant: '2024-06-01T00:00:00Z' }
+      ]
+    });
+    expect(params._type).toBe('Condition');
+    expect(params._since).toBe('2024-06-01T00:00:00Z');
+  });
+
+  test('builds a completion manifest with download urls', () => {
+    const manifest = bulkExportService.buildManifest({
+      export_id: '7d3c2e1a-0000-4000-8000-000000000001',
+      transaction_time: '2024-07-01T12:00:00Z',
+      request_url: 'http://localhost/api/fhir/R4/$export',
+      output: [{ type: 'Patient', fileName: 'Patient.ndjson', count: 12 }]
+    }, 'http://localhost/api/fhir/R4');
+
+    expect(manifest.requiresAccessToken).toBe(true);
+    expect(manifest.output).toEqual([{
+      type: 'Patient',
+      url: 'http://localhost/api/fhir/R4/$export-file/7d3c2e1a-0000-4000-8000-000000000001/Patient.ndjson',
+      count: 12
+    }]);
+  });
+});
+
+describe('FHIR Bundle Import', () => {
+  test('rejects bundles that cannot be imported', async () => {
+    await expect(fhirImportService.importBundle({ resourceType: 'Patient' }, 1)).rejects.toThrow(ImportEntryError);
+    await expect(fhirImportService.importBundle({ resourceType: 'Bundle', type: 'searchset', entry: [{}] }, 1))
+      .rejects.toThrow('Unsupported Bundle type');
+    await expect(fhirImportService.importBundle({ resourceType: 'Bundle', type: 'collection', entry: [] }, 1))
+      .rejects.toThrow('no entries');
+  });
+
+  test('parses a transferred Patient into demographics and identifiers', () => {
+    const parsed = fhirImportService.parsePatient({
+      resourceType: 'Patient',
+      identifier: [
+        { system: 'urn:oid:1.2.3.4', type: { coding: [{ code: 'MR' }] }, value: 'A-998' },
+        { system: 'http://hl7.org/fhir/sid/us-ssn', value: '123-45-6789' },
+        { system: SYSTEMS.MRN, value: 'MRN-000042' }
+      ],
+      name: [{ family: 'Rivera', given: ['Ana', 'Luisa'] }],
+      gender: 'female',
+      birthDate: '1975-11-30',
+      telecom: [{ system: 'email', value: 'a@example.com' }, { system: 'phone', value: '555-0199' }],
+      communication: [{ language: { text: 'Spanish' }, preferred: true }],
+      extension: [{ url: SYSTEMS.US_CORE_ETHNICITY, extension: [{ url: 'ombCategory', valueCoding: { code: '2135-2', display: 'Hispanic or Latino' } }] }]
+    });
+
+    expect(parsed).toEqual(expect.objectContaining({
+      first_name: 'Ana',
+      last_name: 'Rivera',
+      dob: '1975-11-30',
+      phone: '555-0199',
+      preferred_language: 'Spanish',
+      ethnicity: 'Hispanic or Latino',
+      mrn: 'MRN-000042'
+    }));
+    expect(parsed.identifiers).toEqual({ 'urn:oid:1.2.3.4': 'A-998' });
+  });
+
+  test('converts vital sign units to stored units', () => {
+    const weight = VITAL_SIGNS.find(v => v.column === 'weight_kg');
+    const temperature = VITAL_SIGNS.find(v => v.column === 'temp_c');
+    expect(fhirImportService.convertVital(weight, { value: 154, code: '[lb_av]' })).toBe(69.9);
+    expect(fhirImportService.convertVital(temperature, { value: 98.6, unit: '[degF]' })).toBe(37);
+    expect(fhirImportService.convertVital(weight, { value: 'heavy' })).toBeNull();
+  });
+});
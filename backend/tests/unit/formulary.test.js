@@ -0,0 +1,200 @@
+// Formulary Tests
+// Tests CSV parsing, plan formulary import, formulary status with covered alternatives
+// and the formulary attached to prescriptions
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import drugInteractionService from '../../services/drug-interaction.service.js';
+import prescriptionService from '../../services/prescription.service.js';
+import priorAuthService from '../../services/prior-auth.service.js';
+import formularyService, { FormularyError } from '../../services/formulary.service.js';
+import { parseCsv, parseCsvRecords, CsvParseError } from '../../utils/csv.js';
+
+const plan = { id: 3, insurance_plan_id: 3, plan_name: 'Choice PPO', insurance_company: 'Acme Health', formulary_updated_at: '2025-06-01T00:00:00Z' };
+const atorvastatin = { id: 7, generic_name: 'atorvastatin', brand_name: 'Lipitor', rxcui: '617312', ndc: '00071-0155-23' };
+
+const entry = (overrides = {}) => ({
+  id: 1,
+  insurance_plan_id: 3,
+  medication_id: 7,
+  drug_name: 'Lipitor',
+  rxcui: '617312',
+  ndc: null,
+  tier: 4,
+  covered: true,
+  prior_auth_required: false,
+  step_therapy: true,
+  step_therapy_note: 'Try a generic statin first',
+  quantity_limit: '30',
+  quantity_limit_days: 30,
+  copay_amount: '85.00',
+  notes: null,
+  ...overrides
+});
+
+const alternative = (id, genericName, overrides = {}) => ({
+  medication_id: id, generic_name: genericName, brand_name: null, drug_class: 'statin', dosage_form: 'tablet', strength: '20 mg', ...overrides
+});
+
+// pool.query answering formulary lookups by statement
+const mockQueries = ({ coverage = plan, current = entry(), alternatives = [], alternativeEntries = [] } = {}) =>
+  jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+    if (/FROM patient_insurance pi/.test(sql)) return { rows: coverage ? [coverage] : [] };
+    if (/FROM medications WHERE id/.test(sql)) return { rows: [atorvastatin] };
+    if (/get_alternative_medications/.test(sql)) return { rows: alternatives };
+    if (/JOIN LATERAL/.test(sql)) return { rows: alternativeEntries };
+    if (/FROM formulary_entries/.test(sql)) return { rows: current ? [current] : [] };
+    return { rows: [] };
+  });
+
+beforeEach(() => {
+  jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CSV Parsing', () => {
+  test('handles quoted fields, escaped quotes, CRLF and blank lines', () => {
+    expect(parseCsv('a,b,c\r\n"x, y","say ""hi""",\n\n"multi\nline",2,3')).toEqual([
+      ['a', 'b', 'c'],
+      ['x, y', 'say "hi"', ''],
+      ['multi\nline', '2', '3']
+    ]);
+  });
+
+  test('keys records by normalized header and rejects unterminated quotes', () => {
+    const { headers, records } = parseCsvRecords('\uFEFFDrug Name,Tier,QL (days)\nLipitor,4,30');
+    expect(headers).toEqual(['drug_name', 'tier', 'ql_days']);
+    expect(records).toEqual([{ line: 2, values: { drug_name: 'Lipitor', tier: '4', ql_days: '30' } }]);
+    expect(() => parseCsv('a,"b\n1,2')).toThrow(CsvParseError);
+  });
+});
+
+describe('Formulary Import', () => {
+  const csv = [
+    'Drug Name,RxCUI,NDC,Tier,Covered,PA,ST,Step Therapy Note,QL,QL Days,Copay',
+    'atorvastatin,,,1,Y,N,N,,90,90,$5.00',
+    'Lipitor,617312,,Tier 4,Y,N,Y,Try a generic statin first,30,30,85',
+    'Zetia,,,,N,,,,,,',
+    'Mystery,,,9,Y,,,,,,',
+    ',,,2,Y,,,,,,'
+  ].join('\n');
+
+  test('upserts valid rows, resolves medications and reports bad rows', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (/FROM insurance_plans/.test(sql)) return { rows: [plan] };
+      if (/FROM medications/.test(sql)) return { rows: [{ ...atorvastatin, ndc_digits: '00071015523' }] };
+      return { rows: [] };
+    });
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await formularyService.importFormulary(3, csv, { userId: 5, fileName: 'acme-2025.csv', replace: true });
+
+    expect(result).toMatchObject({ total: 5, imported: 3, matched: 2, skipped: 2, replaced: true });
+    expect(result.errors).toEqual([
+      { line: 5, message: 'Tier "9" must be 1-6' },
+      { line: 6, message: 'Row has no drug name, RxCUI or NDC' }
+    ]);
+
+    const inserts = client.query.mock.calls.filter(([sql]) => /INSERT INTO formulary_entries/.test(sql)).map(([, params]) => params);
+    expect(inserts[0]).toEqual([3, 7, 'atorvastatin', null, null, 1, true, false, false, null, 90, 90, 5, null, 'acme-2025.csv', 5]);
+    expect(inserts[1].slice(1, 10)).toEqual([7, 'Lipitor', '617312', null, 4, true, false, true, 'Try a generic statin first']);
+    expect(inserts[2].slice(1, 7)).toEqual([null, 'Zetia', null, null, null, false]);
+    expect(client.query).toHaveBeenCalledWith('DELETE FROM formulary_entries WHERE insurance_plan_id = $1', [3]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('rejects unknown plans and files without the needed columns', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [] });
+    await expect(formularyService.importFormulary(99, csv)).rejects.toMatchObject({ status: 404 });
+
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [plan] });
+    await expect(formularyService.importFormulary(3, 'drug_name,copay\nLipitor,5')).rejects.toThrow(FormularyError);
+    await expect(formularyService.importFormulary(3, 'drug_name,tier\nLipitor,0')).rejects.toMatchObject({ status: 422 });
+  });
+});
+
+describe('Formulary Status', () => {
+  test('reports when there is no coverage or no formulary loaded', async () => {
+    mockQueries({ coverage: null });
+    await expect(formularyService.checkPrescription({ patientId: 42, medicationId: 7 }))
+      .resolves.toMatchObject({ status: 'no_coverage', alternatives: [] });
+
+    jest.restoreAllMocks();
+    mockQueries({ coverage: { ...plan, formulary_updated_at: null } });
+    await expect(formularyService.checkPrescription({ patientId: 42, medicationId: 7 }))
+      .resolves.toMatchObject({ status: 'no_formulary', planName: 'Choice PPO' });
+  });
+
+  test('flags tier, step therapy and quantity limits and suggests cheaper covered alternatives', async () => {
+    mockQueries({
+      alternatives: [alternative(8, 'simvastatin'), alternative(9, 'rosuvastatin'), alternative(10, 'pitavastatin')],
+      alternativeEntries: [
+        entry({ id: 2, medication_id: 9, alternative_id: 9, tier: 2, step_therapy: false, copay_amount: '15.00' }),
+        entry({ id: 3, medication_id: 8, alternative_id: 8, tier: 1, step_therapy: false, copay_amount: '5.00' }),
+        entry({ id: 4, medication_id: 10, alternative_id: 10, tier: 5, step_therapy: false })
+      ]
+    });
+
+    const status = await formularyService.checkPrescription({ patientId: 42, medicationId: 7, quantity: 60 });
+
+    expect(status).toMatchObject({
+      status: 'covered', planName: 'Choice PPO', tier: 4, tierLabel: 'Non-preferred brand',
+      stepTherapy: true, quantityExceeded: true, copay: 85
+    });
+    expect(status.flags).toEqual([
+      'Tier 4 (Non-preferred brand), $85.00 copay',
+      'Step therapy: Try a generic statin first',
+      'Quantity 60 exceeds the limit of 30 per 30 days'
+    ]);
+    expect(status.alternatives.map(alt => [alt.genericName, alt.tier, alt.copay])).toEqual([
+      ['simvastatin', 1, 5],
+      ['rosuvastatin', 2, 15]
+    ]);
+  });
+
+  test('a preferred covered drug needs no alternatives; an unlisted one does', async () => {
+    const lookup = mockQueries({ current: entry({ tier: 1, step_therapy: false, copay_amount: '5.00' }) });
+    const preferred = await formularyService.checkPrescription({ patientId: 42, medicationId: 7, quantity: 30 });
+    expect(preferred).toMatchObject({ status: 'covered', tier: 1, flags: [], alternatives: [] });
+    expect(lookup.mock.calls.some(([sql]) => /get_alternative_medications/.test(sql))).toBe(false);
+
+    jest.restoreAllMocks();
+    mockQueries({ current: null });
+    const unlisted = await formularyService.checkPrescription({ patientId: 42, medicationId: 7 });
+    expect(unlisted).toMatchObject({ status: 'not_listed', flags: [expect.stringContaining('Not on the plan formulary')] });
+  });
+});
+
+describe('Prescribing', () => {
+  test('attaches the formulary status to the prescription result', async () => {
+    mockQueries();
+    jest.spyOn(priorAuthService, 'enforceForPrescription').mockResolvedValue(priorAuthService.notRequired());
+    jest.spyOn(prescriptionService, 'getCurrentPatientMedications').mockResolvedValue([]);
+    jest.spyOn(drugInteractionService, 'generateSafetyReport').mockResolvedValue({ interactions: { total: 0 } });
+    jest.spyOn(prescriptionService, 'evaluateSafetyAlerts').mockResolvedValue([]);
+    jest.spyOn(prescriptionService, 'checkDuplicateTherapy').mockResolvedValue(null);
+    jest.spyOn(prescriptionService, 'validateDosing').mockResolvedValue([]);
+    const create = jest.spyOn(prescriptionService, 'createPrescription').mockResolvedValue({ id: 501, patientId: 42 });
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const result = await prescriptionService.prescribeMedication({ patientId: 42, medicationId: 7, dosage: '40 mg', frequency: 'once daily', quantity: 30 }, 5);
+
+    expect(result.prescription).toEqual({ id: 501, patientId: 42 });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ patientId: 42 }), client);
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'COMMIT']);
+    expect(result.formulary).toMatchObject({ status: 'covered', tier: 4, stepTherapy: true });
+  });
+
+  test('a failed formulary lookup does not block prescribing', async () => {
+    jest.spyOn(formularyService, 'checkPrescription').mockRejectedValue(new Error('relation "formulary_entries" does not exist'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(prescriptionService.getFormularyStatus(42, 7, 30)).resolves.toBeNull();
+  });
+});
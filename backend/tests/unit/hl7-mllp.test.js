@@ -0,0 +1,461 @@
+// HL7 MLLP Interface Tests
+// Drives the MLLP listener over a local socket and checks framing, dispatch and ACK/NAK responses
+
+import net from 'net';
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, jest } from '@jest/globals';
+import mllpListenerService, { extractFrames, frameMessage, START_BLOCK } from '../../services/mllp-listener.service.js';
+import hl7ParserService, { HL7Error } from '../../services/hl7-parser.service.js';
+import auditService from '../../services/audit.service.js';
+import labService from '../../services/lab.service.js';
+import hl7AdtService from '../../services/hl7-adt.service.js';
+import hl7InboxService, { HL7InboxError } from '../../services/hl7-inbox.service.js';
+import pool from '../../db/index.js';
+
+const ORU_MESSAGE = [
+  'MSH|^~\\&|REF_LAB|QUEST|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ORU^R01|LAB00042|P|2.5.1',
+  'PID|1||12^^^MRN^MR||Doe^Jane||19800402|F',
+  'OBR|1|345|345|2345-7^Glucose^LN|||20240105090000',
+  'OBX|1|NM|2345-7^Glucose^LN||98|mg/dL|70-99|N|||F'
+].join('\r');
+
+const MULTI_PANEL_ORU = [
+  'MSH|^~\\&|REF_LAB|QUEST|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ORU^R01^ORU_R01|LAB00043|P|2.5.1',
+  'PID|1||12^^^MRN^MR||O\\S\\Brien^Pat||19800402|F',
+  'ORC|RE|345',
+  'OBR|1|345|F-991|24323-8^Comprehensive metabolic panel^LN|||20240105090000',
+  'NTE|1|L|Specimen slightly hemolyzed',
+  'OBX|1|NM|2345-7^Glucose^LN||98|mg/dL|70-99|N|||F|||20240105093000||T100^Lee^Ann||ANALYZER-7',
+  'OBX|2|NM|2160-0^Creatinine^LN||1.4|mg/dL|0.6\\T\\1.1|H|||F',
+  'NTE|1|L|Repeat in 2 weeks\\F\\ notify provider~Second line',
+  'ORC|RE|346',
+  'OBR|2|346|F-992|58410-2^CBC panel^LN|||20240105090000',
+  'OBX|1|NM|6690-2^WBC^LN||7.2|10*3/uL|4.0-11.0|N|||F',
+  'OBX|2|TX|18314-6^Morphology^LN||Normocytic~Normochromic||||||F'
+].join('\r');
+
+const ADT_A08 = [
+  'MSH|^~\\&|HOSP_ADT|GENERAL|EMR_SYSTEM|MAIN_HOSPITAL|20240105103000||ADT^A08^ADT_A01|ADT0007|P|2.5.1',
+  'EVN|A08|20240105103000',
+  'PID|1||H55501^^^GENERAL^MR~123-45-6789^^^SSA^SS~12^^^MRN^MR||Doe^Jane^Q||19800402|F||2106-3^White^CDCREC|1 Main St^^Springfield^IL^62701||^PRN^PH^^^555^0100|||M^Married||||||2186-5^Not Hispanic or Latino',
+  'PD1||||1234567890^Smith^John',
+  'NK1|1|Doe^John|SPO^Spouse||555-0199||EC'
+].join('\r');
+
+const sendFrames = (port, payload) => new Promise((resolve, reject) => {
+  const socket = net.connect(port, '127.0.0.1');
+  let received = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    received = Buffer.concat([received, chunk]);
+    const { messages } = extractFrames(received);
+    if (messages.length > 0) {
+      socket.end();
+      resolve(messages[0]);
+    }
+  });
+  socket.on('error', reject);
+  socket.write(payload);
+});
+
+describe('MLLP Framing', () => {
+  test('extracts complete frames and keeps partial ones', () => {
+    const first = frameMessage('MSH|one');
+    const second = frameMessage('MSH|two');
+    const buffer = Buffer.concat([Buffer.from('noise'), first, second.subarray(0, 5)]);
+
+    const { messages, remainder } = extractFrames(buffer);
+
+    expect(messages).toEqual(['MSH|one']);
+    expect(remainder[0]).toBe(START_BLOCK);
+    expect(extractFrames(Buffer.concat([remainder, second.subarray(5)])).messages).toEqual(['MSH|two']);
+  });
+
+  test('waits for the trailing carriage return after the end block', () => {
+    const frame = frameMessage('MSH|one');
+    expect(extractFrames(frame.subarray(0, frame.length - 1)).messages).toEqual([]);
+  });
+});
+
+describe('HL7 ACK Generation', () => {
+  test('swaps sender and receiver and echoes the control ID', () => {
+    const header = hl7ParserService.parseHeader(ORU_MESSAGE);
+    const ack = hl7ParserService.generateACK(header, 'AE', 'Patient not found: 12', '204');
+    const [msh, msa, err] = ack.message.trim().split('\r');
+
+    expect(header).toMatchObject({ messageType: 'ORU', triggerEvent: 'R01', controlId: 'LAB00042', version: '2.5.1' });
+    expect(msh.split('|').slice(2, 6)).toEqual(['EMR_SYSTEM', 'MAIN_HOSPITAL', 'REF_LAB', 'QUEST']);
+    expect(msh.split('|')[8]).toBe('ACK^R01^ACK');
+    expect(msh.split('|')[11]).toBe('2.5.1');
+    expect(msa).toBe('MSA|AE|LAB00042|Patient not found: 12');
+    expect(err).toBe('ERR|||204^Unknown key identifier^HL70357|E||||Patient not found: 12');
+  });
+
+  test('accepts without an ERR segment and escapes delimiters in text', () => {
+    const header = hl7ParserService.parseHeader(ORU_MESSAGE);
+    const ack = hl7ParserService.generateACK(header, 'AA', 'Processed 1|2 results');
+    const segments = ack.message.trim().split('\r');
+
+    expect(segments).toHaveLength(2);
+    expect(segments[1]).toBe('MSA|AA|LAB00042|Processed 1\\F\\2 results');
+  });
+});
+
+describe('HL7 ORU Parsing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolves escape sequences', () => {
+    expect(hl7ParserService.unescape('a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f')).toBe('a|b^c&d~e\\f');
+    expect(hl7ParserService.unescape('line 1\\.br\\line 2')).toBe('line 1\nline 2');
+    expect(hl7ParserService.unescape(hl7ParserService.escape('x|y^z&w~v\\u'))).toBe('x|y^z&w~v\\u');
+  });
+
+  test('groups OBX and NTE segments under their parent OBR', async () => {
+    jest.spyOn(hl7ParserService, 'logHL7Message').mockResolvedValue(9);
+    jest.spyOn(hl7ParserService, 'updateHL7MessageStatus').mockResolvedValue();
+    jest.spyOn(hl7ParserService, 'findPatientId').mockResolvedValue(12);
+    jest.spyOn(hl7ParserService, 'findLabOrder').mockImplementation(async (patientId, orderNumber) => Number(orderNumber));
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+
+    const { data } = await hl7ParserService.parseORU(MULTI_PANEL_ORU, 1);
+    const [cmp, cbc] = data.orders;
+
+    expect(data.patient.lastName).toBe('O^Brien');
+    expect(data.orders).toHaveLength(2);
+    expect(cmp).toMatchObject({ orderNumber: '345', internalOrderId: 345, universalServiceName: 'Comprehensive metabolic panel' });
+    expect(cmp.notes).toEqual(['Specimen slightly hemolyzed']);
+    expect(cmp.observations.map(obs => obs.loincCode)).toEqual(['2345-7', '2160-0']);
+    expect(cmp.observations[0]).toMatchObject({ notes: [], performedBy: 'Ann Lee', equipmentId: 'ANALYZER-7' });
+    expect(cmp.observations[1]).toMatchObject({
+      referenceRange: '0.6&1.1',
+      notes: ['Repeat in 2 weeks| notify provider\nSecond line']
+    });
+    expect(cbc).toMatchObject({ orderNumber: '346', internalOrderId: 346, notes: [] });
+    expect(cbc.observations[1].resultValue).toBe('Normocytic\nNormochromic');
+    expect(data.observations).toHaveLength(4);
+    expect(hl7ParserService.updateHL7MessageStatus).not.toHaveBeenCalled();
+  });
+
+  test('reports unknown orders with an HL7 error code', async () => {
+    jest.spyOn(hl7ParserService, 'logHL7Message').mockResolvedValue(9);
+    jest.spyOn(hl7ParserService, 'updateHL7MessageStatus').mockResolvedValue();
+    jest.spyOn(hl7ParserService, 'findPatientId').mockResolvedValue(12);
+    jest.spyOn(hl7ParserService, 'findLabOrder').mockImplementation(async (patientId, orderNumber) => (orderNumber === '345' ? 345 : null));
+
+    const error = await hl7ParserService.parseORU(MULTI_PANEL_ORU, 1).catch(e => e);
+
+    expect(error).toBeInstanceOf(HL7Error);
+    expect(error.errorCode).toBe('204');
+    expect(error.message).toBe('Failed to parse HL7 ORU message: Lab order not found: 346');
+  });
+
+  test('rejects OBX segments outside an OBR group', () => {
+    const segments = hl7ParserService.parseMessage(ORU_MESSAGE.replace(/\rOBR[^\r]*/, ''));
+    expect(() => hl7ParserService.groupOrderObservations(segments)).toThrow('OBX segment without a parent OBR');
+  });
+
+  test('stores each group against its own order with comments as interpretation', async () => {
+    const parsed = {
+      orders: [
+        { internalOrderId: 345, notes: ['Hemolyzed'], observations: [{ loincCode: '2160-0', notes: ['Repeat'], resultValue: '1.4' }] },
+        { internalOrderId: 346, notes: [], observations: [{ loincCode: '6690-2', notes: [], resultValue: '7.2' }] }
+      ]
+    };
+    jest.spyOn(labService, 'findTestByLoinc').mockImplementation(async (orderId) => orderId * 10);
+    const receive = jest.spyOn(labService, 'receiveResults').mockImplementation(async data => data);
+
+    const results = await labService.receiveHL7Results(parsed, 1);
+
+    expect(results).toHaveLength(2);
+    expect(receive.mock.calls[0][0]).toMatchObject({ testId: 3450, interpretation: 'Hemolyzed\nRepeat' });
+    expect(receive.mock.calls[1][0]).toMatchObject({ testId: 3460, interpretation: null });
+  });
+});
+
+describe('HL7 ADT Parsing', () => {
+  test('extracts demographics, identifiers and emergency contact', () => {
+    const adt = hl7ParserService.parseADT(ADT_A08);
+
+    expect(adt.event).toBe('A08');
+    expect(adt.patient).toMatchObject({
+      patientId: '12',
+      identifiers: { GENERAL: 'H55501' },
+      lastName: 'Doe',
+      firstName: 'Jane',
+      dateOfBirth: '1980-04-02',
+      gender: 'female',
+      phone: '5550100',
+      race: 'White',
+      ethnicity: 'Not Hispanic or Latino',
+      maritalStatus: 'married',
+      emergencyContactName: 'John Doe',
+      emergencyContactRelationship: 'Spouse',
+      emergencyContactPhone: '555-0199',
+      primaryCareProviderNpi: '1234567890'
+    });
+    expect(JSON.stringify(adt.patient)).not.toContain('123-45-6789');
+    expect(adt.patient.preferredLanguage).toBeUndefined();
+  });
+
+  test('treats HL7 nulls as clearing the value', () => {
+    const adt = hl7ParserService.parseADT(ADT_A08.replace('M^Married', '""'));
+
+    expect(adt.patient.maritalStatus).toBeNull();
+    expect(hl7AdtService.demographicValues(adt.patient)).toMatchObject({ marital_status: null, first_name: 'Jane' });
+  });
+
+  test('reads the prior patient from MRG for A40 merges', () => {
+    const message = ADT_A08.replace('ADT^A08^ADT_A01', 'ADT^A40^ADT_A39') + '\rMRG|H55499^^^GENERAL^MR||||||Doe^Janet';
+    const adt = hl7ParserService.parseADT(message);
+
+    expect(adt.event).toBe('A40');
+    expect(adt.mergedPatient).toEqual({
+      patientId: null,
+      identifiers: { GENERAL: 'H55499' },
+      lastName: 'Doe',
+      firstName: 'Janet'
+    });
+  });
+});
+
+describe('MLLP Listener', () => {
+  let port;
+  let logged;
+
+  beforeAll(async () => {
+    const server = await mllpListenerService.start({ port: 0, host: '127.0.0.1' });
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await mllpListenerService.stop();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    logged = [];
+    jest.spyOn(hl7ParserService, 'logHL7Message').mockImplementation(async (type, direction, message, labOrderId, details) => {
+      logged.push({ type, direction, details });
+      return logged.length;
+    });
+    jest.spyOn(hl7ParserService, 'updateHL7MessageStatus').mockResolvedValue();
+  });
+
+  const parsedORU = {
+    success: true,
+    data: { messageLogId: 1, orders: [{ internalOrderId: 345 }], observations: [{ loincCode: '2345-7' }, { loincCode: '2160-0' }] }
+  };
+
+  test('feeds ORU results to the lab service and acknowledges with AA', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockResolvedValue(parsedORU);
+    const receive = jest.spyOn(labService, 'receiveHL7Results').mockResolvedValue([{ id: 1 }]);
+
+    const ack = await sendFrames(port, frameMessage(ORU_MESSAGE));
+
+    expect(ack).toContain('MSA|AA|LAB00042|Processed 1 of 2 results');
+    expect(hl7ParserService.parseORU).toHaveBeenCalledWith(ORU_MESSAGE, null, { messageLogId: 1 });
+    expect(receive).toHaveBeenCalled();
+    expect(hl7ParserService.updateHL7MessageStatus).toHaveBeenCalledWith(1, true, 345, null);
+    expect(logged.map(entry => `${entry.direction}:${entry.type}`)).toEqual(['inbound:ORU', 'outbound:ACK']);
+    expect(logged[1].details).toMatchObject({ transport: 'mllp', ackCode: 'AA', acknowledgesMessageId: 1 });
+  });
+
+  test('returns AE and leaves the message failed when results cannot be stored', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockResolvedValue(parsedORU);
+    jest.spyOn(labService, 'receiveHL7Results').mockRejectedValue(new Error('connection reset'));
+
+    const ack = await sendFrames(port, frameMessage(ORU_MESSAGE));
+
+    expect(ack).toContain('MSA|AE|LAB00042|connection reset');
+    expect(hl7ParserService.updateHL7MessageStatus).toHaveBeenCalledWith(1, false, 345, null, 'Failed to store results: connection reset');
+    expect(hl7ParserService.updateHL7MessageStatus).not.toHaveBeenCalledWith(1, true, expect.anything(), null);
+  });
+
+  test('returns AE and flags the message for the inbox when no observation matches an ordered test', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockResolvedValue(parsedORU);
+    jest.spyOn(labService, 'receiveHL7Results').mockResolvedValue([]);
+
+    const ack = await sendFrames(port, frameMessage(ORU_MESSAGE));
+
+    expect(ack).toContain('MSA|AE|LAB00042|None of the 2 results match a test on the lab order');
+    expect(ack).toContain('ERR|||204^');
+    expect(hl7ParserService.updateHL7MessageStatus).toHaveBeenCalledWith(
+      1, false, 345, null, 'None of the 2 results match a test on the lab order'
+    );
+  });
+
+  test('returns AE when the results cannot be matched', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockRejectedValue(
+      new Error('Failed to parse HL7 ORU message: Lab order not found: 345')
+    );
+
+    const ack = await sendFrames(port, frameMessage(ORU_MESSAGE));
+
+    expect(ack).toContain('MSA|AE|LAB00042|Failed to parse HL7 ORU message: Lab order not found: 345');
+    expect(logged[1].details.ackCode).toBe('AE');
+  });
+
+  test('rejects unsupported message types with AR', async () => {
+    const message = ORU_MESSAGE.replace('ORU^R01', 'MDM^T02');
+
+    const ack = await sendFrames(port, frameMessage(message));
+
+    expect(ack).toContain('MSA|AR|LAB00042|Unsupported message type: MDM');
+    expect(ack).toContain('ERR|||200^Unsupported message type^HL70357|E');
+    expect(hl7ParserService.updateHL7MessageStatus).toHaveBeenCalledWith(1, false, null, null, 'Unsupported message type: MDM');
+  });
+
+  test('routes ADT messages to the ADT service', async () => {
+    jest.spyOn(hl7AdtService, 'updateDemographics').mockResolvedValue({ action: 'updated', patientId: 12, updatedFields: ['phone'] });
+
+    const ack = await sendFrames(port, frameMessage(ADT_A08));
+
+    expect(ack).toContain('MSA|AA|ADT0007|A08 updated patient 12');
+    expect(hl7AdtService.updateDemographics).toHaveBeenCalledWith(
+      expect.objectContaining({ event: 'A08' }), null, { messageLogId: 1 }
+    );
+    expect(hl7ParserService.updateHL7MessageStatus).toHaveBeenCalledWith(1, true);
+  });
+
+  test('rejects unsupported ADT events with AR', async () => {
+    const ack = await sendFrames(port, frameMessage(ADT_A08.replace('ADT^A08^ADT_A01', 'ADT^A03^ADT_A03')));
+
+    expect(ack).toContain('MSA|AR|ADT0007|Unsupported ADT event: A03');
+    expect(ack).toContain('ERR|||201^Unsupported event code^HL70357|E');
+  });
+
+  test('reassembles a frame split across TCP packets', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockResolvedValue(parsedORU);
+    jest.spyOn(labService, 'receiveHL7Results').mockResolvedValue([{ id: 1 }]);
+
+    const frame = frameMessage(ORU_MESSAGE);
+    const socket = net.connect(port, '127.0.0.1');
+    const ack = new Promise(resolve => socket.on('data', chunk => resolve(chunk)));
+
+    socket.write(frame.subarray(0, 20));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    socket.write(frame.subarray(20));
+
+    const { messages } = extractFrames(await ack);
+    socket.end();
+
+    expect(messages[0]).toContain('MSA|AA|LAB00042');
+  });
+});
+
+describe('HL7 Inbox', () => {
+  const failedMessage = {
+    id: 9,
+    direction: 'inbound',
+    message_type: 'ORU',
+    hl7_message: ORU_MESSAGE,
+    parsed_successfully: false,
+    resolution: null,
+    patient_id: 12,
+    lab_order_id: 345
+  };
+
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+    jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.includes('FROM hl7_messages WHERE id = $1')) {
+        return { rows: [failedMessage] };
+      }
+      return { rows: [{ id: 9 }] };
+    });
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reprocesses ORU results with the manually linked patient and order', async () => {
+    const parseORU = jest.spyOn(hl7ParserService, 'parseORU').mockResolvedValue({
+      success: true,
+      data: { messageLogId: 9, patient: { internalId: 12 }, orders: [{ internalOrderId: 345 }], observations: [{}] }
+    });
+    jest.spyOn(labService, 'receiveHL7Results').mockResolvedValue([{ id: 1 }]);
+
+    const outcome = await hl7InboxService.reprocessMessage(9, 3);
+
+    expect(outcome).toEqual({ success: true, data: { patientId: 12, labOrderIds: [345], resultCount: 1 } });
+    expect(parseORU).toHaveBeenCalledWith(ORU_MESSAGE, 3, { messageLogId: 9, patientId: 12, labOrderId: 345 });
+
+    const action = queries.find(q => q.sql.includes('INSERT INTO hl7_message_actions'));
+    expect(action.params.slice(0, 4)).toEqual([9, 'reprocess', 3, true]);
+    expect(auditService.logPHIAccess).toHaveBeenCalledWith(3, 'hl7_messages', 9, 'hl7_inbox_reprocess', expect.any(String), { patientId: 12 });
+  });
+
+  test('records a failed reprocess attempt and leaves the message open', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockRejectedValue(new Error('Lab order not found: 345'));
+
+    const outcome = await hl7InboxService.reprocessMessage(9, 3);
+
+    expect(outcome).toEqual({ success: false, error: 'Lab order not found: 345' });
+    const update = queries.find(q => q.sql.includes('reprocess_count = reprocess_count + 1'));
+    expect(update.params).toEqual([9, null, false, 3]);
+    const action = queries.find(q => q.sql.includes('INSERT INTO hl7_message_actions'));
+    expect(action.params[3]).toBe(false);
+  });
+
+  test('refuses to reprocess a message another request has claimed', async () => {
+    pool.query.mockImplementation(async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.includes('FROM hl7_messages WHERE id = $1')) {
+        return { rows: [failedMessage] };
+      }
+      return { rows: sql.includes('SET reprocess_started_at = CURRENT_TIMESTAMP') ? [] : [{ id: 9 }] };
+    });
+    const parseORU = jest.spyOn(hl7ParserService, 'parseORU');
+
+    await expect(hl7InboxService.reprocessMessage(9, 3)).rejects.toMatchObject({ status: 409 });
+    expect(parseORU).not.toHaveBeenCalled();
+    expect(queries.some(q => q.sql.includes('INSERT INTO hl7_message_actions'))).toBe(false);
+  });
+
+  test('releases the reprocess claim and reopens the message when processing fails', async () => {
+    jest.spyOn(hl7ParserService, 'parseORU').mockRejectedValue(new Error('Lab order not found: 345'));
+
+    await hl7InboxService.reprocessMessage(9, 3);
+
+    const update = queries.find(q => q.sql.includes('reprocess_count = reprocess_count + 1'));
+    expect(update.sql).toContain('reprocess_started_at = NULL');
+    expect(update.sql).toContain('parsed_successfully = $3 AND parsed_successfully');
+  });
+
+  test('refuses to change a message that was already processed', async () => {
+    failedMessage.parsed_successfully = true;
+
+    try {
+      await expect(hl7InboxService.dismissMessage(9, 'duplicate', 3)).rejects.toMatchObject({ status: 409 });
+    } finally {
+      failedMessage.parsed_successfully = false;
+    }
+  });
+
+  test('rejects an edit that changes the message type', async () => {
+    const edited = ADT_A08.split('\r').join('\n');
+
+    await expect(hl7InboxService.editMessage(9, edited, 'fix PID', 3)).rejects.toThrow(HL7InboxError);
+    expect(queries.some(q => q.sql.includes('UPDATE hl7_messages'))).toBe(false);
+  });
+
+  test('keeps the received message when an edit is saved', async () => {
+    const edited = ORU_MESSAGE.replace('LAB00042', 'LAB00042A').split('\r').join('\n');
+
+    await hl7InboxService.editMessage(9, edited, 'fix order number', 3);
+
+    const update = queries.find(q => q.sql.includes('original_message = COALESCE(original_message, hl7_message)'));
+    expect(update.params).toEqual([9, edited.split('\n').join('\r'), 'LAB00042A']);
+    const action = queries.find(q => q.sql.includes('INSERT INTO hl7_message_actions'));
+    expect(JSON.parse(action.params[4])).toEqual({ reason: 'fix order number', previousMessage: ORU_MESSAGE });
+  });
+});
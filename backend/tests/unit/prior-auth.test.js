@@ -0,0 +1,235 @@
+// Prior Authorization Tests
+// Tests requirement matching, blocking and warning on prescriptions and lab orders, automatic case opening,
+// unit usage and the case status lifecycle
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import drugInteractionService from '../../services/drug-interaction.service.js';
+import prescriptionService from '../../services/prescription.service.js';
+import labService from '../../services/lab.service.js';
+import priorAuthService, { PriorAuthError } from '../../services/prior-auth.service.js';
+
+const asOf = new Date('2025-06-30T12:00:00');
+
+const coverage = { id: 11, insurance_plan_id: 3, plan_name: 'Choice PPO', insurance_company: 'Acme Health' };
+const medication = { id: 7, generic_name: 'adalimumab', brand_name: 'Humira', rxcui: '327361', ndc: '00074-4339-02' };
+
+const requirement = (overrides = {}) => ({
+  id: 4,
+  insurance_plan_id: 3,
+  service_type: 'medication',
+  code: '327361',
+  description: 'Humira',
+  enforcement: 'block',
+  ...overrides
+});
+
+const authorization = (overrides = {}) => ({
+  id: 60,
+  patient_id: 42,
+  patient_insurance_id: 11,
+  insurance_plan_id: 3,
+  service_type: 'medication',
+  service_code: '327361',
+  service_description: 'adalimumab (Humira)',
+  status: 'approved',
+  payer_reference: 'PA-99812',
+  approved_units: 6,
+  used_units: 2,
+  effective_date: '2025-01-01',
+  expiry_date: '2025-12-31',
+  source: 'prescription',
+  ...overrides
+});
+
+// pool.query answering prior authorization lookups by statement
+const mockQueries = ({ covered = true, requirements = [requirement()], cases = [] } = {}) =>
+  jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+    if (/FROM medications WHERE id/.test(sql)) return { rows: [medication] };
+    if (/FROM patient_insurance pi/.test(sql)) return { rows: covered ? [coverage] : [] };
+    if (/FROM prior_auth_requirements/.test(sql)) return { rows: requirements };
+    if (/FROM prior_authorizations\s+WHERE patient_id/.test(sql)) return { rows: cases };
+    if (/INSERT INTO prior_authorizations/.test(sql)) {
+      return { rows: [authorization({ id: 70, status: 'pending', service_code: params[5], payer_reference: null, approved_units: null, used_units: 0 })] };
+    }
+    return { rows: [] };
+  });
+
+const callsMatching = (spy, pattern) => spy.mock.calls.filter(([sql]) => pattern.test(sql));
+
+beforeEach(() => {
+  jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Prior Authorization Checks', () => {
+  test('is not required without active coverage or a matching requirement', async () => {
+    mockQueries({ covered: false });
+    await expect(priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7 }))
+      .resolves.toMatchObject({ required: false, blocked: false, items: [] });
+
+    jest.restoreAllMocks();
+    mockQueries({ requirements: [] });
+    await expect(priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7 }))
+      .resolves.toMatchObject({ required: false, coverage: expect.objectContaining({ planName: 'Choice PPO' }) });
+  });
+
+  test('blocks a prescription without a valid authorization and opens a pending case', async () => {
+    const query = mockQueries();
+
+    const error = await priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7, quantity: 2, userId: 5 })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(PriorAuthError);
+    expect(error.status).toBe(409);
+    expect(error.message).toContain('Choice PPO');
+    expect(error.details.items).toEqual([expect.objectContaining({ code: '327361', status: 'missing', enforcement: 'block', caseId: 70 })]);
+
+    const [insert] = callsMatching(query, /INSERT INTO prior_authorizations \(/);
+    expect(insert[1]).toEqual([42, 11, 3, 4, 'medication', '327361', 'adalimumab (Humira)', 7, 2, 'prescription', 5]);
+    expect(callsMatching(query, /INSERT INTO prior_authorization_history/)[0][1]).toEqual([70, null, 'pending', 'Opened from prescription', 5]);
+  });
+
+  test('matches requirements by any medication code and reuses a case already with the payer', async () => {
+    const query = mockQueries({
+      requirements: [requirement({ code: 'Adalimumab' })],
+      cases: [authorization({ id: 61, status: 'submitted', service_code: 'adalimumab' })]
+    });
+
+    await expect(priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7 }))
+      .rejects.toMatchObject({ details: { items: [expect.objectContaining({ status: 'pending', caseId: 61 })] } });
+    expect(callsMatching(query, /INSERT INTO prior_authorizations \(/)).toHaveLength(0);
+    expect(callsMatching(query, /FROM prior_auth_requirements/)[0][1][1]).toEqual(
+      expect.arrayContaining(['327361', '00074-4339-02', 'adalimumab', 'humira'])
+    );
+  });
+
+  test('warn-level requirements let the order through with a warning', async () => {
+    mockQueries({ requirements: [requirement({ service_type: 'lab', code: 'Lipid Panel', description: null, enforcement: 'warn' })] });
+
+    const check = await priorAuthService.enforceForLabOrder({ patientId: 42, tests: [{ panelName: 'Lipid Panel' }, { loincCode: '4548-4', testName: 'HbA1c' }] });
+
+    expect(check).toMatchObject({ required: true, blocked: false });
+    expect(check.items).toEqual([expect.objectContaining({ code: 'Lipid Panel', status: 'missing', caseId: 70 })]);
+    expect(check.warnings).toEqual(['Lipid Panel: prior authorization missing (Choice PPO)']);
+  });
+
+  test('picks the valid approval and explains why others do not cover the order', () => {
+    const select = (cases, units = 1) => priorAuthService.selectAuthorization(cases, units, asOf).status;
+
+    expect(select([authorization({ id: 1, status: 'denied' }), authorization({ id: 2 })])).toBe('authorized');
+    expect(select([authorization({ expiry_date: '2025-06-29' })])).toBe('expired');
+    expect(select([authorization({ effective_date: '2025-07-01' })])).toBe('not_yet_effective');
+    expect(select([authorization()], 5)).toBe('exhausted');
+    expect(select([authorization({ approved_units: null, used_units: 40 })], 5)).toBe('authorized');
+    expect(select([authorization({ status: 'denied' })])).toBe('denied');
+    expect(select([])).toBe('missing');
+  });
+
+  test('records units drawn from an authorization', async () => {
+    const query = mockQueries({ cases: [authorization({ expiry_date: '2099-12-31' })] });
+    const check = await priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7, quantity: 3 });
+    expect(check.items[0]).toMatchObject({ status: 'authorized', units: 3, authorization: expect.objectContaining({ payerReference: 'PA-99812' }) });
+
+    const db = { query: jest.fn().mockResolvedValue({ rows: [authorization({ used_units: 5 })] }) };
+    await priorAuthService.recordUsage(db, check, { orderType: 'prescription', orderId: 501, userId: 5 });
+
+    expect(db.query.mock.calls.map(([, params]) => params)).toEqual([[60, 3], [60, 'prescription', 501, 3, 5]]);
+    expect(db.query.mock.calls[0][0]).toMatch(/used_units \+ \$2 <= approved_units/);
+    expect(check.items[0].authorization.usedUnits).toBe(5);
+    expect(callsMatching(query, /INSERT INTO prior_authorizations \(/)).toHaveLength(0);
+  });
+
+  test('an authorization another order used up in the meantime is exhausted', async () => {
+    mockQueries({ cases: [authorization({ expiry_date: '2099-12-31' })] });
+    const check = await priorAuthService.enforceForPrescription({ patientId: 42, medicationId: 7, quantity: 3 });
+
+    // The conditional update finds no units left
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await expect(priorAuthService.recordUsage(db, check, { orderType: 'prescription', orderId: 501, userId: 5 }))
+      .rejects.toMatchObject({ status: 409, message: expect.stringMatching(/no units left/) });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(check.items[0].status).toBe('exhausted');
+
+    const warned = { ...check, warnings: [], items: [{ ...check.items[0], status: 'authorized', enforcement: 'warn' }] };
+    await priorAuthService.recordUsage(db, warned, { orderType: 'prescription', orderId: 502, userId: 5 });
+    expect(warned.warnings).toEqual([expect.stringMatching(/prior authorization exhausted/)]);
+  });
+});
+
+describe('Order Integration', () => {
+  test('prescribing stops with the prior authorization error instead of a generic failure', async () => {
+    mockQueries();
+    jest.spyOn(prescriptionService, 'getCurrentPatientMedications').mockResolvedValue([]);
+    jest.spyOn(drugInteractionService, 'generateSafetyReport').mockResolvedValue({ interactions: { total: 0 } });
+    jest.spyOn(prescriptionService, 'evaluateSafetyAlerts').mockResolvedValue([]);
+    jest.spyOn(prescriptionService, 'checkDuplicateTherapy').mockResolvedValue(null);
+    jest.spyOn(prescriptionService, 'validateDosing').mockResolvedValue([]);
+    const create = jest.spyOn(prescriptionService, 'createPrescription');
+
+    await expect(prescriptionService.prescribeMedication({ patientId: 42, medicationId: 7, dosage: '40 mg', frequency: 'every 2 weeks', quantity: 2 }, 5))
+      .rejects.toBeInstanceOf(PriorAuthError);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('a blocked lab order never opens its transaction', async () => {
+    mockQueries({ requirements: [requirement({ service_type: 'lab', code: '81479' })] });
+    const connect = jest.spyOn(pool, 'connect');
+
+    await expect(labService.createLabOrder({ patientId: 42, tests: [{ loincCode: '81479', testName: 'Genetic panel' }] }, 5))
+      .rejects.toMatchObject({ status: 409 });
+    expect(connect).not.toHaveBeenCalled();
+  });
+});
+
+describe('Prior Authorization Cases', () => {
+  const mockCase = (current) => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    client.query.mockImplementation(async (sql, params) => {
+      if (/FOR UPDATE/.test(sql)) return { rows: current ? [current] : [] };
+      if (/UPDATE prior_authorizations SET/.test(sql)) {
+        return { rows: [{ ...current, status: params[1], payer_reference: params[2], approved_units: params[3], effective_date: params[4], expiry_date: params[5] }] };
+      }
+      return { rows: [] };
+    });
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    return client;
+  };
+
+  test('approves a case with the payer reference, units and expiry', async () => {
+    const client = mockCase(authorization({ status: 'submitted', payer_reference: null, approved_units: null, used_units: 0, expiry_date: null }));
+
+    const updated = await priorAuthService.updateAuthorization(60, {
+      status: 'approved', payerReference: 'PA-55', approvedUnits: 12, effectiveDate: '2025-07-01', expiryDate: '2026-06-30'
+    }, 5);
+
+    expect(updated).toMatchObject({ status: 'approved', payerReference: 'PA-55', approvedUnits: 12, expiryDate: '2026-06-30' });
+    const history = client.query.mock.calls.find(([sql]) => /INSERT INTO prior_authorization_history/.test(sql));
+    expect(history[1]).toEqual([60, 'submitted', 'approved', null, 5]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('rejects approvals without a reference or expiry and invalid transitions', async () => {
+    const pending = authorization({ status: 'pending', payer_reference: null, expiry_date: null });
+
+    mockCase(pending);
+    await expect(priorAuthService.updateAuthorization(60, { status: 'approved', expiryDate: '2026-01-01' }, 5))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('payer reference') });
+
+    jest.restoreAllMocks();
+    mockCase(pending);
+    await expect(priorAuthService.updateAuthorization(60, { status: 'approved', payerReference: 'PA-1' }, 5))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('expiry') });
+
+    jest.restoreAllMocks();
+    const client = mockCase(authorization({ status: 'cancelled' }));
+    await expect(priorAuthService.updateAuthorization(60, { status: 'approved' }, 5))
+      .rejects.toMatchObject({ status: 409 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
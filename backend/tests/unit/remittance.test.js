@@ -0,0 +1,242 @@
+// Remittance Tests
+// Tests 835 parsing (CARC/RARC adjustments, patient responsibility), automatic payment posting to claims,
+// billing_transactions and coverage accumulators, and the unmatched remittance work queue
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import remittanceService, { RemittanceError } from '../../services/remittance.service.js';
+import { buildInterchange } from '../../utils/x12.js';
+
+const build835 = (claims, { traceNumber = 'EFT12345' } = {}) => buildInterchange({
+  senderId: 'ACMEPAYER',
+  receiverId: 'EMRSYSTEM',
+  controlNumber: '000000321',
+  functionalCode: 'HP',
+  version: '005010X221A1',
+  transactions: [{
+    type: '835',
+    segments: [
+      ['BPR', 'I', '170', 'C', 'ACH', 'CCP', '01', '999999999', 'DA', '123456', '1512345678', '', '01', '888888888', 'DA', '654321', '20250410'],
+      ['TRN', '1', traceNumber, '1512345678'],
+      ['N1', 'PR', 'ACME HEALTH'],
+      ['REF', '2U', 'ACME01'],
+      ['N1', 'PE', 'MAIN STREET CLINIC', 'XX', '1245319599'],
+      ['LX', '1'],
+      ...claims
+    ]
+  }]
+});
+
+const paidClaim = [
+  ['CLP', 'CLM000000090', '1', '230', '150', '30', '12', 'PAYER-CLM-1'],
+  ['NM1', 'QC', '1', 'DOE', 'JANE', '', '', '', 'MI', 'W123456789'],
+  ['MOA', '', '', 'MA01'],
+  ['SVC', ['HC', '99214', '25'], '200', '120', '', '1'],
+  ['DTM', '472', '20250314'],
+  ['CAS', 'CO', '45', '50'],
+  ['CAS', 'PR', '1', '20', '', '2', '10'],
+  ['REF', '6R', '501'],
+  ['LQ', 'HE', 'N130'],
+  ['SVC', ['HC', '83036'], '30', '30', '', '1'],
+  ['DTM', '472', '20250314']
+];
+
+const deniedClaim = [
+  ['CLP', 'CLM000000777', '4', '140', '0', '0', '12', 'PAYER-CLM-2'],
+  ['NM1', 'QC', '1', 'ROE', 'RICHARD', '', '', '', 'MI', 'X999'],
+  ['SVC', ['HC', '99213'], '140', '0', '', '1'],
+  ['CAS', 'CO', '50', '140']
+];
+
+// Transaction client answering posting queries by statement
+const mockClient = ({ remittanceClaim, claim }) => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  client.query.mockImplementation(async (sql, params) => {
+    if (/FROM remittance_claims rc/.test(sql)) return { rows: remittanceClaim ? [remittanceClaim] : [] };
+    if (/SELECT \* FROM claims/.test(sql)) return { rows: claim ? [claim] : [] };
+    if (/FROM claim_lines/.test(sql)) return { rows: [{ id: 501, line_number: 1, cpt_code: '99214' }, { id: 502, line_number: 2, cpt_code: '83036' }] };
+    if (/SELECT id, status FROM claims/.test(sql)) return { rows: [{ id: params[0], status: claim.status }] };
+    if (/UPDATE claims SET status/.test(sql)) return { rows: [{ id: params[0], status: params[1] }] };
+    if (/UPDATE remittances/.test(sql)) return { rows: [{ status: 'posted' }] };
+    return { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  return client;
+};
+
+const remittanceClaim = (claim, overrides = {}) => {
+  const [parsed] = remittanceService.parse835(build835(claim))[0].claims;
+  return {
+    id: 100,
+    remittance_id: 7,
+    posting_status: 'unmatched',
+    status_code: parsed.statusCode,
+    paid_amount: String(parsed.paidAmount),
+    patient_responsibility: String(parsed.patientResponsibility),
+    payer_claim_number: parsed.payerClaimNumber,
+    adjustments: parsed.adjustments,
+    remark_codes: parsed.remarks,
+    lines: parsed.lines,
+    payer_name: 'ACME HEALTH',
+    trace_number: 'EFT12345',
+    payment_method: 'ACH',
+    payment_date: '2025-04-10',
+    ...overrides
+  };
+};
+
+const claimRow = (overrides = {}) => ({
+  id: 90, claim_number: 'CLM000000090', patient_id: 42, patient_insurance_id: 11, service_date: '2025-03-14', status: 'accepted', ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('835 Parsing', () => {
+  test('reads the payment, claim adjudication, adjustments and remark codes', () => {
+    const [payment] = remittanceService.parse835(build835([...paidClaim, ...deniedClaim]));
+
+    expect(payment).toMatchObject({
+      method: 'ACH', amount: 170, date: '2025-04-10', traceNumber: 'EFT12345',
+      payerName: 'ACME HEALTH', payerId: 'ACME01', payeeNpi: '1245319599'
+    });
+    expect(payment.claims).toHaveLength(2);
+
+    const [paid, denied] = payment.claims;
+    expect(paid).toMatchObject({
+      patientControlNumber: 'CLM000000090', statusCode: '1', chargeAmount: 230, paidAmount: 150,
+      patientResponsibility: 30, payerClaimNumber: 'PAYER-CLM-1', patientName: 'JANE DOE', memberId: 'W123456789',
+      remarks: ['MA01'], adjustments: []
+    });
+    expect(paid.lines[0]).toEqual({
+      cptCode: '99214', modifiers: ['25'], chargeAmount: 200, paidAmount: 120, units: 1, lineControl: '501',
+      serviceDate: '2025-03-14', remarks: ['N130'],
+      adjustments: [
+        { group: 'CO', reason: '45', amount: 50, quantity: null },
+        { group: 'PR', reason: '1', amount: 20, quantity: null },
+        { group: 'PR', reason: '2', amount: 10, quantity: null }
+      ]
+    });
+    expect(denied).toMatchObject({ statusCode: '4', paidAmount: 0, lines: [expect.objectContaining({ cptCode: '99213' })] });
+  });
+});
+
+describe('Payment Posting', () => {
+  test('posts payments, adjustments, patient responsibility and accumulators for a paid claim', async () => {
+    const client = mockClient({ remittanceClaim: remittanceClaim(paidClaim), claim: claimRow() });
+    const audit = jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+
+    const result = await remittanceService.postRemittanceClaim(100, 90, null);
+
+    expect(result).toMatchObject({ claimNumber: 'CLM000000090', status: 'paid', paid: 150, patientResponsibility: 30, adjustments: 50 });
+
+    const transactions = client.query.mock.calls
+      .filter(([sql]) => /INSERT INTO billing_transactions/.test(sql))
+      .map(([, params]) => ({ type: params[1], amount: params[2], line: params[14], group: params[16], reason: params[17] }));
+    expect(transactions).toEqual([
+      { type: 'payment', amount: 120, line: 501, group: null, reason: null },
+      { type: 'adjustment', amount: 50, line: 501, group: 'CO', reason: '45' },
+      { type: 'payment', amount: 30, line: 502, group: null, reason: null }
+    ]);
+
+    const charges = client.query.mock.calls.filter(([sql]) => /WHERE claim_line_id = \$1 AND transaction_type = 'charge'/.test(sql));
+    expect(charges.map(([, params]) => params)).toEqual([[501, 120, 30, 'processed'], [502, 30, 0, 'paid']]);
+
+    const [, claimTotals] = client.query.mock.calls.find(([sql]) => /paid_amount = paid_amount/.test(sql));
+    expect(claimTotals).toEqual([90, 150, 50, 30, 'PAYER-CLM-1']);
+    const [, accumulators] = client.query.mock.calls.find(([sql]) => /UPDATE patient_insurance/.test(sql));
+    expect(accumulators).toEqual([11, 20, 30]);
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO claim_status_history'), [90, 'accepted', 'paid', null, null, null]);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(audit).toHaveBeenCalledWith(null, 'claims', 90, 'payment_posting', expect.stringContaining('EFT12345'), { patientId: 42 });
+  });
+
+  test('marks denied claims with the adjustment reasons', async () => {
+    const client = mockClient({
+      remittanceClaim: remittanceClaim(deniedClaim),
+      claim: claimRow({ id: 91, claim_number: 'CLM000000777', status: 'submitted' })
+    });
+    jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue();
+
+    const result = await remittanceService.postRemittanceClaim(100, 91, 5, { manual: true, note: 'Claim number keyed wrong' });
+
+    expect(result.status).toBe('denied');
+    const [, history] = client.query.mock.calls.find(([sql]) => /INSERT INTO claim_status_history/.test(sql));
+    expect(history.slice(1, 4)).toEqual(['submitted', 'denied', 'CO-50 Not deemed a medical necessity by the payer']);
+    expect(client.query.mock.calls.some(([sql]) => /UPDATE patient_insurance/.test(sql))).toBe(false);
+    const [, resolution] = client.query.mock.calls.find(([sql]) => /posting_status = 'posted'/.test(sql));
+    expect(resolution).toEqual([100, 91, 5, 'Claim number keyed wrong']);
+  });
+
+  test('refuses to post twice or to claims that were never submitted', async () => {
+    mockClient({ remittanceClaim: remittanceClaim(paidClaim, { posting_status: 'posted' }), claim: claimRow() });
+    await expect(remittanceService.postRemittanceClaim(100, 90, 5)).rejects.toMatchObject({ status: 409 });
+
+    jest.restoreAllMocks();
+    const client = mockClient({ remittanceClaim: remittanceClaim(paidClaim), claim: claimRow({ status: 'draft' }) });
+    await expect(remittanceService.postRemittanceClaim(100, 90, 5)).rejects.toBeInstanceOf(RemittanceError);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+});
+
+describe('Remittance Processing', () => {
+  test('posts matching claims and queues the rest', async () => {
+    const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+      if (/FROM remittances WHERE payer_id/.test(sql)) return { rows: [] };
+      if (/INSERT INTO remittances/.test(sql)) return { rows: [{ id: 7 }] };
+      if (/INSERT INTO remittance_claims/.test(sql)) return { rows: [{ id: params[1] === 'CLM000000090' ? 100 : 101 }] };
+      if (/FROM claims WHERE claim_number/.test(sql)) return { rows: params[0] === 'CLM000000090' ? [{ id: 90 }] : [] };
+      if (/UPDATE remittances/.test(sql)) return { rows: [{ status: 'partial' }] };
+      return { rows: [] };
+    });
+    const post = jest.spyOn(remittanceService, 'postRemittanceClaim').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const { remittances } = await remittanceService.processRemittance(build835([...paidClaim, ...deniedClaim]), { userId: 5, fileName: 'era.835' });
+
+    expect(remittances).toEqual([{
+      remittanceId: 7, traceNumber: 'EFT12345', payerName: 'ACME HEALTH', paymentAmount: 170,
+      status: 'partial', posted: 1, unmatched: 1, duplicate: false
+    }]);
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post).toHaveBeenCalledWith(100, 90, 5);
+    const [, remittanceParams] = query.mock.calls.find(([sql]) => /INSERT INTO remittances/.test(sql));
+    expect(remittanceParams.slice(0, 9)).toEqual(['ACME01', 'ACME HEALTH', 'EFT12345', 'ACH', 170, '2025-04-10', '1245319599', 'era.835', 2]);
+  });
+
+  test('skips payments that were already posted', async () => {
+    const query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ id: 7, status: 'posted' }] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { remittances } = await remittanceService.processRemittance(build835(paidClaim));
+
+    expect(remittances[0]).toMatchObject({ remittanceId: 7, duplicate: true, posted: 0 });
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects interchanges without an 835', async () => {
+    const x12 = buildInterchange({
+      senderId: 'A', receiverId: 'B', controlNumber: '1', functionalCode: 'HB', version: '005010X279A1',
+      transactions: [{ type: '271', segments: [['BHT', '0022', '11']] }]
+    });
+    await expect(remittanceService.processRemittance(x12)).rejects.toMatchObject({ status: 422 });
+  });
+});
+
+describe('Work Queue', () => {
+  test('dismisses only unmatched remittance claims', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 101, remittance_id: 7, posting_status: 'dismissed' }] })
+      .mockResolvedValueOnce({ rows: [{ status: 'posted' }] });
+
+    const dismissed = await remittanceService.dismissRemittanceClaim(101, 5, 'Not our patient');
+    expect(dismissed.posting_status).toBe('dismissed');
+    expect(query.mock.calls[0][1]).toEqual([101, 5, 'Not our patient']);
+
+    query.mockReset();
+    query.mockResolvedValueOnce({ rows: [] }).mockResolvedValueOnce({ rows: [{ posting_status: 'posted' }] });
+    await expect(remittanceService.dismissRemittanceClaim(100, 5, 'x')).rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,241 @@
+// Scheduling Tests
+// Tests open slot computation from provider schedule templates (sessions, lunch/admin blocks, appointment type
+// limits), date-specific exceptions and booked appointments, template/exception validation, and booking conflict
+// detection with per appointment type overbooking
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import schedulingService, { SchedulingError, SchedulingConflictError } from '../../services/scheduling.service.js';
+
+// 2030-03-04 is a Monday; times are local like the templates
+const MONDAY = '2030-03-04';
+const at = (date, time) => new Date(`${date}T${time}:00`);
+const iso = (date, time) => at(date, time).toISOString();
+const now = new Date(2030, 0, 1);
+
+const template = (overrides = {}) => ({
+  id: 1, provider_id: 2, day_of_week: 1, start_time: '09:00:00', end_time: '12:00:00', block_type: 'session',
+  appointment_types: null, slot_interval_minutes: 15, effective_from: null, effective_to: null, label: null,
+  active: true, ...overrides
+});
+const exception = (overrides = {}) => ({
+  id: 1, provider_id: 2, exception_type: 'unavailable', start_date: MONDAY, end_date: MONDAY, start_time: null,
+  end_time: null, reason: null, ...overrides
+});
+
+// pool.query answering the slot lookups from fixtures
+const mockSlotData = ({ templates = [], exceptions = [], appointments = [], types = [] } = {}) =>
+  jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+    if (/FROM appointment_types WHERE code =/.test(sql)) return { rows: types };
+    if (/FROM provider_schedule_templates/.test(sql)) return { rows: templates };
+    if (/FROM provider_schedule_exceptions/.test(sql)) return { rows: exceptions };
+    if (/FROM appointments/.test(sql)) return { rows: appointments };
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+const startTimes = result => result.slots.map(slot => new Date(slot.start).toTimeString().slice(0, 5));
+
+describe('Scheduling', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Open slots', () => {
+    test('steps through a session at its interval for the requested duration', async () => {
+      mockSlotData({ templates: [template({ end_time: '10:00:00' })] });
+
+      const result = await schedulingService.getSlots({ providerId: 2, date: MONDAY, duration: 30, now });
+
+      expect(startTimes(result)).toEqual(['09:00', '09:15', '09:30']);
+      expect(result.slots[0]).toEqual({ start: iso(MONDAY, '09:00'), end: iso(MONDAY, '09:30') });
+    });
+
+    test('uses the appointment type duration and skips sessions limited to other types', async () => {
+      const query = mockSlotData({
+        templates: [
+          template({ end_time: '10:00:00', slot_interval_minutes: 30 }),
+          template({ id: 2, start_time: '13:00:00', end_time: '14:00:00', appointment_types: ['follow-up'] })
+        ],
+        types: [{ id: 3, code: 'physical', name: 'Physical Exam', duration_minutes: 30, active: true }]
+      });
+
+      const result = await schedulingService.getSlots({ providerId: 2, date: MONDAY, type: 'physical', now });
+
+      expect(result.duration).toBe(30);
+      expect(startTimes(result)).toEqual(['09:00', '09:30']);
+      expect(query.mock.calls[0][1]).toEqual(['physical']);
+    });
+
+    test('removes lunch and admin blocks and booked appointments but not cancelled ones', async () => {
+      mockSlotData({
+        templates: [
+          template({ end_time: '13:00:00', slot_interval_minutes: 30 }),
+          template({ id: 2, start_time: '12:00:00', end_time: '13:00:00', block_type: 'lunch' }),
+          template({ id: 3, start_time: '09:00:00', end_time: '09:30:00', block_type: 'admin' })
+        ],
+        appointments: [{ id: 7, start_ts: at(MONDAY, '10:00'), end_ts: at(MONDAY, '10:45') }]
+      });
+
+      const result = await schedulingService.getSlots({ providerId: 2, date: MONDAY, duration: 30, now });
+
+      expect(startTimes(result)).toEqual(['09:30', '11:00', '11:30']);
+      const [, appointmentParams] = pool.query.mock.calls.find(([sql]) => /FROM appointments/.test(sql));
+      expect(appointmentParams[3]).toEqual(['cancelled', 'noshow']);
+    });
+
+    test('applies vacation days, partial unavailability and extra sessions', async () => {
+      const tuesday = '2030-03-05';
+      mockSlotData({
+        templates: [template({ end_time: '10:00:00' }), template({ id: 2, day_of_week: 2, end_time: '10:00:00' })],
+        exceptions: [
+          exception({ reason: 'Vacation' }),
+          exception({ id: 2, start_date: tuesday, end_date: tuesday, start_time: '09:00:00', end_time: '09:30:00' }),
+          exception({
+            id: 3, exception_type: 'available', start_date: tuesday, end_date: tuesday, start_time: '15:00:00',
+            end_time: '15:30:00'
+          })
+        ]
+      });
+
+      const result = await schedulingService.getSlots({ providerId: 2, date: MONDAY, days: 2, duration: 15, now });
+
+      expect(result.slots.map(slot => slot.start)).toEqual([
+        iso(tuesday, '09:30'), iso(tuesday, '09:45'), iso(tuesday, '15:00'), iso(tuesday, '15:15')
+      ]);
+    });
+
+    test('honours effective dates and leaves out past times', () => {
+      const slots = schedulingService.computeSlots({
+        dates: [MONDAY],
+        templates: [
+          { dayOfWeek: 1, startTime: '09:00', endTime: '10:00', blockType: 'session', slotIntervalMinutes: 15 },
+          {
+            dayOfWeek: 1, startTime: '14:00', endTime: '15:00', blockType: 'session', slotIntervalMinutes: 15,
+            effectiveFrom: '2030-04-01'
+          }
+        ],
+        exceptions: [],
+        appointments: [],
+        duration: 15,
+        now: at(MONDAY, '09:20')
+      });
+
+      expect(slots.map(slot => slot.start)).toEqual([iso(MONDAY, '09:30'), iso(MONDAY, '09:45')]);
+    });
+
+    test('rejects unknown appointment types and bad dates', async () => {
+      mockSlotData();
+
+      await expect(schedulingService.getSlots({ providerId: 2, date: MONDAY, type: 'spa-day', now }))
+        .rejects.toMatchObject({ status: 422, message: 'Unknown appointment type spa-day' });
+      await expect(schedulingService.getSlots({ providerId: 2, date: '03/04/2030', now }))
+        .rejects.toBeInstanceOf(SchedulingError);
+      await expect(schedulingService.getSlots({ providerId: 2, date: MONDAY, days: 60, now }))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('Templates and exceptions', () => {
+    test('validates and saves a weekly block', async () => {
+      const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+        if (/SELECT code FROM appointment_types/.test(sql)) return { rows: [{ code: 'physical' }] };
+        if (/INSERT INTO provider_schedule_templates/.test(sql)) {
+          return { rows: [template({ start_time: `${params[2]}:00`, end_time: `${params[3]}:00`, appointment_types: params[5] })] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      });
+
+      await expect(schedulingService.saveTemplate(2, { dayOfWeek: 1, startTime: '12:00', endTime: '09:00' }))
+        .rejects.toMatchObject({ status: 422, message: 'endTime must be after startTime' });
+      await expect(schedulingService.saveTemplate(2, {
+        dayOfWeek: 1, startTime: '9:00', endTime: '12:00', appointmentTypes: ['physical', 'massage']
+      })).rejects.toMatchObject({ message: 'Unknown appointment type massage' });
+
+      const saved = await schedulingService.saveTemplate(2, {
+        dayOfWeek: 1, startTime: '9:00', endTime: '12:00', appointmentTypes: ['physical']
+      }, { userId: 5 });
+
+      expect(saved).toMatchObject({ dayOfWeek: 1, startTime: '09:00', endTime: '12:00', appointmentTypes: ['physical'] });
+      expect(query.mock.calls.at(-1)[1].at(-1)).toBe(5);
+    });
+
+    test('requires times on available exceptions and defaults the end date', async () => {
+      jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => ({
+        rows: [exception({ start_date: params[2], end_date: params[3], reason: params[6] })]
+      }));
+
+      await expect(schedulingService.saveException(2, { exceptionType: 'available', startDate: MONDAY }))
+        .rejects.toMatchObject({ status: 422 });
+
+      const saved = await schedulingService.saveException(2, { startDate: MONDAY, reason: 'Vacation' }, 5);
+      expect(saved).toMatchObject({ startDate: MONDAY, endDate: MONDAY, startTime: null, reason: 'Vacation' });
+    });
+  });
+
+  describe('Conflicts', () => {
+    const booked = (overrides = {}) => ({
+      id: 7, provider_id: 2, patient_id: 11, start_ts: at(MONDAY, '10:00'), end_ts: at(MONDAY, '10:30'), room: 'Room 1',
+      type: 'follow-up', title: null, provider_first_name: 'Ana', provider_last_name: 'Lopez', patient_first_name: 'Sam',
+      patient_last_name: 'Lee', max_overbook: 0, ...overrides
+    });
+    const booking = {
+      providerId: 2, patientId: 12, room: null, start: iso(MONDAY, '10:15'), end: iso(MONDAY, '10:45'), type: 'follow-up'
+    };
+
+    test('reports provider, room and patient overlaps', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({
+        rows: [booked(), booked({ id: 8, provider_id: 3, patient_id: 12, room: 'room 2 ' })]
+      });
+
+      const conflicts = await schedulingService.findConflicts({ ...booking, room: ' Room 2' });
+
+      expect(conflicts.map(conflict => [conflict.kind, conflict.appointmentId])).toEqual([
+        ['provider', 7], ['room', 8], ['patient', 8]
+      ]);
+      expect(conflicts[0]).toMatchObject({
+        providerName: 'Ana Lopez', patientName: 'Sam Lee', start: iso(MONDAY, '10:00'), message: 'Provider is already booked'
+      });
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('lower(trim(a.room)) = lower($5)');
+      expect(params[4]).toBe('Room 2');
+      expect(params[5]).toEqual(['cancelled', 'noshow']);
+    });
+
+    test('allows provider overlaps up to the appointment type overbooking limit', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [booked({ max_overbook: 1 })] });
+      expect(await schedulingService.findConflicts({ ...booking, type: 'walk-in' })).toEqual([]);
+
+      pool.query.mockResolvedValueOnce({ rows: [booked({ max_overbook: 1 }), booked({ id: 9, patient_id: 13, room: null, max_overbook: 1 })] });
+      const conflicts = await schedulingService.findConflicts({ ...booking, type: 'walk-in' });
+      expect(conflicts).toHaveLength(2);
+      expect(conflicts[0].message).toBe('Provider is already booked (walk-in allows 1 overbooked)');
+    });
+
+    test('rejects times that end before they start', async () => {
+      jest.spyOn(pool, 'query');
+      await expect(schedulingService.findConflicts({ ...booking, end: booking.start }))
+        .rejects.toMatchObject({ status: 400, message: 'end must be after start' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('writes inside the locked transaction only when there are no conflicts', async () => {
+      const client = { query: jest.fn(), release: jest.fn() };
+      client.query.mockImplementation(async (sql) => (/FROM appointments a/.test(sql) ? { rows: [booked()] } : { rows: [] }));
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+      const write = jest.fn(async () => ({ rows: [{ id: 20 }] }));
+
+      const error = await schedulingService.withConflictCheck(booking, write).catch(e => e);
+      expect(error).toBeInstanceOf(SchedulingConflictError);
+      expect(error.status).toBe(409);
+      expect(error.conflicts).toHaveLength(1);
+      expect(write).not.toHaveBeenCalled();
+      expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0])).toEqual(['BEGIN', 'SELECT', 'SELECT', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalled();
+
+      client.query.mockResolvedValue({ rows: [] });
+      expect(await schedulingService.withConflictCheck(booking, write)).toEqual({ rows: [{ id: 20 }] });
+      expect(write).toHaveBeenCalledWith(client);
+      expect(client.query.mock.calls.at(-1)[0]).toBe('COMMIT');
+    });
+  });
+});
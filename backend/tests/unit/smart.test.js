@@ -0,0 +1,232 @@
+// SMART on FHIR Tests
+// Tests scope handling, the EHR launch / authorization code flow and SMART token enforcement
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import pool from '../../db/index.js';
+import smartService, { SMARTError } from '../../services/smart.service.js';
+import { authenticateToken } from '../../middleware/auth.js';
+import { requireSmartScope, inSmartCompartment } from '../../middleware/smart.middleware.js';
+
+const FHIR_BASE = 'http://localhost:3000/api/fhir/R4';
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const publicClient = {
+  client_id: 'growth-chart',
+  name: 'Growth Chart',
+  launch_url: 'https://apps.example.org/growth/launch',
+  redirect_uris: ['https://apps.example.org/growth/callback'],
+  scopes: 'launch patient/*.read',
+  client_secret_hash: null
+};
+
+const authorizeParams = (overrides = {}) => ({
+  response_type: 'code',
+  client_id: 'growth-chart',
+  redirect_uri: 'https://apps.example.org/growth/callback',
+  launch: 'launch-abc',
+  scope: 'launch patient/Observation.read patient/Patient.read user/Encounter.read',
+  state: 'xyz',
+  aud: FHIR_BASE,
+  code_challenge: 'challenge',
+  code_challenge_method: 'S256',
+  ...overrides
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn(code => { res.statusCode = code; return res; });
+  res.type = jest.fn(() => res);
+  res.json = jest.fn(body => { res.body = body; return res; });
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SMART Scopes', () => {
+  test('parses v1 and v2 resource scopes and rejects unknown types', () => {
+    expect(smartService.parseResourceScope('patient/Observation.read'))
+      .toEqual({ level: 'patient', type: 'Observation', read: true, search: true });
+    expect(smartService.parseResourceScope('user/*.rs'))
+      .toEqual({ level: 'user', type: '*', read: true, search: true });
+    expect(smartService.parseResourceScope('patient/Condition.r'))
+      .toEqual({ level: 'patient', type: 'Condition', read: true, search: false });
+    expect(smartService.parseResourceScope('patient/Claim.read')).toBeNull();
+    expect(smartService.parseResourceScope('launch')).toBeNull();
+  });
+
+  test('grants requested scopes covered by the registration', () => {
+    const granted = smartService.grantScopes(
+      ['launch', 'patient/Observation.read', 'patient/Condition.rs', 'user/Encounter.read', 'openid'],
+      ['launch', 'patient/*.read']
+    );
+    expect(granted).toEqual(['launch', 'patient/Observation.read', 'patient/Condition.rs']);
+  });
+
+  test('limits access to the patient compartment unless a user scope applies', () => {
+    expect(smartService.scopeAccess(['patient/*.read'], 'Observation', 'search')).toEqual({ patientOnly: true });
+    expect(smartService.scopeAccess(['patient/*.read', 'user/Observation.rs'], 'Observation', 'read')).toEqual({ patientOnly: false });
+    expect(smartService.scopeAccess(['patient/Observation.r'], 'Observation', 'search')).toBeNull();
+    expect(smartService.scopeAccess(['patient/Observation.read'], 'Condition', 'read')).toBeNull();
+  });
+});
+
+describe('SMART Authorization Code Flow', () => {
+  test('rejects authorization requests without an EHR launch or PKCE', async () => {
+    const query = jest.spyOn(pool, 'query');
+
+    await expect(smartService.authorize(publicClient, authorizeParams({ launch: undefined }), FHIR_BASE))
+      .rejects.toThrow(/launch is required/);
+    await expect(smartService.authorize(publicClient, authorizeParams({ code_challenge: undefined }), FHIR_BASE))
+      .rejects.toThrow(/PKCE/);
+    await expect(smartService.authorize(publicClient, authorizeParams({ aud: 'https://other.example.org/fhir' }), FHIR_BASE))
+      .rejects.toBeInstanceOf(SMARTError);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  test('rejects a launch that was already redeemed', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValueOnce({ rows: [] });
+
+    await expect(smartService.authorize(publicClient, authorizeParams(), FHIR_BASE))
+      .rejects.toThrow(/unknown, expired or already used/);
+  });
+
+  test('issues a code for the granted scopes and the launch context', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 9, user_id: 5, patient_id: 42, encounter_id: 17 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const redirect = new URL(await smartService.authorize(publicClient, authorizeParams(), FHIR_BASE));
+
+    expect(redirect.origin + redirect.pathname).toBe('https://apps.example.org/growth/callback');
+    expect(redirect.searchParams.get('state')).toBe('xyz');
+    const code = redirect.searchParams.get('code');
+    expect(code).toBeTruthy();
+
+    const [, values] = query.mock.calls[1];
+    expect(values[0]).toBe(smartService.hash(code));
+    expect(values[5]).toBe('launch patient/Observation.read patient/Patient.read');
+    expect(values.slice(6, 9)).toEqual([42, 17, 'challenge']);
+  });
+
+  test('exchanges a code for a token carrying patient and encounter context', async () => {
+    const verifier = 'verifier-0123456789-abcdefghijklmnopqrstuvwxyz';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [publicClient] })
+      .mockResolvedValueOnce({
+        rows: [{
+          client_id: 'growth-chart',
+          user_id: 5,
+          redirect_uri: publicClient.redirect_uris[0],
+          scope: 'launch patient/*.read',
+          patient_id: 42,
+          encounter_id: 17,
+          code_challenge: challenge,
+          unexpired: true
+        }]
+      })
+      .mockResolvedValueOnce({ rows: [{ id: 5, email: 'dr@example.org', role: 'provider', active: true }] });
+
+    const token = await smartService.exchangeCode({
+      grant_type: 'authorization_code',
+      code: 'the-code',
+      client_id: 'growth-chart',
+      redirect_uri: publicClient.redirect_uris[0],
+      code_verifier: verifier
+    }, null, FHIR_BASE);
+
+    expect(token).toEqual(expect.objectContaining({
+      token_type: 'Bearer',
+      scope: 'launch patient/*.read',
+      patient: '42',
+      encounter: '17'
+    }));
+
+    const claims = jwt.verify(token.access_token, JWT_SECRET, { audience: FHIR_BASE });
+    expect(claims).toEqual(expect.objectContaining({
+      token_use: 'smart', client_id: 'growth-chart', role: 'provider', patient: '42', sub: '5'
+    }));
+  });
+
+  test('rejects a code_verifier that does not match the challenge', async () => {
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [publicClient] })
+      .mockResolvedValueOnce({
+        rows: [{
+          client_id: 'growth-chart',
+          user_id: 5,
+          redirect_uri: publicClient.redirect_uris[0],
+          scope: 'launch patient/*.read',
+          code_challenge: 'expected-challenge',
+          unexpired: true
+        }]
+      });
+
+    await expect(smartService.exchangeCode({
+      grant_type: 'authorization_code',
+      code: 'the-code',
+      client_id: 'growth-chart',
+      redirect_uri: publicClient.redirect_uris[0],
+      code_verifier: 'wrong'
+    }, null, FHIR_BASE)).rejects.toThrow(/code_verifier/);
+  });
+});
+
+describe('SMART Token Enforcement', () => {
+  const smartToken = (claims = {}) => jwt.sign({
+    id: 5, userId: 5, role: 'provider', token_use: 'smart', client_id: 'growth-chart',
+    scope: 'launch patient/*.read', patient: '42', ...claims
+  }, JWT_SECRET);
+
+  const authenticate = (token, originalUrl) => new Promise(resolve => {
+    const req = { headers: { authorization: `Bearer ${token}` }, originalUrl };
+    const res = mockResponse();
+    res.json = jest.fn(body => { res.body = body; resolve({ req, res, nextCalled: false }); return res; });
+    authenticateToken(req, res, () => resolve({ req, res, nextCalled: true }));
+  });
+
+  test('accepts SMART tokens only on the FHIR API', async () => {
+    const denied = await authenticate(smartToken(), '/api/patients/42');
+    expect(denied.nextCalled).toBe(false);
+    expect(denied.res.statusCode).toBe(403);
+
+    const allowed = await authenticate(smartToken(), '/api/fhir/R4/Observation?patient=42');
+    expect(allowed.nextCalled).toBe(true);
+    expect(allowed.req.smart).toEqual({
+      clientId: 'growth-chart', scopes: ['launch', 'patient/*.read'], patient: '42', encounter: null
+    });
+  });
+
+  test('pins patient-scoped searches to the launch patient', () => {
+    const middleware = requireSmartScope('Observation', 'search');
+    const next = jest.fn();
+
+    const req = { smart: { scopes: ['patient/*.read'], patient: '42' }, query: { subject: 'Patient/42', category: 'vital-signs' } };
+    middleware(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({ patient: '42', category: 'vital-signs' });
+
+    const otherPatient = mockResponse();
+    middleware({ smart: { scopes: ['patient/*.read'], patient: '42' }, query: { patient: '7' } }, otherPatient, next);
+    expect(otherPatient.statusCode).toBe(403);
+
+    const noScope = mockResponse();
+    requireSmartScope('Condition', 'search')({ smart: { scopes: ['patient/Observation.read'], patient: '42' }, query: {} }, noScope, next);
+    expect(noScope.statusCode).toBe(403);
+    expect(noScope.body.resourceType).toBe('OperationOutcome');
+  });
+
+  test('hides resources outside the launch patient compartment on read', () => {
+    const req = { smart: { scopes: ['patient/*.read'], patient: '42' }, params: { id: 'vitals-3-bp' } };
+    requireSmartScope('Observation', 'read')(req, mockResponse(), jest.fn());
+
+    expect(inSmartCompartment(req, { resourceType: 'Observation', subject: { reference: 'Patient/42' } })).toBe(true);
+    expect(inSmartCompartment(req, { resourceType: 'Observation', subject: { reference: 'Patient/7' } })).toBe(false);
+    expect(inSmartCompartment({}, { resourceType: 'Observation', subject: { reference: 'Patient/7' } })).toBe(true);
+  });
+});
@@ -0,0 +1,268 @@
+// Patient Statement Tests
+// Tests balance aging and dunning, statement documents and PDF rendering, the statement cycle,
+// over-the-counter payments and payment plans
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import auditService from '../../services/audit.service.js';
+import patientStatementService, { StatementError } from '../../services/patient-statement.service.js';
+
+const asOf = new Date('2025-06-30T12:00:00');
+
+const patientRow = (overrides = {}) => ({
+  id: 42,
+  mrn: 'MRN042',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  dob: '1980-02-14',
+  billing_id: 9,
+  billing_address: '12 Elm St',
+  billing_city: 'Springfield',
+  billing_state: 'IL',
+  billing_zip_code: '62701',
+  statement_delivery: 'mail',
+  dunning_status: 'current',
+  last_statement_date: null,
+  last_payment_date: null,
+  ...overrides
+});
+
+// Self-pay visit billed in March and the patient responsibility of an adjudicated claim billed in June
+const charges = [
+  { id: 1, billed_date: '2025-03-20', service_date: '2025-03-20', service_description: 'Office visit', procedure_code: '99213', amount: '120.00', insurance_payment: null, patient_amount: '120.00', pending_insurance: '0', claim_number: null },
+  { id: 2, billed_date: '2025-06-10', service_date: '2025-05-28', service_description: 'Office visit', procedure_code: '99214', amount: '200.00', insurance_payment: '150.00', patient_amount: '30.00', pending_insurance: '0', claim_number: 'CLM000000090' },
+  { id: 3, billed_date: '2025-06-20', service_date: '2025-06-20', service_description: 'HbA1c', procedure_code: '83036', amount: '30.00', insurance_payment: null, patient_amount: '0', pending_insurance: '30.00', claim_number: 'CLM000000091' }
+];
+
+const plan = (overrides = {}) => ({
+  id: 5,
+  patient_id: 42,
+  total_amount: '150.00',
+  installment_amount: '50.00',
+  frequency: 'monthly',
+  start_date: '2025-06-15',
+  next_due_date: '2025-07-15',
+  remaining_balance: '150.00',
+  status: 'active',
+  missed_payments: 0,
+  notes: null,
+  ...overrides
+});
+
+// Database client answering account queries by statement
+const mockClient = ({ patient = patientRow(), ledger = charges, credits = [], activePlan = null, appointment = null } = {}) => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  client.query.mockImplementation(async (sql, params) => {
+    if (/FROM patients p/.test(sql)) return { rows: patient ? [patient] : [] };
+    if (/transaction_type = 'charge'/.test(sql)) return { rows: ledger };
+    if (/remittance_claim_id IS NULL/.test(sql)) return { rows: credits };
+    if (/FROM payment_plans\s+WHERE patient_id = \$1 AND status = 'active'/.test(sql)) return { rows: activePlan ? [activePlan] : [] };
+    if (/FROM appointments/.test(sql)) return { rows: appointment ? [appointment] : [] };
+    if (/SELECT id FROM patient_billing/.test(sql)) return { rows: [{ id: 9 }] };
+    if (/nextval/.test(sql)) return { rows: [{ statement_number: 'STM1001' }] };
+    if (/INSERT INTO patient_statements/.test(sql)) {
+      return { rows: [{ id: 300, statement_number: params[0], balance_due: params[6], dunning_status: params[10], document: JSON.parse(params[12]) }] };
+    }
+    if (/INSERT INTO billing_transactions/.test(sql)) return { rows: [{ id: 800, amount: params[2] }] };
+    if (/INSERT INTO payment_plans/.test(sql)) {
+      return { rows: [plan({ total_amount: params[2], installment_amount: params[3], frequency: params[4], start_date: params[5], next_due_date: params[5], remaining_balance: params[2] })] };
+    }
+    return { rows: [] };
+  });
+  return client;
+};
+
+const billingUpdate = client => client.query.mock.calls.find(([sql]) => /UPDATE patient_billing SET\s+current_balance/.test(sql));
+
+describe('Patient Statements', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Aging and dunning', () => {
+    test('applies patient credits to the oldest amounts first and buckets the rest by age', () => {
+      const result = patientStatementService.computeAging(charges, [
+        { transaction_type: 'payment', amount: '100.00' },
+        { transaction_type: 'write_off', amount: '10.00' }
+      ], asOf);
+
+      expect(result.balance).toBe(40);
+      expect(result.aging).toEqual({ current: 30, days31To60: 0, days61To90: 0, days91To120: 10, over120: 0 });
+      expect(result.oldestDate).toBe('2025-03-20');
+      expect(result.oldestDays).toBe(102);
+    });
+
+    test('refunds add back to the balance', () => {
+      const result = patientStatementService.computeAging([charges[1]], [
+        { transaction_type: 'payment', amount: '30.00' },
+        { transaction_type: 'refund', amount: '30.00' }
+      ], asOf);
+
+      expect(result.balance).toBe(30);
+      expect(result.aging.current).toBe(30);
+    });
+
+    test('dunning escalates with the age of the oldest unpaid amount; plans and holds take precedence', () => {
+      const status = params => patientStatementService.dunningStatus({ balance: 50, ...params });
+
+      expect(status({ oldestDays: 10 })).toBe('current');
+      expect(status({ oldestDays: 45 })).toBe('past_due');
+      expect(status({ oldestDays: 75 })).toBe('final_notice');
+      expect(status({ oldestDays: 102 })).toBe('collections');
+      expect(status({ oldestDays: 102, plan: plan() })).toBe('payment_plan');
+      expect(status({ oldestDays: 102, plan: plan(), hold: true })).toBe('hold');
+      expect(patientStatementService.dunningStatus({ balance: 0, oldestDays: 200 })).toBe('current');
+    });
+
+    test('refreshing the account stores the balance and dunning status, and defaults overdue plans', async () => {
+      const client = mockClient({ activePlan: plan({ next_due_date: '2025-06-01' }) });
+
+      const balance = await patientStatementService.refreshAccount(42, { db: client, asOf });
+
+      const planUpdate = client.query.mock.calls.find(([sql]) => /UPDATE payment_plans SET status/.test(sql));
+      expect(planUpdate[1]).toEqual([5, 'defaulted', 1]);
+      expect(billingUpdate(client)[1]).toEqual([9, 150, '2025-03-20', 'collections', false, null, null]);
+      expect(balance.dunningStatus).toBe('collections');
+      expect(balance.pendingInsurance).toBe(30);
+      expect(balance.paymentPlan).toBeNull();
+    });
+  });
+
+  describe('Statements', () => {
+    test('generates a statement document with aging, open items and the dunning message', async () => {
+      const client = mockClient({
+        patient: patientRow({ last_statement_date: '2025-05-31' }),
+        credits: [{ id: 20, transaction_type: 'payment', transaction_date: '2025-06-12', amount: '20.00', payment_method: 'cash' }]
+      });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+      jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue(undefined);
+
+      const statement = await patientStatementService.generateStatement(42, 7, { asOf });
+      const { document } = statement;
+
+      expect(statement.statement_number).toBe('STM1001');
+      expect(document.summary).toEqual({
+        previousBalance: 120,
+        newCharges: 30,
+        payments: 20,
+        adjustments: 0,
+        balanceDue: 130,
+        pendingInsurance: 30,
+        amountDue: 130
+      });
+      expect(document.aging).toMatchObject({ current: 30, days91To120: 100 });
+      expect(document.openItems.map(item => item.balance)).toEqual([100, 30]);
+      expect(document.periodStart).toBe('2025-06-01');
+      expect(document.dueDate).toBe('2025-07-21');
+      expect(document.dunning.status).toBe('collections');
+      expect(client.query).toHaveBeenCalledWith(expect.stringMatching(/UPDATE patient_billing SET last_statement_date/), [9, '2025-06-30']);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('refuses a statement when nothing is owed', async () => {
+      const client = mockClient({ ledger: [charges[2]] });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      await expect(patientStatementService.generateStatement(42, 7, { asOf })).rejects.toMatchObject({ status: 422 });
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('renders the statement as a PDF with a valid cross-reference table', () => {
+      const account = { ...patientStatementService.computeAging(charges, [], asOf), charges, credits: [] };
+      const document = patientStatementService.buildStatementDocument({
+        ...account,
+        patient: patientRow(),
+        billing: {},
+        plan: null,
+        pendingInsurance: 30
+      }, { statementNumber: 'STM1001', asOf });
+
+      const pdf = patientStatementService.renderStatementPdf(document).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('(PATIENT STATEMENT) Tj');
+      expect(pdf).toContain('($150.00) Tj');
+      const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      expect(pdf.slice(xref, xref + 4)).toBe('xref');
+      const offsets = [...pdf.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+      });
+    });
+
+    test('statement cycle skips held accounts and balances below the minimum', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ patient_id: 1 }, { patient_id: 2 }, { patient_id: 3 }] });
+      jest.spyOn(patientStatementService, 'refreshAccount').mockImplementation(async patientId => ({
+        1: { balance: 80, dunningStatus: 'past_due' },
+        2: { balance: 80, dunningStatus: 'hold' },
+        3: { balance: 2, dunningStatus: 'current' }
+      })[patientId]);
+      jest.spyOn(patientStatementService, 'generateStatement').mockResolvedValue({
+        id: 300, statement_number: 'STM1001', balance_due: '80.00', dunning_status: 'past_due'
+      });
+
+      const result = await patientStatementService.runStatementCycle({ asOf });
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['2025-06-02']);
+      expect(result.generated).toEqual([{ statementId: 300, statementNumber: 'STM1001', patientId: 1, balanceDue: 80, dunningStatus: 'past_due' }]);
+      expect(result.skipped.map(entry => entry.patientId)).toEqual([2, 3]);
+      expect(patientStatementService.generateStatement).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Payments and payment plans', () => {
+    test('rejects unsupported payment methods and non-positive amounts', async () => {
+      await expect(patientStatementService.recordPayment(42, { amount: 20, method: 'insurance' }, 7))
+        .rejects.toBeInstanceOf(StatementError);
+      await expect(patientStatementService.recordPayment(42, { amount: 0, method: 'cash' }, 7))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    test('records a check-in payment against the appointment and advances the payment plan', async () => {
+      const client = mockClient({ activePlan: plan(), appointment: { patient_id: 42 } });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+      jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue(undefined);
+
+      await patientStatementService.recordPayment(42, { amount: 50, method: 'credit_card', reference: 'AUTH77', appointmentId: 31 }, 7);
+
+      const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO billing_transactions/.test(sql));
+      expect(insert[1]).toEqual([42, 9, 50, 'credit_card', null, 'AUTH77', null, '7', 5, 31]);
+      const planUpdate = client.query.mock.calls.find(([sql]) => /UPDATE payment_plans SET\s+remaining_balance/.test(sql));
+      expect(planUpdate[1]).toEqual([5, 50, '2025-08-15']);
+      expect(billingUpdate(client)).toBeDefined();
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditService.logPHIAccess).toHaveBeenCalledWith(
+        7, 'billing_transactions', 800, 'patient_payment', expect.stringContaining('at check-in for appointment 31'), { patientId: 42 }
+      );
+    });
+
+    test('rejects a payment for another patient\'s appointment', async () => {
+      const client = mockClient({ appointment: { patient_id: 99 } });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      await expect(patientStatementService.recordPayment(42, { amount: 20, method: 'cash', appointmentId: 31 }, 7))
+        .rejects.toThrow('Appointment belongs to a different patient');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('creates a payment plan for the full balance by default', async () => {
+      const client = mockClient();
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+      jest.spyOn(auditService, 'logPHIAccess').mockResolvedValue(undefined);
+
+      const created = await patientStatementService.createPaymentPlan(42, { installmentAmount: 50, frequency: 'monthly', startDate: '2025-07-01' }, 7);
+
+      expect(created).toMatchObject({ totalAmount: 150, installmentAmount: 50, frequency: 'monthly', nextDueDate: '2025-07-01' });
+      const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO payment_plans/.test(sql));
+      expect(insert[1]).toEqual([42, 9, 150, 50, 'monthly', '2025-07-01', null, 7]);
+    });
+
+    test('allows only one active payment plan', async () => {
+      const client = mockClient({ activePlan: plan() });
+      jest.spyOn(pool, 'connect').mockResolvedValue(client);
+
+      await expect(patientStatementService.createPaymentPlan(42, { installmentAmount: 25, frequency: 'weekly' }, 7))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
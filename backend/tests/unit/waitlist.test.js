@@ -0,0 +1,198 @@
+// Appointment Waitlist Tests
+// Tests matching waitlisted patients to a cancelled slot by provider, type, dates and time preference in priority
+// order, holding the slot for the offered patient, and moving on after a decline or expiry
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import pool from '../../db/index.js';
+import waitlistService from '../../services/waitlist.service.js';
+import notificationService from '../../services/notification.service.js';
+
+const local = (date, time = '09:00') => new Date(`${date}T${time}:00`);
+const now = local('2030-03-04', '08:00');
+// Monday 2030-03-11, 10:00-10:30
+const slot = {
+  appointmentId: 77, providerId: 2, start: local('2030-03-11', '10:00'), end: local('2030-03-11', '10:30'),
+  type: 'follow-up', room: null
+};
+const entry = (id, overrides = {}) => ({
+  id, patient_id: 100 + id, provider_id: 2, appointment_type: 'follow-up', preferred_days: null,
+  preferred_start_time: null, preferred_end_time: null, priority: 3, status: 'waiting', ...overrides
+});
+
+// Candidates come back from the pool in priority order; the offer is made in a booking transaction
+const mockOffer = ({ candidates = [], booked = [], pendingOffer = false } = {}) => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  client.query.mockImplementation(async (sql, params = []) => {
+    if (/SELECT id FROM waitlist_offers/.test(sql)) return { rows: pendingOffer ? [{ id: 1 }] : [] };
+    if (/FROM appointments a/.test(sql)) {
+      return { rows: booked.filter(row => row.patient_id === params[3] || row.provider_id === params[2]) };
+    }
+    if (/INSERT INTO waitlist_offers/.test(sql)) return { rows: [{ id: 60, waitlist_id: params[0], expires_at: params[7] }] };
+    return { rows: [] };
+  });
+  jest.spyOn(pool, 'connect').mockResolvedValue(client);
+  jest.spyOn(pool, 'query').mockImplementation(async (sql, params = []) => {
+    if (/FROM appointment_waitlist w\s+WHERE w.status = 'waiting'/.test(sql)) return { rows: candidates };
+    if (/FROM waitlist_offers o/.test(sql)) return { rows: [{ id: params[0], waitlist_id: 1, status: 'pending' }] };
+    return { rows: [] };
+  });
+  const send = jest.spyOn(notificationService, 'send').mockResolvedValue({ id: 90 });
+  return { client, send };
+};
+
+describe('Appointment Waitlist', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.WAITLIST_HOLD_MINUTES;
+  });
+
+  describe('Offering a cancelled slot', () => {
+    test('offers the slot to the first candidate whose day and time preference it fits', async () => {
+      const { client, send } = mockOffer({
+        candidates: [
+          entry(1, { priority: 1, preferred_days: [2, 3] }),
+          entry(2, { priority: 2, preferred_start_time: '13:00:00', preferred_end_time: '17:00:00' }),
+          entry(3, { priority: 3, preferred_days: [1], preferred_start_time: '08:00:00', preferred_end_time: '12:00:00' }),
+          entry(4, { priority: 4 })
+        ]
+      });
+
+      const offer = await waitlistService.offerSlot(slot, now);
+
+      expect(offer).toMatchObject({ id: 60 });
+      const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO waitlist_offers/.test(sql));
+      expect(insert[1].slice(0, 3)).toEqual([3, 77, 2]);
+      expect(client.query.mock.calls.some(([sql, params]) =>
+        /SET status = 'offered'/.test(sql) && params[0] === 3)).toBe(true);
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        patientId: 103, category: 'waitlist_offer', data: { offerId: 60, waitlistId: 3 }
+      }));
+      // The patient is told only after the offer is committed
+      const commit = client.query.mock.calls.findIndex(([sql]) => sql === 'COMMIT');
+      expect(client.query.mock.invocationCallOrder[commit]).toBeLessThan(send.mock.invocationCallOrder[0]);
+      expect(pool.query.mock.calls.some(([sql, params]) =>
+        /SET notification_id/.test(sql) && params[1] === 90)).toBe(true);
+    });
+
+    test('holds the slot for WAITLIST_HOLD_MINUTES, never past the appointment start', async () => {
+      process.env.WAITLIST_HOLD_MINUTES = '45';
+      let { client } = mockOffer({ candidates: [entry(1)] });
+      await waitlistService.offerSlot(slot, now);
+      let insert = client.query.mock.calls.find(([sql]) => /INSERT INTO waitlist_offers/.test(sql));
+      expect(insert[1][7]).toEqual(local('2030-03-04', '08:45'));
+
+      jest.restoreAllMocks();
+      ({ client } = mockOffer({ candidates: [entry(1)] }));
+      await waitlistService.offerSlot(slot, local('2030-03-11', '09:50'));
+      insert = client.query.mock.calls.find(([sql]) => /INSERT INTO waitlist_offers/.test(sql));
+      expect(insert[1][7]).toEqual(slot.start);
+    });
+
+    test('passes over patients already booked at that time and stops when the slot was rebooked', async () => {
+      let { client } = mockOffer({
+        candidates: [entry(1), entry(2)],
+        booked: [{ id: 5, patient_id: 101, provider_id: 9, start_ts: slot.start, end_ts: slot.end }]
+      });
+      await waitlistService.offerSlot(slot, now);
+      let insert = client.query.mock.calls.find(([sql]) => /INSERT INTO waitlist_offers/.test(sql));
+      expect(insert[1][0]).toBe(2);
+
+      jest.restoreAllMocks();
+      ({ client } = mockOffer({
+        candidates: [entry(1)],
+        booked: [{ id: 6, patient_id: 300, provider_id: 2, start_ts: slot.start, end_ts: slot.end, max_overbook: 0 }]
+      }));
+      expect(await waitlistService.offerSlot(slot, now)).toBeNull();
+      expect(client.query.mock.calls.some(([sql]) => /INSERT INTO waitlist_offers/.test(sql))).toBe(false);
+    });
+
+    test('makes no offer for past slots or slots with a pending offer', async () => {
+      const query = jest.spyOn(pool, 'query');
+      expect(await waitlistService.offerSlot(slot, local('2030-03-12'))).toBeNull();
+      expect(query).not.toHaveBeenCalled();
+
+      jest.restoreAllMocks();
+      const { client } = mockOffer({ candidates: [entry(1)], pendingOffer: true });
+      expect(await waitlistService.offerSlot(slot, now)).toBeNull();
+      expect(client.query.mock.calls.some(([sql]) => /INSERT INTO waitlist_offers/.test(sql))).toBe(false);
+    });
+  });
+
+  describe('Answers and expiry', () => {
+    const offerRow = {
+      id: 60, waitlist_id: 3, cancelled_appointment_id: 77, provider_id: 2, start_ts: slot.start, end_ts: slot.end,
+      appointment_type: 'follow-up', room: null, status: 'declined'
+    };
+
+    test('a declined offer returns the patient to the waitlist and goes to the next match', async () => {
+      const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params = []) => {
+        if (/SET status = 'declined'/.test(sql)) return { rows: [offerRow] };
+        if (/FROM waitlist_offers o/.test(sql)) return { rows: [{ id: params[0], status: 'declined' }] };
+        return { rows: [] };
+      });
+      const offerSlot = jest.spyOn(waitlistService, 'offerSlot').mockResolvedValue({ id: 61 });
+
+      const result = await waitlistService.declineOffer(60);
+
+      expect(result.next).toEqual({ id: 61 });
+      expect(offerSlot).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: 77, providerId: 2, start: slot.start }));
+      expect(query.mock.calls.some(([sql, params]) => /SET status = 'waiting'/.test(sql) && params[0] === 3)).toBe(true);
+    });
+
+    test('expired offers are offered to the next match', async () => {
+      jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+        if (/SET status = 'expired'/.test(sql)) return { rows: [{ ...offerRow, status: 'expired' }] };
+        return { rows: [] };
+      });
+      const offerSlot = jest.spyOn(waitlistService, 'offerSlot').mockResolvedValue(null);
+
+      expect(await waitlistService.expireOffers(now)).toBe(1);
+      expect(offerSlot).toHaveBeenCalledWith(expect.objectContaining({ appointmentId: 77 }), now);
+    });
+
+    test('refuses to book an offer that is no longer pending', async () => {
+      jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ id: 60, status: 'expired' }] });
+
+      await expect(waitlistService.acceptOffer(60)).rejects.toMatchObject({ status: 409, message: 'Offer is expired' });
+    });
+  });
+
+  describe('Entries', () => {
+    test('validates preferences', async () => {
+      await expect(waitlistService.createEntry({ patientId: 11, priority: 9 }))
+        .rejects.toThrow('priority must be between 1 (most urgent) and 5');
+      await expect(waitlistService.createEntry({ patientId: 11, preferredStartTime: '14:00', preferredEndTime: '09:00' }))
+        .rejects.toThrow('preferredEndTime must be after preferredStartTime');
+      await expect(waitlistService.createEntry({ patientId: 11, preferredDays: [7] }))
+        .rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  describe('Notification transports', () => {
+    const message = { id: 40, category: 'waitlist_offer', channel: 'sms', recipient: '555-0142',
+      body: 'Ana, a slot with Dr Park has opened up on Mon 11 Mar at 10:00.' };
+
+    test('records messages as failed when no transport is configured', async () => {
+      delete process.env.NOTIFICATION_TRANSPORT;
+      const query = jest.spyOn(pool, 'query').mockImplementation(async (sql, params) =>
+        ({ rows: [{ ...message, status: 'failed', error: params[1], transport: params[2] }] }));
+
+      const result = await notificationService.deliver(message);
+
+      expect(result).toMatchObject({ status: 'failed', transport: 'none' });
+      expect(result.error).toMatch(/No notification transport configured/);
+      expect(query.mock.calls[0][0]).toMatch(/SET status = 'failed'/);
+    });
+
+    test('the console transport logs neither the recipient nor the message', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await notificationService.transports.console.send(message);
+
+      const logged = log.mock.calls.flat().join(' ');
+      expect(logged).toContain('#40');
+      expect(logged).not.toContain('555-0142');
+      expect(logged).not.toContain('Ana');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+// CSV utilities
+// RFC 4180 parsing (quoted fields, escaped quotes, embedded commas and line breaks) for file imports.
+// Column meaning lives in the services that import the files.
+
+export class CsvParseError extends Error {
+  constructor(message, line = null) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'CsvParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - Raw CSV
+ * @param {Object} options - { delimiter }
+ * @returns {string[][]} Rows, blank lines skipped
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+  const data = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    const char = data[i];
+    if (quoted) {
+      if (char === '"' && data[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && data[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new CsvParseError('Unterminated quoted field', line);
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into records keyed by normalized header (lower case, non-alphanumerics as _)
+ * @param {string} text - Raw CSV
+ * @returns {Object} { headers: string[], records: [{ line, values }] }
+ */
+export function parseCsvRecords(text, options = {}) {
+  const [header, ...rows] = parseCsv(text, options);
+  if (!header) {
+    throw new CsvParseError('File has no header row');
+  }
+
+  const headers = header.map(name => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  return {
+    headers,
+    records: rows.map((fields, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(headers.map((name, column) => [name, (fields[column] ?? '').trim()]))
+    }))
+  };
+}
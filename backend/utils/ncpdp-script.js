@@ -0,0 +1,331 @@
+// NCPDP SCRIPT utilities
+// Building and parsing NCPDP SCRIPT 2017071 XML messages: the Message/Header/Body envelope and the Pharmacy,
+// Prescriber, Patient and medication composites shared by the transactions. What each transaction (NewRx,
+// CancelRx, RxRenewal, RxChange, Status) means lives in the services that use these helpers.
+import { parseXML } from './xml-parser.js';
+
+export const SCRIPT_VERSION = '2017071';
+export const SCRIPT_NAMESPACE = 'http://www.ncpdp.org/schema/SCRIPT';
+
+// Header To/From qualifiers
+export const QUALIFIERS = {
+  PHARMACY: 'P',
+  CLINIC: 'C'
+};
+
+// Quantity units of measure (NCI codes, CodeListQualifier 38 = original quantity)
+export const QUANTITY_UNITS = {
+  tablet: 'C48542',
+  capsule: 'C48480',
+  milliliter: 'C28254',
+  unspecified: 'C38046'
+};
+
+export class ScriptMessageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScriptMessageError';
+  }
+}
+
+/**
+ * XML element for buildScriptMessage. Children that are null, undefined or empty strings are dropped, so optional
+ * elements can be written inline; an element left with no content is dropped too.
+ * @param {string} name - Element name
+ * @param {string|number|Array} content - Text, or child elements
+ * @param {Object} attributes - Attributes
+ * @returns {Object|null} Element node
+ */
+export function el(name, content = [], attributes = {}) {
+  if (Array.isArray(content)) {
+    const children = content.filter(child => child && !child.empty);
+    return { name, children, attributes, empty: children.length === 0 };
+  }
+  if (content === null || content === undefined || content === '') return null;
+  return { name, text: String(content), attributes };
+}
+
+/**
+ * Marker element that is written even though it has no content (e.g. <Approved/>)
+ * @param {string} name - Element name
+ */
+export function flag(name) {
+  return { name, children: [], attributes: {}, empty: false };
+}
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function render(node, depth) {
+  if (!node || node.empty) return '';
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (node.text !== undefined) {
+    return `${indent}<${node.name}${attributes}>${escapeXml(node.text)}</${node.name}>\n`;
+  }
+  const children = node.children.map(child => render(child, depth + 1)).join('');
+  return children
+    ? `${indent}<${node.name}${attributes}>\n${children}${indent}</${node.name}>\n`
+    : `${indent}<${node.name}${attributes}/>\n`;
+}
+
+/**
+ * Build a SCRIPT 2017071 message
+ * @param {Object} params - { to: { qualifier, id }, from: { qualifier, id }, messageId, relatesToMessageId,
+ *   prescriberOrderNumber, rxReferenceNumber, sentTime, type, body: child elements of the transaction element }
+ * @returns {string} XML document
+ */
+export function buildScriptMessage({
+  to,
+  from,
+  messageId,
+  relatesToMessageId = null,
+  prescriberOrderNumber = null,
+  rxReferenceNumber = null,
+  sentTime = new Date(),
+  type,
+  body = []
+}) {
+  const header = el('Header', [
+    el('To', to.id, { Qualifier: to.qualifier }),
+    el('From', from.id, { Qualifier: from.qualifier }),
+    el('MessageID', messageId),
+    el('RelatesToMessageID', relatesToMessageId),
+    el('SentTime', new Date(sentTime).toISOString()),
+    el('SenderSoftware', [
+      el('SenderSoftwareDeveloper', 'EMR System'),
+      el('SenderSoftwareProduct', 'EMR System'),
+      el('SenderSoftwareVersionRelease', SCRIPT_VERSION)
+    ]),
+    el('RxReferenceNumber', rxReferenceNumber),
+    el('PrescriberOrderNumber', prescriberOrderNumber)
+  ]);
+  const transaction = body.length ? el(type, body) : flag(type);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + render(el('Message', [header, el('Body', [transaction])], {
+    xmlns: SCRIPT_NAMESPACE,
+    DatatypesVersion: SCRIPT_VERSION,
+    TransportVersion: SCRIPT_VERSION,
+    TransactionDomain: 'SCRIPT',
+    TransactionVersion: SCRIPT_VERSION,
+    StructuresVersion: SCRIPT_VERSION,
+    ECLVersion: SCRIPT_VERSION
+  }), 0);
+}
+
+/**
+ * Parse a SCRIPT message
+ * @param {string} xml - Message XML
+ * @returns {Object} { version, header: { to, toQualifier, from, fromQualifier, messageId, relatesToMessageId,
+ *   sentTime, prescriberOrderNumber, rxReferenceNumber }, type, transaction: XMLElement }
+ */
+export function parseScriptMessage(xml) {
+  const root = parseXML(xml);
+  if (root.name !== 'Message') {
+    throw new ScriptMessageError(`Expected a SCRIPT Message, got <${root.name}>`);
+  }
+
+  const header = root.find('Header');
+  const transaction = root.find('Body')?.elements()[0];
+  if (!header || !transaction) {
+    throw new ScriptMessageError('Message needs a Header and a Body transaction');
+  }
+
+  const text = path => header.find(path)?.text() || null;
+  const messageId = text('MessageID');
+  if (!messageId) {
+    throw new ScriptMessageError('Header has no MessageID');
+  }
+
+  return {
+    version: root.attr('TransactionVersion'),
+    header: {
+      to: text('To'),
+      toQualifier: header.find('To')?.attr('Qualifier') || null,
+      from: text('From'),
+      fromQualifier: header.find('From')?.attr('Qualifier') || null,
+      messageId,
+      relatesToMessageId: text('RelatesToMessageID'),
+      sentTime: text('SentTime'),
+      prescriberOrderNumber: text('PrescriberOrderNumber'),
+      rxReferenceNumber: text('RxReferenceNumber')
+    },
+    type: transaction.name,
+    transaction
+  };
+}
+
+/**
+ * SCRIPT date element value (<Date>YYYY-MM-DD</Date>)
+ * @param {Date|string} value - Date
+ */
+export function scriptDate(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const date = new Date(value);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Builder node for a parsed element, so a composite received in one message can be echoed in another
+ * @param {XMLElement} element - Parsed element
+ * @param {string} [name] - Element name to write (defaults to the parsed name)
+ * @returns {Object|null} Element node
+ */
+export function copyElement(element, name = element?.name) {
+  if (!element) return null;
+  const children = element.elements();
+  if (children.length === 0) {
+    return element.text() ? el(name, element.text()) : flag(name);
+  }
+  return el(name, children.map(child => copyElement(child)));
+}
+
+/* ---------- Composites ---------- */
+
+/**
+ * Address composite
+ * @param {Object} address - { line1, line2, city, state, zip }
+ */
+export function addressElement(address = {}) {
+  return el('Address', [
+    el('AddressLine1', address.line1),
+    el('AddressLine2', address.line2),
+    el('City', address.city),
+    el('StateProvince', address.state),
+    el('PostalCode', address.zip?.replace(/[^0-9]/g, '')),
+    address.line1 ? el('CountryCode', 'US') : null
+  ]);
+}
+
+function communicationNumbers({ phone, fax }) {
+  const digits = value => value?.replace(/[^0-9]/g, '') || null;
+  return el('CommunicationNumbers', [
+    el('PrimaryTelephone', [el('Number', digits(phone))]),
+    el('Fax', [el('Number', digits(fax))])
+  ]);
+}
+
+/**
+ * Pharmacy composite
+ * @param {Object} pharmacy - { ncpdpId, npi, name, address, phone, fax }
+ */
+export function pharmacyElement(pharmacy) {
+  return el('Pharmacy', [
+    el('Identification', [el('NCPDPID', pharmacy.ncpdpId), el('NPI', pharmacy.npi)]),
+    el('BusinessName', pharmacy.name),
+    addressElement(pharmacy.address),
+    communicationNumbers(pharmacy)
+  ]);
+}
+
+/**
+ * Prescriber composite
+ * @param {Object} prescriber - { npi, firstName, lastName, address, phone, fax }
+ */
+export function prescriberElement(prescriber) {
+  return el('Prescriber', [
+    el('NonVeterinarian', [
+      el('Identification', [el('NPI', prescriber.npi)]),
+      el('Name', [el('LastName', prescriber.lastName), el('FirstName', prescriber.firstName)]),
+      addressElement(prescriber.address),
+      communicationNumbers(prescriber)
+    ])
+  ]);
+}
+
+/**
+ * Patient composite
+ * @param {Object} patient - { firstName, lastName, gender, dob, address }
+ */
+export function patientElement(patient) {
+  const gender = { male: 'M', m: 'M', female: 'F', f: 'F' }[String(patient.gender || '').toLowerCase()] || 'U';
+  return el('Patient', [
+    el('HumanPatient', [
+      el('Name', [el('LastName', patient.lastName), el('FirstName', patient.firstName)]),
+      el('Gender', gender),
+      el('DateOfBirth', [el('Date', scriptDate(patient.dob))]),
+      addressElement(patient.address)
+    ])
+  ]);
+}
+
+/**
+ * Medication composite (MedicationPrescribed, MedicationRequested, MedicationDispensed or MedicationResponse)
+ * @param {string} name - Element name
+ * @param {Object} medication - { drugDescription, ndc, rxcui, quantity, quantityUnit, daysSupply, writtenDate,
+ *   substitutionsAllowed, refills, note, sig }
+ */
+export function medicationElement(name, medication) {
+  return el(name, [
+    el('DrugDescription', medication.drugDescription),
+    el('DrugCoded', [
+      el('ProductCode', medication.ndc ? [el('Code', medication.ndc.replace(/[^0-9]/g, '')), el('Qualifier', 'ND')] : []),
+      el('DrugDBCode', medication.rxcui ? [el('Code', medication.rxcui), el('Qualifier', 'SCD')] : [])
+    ]),
+    el('Quantity', [
+      el('Value', medication.quantity),
+      el('CodeListQualifier', '38'),
+      el('QuantityUnitOfMeasure', [el('Code', medication.quantityUnit || QUANTITY_UNITS.unspecified)])
+    ]),
+    el('DaysSupply', medication.daysSupply),
+    el('WrittenDate', [el('Date', scriptDate(medication.writtenDate))]),
+    // 0 = substitution allowed, 1 = dispense as written
+    medication.substitutionsAllowed === undefined ? null : el('Substitutions', medication.substitutionsAllowed ? '0' : '1'),
+    el('NumberOfRefills', medication.refills),
+    el('Note', medication.note),
+    el('Sig', [el('SigText', medication.sig)])
+  ]);
+}
+
+/**
+ * Patient fields from a transaction
+ * @param {XMLElement} transaction - Transaction element
+ * @returns {Object} { firstName, lastName, dob, gender }
+ */
+export function readPatient(transaction) {
+  const patient = transaction.find('Patient/HumanPatient');
+  const text = path => patient?.find(path)?.text() || null;
+  return {
+    firstName: text('Name/FirstName'),
+    lastName: text('Name/LastName'),
+    dob: text('DateOfBirth/Date'),
+    gender: text('Gender')
+  };
+}
+
+/**
+ * Medication fields from a medication composite
+ * @param {XMLElement} medication - MedicationPrescribed/Requested/Dispensed element
+ * @returns {Object|null} { drugDescription, ndc, rxcui, quantity, quantityUnit, daysSupply, refills, note, sig }
+ */
+export function readMedication(medication) {
+  if (!medication) return null;
+  const text = path => medication.find(path)?.text() || null;
+  const number = path => (text(path) === null ? null : Number(text(path)));
+  return {
+    drugDescription: text('DrugDescription'),
+    ndc: text('DrugCoded/ProductCode/Code'),
+    rxcui: text('DrugCoded/DrugDBCode/Code'),
+    quantity: number('Quantity/Value'),
+    quantityUnit: text('Quantity/QuantityUnitOfMeasure/Code'),
+    daysSupply: number('DaysSupply'),
+    refills: number('NumberOfRefills'),
+    note: text('Note'),
+    sig: text('Sig/SigText')
+  };
+}
@@ -0,0 +1,110 @@
+// PDF utilities
+// Minimal PDF 1.4 writer for text documents laid out in rows (patient statements, letters).
+// Uses the standard Helvetica fonts, so nothing needs to be embedded and no rendering library is required.
+
+export const PAGE_WIDTH = 612; // US Letter, in points
+export const PAGE_HEIGHT = 792;
+export const MARGIN = 54;
+
+const DEFAULT_FONT_SIZE = 10;
+const LINE_HEIGHT = 1.4;
+
+// Approximate Helvetica glyph width (digits are exactly this) as a fraction of the font size, for right alignment
+const CHAR_WIDTH = 0.556;
+
+/**
+ * Escape text for a PDF string literal; characters outside printable ASCII become '?'
+ * @param {*} value - Text to escape
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Lay rows out top to bottom, starting a new page when one is full
+ * @param {Array} rows - { cells: [{ text, x, size, bold, align }], gap, rule }; gap overrides the row height
+ *   and rule draws a line under the row
+ * @returns {Array<Array<string>>} Content stream operators per page
+ */
+export function layoutPages(rows) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const row of rows) {
+    const cells = row.cells || [];
+    const size = Math.max(DEFAULT_FONT_SIZE, ...cells.map(cell => cell.size || DEFAULT_FONT_SIZE));
+    const height = row.gap ?? size * LINE_HEIGHT;
+
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+
+    const ops = pages[pages.length - 1];
+    for (const cell of cells) {
+      const text = String(cell.text ?? '');
+      if (!text) continue;
+
+      const fontSize = cell.size || DEFAULT_FONT_SIZE;
+      let x = cell.x ?? MARGIN;
+      if (cell.align === 'right') {
+        x -= text.length * fontSize * CHAR_WIDTH;
+      }
+      ops.push(`BT /${cell.bold ? 'F2' : 'F1'} ${fontSize} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+    }
+
+    if (row.rule) {
+      ops.push(`0.5 w ${MARGIN} ${(y - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - 4).toFixed(2)} l S`);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Build a PDF from rows of text
+ * @param {Array} rows - See layoutPages
+ * @param {Object} options - { title } for the document info dictionary
+ * @returns {Buffer} PDF bytes
+ */
+export function buildPdf(rows, { title = null } = {}) {
+  const pages = layoutPages(rows);
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Producer (EMR System)${title ? ` /Title (${escapeText(title)})` : ''} >>`
+  ];
+
+  pages.forEach((ops, index) => {
+    const stream = ops.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  // Everything is ASCII, so string length is the byte offset
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
@@ -0,0 +1,151 @@
+// Recurrence rule utilities
+// Parsing and expanding the subset of RFC 5545 RRULEs used for appointment series: FREQ=DAILY|WEEKLY|MONTHLY with
+// INTERVAL, COUNT or UNTIL, BYDAY (weekly) and BYMONTHDAY (monthly). Occurrences keep the wall-clock time of the
+// first one in the server's local time, so a 9:00 series stays at 9:00 across daylight saving changes.
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on occurrences in one series (two years of weekly visits)
+export const MAX_OCCURRENCES = 104;
+
+export class RRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RRuleError';
+  }
+}
+
+/**
+ * Parse an RRULE ("RRULE:" prefix optional)
+ * @param {string} text - e.g. FREQ=WEEKLY;INTERVAL=1;COUNT=8;BYDAY=MO,TH
+ * @returns {Object} { freq, interval, count, until, byDay (weekday numbers), byMonthDay }
+ * @throws {RRuleError} On unsupported or inconsistent parts
+ */
+export function parseRRule(text) {
+  const parts = {};
+  for (const part of String(text ?? '').trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [key, value] = part.split('=');
+    if (!key || value === undefined || value === '') {
+      throw new RRuleError(`Invalid RRULE part "${part}"`);
+    }
+    parts[key.toUpperCase()] = value.toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    throw new RRuleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  const unsupported = Object.keys(parts).filter(key =>
+    !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'WKST'].includes(key));
+  if (unsupported.length > 0) {
+    throw new RRuleError(`Unsupported RRULE part ${unsupported.join(', ')}`);
+  }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    throw new RRuleError('INTERVAL must be between 1 and 52');
+  }
+
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    throw new RRuleError(`COUNT must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  const until = parts.UNTIL ? parseUntil(parts.UNTIL) : null;
+  if (count !== null && until) {
+    throw new RRuleError('COUNT and UNTIL cannot both be given');
+  }
+  if (count === null && !until) {
+    throw new RRuleError('A series needs COUNT or UNTIL');
+  }
+
+  let byDay = null;
+  if (parts.BYDAY) {
+    if (freq !== 'WEEKLY') {
+      throw new RRuleError('BYDAY is only supported with FREQ=WEEKLY');
+    }
+    byDay = parts.BYDAY.split(',').map(day => {
+      const index = WEEKDAYS.indexOf(day);
+      if (index < 0) throw new RRuleError(`Invalid BYDAY value ${day}`);
+      return index;
+    });
+  }
+
+  let byMonthDay = null;
+  if (parts.BYMONTHDAY) {
+    byMonthDay = Number(parts.BYMONTHDAY);
+    if (freq !== 'MONTHLY' || !Number.isInteger(byMonthDay) || byMonthDay < 1 || byMonthDay > 31) {
+      throw new RRuleError('BYMONTHDAY must be a day 1-31 with FREQ=MONTHLY');
+    }
+  }
+
+  return { freq, interval, count, until, byDay, byMonthDay };
+}
+
+/**
+ * Occurrence start times of a rule, the first being dtstart itself (RFC 5545 counts dtstart as an occurrence)
+ * @param {string|Object} rule - RRULE text or parseRRule result
+ * @param {Date|string} dtstart - First occurrence
+ * @returns {Date[]} Start times in order
+ * @throws {RRuleError} When the rule yields more than MAX_OCCURRENCES
+ */
+export function expandRRule(rule, dtstart) {
+  const { freq, interval, count, until, byDay, byMonthDay } = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const first = new Date(dtstart);
+  if (Number.isNaN(first.getTime())) {
+    throw new RRuleError('Series start must be a timestamp');
+  }
+
+  const occurrences = [];
+  const add = date => {
+    if (date < first) return true;
+    if (until && date > until) return false;
+    if (count !== null && occurrences.length >= count) return false;
+    if (occurrences.length >= MAX_OCCURRENCES) {
+      throw new RRuleError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+    occurrences.push(date);
+    return true;
+  };
+  const at = (year, month, day) =>
+    new Date(year, month, day, first.getHours(), first.getMinutes(), first.getSeconds());
+
+  for (let period = 0; ; period++) {
+    let more = true;
+    if (freq === 'DAILY') {
+      more = add(at(first.getFullYear(), first.getMonth(), first.getDate() + period * interval));
+    } else if (freq === 'WEEKLY') {
+      // Weeks start on Monday (WKST=MO)
+      const monday = first.getDate() - ((first.getDay() + 6) % 7) + period * 7 * interval;
+      const days = (byDay ?? [first.getDay()]).map(day => (day + 6) % 7).sort((a, b) => a - b);
+      for (const offset of days) {
+        more = add(at(first.getFullYear(), first.getMonth(), monday + offset));
+        if (!more) break;
+      }
+    } else {
+      const month = first.getMonth() + period * interval;
+      const day = byMonthDay ?? first.getDate();
+      const date = at(first.getFullYear(), month, day);
+      // Months without the day (e.g. the 31st) are skipped, as RFC 5545 does
+      if (date.getDate() === day) more = add(date);
+    }
+    if (!more) break;
+  }
+
+  return occurrences;
+}
+
+function parseUntil(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) {
+    throw new RRuleError('UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (!hours) {
+    // A date-only UNTIL includes that whole day
+    return new Date(Number(year), Number(month) - 1, Number(day), 23, 59, 59);
+  }
+  const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  return utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+}
@@ -0,0 +1,208 @@
+// X12 EDI utilities
+// Segment-level parsing and building of X12 5010 interchanges (ISA/GS/ST envelopes).
+// Transaction-specific meaning (270/271, 837P, 835) lives in the services that use these helpers.
+
+export const DEFAULT_DELIMITERS = {
+  element: '*',
+  component: ':',
+  repetition: '^',
+  segment: '~'
+};
+
+const ISA_LENGTH = 106;
+
+export class X12ParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'X12ParseError';
+  }
+}
+
+/**
+ * One X12 segment; elements are addressed by their 1-based position (NM1-03 is el(3))
+ */
+export class X12Segment {
+  constructor(id, elements, delimiters = DEFAULT_DELIMITERS) {
+    this.id = id;
+    this.elements = elements;
+    this.delimiters = delimiters;
+  }
+
+  /**
+   * Element value ('' when absent)
+   * @param {number} position - 1-based element position
+   */
+  el(position) {
+    return this.elements[position - 1] ?? '';
+  }
+
+  /**
+   * Component values of a composite element
+   * @param {number} position - 1-based element position
+   * @returns {string[]}
+   */
+  components(position) {
+    const value = this.el(position);
+    return value ? value.split(this.delimiters.component) : [];
+  }
+}
+
+/**
+ * Parse an X12 interchange
+ * Delimiters are read from the ISA segment, so any separator set the sender chose is accepted.
+ * @param {string} text - Raw interchange
+ * @returns {Object} { delimiters, segments: X12Segment[] }
+ */
+export function parseX12(text) {
+  const data = String(text || '').replace(/^\uFEFF/, '').trimStart();
+  if (!data.startsWith('ISA') || data.length < ISA_LENGTH) {
+    throw new X12ParseError('Interchange must start with a complete ISA segment');
+  }
+
+  const delimiters = {
+    element: data[3],
+    repetition: data[82],
+    component: data[104],
+    segment: data[105]
+  };
+  if (/[A-Za-z0-9\s]/.test(delimiters.element) || /[A-Za-z0-9]/.test(delimiters.segment)) {
+    throw new X12ParseError('Invalid ISA delimiters');
+  }
+
+  const segments = data
+    .split(delimiters.segment)
+    .map(segment => segment.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(Boolean)
+    .map(segment => {
+      const [id, ...elements] = segment.split(delimiters.element);
+      return new X12Segment(id.trim(), elements, delimiters);
+    });
+
+  if (segments[segments.length - 1]?.id !== 'IEA') {
+    throw new X12ParseError('Interchange is missing its IEA trailer');
+  }
+
+  return { delimiters, segments };
+}
+
+/**
+ * Split parsed segments into transaction sets (ST..SE) with their group's GS segment
+ * @param {X12Segment[]} segments - Parsed segments
+ * @returns {Array} [{ type, controlNumber, gs, segments }]
+ */
+export function transactionSets(segments) {
+  const sets = [];
+  let gs = null;
+  let current = null;
+
+  for (const segment of segments) {
+    if (segment.id === 'GS') gs = segment;
+    if (segment.id === 'ST') {
+      current = { type: segment.el(1), controlNumber: segment.el(2), gs, segments: [] };
+    }
+    if (current) current.segments.push(segment);
+    if (segment.id === 'SE' && current) {
+      sets.push(current);
+      current = null;
+    }
+  }
+
+  if (current) {
+    throw new X12ParseError(`Transaction set ${current.controlNumber} is missing its SE trailer`);
+  }
+  return sets;
+}
+
+/**
+ * Element value safe to place in an interchange (delimiters and line breaks removed)
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+export function x12Value(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[*:^~\r\n]/g, ' ').trim();
+}
+
+/**
+ * X12 date (CCYYMMDD)
+ * @param {Date|string} value - Date
+ * @returns {string}
+ */
+export function x12Date(value) {
+  if (!value) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10).replace(/-/g, '');
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * ISO date (YYYY-MM-DD) from an X12 CCYYMMDD date
+ * @param {string} value - X12 date
+ * @returns {string|null}
+ */
+export function fromX12Date(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Arrays are composite elements (SV1-01 HC:99213:25)
+function serializeElement(value, delimiters) {
+  if (!Array.isArray(value)) return x12Value(value);
+  const components = value.map(x12Value);
+  while (components.length > 1 && components[components.length - 1] === '') components.pop();
+  return components.join(delimiters.component);
+}
+
+function serializeSegment(elements, delimiters) {
+  const values = elements.map(value => serializeElement(value, delimiters));
+  while (values.length > 1 && values[values.length - 1] === '') values.pop();
+  return values.join(delimiters.element) + delimiters.segment;
+}
+
+/**
+ * Build a complete interchange
+ * Transaction sets are given without ST/SE; control numbers and segment counts are filled in.
+ * Array elements are written as composites.
+ * @param {Object} options - { senderId, receiverId, senderQualifier, receiverQualifier, controlNumber,
+ *   functionalCode, version, usage, date, transactions: [{ type, segments: [[id, ...elements]] }] }
+ * @returns {string} Interchange with one segment per line
+ */
+export function buildInterchange({
+  senderId,
+  receiverId,
+  senderQualifier = 'ZZ',
+  receiverQualifier = 'ZZ',
+  controlNumber,
+  functionalCode,
+  version,
+  usage = 'P',
+  date = new Date(),
+  transactions
+}) {
+  const delimiters = DEFAULT_DELIMITERS;
+  const control = String(controlNumber).padStart(9, '0');
+  const iso = date.toISOString();
+  const ccyymmdd = iso.slice(0, 10).replace(/-/g, '');
+  const hhmm = iso.slice(11, 16).replace(':', '');
+
+  // ISA elements are fixed width
+  const isa = [
+    'ISA', '00', ''.padEnd(10), '00', ''.padEnd(10),
+    senderQualifier, x12Value(senderId).padEnd(15).slice(0, 15),
+    receiverQualifier, x12Value(receiverId).padEnd(15).slice(0, 15),
+    ccyymmdd.slice(2), hhmm, delimiters.repetition, '00501', control, '0', usage, delimiters.component
+  ].join(delimiters.element) + delimiters.segment;
+
+  const lines = [isa, serializeSegment(['GS', functionalCode, senderId, receiverId, ccyymmdd, hhmm, Number(control), 'X', version], delimiters)];
+
+  transactions.forEach((transaction, index) => {
+    const stControl = String(index + 1).padStart(4, '0');
+    const body = [['ST', transaction.type, stControl, version], ...transaction.segments];
+    body.forEach(segment => lines.push(serializeSegment(segment, delimiters)));
+    lines.push(serializeSegment(['SE', body.length + 1, stControl], delimiters));
+  });
+
+  lines.push(serializeSegment(['GE', transactions.length, Number(control)], delimiters));
+  lines.push(serializeSegment(['IEA', 1, control], delimiters));
+  return lines.join('\n') + '\n';
+}
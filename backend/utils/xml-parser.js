@@ -0,0 +1,231 @@
+// backend/utils/xml-parser.js
+
+/**
+ * Minimal non-validating XML parser for inbound clinical documents (C-CDA)
+ * Builds an element tree keyed by local name (namespace prefixes are dropped).
+ * DOCTYPE declarations are rejected outright so external and recursive entities
+ * can never be expanded.
+ */
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+};
+
+export class XMLParseError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at offset ${position})`);
+    this.name = 'XMLParseError';
+    this.position = position;
+  }
+}
+
+export class XMLElement {
+  constructor(name, attributes = {}, parent = null) {
+    this.name = name;
+    this.attributes = attributes;
+    this.children = [];
+    this.parent = parent;
+  }
+
+  /**
+   * Attribute value by local name
+   * @param {string} name - Attribute name (prefix optional, e.g. 'type' matches 'xsi:type')
+   * @returns {string|null}
+   */
+  attr(name) {
+    if (name in this.attributes) return this.attributes[name];
+    const match = Object.keys(this.attributes).find(key => key.split(':').pop() === name);
+    return match ? this.attributes[match] : null;
+  }
+
+  /**
+   * Child elements, optionally filtered by local name
+   * @param {string} [name] - Element name
+   * @returns {XMLElement[]}
+   */
+  elements(name = null) {
+    return this.children.filter(child => child instanceof XMLElement && (!name || child.name === name));
+  }
+
+  /**
+   * First element matching a slash-separated path of child names
+   * @param {string} path - e.g. 'recordTarget/patientRole/patient'
+   * @returns {XMLElement|null}
+   */
+  find(path) {
+    return this.findAll(path)[0] || null;
+  }
+
+  /**
+   * All elements matching a slash-separated path of child names
+   * @param {string} path - e.g. 'component/structuredBody/component/section'
+   * @returns {XMLElement[]}
+   */
+  findAll(path) {
+    return path.split('/').reduce(
+      (nodes, name) => nodes.flatMap(node => node.elements(name)),
+      [this]
+    );
+  }
+
+  /**
+   * All descendant elements with the given local name, in document order
+   * @param {string} name - Element name
+   * @returns {XMLElement[]}
+   */
+  descendants(name) {
+    const found = [];
+    for (const child of this.elements()) {
+      if (child.name === name) found.push(child);
+      found.push(...child.descendants(name));
+    }
+    return found;
+  }
+
+  /**
+   * Concatenated text of this element and its descendants, whitespace collapsed
+   * @returns {string}
+   */
+  text() {
+    const parts = [];
+    const walk = node => {
+      for (const child of node.children) {
+        if (typeof child === 'string') parts.push(child);
+        else walk(child);
+      }
+    };
+    walk(this);
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Replace character and predefined entity references
+ * @param {string} value - Raw text or attribute value
+ * @param {number} position - Offset for error messages
+ * @returns {string}
+ */
+function decodeEntities(value, position) {
+  return value.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z][\w.-]*);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch {
+        throw new XMLParseError(`Invalid character reference ${match}`, position);
+      }
+    }
+    if (!(ref in PREDEFINED_ENTITIES)) {
+      throw new XMLParseError(`Undefined entity ${match}`, position);
+    }
+    return PREDEFINED_ENTITIES[ref];
+  });
+}
+
+function localName(qualifiedName) {
+  return qualifiedName.split(':').pop();
+}
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} xml - Document text
+ * @returns {XMLElement} Document (root) element
+ */
+export function parseXML(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new XMLParseError('Document is empty');
+  }
+
+  const source = xml.replace(/^﻿/, '');
+  const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+  let root = null;
+  let current = null;
+  let position = 0;
+
+  while (position < source.length) {
+    const next = source.indexOf('<', position);
+    const textEnd = next === -1 ? source.length : next;
+
+    if (textEnd > position) {
+      const text = source.slice(position, textEnd);
+      if (current) {
+        if (text.trim()) current.children.push(decodeEntities(text, position));
+      } else if (text.trim()) {
+        throw new XMLParseError('Text outside the document element', position);
+      }
+      position = textEnd;
+      continue;
+    }
+
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position + 4);
+      if (end === -1) throw new XMLParseError('Unterminated comment', position);
+      position = end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<![CDATA[', position)) {
+      const end = source.indexOf(']]>', position + 9);
+      if (end === -1) throw new XMLParseError('Unterminated CDATA section', position);
+      if (!current) throw new XMLParseError('CDATA outside the document element', position);
+      current.children.push(source.slice(position + 9, end));
+      position = end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<?', position)) {
+      const end = source.indexOf('?>', position + 2);
+      if (end === -1) throw new XMLParseError('Unterminated processing instruction', position);
+      position = end + 2;
+      continue;
+    }
+
+    if (source.startsWith('<!', position)) {
+      throw new XMLParseError('DOCTYPE and entity declarations are not allowed', position);
+    }
+
+    tagPattern.lastIndex = position;
+    const tag = tagPattern.exec(source);
+    if (!tag) throw new XMLParseError('Malformed tag', position);
+
+    const [whole, closing, qualifiedName, attributeText, selfClosing] = tag;
+    const name = localName(qualifiedName);
+
+    if (closing) {
+      if (!current || current.name !== name || attributeText || selfClosing) {
+        throw new XMLParseError(`Unexpected closing tag </${qualifiedName}>`, position);
+      }
+      current = current.parent;
+    } else {
+      if (!current && root) {
+        throw new XMLParseError('Document has more than one root element', position);
+      }
+
+      const attributes = {};
+      for (const [, attrName, doubleQuoted, singleQuoted] of attributeText.matchAll(attributePattern)) {
+        if (attrName in attributes) {
+          throw new XMLParseError(`Duplicate attribute ${attrName}`, position);
+        }
+        attributes[attrName] = decodeEntities(doubleQuoted ?? singleQuoted, position);
+      }
+
+      const element = new XMLElement(name, attributes, current);
+      if (current) current.children.push(element);
+      else root = element;
+      if (!selfClosing) current = element;
+    }
+
+    position += whole.length;
+  }
+
+  if (!root) throw new XMLParseError('Document has no root element');
+  if (current) throw new XMLParseError(`Unclosed element <${current.name}>`);
+
+  return root;
+}
@@ -6,6 +6,7 @@ import PatientProfile from './pages/PatientProfile';
 import EncounterLayout from './components/Encounter/EncounterLayout';
 import Schedule from './pages/Schedule';
 import Encounters from './pages/Encounters';
+import HL7Inbox from './pages/HL7Inbox';
 import { useState, useEffect } from 'react';
 import { Plus } from 'lucide-react';
 import { MetricsCards } from './components/Dashboard/MetricsCards';
@@ -157,6 +158,7 @@ function App() {
           <Route path="/encounter/:patientId" element={<EncounterLayout />} />
           <Route path="/schedule" element={<MainLayout><Schedule /></MainLayout>} />
           <Route path="/encounters" element={<MainLayout><Encounters /></MainLayout>} />
+          <Route path="/interfaces/hl7" element={<MainLayout><HL7Inbox /></MainLayout>} />
           <Route path="/reports" element={<MainLayout><div className="p-6">Reports</div></MainLayout>} />
           <Route path="/settings" element={<MainLayout><div className="p-6">Settings</div></MainLayout>} />
         </Routes>
@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { X, DollarSign } from 'lucide-react';
+import toast from 'react-hot-toast';
+import billingService, { DUNNING_LABELS } from '../../services/billing.service';
+import type { PatientBalance, PaymentMethod } from '../../services/billing.service';
+import type { DunningStatus } from '../../types/queue';
+
+interface CollectPaymentModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  patientName: string;
+  patientId: number;
+  appointmentId: number;
+  balanceDue: number;
+  dunningStatus: DunningStatus;
+  onPaid: (balance: PatientBalance) => void;
+}
+
+const paymentMethods: { value: PaymentMethod; label: string }[] = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'check', label: 'Check' },
+  { value: 'credit_card', label: 'Credit card' },
+  { value: 'debit_card', label: 'Debit card' }
+];
+
+const getErrorMessage = (error: unknown, fallback: string): string =>
+  (axios.isAxiosError(error) && error.response?.data?.error) || fallback;
+
+export const CollectPaymentModal = ({
+  isOpen,
+  onClose,
+  patientName,
+  patientId,
+  appointmentId,
+  balanceDue,
+  dunningStatus,
+  onPaid
+}: CollectPaymentModalProps) => {
+  const [amount, setAmount] = useState(balanceDue.toFixed(2));
+  const [method, setMethod] = useState<PaymentMethod>('credit_card');
+  const [reference, setReference] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  if (!isOpen) return null;
+
+  const handleSave = async () => {
+    const value = Number(amount);
+    if (!(value > 0)) {
+      toast.error('Enter a payment amount');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const balance = await billingService.recordPayment(patientId, {
+        amount: value,
+        method,
+        appointmentId,
+        ...(reference.trim() && { reference: reference.trim() })
+      });
+      toast.success(`Payment of $${value.toFixed(2)} recorded`);
+      onPaid(balance);
+      onClose();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to record payment'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full">
+        {/* Header */}
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Collect Payment</h3>
+            <p className="text-sm text-gray-600 mt-1">Patient: {patientName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="px-6 py-4 space-y-4">
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 flex items-center justify-between">
+            <span className="text-sm text-amber-900">{DUNNING_LABELS[dunningStatus]}</span>
+            <span className="text-lg font-semibold text-amber-900">${balanceDue.toFixed(2)}</span>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Amount *</label>
+            <div className="relative">
+              <DollarSign size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="number"
+                min="0.01"
+                step="0.01"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Method *</label>
+            <select
+              value={method}
+              onChange={(e) => setMethod(e.target.value as PaymentMethod)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary focus:border-transparent"
+            >
+              {paymentMethods.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {method !== 'cash' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {method === 'check' ? 'Check number' : 'Authorization code'}
+              </label>
+              <input
+                type="text"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-4 border-t border-gray-200 flex items-center justify-between">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            disabled={saving}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Record Payment'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
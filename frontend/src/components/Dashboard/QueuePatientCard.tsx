@@ -1,9 +1,12 @@
 import { useState } from 'react';
-import { Clock, User, AlertCircle, Calendar, UserCheck, Stethoscope } from 'lucide-react';
+import { Clock, User, AlertCircle, Calendar, UserCheck, Stethoscope, DollarSign } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import type { QueuePatient } from '../../types/queue';
 import { format, differenceInMinutes } from 'date-fns';
 import { QuickVitalsModal } from './QuickVitalsModal';
+import { CollectPaymentModal } from './CollectPaymentModal';
+import { DUNNING_LABELS } from '../../services/billing.service';
+import type { PatientBalance } from '../../services/billing.service';
 
 interface QueuePatientCardProps {
   patient: QueuePatient;
@@ -15,6 +18,13 @@ export const QueuePatientCard = ({ patient, onStatusChange, onSelect }: QueuePat
   const navigate = useNavigate();
   const waitTime = differenceInMinutes(new Date(), new Date(patient.arrival_time));
   const [showVitalsModal, setShowVitalsModal] = useState(false);
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+  // Balance after a payment taken from this card, until the queue brings a newer balance
+  const [payment, setPayment] = useState<{ balance: PatientBalance; queuedBalance: QueuePatient['balance_due'] } | null>(null);
+  const paidBalance = payment && payment.queuedBalance === patient.balance_due ? payment.balance : null;
+
+  const balanceDue = paidBalance ? paidBalance.balance : Number(patient.balance_due ?? 0);
+  const dunningStatus = paidBalance ? paidBalance.dunningStatus : patient.dunning_status ?? 'current';
 
   const priorityColors = {
     'emergent': 'bg-red-100 border-red-500 text-red-900',
@@ -23,6 +33,15 @@ export const QueuePatientCard = ({ patient, onStatusChange, onSelect }: QueuePat
     'non-urgent': 'bg-green-100 border-green-500 text-green-900',
   };
 
+  const dunningColors = {
+    'current': 'bg-amber-50 border-amber-300 text-amber-800',
+    'payment_plan': 'bg-blue-50 border-blue-300 text-blue-800',
+    'past_due': 'bg-orange-50 border-orange-400 text-orange-800',
+    'final_notice': 'bg-red-50 border-red-400 text-red-800',
+    'collections': 'bg-red-100 border-red-500 text-red-900',
+    'hold': 'bg-gray-50 border-gray-300 text-gray-700',
+  };
+
   const statusColors = {
     'waiting': 'bg-gray-100',
     'triaged': 'bg-blue-100',
@@ -96,6 +115,28 @@ export const QueuePatientCard = ({ patient, onStatusChange, onSelect }: QueuePat
         </div>
       )}
 
+      {/* Outstanding balance flag for the front desk */}
+      {balanceDue > 0 && (
+        <div className={`mt-2 px-2 py-1 rounded border flex items-center justify-between text-xs ${dunningColors[dunningStatus]}`}>
+          <div className="flex items-center gap-1">
+            <DollarSign size={12} />
+            <span className="font-medium">${balanceDue.toFixed(2)}</span>
+            <span>{DUNNING_LABELS[dunningStatus]}</span>
+          </div>
+          {dunningStatus !== 'hold' && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowPaymentModal(true);
+              }}
+              className="px-2 py-0.5 bg-white border border-current rounded hover:bg-gray-50"
+            >
+              Collect
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div className="mt-3 flex gap-2 flex-wrap">
         {/* Status progression buttons */}
@@ -172,6 +213,20 @@ export const QueuePatientCard = ({ patient, onStatusChange, onSelect }: QueuePat
         onSave={handleVitalsSave}
         onSkip={handleRoomWithoutVitals}
       />
+
+      {/* Over-the-counter payment at check-in */}
+      {showPaymentModal && (
+        <CollectPaymentModal
+          isOpen={showPaymentModal}
+          onClose={() => setShowPaymentModal(false)}
+          patientName={patient.patient_name}
+          patientId={patient.patient_id}
+          appointmentId={patient.appointment_id ?? patient.id}
+          balanceDue={balanceDue}
+          dunningStatus={dunningStatus}
+          onPaid={(balance) => setPayment({ balance, queuedBalance: patient.balance_due })}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -1,9 +1,10 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
-import { Save, X, CheckCircle, ArrowLeft, User } from 'lucide-react';
+import { Save, X, CheckCircle, ArrowLeft, User, LayoutGrid } from 'lucide-react';
 import { PatientContextPanel } from './PatientContextPanel';
 import { OrdersDiagnosesPanel } from './OrdersDiagnosesPanel';
 import { StageNavigation } from './StageNavigation';
+import { SmartAppsPanel } from './SmartAppsPanel';
 import { ReviewStage } from './stages/ReviewStage';
 import { HPIStage } from './stages/HPIStage';
 import { ROSStage } from './stages/ROSStage';
@@ -22,6 +23,7 @@ const EncounterLayout = () => {
   const [patientContext, setPatientContext] = useState<any>(null);
   const [navigationContext, setNavigationContext] = useState<any>(null);
   const [loading, setLoading] = useState(true);
+  const [showApps, setShowApps] = useState(false);
 
   const {
     currentStage,
@@ -178,6 +180,16 @@ const EncounterLayout = () => {
               Profile
             </button>
 
+            {/* SMART apps launched with this patient and encounter */}
+            <button
+              onClick={() => setShowApps(true)}
+              className="flex items-center gap-2 px-3 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50"
+              title="Launch Clinical Apps"
+            >
+              <LayoutGrid size={16} />
+              Apps
+            </button>
+
             <button
               onClick={() => saveEncounter()}
               disabled={isSaving}
@@ -188,7 +200,10 @@ const EncounterLayout = () => {
             </button>
 
             <button
-              onClick={() => completeEncounter()}
+              onClick={() => completeEncounter().catch((error) => {
+                console.error('Failed to complete encounter:', error);
+                toast.error('Failed to complete encounter');
+              })}
               className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
             >
               <CheckCircle size={16} />
@@ -226,6 +241,13 @@ const EncounterLayout = () => {
           <OrdersDiagnosesPanel />
         </div>
       </div>
+
+      <SmartAppsPanel
+        isOpen={showApps}
+        onClose={() => setShowApps(false)}
+        patientId={parseInt(patientId!)}
+        encounterId={navigationContext?.encounterId ? Number(navigationContext.encounterId) : null}
+      />
     </div>
   );
 };
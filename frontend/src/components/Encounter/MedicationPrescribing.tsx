@@ -1,15 +1,27 @@
-import { useState, useEffect } from 'react';
-import { Search, AlertTriangle, Plus, X, Pill } from 'lucide-react';
+import { useState, useEffect, useCallback } from 'react';
+import { Search, AlertTriangle, Plus, X, Pill, DollarSign } from 'lucide-react';
 import drugInteractionService from '../../services/drugInteraction.service';
-import { usePatientProfileStore } from '../../stores/usePatientProfileStore';
+import cdsHooksService from '../../services/cdsHooks.service';
+import type { CDSCard } from '../../services/cdsHooks.service';
+import formularyService from '../../services/formulary.service';
+import type { FormularyStatus } from '../../services/formulary.service';
+import { useEncounterStore } from '../../stores/useEncounterStore';
+import { NavigationService } from '../../services/navigationService';
 import toast from 'react-hot-toast';
 
+const CARD_STYLES: Record<CDSCard['indicator'], { container: string; label: string }> = {
+  critical: { container: 'bg-red-50 border-red-200', label: 'text-red-700' },
+  warning: { container: 'bg-yellow-50 border-yellow-200', label: 'text-yellow-700' },
+  info: { container: 'bg-blue-50 border-blue-200', label: 'text-blue-700' }
+};
+
 export const MedicationPrescribing = ({ onPrescribe }: { onPrescribe: (med: any) => void }) => {
-  const { medications: patientMedications } = usePatientProfileStore();
+  const { currentEncounter } = useEncounterStore();
   const [searchTerm, setSearchTerm] = useState('');
   const [searchResults, setSearchResults] = useState<any[]>([]);
   const [selectedMed, setSelectedMed] = useState<any>(null);
-  const [interactions, setInteractions] = useState<any[]>([]);
+  const [cards, setCards] = useState<CDSCard[]>([]);
+  const [formulary, setFormulary] = useState<FormularyStatus | null>(null);
   const [prescription, setPrescription] = useState({
     dosage: '',
     frequency: '',
@@ -25,32 +37,49 @@ export const MedicationPrescribing = ({ onPrescribe }: { onPrescribe: (med: any)
     }
   }, [searchTerm]);
 
+  const patientId = currentEncounter?.patient_id;
+
+  // Tier, restrictions and covered alternatives on the patient's primary plan
+  const checkFormulary = useCallback(async () => {
+    if (!selectedMed || !patientId) return;
+
+    try {
+      setFormulary(await formularyService.checkMedication(patientId, selectedMed.id));
+    } catch (error) {
+      console.error('Error checking formulary:', error);
+      setFormulary(null);
+    }
+  }, [selectedMed, patientId]);
+
   useEffect(() => {
     if (selectedMed) {
       checkInteractions();
+      checkFormulary();
     }
-  }, [selectedMed]);
+  }, [selectedMed, checkFormulary]);
 
   const searchMedications = async () => {
     const results = await drugInteractionService.searchMedications(searchTerm);
     setSearchResults(results);
   };
 
+  // Drug safety cards from the CDS Hooks order-select service (interactions, allergies, high-risk meds)
   const checkInteractions = async () => {
-    if (!selectedMed) return;
-
-    const medsToCheck = [
-      ...patientMedications.filter(m => m.is_active),
-      { name: selectedMed.name, rxnorm_code: selectedMed.rxnorm_code }
-    ];
+    if (!selectedMed || !currentEncounter) return;
 
-    const interactions = await drugInteractionService.checkInteractions(medsToCheck as any);
-    setInteractions(interactions);
+    const draftId = `draft-${selectedMed.id}`;
+    const results = await cdsHooksService.orderSelect(
+      currentEncounter.patient_id,
+      [{ id: draftId, name: selectedMed.generic_name || selectedMed.name, rxcui: selectedMed.rxcui || selectedMed.rxnorm_code }],
+      [draftId],
+      Number(NavigationService.getNavigationContext().encounterId) || null
+    );
+    setCards(results);
 
-    if (interactions.some(i => i.severity === 'severe')) {
-      toast.error('Severe drug interaction detected!');
-    } else if (interactions.some(i => i.severity === 'moderate')) {
-      toast.warning('Moderate drug interaction detected');
+    if (results.some(card => card.indicator === 'critical')) {
+      toast.error('Critical medication safety alert!');
+    } else if (results.some(card => card.indicator === 'warning')) {
+      toast('Medication safety warning', { icon: '⚠️' });
     }
   };
 
@@ -77,7 +106,8 @@ export const MedicationPrescribing = ({ onPrescribe }: { onPrescribe: (med: any)
     setSelectedMed(null);
     setSearchTerm('');
     setSearchResults([]);
-    setInteractions([]);
+    setCards([]);
+    setFormulary(null);
     setPrescription({
       dosage: '',
       frequency: '',
@@ -137,26 +167,64 @@ export const MedicationPrescribing = ({ onPrescribe }: { onPrescribe: (med: any)
             </button>
           </div>
 
-          {/* Drug Interactions Warning */}
-          {interactions.length > 0 && (
-            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          {/* Drug Safety Cards */}
+          {cards.length > 0 && (
+            <div className="mb-4 space-y-2">
+              {cards.map(card => (
+                <div key={card.uuid} className={`p-3 border rounded-lg ${CARD_STYLES[card.indicator].container}`}>
+                  <div className="flex items-start gap-2">
+                    <AlertTriangle className={`mt-0.5 ${CARD_STYLES[card.indicator].label}`} size={16} />
+                    <div className="flex-1">
+                      <p className={`font-medium text-sm ${CARD_STYLES[card.indicator].label}`}>{card.summary}</p>
+                      {card.detail && (
+                        <p className="text-xs text-gray-700 mt-1 whitespace-pre-line">{card.detail.replace(/\*\*/g, '')}</p>
+                      )}
+                      {card.suggestions && card.suggestions.length > 1 && (
+                        <p className="text-xs text-gray-600 mt-1">
+                          Suggested: {card.suggestions.slice(1).map(suggestion => suggestion.label).join(', ')}
+                        </p>
+                      )}
+                      <p className="text-[10px] text-gray-500 mt-1">{card.source.label}</p>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Formulary Status */}
+          {formulary && formulary.flags.length > 0 && (
+            <div className="mb-4 p-3 border rounded-lg bg-amber-50 border-amber-200">
               <div className="flex items-start gap-2">
-                <AlertTriangle className="text-yellow-600 mt-0.5" size={16} />
+                <DollarSign className="mt-0.5 text-amber-700" size={16} />
                 <div className="flex-1">
-                  <p className="font-medium text-yellow-900 text-sm">Drug Interactions Detected</p>
-                  {interactions.map((interaction, idx) => (
-                    <div key={idx} className="mt-1">
-                      <p className="text-xs text-yellow-800">
-                        <span className={`font-medium ${
-                          interaction.severity === 'severe' ? 'text-red-700' :
-                          interaction.severity === 'moderate' ? 'text-yellow-700' :
-                          'text-gray-700'
-                        }`}>
-                          {interaction.severity.toUpperCase()}:
-                        </span> {interaction.description}
-                      </p>
-                    </div>
+                  <p className="font-medium text-sm text-amber-800">
+                    {formulary.planName ? `${formulary.planName} formulary` : 'Formulary'}
+                    {formulary.tierLabel && ` · Tier ${formulary.tier} (${formulary.tierLabel})`}
+                  </p>
+                  {formulary.flags.map(flag => (
+                    <p key={flag} className="text-xs text-gray-700 mt-1">{flag}</p>
                   ))}
+                  {formulary.alternatives.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      <p className="text-xs font-medium text-gray-700">Covered alternatives</p>
+                      {formulary.alternatives.map(alternative => (
+                        <button
+                          key={alternative.medicationId}
+                          onClick={() => setSelectedMed({
+                            id: alternative.medicationId,
+                            name: alternative.brandName || alternative.genericName,
+                            generic_name: alternative.genericName
+                          })}
+                          className="w-full text-left text-xs px-2 py-1 bg-white border rounded hover:bg-gray-50"
+                        >
+                          {alternative.genericName} {alternative.strength} · Tier {alternative.tier}
+                          {alternative.copay !== null && ` · $${alternative.copay.toFixed(2)}`}
+                          {alternative.priorAuthRequired && ' · PA'}
+                        </button>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,104 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { X, LayoutGrid } from 'lucide-react';
+import toast from 'react-hot-toast';
+import smartService from '../../services/smart.service';
+import type { SmartApp } from '../../services/smart.service';
+
+interface SmartAppsPanelProps {
+  isOpen: boolean;
+  onClose: () => void;
+  patientId: number;
+  encounterId?: number | null;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.error) || fallback;
+
+export const SmartAppsPanel = ({ isOpen, onClose, patientId, encounterId }: SmartAppsPanelProps) => {
+  const [apps, setApps] = useState<SmartApp[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [activeApp, setActiveApp] = useState<{ app: SmartApp; url: string } | null>(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    smartService.getApps()
+      .then(setApps)
+      .catch(error => toast.error(getErrorMessage(error, 'Failed to load apps')))
+      .finally(() => setLoading(false));
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setActiveApp(null);
+    onClose();
+  };
+
+  const launch = async (app: SmartApp) => {
+    try {
+      const { launchUrl } = await smartService.launchApp(app.clientId, patientId, encounterId);
+      setActiveApp({ app, url: launchUrl });
+    } catch (error) {
+      toast.error(getErrorMessage(error, `Failed to launch ${app.name}`));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-6xl h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <div className="flex items-center gap-2">
+            <LayoutGrid size={18} className="text-gray-500" />
+            <h2 className="text-lg font-semibold text-gray-900">{activeApp ? activeApp.app.name : 'Clinical Apps'}</h2>
+          </div>
+          <div className="flex items-center gap-3">
+            {activeApp && (
+              <button
+                onClick={() => setActiveApp(null)}
+                className="px-3 py-1.5 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                All Apps
+              </button>
+            )}
+            <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        {activeApp ? (
+          <iframe
+            key={activeApp.url}
+            src={activeApp.url}
+            title={activeApp.app.name}
+            className="flex-1 w-full border-0 rounded-b-lg"
+            sandbox="allow-scripts allow-same-origin allow-forms allow-popups"
+          />
+        ) : (
+          <div className="flex-1 overflow-y-auto px-6 py-4">
+            {loading ? (
+              <p className="text-sm text-gray-500">Loading apps...</p>
+            ) : apps.length === 0 ? (
+              <p className="text-sm text-gray-500">No SMART apps are registered. An administrator can register apps under /api/smart/clients.</p>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                {apps.map(app => (
+                  <button
+                    key={app.clientId}
+                    onClick={() => launch(app)}
+                    className="text-left border rounded-lg p-4 hover:border-primary hover:bg-gray-50"
+                  >
+                    <div className="font-medium text-gray-900">{app.name}</div>
+                    <div className="text-xs text-gray-500 mt-1 break-words">{app.scopes}</div>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
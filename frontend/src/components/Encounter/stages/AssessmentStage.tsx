@@ -2,8 +2,11 @@ import { useState } from 'react';
 import { Search, Plus, FileText, Calendar, Briefcase, Send } from 'lucide-react';
 import { useEncounterStore } from '../../../stores/useEncounterStore';
 import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import { DischargeInstructions } from '../DischargeInstructions';
 
+const EM_LEVELS = [1, 2, 3, 4, 5];
+
 export const AssessmentStage = () => {
   const navigate = useNavigate();
   const { currentEncounter, updateAssessment, completeEncounter, setStage } = useEncounterStore();
@@ -33,8 +36,13 @@ export const AssessmentStage = () => {
   };
 
   const handleComplete = async () => {
-    await completeEncounter();
-    navigate(`/patients/${currentEncounter?.patient_id}`);
+    try {
+      await completeEncounter();
+      navigate(`/patients/${currentEncounter?.patient_id}`);
+    } catch (error) {
+      console.error('Failed to complete encounter:', error);
+      toast.error('Failed to complete encounter');
+    }
   };
 
   return (
@@ -62,6 +70,28 @@ export const AssessmentStage = () => {
         </div>
       </div>
 
+      {/* Visit Level */}
+      <div className="mb-6">
+        <h3 className="font-semibold text-gray-900 mb-3">Visit Level (E/M)</h3>
+        <select
+          value={currentEncounter?.assessment.em_code || ''}
+          onChange={(e) => updateAssessment({ em_code: e.target.value || undefined })}
+          className="w-full max-w-md px-3 py-2 border border-gray-300 rounded-lg"
+        >
+          <option value="">Not coded (billing defaults to level 3)</option>
+          <optgroup label="Established patient">
+            {EM_LEVELS.map(level => (
+              <option key={`992${10 + level}`} value={`992${10 + level}`}>{`992${10 + level}`} - Level {level}</option>
+            ))}
+          </optgroup>
+          <optgroup label="New patient">
+            {EM_LEVELS.filter(level => level > 1).map(level => (
+              <option key={`9920${level}`} value={`9920${level}`}>{`9920${level}`} - Level {level}</option>
+            ))}
+          </optgroup>
+        </select>
+      </div>
+
       {/* Treatment Plan */}
       <div className="mb-6">
         <h3 className="font-semibold text-gray-900 mb-3">Treatment Plan</h3>
@@ -12,7 +12,8 @@ import {
   ChevronRight,
   Clock,
   AlertCircle,
-  Database
+  Database,
+  Inbox
 } from 'lucide-react';
 import { useAppStore } from '../../stores/useAppStore';
 import { format } from 'date-fns';
@@ -44,6 +45,7 @@ const MainLayout = ({ children }: MainLayoutProps) => {
     { name: 'Patients', href: '/patients', icon: Users },
     { name: 'Schedule', href: '/schedule', icon: Calendar },
     { name: 'Encounters', href: '/encounters', icon: ClipboardList },
+    { name: 'HL7 Inbox', href: '/interfaces/hl7', icon: Inbox },
     { name: 'Reports', href: '/reports', icon: Activity },
     { name: 'Settings', href: '/settings', icon: Settings },
   ];
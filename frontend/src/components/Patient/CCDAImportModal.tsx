@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { X, Upload, AlertTriangle, Check, Ban, GitMerge } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ccdaService from '../../services/ccda.service';
+import type { CCDAImport, CCDAImportItem, CCDAItemCategory, CCDAItemDecision, CCDAItemValues } from '../../services/ccda.service';
+
+interface CCDAImportModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  patientId: number;
+  onCommitted: () => void;
+}
+
+const CATEGORY_LABELS: Record<CCDAItemCategory, string> = {
+  problem: 'Problems',
+  medication: 'Medications',
+  allergy: 'Allergies'
+};
+
+// Columns shown per category, in display order
+const COLUMNS: Record<CCDAItemCategory, string[]> = {
+  problem: ['description', 'code', 'status', 'onset_date', 'resolved_date'],
+  medication: ['name', 'dose', 'route', 'frequency', 'started_at', 'ended_at', 'active'],
+  allergy: ['substance', 'type', 'reaction', 'severity', 'active']
+};
+
+const MATCH_STYLES: Record<CCDAImportItem['match_type'], string> = {
+  new: 'bg-blue-100 text-blue-700',
+  changed: 'bg-yellow-100 text-yellow-700',
+  duplicate: 'bg-gray-100 text-gray-600'
+};
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.error) || fallback;
+
+const formatValue = (value: CCDAItemValues[string] | undefined) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Active' : 'Inactive';
+  return String(value);
+};
+
+const columnLabel = (column: string) => column.replace(/_/g, ' ');
+
+export const CCDAImportModal = ({ isOpen, onClose, patientId, onCommitted }: CCDAImportModalProps) => {
+  const [reconciliation, setReconciliation] = useState<CCDAImport | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [mergeChoices, setMergeChoices] = useState<Record<number, Record<string, 'current' | 'incoming'>>>({});
+
+  if (!isOpen) return null;
+
+  const handleClose = () => {
+    setReconciliation(null);
+    setMergeChoices({});
+    onClose();
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setUploading(true);
+    try {
+      const xml = await file.text();
+      setReconciliation(await ccdaService.createImport(patientId, xml));
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to read C-CDA document'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const decide = async (item: CCDAImportItem, decision: CCDAItemDecision) => {
+    if (!reconciliation) return;
+
+    let values: CCDAItemValues | undefined;
+    if (decision === 'merge' && mergeChoices[item.id]) {
+      values = Object.fromEntries(Object.entries(mergeChoices[item.id]).map(([column, source]) => [
+        column,
+        (source === 'incoming' ? item.incoming[column] : item.current_values?.[column]) ?? null
+      ]));
+    }
+
+    try {
+      const updated = await ccdaService.decideItem(reconciliation.id, item.id, decision, values);
+      setReconciliation({
+        ...reconciliation,
+        items: reconciliation.items.map(existing => existing.id === updated.id ? updated : existing)
+      });
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to update item'));
+    }
+  };
+
+  const chooseMergeSource = (itemId: number, column: string, source: 'current' | 'incoming') => {
+    setMergeChoices(prev => ({ ...prev, [itemId]: { ...prev[itemId], [column]: source } }));
+  };
+
+  const handleCommit = async () => {
+    if (!reconciliation) return;
+    setCommitting(true);
+    try {
+      await ccdaService.commitImport(reconciliation.id);
+      toast.success('Outside record reconciled into the chart');
+      onCommitted();
+      handleClose();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to commit reconciliation'));
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!reconciliation) return;
+    try {
+      await ccdaService.discardImport(reconciliation.id);
+      toast.success('Import discarded');
+      handleClose();
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to discard import'));
+    }
+  };
+
+  const undecided = reconciliation ? reconciliation.items.filter(item => !item.decision).length : 0;
+
+  const renderItem = (item: CCDAImportItem) => {
+    const columns = COLUMNS[item.category];
+    const matched = item.match_type !== 'new';
+
+    return (
+      <div key={item.id} className="border rounded-lg p-3">
+        <div className="flex items-center justify-between mb-2">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-gray-900">{formatValue(item.incoming[columns[0]])}</span>
+            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${MATCH_STYLES[item.match_type]}`}>
+              {item.match_type}
+            </span>
+            {item.decision && (
+              <span className="text-xs text-gray-500">Decision: <span className="font-medium">{item.decision}</span></span>
+            )}
+          </div>
+          <div className="flex gap-1">
+            <button
+              onClick={() => decide(item, 'accept')}
+              className={`flex items-center gap-1 px-2 py-1 text-xs rounded border ${item.decision === 'accept' ? 'bg-green-600 text-white border-green-600' : 'border-gray-300 hover:bg-gray-50'}`}
+              title={matched ? 'Replace the chart values with the document' : 'Add to the chart'}
+            >
+              <Check size={12} /> Accept
+            </button>
+            <button
+              onClick={() => decide(item, 'reject')}
+              className={`flex items-center gap-1 px-2 py-1 text-xs rounded border ${item.decision === 'reject' ? 'bg-gray-700 text-white border-gray-700' : 'border-gray-300 hover:bg-gray-50'}`}
+              title="Keep the chart as it is"
+            >
+              <Ban size={12} /> Reject
+            </button>
+            {matched && (
+              <button
+                onClick={() => decide(item, 'merge')}
+                className={`flex items-center gap-1 px-2 py-1 text-xs rounded border ${item.decision === 'merge' ? 'bg-primary text-white border-primary' : 'border-gray-300 hover:bg-gray-50'}`}
+                title="Combine chart and document values"
+              >
+                <GitMerge size={12} /> Merge
+              </button>
+            )}
+          </div>
+        </div>
+
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2 font-medium w-32">Field</th>
+              <th className="py-1 pr-2 font-medium">Document</th>
+              {matched && <th className="py-1 pr-2 font-medium">Chart</th>}
+              {matched && <th className="py-1 font-medium w-28">Merge uses</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map(column => {
+              const differs = item.differences.includes(column);
+              const choice = mergeChoices[item.id]?.[column];
+              return (
+                <tr key={column} className={differs ? 'bg-yellow-50' : ''}>
+                  <td className="py-1 pr-2 capitalize text-gray-600">{columnLabel(column)}</td>
+                  <td className="py-1 pr-2 text-gray-900">{formatValue(item.incoming[column])}</td>
+                  {matched && <td className="py-1 pr-2 text-gray-900">{formatValue(item.current_values?.[column])}</td>}
+                  {matched && (
+                    <td className="py-1">
+                      {differs && (
+                        <select
+                          value={choice || ''}
+                          onChange={(e) => chooseMergeSource(item.id, column, e.target.value as 'current' | 'incoming')}
+                          className="border border-gray-300 rounded px-1 py-0.5"
+                        >
+                          <option value="">Default</option>
+                          <option value="current">Chart</option>
+                          <option value="incoming">Document</option>
+                        </select>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between px-6 py-4 border-b">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Import Outside Record (C-CDA)</h2>
+            {reconciliation && (
+              <p className="text-sm text-gray-500">
+                {reconciliation.title || (reconciliation.document_type === 'referral_note' ? 'Referral Note' : 'CCD')}
+                {reconciliation.source_organization && ` from ${reconciliation.source_organization}`}
+              </p>
+            )}
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {!reconciliation ? (
+            <label className="flex flex-col items-center justify-center gap-2 border-2 border-dashed border-gray-300 rounded-lg py-12 cursor-pointer hover:bg-gray-50">
+              <Upload size={24} className="text-gray-400" />
+              <span className="text-sm text-gray-600">
+                {uploading ? 'Reading document...' : 'Choose a CCD or Referral Note (.xml)'}
+              </span>
+              <input
+                type="file"
+                accept=".xml,application/xml,text/xml"
+                className="hidden"
+                disabled={uploading}
+                onChange={(e) => handleFile(e.target.files?.[0])}
+              />
+            </label>
+          ) : (
+            <>
+              {reconciliation.warnings.length > 0 && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                  <div className="flex items-center gap-2 font-medium mb-1">
+                    <AlertTriangle size={16} />
+                    Review before committing
+                  </div>
+                  <ul className="list-disc list-inside space-y-0.5">
+                    {reconciliation.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+
+              {reconciliation.items.length === 0 && (
+                <p className="text-sm text-gray-500">The document has no problems, medications or allergies to reconcile.</p>
+              )}
+
+              {(Object.keys(CATEGORY_LABELS) as CCDAItemCategory[]).map(category => {
+                const items = reconciliation.items.filter(item => item.category === category);
+                if (items.length === 0) return null;
+                return (
+                  <div key={category}>
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                      {CATEGORY_LABELS[category]} ({items.length})
+                    </h3>
+                    <div className="space-y-2">{items.map(renderItem)}</div>
+                  </div>
+                );
+              })}
+            </>
+          )}
+        </div>
+
+        {reconciliation && (
+          <div className="flex items-center justify-between px-6 py-4 border-t">
+            <span className="text-sm text-gray-500">
+              {undecided > 0 ? `${undecided} item(s) need a decision` : 'All items decided'}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={handleDiscard}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Discard
+              </button>
+              <button
+                onClick={handleCommit}
+                disabled={undecided > 0 || committing}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 disabled:opacity-50"
+              >
+                {committing ? 'Committing...' : 'Commit to Chart'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
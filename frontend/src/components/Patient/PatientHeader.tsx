@@ -1,12 +1,17 @@
-import { User, Phone, Mail, MapPin, Shield, Calendar, AlertCircle, MessageSquare } from 'lucide-react';
+import { useState } from 'react';
+import { User, Phone, Mail, MapPin, Shield, Calendar, AlertCircle, MessageSquare, FileDown, FileUp } from 'lucide-react';
 import { usePatientProfileStore } from '../../stores/usePatientProfileStore';
 import { format, differenceInYears } from 'date-fns';
 import { useNavigate } from 'react-router-dom';
 import { NavigationService } from '../../services/navigationService';
+import ccdaService from '../../services/ccda.service';
+import toast from 'react-hot-toast';
+import { CCDAImportModal } from './CCDAImportModal';
 
 export const PatientHeader = () => {
-  const { currentPatient, allergies } = usePatientProfileStore();
+  const { currentPatient, allergies, loadPatientProfile } = usePatientProfileStore();
   const navigate = useNavigate();
+  const [showImport, setShowImport] = useState(false);
 
   if (!currentPatient) return null;
 
@@ -95,6 +100,22 @@ export const PatientHeader = () => {
               <Calendar size={16} />
               Schedule Appointment
             </button>
+            <button
+              onClick={() => ccdaService.downloadCCD(currentPatient.id).catch(() => toast.error('Failed to export CCD'))}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              title="Download Continuity of Care Document (C-CDA)"
+            >
+              <FileDown size={16} />
+              Export CCD
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              title="Reconcile problems, medications and allergies from an outside C-CDA"
+            >
+              <FileUp size={16} />
+              Import CCD
+            </button>
             <button
               onClick={() => navigate('/')}
               className="flex items-center gap-2 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
@@ -106,6 +127,13 @@ export const PatientHeader = () => {
           </div>
         </div>
       </div>
+
+      <CCDAImportModal
+        isOpen={showImport}
+        onClose={() => setShowImport(false)}
+        patientId={currentPatient.id}
+        onCommitted={() => loadPatientProfile(currentPatient.id)}
+      />
     </div>
   );
 };
\ No newline at end of file
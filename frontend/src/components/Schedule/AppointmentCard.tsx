@@ -1,4 +1,4 @@
-import { User, Edit2, Calendar } from 'lucide-react';
+import { User, Edit2, Calendar, CheckCircle } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 
 interface AppointmentCardProps {
@@ -13,6 +13,7 @@ interface AppointmentCardProps {
     end: string;
     notes?: string;
     provider_name?: string;
+    confirmed_at?: string | null;
   };
   getStatusColor: (status: string) => string;
   onClick: (e: React.MouseEvent) => void;
@@ -41,8 +42,13 @@ export const AppointmentCard = ({ appointment, getStatusColor, onClick }: Appoin
     >
       <div className="flex justify-between items-start">
         <div className="flex-1 cursor-pointer" onClick={onClick}>
-          <div className="font-semibold truncate">
-            {appointment.patient_name}
+          <div className="font-semibold flex items-center">
+            <span className="truncate">{appointment.patient_name}</span>
+            {appointment.confirmed_at && (
+              <span title="Confirmed by patient">
+                <CheckCircle className="w-3 h-3 ml-1 flex-shrink-0 text-green-600" />
+              </span>
+            )}
           </div>
           <div className="text-xs opacity-75 truncate">
             {appointment.visit_type}
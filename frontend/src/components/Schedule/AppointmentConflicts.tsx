@@ -0,0 +1,51 @@
+import { AlertCircle, DoorOpen, User, Stethoscope } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import type { AppointmentConflict } from '../../services/appointment.service';
+
+interface AppointmentConflictsProps {
+  conflicts: AppointmentConflict[];
+}
+
+const kindIcons = {
+  provider: Stethoscope,
+  room: DoorOpen,
+  patient: User
+};
+
+export const AppointmentConflicts = ({ conflicts }: AppointmentConflictsProps) => {
+  if (conflicts.length === 0) return null;
+
+  return (
+    <div className="rounded-lg border border-red-200 bg-red-50 p-4">
+      <div className="flex items-center text-sm font-medium text-red-800 mb-2">
+        <AlertCircle className="w-4 h-4 mr-2" />
+        This time conflicts with existing bookings
+      </div>
+      <ul className="space-y-2">
+        {conflicts.map((conflict) => {
+          const Icon = kindIcons[conflict.kind];
+          return (
+            <li
+              key={`${conflict.occurrenceStart ?? ''}-${conflict.kind}-${conflict.appointmentId}`}
+              className="flex items-start text-sm text-red-700"
+            >
+              <Icon className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+              <div>
+                <div className="font-medium">
+                  {conflict.occurrenceStart && `${format(parseISO(conflict.occurrenceStart), 'EEE, MMM d')}: `}
+                  {conflict.message}
+                </div>
+                <div className="text-red-600">
+                  {format(parseISO(conflict.start), 'h:mm a')} - {format(parseISO(conflict.end), 'h:mm a')}
+                  {conflict.patientName && ` · ${conflict.patientName}`}
+                  {conflict.providerName && ` · Dr. ${conflict.providerName}`}
+                  {conflict.room && ` · ${conflict.room}`}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -1,9 +1,23 @@
 import { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
 import { X, Calendar, Clock, Search } from 'lucide-react';
 import { format, parseISO, addMinutes } from 'date-fns';
-import { appointmentService } from '../../services/appointment.service';
+import {
+  appointmentService,
+  type AppointmentSlot,
+  type AppointmentConflict,
+  type SeriesScope
+} from '../../services/appointment.service';
+import { AppointmentConflicts } from './AppointmentConflicts';
 import toast from 'react-hot-toast';
 
+// Repeat options offered when scheduling, as RRULEs (COUNT is added from the occurrences field)
+const repeatRules = {
+  weekly: 'FREQ=WEEKLY',
+  biweekly: 'FREQ=WEEKLY;INTERVAL=2',
+  monthly: 'FREQ=MONTHLY'
+};
+
 interface AppointmentModalProps {
   selectedDate: Date;
   selectedTimeSlot?: { time: string; hour: number; minute: number } | null;
@@ -36,18 +50,33 @@ export const AppointmentModal = ({
   const [patientSearch, setPatientSearch] = useState('');
   const [filteredPatients, setFilteredPatients] = useState([]);
   const [showPatientDropdown, setShowPatientDropdown] = useState(false);
+  const [slots, setSlots] = useState<AppointmentSlot[]>([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [conflicts, setConflicts] = useState<AppointmentConflict[]>([]);
+  const [repeat, setRepeat] = useState<'none' | keyof typeof repeatRules>('none');
+  const [occurrences, setOccurrences] = useState(8);
+  const [skipConflicts, setSkipConflicts] = useState(false);
+  const [scope, setScope] = useState<SeriesScope>('occurrence');
+  const inSeries = !!appointment?.series_id;
   const dropdownRef = useRef<HTMLDivElement>(null);
 
+  // Default durations match the appointment_types seeded on the backend
   const visitTypes = [
-    { value: 'walk-in', label: 'Walk-in' },
-    { value: 'follow-up', label: 'Follow-up' },
-    { value: 'physical', label: 'Physical Exam' },
-    { value: 'urgent', label: 'Urgent Care' },
-    { value: 'consultation', label: 'Consultation' }
+    { value: 'walk-in', label: 'Walk-in', duration: 15 },
+    { value: 'follow-up', label: 'Follow-up', duration: 15 },
+    { value: 'physical', label: 'Physical Exam', duration: 30 },
+    { value: 'urgent', label: 'Urgent Care', duration: 15 },
+    { value: 'consultation', label: 'Consultation', duration: 30 }
   ];
 
   const durations = [15, 30, 45, 60];
 
+  const scopes: { value: SeriesScope; label: string }[] = [
+    { value: 'occurrence', label: 'This appointment' },
+    { value: 'following', label: 'This and following' },
+    { value: 'series', label: 'All upcoming in series' }
+  ];
+
   // Initialize form with appointment data if editing
   useEffect(() => {
     if (appointment) {
@@ -86,6 +115,46 @@ export const AppointmentModal = ({
     loadInitialData();
   }, []);
 
+  // Open slots for the provider, day, visit type and duration
+  const slotDate = format(appointment ? parseISO(appointment.start) : selectedDate || new Date(), 'yyyy-MM-dd');
+  useEffect(() => {
+    if (!formData.provider_id) {
+      setSlots([]);
+      return;
+    }
+
+    let cancelled = false;
+    setSlotsLoading(true);
+    appointmentService.getSlots({
+      provider_id: parseInt(formData.provider_id),
+      date: slotDate,
+      type: formData.visit_type,
+      duration: formData.duration,
+      exclude_id: appointment?.id
+    })
+      .then(response => {
+        if (!cancelled) setSlots(response.data?.slots || []);
+      })
+      .catch(() => {
+        if (!cancelled) {
+          setSlots([]);
+          toast.error('Failed to load open times');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setSlotsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.provider_id, formData.visit_type, formData.duration, slotDate, appointment?.id]);
+
+  const isSelectedSlot = (slot: AppointmentSlot) =>
+    !!formData.scheduled_time && new Date(slot.start).getTime() === new Date(formData.scheduled_time).getTime();
+  const selectedIsOpen = slots.some(isSelectedSlot);
+  const keepsOriginalTime = !!appointment && formData.scheduled_time === appointment.start;
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (event: MouseEvent) => {
@@ -142,7 +211,13 @@ export const AppointmentModal = ({
       return;
     }
 
+    if (!selectedIsOpen && !keepsOriginalTime) {
+      toast.error('Please select an open time');
+      return;
+    }
+
     setLoading(true);
+    setConflicts([]);
     try {
       // Create end time based on scheduled_time and duration
       const startDateTime = new Date(formData.scheduled_time);
@@ -153,6 +228,7 @@ export const AppointmentModal = ({
         provider_id: parseInt(formData.provider_id),
         start: startDateTime.toISOString(),
         end: endDateTime.toISOString(),
+        type: formData.visit_type,
         visit_type: formData.visit_type,
         chief_complaint: formData.chief_complaint,
         notes: formData.notes,
@@ -160,13 +236,44 @@ export const AppointmentModal = ({
       };
 
       if (appointment) {
-        await appointmentService.updateAppointment(appointment.id, appointmentData);
+        await appointmentService.updateAppointment(appointment.id, { ...appointmentData, ...(inSeries && { scope }) });
+      } else if (repeat !== 'none') {
+        const response = await appointmentService.createSeries({
+          ...appointmentData,
+          rrule: `${repeatRules[repeat]};COUNT=${occurrences}`,
+          skip_conflicts: skipConflicts
+        });
+        const skipped = response.data?.skipped?.length || 0;
+        if (skipped > 0) {
+          toast(`${skipped} of ${occurrences} dates were skipped because of conflicts`);
+        }
       } else {
         await appointmentService.createAppointment(appointmentData);
       }
       onSuccess();
     } catch (error) {
-      toast.error('Failed to save appointment');
+      // Overlapping provider time, room or patient comes back as a 409 listing the conflicts
+      if (axios.isAxiosError(error) && error.response?.status === 409) {
+        setConflicts(error.response.data?.conflicts || []);
+        toast.error(error.response.data?.error || 'Appointment conflicts with existing bookings');
+      } else {
+        toast.error('Failed to save appointment');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancelAppointment = async () => {
+    setLoading(true);
+    try {
+      await appointmentService.updateAppointment(appointment.id, {
+        status: 'cancelled',
+        ...(inSeries && { scope })
+      });
+      onSuccess();
+    } catch {
+      toast.error('Failed to cancel appointment');
     } finally {
       setLoading(false);
     }
@@ -277,29 +384,6 @@ export const AppointmentModal = ({
             </select>
           </div>
 
-          {/* Date and Time */}
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Date
-              </label>
-              <div className="flex items-center px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
-                <Calendar className="w-5 h-5 text-gray-500 mr-2" />
-                <span>{format(selectedDate || new Date(), 'MMM d, yyyy')}</span>
-              </div>
-            </div>
-
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Time
-              </label>
-              <div className="flex items-center px-3 py-2 border border-gray-300 rounded-lg bg-gray-50">
-                <Clock className="w-5 h-5 text-gray-500 mr-2" />
-                <span>{selectedTimeSlot ? selectedTimeSlot.time : '--:--'}</span>
-              </div>
-            </div>
-          </div>
-
           {/* Visit Type and Duration */}
           <div className="grid grid-cols-2 gap-4">
             <div>
@@ -308,7 +392,14 @@ export const AppointmentModal = ({
               </label>
               <select
                 value={formData.visit_type}
-                onChange={(e) => setFormData(prev => ({ ...prev, visit_type: e.target.value }))}
+                onChange={(e) => {
+                  const visitType = visitTypes.find(type => type.value === e.target.value);
+                  setFormData(prev => ({
+                    ...prev,
+                    visit_type: e.target.value,
+                    duration: visitType?.duration ?? prev.duration
+                  }));
+                }}
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
               >
                 {visitTypes.map((type) => (
@@ -337,6 +428,118 @@ export const AppointmentModal = ({
             </div>
           </div>
 
+          {/* Date and Open Times */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Time
+              </label>
+              <span className="flex items-center text-sm text-gray-600">
+                <Calendar className="w-4 h-4 text-gray-500 mr-1" />
+                {format(parseISO(slotDate), 'MMM d, yyyy')}
+              </span>
+            </div>
+            {!formData.provider_id ? (
+              <p className="text-sm text-gray-500">Select a provider to see open times</p>
+            ) : slotsLoading ? (
+              <p className="text-sm text-gray-500">Loading open times...</p>
+            ) : slots.length === 0 ? (
+              <p className="text-sm text-gray-500">No open times for this provider on this day</p>
+            ) : (
+              <div className="grid grid-cols-4 gap-2 max-h-48 overflow-y-auto">
+                {slots.map((slot) => (
+                  <button
+                    key={slot.start}
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, scheduled_time: slot.start }))}
+                    className={`flex items-center justify-center px-2 py-1.5 text-sm border rounded-lg ${
+                      isSelectedSlot(slot)
+                        ? 'bg-primary text-white border-primary'
+                        : 'border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    <Clock className="w-3.5 h-3.5 mr-1" />
+                    {format(parseISO(slot.start), 'h:mm a')}
+                  </button>
+                ))}
+              </div>
+            )}
+            {formData.scheduled_time && !selectedIsOpen && !slotsLoading && formData.provider_id && (
+              <p className="mt-2 text-sm text-amber-600">
+                {keepsOriginalTime
+                  ? `Currently ${format(parseISO(formData.scheduled_time), 'h:mm a')}, outside the provider's open times`
+                  : `${format(parseISO(formData.scheduled_time), 'h:mm a')} is not open; choose one of the times above`}
+              </p>
+            )}
+          </div>
+
+          {/* Repeat (new appointments) or which occurrences an edit applies to (series) */}
+          {!appointment && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Repeats
+                </label>
+                <select
+                  value={repeat}
+                  onChange={(e) => setRepeat(e.target.value as typeof repeat)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="biweekly">Every 2 weeks</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+              {repeat !== 'none' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Occurrences
+                  </label>
+                  <input
+                    type="number"
+                    min={2}
+                    max={52}
+                    value={occurrences}
+                    onChange={(e) => setOccurrences(Math.min(52, Math.max(2, parseInt(e.target.value) || 2)))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary"
+                  />
+                  <label className="flex items-center mt-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={skipConflicts}
+                      onChange={(e) => setSkipConflicts(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Skip dates that conflict
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+          {inSeries && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Apply changes to
+              </label>
+              <div className="flex space-x-4">
+                {scopes.map((option) => (
+                  <label key={option.value} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="series-scope"
+                      value={option.value}
+                      checked={scope === option.value}
+                      onChange={() => setScope(option.value)}
+                      className="mr-2"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Chief Complaint */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -379,8 +582,20 @@ export const AppointmentModal = ({
             />
           </div>
 
+          <AppointmentConflicts conflicts={conflicts} />
+
           {/* Action Buttons */}
           <div className="flex justify-end space-x-3 pt-4 border-t">
+            {appointment && appointment.status !== 'cancelled' && (
+              <button
+                type="button"
+                onClick={handleCancelAppointment}
+                disabled={loading}
+                className="mr-auto px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+              >
+                {inSeries && scope !== 'occurrence' ? 'Cancel Appointments' : 'Cancel Appointment'}
+              </button>
+            )}
             <button
               type="button"
               onClick={onClose}
@@ -0,0 +1,442 @@
+import { useState, useEffect } from 'react';
+import axios from 'axios';
+import { X, Plus, ListOrdered, Clock, Check, Trash2, MessageSquare, Phone } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import {
+  appointmentService,
+  waitlistService,
+  type WaitlistEntry,
+  type WaitlistEntryRequest,
+  type WaitlistOffer
+} from '../../services/appointment.service';
+import toast from 'react-hot-toast';
+
+interface WaitlistPanelProps {
+  refreshKey: number; // bumped by the schedule after appointment changes, since a cancellation may make an offer
+  onClose: () => void;
+  onBooked: () => void;
+}
+
+interface Option {
+  id: number;
+  name: string;
+}
+
+const visitTypes = [
+  { value: 'walk-in', label: 'Walk-in' },
+  { value: 'follow-up', label: 'Follow-up' },
+  { value: 'physical', label: 'Physical Exam' },
+  { value: 'urgent', label: 'Urgent Care' },
+  { value: 'consultation', label: 'Consultation' }
+];
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const priorities = [
+  { value: 1, label: '1 - Urgent' },
+  { value: 2, label: '2 - High' },
+  { value: 3, label: '3 - Normal' },
+  { value: 4, label: '4 - Low' },
+  { value: 5, label: '5 - Flexible' }
+];
+
+const emptyEntry = {
+  patientId: '',
+  providerId: '',
+  appointmentType: '',
+  earliestDate: '',
+  latestDate: '',
+  preferredDays: [] as number[],
+  preferredStartTime: '',
+  preferredEndTime: '',
+  priority: 3,
+  notes: ''
+};
+
+const errorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.error) || fallback;
+
+export const WaitlistPanel = ({ refreshKey, onClose, onBooked }: WaitlistPanelProps) => {
+  const [entries, setEntries] = useState<WaitlistEntry[]>([]);
+  const [offers, setOffers] = useState<WaitlistOffer[]>([]);
+  const [patients, setPatients] = useState<Option[]>([]);
+  const [providers, setProviders] = useState<Option[]>([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyEntry);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    Promise.all([appointmentService.getPatients(), appointmentService.getProviders()])
+      .then(([patientsResponse, providersResponse]) => {
+        setPatients(patientsResponse.data || []);
+        setProviders(providersResponse.data || []);
+      })
+      .catch(() => toast.error('Failed to load patients and providers'));
+  }, []);
+
+  const fetchWaitlist = async () => {
+    setLoading(true);
+    try {
+      const [entriesResponse, offersResponse] = await Promise.all([
+        waitlistService.getEntries(),
+        waitlistService.getOffers()
+      ]);
+      setEntries(entriesResponse.data || []);
+      setOffers(offersResponse.data || []);
+    } catch {
+      toast.error('Failed to load waitlist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.patientId) {
+      toast.error('Please select a patient');
+      return;
+    }
+
+    const data: WaitlistEntryRequest = {
+      patientId: parseInt(form.patientId),
+      providerId: form.providerId ? parseInt(form.providerId) : null,
+      appointmentType: form.appointmentType || null,
+      earliestDate: form.earliestDate || null,
+      latestDate: form.latestDate || null,
+      preferredDays: form.preferredDays.length ? form.preferredDays : null,
+      preferredStartTime: form.preferredStartTime || null,
+      preferredEndTime: form.preferredEndTime || null,
+      priority: form.priority,
+      notes: form.notes || null
+    };
+    try {
+      await waitlistService.addEntry(data);
+      toast.success('Added to waitlist');
+      setForm(emptyEntry);
+      setShowForm(false);
+      fetchWaitlist();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to add to waitlist'));
+    }
+  };
+
+  const handlePriority = async (entry: WaitlistEntry, priority: number) => {
+    try {
+      await waitlistService.updateEntry(entry.id, { priority });
+      fetchWaitlist();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update priority'));
+    }
+  };
+
+  const handleRemove = async (entry: WaitlistEntry) => {
+    if (!window.confirm(`Remove ${entry.patientName ?? 'this patient'} from the waitlist?`)) return;
+    try {
+      await waitlistService.removeEntry(entry.id);
+      toast.success('Removed from waitlist');
+      fetchWaitlist();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to remove from waitlist'));
+    }
+  };
+
+  const handleAccept = async (offer: WaitlistOffer) => {
+    try {
+      await waitlistService.acceptOffer(offer.id);
+      toast.success(`Booked ${offer.patientName ?? 'patient'} for ${format(parseISO(offer.start), 'EEE MMM d, h:mm a')}`);
+      onBooked();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to book the offered slot'));
+    } finally {
+      fetchWaitlist();
+    }
+  };
+
+  const handleDecline = async (offer: WaitlistOffer) => {
+    try {
+      const response = await waitlistService.declineOffer(offer.id);
+      toast.success(response.data?.next ? 'Declined; slot offered to the next patient' : 'Declined; no other patient matches');
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to decline the offer'));
+    } finally {
+      fetchWaitlist();
+    }
+  };
+
+  const toggleDay = (day: number) => {
+    setForm(prev => ({
+      ...prev,
+      preferredDays: prev.preferredDays.includes(day)
+        ? prev.preferredDays.filter(d => d !== day)
+        : [...prev.preferredDays, day].sort((a, b) => a - b)
+    }));
+  };
+
+  const describePreferences = (entry: WaitlistEntry) => {
+    const parts = [
+      entry.providerName ? `Dr. ${entry.providerName}` : 'Any provider',
+      visitTypes.find(type => type.value === entry.appointmentType)?.label ?? entry.appointmentType ?? 'Any type'
+    ];
+    if (entry.earliestDate || entry.latestDate) {
+      parts.push(`${entry.earliestDate ?? 'now'} to ${entry.latestDate ?? 'any time'}`);
+    }
+    if (entry.preferredDays?.length) {
+      parts.push(entry.preferredDays.map(day => weekdays[day]).join(', '));
+    }
+    if (entry.preferredStartTime || entry.preferredEndTime) {
+      parts.push(`${entry.preferredStartTime ?? 'open'}-${entry.preferredEndTime ?? 'close'}`);
+    }
+    return parts.join(' · ');
+  };
+
+  return (
+    <div className="w-96 flex-shrink-0 border-l bg-white flex flex-col overflow-hidden">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <div className="flex items-center">
+          <ListOrdered className="w-5 h-5 text-primary mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Waitlist</h2>
+          <span className="ml-2 text-sm text-gray-500">{entries.length}</span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+            title="Add patient to waitlist"
+          >
+            <Plus className="w-5 h-5" />
+          </button>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-auto">
+        {showForm && (
+          <form onSubmit={handleAdd} className="p-4 border-b bg-gray-50 space-y-3">
+            <select
+              value={form.patientId}
+              onChange={(e) => setForm(prev => ({ ...prev, patientId: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">Select patient...</option>
+              {patients.map((patient) => (
+                <option key={patient.id} value={patient.id}>{patient.name}</option>
+              ))}
+            </select>
+
+            <div className="grid grid-cols-2 gap-2">
+              <select
+                value={form.providerId}
+                onChange={(e) => setForm(prev => ({ ...prev, providerId: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Any provider</option>
+                {providers.map((provider) => (
+                  <option key={provider.id} value={provider.id}>Dr. {provider.name}</option>
+                ))}
+              </select>
+              <select
+                value={form.appointmentType}
+                onChange={(e) => setForm(prev => ({ ...prev, appointmentType: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Any type</option>
+                {visitTypes.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-600">
+                From
+                <input
+                  type="date"
+                  value={form.earliestDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, earliestDate: e.target.value }))}
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Until
+                <input
+                  type="date"
+                  value={form.latestDate}
+                  onChange={(e) => setForm(prev => ({ ...prev, latestDate: e.target.value }))}
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+            </div>
+
+            <div className="flex justify-between">
+              {weekdays.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-2 py-1 text-xs rounded border ${
+                    form.preferredDays.includes(day)
+                      ? 'bg-primary text-white border-primary'
+                      : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <label className="text-xs text-gray-600">
+                Earliest time
+                <input
+                  type="time"
+                  value={form.preferredStartTime}
+                  onChange={(e) => setForm(prev => ({ ...prev, preferredStartTime: e.target.value }))}
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Latest time
+                <input
+                  type="time"
+                  value={form.preferredEndTime}
+                  onChange={(e) => setForm(prev => ({ ...prev, preferredEndTime: e.target.value }))}
+                  className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                />
+              </label>
+            </div>
+
+            <select
+              value={form.priority}
+              onChange={(e) => setForm(prev => ({ ...prev, priority: parseInt(e.target.value) }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {priorities.map((priority) => (
+                <option key={priority.value} value={priority.value}>Priority {priority.label}</option>
+              ))}
+            </select>
+
+            <textarea
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              placeholder="Notes"
+              rows={2}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+
+            <button
+              type="submit"
+              className="w-full px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90"
+            >
+              Add to Waitlist
+            </button>
+          </form>
+        )}
+
+        {/* Cancelled slots currently held for a waitlisted patient */}
+        {offers.length > 0 && (
+          <div className="p-4 border-b space-y-3">
+            <h3 className="text-xs font-medium text-gray-500 uppercase">Open offers</h3>
+            {offers.map((offer) => (
+              <div key={offer.id} className="rounded-lg border border-amber-200 bg-amber-50 p-3">
+                <div className="text-sm font-medium text-gray-900">{offer.patientName}</div>
+                <div className="text-sm text-gray-700">
+                  {format(parseISO(offer.start), 'EEE MMM d, h:mm a')}
+                  {offer.providerName && ` · Dr. ${offer.providerName}`}
+                </div>
+                <div className="flex items-center text-xs text-amber-700 mt-1">
+                  <Clock className="w-3 h-3 mr-1" />
+                  Held until {format(parseISO(offer.expiresAt), 'h:mm a')}
+                </div>
+                <div className="flex items-center text-xs text-gray-600 mt-1">
+                  {offer.notification?.channel === 'phone' || !offer.notification?.recipient ? (
+                    <>
+                      <Phone className="w-3 h-3 mr-1" />
+                      No phone or email on file, call the patient
+                    </>
+                  ) : (
+                    <>
+                      <MessageSquare className="w-3 h-3 mr-1" />
+                      Sent by {offer.notification.channel === 'sms' ? 'text' : 'email'} to {offer.notification.recipient}
+                    </>
+                  )}
+                </div>
+                <div className="flex space-x-2 mt-2">
+                  <button
+                    onClick={() => handleAccept(offer)}
+                    className="flex items-center px-3 py-1 text-xs bg-primary text-white rounded hover:bg-primary/90"
+                  >
+                    <Check className="w-3 h-3 mr-1" />
+                    Book
+                  </button>
+                  <button
+                    onClick={() => handleDecline(offer)}
+                    className="px-3 py-1 text-xs border border-gray-300 text-gray-700 rounded hover:bg-gray-100"
+                  >
+                    Declined
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading && entries.length === 0 ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="p-4 text-sm text-gray-500">
+            No patients are waiting. Cancelled slots are offered to waitlisted patients automatically.
+          </div>
+        ) : (
+          <ul className="divide-y">
+            {entries.map((entry) => (
+              <li key={entry.id} className="p-4">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">
+                      {entry.patientName}
+                      {entry.status === 'offered' && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-800">Offered</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-600 mt-1">{describePreferences(entry)}</div>
+                    {entry.notes && <div className="text-xs text-gray-500 mt-1">{entry.notes}</div>}
+                    <div className="text-xs text-gray-400 mt-1">
+                      Waiting since {format(parseISO(entry.createdAt), 'MMM d')}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <select
+                      value={entry.priority}
+                      onChange={(e) => handlePriority(entry, parseInt(e.target.value))}
+                      className="px-1 py-1 border border-gray-300 rounded text-xs"
+                      title="Priority (1 is offered first)"
+                    >
+                      {priorities.map((priority) => (
+                        <option key={priority.value} value={priority.value}>P{priority.value}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleRemove(entry)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove from waitlist"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
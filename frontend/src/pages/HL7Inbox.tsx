@@ -0,0 +1,374 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { format } from 'date-fns';
+import {
+  Search,
+  Filter,
+  AlertCircle,
+  CheckCircle,
+  RefreshCw,
+  Link2,
+  Save,
+  XCircle,
+  History
+} from 'lucide-react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import hl7InboxService from '../services/hl7Inbox.service';
+import type { HL7InboxMessage, HL7InboxStatus, HL7MessageDetail } from '../services/hl7Inbox.service';
+
+const getErrorMessage = (error: unknown, fallback: string) =>
+  (axios.isAxiosError(error) && error.response?.data?.error) || fallback;
+
+export default function HL7Inbox() {
+  const [messages, setMessages] = useState<HL7InboxMessage[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState<HL7InboxStatus>('failed');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selected, setSelected] = useState<HL7MessageDetail | null>(null);
+  const [messageText, setMessageText] = useState('');
+  const [editReason, setEditReason] = useState('');
+  const [patientId, setPatientId] = useState('');
+  const [labOrderId, setLabOrderId] = useState('');
+  const [dismissReason, setDismissReason] = useState('');
+  const [working, setWorking] = useState(false);
+  // The search applies on Enter, not on every keystroke
+  const searchTermRef = useRef('');
+
+  const loadMessages = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await hl7InboxService.getMessages(statusFilter, searchTermRef.current);
+      setMessages(data.messages);
+      setTotal(data.total);
+    } catch {
+      toast.error('Failed to load HL7 messages');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  const selectMessage = async (id: number) => {
+    try {
+      const detail = await hl7InboxService.getMessage(id);
+      setSelected(detail);
+      // HL7 segments are separated by carriage returns; show one segment per line
+      setMessageText(detail.hl7_message.split('\r').join('\n'));
+      setPatientId(detail.patient_id ? String(detail.patient_id) : '');
+      setLabOrderId(detail.lab_order_id ? String(detail.lab_order_id) : '');
+      setEditReason('');
+      setDismissReason('');
+    } catch {
+      toast.error('Failed to load message');
+    }
+  };
+
+  const refresh = async (id: number) => {
+    await Promise.all([loadMessages(), selectMessage(id)]);
+  };
+
+  const handleLink = async () => {
+    if (!selected || !patientId) return;
+    setWorking(true);
+    try {
+      await hl7InboxService.linkMessage(selected.id, Number(patientId), labOrderId ? Number(labOrderId) : null);
+      toast.success('Message linked');
+      await refresh(selected.id);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to link message'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!selected) return;
+    setWorking(true);
+    try {
+      await hl7InboxService.editMessage(selected.id, messageText, editReason || undefined);
+      toast.success('Message updated');
+      await refresh(selected.id);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to save message'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleReprocess = async () => {
+    if (!selected) return;
+    setWorking(true);
+    try {
+      const result = await hl7InboxService.reprocessMessage(selected.id);
+      if (result.ok) {
+        toast.success('Message reprocessed');
+      } else {
+        toast.error(`Reprocess failed: ${result.error}`);
+      }
+      await refresh(selected.id);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to reprocess message'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDismiss = async () => {
+    if (!selected || !dismissReason.trim()) return;
+    setWorking(true);
+    try {
+      await hl7InboxService.dismissMessage(selected.id, dismissReason);
+      toast.success('Message dismissed');
+      await refresh(selected.id);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to dismiss message'));
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const getStatusBadge = (message: HL7InboxMessage) => {
+    if (message.resolution === 'dismissed') {
+      return <span className="px-2 py-1 text-xs rounded-full border bg-gray-100 text-gray-800 border-gray-200">Dismissed</span>;
+    }
+    if (message.parsed_successfully) {
+      return <span className="px-2 py-1 text-xs rounded-full border bg-green-100 text-green-800 border-green-200">Processed</span>;
+    }
+    return <span className="px-2 py-1 text-xs rounded-full border bg-red-100 text-red-800 border-red-200">Failed</span>;
+  };
+
+  const isOpen = selected && !selected.parsed_successfully && !selected.resolution;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">HL7 Inbox</h1>
+        <p className="text-gray-600 mt-1">Review inbound interface messages that could not be processed</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="relative md:col-span-2">
+            <Search size={20} className="absolute left-3 top-3 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by error or control ID..."
+              value={searchTerm}
+              onChange={(e) => {
+                setSearchTerm(e.target.value);
+                searchTermRef.current = e.target.value;
+              }}
+              onKeyDown={(e) => e.key === 'Enter' && loadMessages()}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+          </div>
+          <div className="relative">
+            <Filter size={20} className="absolute left-3 top-3 text-gray-400" />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value as HL7InboxStatus)}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent appearance-none"
+            >
+              <option value="failed">Error Queue</option>
+              <option value="processed">Processed</option>
+              <option value="dismissed">Dismissed</option>
+              <option value="all">All Messages</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Message list */}
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <div className="px-4 py-3 border-b text-sm text-gray-600">{total} message{total === 1 ? '' : 's'}</div>
+          {loading ? (
+            <div className="flex items-center justify-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : messages.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <CheckCircle size={32} className="mx-auto mb-2 text-green-500" />
+              No messages
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {messages.map(message => (
+                <li
+                  key={message.id}
+                  onClick={() => selectMessage(message.id)}
+                  className={`p-4 cursor-pointer hover:bg-gray-50 ${selected?.id === message.id ? 'bg-blue-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="font-medium text-gray-900">
+                      {message.message_type} {message.message_control_id || `#${message.id}`}
+                      {message.edited && <span className="ml-2 text-xs text-gray-500">(edited)</span>}
+                    </div>
+                    {getStatusBadge(message)}
+                  </div>
+                  {message.error_message && (
+                    <div className="mt-1 text-sm text-red-700 flex items-start gap-1">
+                      <AlertCircle size={14} className="mt-0.5 flex-shrink-0" />
+                      {message.error_message}
+                    </div>
+                  )}
+                  <div className="mt-1 text-xs text-gray-500">
+                    {format(new Date(message.created_at), 'MMM d, yyyy h:mm a')} · {message.transport}
+                    {message.patient_id && ` · ${message.patient_first_name} ${message.patient_last_name} (${message.patient_mrn})`}
+                    {message.reprocess_count > 0 && ` · ${message.reprocess_count} reprocess attempt(s)`}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Message detail */}
+        {selected ? (
+          <div className="bg-white shadow rounded-lg p-4 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {selected.message_type} {selected.message_control_id || `#${selected.id}`}
+              </h2>
+              {getStatusBadge(selected)}
+            </div>
+
+            {selected.error_message && (
+              <div className="p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-800">
+                {selected.error_message}
+              </div>
+            )}
+
+            {/* Link to patient / order */}
+            <div className="grid grid-cols-3 gap-2 items-end">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Patient ID</label>
+                <input
+                  type="number"
+                  value={patientId}
+                  onChange={(e) => setPatientId(e.target.value)}
+                  disabled={!isOpen}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Lab Order ID</label>
+                <input
+                  type="number"
+                  value={labOrderId}
+                  onChange={(e) => setLabOrderId(e.target.value)}
+                  disabled={!isOpen || selected.message_type !== 'ORU'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                />
+              </div>
+              <button
+                onClick={handleLink}
+                disabled={!isOpen || !patientId || working}
+                className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 flex items-center justify-center gap-2"
+              >
+                <Link2 size={16} />
+                Link
+              </button>
+            </div>
+
+            {/* Raw message editor */}
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Message</label>
+              <textarea
+                value={messageText}
+                onChange={(e) => setMessageText(e.target.value)}
+                disabled={!isOpen}
+                rows={10}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs"
+              />
+              <div className="flex gap-2 mt-2">
+                <input
+                  type="text"
+                  placeholder="Reason for edit"
+                  value={editReason}
+                  onChange={(e) => setEditReason(e.target.value)}
+                  disabled={!isOpen}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  onClick={handleSaveEdit}
+                  disabled={!isOpen || working}
+                  className="px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2"
+                >
+                  <Save size={16} />
+                  Save
+                </button>
+              </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex gap-2">
+              <button
+                onClick={handleReprocess}
+                disabled={!isOpen || working}
+                className="bg-primary text-white px-4 py-2 rounded-lg hover:bg-primary/90 disabled:opacity-50 flex items-center gap-2"
+              >
+                <RefreshCw size={16} />
+                Reprocess
+              </button>
+              <input
+                type="text"
+                placeholder="Reason for dismissing"
+                value={dismissReason}
+                onChange={(e) => setDismissReason(e.target.value)}
+                disabled={!isOpen}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <button
+                onClick={handleDismiss}
+                disabled={!isOpen || !dismissReason.trim() || working}
+                className="px-3 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50 flex items-center gap-2"
+              >
+                <XCircle size={16} />
+                Dismiss
+              </button>
+            </div>
+
+            {/* Audit trail */}
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 flex items-center gap-2 mb-2">
+                <History size={16} />
+                History
+              </h3>
+              {selected.actions.length === 0 ? (
+                <p className="text-sm text-gray-500">No actions yet</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {selected.actions.map(action => (
+                    <li key={action.id} className="flex items-center gap-2">
+                      {action.success
+                        ? <CheckCircle size={14} className="text-green-600" />
+                        : <AlertCircle size={14} className="text-red-600" />}
+                      <span className="capitalize">{action.action}</span>
+                      <span className="text-gray-500">
+                        by {action.performed_by_first_name} {action.performed_by_last_name} · {format(new Date(action.created_at), 'MMM d, h:mm a')}
+                      </span>
+                      {(action.details.reason || action.details.error) && (
+                        <span className="text-gray-600 truncate">— {action.details.reason || action.details.error}</span>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="bg-white shadow rounded-lg p-8 text-center text-gray-500">
+            Select a message to review it
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Calendar, Clock, Plus, User, AlertCircle, ChevronLeft, ChevronRight } from 'lucide-react';
+import { Calendar, Clock, Plus, User, AlertCircle, ChevronLeft, ChevronRight, ListOrdered } from 'lucide-react';
 import { format, startOfWeek, endOfWeek, eachDayOfInterval, isSameDay, addWeeks, subWeeks, parseISO, isToday } from 'date-fns';
 import { useAppStore } from '../stores/useAppStore';
 import toast from 'react-hot-toast';
@@ -7,6 +7,7 @@ import toast from 'react-hot-toast';
 // Import components we'll create
 import { AppointmentCard } from '../components/Schedule/AppointmentCard';
 import { AppointmentModal } from '../components/Schedule/AppointmentModal';
+import { WaitlistPanel } from '../components/Schedule/WaitlistPanel';
 import { appointmentService } from '../services/appointment.service';
 
 const Schedule = () => {
@@ -18,6 +19,8 @@ const Schedule = () => {
   const [selectedAppointment, setSelectedAppointment] = useState(null);
   const [loading, setLoading] = useState(false);
   const [viewType, setViewType] = useState('week'); // 'day', 'week', 'month'
+  const [showWaitlist, setShowWaitlist] = useState(false);
+  const [waitlistRefresh, setWaitlistRefresh] = useState(0);
 
   // Time slots from 8 AM to 6 PM in 15-minute intervals
   const timeSlots = [];
@@ -155,6 +158,16 @@ const Schedule = () => {
               Today
             </button>
 
+            <button
+              onClick={() => setShowWaitlist(!showWaitlist)}
+              className={`flex items-center px-4 py-2 text-sm font-medium rounded-lg ${
+                showWaitlist ? 'bg-primary/10 text-primary' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              <ListOrdered className="w-4 h-4 mr-2" />
+              Waitlist
+            </button>
+
             <button
               onClick={() => {
                 setSelectedAppointment(null);
@@ -170,69 +183,80 @@ const Schedule = () => {
         </div>
       </div>
 
-      {/* Calendar Grid */}
-      <div className="flex-1 overflow-auto bg-gray-50">
-        {loading ? (
-          <div className="flex items-center justify-center h-64">
-            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
-          </div>
-        ) : (
-          <div className="min-w-[1200px]">
-            {/* Day Headers */}
-            <div className="grid grid-cols-8 bg-white border-b sticky top-0 z-10">
-              <div className="p-3 text-xs font-medium text-gray-500 border-r">TIME</div>
-              {weekDays.map((day) => (
-                <div
-                  key={day.toISOString()}
-                  className={`p-3 text-center border-r ${
-                    isToday(day) ? 'bg-primary/5' : ''
-                  }`}
-                >
-                  <div className="text-xs font-medium text-gray-500">
-                    {format(day, 'EEE')}
-                  </div>
-                  <div className={`text-lg font-semibold ${
-                    isToday(day) ? 'text-primary' : 'text-gray-900'
-                  }`}>
-                    {format(day, 'd')}
-                  </div>
-                </div>
-              ))}
+      <div className="flex flex-1 overflow-hidden">
+        {/* Calendar Grid */}
+        <div className="flex-1 overflow-auto bg-gray-50">
+          {loading ? (
+            <div className="flex items-center justify-center h-64">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
             </div>
+          ) : (
+            <div className="min-w-[1200px]">
+              {/* Day Headers */}
+              <div className="grid grid-cols-8 bg-white border-b sticky top-0 z-10">
+                <div className="p-3 text-xs font-medium text-gray-500 border-r">TIME</div>
+                {weekDays.map((day) => (
+                  <div
+                    key={day.toISOString()}
+                    className={`p-3 text-center border-r ${
+                      isToday(day) ? 'bg-primary/5' : ''
+                    }`}
+                  >
+                    <div className="text-xs font-medium text-gray-500">
+                      {format(day, 'EEE')}
+                    </div>
+                    <div className={`text-lg font-semibold ${
+                      isToday(day) ? 'text-primary' : 'text-gray-900'
+                    }`}>
+                      {format(day, 'd')}
+                    </div>
+                  </div>
+                ))}
+              </div>
 
-            {/* Time Slots */}
-            <div className="bg-white">
-              {timeSlots.map((slot) => (
-                <div key={slot.time} className="grid grid-cols-8 border-b">
-                  <div className="p-2 text-xs font-medium text-gray-500 border-r bg-gray-50">
-                    {slot.time}
+              {/* Time Slots */}
+              <div className="bg-white">
+                {timeSlots.map((slot) => (
+                  <div key={slot.time} className="grid grid-cols-8 border-b">
+                    <div className="p-2 text-xs font-medium text-gray-500 border-r bg-gray-50">
+                      {slot.time}
+                    </div>
+                    {weekDays.map((day) => {
+                      const slotAppointments = getAppointmentsForSlot(day, slot);
+                      return (
+                        <div
+                          key={`${day}-${slot.time}`}
+                          className="relative p-1 border-r min-h-[60px] hover:bg-gray-50 cursor-pointer"
+                          onClick={() => handleSlotClick(day, slot)}
+                        >
+                          {slotAppointments.map((apt, index) => (
+                            <AppointmentCard
+                              key={apt.id}
+                              appointment={apt}
+                              getStatusColor={getStatusColor}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                handleAppointmentClick(apt);
+                              }}
+                            />
+                          ))}
+                        </div>
+                      );
+                    })}
                   </div>
-                  {weekDays.map((day) => {
-                    const slotAppointments = getAppointmentsForSlot(day, slot);
-                    return (
-                      <div
-                        key={`${day}-${slot.time}`}
-                        className="relative p-1 border-r min-h-[60px] hover:bg-gray-50 cursor-pointer"
-                        onClick={() => handleSlotClick(day, slot)}
-                      >
-                        {slotAppointments.map((apt, index) => (
-                          <AppointmentCard
-                            key={apt.id}
-                            appointment={apt}
-                            getStatusColor={getStatusColor}
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleAppointmentClick(apt);
-                            }}
-                          />
-                        ))}
-                      </div>
-                    );
-                  })}
-                </div>
-              ))}
+                ))}
+              </div>
             </div>
-          </div>
+          )}
+        </div>
+
+        {/* Waitlist: patients waiting for a cancelled slot and the offers made to them */}
+        {showWaitlist && (
+          <WaitlistPanel
+            refreshKey={waitlistRefresh}
+            onClose={() => setShowWaitlist(false)}
+            onBooked={fetchAppointments}
+          />
         )}
       </div>
 
@@ -249,6 +273,7 @@ const Schedule = () => {
           }}
           onSuccess={() => {
             fetchAppointments();
+            setWaitlistRefresh(count => count + 1); // a cancellation may have offered its slot
             setShowAppointmentModal(false);
             setSelectedTimeSlot(null);
             setSelectedAppointment(null);
@@ -30,9 +30,19 @@ export interface AppointmentRequest {
   scheduled_time?: string;
   duration?: number;
   visit_type?: string;
+  type?: string;
+  status?: string;
   chief_complaint?: string;
   notes?: string;
   room?: string;
+  scope?: SeriesScope; // for series occurrences: apply to this one, this and following, or the whole series
+}
+
+export type SeriesScope = 'occurrence' | 'following' | 'series';
+
+export interface AppointmentSeriesRequest extends AppointmentRequest {
+  rrule: string; // e.g. FREQ=WEEKLY;COUNT=8
+  skip_conflicts?: boolean;
 }
 
 export interface AppointmentFilters {
@@ -42,6 +52,85 @@ export interface AppointmentFilters {
   patient_id?: number;
 }
 
+export interface SlotFilters {
+  provider_id: number;
+  date: string; // YYYY-MM-DD
+  days?: number;
+  type?: string;
+  duration?: number;
+  exclude_id?: number; // appointment being rescheduled
+}
+
+export interface AppointmentSlot {
+  start: string;
+  end: string;
+}
+
+// Returned with a 409 when a booking overlaps the provider's time, the room or the patient's other appointments
+export interface AppointmentConflict {
+  kind: 'provider' | 'room' | 'patient';
+  message: string;
+  appointmentId: number;
+  start: string;
+  end: string;
+  providerId: number;
+  providerName: string | null;
+  patientId: number | null;
+  patientName: string | null;
+  room: string | null;
+  type: string | null;
+  title: string | null;
+  occurrenceStart?: string; // series occurrence the conflict belongs to
+}
+
+export type WaitlistStatus = 'waiting' | 'offered' | 'booked' | 'removed';
+export type WaitlistOfferStatus = 'pending' | 'accepted' | 'declined' | 'expired' | 'withdrawn';
+
+export interface WaitlistEntryRequest {
+  patientId: number;
+  providerId?: number | null; // null: any provider
+  appointmentType?: string | null;
+  earliestDate?: string | null; // YYYY-MM-DD
+  latestDate?: string | null;
+  preferredDays?: number[] | null; // 0 = Sunday
+  preferredStartTime?: string | null; // HH:MM
+  preferredEndTime?: string | null;
+  priority?: number; // 1 = most urgent, 5 = least
+  notes?: string | null;
+}
+
+export interface WaitlistEntry extends Required<WaitlistEntryRequest> {
+  id: number;
+  patientName: string | null;
+  providerName: string | null;
+  status: WaitlistStatus;
+  bookedAppointmentId: number | null;
+  pendingOffer: { id: number; start: string; end: string; expiresAt: string } | null;
+  createdAt: string;
+}
+
+// A cancelled slot held for one waitlisted patient until expiresAt
+export interface WaitlistOffer {
+  id: number;
+  waitlistId: number;
+  patientId: number;
+  patientName: string | null;
+  priority: number;
+  cancelledAppointmentId: number | null;
+  providerId: number;
+  providerName: string | null;
+  start: string;
+  end: string;
+  appointmentType: string | null;
+  room: string | null;
+  status: WaitlistOfferStatus;
+  expiresAt: string;
+  notification: { id: number; channel: 'sms' | 'email' | 'phone'; recipient: string | null; status: string } | null;
+  bookedAppointmentId: number | null;
+  respondedAt: string | null;
+  createdAt: string;
+}
+
 // Service exports with mock fallback
 export const appointmentService = {
   getAppointments: (filters: AppointmentFilters = {}) =>
@@ -62,6 +151,28 @@ export const appointmentService = {
       }
     })(),
 
+  // Open slots from the provider's schedule templates minus booked appointments
+  getSlots: (filters: SlotFilters) =>
+    USE_MOCK_DATA ? mockService.getAppointmentSlots(filters) :
+    (async () => {
+      try {
+        const params = new URLSearchParams({
+          provider_id: filters.provider_id.toString(),
+          date: filters.date,
+        });
+        if (filters.days) params.append('days', filters.days.toString());
+        if (filters.type) params.append('type', filters.type);
+        if (filters.duration) params.append('duration', filters.duration.toString());
+        if (filters.exclude_id) params.append('exclude_id', filters.exclude_id.toString());
+
+        const response = await api.get(`/appointments/slots?${params.toString()}`);
+        return response.data;
+      } catch (error) {
+        console.error('Error fetching appointment slots:', error);
+        throw error;
+      }
+    })(),
+
   createAppointment: (data: AppointmentRequest) =>
     USE_MOCK_DATA ? mockService.createAppointment(data) :
     (async () => {
@@ -74,6 +185,19 @@ export const appointmentService = {
       }
     })(),
 
+  // Recurring series; every occurrence is created as an appointment
+  createSeries: (data: AppointmentSeriesRequest) =>
+    USE_MOCK_DATA ? mockService.createAppointmentSeries(data) :
+    (async () => {
+      try {
+        const response = await api.post('/appointments/series', data);
+        return response.data;
+      } catch (error) {
+        console.error('Error creating appointment series:', error);
+        throw error;
+      }
+    })(),
+
   updateAppointment: (id: number, data: Partial<AppointmentRequest>) =>
     USE_MOCK_DATA ? mockService.updateAppointment(id.toString(), data) :
     (async () => {
@@ -148,6 +272,98 @@ export const appointmentService = {
     })()
 };
 
+// Patients waiting for a cancelled slot; offers are made by the server when an appointment is cancelled
+export const waitlistService = {
+  getEntries: (filters: { status?: WaitlistStatus; providerId?: number } = {}) =>
+    USE_MOCK_DATA ? mockService.getWaitlist(filters) :
+    (async () => {
+      try {
+        const params = new URLSearchParams();
+        if (filters.status) params.append('status', filters.status);
+        if (filters.providerId) params.append('providerId', filters.providerId.toString());
+
+        const response = await api.get(`/waitlist?${params.toString()}`);
+        return response.data;
+      } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        throw error;
+      }
+    })(),
+
+  addEntry: (data: WaitlistEntryRequest) =>
+    USE_MOCK_DATA ? mockService.addWaitlistEntry(data) :
+    (async () => {
+      try {
+        const response = await api.post('/waitlist', data);
+        return response.data;
+      } catch (error) {
+        console.error('Error adding waitlist entry:', error);
+        throw error;
+      }
+    })(),
+
+  updateEntry: (id: number, data: Partial<WaitlistEntryRequest>) =>
+    USE_MOCK_DATA ? mockService.updateWaitlistEntry(id, data) :
+    (async () => {
+      try {
+        const response = await api.put(`/waitlist/${id}`, data);
+        return response.data;
+      } catch (error) {
+        console.error('Error updating waitlist entry:', error);
+        throw error;
+      }
+    })(),
+
+  removeEntry: (id: number) =>
+    USE_MOCK_DATA ? mockService.removeWaitlistEntry(id) :
+    (async () => {
+      try {
+        const response = await api.delete(`/waitlist/${id}`);
+        return response.data;
+      } catch (error) {
+        console.error('Error removing waitlist entry:', error);
+        throw error;
+      }
+    })(),
+
+  getOffers: (status: WaitlistOfferStatus = 'pending') =>
+    USE_MOCK_DATA ? mockService.getWaitlistOffers(status) :
+    (async () => {
+      try {
+        const response = await api.get(`/waitlist/offers?status=${status}`);
+        return response.data;
+      } catch (error) {
+        console.error('Error fetching waitlist offers:', error);
+        throw error;
+      }
+    })(),
+
+  // Books the slot; 409 with conflicts when it has been taken since it was offered
+  acceptOffer: (id: number) =>
+    USE_MOCK_DATA ? mockService.respondToWaitlistOffer(id, 'accepted') :
+    (async () => {
+      try {
+        const response = await api.post(`/waitlist/offers/${id}/accept`);
+        return response.data;
+      } catch (error) {
+        console.error('Error accepting waitlist offer:', error);
+        throw error;
+      }
+    })(),
+
+  declineOffer: (id: number) =>
+    USE_MOCK_DATA ? mockService.respondToWaitlistOffer(id, 'declined') :
+    (async () => {
+      try {
+        const response = await api.post(`/waitlist/offers/${id}/decline`);
+        return response.data;
+      } catch (error) {
+        console.error('Error declining waitlist offer:', error);
+        throw error;
+      }
+    })()
+};
+
 export const patientService = {
   getPatients: () =>
     USE_MOCK_DATA ? mockService.getPatients() :
@@ -0,0 +1,74 @@
+import api from './api';
+import type { DunningStatus } from '../types/queue';
+
+export type PaymentMethod = 'cash' | 'check' | 'credit_card' | 'debit_card';
+
+export interface AgingBuckets {
+  current: number;
+  days31To60: number;
+  days61To90: number;
+  days91To120: number;
+  over120: number;
+}
+
+export interface PaymentPlan {
+  id: number;
+  patientId: number;
+  totalAmount: number;
+  installmentAmount: number;
+  frequency: 'weekly' | 'biweekly' | 'monthly';
+  startDate: string;
+  nextDueDate: string;
+  remainingBalance: number;
+  status: 'active' | 'completed' | 'defaulted' | 'cancelled';
+  missedPayments: number;
+}
+
+export interface PatientBalance {
+  patientId: number;
+  balance: number;
+  pendingInsurance: number;
+  aging: AgingBuckets;
+  oldestBalanceDate: string | null;
+  dunningStatus: DunningStatus;
+  paymentPlan: PaymentPlan | null;
+  lastStatementDate: string | null;
+  lastPaymentDate: string | null;
+}
+
+export interface PatientPayment {
+  amount: number;
+  method: PaymentMethod;
+  reference?: string;
+  appointmentId?: number;
+  note?: string;
+}
+
+export const DUNNING_LABELS: Record<DunningStatus, string> = {
+  current: 'Balance due',
+  past_due: 'Past due',
+  final_notice: 'Final notice',
+  collections: 'Collections',
+  payment_plan: 'Payment plan',
+  hold: 'Billing hold'
+};
+
+class BillingService {
+  /**
+   * Patient balance with aging buckets, dunning status and any active payment plan
+   */
+  async getBalance(patientId: number): Promise<PatientBalance> {
+    const response = await api.get(`/patients/${patientId}/balance`);
+    return response.data.data;
+  }
+
+  /**
+   * Record an over-the-counter payment; returns the patient's balance after the payment
+   */
+  async recordPayment(patientId: number, payment: PatientPayment): Promise<PatientBalance> {
+    const response = await api.post(`/patients/${patientId}/payments`, payment);
+    return response.data.data.balance;
+  }
+}
+
+export default new BillingService();
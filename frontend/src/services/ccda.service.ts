@@ -0,0 +1,119 @@
+import api from './api';
+
+export type CCDAItemCategory = 'problem' | 'medication' | 'allergy';
+export type CCDAItemDecision = 'accept' | 'reject' | 'merge';
+export type CCDAItemValues = Record<string, string | boolean | null>;
+
+export interface CCDAImportItem {
+  id: number;
+  import_id: number;
+  category: CCDAItemCategory;
+  source_entry_id: string | null;
+  incoming: CCDAItemValues;
+  match_type: 'new' | 'duplicate' | 'changed';
+  matched_record_id: number | null;
+  current_values: CCDAItemValues | null;
+  differences: string[];
+  decision: CCDAItemDecision | null;
+  merged_values: CCDAItemValues | null;
+  decided_by: number | null;
+  decided_at: string | null;
+  applied_record_id: number | null;
+}
+
+export interface CCDAImport {
+  id: number;
+  patient_id: number;
+  document_id: string | null;
+  document_type: 'ccd' | 'referral_note';
+  title: string | null;
+  source_organization: string | null;
+  document_date: string | null;
+  document_patient: { given: string[]; family: string | null; birthDate: string | null; gender: string | null };
+  warnings: string[];
+  status: 'pending' | 'committed' | 'discarded';
+  created_at: string;
+  completed_at: string | null;
+  summary: Partial<Record<CCDAItemCategory, { new: number; duplicate: number; changed: number }>>;
+  items: CCDAImportItem[];
+}
+
+class CCDAService {
+  /**
+   * Download the patient's Continuity of Care Document (C-CDA XML)
+   */
+  async downloadCCD(patientId: number, purpose?: string): Promise<void> {
+    try {
+      const response = await api.get(`/patients/${patientId}/ccda`, {
+        params: purpose ? { purpose } : undefined,
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ccd-${patientId}.xml`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading CCD:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload an outside CCD or Referral Note and get its reconciliation diff
+   */
+  async createImport(patientId: number, xml: string): Promise<CCDAImport> {
+    try {
+      const response = await api.post(`/patients/${patientId}/ccda/imports`, xml, {
+        headers: { 'Content-Type': 'application/xml' }
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error importing C-CDA:', error);
+      throw error;
+    }
+  }
+
+  async getImport(importId: number): Promise<CCDAImport> {
+    try {
+      const response = await api.get(`/ccda/imports/${importId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error loading C-CDA import:', error);
+      throw error;
+    }
+  }
+
+  async decideItem(importId: number, itemId: number, decision: CCDAItemDecision, values?: CCDAItemValues): Promise<CCDAImportItem> {
+    try {
+      const response = await api.put(`/ccda/imports/${importId}/items/${itemId}`, { decision, values });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating reconciliation item:', error);
+      throw error;
+    }
+  }
+
+  async commitImport(importId: number): Promise<CCDAImport> {
+    try {
+      const response = await api.post(`/ccda/imports/${importId}/commit`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error committing C-CDA import:', error);
+      throw error;
+    }
+  }
+
+  async discardImport(importId: number): Promise<void> {
+    try {
+      await api.post(`/ccda/imports/${importId}/discard`);
+    } catch (error) {
+      console.error('Error discarding C-CDA import:', error);
+      throw error;
+    }
+  }
+}
+
+export default new CCDAService();
@@ -0,0 +1,74 @@
+import api from './api';
+
+const RXNORM_SYSTEM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+export type CDSIndicator = 'info' | 'warning' | 'critical';
+
+export interface CDSSuggestion {
+  label: string;
+  uuid: string;
+  actions: { type: 'create' | 'update' | 'delete'; description: string; resourceId?: string[] }[];
+}
+
+export interface CDSCard {
+  uuid: string;
+  summary: string;
+  detail?: string;
+  indicator: CDSIndicator;
+  source: { label: string };
+  suggestions?: CDSSuggestion[];
+  overrideReasons?: { code: string; display: string }[];
+}
+
+export interface DraftMedicationOrder {
+  id: string;
+  name: string;
+  rxcui?: string | null;
+}
+
+class CDSHooksService {
+  /**
+   * Run the order-select drug safety service for medication orders being drafted
+   */
+  async orderSelect(
+    patientId: number,
+    orders: DraftMedicationOrder[],
+    selections: string[],
+    encounterId?: number | null
+  ): Promise<CDSCard[]> {
+    try {
+      const response = await api.post('/cds-services/drug-safety-order-select', {
+        hookInstance: crypto.randomUUID(),
+        hook: 'order-select',
+        context: {
+          patientId: String(patientId),
+          ...(encounterId && { encounterId: String(encounterId) }),
+          selections: selections.map(id => `MedicationRequest/${id}`),
+          draftOrders: {
+            resourceType: 'Bundle',
+            type: 'collection',
+            entry: orders.map(order => ({
+              resource: {
+                resourceType: 'MedicationRequest',
+                id: order.id,
+                status: 'draft',
+                intent: 'order',
+                subject: { reference: `Patient/${patientId}` },
+                medicationCodeableConcept: {
+                  coding: order.rxcui ? [{ system: RXNORM_SYSTEM, code: order.rxcui }] : undefined,
+                  text: order.name
+                }
+              }
+            }))
+          }
+        }
+      });
+      return response.data.cards || [];
+    } catch (error) {
+      console.error('Error running CDS order-select:', error);
+      return [];
+    }
+  }
+}
+
+export default new CDSHooksService();
@@ -0,0 +1,73 @@
+import toast from 'react-hot-toast';
+import api from './api';
+import type { EncounterData } from '../types/encounter';
+
+export interface ClaimLine {
+  id: number;
+  line_number: number;
+  cpt_code: string;
+  modifiers: string[];
+  description: string | null;
+  units: number;
+  charge_amount: string;
+  diagnosis_pointers: number[];
+  source: 'em' | 'lab' | 'manual';
+}
+
+export interface ClaimWarning {
+  code: string;
+  message: string;
+}
+
+export interface Claim {
+  id: number;
+  claim_number: string;
+  encounter_id: number;
+  patient_id: number;
+  service_date: string;
+  diagnosis_codes: string[];
+  total_charge: string;
+  status: string;
+  warnings: ClaimWarning[];
+  lines: ClaimLine[];
+}
+
+export interface EncounterCompletion {
+  claim: Claim | null;
+  chargeCaptureError: string | null;
+}
+
+class ClaimsService {
+  /**
+   * Mark an encounter completed with its coding; the backend captures charges into a draft claim
+   * and the outcome is reported to the user
+   */
+  async completeEncounter(
+    patientId: number,
+    encounterId: number,
+    assessment: EncounterData['assessment']
+  ): Promise<EncounterCompletion> {
+    const response = await api.patch(`/patients/${patientId}/encounters/${encounterId}`, {
+      status: 'completed',
+      diagnoses: assessment.diagnoses,
+      ...(assessment.em_code && { em_code: assessment.em_code })
+    });
+    const completion: EncounterCompletion = {
+      claim: response.data.data?.claim ?? null,
+      chargeCaptureError: response.data.data?.charge_capture_error ?? null
+    };
+
+    if (completion.claim) {
+      const { claim } = completion;
+      toast.success(`Charges captured on claim ${claim.claim_number} ($${Number(claim.total_charge).toFixed(2)})`);
+      if (claim.warnings.length > 0) {
+        toast(claim.warnings.map(warning => warning.message).join('\n'), { icon: '⚠️' });
+      }
+    } else if (completion.chargeCaptureError) {
+      toast.error(`Encounter completed, but charges were not captured: ${completion.chargeCaptureError}`);
+    }
+    return completion;
+  }
+}
+
+export default new ClaimsService();
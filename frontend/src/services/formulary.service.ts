@@ -0,0 +1,44 @@
+import api from './api';
+
+export type FormularyStatusCode = 'covered' | 'not_covered' | 'not_listed' | 'no_formulary' | 'no_coverage';
+
+export interface FormularyAlternative {
+  medicationId: number;
+  genericName: string;
+  brandName: string | null;
+  strength: string | null;
+  dosageForm: string | null;
+  tier: number;
+  tierLabel: string;
+  priorAuthRequired: boolean;
+  stepTherapy: boolean;
+  copay: number | null;
+}
+
+export interface FormularyStatus {
+  status: FormularyStatusCode;
+  insurancePlanId?: number;
+  planName?: string;
+  tier: number | null;
+  tierLabel: string | null;
+  priorAuthRequired: boolean;
+  stepTherapy: boolean;
+  quantityExceeded: boolean;
+  copay: number | null;
+  flags: string[];
+  alternatives: FormularyAlternative[];
+}
+
+class FormularyService {
+  /**
+   * Formulary status of a medication on the patient's primary plan, with covered alternatives
+   */
+  async checkMedication(patientId: number, medicationId: number, quantity?: number): Promise<FormularyStatus> {
+    const response = await api.get(`/patients/${patientId}/formulary-check`, {
+      params: { medicationId, ...(quantity && { quantity }) }
+    });
+    return response.data.data;
+  }
+}
+
+export default new FormularyService();
@@ -0,0 +1,115 @@
+import axios from 'axios';
+import api from './api';
+
+export type HL7InboxStatus = 'failed' | 'processed' | 'dismissed' | 'all';
+
+export interface HL7InboxMessage {
+  id: number;
+  message_type: string;
+  message_control_id: string | null;
+  transport: 'api' | 'mllp';
+  remote_address: string | null;
+  parsed_successfully: boolean;
+  error_message: string | null;
+  patient_id: number | null;
+  lab_order_id: number | null;
+  reprocess_count: number;
+  resolution: 'reprocessed' | 'dismissed' | null;
+  resolved_at: string | null;
+  created_at: string;
+  edited: boolean;
+  patient_first_name?: string | null;
+  patient_last_name?: string | null;
+  patient_mrn?: string | null;
+}
+
+export interface HL7MessageAction {
+  id: number;
+  action: 'link' | 'edit' | 'reprocess' | 'dismiss';
+  success: boolean;
+  details: { reason?: string; error?: string; [key: string]: unknown };
+  created_at: string;
+  performed_by: number | null;
+  performed_by_first_name: string | null;
+  performed_by_last_name: string | null;
+}
+
+export interface HL7MessageDetail extends HL7InboxMessage {
+  hl7_message: string;
+  original_message: string | null;
+  acknowledgements: { id: number; ack_code: string | null; hl7_message: string; created_at: string }[];
+  actions: HL7MessageAction[];
+}
+
+export interface HL7ReprocessResult {
+  ok: boolean;
+  error?: string;
+  data?: Record<string, unknown>;
+}
+
+class HL7InboxService {
+  async getMessages(status: HL7InboxStatus = 'failed', search = ''): Promise<{ messages: HL7InboxMessage[]; total: number }> {
+    try {
+      const params = new URLSearchParams({ status });
+      if (search) params.append('q', search);
+      const response = await api.get(`/hl7/messages?${params.toString()}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error loading HL7 messages:', error);
+      throw error;
+    }
+  }
+
+  async getMessage(id: number): Promise<HL7MessageDetail> {
+    try {
+      const response = await api.get(`/hl7/messages/${id}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error loading HL7 message:', error);
+      throw error;
+    }
+  }
+
+  async linkMessage(id: number, patientId: number, labOrderId?: number | null): Promise<void> {
+    try {
+      await api.put(`/hl7/messages/${id}/link`, { patientId, labOrderId: labOrderId || null });
+    } catch (error) {
+      console.error('Error linking HL7 message:', error);
+      throw error;
+    }
+  }
+
+  async editMessage(id: number, hl7Message: string, reason?: string): Promise<void> {
+    try {
+      await api.put(`/hl7/messages/${id}`, { hl7Message, reason });
+    } catch (error) {
+      console.error('Error editing HL7 message:', error);
+      throw error;
+    }
+  }
+
+  async reprocessMessage(id: number): Promise<HL7ReprocessResult> {
+    try {
+      const response = await api.post(`/hl7/messages/${id}/reprocess`);
+      return response.data;
+    } catch (error) {
+      // A failed reprocess comes back as 422 with the handler's error
+      if (axios.isAxiosError(error) && error.response?.status === 422) {
+        return error.response.data;
+      }
+      console.error('Error reprocessing HL7 message:', error);
+      throw error;
+    }
+  }
+
+  async dismissMessage(id: number, reason: string): Promise<void> {
+    try {
+      await api.post(`/hl7/messages/${id}/dismiss`, { reason });
+    } catch (error) {
+      console.error('Error dismissing HL7 message:', error);
+      throw error;
+    }
+  }
+}
+
+export default new HL7InboxService();
@@ -17,8 +17,22 @@ import {
   updateMockEncounter,
   getMockEncounterById
 } from '../utils/mockDataStore';
+import { addDays, addMonths } from 'date-fns';
+import type {
+  SlotFilters,
+  AppointmentSeriesRequest,
+  WaitlistEntry,
+  WaitlistEntryRequest,
+  WaitlistOffer,
+  WaitlistOfferStatus,
+  WaitlistStatus
+} from './appointment.service';
 
 class MockService {
+  // Waitlist (offers are only made by the server, when an appointment is cancelled)
+  private waitlist: WaitlistEntry[] = [];
+  private waitlistOffers: WaitlistOffer[] = [];
+
   // Dashboard/Queue related
   getQueuePatients() {
     return Promise.resolve({ data: getQueueItems() });
@@ -57,11 +71,50 @@ class MockService {
     return Promise.resolve({ data: filtered });
   }
 
+  // Mock schedule: 8:00-17:00 with a 12:00-13:00 lunch, every 15 minutes, minus booked appointments
+  getAppointmentSlots(params: SlotFilters) {
+    const duration = params.duration || 15;
+    const dayStart = new Date(`${params.date}T00:00:00`);
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const booked = getAppointmentsByDateRange(dayStart.toISOString(), dayEnd.toISOString())
+      .filter(apt => apt.provider_id === params.provider_id && apt.id !== params.exclude_id)
+      .map(apt => [new Date(apt.start).getTime(), new Date(apt.end).getTime()]);
+
+    const slots = [];
+    for (let minute = 8 * 60; minute + duration <= 17 * 60; minute += 15) {
+      const start = dayStart.getTime() + minute * 60 * 1000;
+      const end = start + duration * 60 * 1000;
+      const lunch = minute < 13 * 60 && minute + duration > 12 * 60;
+      if (lunch || start < Date.now() || booked.some(([from, to]) => start < to && end > from)) continue;
+      slots.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+    }
+
+    return Promise.resolve({ data: { provider_id: params.provider_id, type: params.type, duration, slots } });
+  }
+
   createAppointment(data: any) {
     const newAppointment = addMockAppointment(data);
     return Promise.resolve({ data: newAppointment });
   }
 
+  // Expands FREQ/INTERVAL/COUNT only
+  createAppointmentSeries(data: AppointmentSeriesRequest) {
+    const rule = Object.fromEntries(data.rrule.split(';').map(part => part.split('=')));
+    const count = Number(rule.COUNT) || 1;
+    const interval = Number(rule.INTERVAL) || 1;
+    const first = new Date(data.start as string);
+    const duration = (new Date(data.end as string).getTime() - first.getTime()) / 60000;
+
+    const appointments = Array.from({ length: count }, (_, index) => {
+      const start = rule.FREQ === 'MONTHLY'
+        ? addMonths(first, index * interval)
+        : addDays(first, index * interval * (rule.FREQ === 'WEEKLY' ? 7 : 1));
+      return addMockAppointment({ ...data, scheduled_time: start.toISOString(), duration, series_index: index + 1 });
+    });
+
+    return Promise.resolve({ data: { series: { id: Date.now(), rrule: data.rrule }, appointments, skipped: [] } });
+  }
+
   updateAppointment(id: string, data: any) {
     const updated = updateMockAppointment(parseInt(id), data);
     if (updated) {
@@ -83,6 +136,73 @@ class MockService {
     return Promise.resolve({ data: updated });
   }
 
+  // Waitlist
+  getWaitlist(filters: { status?: WaitlistStatus; providerId?: number } = {}) {
+    const statuses = filters.status ? [filters.status] : ['waiting', 'offered'];
+    const entries = this.waitlist
+      .filter(entry => statuses.includes(entry.status))
+      .filter(entry => !filters.providerId || !entry.providerId || entry.providerId === filters.providerId)
+      .sort((a, b) => a.priority - b.priority || a.createdAt.localeCompare(b.createdAt));
+    return Promise.resolve({ ok: true, data: entries });
+  }
+
+  addWaitlistEntry(data: WaitlistEntryRequest) {
+    const patient = mockPatients.find(p => p.id === data.patientId);
+    const provider = mockProviders.find(p => p.id === data.providerId);
+    const entry: WaitlistEntry = {
+      providerId: null,
+      appointmentType: null,
+      earliestDate: null,
+      latestDate: null,
+      preferredDays: null,
+      preferredStartTime: null,
+      preferredEndTime: null,
+      priority: 3,
+      notes: null,
+      ...data,
+      id: Date.now(),
+      patientName: patient?.name ?? null,
+      providerName: provider?.name ?? null,
+      status: 'waiting',
+      bookedAppointmentId: null,
+      pendingOffer: null,
+      createdAt: new Date().toISOString()
+    };
+    this.waitlist.push(entry);
+    return Promise.resolve({ ok: true, data: entry });
+  }
+
+  updateWaitlistEntry(id: number, data: Partial<WaitlistEntryRequest>) {
+    const entry = this.waitlist.find(e => e.id === id);
+    if (!entry) return Promise.reject(new Error('Waitlist entry not found'));
+    Object.assign(entry, data);
+    return Promise.resolve({ ok: true, data: entry });
+  }
+
+  removeWaitlistEntry(id: number) {
+    const entry = this.waitlist.find(e => e.id === id);
+    if (!entry) return Promise.reject(new Error('Waitlist entry not found'));
+    entry.status = 'removed';
+    return Promise.resolve({ ok: true, data: { next: null } });
+  }
+
+  getWaitlistOffers(status: WaitlistOfferStatus) {
+    return Promise.resolve({ ok: true, data: this.waitlistOffers.filter(offer => offer.status === status) });
+  }
+
+  respondToWaitlistOffer(id: number, status: 'accepted' | 'declined') {
+    const offer = this.waitlistOffers.find(o => o.id === id);
+    if (!offer) return Promise.reject(new Error('Offer not found'));
+    offer.status = status;
+    offer.respondedAt = new Date().toISOString();
+    const entry = this.waitlist.find(e => e.id === offer.waitlistId);
+    if (entry) {
+      entry.status = status === 'accepted' ? 'booked' : 'waiting';
+      entry.pendingOffer = null;
+    }
+    return Promise.resolve({ ok: true, data: { offer, next: null } });
+  }
+
   // Patients
   getPatients(search?: string) {
     let filtered = [...mockPatients];
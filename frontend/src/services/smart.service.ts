@@ -0,0 +1,43 @@
+import api from './api';
+
+export interface SmartApp {
+  clientId: string;
+  name: string;
+  scopes: string;
+}
+
+export interface SmartLaunch {
+  launch: string;
+  launchUrl: string;
+  iss: string;
+}
+
+class SmartService {
+  /**
+   * SMART apps that can be launched from the EHR
+   */
+  async getApps(): Promise<SmartApp[]> {
+    try {
+      const response = await api.get('/smart/apps');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error loading SMART apps:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a launch context and get the URL to open the app with
+   */
+  async launchApp(clientId: string, patientId: number, encounterId?: number | null): Promise<SmartLaunch> {
+    try {
+      const response = await api.post('/smart/launch', { clientId, patientId, encounterId: encounterId || null });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error launching SMART app:', error);
+      throw error;
+    }
+  }
+}
+
+export default new SmartService();
@@ -1,5 +1,8 @@
 import { create } from 'zustand';
 import type { EncounterData, EncounterTemplate } from '../types/encounter';
+import claimsService from '../services/claims.service';
+import type { EncounterCompletion } from '../services/claims.service';
+import NavigationService from '../services/navigationService';
 
 interface EncounterState {
   currentEncounter: EncounterData | null;
@@ -20,7 +23,7 @@ interface EncounterState {
   updateAssessment: (data: Partial<EncounterData['assessment']>) => void;
   applyTemplate: (templateId: string) => void;
   saveEncounter: () => Promise<void>;
-  completeEncounter: () => Promise<void>;
+  completeEncounter: () => Promise<EncounterCompletion | null>;
 }
 
 export const useEncounterStore = create<EncounterState>((set, get) => ({
@@ -181,16 +184,27 @@ export const useEncounterStore = create<EncounterState>((set, get) => ({
   },
 
   completeEncounter: async () => {
+    const encounter = get().currentEncounter;
+    if (!encounter) return null;
+
     set({ isSaving: true });
-    // Simulate API call
-    setTimeout(() => {
+    try {
+      // Only encounters opened from the schedule/queue exist on the server; completing one captures its charges
+      const encounterId = Number(NavigationService.getNavigationContext().encounterId);
+      const completion = encounterId
+        ? await claimsService.completeEncounter(encounter.patient_id, encounterId, encounter.assessment)
+        : null;
+
       set(state => ({
         currentEncounter: state.currentEncounter ? {
           ...state.currentEncounter,
           status: 'complete'
         } : null,
-        isSaving: false
+        lastSaved: new Date()
       }));
-    }, 1000);
+      return completion;
+    } finally {
+      set({ isSaving: false });
+    }
   },
 }));
\ No newline at end of file
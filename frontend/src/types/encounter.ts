@@ -82,6 +82,7 @@ export interface EncounterData {
       priority: 'routine' | 'urgent' | 'stat';
     }>;
     plan: string;
+    em_code?: string; // visit-level E/M CPT; defaulted to level 3 by charge capture when empty
     follow_up?: string;
     patient_education?: string;
     work_excuse?: {
@@ -1,5 +1,8 @@
+export type DunningStatus = 'current' | 'past_due' | 'final_notice' | 'collections' | 'payment_plan' | 'hold';
+
 export interface QueuePatient {
   id: number;
+  appointment_id?: number;
   patient_id: number;
   patient_name: string;
   age: number;
@@ -19,6 +22,10 @@ export interface QueuePatient {
   vital_signs_complete: boolean;
   triage_notes?: string;
   estimated_wait?: number;
+  // Patient balance and dunning status from patient_billing, for the front desk's outstanding balance flag
+  balance_due?: number | string;
+  dunning_status?: DunningStatus;
+  payment_plan_active?: boolean;
 }
 
 export interface TriageAssessment {
@@ -231,6 +231,7 @@ export const getQueueItems = () => {
     ['waiting', 'triaged', 'roomed', 'with-provider'].includes(apt.status)
   ).map(apt => ({
     ...apt,
+    appointment_id: apt.id,
     waitTime: apt.wait_time_minutes,
     triagePriority: apt.triage_priority,
     wait_time: apt.wait_time_minutes